@@ -61,6 +61,14 @@ class Custom_Migrator_Admin {
                 }
             }
             
+            // Move the previous run into the history before its filenames are forgotten
+            $export_history = new Custom_Migrator_Export_History( $this->filesystem );
+            $export_history->begin_run( 'regular' );
+            
+            // This form always starts a full export
+            $incremental_export = new Custom_Migrator_Incremental_Export( $this->filesystem );
+            $incremental_export->reset();
+            
             // Force regeneration of secure filenames
             delete_option('custom_migrator_filenames');
             
@@ -94,8 +102,14 @@ class Custom_Migrator_Admin {
                 'metadata' => sanitize_text_field( $_POST['s3_url_metadata'] ),
             );
             
+            // Each extra archive volume has its own URL field
+            $file_paths = $this->filesystem->get_export_file_paths();
+            foreach ( array_keys( Custom_Migrator_Volumes::find_volume_paths( $file_paths['hstgr'] ) ) as $volume_type ) {
+                $s3_urls[ $volume_type ] = isset( $_POST['s3_url_' . $volume_type] ) ? sanitize_text_field( $_POST['s3_url_' . $volume_type] ) : '';
+            }
+            
             // Check if at least one URL is provided
-            if ( empty( $s3_urls['hstgr'] ) && empty( $s3_urls['sql'] ) && empty( $s3_urls['metadata'] ) ) {
+            if ( ! array_filter( $s3_urls ) ) {
                 wp_die( 'Please provide at least one pre-signed URL for upload.' );
             }
             
@@ -206,8 +220,12 @@ class Custom_Migrator_Admin {
         // Check if there's an existing export (Check for ANY files, not requiring ALL)
         $has_export = false;
         $export_files = array();
+        $archive_volumes = array();
         
         if ( $dir_exists ) {
+            // Replaces the permissive .htaccess written by older versions
+            $this->filesystem->protect_export_dir();
+            
             $file_paths = $this->filesystem->get_export_file_paths();
             $file_urls = $this->filesystem->get_export_file_urls();
             
@@ -217,8 +235,21 @@ class Custom_Migrator_Admin {
                 $export_files['hstgr_file'] = array(
                     'name' => 'WordPress Content (.' . $this->file_extension . ')',
                     'url'  => $file_urls['hstgr'],
+                    'filename' => basename( $file_paths['hstgr'] ),
                     'size' => $this->filesystem->format_file_size( filesize( $file_paths['hstgr'] ) ),
                 );
+                
+                // A split archive lists every volume after the first
+                $archive_volumes = Custom_Migrator_Volumes::find_volume_paths( $file_paths['hstgr'] );
+                foreach ( $archive_volumes as $volume_type => $volume_path ) {
+                    $volume_number = substr( $volume_type, strlen( Custom_Migrator_Volumes::TYPE_PREFIX ) );
+                    $export_files[ $volume_type . '_file' ] = array(
+                        'name' => 'Content Volume ' . $volume_number . ' (.' . $this->file_extension . '.' . $volume_number . ')',
+                        'url'  => $this->filesystem->get_download_url( $volume_path ),
+                        'filename' => basename( $volume_path ),
+                        'size' => $this->filesystem->format_file_size( filesize( $volume_path ) ),
+                    );
+                }
             }
             
             if ( file_exists( $file_paths['sql'] ) ) {
@@ -226,6 +257,7 @@ class Custom_Migrator_Admin {
                 $export_files['sql_file'] = array(
                     'name' => 'Database (Compressed SQL .gz)',
                     'url'  => $file_urls['sql'],
+                    'filename' => basename( $file_paths['sql'] ),
                     'size' => $this->filesystem->format_file_size( filesize( $file_paths['sql'] ) ),
                 );
             }
@@ -235,16 +267,29 @@ class Custom_Migrator_Admin {
                 $export_files['meta_file'] = array(
                     'name' => 'Metadata (.json)',
                     'url'  => $file_urls['metadata'],
+                    'filename' => basename( $file_paths['metadata'] ),
                     'size' => $this->filesystem->format_file_size( filesize( $file_paths['metadata'] ) ),
                 );
             }
             
+            // Incremental exports list the paths removed since their base export
+            $deleted_paths_file = $this->filesystem->get_archive_sidecar_path( 'deleted', 'txt' );
+            if ( file_exists( $deleted_paths_file ) ) {
+                $export_files['deleted_file'] = array(
+                    'name' => 'Deleted Paths (.txt)',
+                    'url'  => $this->filesystem->get_download_url( $deleted_paths_file ),
+                    'filename' => basename( $deleted_paths_file ),
+                    'size' => $this->filesystem->format_file_size( filesize( $deleted_paths_file ) ),
+                );
+            }
+            
             // Add log file if it exists
             if ( file_exists( $file_paths['log'] ) ) {
                 $has_export = true;
                 $export_files['log_file'] = array(
                     'name' => 'Export Log (.txt)',
                     'url'  => $file_urls['log'],
+                    'filename' => basename( $file_paths['log'] ),
                     'size' => $this->filesystem->format_file_size( filesize( $file_paths['log'] ) ),
                 );
             }
@@ -431,6 +476,17 @@ class Custom_Migrator_Admin {
         delete_option( 'custom_migrator_access_token' );
         delete_option( 'custom_migrator_auth' );
         delete_option( 'custom_migrator_export_subdir' );
+        delete_option( 'custom_migrator_s3_upload_job' );
+        delete_option( 'custom_migrator_exclusion_profiles' );
+        delete_option( 'custom_migrator_export_history' );
+        delete_option( 'custom_migrator_history_retention' );
+        delete_option( 'custom_migrator_download_secret' );
+        delete_option( 'custom_migrator_search_replace' );
+        delete_option( 'custom_migrator_anonymization' );
+        delete_option( 'custom_migrator_encryption' );
+        delete_option( 'custom_migrator_volumes' );
+        delete_option( 'custom_migrator_destinations' );
+        delete_option( 'custom_migrator_push_receiver' );
         
         // Clean up export directory (same as in uninstall.php)
         $export_dir = WP_CONTENT_DIR . '/hostinger-migration-archives';
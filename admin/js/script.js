@@ -39,11 +39,16 @@ window.startFallbackExport = function() {
     }
     
     // CRITICAL: Disable both buttons IMMEDIATELY
-    $("#start-export, #start-fallback-export").prop('disabled', true).addClass('button-disabled');
+    $("#start-fallback-export").prop('disabled', true).addClass('button-disabled');
+    if (window.cmExportController) {
+        window.cmExportController.setFallbackActive(true);
+    }
     
     // Hide main progress, show fallback progress
-    $("#export-progress").hide();
-    $("#fallback-progress").show();
+    $("#fallback-progress").show().find('.spinner').addClass('is-active');
+    $("#fallback-actions").show();
+    $("#pause-fallback-export").show();
+    $("#resume-fallback-export").hide();
     $("#fallback-status-text").text("Initializing fallback export...");
     $("#fallback-step-info").text("");
     
@@ -58,7 +63,10 @@ window.startFallbackExport = function() {
         attempts: 0,
         maxAttempts: 5,  // Increased from 3 to 5 for better reliability
         activeAjaxCall: null,  // Track active AJAX call
-        sessionId: sessionId   // Store session ID
+        sessionId: sessionId,  // Store session ID
+        token: null,           // Issued by the init step, required by every later step
+        paused: false,         // Steps are held back while paused
+        pendingStep: null      // Step and params to send on resume
     };
     
     console.log('Starting fallback export with session ID:', sessionId);
@@ -74,6 +82,14 @@ function processFallbackStep(step, params) {
         return; // Export was cancelled
     }
     
+    // The server keeps no timer of its own, so holding back the next step pauses the export
+    if (fallbackExportState.paused) {
+        fallbackExportState.pendingStep = { step: step, params: params };
+        jQuery("#fallback-status-text").text("Export paused. Click Resume to continue.");
+        jQuery("#fallback-progress .spinner").removeClass("is-active");
+        return;
+    }
+    
     // CRITICAL: Prevent multiple simultaneous AJAX calls
     if (fallbackExportState.activeAjaxCall) {
         console.log('AJAX call already active, aborting duplicate call for step:', step);
@@ -92,6 +108,8 @@ function processFallbackStep(step, params) {
         type: 'POST',
         data: {
             action: 'cm_fallback_export',
+            nonce: cm_ajax.nonce,
+            token: fallbackExportState.token || '',
             step: step,
             params: params
         },
@@ -100,6 +118,10 @@ function processFallbackStep(step, params) {
             // Clear active AJAX call flag
             fallbackExportState.activeAjaxCall = null;
             
+            if (!fallbackExportState.running) {
+                return; // Cancelled while the step was running
+            }
+            
             if (response.success) {
                 var result = response.data;
                 
@@ -116,6 +138,10 @@ function processFallbackStep(step, params) {
                 fallbackExportState.attempts = 0;
                 fallbackExportState.params = result.params || {};
                 
+                if (result.token) {
+                    fallbackExportState.token = result.token;
+                }
+                
                 // Ensure session_id is always preserved
                 if (fallbackExportState.sessionId) {
                     fallbackExportState.params.session_id = fallbackExportState.sessionId;
@@ -157,27 +183,108 @@ function processFallbackStep(step, params) {
             
             console.log('Fallback step error:', {step: step, status: status, error: error, xhr: xhr});
             
+            if (!fallbackExportState.running) {
+                return; // Aborted by a cancel
+            }
+            
+            // Rejected tokens will not become valid by retrying
+            var rejection = xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.code ? xhr.responseJSON.data : null;
+            if (rejection && xhr.status === 403) {
+                fallbackExportError("Step '" + step + "' was refused: " + rejection.message);
+                return;
+            }
+            
             if (fallbackExportState.attempts < fallbackExportState.maxAttempts) {
                 // Retry the same step - ensure session_id is preserved
                 if (fallbackExportState.sessionId && (!params.session_id || params.session_id !== fallbackExportState.sessionId)) {
                     params.session_id = fallbackExportState.sessionId;
                 }
                 
-                $("#fallback-step-info").text("Retrying step... (attempt " + (fallbackExportState.attempts + 1) + "/" + fallbackExportState.maxAttempts + ")");
+                // Rate-limited requests wait for the next window
+                var retryDelay = xhr.status === 429 ? 60000 : 2000;
+                $("#fallback-step-info").text((xhr.status === 429 ? "Too many requests, waiting a minute before retrying" : "Retrying step...") + " (attempt " + (fallbackExportState.attempts + 1) + "/" + fallbackExportState.maxAttempts + ")");
                 setTimeout(function() {
                     processFallbackStep(step, params);
-                }, 2000); // 2 second delay before retry
+                }, retryDelay); // 2 second delay before retry, a minute when rate-limited
             } else {
                 // Max attempts reached
                 var errorMsg = status === 'timeout' ? 
                     "Step timed out after multiple attempts" : 
-                    "Network error after multiple attempts";
+                    (rejection ? rejection.message : "Network error after multiple attempts");
                 fallbackExportError("Step '" + step + "' failed: " + errorMsg);
             }
         }
     });
 }
 
+// Hold back the next fallback step; the step that is running still finishes
+function pauseFallbackExport() {
+    var $ = jQuery;
+    
+    if (!fallbackExportState.running || fallbackExportState.paused) {
+        return;
+    }
+    
+    fallbackExportState.paused = true;
+    $("#pause-fallback-export").hide();
+    $("#resume-fallback-export").show();
+    $("#fallback-step-info").text("Pausing after the current step...");
+}
+
+// Send the step that was held back when the export was paused
+function resumeFallbackExport() {
+    var $ = jQuery;
+    var pending = fallbackExportState.pendingStep;
+    
+    if (!fallbackExportState.running || !fallbackExportState.paused) {
+        return;
+    }
+    
+    fallbackExportState.paused = false;
+    fallbackExportState.pendingStep = null;
+    $("#resume-fallback-export").hide();
+    $("#pause-fallback-export").show();
+    $("#fallback-progress .spinner").addClass("is-active");
+    $("#fallback-status-text").text("Resuming fallback export...");
+    $("#fallback-step-info").text("");
+    
+    if (pending) {
+        processFallbackStep(pending.step, pending.params);
+    }
+}
+
+// Stop sending steps and let the server remove the partial files
+function cancelFallbackExport() {
+    var $ = jQuery;
+    
+    if (!fallbackExportState.running || !window.confirm("Cancel the export and delete its partial files?")) {
+        return;
+    }
+    
+    fallbackExportState.running = false;
+    fallbackExportState.paused = false;
+    fallbackExportState.pendingStep = null;
+    if (fallbackExportState.activeAjaxCall) {
+        fallbackExportState.activeAjaxCall.abort();
+        fallbackExportState.activeAjaxCall = null;
+    }
+    
+    $("#fallback-actions").hide();
+    $("#fallback-status-text").text("Cancelling export...");
+    $("#fallback-step-info").text("");
+    
+    $.post(cm_ajax.ajax_url, { action: 'cm_cancel_export', nonce: cm_ajax.nonce }).always(function() {
+        window.fallbackExportStarted = false;
+        $("#fallback-status-text").text("Export cancelled. Its partial files were removed.");
+        $("#fallback-progress .spinner").removeClass("is-active");
+        $("#start-fallback-export").prop('disabled', false).removeClass('button-disabled');
+        $("#start-fallback-export").html('<?php esc_html_e("Start Export - Fallback", "custom-migrator"); ?>');
+        if (window.cmExportController) {
+            window.cmExportController.setFallbackActive(false);
+        }
+    });
+}
+
 // Handle fallback export completion
 function fallbackExportComplete() {
     var $ = jQuery;
@@ -191,9 +298,13 @@ function fallbackExportComplete() {
     
     // Hide spinner
     $("#fallback-progress .spinner").removeClass("is-active");
+    $("#fallback-actions").hide();
     
     // Re-enable buttons and restore text
-    $("#start-export, #start-fallback-export").prop('disabled', false).removeClass('button-disabled');
+    $("#start-fallback-export").prop('disabled', false).removeClass('button-disabled');
+    if (window.cmExportController) {
+        window.cmExportController.setFallbackActive(false);
+    }
     $("#start-fallback-export").html('<?php esc_html_e("Start Export - Fallback", "custom-migrator"); ?>');
     
     // Refresh the page to show download links
@@ -215,9 +326,13 @@ function fallbackExportError(message) {
     
     // Hide spinner
     $("#fallback-progress .spinner").removeClass("is-active");
+    $("#fallback-actions").hide();
     
     // Re-enable buttons and restore text
-    $("#start-export, #start-fallback-export").prop('disabled', false).removeClass('button-disabled');
+    $("#start-fallback-export").prop('disabled', false).removeClass('button-disabled');
+    if (window.cmExportController) {
+        window.cmExportController.setFallbackActive(false);
+    }
     $("#start-fallback-export").html('<?php esc_html_e("Start Export - Fallback", "custom-migrator"); ?>');
     
     // Show error notification
@@ -231,382 +346,2983 @@ function fallbackExportError(message) {
 
 
 jQuery(document).ready(function($) {
-    // Enhanced status tracking variables
-    var statusCheckInterval = null;
+    // Status tracking variables
     var s3StatusInterval = null;
-    var consecutiveErrors = 0;
-    var maxConsecutiveErrors = 5;
-    var lastStatusUpdate = null;
     
-    // Status display intervals for the UI elements
-    var exportStatusDisplayInterval = null;
+    // Status display interval for the S3 UI element
     var s3StatusDisplayInterval = null;
     
-    // Start status displays immediately when page loads
-    startExportStatusDisplay();
-    
-    // Only start S3 status monitoring if S3 upload section exists and is visible
-    if ($('.s3-upload-section').length > 0 && $('.s3-upload-section').is(':visible')) {
-        startS3StatusDisplay();
-    }
-    
-    // Auto-refresh only if export is in progress
-    if ($("#export-progress").length > 0 && $("#export-progress").is(":visible") && 
-        $("#export-status-text").text().includes("...") && 
-        !$("#export-status-text").text().toLowerCase().includes("done")) {
-        
-        // Start checking export status
-        startStatusCheck();
-    }
-    
-    // Start export via AJAX with enhanced error handling
-    $("#start-export").on("click", function(e) {
-        e.preventDefault();
+    /**
+     * Export state controller.
+     *
+     * Holds the client-side export state and owns the single poll timer for
+     * cm_check_status. It is the only code allowed to change #export-progress,
+     * #export-status-text and #start-export, so the UI can never disagree with
+     * itself about whether an export is running, stuck or done.
+     */
+    var exportController = {
+        state: 'idle',
+        serverStatus: null,
+        pollTimer: null,
+        pollDelay: 3000,
+        basePollDelay: 3000,
+        stuckPollDelay: 10000,
+        maxPollDelay: 30000,
+        consecutiveErrors: 0,
+        maxConsecutiveErrors: 5,
+        lastSuccessAt: null,
+        connectionWarned: false,
+        stuckWarned: false,
+        fallbackActive: false,
+        analyzing: false,
+        startAllowed: !$("#start-export").prop('disabled'),
         
-        // Reset error counter
-        consecutiveErrors = 0;
-        lastStatusUpdate = null;
+        // States in which the export is still running and must be polled
+        activeStates: ['starting', 'exporting', 'exporting_database', 'paused', 'pausing', 'stuck'],
         
-        // Show loading indicator
-        $(this).prop('disabled', true);
-        $("#export-progress").show();
-        $("#export-status-text").text("Starting export...");
+        // Labels for the phases reported in the structured progress
+        phaseLabels: {
+            content: 'Files',
+            database: 'Database tables',
+            metadata: 'Metadata',
+            finalize: 'Finalizing'
+        },
         
-        // Clear any existing intervals
-        if (statusCheckInterval) {
-            clearInterval(statusCheckInterval);
-            statusCheckInterval = null;
-        }
+        isActive: function(state) {
+            return this.activeStates.indexOf(state || this.state) !== -1;
+        },
         
-        // Start the export via AJAX
-        $.ajax({
-            url: cm_ajax.ajax_url,
-            type: 'POST',
-            data: {
-                action: 'cm_start_export',
-                nonce: cm_ajax.nonce
-            },
-            timeout: 30000, // 30 second timeout
-            success: function(response) {
-                if (response.success) {
-                    // Export started in background
-                    $("#export-status-text").text("Export started successfully. Processing...");
-                    startStatusCheck();
-                } else {
-                    // Show error
-                    var errorMsg = response.data ? response.data.message : "Export failed to start.";
-                    showError("Error: " + errorMsg);
-                    $("#start-export").prop('disabled', false);
-                    $("#export-progress").hide();
-                }
-            },
-            error: function(xhr, status, error) {
-                var errorMsg = "Server error occurred.";
-                if (status === 'timeout') {
-                    errorMsg = "Request timed out. The export may still be starting in the background.";
-                    $("#export-status-text").text("Export may be starting in background. Checking status...");
-                    // Start checking status anyway in case export actually started
-                    startStatusCheck();
-                } else {
-                    showError(errorMsg + " Please try again.");
-                    $("#start-export").prop('disabled', false);
-                    $("#export-progress").hide();
-                }
-                
-                console.log('Export start error:', {status: status, error: error, xhr: xhr});
+        // Map a status sent by handle_check_status to a controller state
+        mapServerStatus: function(status) {
+            if (!status || status === 'not_started' || status === 'cancelled') {
+                return 'idle';
             }
-        });
-    });
-    
-    // S3 Upload form with enhanced validation and error handling
-    $("#upload-to-s3").on("click", function(e) {
-        e.preventDefault();
-        
-        // Validate that at least one URL is provided
-        var hstgrUrl = $("input[name='s3_url_hstgr']").val().trim();
-        var sqlUrl = $("input[name='s3_url_sql']").val().trim();
-        var metaUrl = $("input[name='s3_url_metadata']").val().trim();
-        
-        if (!hstgrUrl && !sqlUrl && !metaUrl) {
-            showError("Please provide at least one pre-signed URL for upload.");
-            return false;
-        }
-        
-        // Show loading indicator
-        $(this).prop('disabled', true);
-        $("#s3-upload-spinner").addClass("is-active");
-        $("#s3-upload-status").show().html('<div class="spinner is-active" style="float: none; margin: 0 10px 0 0;"></div><span>Starting S3 upload...</span>');
-        
-        // Start the S3 upload via AJAX
-        $.ajax({
-            url: cm_ajax.ajax_url,
-            type: 'POST',
-            data: {
-                action: 'cm_upload_to_s3',
-                nonce: cm_ajax.nonce,
-                s3_url_hstgr: hstgrUrl,
-                s3_url_sql: sqlUrl,
-                s3_url_metadata: metaUrl
-            },
-            timeout: 60000, // 60 second timeout for S3 start
-            success: function(response) {
-                if (response.success) {
-                    // Start checking S3 upload status
-                    startS3StatusCheck();
-                } else {
-                    // Show error
-                    var errorMsg = response.data ? response.data.message : "Upload failed.";
-                    showError("Error: " + errorMsg);
-                    resetS3Form();
-                }
-            },
-            error: function(xhr, status, error) {
-                var errorMsg = status === 'timeout' ? 
-                    "Upload request timed out. Please check the status manually." :
-                    "Server error occurred. Please try again.";
-                showError(errorMsg);
-                resetS3Form();
-                console.log('S3 upload start error:', {status: status, error: error, xhr: xhr});
+            if (status === 'done' || status === 'error') {
+                return status;
             }
-        });
-    });
-    
-    // Function to check S3 upload status with enhanced error recovery
-    function startS3StatusCheck() {
-        var errorCount = 0;
-        var maxErrors = 3;
+            if (status === 'paused_resuming') {
+                return 'paused';
+            }
+            // Paused with the Pause button: nothing runs until the user resumes
+            if (status === 'paused_by_user') {
+                return 'held';
+            }
+            if (status === 'pausing') {
+                return 'pausing';
+            }
+            if (/_stuck$/.test(status)) {
+                return 'stuck';
+            }
+            if (status === 'starting' || status === 'initializing') {
+                return 'starting';
+            }
+            if (status === 'exporting_database') {
+                return 'exporting_database';
+            }
+            // exporting, resuming, generating_metadata, finalizing and fallback_* steps
+            return 'exporting';
+        },
         
-        // Clear any existing interval
-        if (s3StatusInterval) {
-            clearInterval(s3StatusInterval);
-        }
+        // Restore the state from the server, e.g. after a page reload mid-export
+        restore: function() {
+            this.poll(true);
+        },
         
-        // Check status every 3 seconds
-        s3StatusInterval = setInterval(function() {
+        start: function() {
+            var self = this;
+            
+            if (self.isActive()) {
+                return;
+            }
+            
+            self.consecutiveErrors = 0;
+            self.lastSuccessAt = null;
+            self.connectionWarned = false;
+            self.stuckWarned = false;
+            self.analyzing = false;
+            self.transition('starting', { message: 'Starting export...' });
+            
             $.ajax({
                 url: cm_ajax.ajax_url,
                 type: 'POST',
                 data: {
-                    action: 'cm_check_s3_status',
-                    nonce: cm_ajax.nonce
+                    action: 'cm_start_export',
+                    nonce: cm_ajax.nonce,
+                    base_run: $("#export-base-run").val() || ''
                 },
-                timeout: 15000, // 15 second timeout
+                timeout: 30000, // 30 second timeout
                 success: function(response) {
-                    errorCount = 0; // Reset error count on success
-                    
                     if (response.success) {
-                        var status = response.data.status;
-                        var message = response.data.message || "Uploading...";
-                        
-                        if (status === 'starting') {
-                            $("#s3-upload-status").html('<div class="spinner is-active" style="float: none; margin: 0 10px 0 0;"></div><span>Starting S3 upload...</span>');
-                        } else if (status.startsWith('uploading_')) {
-                            var currentFile = response.data.current_file || status.replace('uploading_', '');
-                            $("#s3-upload-status").html('<div class="spinner is-active" style="float: none; margin: 0 10px 0 0;"></div><span>Uploading ' + currentFile + ' file...</span>');
-                        } else if (status === 'done') {
-                            clearInterval(s3StatusInterval);
-                            $("#s3-upload-status").html('<span style="color: green;"><span class="dashicons dashicons-yes"></span> Upload completed successfully!</span>');
-                            resetS3Form();
-                            
-                            // Optionally, reload the page after a short delay
-                            setTimeout(function() {
-                                window.location.href = window.location.href.split('?')[0] + '?page=custom-migrator&s3_upload=success';
-                            }, 2000);
-                        }
+                        // Export started in background
+                        self.transition('starting', { message: 'Export started successfully. Processing...' });
+                        self.schedulePoll(self.basePollDelay);
                     } else {
-                        // Error occurred
-                        clearInterval(s3StatusInterval);
-                        var errorMsg = response.data ? response.data.message : "Upload failed.";
-                        $("#s3-upload-status").html('<span style="color: red;">Error: ' + errorMsg + '</span>');
-                        resetS3Form();
+                        var errorMsg = response.data ? response.data.message : "Export failed to start.";
+                        showError("Error: " + errorMsg);
+                        self.transition('idle');
                     }
                 },
                 error: function(xhr, status, error) {
-                    errorCount++;
-                    console.log('S3 status check error #' + errorCount + ':', {status: status, error: error, xhr: xhr});
-                    
-                    if (errorCount >= maxErrors) {
-                        clearInterval(s3StatusInterval);
-                        $("#s3-upload-status").html('<span style="color: red;">Connection error. Please check the status manually.</span>');
-                        resetS3Form();
+                    if (status === 'timeout') {
+                        // Keep polling anyway in case the export actually started
+                        self.transition('starting', { message: 'Export may be starting in background. Checking status...' });
+                        self.schedulePoll(self.basePollDelay);
                     } else {
-                        // Continue checking but show temporary error
-                        $("#s3-upload-status").html('<div class="spinner is-active" style="float: none; margin: 0 10px 0 0;"></div><span>Checking upload status... (retry ' + errorCount + ')</span>');
+                        showError("Server error occurred. Please try again.");
+                        self.transition('idle');
                     }
+                    
+                    console.log('Export start error:', {status: status, error: error, xhr: xhr});
                 }
             });
-        }, 3000);
-    }
-    
-    // Enhanced status checking function with better stuck detection and recovery
-    function startStatusCheck() {
-        consecutiveErrors = 0;
-        lastStatusUpdate = Date.now();
-        
-        // Clear any existing interval
-        if (statusCheckInterval) {
-            clearInterval(statusCheckInterval);
-        }
+        },
         
-        // Check status every 3 seconds
-        statusCheckInterval = setInterval(function() {
+        // Ask the server to pause, cancel or resume the export
+        sendControl: function(action, done) {
+            var self = this;
+            
+            $("#export-actions button").prop('disabled', true);
+            
             $.ajax({
                 url: cm_ajax.ajax_url,
                 type: 'POST',
                 data: {
-                    action: 'cm_check_status',
+                    action: action,
                     nonce: cm_ajax.nonce
                 },
-                timeout: 15000, // 15 second timeout
+                timeout: 30000,
                 success: function(response) {
-                    consecutiveErrors = 0; // Reset error count on success
-                    lastStatusUpdate = Date.now();
-                    
+                    $("#export-actions button").prop('disabled', false);
                     if (response.success) {
-                        var status = response.data.status;
-                        var timeSinceUpdate = response.data.time_since_update || 0;
-                        
-                        if (status === 'paused_resuming') {
-                            // Display detailed paused status with progress information
-                            var progressInfo = response.data.progress;
-                            var statusMessage = "Export paused after processing " + 
-                                progressInfo.files_processed + " files (" + 
-                                progressInfo.bytes_processed + "). Resuming automatically...";
-                            
-                            $("#export-status-text").text(statusMessage);
-                            
-                            // Show progress info in a nice format
-                            if (progressInfo.last_update) {
-                                $("#export-log-preview").html(
-                                    '<div class="resume-progress-info">' +
-                                    '<p><strong>Progress:</strong> ' + progressInfo.files_processed + ' files processed</p>' +
-                                    '<p><strong>Data Processed:</strong> ' + progressInfo.bytes_processed + '</p>' +
-                                    '<p><strong>Last Update:</strong> ' + progressInfo.last_update + '</p>' +
-                                    '</div>'
-                                ).show();
-                            }
-                        } else if (status === 'done') {
-                            clearInterval(statusCheckInterval);
-                            $("#export-status-text").text("Export completed successfully! Refreshing...");
-                            setTimeout(function() {
-                                window.location.reload();
-                            }, 2000);
-                        } else if (status.endsWith('_stuck')) {
-                            // Handle stuck status with appropriate user feedback
-                            var baseStatus = status.replace('_stuck', '');
-                            var minutes = Math.round(timeSinceUpdate / 60);
-                            var statusText = capitalizeFirstLetter(baseStatus) + " (may be stuck - no activity for " + minutes + " minutes)...";
-                            $("#export-status-text").text(statusText);
-                            
-                            // Show warning after extended stuck time
-                            if (timeSinceUpdate > 900) { // 15 minutes
-                                showWarning("Export appears to be stuck. Consider refreshing the page or restarting the export.");
-                            }
-                        } else {
-                            // Regular status updates with time information
-                            var statusText = capitalizeFirstLetter(status) + "...";
-                            if (timeSinceUpdate > 300) { // 5+ minutes
-                                statusText += " (processing for " + Math.round(timeSinceUpdate / 60) + " min)";
-                            }
-                            $("#export-status-text").text(statusText);
-                            
-                            // Update progress log if available
-                            if (response.data.recent_log) {
-                                var logLines = response.data.recent_log.split("\n");
-                                var latestLog = "";
-                                // Find the most recent non-empty log line
-                                for (var i = logLines.length - 1; i >= 0; i--) {
-                                    if (logLines[i].trim()) {
-                                        latestLog = logLines[i].trim();
-                                        break;
-                                    }
-                                }
-                                if (latestLog) {
-                                    $("#export-log-preview").text(latestLog).show();
-                                }
-                            }
-                        }
+                        done(response.data || {});
                     } else {
-                        // Error occurred
-                        clearInterval(statusCheckInterval);
-                        var errorMsg = response.data ? response.data.message : "Export failed.";
-                        $("#export-status-text").text("Error: " + errorMsg);
-                        $("#start-export").prop('disabled', false);
-                        showError("Export error: " + errorMsg);
-                        
-                        setTimeout(function() {
-                            window.location.reload();
-                        }, 5000);
+                        showError(response.data && response.data.message ? response.data.message : "The request failed.");
+                        self.poll(false);
                     }
                 },
-                error: function(xhr, status, error) {
-                    consecutiveErrors++;
-                    console.log('Status check error #' + consecutiveErrors + ':', {status: status, error: error, xhr: xhr});
-                    
-                    if (consecutiveErrors >= maxConsecutiveErrors) {
-                        clearInterval(statusCheckInterval);
-                        $("#export-status-text").text("Connection lost. Please refresh the page to check status.");
-                        $("#start-export").prop('disabled', false);
-                        showError("Lost connection to server. Please refresh the page to check export status.");
-                    } else {
-                        // Show temporary connection issue but continue trying
-                        $("#export-status-text").text("Checking status... (connection issue, retry " + consecutiveErrors + ")");
-                        
-                        if (status === 'timeout') {
-                            // Increase interval on timeout to reduce server load
-                            clearInterval(statusCheckInterval);
-                            setTimeout(function() {
-                                if (consecutiveErrors < maxConsecutiveErrors) {
-                                    startStatusCheck();
-                                }
-                            }, 5000); // Restart with 5 second delay
-                        }
-                    }
+                error: function() {
+                    $("#export-actions button").prop('disabled', false);
+                    showError("Server error occurred. Please try again.");
                 }
             });
-        }, 3000);
-    }
-    
-    // Helper function to show error messages with proper styling
-    function showError(message) {
-        // Create or update error notice
-        var errorNotice = $('.custom-migrator .notice-error.js-generated');
-        if (errorNotice.length === 0) {
-            errorNotice = $('<div class="notice notice-error is-dismissible js-generated"><p></p></div>');
-            $('.custom-migrator h1').after(errorNotice);
-        }
-        errorNotice.find('p').text(message);
-        errorNotice.show();
+        },
         
-        // Scroll to top to show error
-        $('html, body').animate({scrollTop: 0}, 500);
+        pause: function() {
+            var self = this;
+            
+            self.sendControl('cm_pause_export', function(data) {
+                self.serverStatus = data.status;
+                self.transition(self.mapServerStatus(data.status), data);
+                if (self.isActive()) {
+                    self.schedulePoll(self.basePollDelay);
+                }
+            });
+        },
         
-        // Auto-hide after 10 seconds
-        setTimeout(function() {
-            errorNotice.fadeOut();
-        }, 10000);
-    }
-    
-    // Helper function to show warning messages
-    function showWarning(message) {
-        var warningNotice = $('.custom-migrator .notice-warning.js-generated');
-        if (warningNotice.length === 0) {
-            warningNotice = $('<div class="notice notice-warning is-dismissible js-generated"><p></p></div>');
-            $('.custom-migrator h1').after(warningNotice);
-        }
-        warningNotice.find('p').text(message);
-        warningNotice.show();
+        resume: function() {
+            var self = this;
+            
+            self.sendControl('cm_resume_export', function(data) {
+                self.serverStatus = data.status;
+                self.transition('exporting', data);
+                self.schedulePoll(self.basePollDelay);
+            });
+        },
         
-        // Auto-hide after 15 seconds
+        cancel: function() {
+            var self = this;
+            
+            if (!window.confirm("Cancel the export and delete its partial files?")) {
+                return;
+            }
+            
+            self.sendControl('cm_cancel_export', function() {
+                self.serverStatus = 'cancelled';
+                self.transition('idle');
+            });
+        },
+        
+        schedulePoll: function(delay) {
+            var self = this;
+            
+            self.stopPolling();
+            self.pollTimer = setTimeout(function() {
+                self.pollTimer = null;
+                self.poll(false);
+            }, delay);
+        },
+        
+        stopPolling: function() {
+            if (this.pollTimer) {
+                clearTimeout(this.pollTimer);
+                this.pollTimer = null;
+            }
+        },
+        
+        poll: function(restoring) {
+            var self = this;
+            
+            $.ajax({
+                url: cm_ajax.ajax_url,
+                type: 'POST',
+                data: {
+                    action: 'cm_check_status',
+                    nonce: cm_ajax.nonce
+                },
+                timeout: 15000, // 15 second timeout
+                cache: false,
+                success: function(response) {
+                    self.handleResponse(response, restoring);
+                },
+                error: function(xhr, status, error) {
+                    self.handlePollError(status, error, xhr);
+                }
+            });
+        },
+        
+        handleResponse: function(response, restoring) {
+            var data = response.data || {};
+            var state = this.mapServerStatus(data.status);
+            
+            // The fallback export owns the page while it runs
+            if (this.fallbackActive) {
+                return;
+            }
+            
+            this.consecutiveErrors = 0;
+            this.lastSuccessAt = Date.now();
+            this.connectionWarned = false;
+            
+            if (!response.success && data.status !== 'not_started') {
+                // Any other error response means the export has failed
+                state = 'error';
+            }
+            
+            this.serverStatus = data.status || null;
+            
+            // On a fresh page load a finished export is already rendered by PHP,
+            // so settle quietly instead of reloading the page again.
+            if (restoring && !this.isActive(state) && state !== 'held') {
+                this.transition('idle', data);
+                return;
+            }
+            
+            // Nothing has been written yet right after starting, keep waiting
+            if (state === 'idle' && this.state === 'starting') {
+                state = 'starting';
+            }
+            
+            this.transition(state, data);
+            
+            if (this.isActive()) {
+                this.pollDelay = state === 'stuck' ? this.stuckPollDelay : this.basePollDelay;
+                this.schedulePoll(this.pollDelay);
+            }
+        },
+        
+        handlePollError: function(status, error, xhr) {
+            if (this.fallbackActive) {
+                return;
+            }
+            
+            this.consecutiveErrors++;
+            console.log('Status check error #' + this.consecutiveErrors + ':', {status: status, error: error, xhr: xhr});
+            
+            if (this.consecutiveErrors >= this.maxConsecutiveErrors) {
+                showError("Lost connection to server. Please refresh the page to check export status.");
+                this.transition('error', { message: 'Connection lost. Please refresh the page to check status.', connection: true });
+                return;
+            }
+            
+            // Warn once if the status hasn't updated for a while
+            if (this.lastSuccessAt && !this.connectionWarned && Date.now() - this.lastSuccessAt > 60000) {
+                this.connectionWarned = true;
+                showWarning("Connection may be unstable. Export status hasn't updated in " + 
+                          Math.round((Date.now() - this.lastSuccessAt) / 1000) + " seconds.");
+            }
+            
+            if (this.isActive()) {
+                this.renderText("Checking status... (connection issue, retry " + this.consecutiveErrors + ")");
+            }
+            
+            // Back off exponentially to reduce server load
+            this.pollDelay = Math.min(this.basePollDelay * Math.pow(2, this.consecutiveErrors), this.maxPollDelay);
+            this.schedulePoll(this.pollDelay);
+        },
+        
+        transition: function(state, data) {
+            var previous = this.state;
+            
+            data = data || {};
+            this.state = state;
+            
+            if (!this.isActive()) {
+                this.stopPolling();
+            }
+            
+            this.render(previous, data);
+        },
+        
+        render: function(previous, data) {
+            var timeSinceUpdate = data.time_since_update || 0;
+            var statusText;
+            
+            this.renderStatusDisplay(data);
+            this.renderProgress(this.isActive() || this.state === 'done' ? data.progress : null);
+            
+            switch (this.state) {
+                case 'idle':
+                    $("#export-progress").hide();
+                    // An export can be cancelled from outside this page, e.g. through the REST API
+                    if (this.serverStatus === 'cancelled' && previous !== 'idle') {
+                        showWarning("The export was cancelled.");
+                    }
+                    break;
+                    
+                case 'starting':
+                case 'exporting':
+                case 'exporting_database':
+                    $("#export-progress").show().find('.spinner').addClass('is-active');
+                    statusText = data.message || (this.serverStatus ? capitalizeFirstLetter(this.serverStatus) + "..." : "Starting export...");
+                    if (timeSinceUpdate > 300) { // 5+ minutes
+                        statusText += " (processing for " + Math.round(timeSinceUpdate / 60) + " min)";
+                    }
+                    this.renderText(statusText);
+                    this.renderLatestLogLine(data.recent_log);
+                    break;
+                    
+                case 'paused':
+                    $("#export-progress").show().find('.spinner').addClass('is-active');
+                    var progressInfo = data.progress || {};
+                    this.renderText("Export paused after processing " + 
+                        (progressInfo.files_processed || 0) + " files (" + 
+                        (progressInfo.bytes_processed || '0 B') + "). Resuming automatically...");
+                    
+                    if (progressInfo.last_update) {
+                        $("#export-log-preview").html(
+                            '<div class="resume-progress-info">' +
+                            '<p><strong>Progress:</strong> ' + progressInfo.files_processed + ' files processed</p>' +
+                            '<p><strong>Data Processed:</strong> ' + progressInfo.bytes_processed + '</p>' +
+                            '<p><strong>Last Update:</strong> ' + progressInfo.last_update + '</p>' +
+                            '</div>'
+                        ).show();
+                    }
+                    break;
+                    
+                case 'pausing':
+                    $("#export-progress").show().find('.spinner').addClass('is-active');
+                    this.renderText(data.message || "Pausing after the current batch...");
+                    break;
+                    
+                case 'held':
+                    $("#export-progress").show().find('.spinner').removeClass('is-active');
+                    this.renderText(data.message || "Export is paused. Click Resume to continue where it stopped.");
+                    break;
+                    
+                case 'stuck':
+                    $("#export-progress").show().find('.spinner').addClass('is-active');
+                    var baseStatus = (this.serverStatus || 'exporting').replace(/_stuck$/, '');
+                    this.renderText(capitalizeFirstLetter(baseStatus) + " (may be stuck - no activity for " + Math.round(timeSinceUpdate / 60) + " minutes)...");
+                    
+                    // Show warning once after extended stuck time
+                    if (timeSinceUpdate > 900 && !this.stuckWarned) { // 15 minutes
+                        this.stuckWarned = true;
+                        showWarning("Export appears to be stuck. Consider refreshing the page or restarting the export.");
+                    }
+                    break;
+                    
+                case 'done':
+                    $("#export-progress").show().find('.spinner').removeClass('is-active');
+                    this.renderText("Export completed successfully! Refreshing...");
+                    setTimeout(function() {
+                        window.location.reload();
+                    }, 2000);
+                    break;
+                    
+                case 'error':
+                    $("#export-progress").show().find('.spinner').removeClass('is-active');
+                    var errorMsg = data.message || "Export failed.";
+                    if (data.connection) {
+                        this.renderText(errorMsg);
+                        break;
+                    }
+                    this.renderText("Error: " + errorMsg);
+                    showError("Export error: " + errorMsg);
+                    
+                    if (this.isActive(previous)) {
+                        setTimeout(function() {
+                            window.location.reload();
+                        }, 5000);
+                    }
+                    break;
+            }
+            
+            this.renderButton();
+        },
+        
+        // Weighted progress bar with throughput and estimated time remaining
+        renderProgress: function(progress) {
+            if (!progress || typeof progress.percent === 'undefined') {
+                $("#export-progress-bar, #export-progress-details").hide();
+                return;
+            }
+            
+            var percent = Math.min(100, parseFloat(progress.percent) || 0);
+            var parts = [percent.toFixed(1) + '%'];
+            var phase = progress.phase && progress.phases ? progress.phases[progress.phase] : null;
+            
+            if (phase) {
+                var label = this.phaseLabels[progress.phase] || capitalizeFirstLetter(progress.phase);
+                if (phase.items_total > 0) {
+                    label += ': ' + phase.items_done + ' / ' + phase.items_total;
+                }
+                parts.push(label);
+            }
+            
+            if (progress.bytes_per_second > 0) {
+                parts.push((progress.bytes_per_second / (1024 * 1024)).toFixed(2) + ' MB/s');
+            }
+            
+            if (progress.eta_seconds > 0) {
+                parts.push('about ' + formatDuration(progress.eta_seconds) + ' remaining');
+            }
+            
+            $("#export-progress-bar").show().find('.export-progress-bar-inner').css('width', percent + '%');
+            $("#export-progress-details").text(parts.join(' \u00b7 ')).show();
+        },
+        
+        renderText: function(text) {
+            $("#export-status-text").text(text);
+        },
+        
+        renderButton: function() {
+            var busy = this.isActive() || this.state === 'held' || this.state === 'done' || this.fallbackActive || this.analyzing;
+            var controllable = (this.isActive() || this.state === 'held') && !this.fallbackActive;
+            
+            $("#start-export").prop('disabled', busy || !this.startAllowed);
+            $("#export-actions").toggle(controllable);
+            $("#pause-export").toggle(controllable && this.state !== 'held' && this.state !== 'pausing');
+            $("#resume-export").toggle(this.state === 'held');
+        },
+        
+        // Show the most recent non-empty log line under the status text
+        renderLatestLogLine: function(recentLog) {
+            if (!recentLog) {
+                return;
+            }
+            
+            var logLines = recentLog.split("\n");
+            for (var i = logLines.length - 1; i >= 0; i--) {
+                if (logLines[i].trim()) {
+                    $("#export-log-preview").text(logLines[i].trim()).show();
+                    return;
+                }
+            }
+        },
+        
+        // Mirror the raw status file value in the status display box
+        renderStatusDisplay: function(data) {
+            var status = this.serverStatus;
+            
+            if (!status || status === 'not_started') {
+                $('#export-status-content').text('-');
+                $('#export-status-display').hide();
+                return;
+            }
+            
+            if (status === 'error' && data.message) {
+                status = 'error: ' + data.message;
+            }
+            
+            $('#export-status-content').text(status);
+            $('#export-status-display').show();
+        },
+        
+        // The fallback export drives its own progress box, keep the main one out of the way
+        setFallbackActive: function(active) {
+            this.fallbackActive = !!active;
+            
+            if (this.fallbackActive) {
+                this.stopPolling();
+                this.state = 'idle';
+                $("#export-progress").hide();
+            }
+            
+            this.renderButton();
+        },
+        
+        // The pre-export analysis holds the start button until it is confirmed or dismissed
+        setAnalyzing: function(active) {
+            this.analyzing = !!active;
+            this.renderButton();
+        }
+    };
+    
+    // Exposed for the fallback export functions defined outside document.ready
+    window.cmExportController = exportController;
+    
+    $("#pause-export").on("click", function(e) {
+        e.preventDefault();
+        exportController.pause();
+    });
+    
+    $("#resume-export").on("click", function(e) {
+        e.preventDefault();
+        exportController.resume();
+    });
+    
+    $("#cancel-export").on("click", function(e) {
+        e.preventDefault();
+        exportController.cancel();
+    });
+    
+    $("#pause-fallback-export").on("click", function(e) {
+        e.preventDefault();
+        pauseFallbackExport();
+    });
+    
+    $("#resume-fallback-export").on("click", function(e) {
+        e.preventDefault();
+        resumeFallbackExport();
+    });
+    
+    $("#cancel-fallback-export").on("click", function(e) {
+        e.preventDefault();
+        cancelFallbackExport();
+    });
+    
+    // Pick up any export already in progress, including after a page reload
+    exportController.restore();
+    
+    // Only start S3 status monitoring if S3 upload section exists and is visible
+    if ($('.s3-upload-section').length > 0 && $('.s3-upload-section').is(':visible')) {
+        startS3StatusDisplay();
+    }
+    
+    // Analyze the site first; the export only starts once the user confirms the report
+    $("#start-export").on("click", function(e) {
+        e.preventDefault();
+
+        if (exportController.isActive()) {
+            return;
+        }
+
+        exportController.setAnalyzing(true);
+        $("#export-analysis-report").empty();
+        $("#export-analysis-actions").hide();
+        $("#export-analysis-status").show();
+        $("#export-analysis-status-text").text('Analyzing site...');
+        $("#export-analysis").show();
+
+        analysisRetries = 0;
+        sendAnalysisRequest(true);
+    });
+
+    $("#confirm-export").on("click", function(e) {
+        e.preventDefault();
+        $("#export-analysis").hide();
+        exportController.start();
+    });
+
+    $("#cancel-analysis").on("click", function(e) {
+        e.preventDefault();
+        $("#export-analysis").hide();
+        exportController.setAnalyzing(false);
+    });
+
+    var analysisRetries = 0;
+    var analysisPhaseLabels = {
+        files: 'Scanning wp-content',
+        exclusions: 'Measuring excluded folders',
+        database: 'Reading database tables'
+    };
+
+    // Each request scans for a limited time; keep going until the report is done
+    function sendAnalysisRequest(restart) {
+        $.ajax({
+            url: cm_ajax.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'cm_analyze_site',
+                nonce: cm_ajax.nonce,
+                restart: restart ? 1 : 0
+            },
+            timeout: 120000,
+            success: function(response) {
+                if (!response.success) {
+                    failAnalysis(response.data ? response.data.message : 'Site analysis failed.');
+                    return;
+                }
+
+                analysisRetries = 0;
+                var report = response.data;
+
+                if (report.phase !== 'done') {
+                    $("#export-analysis-status-text").text(
+                        (analysisPhaseLabels[report.phase] || 'Analyzing') + '... ' +
+                        report.files.count + ' files (' + formatFileSize(report.files.size) + ') found so far'
+                    );
+                    setTimeout(function() { sendAnalysisRequest(false); }, 300);
+                    return;
+                }
+
+                $("#export-analysis-status").hide();
+                renderAnalysisReport(report);
+                $("#export-analysis-actions").show();
+            },
+            error: function(xhr, status, error) {
+                console.log('Site analysis request error:', {status: status, error: error, xhr: xhr});
+
+                // The server keeps the scan position, so a retry continues where it stopped
+                if (analysisRetries < 3) {
+                    analysisRetries++;
+                    setTimeout(function() { sendAnalysisRequest(false); }, 3000 * analysisRetries);
+                } else {
+                    failAnalysis('Lost connection during the site analysis.');
+                }
+            }
+        });
+    }
+
+    function failAnalysis(message) {
+        $("#export-analysis").hide();
+        exportController.setAnalyzing(false);
+        showError("Error: " + message);
+    }
+
+    // Build a two-column table of paths or names with their sizes
+    function buildAnalysisTable(rows, firstHeader, extraHeader, extraValue) {
+        var $table = $('<table class="widefat striped"><thead><tr></tr></thead><tbody></tbody></table>');
+        var $head = $table.find('thead tr').append($('<th></th>').text(firstHeader));
+        if (extraHeader) {
+            $head.append($('<th></th>').text(extraHeader));
+        }
+        $head.append('<th>Size</th>');
+
+        $.each(rows, function(index, row) {
+            var $row = $('<tr></tr>').append($('<td></td>').text(row.path || row.name));
+            if (extraHeader) {
+                $row.append($('<td></td>').text(extraValue(row)));
+            }
+            $row.append($('<td></td>').text(formatFileSize(row.size)));
+            $table.find('tbody').append($row);
+        });
+
+        return $table;
+    }
+
+    function renderAnalysisReport(report) {
+        var $report = $("#export-analysis-report").empty();
+        var estimate = report.estimate;
+        var disk = report.disk_space;
+
+        var $summary = $('<ul></ul>');
+        $summary.append($('<li></li>').text('Files: ' + report.files.count + ' (' + formatFileSize(report.files.size) + ')' + (report.files.errors ? ', ' + report.files.errors + ' unreadable' : '')));
+        $summary.append($('<li></li>').text('Database: ' + report.table_count + ' tables (' + formatFileSize(report.database_size) + ')'));
+        $summary.append($('<li></li>').text('Estimated export size: ' + formatFileSize(estimate.total_size)));
+        $summary.append($('<li></li>').text('Estimated duration: about ' + formatDuration(estimate.seconds)));
+        $summary.append($('<li></li>').text('Disk space: ' + disk.message + ' (needs ' + formatFileSize(disk.required) + ', ' + formatFileSize(disk.available) + ' free)').toggleClass('analysis-warning', !disk.sufficient));
+        if (report.database_error) {
+            $summary.append($('<li class="analysis-warning"></li>').text('Database could not be analyzed: ' + report.database_error));
+        }
+        $report.append($summary);
+
+        if (report.oversized.count > 0) {
+            $report.append($('<h4 class="analysis-warning"></h4>').text(report.oversized.count + ' files over ' + formatFileSize(report.max_file_size) + ' will be skipped (' + formatFileSize(report.oversized.size) + ')'));
+            $report.append(buildAnalysisTable(report.oversized.files, 'File'));
+        }
+
+        $report.append($('<h4></h4>').text('Largest directories'));
+        $report.append(buildAnalysisTable(report.largest_dirs, 'Directory'));
+
+        $report.append($('<h4></h4>').text('Largest files'));
+        $report.append(buildAnalysisTable(report.largest_files, 'File'));
+
+        $report.append($('<h4></h4>').text('Largest tables'));
+        $report.append(buildAnalysisTable(report.largest_tables, 'Table', 'Rows', function(row) { return row.rows; }));
+
+        $report.append($('<h4></h4>').text('Excluded from the export'));
+        $report.append(buildAnalysisTable(report.excluded_dirs, 'Directory'));
+        if (report.excluded_files.count > 0) {
+            $report.append($('<p></p>').text(report.excluded_files.count + ' more files (' + formatFileSize(report.excluded_files.size) + ') match backup, log or cache patterns. Largest:'));
+            $report.append(buildAnalysisTable(report.excluded_files.largest, 'File'));
+        }
+    }
+    
+    // S3 Upload form with enhanced validation and error handling
+    $("#upload-to-s3").on("click", function(e) {
+        e.preventDefault();
+        
+        var data = {
+            action: 'cm_upload_to_s3',
+            nonce: cm_ajax.nonce,
+            run_id: $("#s3-upload-run-id").val()
+        };
+        var hasUrl = false;
+        
+        // Collect single URLs and multipart part lists for each file, including every archive volume
+        $("#s3-upload-form input[name^='s3_url_']").each(function() {
+            var fileType = this.name.substring('s3_url_'.length);
+            var singleUrl = $("input[name='s3_url_" + fileType + "']").val().trim();
+            var partUrls = $("textarea[name='s3_parts_" + fileType + "']").val().trim();
+            var completeUrl = $("input[name='s3_complete_" + fileType + "']").val().trim();
+            
+            data['s3_url_' + fileType] = singleUrl;
+            data['s3_parts_' + fileType] = partUrls;
+            data['s3_complete_' + fileType] = completeUrl;
+            
+            if (singleUrl || partUrls) {
+                hasUrl = true;
+            }
+        });
+        
+        // Validate that at least one URL is provided
+        if (!hasUrl) {
+            showError("Please provide at least one pre-signed URL for upload.");
+            return false;
+        }
+        
+        // Show loading indicator
+        $(this).prop('disabled', true);
+        $("#resume-s3-upload").hide();
+        $("#s3-upload-spinner").addClass("is-active");
+        $("#s3-upload-status").show().html('<div class="spinner is-active" style="float: none; margin: 0 10px 0 0;"></div><span>Starting S3 upload...</span>');
+        
+        s3UploadRetries = 0;
+        sendS3UploadRequest(data);
+        startS3StatusCheck();
+    });
+    
+    // Resume an interrupted upload, keeping the parts S3 already accepted
+    $("#resume-s3-upload").on("click", function(e) {
+        e.preventDefault();
+        
+        $(this).hide();
+        $("#upload-to-s3").prop('disabled', true);
+        $("#s3-upload-spinner").addClass("is-active");
+        $("#s3-upload-status").show().html('<div class="spinner is-active" style="float: none; margin: 0 10px 0 0;"></div><span>Resuming S3 upload...</span>');
+        
+        continueS3Upload();
+        startS3StatusCheck();
+    });
+    
+    // Send every export file to a saved destination; the upload then runs like an S3 upload
+    $("#upload-to-destination").on("click", function(e) {
+        e.preventDefault();
+        
+        var destination = $("#s3-upload-destination").val();
+        if (!destination) {
+            showError("Please choose a destination.");
+            return false;
+        }
+        
+        $(this).prop('disabled', true);
+        $("#upload-to-s3").prop('disabled', true);
+        $("#resume-s3-upload").hide();
+        $("#s3-upload-spinner").addClass("is-active");
+        $("#s3-upload-status").show().html('<div class="spinner is-active" style="float: none; margin: 0 10px 0 0;"></div><span></span>')
+            .find('span').last().text('Starting upload to ' + destination + '...');
+        
+        s3UploadRetries = 0;
+        sendS3UploadRequest({
+            action: 'cm_upload_to_s3',
+            nonce: cm_ajax.nonce,
+            run_id: $("#s3-upload-run-id").val(),
+            destination: destination
+        });
+        startS3StatusCheck();
+    });
+    
+    var s3UploadRetries = 0;
+    var maxS3UploadRetries = 5;
+    
+    // Ask the server for the next upload slice
+    function continueS3Upload() {
+        sendS3UploadRequest({
+            action: 'cm_upload_to_s3',
+            nonce: cm_ajax.nonce,
+            resume: 1
+        });
+    }
+    
+    // Each request uploads for a limited time; keep going until the server reports completion
+    function sendS3UploadRequest(data) {
+        $.ajax({
+            url: cm_ajax.ajax_url,
+            type: 'POST',
+            data: data,
+            timeout: 120000, // A slice uploads for about 20 seconds plus the part in flight
+            success: function(response) {
+                if (response.success) {
+                    s3UploadRetries = 0;
+                    renderS3UploadProgress(response.data.progress);
+                    
+                    if (!response.data.completed) {
+                        setTimeout(continueS3Upload, response.data.busy ? 5000 : 500);
+                    } else {
+                        // The status check shows the result and reloads the page
+                        startS3StatusCheck();
+                    }
+                } else {
+                    var errorMsg = response.data ? response.data.message : "Upload failed.";
+                    showError("Error: " + errorMsg);
+                    if (response.data) {
+                        renderS3UploadProgress(response.data.progress);
+                    }
+                    resetS3Form(response.data && response.data.resumable);
+                }
+            },
+            error: function(xhr, status, error) {
+                console.log('S3 upload request error:', {status: status, error: error, xhr: xhr});
+                
+                // Finished parts are kept on the server, so a retry only repeats the part in flight
+                if (s3UploadRetries < maxS3UploadRetries) {
+                    s3UploadRetries++;
+                    setTimeout(continueS3Upload, 5000 * s3UploadRetries);
+                } else {
+                    showError("Lost connection during the upload. Use Resume Upload to continue where it stopped.");
+                    resetS3Form(true);
+                }
+            }
+        });
+    }
+    
+    // Show bytes sent for each file being uploaded
+    function renderS3UploadProgress(progress) {
+        if (!progress || $.isEmptyObject(progress)) {
+            return;
+        }
+        
+        var $container = $("#s3-upload-progress").empty().show();
+        
+        $.each(progress, function(fileType, info) {
+            var percent = info.size > 0 ? Math.min(100, (info.bytes_sent / info.size) * 100) : (info.completed ? 100 : 0);
+            var label = fileType + ': ' + formatFileSize(info.bytes_sent) + ' / ' + formatFileSize(info.size) + ' (' + percent.toFixed(1) + '%)';
+            
+            if (info.parts_total) {
+                label += ' \u00b7 ' + info.parts_done + ' / ' + info.parts_total + ' parts';
+            }
+            if (info.completed) {
+                label += ' \u00b7 done';
+            }
+            
+            var $row = $('<div class="s3-upload-file-progress"></div>');
+            $row.append($('<div class="export-progress-details"></div>').text(label));
+            $row.append('<div class="export-progress-bar"><div class="export-progress-bar-inner" style="width: ' + percent + '%;"></div></div>');
+            $container.append($row);
+        });
+    }
+    
+    // Pick up an upload that was running when the page was reloaded
+    if ($('.s3-upload-section').length > 0) {
+        $.ajax({
+            url: cm_ajax.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'cm_check_s3_status',
+                nonce: cm_ajax.nonce
+            },
+            timeout: 15000,
+            success: function(response) {
+                var data = response.data || {};
+                
+                if (!data.resumable) {
+                    return;
+                }
+                
+                renderS3UploadProgress(data.progress);
+                
+                if (response.success && data.status && (data.status === 'starting' || data.status === 'finishing' || data.status.indexOf('uploading_') === 0)) {
+                    $("#upload-to-s3, #upload-to-destination").prop('disabled', true);
+                    $("#s3-upload-spinner").addClass("is-active");
+                    $("#s3-upload-status").show().html('<div class="spinner is-active" style="float: none; margin: 0 10px 0 0;"></div><span>Resuming S3 upload...</span>');
+                    continueS3Upload();
+                    startS3StatusCheck();
+                } else if (!response.success) {
+                    $("#resume-s3-upload").show();
+                }
+            }
+        });
+    }
+    
+    var verifyPhaseLabels = {
+        files: 'Checking archived files',
+        archive_hash: 'Checking archive checksum',
+        volume_hash: 'Checking volume checksums',
+        database_hash: 'Checking database checksum',
+        done: 'Verification finished'
+    };
+    var verifyRetries = 0;
+
+    // Verify the export files against their checksum manifest
+    $("#verify-export").on("click", function(e) {
+        e.preventDefault();
+
+        $(this).prop('disabled', true);
+        $("#verify-export-spinner").addClass("is-active");
+        $("#verify-export-status").hide();
+        $("#verify-export-mismatches").empty().hide();
+
+        verifyRetries = 0;
+        sendVerifyRequest(true);
+    });
+
+    // Each request verifies for a limited time; keep going until the server reports done
+    function sendVerifyRequest(restart) {
+        $.ajax({
+            url: cm_ajax.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'cm_verify_export',
+                nonce: cm_ajax.nonce,
+                restart: restart ? 1 : 0
+            },
+            timeout: 600000, // Whole-file checksums of large archives run in a single request
+            success: function(response) {
+                if (!response.success) {
+                    finishVerify('<span style="color: red;">' + $('<div>').text(response.data ? response.data.message : 'Verification failed.').html() + '</span>');
+                    return;
+                }
+
+                verifyRetries = 0;
+                renderVerifyReport(response.data);
+
+                if (response.data.phase !== 'done') {
+                    setTimeout(function() { sendVerifyRequest(false); }, 300);
+                }
+            },
+            error: function(xhr, status, error) {
+                console.log('Verify request error:', {status: status, error: error, xhr: xhr});
+
+                // The server keeps its position, so a retry continues where it stopped
+                if (verifyRetries < 3) {
+                    verifyRetries++;
+                    setTimeout(function() { sendVerifyRequest(false); }, 3000 * verifyRetries);
+                } else {
+                    finishVerify('<span style="color: red;">Lost connection during verification. Click Verify Export to try again.</span>');
+                }
+            }
+        });
+    }
+
+    // Show verification progress and the files that do not match
+    function renderVerifyReport(report) {
+        var details = [report.percent + '%', verifyPhaseLabels[report.phase] || report.phase];
+
+        if (report.files_total > 0) {
+            details.push(report.files_checked + ' / ' + report.files_total + ' files');
+        } else {
+            details.push(report.files_checked + ' files');
+        }
+        if (report.mismatch_count > 0) {
+            details.push(report.mismatch_count + ' mismatches');
+        }
+
+        $("#verify-export-progress").show();
+        $("#verify-export-progress .export-progress-bar-inner").css('width', report.percent + '%');
+        $("#verify-export-details").text(details.join(' · '));
+
+        var $list = $("#verify-export-mismatches").empty();
+        $.each(report.mismatches || [], function(index, mismatch) {
+            $list.append($('<li></li>').text((mismatch.path ? mismatch.path + ': ' : '') + mismatch.issue));
+        });
+        if (report.mismatch_count > report.mismatches.length) {
+            $list.append($('<li></li>').text('... and ' + (report.mismatch_count - report.mismatches.length) + ' more, see the export log'));
+        }
+        $list.toggle(report.mismatch_count > 0);
+
+        if (report.phase !== 'done') {
+            return;
+        }
+
+        if (report.passed && report.has_manifest) {
+            finishVerify('<span style="color: green;"><span class="dashicons dashicons-yes"></span> All ' + report.files_checked + ' files match the checksum manifest.</span>');
+        } else if (report.passed) {
+            finishVerify('<span style="color: #dba617;">Archive structure is valid, but this export has no checksum manifest to compare file contents against.</span>');
+        } else {
+            finishVerify('<span style="color: red;">Verification found ' + report.mismatch_count + ' mismatches.</span>');
+        }
+    }
+
+    function finishVerify(message) {
+        $("#verify-export").prop('disabled', false);
+        $("#verify-export-spinner").removeClass("is-active");
+        $("#verify-export-status").show().html(message);
+    }
+
+    // Browse the archive contents as a lazily loaded folder tree
+    $("#browse-archive").on("click", function(e) {
+        e.preventDefault();
+
+        var $panel = $("#browse-archive-panel");
+        if ($panel.is(':visible')) {
+            $panel.hide();
+            return;
+        }
+
+        $panel.show();
+        if ($("#browse-archive-tree").is(':empty')) {
+            loadArchiveFolder('', 0, $("#browse-archive-tree"));
+        }
+    });
+
+    $("#browse-archive-search").on("submit", function(e) {
+        e.preventDefault();
+
+        var query = $.trim($("#browse-archive-query").val());
+        if (!query) {
+            return;
+        }
+
+        $("#browse-archive-tree").hide();
+        $("#browse-archive-results").empty().show();
+        $("#browse-archive-clear").show();
+        searchArchive(query, 0);
+    });
+
+    $("#browse-archive-clear").on("click", function() {
+        $(this).hide();
+        $("#browse-archive-query").val('');
+        $("#browse-archive-results").hide().empty();
+        $("#browse-archive-tree").show();
+    });
+
+    // The first requests index the archive; repeat them until the server answers with a listing
+    function sendBrowseRequest(data, onReady) {
+        $("#browse-archive-spinner").addClass("is-active");
+
+        $.ajax({
+            url: cm_ajax.ajax_url,
+            type: 'POST',
+            data: $.extend({ action: 'cm_browse_archive', nonce: cm_ajax.nonce }, data),
+            timeout: 60000,
+            success: function(response) {
+                if (!response.success) {
+                    $("#browse-archive-spinner").removeClass("is-active");
+                    showError("Error: " + (response.data ? response.data.message : "Cannot read the archive."));
+                    return;
+                }
+
+                var index = response.data.index;
+                if (response.data.indexing) {
+                    $("#browse-archive-status").show().text('Indexing archive... ' + index.percent + '% (' + index.file_count + ' files)');
+                    setTimeout(function() { sendBrowseRequest(data, onReady); }, 300);
+                    return;
+                }
+
+                $("#browse-archive-spinner").removeClass("is-active");
+                $("#browse-archive-status").toggle(!!index.error).text(index.error || '');
+                onReady(response.data);
+            },
+            error: function(xhr, status, error) {
+                console.log('Browse archive request error:', {status: status, error: error, xhr: xhr});
+                $("#browse-archive-spinner").removeClass("is-active");
+                showError("Connection error while reading the archive. Please try again.");
+            }
+        });
+    }
+
+    // Load the subfolders and a page of files of an archive folder into a container
+    function loadArchiveFolder(path, offset, $container) {
+        sendBrowseRequest({ op: 'list', path: path, offset: offset }, function(listing) {
+            var $list = $container.children('ul');
+            if (!$list.length) {
+                $list = $('<ul></ul>').appendTo($container);
+            }
+            $list.children('.archive-load-more').remove();
+
+            if (offset === 0) {
+                $.each(listing.dirs, function(index, dir) {
+                    $list.append(renderArchiveFolder(dir));
+                });
+            }
+
+            $.each(listing.files, function(index, file) {
+                $list.append(renderArchiveFile(file, file.name));
+            });
+
+            if (listing.has_more) {
+                var nextOffset = offset + listing.files.length;
+                $list.append(renderLoadMore(listing.files_total - nextOffset, function() {
+                    loadArchiveFolder(path, nextOffset, $container);
+                }));
+            }
+
+            if (!listing.dirs.length && !listing.files.length) {
+                $list.append($('<li class="description"></li>').text('Empty'));
+            }
+        });
+    }
+
+    function searchArchive(query, offset) {
+        sendBrowseRequest({ op: 'search', query: query, offset: offset }, function(results) {
+            var $container = $("#browse-archive-results");
+            var $list = $container.children('ul');
+            if (!$list.length) {
+                $container.append($('<p></p>').text(results.total + (results.total_capped ? '+' : '') + ' files match "' + query + '"'));
+                $list = $('<ul></ul>').appendTo($container);
+            }
+            $list.children('.archive-load-more').remove();
+
+            $.each(results.files, function(index, file) {
+                $list.append(renderArchiveFile(file, file.path));
+            });
+
+            if (results.has_more) {
+                var nextOffset = offset + results.files.length;
+                $list.append(renderLoadMore(results.total - nextOffset, function() {
+                    searchArchive(query, nextOffset);
+                }));
+            }
+        });
+    }
+
+    function renderArchiveFolder(dir) {
+        var $item = $('<li></li>');
+        var $toggle = $('<span class="archive-folder-toggle"></span>')
+            .append('<span class="dashicons dashicons-category"></span> ')
+            .append($('<strong></strong>').text(dir.name))
+            .append($('<span class="archive-entry-meta"></span>').text(dir.file_count + ' files · ' + formatFileSize(dir.size)));
+        var $children = $('<div class="archive-folder-children"></div>').hide();
+
+        // Folder contents are only requested the first time the folder is opened
+        $toggle.on('click', function() {
+            if (!$item.data('loaded')) {
+                $item.data('loaded', true);
+                loadArchiveFolder(dir.path, 0, $children);
+            }
+            $children.toggle();
+        });
+
+        return $item.append($toggle, $children);
+    }
+
+    function renderArchiveFile(file, label) {
+        var downloadUrl = cm_ajax.ajax_url + '?' + $.param({
+            action: 'cm_download_archive_file',
+            nonce: cm_ajax.nonce,
+            offset: file.offset,
+            volume: file.volume || 0,
+            path: file.path
+        });
+
+        return $('<li></li>')
+            .append('<span class="dashicons dashicons-media-default"></span> ')
+            .append($('<span></span>').text(label))
+            .append($('<span class="archive-entry-meta"></span>').text(formatFileSize(file.size) + ' · ' + new Date(file.mtime * 1000).toLocaleString()))
+            .append(' ')
+            .append($('<a class="archive-entry-download"></a>').attr('href', downloadUrl).text('Download'));
+    }
+
+    function renderLoadMore(remaining, onClick) {
+        return $('<li class="archive-load-more"></li>').append(
+            $('<a href="#"></a>').text('Show more (' + remaining + ' left)').on('click', function(e) {
+                e.preventDefault();
+                onClick();
+            })
+        );
+    }
+
+    // Exclusions editor: profiles, directory tree, patterns, size limit and tables with a live size preview
+    var exclusionEditor = {
+        loaded: false,
+        active: '',
+        profiles: {},
+        tables: [],
+        directories: [],
+        previewRun: 0,
+        previewTimer: null,
+        previewRetries: 0
+    };
+
+    $("#edit-exclusions").on("click", function(e) {
+        e.preventDefault();
+
+        var $panel = $("#exclusions-panel");
+        if ($panel.is(':visible')) {
+            $panel.hide();
+            return;
+        }
+
+        $panel.show();
+        if (!exclusionEditor.loaded) {
+            loadExclusionProfiles(null);
+        }
+    });
+
+    $("#exclusion-profile-select").on("change", function() {
+        editExclusionProfile($(this).val());
+    });
+
+    $("#exclusion-patterns, #exclusion-max-size").on("input", function() {
+        scheduleExclusionPreview();
+    });
+
+    $("#exclusion-tables").on("change", "input[type='checkbox']", function() {
+        var $row = $(this).closest('tr');
+        var skipped = $row.find('.exclusion-table-skip').is(':checked');
+        $row.find('.exclusion-table-data').prop('disabled', skipped);
+        if (skipped) {
+            $row.find('.exclusion-table-data').prop('checked', false);
+        }
+        scheduleExclusionPreview();
+    });
+
+    $("#save-exclusion-profile").on("click", function(e) {
+        e.preventDefault();
+
+        var name = $.trim($("#exclusion-profile-name").val());
+        if (!name) {
+            showError("Please enter a profile name.");
+            return;
+        }
+
+        sendExclusionProfileRequest({
+            op: 'save',
+            name: name,
+            rules: JSON.stringify(collectExclusionRules()),
+            activate: $("#exclusion-profile-activate").is(':checked') ? 1 : 0
+        }, name);
+    });
+
+    $("#activate-exclusion-profile").on("click", function(e) {
+        e.preventDefault();
+        var name = $("#exclusion-profile-select").val();
+        sendExclusionProfileRequest({ op: 'activate', name: name }, name);
+    });
+
+    $("#delete-exclusion-profile").on("click", function(e) {
+        e.preventDefault();
+
+        var name = $("#exclusion-profile-select").val();
+        if (!name || !confirm('Delete the exclusion profile "' + name + '"?')) {
+            return;
+        }
+
+        sendExclusionProfileRequest({ op: 'delete', name: name }, '');
+    });
+
+    function loadExclusionProfiles(selectName) {
+        $("#exclusions-spinner").addClass("is-active");
+
+        $.ajax({
+            url: cm_ajax.ajax_url,
+            type: 'POST',
+            data: { action: 'cm_exclusion_profiles', nonce: cm_ajax.nonce, op: 'get' },
+            timeout: 60000,
+            success: function(response) {
+                $("#exclusions-spinner").removeClass("is-active");
+                if (!response.success) {
+                    showError("Error: " + (response.data ? response.data.message : "Cannot load exclusion profiles."));
+                    return;
+                }
+
+                var data = response.data;
+                exclusionEditor.loaded = true;
+                exclusionEditor.tables = data.tables;
+                $("#exclusion-max-size-hint").text('Default ' + formatFileSize(data.default_max_file_size) + ', at most ' + formatFileSize(data.max_file_size_limit));
+                $("#exclusion-max-size").attr('max', Math.floor(data.max_file_size_limit / 1048576));
+                if (data.database_error) {
+                    $("#exclusion-tables").empty().append($('<p class="analysis-warning"></p>').text('Database tables could not be read: ' + data.database_error));
+                }
+
+                updateExclusionProfiles(data);
+                editExclusionProfile(selectName !== null ? selectName : data.active);
+            },
+            error: function(xhr, status, error) {
+                console.log('Exclusion profiles request error:', {status: status, error: error, xhr: xhr});
+                $("#exclusions-spinner").removeClass("is-active");
+                showError("Connection error while loading exclusion profiles. Please try again.");
+            }
+        });
+    }
+
+    function sendExclusionProfileRequest(data, selectName) {
+        $("#exclusions-spinner").addClass("is-active");
+
+        $.ajax({
+            url: cm_ajax.ajax_url,
+            type: 'POST',
+            data: $.extend({ action: 'cm_exclusion_profiles', nonce: cm_ajax.nonce }, data),
+            timeout: 60000,
+            success: function(response) {
+                $("#exclusions-spinner").removeClass("is-active");
+                if (!response.success) {
+                    showError("Error: " + (response.data ? response.data.message : "Cannot update exclusion profiles."));
+                    return;
+                }
+
+                updateExclusionProfiles(response.data);
+                editExclusionProfile(selectName);
+            },
+            error: function(xhr, status, error) {
+                console.log('Exclusion profiles request error:', {status: status, error: error, xhr: xhr});
+                $("#exclusions-spinner").removeClass("is-active");
+                showError("Connection error while saving exclusion profiles. Please try again.");
+            }
+        });
+    }
+
+    function updateExclusionProfiles(data) {
+        exclusionEditor.active = data.active;
+        exclusionEditor.profiles = $.isArray(data.profiles) ? {} : data.profiles;
+
+        var $select = $("#exclusion-profile-select").empty();
+        $select.append($('<option value=""></option>').text('Default exclusions only' + (data.active === '' ? ' (in use)' : '')));
+        $.each(exclusionEditor.profiles, function(name) {
+            $select.append($('<option></option>').val(name).text(name + (name === data.active ? ' (in use)' : '')));
+        });
+
+        var $label = $("#exclusion-active-profile").empty();
+        if (data.active) {
+            $label.append('Active profile: ').append($('<strong></strong>').text(data.active));
+        } else {
+            $label.text('Default exclusions only');
+        }
+    }
+
+    // Load a saved profile (or the empty rules) into the editor
+    function editExclusionProfile(name) {
+        var rules = exclusionEditor.profiles[name] || { directories: [], patterns: [], max_file_size_mb: 0, tables: [], table_data: [] };
+        name = exclusionEditor.profiles[name] ? name : '';
+
+        $("#exclusion-profile-select").val(name);
+        $("#exclusion-profile-name").val(name);
+        $("#delete-exclusion-profile").toggle(name !== '');
+        $("#activate-exclusion-profile").prop('disabled', name === exclusionEditor.active);
+
+        exclusionEditor.directories = rules.directories.slice();
+        $("#exclusion-patterns").val(rules.patterns.join("\n"));
+        $("#exclusion-max-size").val(rules.max_file_size_mb > 0 ? rules.max_file_size_mb : '');
+
+        renderExclusionTables(rules);
+        $("#exclusion-tree").empty();
+        loadExclusionDirectories('', $("#exclusion-tree"), false);
+        scheduleExclusionPreview();
+    }
+
+    function collectExclusionRules() {
+        var rules = {
+            directories: exclusionEditor.directories.slice(),
+            patterns: $.grep($("#exclusion-patterns").val().split(/\r?\n/), function(line) { return $.trim(line) !== ''; }),
+            max_file_size_mb: parseInt($("#exclusion-max-size").val(), 10) || 0,
+            tables: [],
+            table_data: []
+        };
+
+        $("#exclusion-tables tbody tr").each(function() {
+            var table = $(this).data('table');
+            if ($(this).find('.exclusion-table-skip').is(':checked')) {
+                rules.tables.push(table);
+            } else if ($(this).find('.exclusion-table-data').is(':checked')) {
+                rules.table_data.push(table);
+            }
+        });
+
+        return rules;
+    }
+
+    function renderExclusionTables(rules) {
+        if (!exclusionEditor.tables.length) {
+            return;
+        }
+
+        var $table = $('<table class="widefat striped"><thead><tr><th>Table</th><th>Rows</th><th>Size</th><th>Skip table</th><th>Structure only</th></tr></thead><tbody></tbody></table>');
+        $.each(exclusionEditor.tables, function(index, table) {
+            var skipped = $.inArray(table.name, rules.tables) !== -1;
+            $('<tr></tr>').data('table', table.name).data('size', table.size)
+                .append($('<td></td>').text(table.name))
+                .append($('<td></td>').text(table.rows))
+                .append($('<td></td>').text(formatFileSize(table.size)))
+                .append($('<td></td>').append($('<input type="checkbox" class="exclusion-table-skip">').prop('checked', skipped)))
+                .append($('<td></td>').append($('<input type="checkbox" class="exclusion-table-data">').prop('checked', $.inArray(table.name, rules.table_data) !== -1).prop('disabled', skipped)))
+                .appendTo($table.find('tbody'));
+        });
+
+        $("#exclusion-tables").empty().append($table);
+    }
+
+    // Load one level of the wp-content tree; sub-folders are requested when they are opened
+    function loadExclusionDirectories(path, $container, parentChecked) {
+        $.ajax({
+            url: cm_ajax.ajax_url,
+            type: 'POST',
+            data: { action: 'cm_exclusion_directories', nonce: cm_ajax.nonce, path: path },
+            timeout: 60000,
+            success: function(response) {
+                if (!response.success) {
+                    showError("Error: " + (response.data ? response.data.message : "Cannot read the folder."));
+                    return;
+                }
+
+                var $list = $('<ul></ul>');
+                $.each(response.data.directories, function(index, dir) {
+                    $list.append(renderExclusionDirectory(dir, parentChecked));
+                });
+                if (!response.data.directories.length) {
+                    $list.append($('<li class="description"></li>').text('No sub-folders'));
+                }
+                $container.empty().append($list);
+            },
+            error: function(xhr, status, error) {
+                console.log('Exclusion directories request error:', {status: status, error: error, xhr: xhr});
+                showError("Connection error while reading folders. Please try again.");
+            }
+        });
+    }
+
+    function renderExclusionDirectory(dir, parentChecked) {
+        var checked = parentChecked || dir.default_excluded || $.inArray(dir.path, exclusionEditor.directories) !== -1;
+        var $item = $('<li></li>').data('path', dir.path).toggleClass('exclusion-default', dir.default_excluded);
+        var $checkbox = $('<input type="checkbox" class="exclusion-dir">')
+            .prop('checked', checked)
+            .prop('disabled', parentChecked || dir.default_excluded);
+        var $children = $('<div class="archive-folder-children"></div>').hide();
+        var $toggle = $('<span class="dashicons dashicons-arrow-right-alt2 exclusion-dir-toggle"></span>').css('visibility', dir.has_children ? 'visible' : 'hidden');
+
+        $toggle.on('click', function() {
+            if (!$item.data('loaded')) {
+                $item.data('loaded', true);
+                loadExclusionDirectories(dir.path, $children, $checkbox.is(':checked'));
+            }
+            $children.toggle();
+            $toggle.toggleClass('dashicons-arrow-right-alt2 dashicons-arrow-down-alt2');
+        });
+
+        $checkbox.on('change', function() {
+            var isChecked = $(this).is(':checked');
+
+            // Excluding a folder covers everything below it, so sub-folder choices are dropped
+            exclusionEditor.directories = $.grep(exclusionEditor.directories, function(path) {
+                return path !== dir.path && path.indexOf(dir.path + '/') !== 0;
+            });
+            if (isChecked) {
+                exclusionEditor.directories.push(dir.path);
+            }
+
+            $children.find('input.exclusion-dir').each(function() {
+                var isDefault = $(this).closest('li').hasClass('exclusion-default');
+                $(this).prop('checked', isChecked || isDefault).prop('disabled', isChecked || isDefault);
+            });
+
+            scheduleExclusionPreview();
+        });
+
+        return $item.append($toggle, $('<label></label>').append($checkbox, ' ', $('<span></span>').text(dir.name)), $children);
+    }
+
+    // Wait until the user stops typing, then scan with the rules being edited
+    function scheduleExclusionPreview() {
+        clearTimeout(exclusionEditor.previewTimer);
+        exclusionEditor.previewRun++;
+        $("#exclusion-preview").text('Calculating excluded size...');
+
+        var run = exclusionEditor.previewRun;
+        exclusionEditor.previewTimer = setTimeout(function() {
+            exclusionEditor.previewRetries = 0;
+            sendExclusionPreviewRequest(true, run);
+        }, 800);
+    }
+
+    function sendExclusionPreviewRequest(restart, run) {
+        $.ajax({
+            url: cm_ajax.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'cm_preview_exclusions',
+                nonce: cm_ajax.nonce,
+                restart: restart ? 1 : 0,
+                rules: restart ? JSON.stringify(collectExclusionRules()) : ''
+            },
+            timeout: 60000,
+            success: function(response) {
+                // A newer edit started another preview; drop this one
+                if (run !== exclusionEditor.previewRun) {
+                    return;
+                }
+
+                if (!response.success) {
+                    $("#exclusion-preview").text('Preview failed: ' + (response.data ? response.data.message : 'unknown error'));
+                    return;
+                }
+
+                exclusionEditor.previewRetries = 0;
+                renderExclusionPreview(response.data);
+                if (response.data.phase !== 'done') {
+                    setTimeout(function() { sendExclusionPreviewRequest(false, run); }, 300);
+                }
+            },
+            error: function(xhr, status, error) {
+                console.log('Exclusion preview request error:', {status: status, error: error, xhr: xhr});
+                if (run !== exclusionEditor.previewRun) {
+                    return;
+                }
+
+                if (exclusionEditor.previewRetries < 3) {
+                    exclusionEditor.previewRetries++;
+                    setTimeout(function() { sendExclusionPreviewRequest(false, run); }, 3000 * exclusionEditor.previewRetries);
+                } else {
+                    $("#exclusion-preview").text('Lost connection while calculating the excluded size.');
+                }
+            }
+        });
+    }
+
+    function renderExclusionPreview(report) {
+        var tablesSize = 0;
+        $("#exclusion-tables tbody tr").each(function() {
+            if ($(this).find('input.exclusion-table-skip, input.exclusion-table-data').is(':checked')) {
+                tablesSize += $(this).data('size');
+            }
+        });
+
+        var done = report.phase === 'done';
+        var text = 'Excluded: ' + (done ? '' : 'at least ') + formatFileSize(report.excluded.size) +
+            ' (' + report.excluded.count + ' files, ' + report.excluded.directories + ' folders)' +
+            (tablesSize > 0 ? ' + ' + formatFileSize(tablesSize) + ' of table data' : '') +
+            ' · Included: ' + formatFileSize(report.included.size) + ' (' + report.included.count + ' files)';
+
+        if (report.oversized.count > 0) {
+            text += ' · ' + report.oversized.count + ' files over ' + formatFileSize(report.max_file_size);
+        }
+        if (!done) {
+            text += ' · scanning...';
+        }
+
+        $("#exclusion-preview").text(text);
+    }
+
+    // Search & replace: URL, path and custom pairs applied to the database dump
+    var searchReplaceLoaded = false;
+
+    $("#edit-search-replace").on("click", function(e) {
+        e.preventDefault();
+
+        var $panel = $("#search-replace-panel");
+        if ($panel.is(':visible')) {
+            $panel.hide();
+            return;
+        }
+
+        $panel.show();
+        if (!searchReplaceLoaded) {
+            sendSearchReplaceRequest({ op: 'get' });
+        }
+    });
+
+    $("#save-search-replace").on("click", function(e) {
+        e.preventDefault();
+
+        var pairs = [];
+        var invalid = [];
+        $.each($("#search-replace-pairs").val().split("\n"), function(i, line) {
+            if ($.trim(line) === '') {
+                return;
+            }
+            var separator = line.indexOf('=>');
+            if (separator === -1) {
+                invalid.push(line);
+                return;
+            }
+            pairs.push({ search: $.trim(line.substring(0, separator)), replace: $.trim(line.substring(separator + 2)) });
+        });
+
+        if (invalid.length) {
+            showError("Each custom pair must be written as search => replace: " + invalid[0]);
+            return;
+        }
+
+        sendSearchReplaceRequest({
+            op: 'save',
+            settings: JSON.stringify({
+                enabled: $("#search-replace-enabled").is(':checked'),
+                new_url: $.trim($("#search-replace-url").val()),
+                new_path: $.trim($("#search-replace-path").val()),
+                pairs: pairs
+            })
+        });
+    });
+
+    function sendSearchReplaceRequest(data) {
+        $("#search-replace-spinner").addClass("is-active");
+
+        $.ajax({
+            url: cm_ajax.ajax_url,
+            type: 'POST',
+            data: $.extend({ action: 'cm_search_replace', nonce: cm_ajax.nonce }, data),
+            timeout: 30000,
+            success: function(response) {
+                $("#search-replace-spinner").removeClass("is-active");
+                if (!response.success) {
+                    showError("Error: " + (response.data ? response.data.message : "Cannot update search and replace."));
+                    return;
+                }
+
+                searchReplaceLoaded = true;
+                updateSearchReplace(response.data);
+            },
+            error: function(xhr, status, error) {
+                console.log('Search and replace request error:', {status: status, error: error, xhr: xhr});
+                $("#search-replace-spinner").removeClass("is-active");
+                showError("Connection error while saving search and replace. Please try again.");
+            }
+        });
+    }
+
+    function updateSearchReplace(data) {
+        var settings = data.settings;
+
+        $("#search-replace-enabled").prop('checked', !!settings.enabled);
+        $("#search-replace-url").val(settings.new_url);
+        $("#search-replace-path").val(settings.new_path);
+        $("#search-replace-pairs").val($.map(settings.pairs, function(pair) {
+            return pair.search + ' => ' + pair.replace;
+        }).join("\n"));
+
+        $("#search-replace-state").text(data.enabled ? 'URLs and paths are rewritten in the database dump' : 'The database is exported unchanged');
+
+        var $preview = $("#search-replace-preview").empty();
+        if (!data.pairs.length) {
+            $preview.text('Nothing to replace yet.');
+            return;
+        }
+
+        $preview.append($('<div></div>').text(data.enabled ? 'The next export replaces:' : 'Enable search and replace to apply:'));
+        var $list = $('<ul></ul>').appendTo($preview);
+        $.each(data.pairs, function(i, pair) {
+            $list.append($('<li></li>').append($('<code></code>').text(pair.search)).append(' => ').append($('<code></code>').text(pair.replace)));
+        });
+    }
+
+    // Anonymization: built-in and custom rules applied to the rows of the database dump
+    var anonymizationLoaded = false;
+
+    $("#edit-anonymization").on("click", function(e) {
+        e.preventDefault();
+
+        var $panel = $("#anonymization-panel");
+        if ($panel.is(':visible')) {
+            $panel.hide();
+            return;
+        }
+
+        $panel.show();
+        if (!anonymizationLoaded) {
+            sendAnonymizationRequest({ op: 'get' });
+        }
+    });
+
+    $("#save-anonymization").on("click", function(e) {
+        e.preventDefault();
+
+        // table.column = fake:email | hash | null, or table = truncate
+        var rules = [];
+        var invalid = [];
+        $.each($("#anonymization-rules").val().split("\n"), function(i, line) {
+            if ($.trim(line) === '') {
+                return;
+            }
+            var match = /^\s*([^\s.=]+)(?:\.([^\s=]+))?\s*=\s*(fake|hash|null|truncate)(?::(\w+))?\s*$/.exec(line);
+            if (!match) {
+                invalid.push(line);
+                return;
+            }
+            rules.push({ table: match[1], column: match[2] || '', action: match[3], type: match[4] || '' });
+        });
+
+        if (invalid.length) {
+            showError("Cannot read the anonymization rule: " + invalid[0]);
+            return;
+        }
+
+        sendAnonymizationRequest({
+            op: 'save',
+            settings: JSON.stringify({
+                enabled: $("#anonymization-enabled").is(':checked'),
+                builtin: $("#anonymization-builtin").is(':checked'),
+                keep_administrators: $("#anonymization-keep-administrators").is(':checked'),
+                rules: rules
+            })
+        });
+    });
+
+    function sendAnonymizationRequest(data) {
+        $("#anonymization-spinner").addClass("is-active");
+
+        $.ajax({
+            url: cm_ajax.ajax_url,
+            type: 'POST',
+            data: $.extend({ action: 'cm_anonymization', nonce: cm_ajax.nonce }, data),
+            timeout: 30000,
+            success: function(response) {
+                $("#anonymization-spinner").removeClass("is-active");
+                if (!response.success) {
+                    showError("Error: " + (response.data ? response.data.message : "Cannot update anonymization."));
+                    return;
+                }
+
+                anonymizationLoaded = true;
+                updateAnonymization(response.data);
+            },
+            error: function(xhr, status, error) {
+                console.log('Anonymization request error:', {status: status, error: error, xhr: xhr});
+                $("#anonymization-spinner").removeClass("is-active");
+                showError("Connection error while saving anonymization. Please try again.");
+            }
+        });
+    }
+
+    function updateAnonymization(data) {
+        var settings = data.settings;
+
+        $("#anonymization-enabled").prop('checked', !!settings.enabled);
+        $("#anonymization-builtin").prop('checked', !!settings.builtin);
+        $("#anonymization-keep-administrators").prop('checked', !!settings.keep_administrators);
+        $("#anonymization-rules").val($.map(settings.rules, function(rule) {
+            if (rule.action === 'truncate') {
+                return rule.table + ' = truncate';
+            }
+            return rule.table + '.' + rule.column + ' = ' + rule.action + (rule.type ? ':' + rule.type : '');
+        }).join("\n"));
+        $("#anonymization-rules").attr('title', 'Fake values: ' + data.fake_types.join(', '));
+
+        $("#anonymization-state").text(data.enabled ? 'Personal data is anonymized in the database dump' : 'Personal data is exported as it is');
+    }
+
+    // Encryption: the passphrase is sent once to derive a public key and is never stored
+    var encryptionLoaded = false;
+    var minPassphraseLength = 12;
+
+    $("#edit-encryption").on("click", function(e) {
+        e.preventDefault();
+
+        var $panel = $("#encryption-panel");
+        if ($panel.is(':visible')) {
+            $panel.hide();
+            return;
+        }
+
+        $panel.show();
+        if (!encryptionLoaded) {
+            sendEncryptionRequest({ op: 'get' });
+        }
+    });
+
+    $("input[name='encryption-mode']").on("change", function() {
+        var publicKey = $("input[name='encryption-mode']:checked").val() === 'public_key';
+        $("#encryption-passphrase-fields").toggle(!publicKey);
+        $("#encryption-public-key-fields").toggle(publicKey);
+    });
+
+    $("#save-encryption").on("click", function(e) {
+        e.preventDefault();
+
+        var mode = $("input[name='encryption-mode']:checked").val() || 'passphrase';
+        var passphrase = $("#encryption-passphrase").val();
+
+        if (mode === 'passphrase' && passphrase !== '') {
+            if (passphrase !== $("#encryption-passphrase-confirm").val()) {
+                showError("The passphrases do not match.");
+                return;
+            }
+            if (passphrase.length < minPassphraseLength) {
+                showError("The passphrase must be at least " + minPassphraseLength + " characters long.");
+                return;
+            }
+        }
+
+        sendEncryptionRequest({
+            op: 'save',
+            settings: JSON.stringify({
+                enabled: $("#encryption-enabled").is(':checked'),
+                mode: mode,
+                passphrase: mode === 'passphrase' ? passphrase : '',
+                public_key: mode === 'public_key' ? $.trim($("#encryption-public-key").val()) : ''
+            })
+        });
+    });
+
+    function sendEncryptionRequest(data) {
+        $("#encryption-spinner").addClass("is-active");
+
+        $.ajax({
+            url: cm_ajax.ajax_url,
+            type: 'POST',
+            data: $.extend({ action: 'cm_encryption', nonce: cm_ajax.nonce }, data),
+            timeout: 60000,
+            success: function(response) {
+                $("#encryption-spinner").removeClass("is-active");
+                if (!response.success) {
+                    showError("Error: " + (response.data ? response.data.message : "Cannot update encryption."));
+                    return;
+                }
+
+                encryptionLoaded = true;
+                updateEncryption(response.data);
+            },
+            error: function(xhr, status, error) {
+                console.log('Encryption request error:', {status: status, error: error, xhr: xhr});
+                $("#encryption-spinner").removeClass("is-active");
+                showError("Connection error while saving encryption. Please try again.");
+            }
+        });
+    }
+
+    function updateEncryption(data) {
+        var settings = data.settings;
+        minPassphraseLength = data.min_passphrase_length;
+
+        $("#encryption-unavailable").toggle(!data.available);
+        $("#encryption-enabled").prop('checked', !!settings.enabled);
+        $("input[name='encryption-mode'][value='" + settings.mode + "']").prop('checked', true).trigger('change');
+        $("#encryption-passphrase, #encryption-passphrase-confirm").val('');
+        $("#encryption-public-key").val(settings.mode === 'public_key' ? settings.public_key : '');
+        $("#encryption-fingerprint").text(settings.fingerprint ? 'Key fingerprint: ' + settings.fingerprint : '');
+
+        var $state = $("#encryption-state").empty();
+        if (data.enabled) {
+            $state.append('Export files are encrypted for key ').append($('<code></code>').text(settings.fingerprint));
+        } else {
+            $state.text('Export files are not encrypted');
+        }
+    }
+
+    // Archive volumes: roll over to .hstgr.001, .hstgr.002... at the configured size
+    var volumesLoaded = false;
+
+    $("#edit-volumes").on("click", function(e) {
+        e.preventDefault();
+
+        var $panel = $("#volumes-panel");
+        if ($panel.is(':visible')) {
+            $panel.hide();
+            return;
+        }
+
+        $panel.show();
+        if (!volumesLoaded) {
+            sendVolumesRequest({ op: 'get' });
+        }
+    });
+
+    $("#save-volumes").on("click", function(e) {
+        e.preventDefault();
+
+        sendVolumesRequest({
+            op: 'save',
+            settings: JSON.stringify({
+                enabled: $("#volumes-enabled").is(':checked'),
+                volume_size_mb: $.trim($("#volumes-size").val())
+            })
+        });
+    });
+
+    function sendVolumesRequest(data) {
+        $("#volumes-spinner").addClass("is-active");
+
+        $.ajax({
+            url: cm_ajax.ajax_url,
+            type: 'POST',
+            data: $.extend({ action: 'cm_volumes', nonce: cm_ajax.nonce }, data),
+            timeout: 30000,
+            success: function(response) {
+                $("#volumes-spinner").removeClass("is-active");
+                if (!response.success) {
+                    showError("Error: " + (response.data ? response.data.message : "Cannot update the volume settings."));
+                    return;
+                }
+
+                volumesLoaded = true;
+                updateVolumes(response.data);
+            },
+            error: function(xhr, status, error) {
+                console.log('Volumes request error:', {status: status, error: error, xhr: xhr});
+                $("#volumes-spinner").removeClass("is-active");
+                showError("Connection error while saving the volume settings. Please try again.");
+            }
+        });
+    }
+
+    function updateVolumes(data) {
+        $("#volumes-enabled").prop('checked', !!data.settings.enabled);
+        $("#volumes-size").val(data.settings.volume_size_mb).attr({ min: data.min_volume_size_mb, max: data.max_volume_size_mb });
+
+        $("#volumes-state").text(data.enabled
+            ? 'The archive is split into volumes of ' + data.settings.volume_size_mb + ' MB'
+            : 'The archive is written as a single file');
+    }
+
+    // Destinations: saved SFTP, FTP, WebDAV, S3-compatible and WordPress site targets for the upload
+    var destinationsLoaded = false;
+    var destinationProfiles = {};
+    var destinationSupport = {};
+    var destinationDefaultPorts = { sftp: 22, ftp: 21 };
+    var destinationUnsupported = {
+        sftp: 'SFTP needs the PHP ssh2 extension, which is not installed on this server.',
+        ftp: 'FTP needs the PHP ftp extension, which is not installed on this server.',
+        webdav: 'WebDAV needs the PHP curl extension, which is not installed on this server.',
+        s3: 'S3 uploads need the PHP curl extension, which is not installed on this server.',
+        site: 'Pushing to a site needs the PHP curl extension, which is not installed on this server.'
+    };
+
+    $("#edit-destinations").on("click", function(e) {
+        e.preventDefault();
+
+        var $panel = $("#destinations-panel");
+        if ($panel.is(':visible')) {
+            $panel.hide();
+            return;
+        }
+
+        $panel.show();
+        if (!destinationsLoaded) {
+            sendDestinationsRequest({ op: 'get' });
+        }
+    });
+
+    $("#destination-profile").on("change", function() {
+        fillDestinationForm($(this).val());
+    });
+
+    $("#destination-type, #destination-field-auth").on("change", toggleDestinationFields);
+
+    $("#save-destination").on("click", function(e) {
+        e.preventDefault();
+
+        var name = $.trim($("#destination-name").val());
+        sendDestinationsRequest({ op: 'save', name: name, settings: JSON.stringify(collectDestinationSettings()) }, name);
+    });
+
+    $("#delete-destination").on("click", function(e) {
+        e.preventDefault();
+
+        var name = $("#destination-profile").val();
+        if (!name || !confirm('Delete the destination "' + name + '"?')) {
+            return;
+        }
+        sendDestinationsRequest({ op: 'delete', name: name }, '');
+    });
+
+    // Saved secrets of the selected destination fill in the fields left empty
+    $("#test-destination").on("click", function(e) {
+        e.preventDefault();
+
+        var $button = $(this).prop('disabled', true);
+        var $result = $("#destination-test-result").css('color', '').text('Testing the connection...');
+
+        $.ajax({
+            url: cm_ajax.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'cm_destinations',
+                nonce: cm_ajax.nonce,
+                op: 'test',
+                name: $("#destination-profile").val(),
+                settings: JSON.stringify(collectDestinationSettings())
+            },
+            timeout: 90000,
+            success: function(response) {
+                $button.prop('disabled', false);
+                if (response.success) {
+                    $result.css('color', 'green').text(response.data.message);
+                } else {
+                    $result.css('color', 'red').text(response.data ? response.data.message : 'The connection test failed.');
+                }
+            },
+            error: function(xhr, status, error) {
+                console.log('Destination test error:', {status: status, error: error, xhr: xhr});
+                $button.prop('disabled', false);
+                $result.css('color', 'red').text('Connection error while testing the destination. Please try again.');
+            }
+        });
+    });
+
+    function sendDestinationsRequest(data, selectName) {
+        $("#destinations-spinner").addClass("is-active");
+
+        $.ajax({
+            url: cm_ajax.ajax_url,
+            type: 'POST',
+            data: $.extend({ action: 'cm_destinations', nonce: cm_ajax.nonce }, data),
+            timeout: 30000,
+            success: function(response) {
+                $("#destinations-spinner").removeClass("is-active");
+                if (!response.success) {
+                    showError("Error: " + (response.data ? response.data.message : "Cannot update the destinations."));
+                    return;
+                }
+
+                destinationsLoaded = true;
+                updateDestinations(response.data, selectName);
+            },
+            error: function(xhr, status, error) {
+                console.log('Destinations request error:', {status: status, error: error, xhr: xhr});
+                $("#destinations-spinner").removeClass("is-active");
+                showError("Connection error while saving the destinations. Please try again.");
+            }
+        });
+    }
+
+    function updateDestinations(data, selectName) {
+        destinationProfiles = $.isArray(data.profiles) ? {} : data.profiles;
+        destinationSupport = data.supported || {};
+
+        var names = Object.keys(destinationProfiles);
+        var selected = selectName !== undefined ? selectName : $("#destination-profile").val();
+        var $profileSelect = $("#destination-profile");
+        var $uploadSelect = $("#s3-upload-destination").empty();
+
+        $profileSelect.find('option').not(':first').remove();
+        $.each(names, function(index, name) {
+            $profileSelect.append($('<option></option>').val(name).text(name));
+            $uploadSelect.append($('<option></option>').val(name).text(name));
+        });
+        $("#s3-upload-destination-row").toggle(names.length > 0);
+
+        $("#destinations-state").text(names.length
+            ? names.length + (names.length === 1 ? ' saved destination' : ' saved destinations')
+            : 'No saved destinations, files are uploaded to pre-signed S3 URLs');
+
+        $profileSelect.val(destinationProfiles[selected] ? selected : '');
+        fillDestinationForm($profileSelect.val());
+    }
+
+    function fillDestinationForm(name) {
+        var profile = destinationProfiles[name] || { type: 'sftp', saved_secrets: [] };
+
+        $("#destination-name").val(name);
+        $("#destination-type").val(profile.type);
+        $("#destination-test-result").text('');
+        $("#delete-destination").toggle(!!name);
+
+        $("#destinations-panel .destination-input").each(function() {
+            var field = $(this).data('field');
+            var value = profile[field];
+
+            if (this.type === 'checkbox') {
+                // Passive FTP and path-style S3 URLs are on unless a profile turned them off
+                this.checked = value === undefined ? true : !!value;
+            } else if (this.tagName === 'SELECT') {
+                if (value) {
+                    $(this).val(value);
+                } else {
+                    this.selectedIndex = 0;
+                }
+            } else {
+                if ($(this).data('placeholder') === undefined) {
+                    $(this).data('placeholder', $(this).attr('placeholder') || '');
+                }
+                $(this).val(value === undefined || value === null ? '' : value);
+                $(this).attr('placeholder', $.inArray(field, profile.saved_secrets) !== -1 ? 'Saved, leave empty to keep' : $(this).data('placeholder'));
+            }
+        });
+
+        toggleDestinationFields();
+    }
+
+    function toggleDestinationFields() {
+        var type = $("#destination-type").val();
+        var auth = $("#destination-field-auth").val();
+
+        $("#destinations-panel .destination-field").each(function() {
+            var $row = $(this);
+            var show = $.inArray(type, String($row.data('types')).split(' ')) !== -1;
+            if (show && type === 'sftp' && $row.data('auth')) {
+                show = $row.data('auth') === auth;
+            }
+            $row.toggle(show);
+        });
+
+        $("#destination-field-port").attr('placeholder', destinationDefaultPorts[type] || '');
+        $("#destination-unsupported").text(destinationUnsupported[type]).toggle(destinationsLoaded && destinationSupport[type] === false);
+    }
+
+    function collectDestinationSettings() {
+        var settings = { type: $("#destination-type").val() };
+
+        $("#destinations-panel .destination-field:visible .destination-input").each(function() {
+            settings[$(this).data('field')] = this.type === 'checkbox' ? this.checked : $(this).val();
+        });
+
+        return settings;
+    }
+
+    // Receive Pushes: the pairing key another site pushes its export with
+    var pushReceiverLoaded = false;
+
+    $("#edit-push-receiver").on("click", function(e) {
+        e.preventDefault();
+
+        var $panel = $("#push-receiver-panel");
+        if ($panel.is(':visible')) {
+            $panel.hide();
+            return;
+        }
+
+        $panel.show();
+        if (!pushReceiverLoaded) {
+            sendPushReceiverRequest({ op: 'get' });
+        }
+    });
+
+    $("#generate-push-key").on("click", function(e) {
+        e.preventDefault();
+
+        if ($("#revoke-push-key").is(':visible') && !confirm('Sites paired with the current key will need the new one. Generate a new pairing key?')) {
+            return;
+        }
+        sendPushReceiverRequest({ op: 'generate' });
+    });
+
+    $("#revoke-push-key").on("click", function(e) {
+        e.preventDefault();
+
+        if (!confirm('Stop accepting pushes? Paired sites will be refused.')) {
+            return;
+        }
+        sendPushReceiverRequest({ op: 'revoke' });
+    });
+
+    $("#push-receiver-key, #push-receiver-site-url").on("focus", function() {
+        $(this).select();
+    });
+
+    function sendPushReceiverRequest(data) {
+        $("#push-receiver-spinner").addClass("is-active");
+
+        $.ajax({
+            url: cm_ajax.ajax_url,
+            type: 'POST',
+            data: $.extend({ action: 'cm_push_receiver', nonce: cm_ajax.nonce }, data),
+            timeout: 30000,
+            success: function(response) {
+                $("#push-receiver-spinner").removeClass("is-active");
+                if (!response.success) {
+                    showError("Error: " + (response.data ? response.data.message : "Cannot update the pairing key."));
+                    return;
+                }
+
+                pushReceiverLoaded = true;
+                updatePushReceiver(response.data);
+            },
+            error: function(xhr, status, error) {
+                console.log('Push receiver request error:', {status: status, error: error, xhr: xhr});
+                $("#push-receiver-spinner").removeClass("is-active");
+                showError("Connection error while updating the pairing key. Please try again.");
+            }
+        });
+    }
+
+    function updatePushReceiver(data) {
+        $("#push-receiver-site-url").val(data.site_url);
+        $("#push-receiver-state").text(data.enabled
+            ? 'This site accepts pushes with the pairing key created on ' + new Date(data.created_at * 1000).toLocaleDateString()
+            : 'This site does not accept pushes from other sites');
+        $("#revoke-push-key").toggle(!!data.enabled);
+        $("#generate-push-key").text(data.enabled ? 'Generate New Pairing Key' : 'Generate Pairing Key');
+
+        // The key is only returned right after it was generated
+        $("#push-receiver-key").val(data.key || '');
+        $("#push-receiver-key-row").toggle(!!data.key);
+
+        var $transfer = $("#push-receiver-transfer").empty();
+        if (!data.transfer) {
+            return;
+        }
+
+        var transfer = data.transfer;
+        var summary = transfer.completed_at
+            ? 'Last push from ' + transfer.source + ' completed on ' + new Date(transfer.completed_at * 1000).toLocaleString() + '.'
+            : 'Push from ' + transfer.source + ' in progress since ' + new Date(transfer.started_at * 1000).toLocaleString() + '.';
+        var $list = $('<ul></ul>');
+
+        $.each(transfer.files, function(index, file) {
+            var label = file.name + ': ' + formatFileSize(file.received) + ' / ' + formatFileSize(file.size);
+            if (file.verified) {
+                label += ' \u00b7 checksum verified';
+            }
+            $list.append($('<li></li>').text(label));
+        });
+
+        $transfer.append($('<p class="description"></p>').text(summary)).append($list);
+    }
+
+    // Import: upload or pick the export files, check them, then import in slices
+    var importPhaseLabels = {
+        checked: 'Ready to import',
+        prepare: 'Preparing files',
+        files: 'Extracting files',
+        database: 'Importing database',
+        finalize: 'Switching to the imported tables',
+        rollback: 'Rolling back',
+        done: 'Import finished',
+        rolled_back: 'Rolled back'
+    };
+    var importRunningPhases = ['prepare', 'files', 'database', 'finalize', 'rollback'];
+    var importReport = null;
+    var importPolling = false;
+    var importRetries = 0;
+
+    if ($("#import-site").length) {
+        sendImportRequest({ op: 'get' });
+    }
+
+    $("input[name='import-source']").on("change", function() {
+        var source = $("input[name='import-source']:checked").val();
+        $(".import-source-field").each(function() {
+            $(this).toggle($(this).data('source') === source);
+        });
+    });
+
+    $("#import-upload").on("click", function(e) {
+        e.preventDefault();
+
+        var files = $("#import-upload-files")[0].files;
+        if (!files.length) {
+            showError("Select the export files to upload first.");
+            return;
+        }
+
+        $("#import-upload, #import-check").prop('disabled', true);
+        $("#import-spinner").addClass("is-active");
+        uploadImportFiles($.makeArray(files), 0);
+    });
+
+    $("#import-clear-uploads").on("click", function(e) {
+        e.preventDefault();
+
+        if (!confirm('Remove the uploaded export files?')) {
+            return;
+        }
+        sendImportRequest({ op: 'clear' });
+    });
+
+    $("#import-check").on("click", function(e) {
+        e.preventDefault();
+
+        $("#import-status").hide();
+        sendImportRequest({
+            op: 'check',
+            source: $("input[name='import-source']:checked").val(),
+            path: $("#import-path").val()
+        });
+    });
+
+    $("#start-import").on("click", function(e) {
+        e.preventDefault();
+
+        if (importReport.encrypted && $("#import-key").val() === '') {
+            showError("Enter the passphrase or secret key of the encrypted export.");
+            return;
+        }
+        if (!confirm('Replace the files and database of this site with the export of ' + importReport.metadata.site_url + '? You will need to log in again with an account of the imported site.')) {
+            return;
+        }
+
+        sendImportRequest({ op: 'start' }, function() {
+            importRetries = 0;
+            runImportSlice();
+        });
+    });
+
+    $("#resume-import").on("click", function(e) {
+        e.preventDefault();
+
+        importRetries = 0;
+        runImportSlice();
+    });
+
+    $("#rollback-import").on("click", function(e) {
+        e.preventDefault();
+
+        if (!confirm('Put back the files and tables this site had before the import?')) {
+            return;
+        }
+
+        sendImportRequest({ op: 'rollback' }, function() {
+            importRetries = 0;
+            runImportSlice();
+        });
+    });
+
+    $("#discard-import").on("click", function(e) {
+        e.preventDefault();
+
+        if (!confirm('Remove the safety snapshot? The import can no longer be rolled back.')) {
+            return;
+        }
+        sendImportRequest({ op: 'discard' });
+    });
+
+    // Send each file in chunks, continuing a file the server already holds part of
+    function uploadImportFiles(files, index) {
+        if (index >= files.length) {
+            $("#import-upload-files").val('');
+            sendImportRequest({ op: 'get' });
+            return;
+        }
+
+        var file = files[index];
+        var offset = 0;
+        $.each(importReport ? importReport.uploads : [], function(i, upload) {
+            if (upload.name === file.name && upload.size <= file.size) {
+                offset = upload.size;
+            }
+        });
+
+        if (offset === file.size && file.size > 0) {
+            uploadImportFiles(files, index + 1);
+            return;
+        }
+        uploadImportChunk(files, index, offset, 0);
+    }
+
+    function uploadImportChunk(files, index, offset, retries) {
+        var file = files[index];
+        var chunkSize = importReport ? importReport.upload_chunk_size : 1048576;
+        var formData = new FormData();
+
+        formData.append('action', 'cm_import');
+        formData.append('nonce', cm_ajax.nonce);
+        formData.append('op', 'upload');
+        formData.append('name', file.name);
+        formData.append('offset', offset);
+        formData.append('chunk', file.slice(offset, offset + chunkSize), file.name);
+
+        $("#import-status").show().text('Uploading ' + file.name + ': ' + formatFileSize(offset) + ' / ' + formatFileSize(file.size));
+
+        $.ajax({
+            url: cm_ajax.ajax_url,
+            type: 'POST',
+            data: formData,
+            processData: false,
+            contentType: false,
+            timeout: 300000,
+            success: function(response) {
+                if (!response.success) {
+                    finishImportUpload("Error: " + (response.data ? response.data.message : "Upload failed."));
+                    return;
+                }
+
+                if (response.data.received >= file.size) {
+                    uploadImportFiles(files, index + 1);
+                } else {
+                    uploadImportChunk(files, index, response.data.received, 0);
+                }
+            },
+            error: function(xhr, status, error) {
+                console.log('Import upload error:', {status: status, error: error, xhr: xhr});
+
+                // A chunk sent again at the same offset is appended only once
+                if (retries < 3) {
+                    setTimeout(function() { uploadImportChunk(files, index, offset, retries + 1); }, 3000 * (retries + 1));
+                } else {
+                    finishImportUpload("Connection error while uploading " + file.name + ". Click Upload again to continue where it stopped.");
+                }
+            }
+        });
+    }
+
+    function finishImportUpload(message) {
+        $("#import-upload, #import-check").prop('disabled', false);
+        $("#import-spinner").removeClass("is-active");
+        $("#import-status").hide();
+        showError(message);
+        sendImportRequest({ op: 'get' });
+    }
+
+    function sendImportRequest(data, onSuccess) {
+        $("#import-spinner").addClass("is-active");
+        $("#import-actions button, #import-check, #import-upload").prop('disabled', true);
+
+        $.ajax({
+            url: cm_ajax.ajax_url,
+            type: 'POST',
+            data: $.extend({ action: 'cm_import', nonce: cm_ajax.nonce }, data),
+            timeout: 60000,
+            success: function(response) {
+                $("#import-spinner").removeClass("is-active");
+                $("#import-actions button, #import-check, #import-upload").prop('disabled', false);
+                if (!response.success) {
+                    showError("Error: " + (response.data ? response.data.message : "The import request failed."));
+                    return;
+                }
+
+                renderImportReport(response.data);
+                if (onSuccess) {
+                    onSuccess(response.data);
+                }
+            },
+            error: function(xhr, status, error) {
+                console.log('Import request error:', {status: status, error: error, xhr: xhr});
+                $("#import-spinner").removeClass("is-active");
+                $("#import-actions button, #import-check, #import-upload").prop('disabled', false);
+                showError("Connection error during the import request. Please try again.");
+            }
+        });
+    }
+
+    // Each request imports for a limited time; keep going until the server reports done
+    function runImportSlice() {
+        importPolling = true;
+        $("#import-spinner").addClass("is-active");
+        $("#import-actions button, #import-check, #import-upload").prop('disabled', true);
+
+        $.ajax({
+            url: cm_ajax.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'cm_import',
+                nonce: cm_ajax.nonce,
+                op: 'run',
+                key: $("#import-key").val(),
+                key_type: $("input[name='import-key-type']:checked").val()
+            },
+            timeout: 300000,
+            success: function(response) {
+                if (!response.success) {
+                    finishImport('<span style="color: red;">' + $('<div>').text(response.data ? response.data.message : 'The import failed.').html() + ' Resume the import or roll it back.</span>');
+                    return;
+                }
+
+                importRetries = 0;
+                renderImportReport(response.data);
+
+                if (response.data.phase === 'done') {
+                    finishImport('<span style="color: green;"><span class="dashicons dashicons-yes"></span> Imported ' + response.data.files_written + ' files and ' + response.data.statements + ' database statements. Log in again with an account of the imported site.</span>');
+                } else if (response.data.phase === 'rolled_back') {
+                    finishImport('<span style="color: green;"><span class="dashicons dashicons-yes"></span> Rolled back, the previous files and tables are restored.</span>');
+                } else {
+                    setTimeout(runImportSlice, 300);
+                }
+            },
+            error: function(xhr, status, error) {
+                console.log('Import slice error:', {status: status, error: error, xhr: xhr});
+
+                // The server keeps its position, so a retry continues where it stopped
+                if (importRetries < 3) {
+                    importRetries++;
+                    setTimeout(runImportSlice, 3000 * importRetries);
+                } else {
+                    finishImport('<span style="color: red;">Lost connection during the import. Click Resume Import to continue.</span>');
+                }
+            }
+        });
+    }
+
+    function finishImport(message) {
+        importPolling = false;
+        $("#import-spinner").removeClass("is-active");
+        $("#import-actions button, #import-check, #import-upload").prop('disabled', false);
+        $("#import-status").show().html(message);
+
+        // The state may have changed since the last report, e.g. after an error
+        sendImportRequest({ op: 'get' });
+    }
+
+    function renderImportReport(report) {
+        importReport = report;
+        var running = importRunningPhases.indexOf(report.phase) !== -1;
+
+        var $uploads = $("#import-upload-list").empty();
+        $.each(report.uploads || [], function(index, upload) {
+            $uploads.append($('<li></li>').text(upload.name + ' (' + formatFileSize(upload.size) + ')'));
+        });
+
+        var $checks = $("#import-checks").empty();
+        if (report.metadata) {
+            $checks.append($('<li></li>').text('Export of ' + report.metadata.site_url + (report.metadata.created_at ? ' created ' + report.metadata.created_at : '') + ': ' + report.files.join(', ')));
+        }
+        $.each(report.checks || [], function(index, check) {
+            var colors = { ok: 'green', warning: '#dba617', error: 'red' };
+            $checks.append($('<li></li>').css('color', colors[check.status]).text(check.message));
+        });
+        $checks.toggle(!!report.checks);
+
+        $("#import-key-row").toggle(!!report.encrypted && (report.phase === 'checked' || running));
+
+        if (report.started_at) {
+            var details = [report.percent + '%', importPhaseLabels[report.phase] || report.phase, report.files_written + ' files', report.statements + ' statements'];
+            if (report.error) {
+                details.push('Error: ' + report.error);
+            }
+            $("#import-progress").show();
+            $("#import-progress .export-progress-bar-inner").css('width', report.percent + '%');
+            $("#import-progress-details").text(details.join(' · '));
+        } else {
+            $("#import-progress").hide();
+        }
+
+        $("#start-import").toggle(!!report.can_start);
+        $("#resume-import").toggle(running && !importPolling);
+        $("#rollback-import").toggle(!!report.snapshot && report.phase !== 'rollback' && !importPolling);
+        $("#discard-import").toggle(!!report.snapshot && !running);
+        $("#import-check, #import-upload, #import-clear-uploads").toggle(!running);
+
+        if (report.snapshot) {
+            $("#import-snapshot").show().text('Safety snapshot of the import of ' + report.snapshot.site_url + ' on ' + new Date(report.snapshot.created_at * 1000).toLocaleString() + ': ' + report.snapshot.files + ' replaced files, ' + report.snapshot.tables + ' replaced tables.');
+        } else {
+            $("#import-snapshot").hide();
+        }
+    }
+
+    // Export history: one row per run with its report, files and actions
+    var historyFileLabels = { hstgr: 'Archive', sql: 'Database', metadata: 'Metadata', deleted: 'Deleted paths', log: 'Log' };
+
+    // Extra archive volumes are keyed hstgr_001, hstgr_002...
+    function isVolumeType(type) {
+        return /^hstgr_\d{3}$/.test(type);
+    }
+
+    if ($("#export-history").length) {
+        loadExportHistory();
+    }
+
+    $("#refresh-export-history").on("click", function(e) {
+        e.preventDefault();
+        loadExportHistory();
+    });
+
+    $("#save-history-retention").on("click", function(e) {
+        e.preventDefault();
+        sendExportHistoryRequest({ op: 'retention', retention: $("#history-retention").val() });
+    });
+
+    $("#export-history-list").on("click", ".history-delete", function(e) {
+        e.preventDefault();
+
+        var runId = $(this).data('run');
+        if (!confirm('Delete this export run and its files?')) {
+            return;
+        }
+
+        sendExportHistoryRequest({ op: 'delete', run_id: runId });
+    });
+
+    // Re-upload reuses the S3 form; the run ID tells the server which files to send
+    $("#export-history-list").on("click", ".history-reupload", function(e) {
+        e.preventDefault();
+
+        if ($("#s3-upload-form").length === 0) {
+            showError("The S3 upload form is available once the current export has finished.");
+            return;
+        }
+
+        $("#s3-upload-run-id").val($(this).data('run'));
+        $("#s3-upload-run-text").text('Uploading the files of the export started ' + $(this).data('started') + '.');
+        $("#s3-upload-run-note").show();
+        $('html, body').animate({ scrollTop: $("#s3-upload-form").offset().top - 50 }, 300);
+    });
+
+    $("#s3-upload-run-clear").on("click", function(e) {
+        e.preventDefault();
+        $("#s3-upload-run-id").val('');
+        $("#s3-upload-run-note").hide();
+    });
+
+    function loadExportHistory() {
+        sendExportHistoryRequest({ op: 'list' });
+    }
+
+    function sendExportHistoryRequest(data) {
+        $("#export-history-spinner").addClass("is-active");
+
+        $.ajax({
+            url: cm_ajax.ajax_url,
+            type: 'POST',
+            data: $.extend({ action: 'cm_export_history', nonce: cm_ajax.nonce }, data),
+            timeout: 60000,
+            success: function(response) {
+                $("#export-history-spinner").removeClass("is-active");
+                if (!response.success) {
+                    showError("Error: " + (response.data ? response.data.message : "Cannot load the export history."));
+                    return;
+                }
+
+                $("#history-retention").val(response.data.retention);
+                renderExportHistory(response.data.runs);
+                updateIncrementalBaseOptions(response.data.runs);
+            },
+            error: function(xhr, status, error) {
+                console.log('Export history request error:', {status: status, error: error, xhr: xhr});
+                $("#export-history-spinner").removeClass("is-active");
+                showError("Connection error while loading the export history. Please try again.");
+            }
+        });
+    }
+
+    function renderExportHistory(runs) {
+        var $list = $("#export-history-list").empty();
+
+        if (!runs.length) {
+            $list.append($('<p class="description"></p>').text('No exports have been recorded yet.'));
+            return;
+        }
+
+        var $table = $('<table class="widefat striped"><thead><tr></tr></thead><tbody></tbody></table>');
+        $.each(['Started', 'Mode', 'Status', 'Duration', 'Files', 'Tables', 'Size', 'S3 upload', 'Files and actions'], function(index, header) {
+            $table.find('thead tr').append($('<th></th>').text(header));
+        });
+
+        $.each(runs, function(index, run) {
+            var started = new Date(run.started_at * 1000).toLocaleString();
+            var size = 0;
+            $.each(run.files, function(type, file) {
+                if ($.inArray(type, ['hstgr', 'sql', 'metadata', 'deleted']) !== -1 || isVolumeType(type)) {
+                    size += file.size;
+                }
+            });
+
+            var $status = $('<td></td>').text(capitalizeFirstLetter(run.status) + (run.current ? ' (current)' : ''));
+            if (run.error) {
+                $status.append($('<div class="history-error"></div>').text(run.error));
+            }
+
+            var $s3 = $('<td></td>').text(run.s3 ? (run.s3.status === 'done' ? 'Uploaded' : 'Failed') : '-');
+            if (run.s3 && run.s3.message) {
+                $s3.append($('<div class="history-error"></div>').text(run.s3.message));
+            }
+
+            var $actions = $('<td class="history-actions"></td>');
+            $.each(historyFileLabels, function(type, label) {
+                if (run.urls[type]) {
+                    $actions.append($('<a download></a>').attr('href', run.urls[type]).text(label));
+                }
+                // Extra archive volumes follow the archive
+                if (type === 'hstgr') {
+                    $.each(run.urls, function(volumeType, url) {
+                        if (isVolumeType(volumeType)) {
+                            $actions.append($('<a download></a>').attr('href', url).text('Volume ' + volumeType.substring('hstgr_'.length)));
+                        }
+                    });
+                }
+            });
+            if (run.urls.hstgr && run.status === 'done') {
+                $actions.append($('<a href="#" class="history-reupload"></a>').attr('data-run', run.id).attr('data-started', started).text('Re-upload'));
+            }
+            if (!run.current) {
+                $actions.append($('<a href="#" class="history-delete"></a>').attr('data-run', run.id).text('Delete'));
+            }
+
+            $table.find('tbody').append($('<tr></tr>')
+                .append($('<td></td>').text(started))
+                .append($('<td></td>').text(capitalizeFirstLetter(run.mode)))
+                .append($status)
+                .append($('<td></td>').text(run.duration !== null ? formatDuration(run.duration) : '-'))
+                .append($('<td></td>').text(run.file_count !== null ? run.file_count : '-'))
+                .append($('<td></td>').text(run.table_count !== null ? run.table_count : '-'))
+                .append($('<td></td>').text(size > 0 ? formatFileSize(size) : '-'))
+                .append($s3)
+                .append($actions));
+        });
+
+        $list.append($table);
+    }
+
+    // Finished runs with a kept manifest can be the base of an incremental export
+    function updateIncrementalBaseOptions(runs) {
+        var $select = $("#export-base-run");
+        var selected = $select.val();
+
+        $select.find('option:not(:first)').remove();
+        $.each(runs, function(index, run) {
+            if (run.incremental_base) {
+                $select.append($('<option></option>').val(run.id).text('Changes since the ' + run.mode + ' export of ' + new Date(run.started_at * 1000).toLocaleString()));
+            }
+        });
+
+        $select.val($select.find('option[value="' + selected + '"]').length ? selected : '');
+    }
+
+    // Export log panel: tails the structured log by byte offset and filters it in the browser
+    var logPanel = {
+        offset: -1,
+        log: null,
+        entries: [],
+        phases: {},
+        timer: null,
+        retries: 0,
+        maxEntries: 2000,
+        levels: ['info', 'warning', 'error']
+    };
+
+    if ($("#export-log").length) {
+        fetchLogEntries();
+    }
+
+    $("#log-level-filter, #log-phase-filter").on("change", function() {
+        renderLogEntries(true);
+    });
+
+    $("#log-follow").on("change", function() {
+        clearTimeout(logPanel.timer);
+        if ($(this).is(':checked')) {
+            fetchLogEntries();
+        }
+    });
+
+    $("#copy-log-excerpt").on("click", function(e) {
+        e.preventDefault();
+
+        var lines = $.map(getFilteredLogEntries(), formatLogEntry);
+        if (!lines.length) {
+            showWarning("There are no log entries to copy with the current filters.");
+            return;
+        }
+
+        copyToClipboard(lines.join("\n"), function() {
+            $("#log-panel-summary").text('Copied ' + lines.length + ' entries to the clipboard.');
+        });
+    });
+
+    function fetchLogEntries() {
+        clearTimeout(logPanel.timer);
+        $("#log-panel-spinner").addClass("is-active");
+
+        $.ajax({
+            url: cm_ajax.ajax_url,
+            type: 'POST',
+            data: { action: 'cm_get_log', nonce: cm_ajax.nonce, offset: logPanel.offset },
+            timeout: 30000,
+            success: function(response) {
+                $("#log-panel-spinner").removeClass("is-active");
+                if (!response.success) {
+                    $("#log-panel-summary").text('Cannot read the log: ' + (response.data ? response.data.message : 'unknown error'));
+                    return;
+                }
+
+                var data = response.data;
+                logPanel.retries = 0;
+
+                // A new export writes to a new log file; start again from its tail
+                if (logPanel.log !== null && data.log !== logPanel.log && logPanel.offset !== -1) {
+                    logPanel.log = data.log;
+                    logPanel.offset = -1;
+                    logPanel.entries = [];
+                    fetchLogEntries();
+                    return;
+                }
+
+                if (data.reset) {
+                    logPanel.entries = [];
+                }
+                logPanel.log = data.log;
+                logPanel.offset = data.offset;
+
+                if (data.entries.length || data.reset) {
+                    logPanel.entries = logPanel.entries.concat(data.entries).slice(-logPanel.maxEntries);
+                    renderLogEntries(false);
+                } else if (!logPanel.entries.length) {
+                    renderLogEntries(false);
+                }
+
+                // Keep reading while the server has more, then poll for new entries
+                if (data.offset < data.size) {
+                    logPanel.timer = setTimeout(fetchLogEntries, 300);
+                } else if ($("#log-follow").is(':checked')) {
+                    logPanel.timer = setTimeout(fetchLogEntries, 3000);
+                }
+            },
+            error: function(xhr, status, error) {
+                console.log('Log request error:', {status: status, error: error, xhr: xhr});
+                $("#log-panel-spinner").removeClass("is-active");
+
+                if (logPanel.retries < 3) {
+                    logPanel.retries++;
+                    logPanel.timer = setTimeout(fetchLogEntries, 3000 * logPanel.retries);
+                } else {
+                    $("#log-panel-summary").text('Lost connection while reading the log. Tick "Follow new entries" again to retry.');
+                    $("#log-follow").prop('checked', false);
+                }
+            }
+        });
+    }
+
+    function getFilteredLogEntries() {
+        var minLevel = $.inArray($("#log-level-filter").val(), logPanel.levels);
+        var phase = $("#log-phase-filter").val();
+
+        return $.grep(logPanel.entries, function(entry) {
+            return $.inArray(entry.level, logPanel.levels) >= minLevel && (!phase || entry.phase === phase);
+        });
+    }
+
+    function formatLogEntry(entry) {
+        return '[' + entry.timestamp + '] [' + entry.level.toUpperCase() + '] [' + entry.phase + '] [PID ' + entry.pid + '] ' + entry.message;
+    }
+
+    function renderLogEntries(filterChanged) {
+        var $box = $("#log-panel-entries");
+        var atBottom = $box.scrollTop() + $box.innerHeight() >= $box[0].scrollHeight - 20;
+
+        // Offer every phase seen so far in the phase filter
+        $.each(logPanel.entries, function(index, entry) {
+            if (!logPanel.phases[entry.phase]) {
+                logPanel.phases[entry.phase] = true;
+                $("#log-phase-filter").append($('<option></option>').val(entry.phase).text(capitalizeFirstLetter(entry.phase)));
+            }
+        });
+
+        var filtered = getFilteredLogEntries();
+        $box.empty();
+
+        if (!filtered.length) {
+            $box.append($('<div class="log-entry-empty"></div>').text(logPanel.entries.length ? 'No entries match the filters.' : 'The log is empty.'));
+        }
+
+        $.each(filtered, function(index, entry) {
+            $box.append($('<div class="log-entry"></div>')
+                .addClass('log-level-' + entry.level)
+                .append($('<span class="log-entry-time"></span>').text(new Date(entry.timestamp).toLocaleTimeString()))
+                .append($('<span class="log-entry-level"></span>').text(entry.level))
+                .append($('<span class="log-entry-phase"></span>').text(entry.phase))
+                .append($('<span class="log-entry-message"></span>').text(entry.message))
+                .attr('title', formatLogEntry(entry)));
+        });
+
+        if (filterChanged || atBottom || $("#log-follow").is(':checked')) {
+            $box.scrollTop($box[0].scrollHeight);
+        }
+
+        var errors = $.grep(logPanel.entries, function(entry) { return entry.level === 'error'; }).length;
+        $("#log-panel-summary").text('Showing ' + filtered.length + ' of ' + logPanel.entries.length + ' recent entries' + (errors ? ' · ' + errors + ' errors' : '') + '.');
+    }
+
+    function copyToClipboard(text, done) {
+        if (navigator.clipboard && window.isSecureContext) {
+            navigator.clipboard.writeText(text).then(done, function() {
+                showError("The browser refused access to the clipboard.");
+            });
+            return;
+        }
+
+        // Older browsers and plain HTTP admin pages
+        var $textarea = $('<textarea readonly style="position: absolute; left: -9999px;"></textarea>').val(text).appendTo('body');
+        $textarea[0].select();
+        var copied = document.execCommand('copy');
+        $textarea.remove();
+
+        if (copied) {
+            done();
+        } else {
+            showError("Could not copy to the clipboard.");
+        }
+    }
+
+    // Function to check S3 upload status with enhanced error recovery
+    function startS3StatusCheck() {
+        var errorCount = 0;
+        var maxErrors = 3;
+        
+        // Clear any existing interval
+        if (s3StatusInterval) {
+            clearInterval(s3StatusInterval);
+        }
+        
+        // Check status every 3 seconds
+        s3StatusInterval = setInterval(function() {
+            $.ajax({
+                url: cm_ajax.ajax_url,
+                type: 'POST',
+                data: {
+                    action: 'cm_check_s3_status',
+                    nonce: cm_ajax.nonce
+                },
+                timeout: 15000, // 15 second timeout
+                success: function(response) {
+                    errorCount = 0; // Reset error count on success
+                    
+                    if (response.success) {
+                        var status = response.data.status;
+                        var message = response.data.message || "Uploading...";
+                        
+                        if (status === 'starting') {
+                            $("#s3-upload-status").html('<div class="spinner is-active" style="float: none; margin: 0 10px 0 0;"></div><span>Starting S3 upload...</span>');
+                        } else if (status.startsWith('uploading_')) {
+                            var currentFile = response.data.current_file || status.replace('uploading_', '');
+                            $("#s3-upload-status").html('<div class="spinner is-active" style="float: none; margin: 0 10px 0 0;"></div><span>Uploading ' + currentFile + ' file...</span>');
+                            renderS3UploadProgress(response.data.progress);
+                        } else if (status === 'finishing') {
+                            $("#s3-upload-status").html('<div class="spinner is-active" style="float: none; margin: 0 10px 0 0;"></div><span>Confirming the upload with the destination...</span>');
+                            renderS3UploadProgress(response.data.progress);
+                        } else if (status === 'done') {
+                            clearInterval(s3StatusInterval);
+                            renderS3UploadProgress(response.data.progress);
+                            $("#s3-upload-status").html('<span style="color: green;"><span class="dashicons dashicons-yes"></span> Upload completed successfully!</span>');
+                            resetS3Form();
+                            
+                            // Optionally, reload the page after a short delay
+                            setTimeout(function() {
+                                window.location.href = window.location.href.split('?')[0] + '?page=custom-migrator&s3_upload=success';
+                            }, 2000);
+                        }
+                    } else {
+                        // Error occurred
+                        clearInterval(s3StatusInterval);
+                        var errorMsg = response.data ? response.data.message : "Upload failed.";
+                        $("#s3-upload-status").html('<span style="color: red;">Error: ' + errorMsg + '</span>');
+                        resetS3Form(response.data && response.data.resumable);
+                        loadExportHistory();
+                    }
+                },
+                error: function(xhr, status, error) {
+                    errorCount++;
+                    console.log('S3 status check error #' + errorCount + ':', {status: status, error: error, xhr: xhr});
+                    
+                    if (errorCount >= maxErrors) {
+                        clearInterval(s3StatusInterval);
+                        $("#s3-upload-status").html('<span style="color: red;">Connection error. Please check the status manually.</span>');
+                        resetS3Form();
+                    } else {
+                        // Continue checking but show temporary error
+                        $("#s3-upload-status").html('<div class="spinner is-active" style="float: none; margin: 0 10px 0 0;"></div><span>Checking upload status... (retry ' + errorCount + ')</span>');
+                    }
+                }
+            });
+        }, 3000);
+    }
+    
+    // Helper function to show error messages with proper styling
+    function showError(message) {
+        // Create or update error notice
+        var errorNotice = $('.custom-migrator .notice-error.js-generated');
+        if (errorNotice.length === 0) {
+            errorNotice = $('<div class="notice notice-error is-dismissible js-generated"><p></p></div>');
+            $('.custom-migrator h1').after(errorNotice);
+        }
+        errorNotice.find('p').text(message);
+        errorNotice.show();
+        
+        // Scroll to top to show error
+        $('html, body').animate({scrollTop: 0}, 500);
+        
+        // Auto-hide after 10 seconds
+        setTimeout(function() {
+            errorNotice.fadeOut();
+        }, 10000);
+    }
+    
+    // Helper function to show warning messages
+    function showWarning(message) {
+        var warningNotice = $('.custom-migrator .notice-warning.js-generated');
+        if (warningNotice.length === 0) {
+            warningNotice = $('<div class="notice notice-warning is-dismissible js-generated"><p></p></div>');
+            $('.custom-migrator h1').after(warningNotice);
+        }
+        warningNotice.find('p').text(message);
+        warningNotice.show();
+        
+        // Auto-hide after 15 seconds
         setTimeout(function() {
             warningNotice.fadeOut();
         }, 15000);
     }
     
     // Helper function to reset S3 form
-    function resetS3Form() {
-        $("#upload-to-s3").prop('disabled', false);
+    function resetS3Form(resumable) {
+        $("#upload-to-s3, #upload-to-destination").prop('disabled', false);
         $("#s3-upload-spinner").removeClass("is-active");
+        $("#resume-s3-upload").toggle(!!resumable);
     }
     
     // Helper function to capitalize first letter
@@ -614,6 +3330,18 @@ jQuery(document).ready(function($) {
         return string.charAt(0).toUpperCase() + string.slice(1);
     }
     
+    // Format a number of seconds as a short human-readable duration
+    function formatDuration(seconds) {
+        seconds = Math.round(seconds);
+        
+        if (seconds < 60) return seconds + ' sec';
+        if (seconds < 3600) return Math.round(seconds / 60) + ' min';
+        
+        var hours = Math.floor(seconds / 3600);
+        var minutes = Math.round((seconds % 3600) / 60);
+        return hours + ' h ' + minutes + ' min';
+    }
+    
     // Format file size in a human-readable format
     function formatFileSize(bytes) {
         if (bytes === 0) return '0 Bytes';
@@ -627,18 +3355,11 @@ jQuery(document).ready(function($) {
     
     // Cleanup intervals when page unloads to prevent memory leaks
     $(window).on('beforeunload', function() {
-        if (statusCheckInterval) {
-            clearInterval(statusCheckInterval);
-            statusCheckInterval = null;
-        }
+        exportController.stopPolling();
         if (s3StatusInterval) {
             clearInterval(s3StatusInterval);
             s3StatusInterval = null;
         }
-        if (exportStatusDisplayInterval) {
-            clearInterval(exportStatusDisplayInterval);
-            exportStatusDisplayInterval = null;
-        }
         if (s3StatusDisplayInterval) {
             clearInterval(s3StatusDisplayInterval);
             s3StatusDisplayInterval = null;
@@ -660,87 +3381,6 @@ jQuery(document).ready(function($) {
         }
     });
     
-    // Add connection monitoring to detect if the server becomes unresponsive
-    var connectionCheckInterval = null;
-    
-    function startConnectionMonitoring() {
-        if (connectionCheckInterval) return; // Already monitoring
-        
-        connectionCheckInterval = setInterval(function() {
-            // Only check connection if we're actively monitoring an export
-            if (statusCheckInterval && lastStatusUpdate) {
-                var timeSinceLastUpdate = Date.now() - lastStatusUpdate;
-                
-                // If no successful status update in 60 seconds, show warning
-                if (timeSinceLastUpdate > 60000) {
-                    showWarning("Connection may be unstable. Export status hasn't updated in " + 
-                              Math.round(timeSinceLastUpdate / 1000) + " seconds.");
-                }
-            }
-        }, 30000); // Check every 30 seconds
-    }
-    
-    // Start connection monitoring if export is in progress
-    if ($("#export-progress").is(":visible")) {
-        startConnectionMonitoring();
-    }
-    
-    // Function to start export status display updates
-    function startExportStatusDisplay() {
-        // Clear any existing interval
-        if (exportStatusDisplayInterval) {
-            clearInterval(exportStatusDisplayInterval);
-        }
-        
-        // Check immediately, then every 10 seconds
-        updateExportStatusDisplay();
-        exportStatusDisplayInterval = setInterval(updateExportStatusDisplay, 10000);
-    }
-    
-    // Function to update the export status display
-    function updateExportStatusDisplay() {
-        var timestamp = Date.now();
-        var randomId = Math.floor(Math.random() * 1000000);
-        
-        $.ajax({
-            url: cm_ajax.ajax_url,
-            type: 'POST',
-            data: {
-                action: 'cm_get_export_status_display',
-                _t: timestamp, // Cache busting timestamp
-                _r: randomId   // Additional random parameter
-            },
-            timeout: 5000,
-            cache: false,
-            headers: {
-                'Cache-Control': 'no-cache, no-store, must-revalidate',
-                'Pragma': 'no-cache',
-                'Expires': '0'
-            },
-            success: function(response) {
-                if (response.success && response.data.status) {
-                    var status = response.data.status;
-                    $('#export-status-content').text(status);
-                    $('#export-status-display').show();
-                    
-                    // Stop checking if export is done or has error
-                    if (status === 'done' || status.indexOf('error:') === 0) {
-                        clearInterval(exportStatusDisplayInterval);
-                        exportStatusDisplayInterval = null;
-                    }
-                } else {
-                    // No status file or empty status
-                    $('#export-status-content').text('-');
-                    $('#export-status-display').hide();
-                }
-            },
-            error: function() {
-                // On error, just hide the display
-                $('#export-status-display').hide();
-            }
-        });
-    }
-    
     // Function to start S3 status display updates
     function startS3StatusDisplay() {
         // Clear any existing interval
@@ -0,0 +1,649 @@
+<?php
+/**
+ * The class responsible for anonymizing personal data in the database dump.
+ *
+ * @package CustomMigrator
+ */
+
+/**
+ * Anonymizer class.
+ *
+ * When enabled, rows pass through anonymize_row() before they are written to
+ * the SQL dump. Built-in rules cover users, user meta, comments and the
+ * WooCommerce customer, order and session tables; custom rules replace a
+ * column with a fake value, a hash or NULL, or leave a table's rows out.
+ * Fake values and hashes are derived from the original value with an HMAC
+ * keyed by a site secret, so the same email becomes the same fake email in
+ * every table and relationships survive. Administrator accounts are kept so
+ * the copy can still be logged into.
+ */
+class Custom_Migrator_Anonymizer {
+
+    /**
+     * Option holding the settings and the HMAC secret.
+     */
+    const OPTION_NAME = 'custom_migrator_anonymization';
+
+    /**
+     * Name of the report file in the export directory.
+     */
+    const REPORT_FILE = 'anonymization.json';
+
+    /**
+     * Maximum number of custom rules.
+     */
+    const MAX_RULES = 50;
+
+    /**
+     * Actions a rule can take.
+     *
+     * @var array
+     */
+    private static $actions = array('fake', 'hash', 'null', 'truncate');
+
+    /**
+     * Kinds of fake values.
+     *
+     * @var array
+     */
+    private static $fake_types = array('email', 'username', 'name', 'first_name', 'last_name', 'company', 'address', 'city', 'postcode', 'phone', 'ip', 'url', 'text');
+
+    /**
+     * Names used for fake first names.
+     *
+     * @var array
+     */
+    private static $first_names = array('Alex', 'Sam', 'Jordan', 'Taylor', 'Morgan', 'Casey', 'Riley', 'Jamie', 'Avery', 'Quinn', 'Robin', 'Charlie');
+
+    /**
+     * Names used for fake last names.
+     *
+     * @var array
+     */
+    private static $last_names = array('Smith', 'Jones', 'Brown', 'Garcia', 'Miller', 'Davis', 'Wilson', 'Moore', 'Clark', 'Lewis', 'Walker', 'Young');
+
+    /**
+     * Streets used for fake addresses.
+     *
+     * @var array
+     */
+    private static $streets = array('Main Street', 'Oak Avenue', 'Park Road', 'Maple Lane', 'Cedar Drive', 'Hill Street', 'Lake View', 'Station Road');
+
+    /**
+     * Cities used for fake addresses.
+     *
+     * @var array
+     */
+    private static $cities = array('Springfield', 'Riverton', 'Fairview', 'Greenville', 'Kingston', 'Bristol', 'Clinton', 'Madison');
+
+    /**
+     * The filesystem handler.
+     *
+     * @var Custom_Migrator_Filesystem
+     */
+    private $filesystem;
+
+    /**
+     * Compiled rules keyed by table name, built on first use per table.
+     *
+     * @var array
+     */
+    private $table_rules = array();
+
+    /**
+     * IDs of users whose rows are kept, null until loaded.
+     *
+     * @var array|null
+     */
+    private $kept_user_ids = null;
+
+    /**
+     * Counts of the current request, added to the report file by save_report().
+     *
+     * @var array
+     */
+    private $counts = array(
+        'values' => 0,
+        'tables' => array(),
+    );
+
+    /**
+     * Constructor.
+     *
+     * @param Custom_Migrator_Filesystem|null $filesystem Optional filesystem instance.
+     */
+    public function __construct($filesystem = null) {
+        $this->filesystem = $filesystem ? $filesystem : new Custom_Migrator_Filesystem();
+    }
+
+    /**
+     * Get the settings.
+     *
+     * @return array Settings with enabled, builtin, keep_administrators and rules.
+     */
+    public function get_settings() {
+        $settings = get_option(self::OPTION_NAME, array());
+        $settings = array_merge(array(
+            'enabled' => false,
+            'builtin' => true,
+            'keep_administrators' => true,
+            'rules' => array(),
+        ), is_array($settings) ? $settings : array());
+
+        // The secret never leaves the server
+        unset($settings['secret']);
+
+        return $settings;
+    }
+
+    /**
+     * Validate and save the settings.
+     *
+     * @param array $settings Settings as sent by the admin page.
+     * @return array Saved settings.
+     * @throws Exception If a rule is invalid.
+     */
+    public function save_settings($settings) {
+        $rules = array();
+        foreach (isset($settings['rules']) && is_array($settings['rules']) ? $settings['rules'] : array() as $rule) {
+            $table = isset($rule['table']) ? trim((string) $rule['table']) : '';
+            $column = isset($rule['column']) ? trim((string) $rule['column']) : '';
+            $action = isset($rule['action']) ? (string) $rule['action'] : '';
+            $type = isset($rule['type']) ? (string) $rule['type'] : '';
+
+            if (!preg_match('/^[A-Za-z0-9_$]{1,64}$/', $table)) {
+                throw new Exception(sprintf('"%s" is not a valid table name.', $table));
+            }
+            if (!in_array($action, self::$actions, true)) {
+                throw new Exception(sprintf('Unknown action "%s" for table %s. Use fake, hash, null or truncate.', $action, $table));
+            }
+            if ($action !== 'truncate' && !preg_match('/^[A-Za-z0-9_$]{1,64}$/', $column)) {
+                throw new Exception(sprintf('The %s rule for table %s needs a column.', $action, $table));
+            }
+            if ($action === 'fake' && !in_array($type, self::$fake_types, true)) {
+                throw new Exception(sprintf('Unknown fake value "%s". Use one of: %s.', $type, implode(', ', self::$fake_types)));
+            }
+
+            $rules[] = array(
+                'table' => $table,
+                'column' => $action === 'truncate' ? '' : $column,
+                'action' => $action,
+                'type' => $action === 'fake' ? $type : '',
+            );
+        }
+
+        if (count($rules) > self::MAX_RULES) {
+            throw new Exception(sprintf('At most %d custom rules can be saved.', self::MAX_RULES));
+        }
+
+        $stored = get_option(self::OPTION_NAME, array());
+
+        update_option(self::OPTION_NAME, array(
+            'enabled' => !empty($settings['enabled']),
+            'builtin' => !empty($settings['builtin']),
+            'keep_administrators' => !empty($settings['keep_administrators']),
+            'rules' => $rules,
+            'secret' => is_array($stored) && !empty($stored['secret']) ? $stored['secret'] : wp_generate_password(64, true, true),
+        ), false);
+        $this->table_rules = array();
+
+        return $this->get_settings();
+    }
+
+    /**
+     * Check whether exports anonymize the dump.
+     *
+     * @return bool Whether anonymization is enabled with built-in or custom rules.
+     */
+    public function is_enabled() {
+        $settings = $this->get_settings();
+        return $settings['enabled'] && ($settings['builtin'] || !empty($settings['rules']));
+    }
+
+    /**
+     * Get the fake value kinds a rule can use.
+     *
+     * @return array Fake value kinds.
+     */
+    public function get_fake_types() {
+        return self::$fake_types;
+    }
+
+    /**
+     * Get the tables whose rows are left out of the dump.
+     *
+     * @param array $tables Tables being exported.
+     * @return array Table names.
+     */
+    public function get_truncated_tables($tables) {
+        $truncated = array();
+        foreach ($tables as $table) {
+            if ($this->get_table_rules($table)['truncate']) {
+                $truncated[] = $table;
+            }
+        }
+
+        return $truncated;
+    }
+
+    /**
+     * Anonymize one row.
+     *
+     * @param string $table   Table the row belongs to.
+     * @param array  $row     Row keyed by column name.
+     * @param array  $columns Column definitions from SHOW COLUMNS.
+     * @return array Anonymized row.
+     */
+    public function anonymize_row($table, $row, $columns) {
+        $rules = $this->get_table_rules($table);
+        if (empty($rules['columns']) && empty($rules['meta'])) {
+            return $row;
+        }
+
+        if ($rules['user_column'] !== null && isset($row[$rules['user_column']]) && in_array((int) $row[$rules['user_column']], $this->get_kept_user_ids(), true)) {
+            return $row;
+        }
+
+        $changed = 0;
+        foreach ($rules['columns'] as $column => $rule) {
+            if (array_key_exists($column, $row) && $this->apply_rule($rule, $row, $column, $columns)) {
+                $changed++;
+            }
+        }
+
+        // Meta tables hold personal data in meta_value depending on meta_key
+        if (!empty($rules['meta']) && isset($row['meta_key'], $rules['meta'][$row['meta_key']]) && array_key_exists('meta_value', $row)) {
+            if ($this->apply_rule($rules['meta'][$row['meta_key']], $row, 'meta_value', $columns)) {
+                $changed++;
+            }
+        }
+
+        if ($changed > 0) {
+            $this->counts['values'] += $changed;
+            $this->counts['tables'][$table] = (isset($this->counts['tables'][$table]) ? $this->counts['tables'][$table] : 0) + $changed;
+        }
+
+        return $row;
+    }
+
+    /**
+     * Get the path to the report file.
+     *
+     * @return string Report file path.
+     */
+    public function get_report_path() {
+        return $this->filesystem->get_export_dir() . '/' . self::REPORT_FILE;
+    }
+
+    /**
+     * Add the counts of this request to the report file.
+     *
+     * @param array $truncated_tables Tables whose rows were left out in this request.
+     * @return void
+     */
+    public function save_report($truncated_tables = array()) {
+        $report = $this->load_report();
+
+        $report['values'] += $this->counts['values'];
+        foreach ($this->counts['tables'] as $table => $count) {
+            $report['tables'][$table] = (isset($report['tables'][$table]) ? $report['tables'][$table] : 0) + $count;
+        }
+        $report['truncated_tables'] = array_values(array_unique(array_merge($report['truncated_tables'], $truncated_tables)));
+
+        $report_file = $this->get_report_path();
+        $this->filesystem->write_json_atomic($report_file, $report);
+
+        $this->counts = array('values' => 0, 'tables' => array());
+    }
+
+    /**
+     * Remove the report of a previous export.
+     *
+     * @return void
+     */
+    public function reset_report() {
+        $report_file = $this->get_report_path();
+        if (file_exists($report_file)) {
+            @unlink($report_file);
+        }
+    }
+
+    /**
+     * Get what was anonymized in this export for the metadata.
+     *
+     * @return array|null Rules and counts, null if anonymization is off.
+     */
+    public function get_summary() {
+        if (!$this->is_enabled()) {
+            return null;
+        }
+
+        $settings = $this->get_settings();
+        $report = $this->load_report();
+
+        return array(
+            'anonymized' => true,
+            'method' => 'hmac-sha256',
+            'builtin_rules' => $settings['builtin'],
+            'administrators_kept' => $settings['keep_administrators'],
+            'custom_rules' => $settings['rules'],
+            'values_anonymized' => $report['values'],
+            'tables' => $report['tables'],
+            'truncated_tables' => $report['truncated_tables'],
+        );
+    }
+
+    /**
+     * Apply a rule to a column of a row.
+     *
+     * @param array  $rule    Rule with action and type.
+     * @param array  $row     Row, changed in place.
+     * @param string $column  Column to change.
+     * @param array  $columns Column definitions from SHOW COLUMNS.
+     * @return bool Whether the value changed.
+     */
+    private function apply_rule($rule, &$row, $column, $columns) {
+        $value = $row[$column];
+        if ($value === null || $value === '') {
+            return false;
+        }
+
+        switch ($rule['action']) {
+            case 'fake':
+                $row[$column] = $this->fake($rule['type'], $value);
+                break;
+            case 'hash':
+                $row[$column] = substr($this->hmac($value), 0, 32);
+                break;
+            case 'null':
+                // NOT NULL columns get an empty value instead, the INSERT would fail otherwise
+                $row[$column] = $this->is_nullable($column, $columns) ? null : '';
+                break;
+        }
+
+        return $row[$column] !== $value;
+    }
+
+    /**
+     * Build a fake value from the original one.
+     *
+     * @param string $type  Kind of fake value.
+     * @param string $value Original value.
+     * @return string Fake value, the same for the same original value.
+     */
+    private function fake($type, $value) {
+        // Emails and usernames are matched case-insensitively by WordPress
+        $hash = $this->hmac(in_array($type, array('email', 'username'), true) ? strtolower(trim($value)) : $value);
+        $number = hexdec(substr($hash, 0, 7));
+
+        $first_name = self::$first_names[$number % count(self::$first_names)];
+        $last_name = self::$last_names[hexdec(substr($hash, 7, 7)) % count(self::$last_names)];
+
+        switch ($type) {
+            case 'email':
+                return 'user-' . substr($hash, 0, 12) . '@example.invalid';
+            case 'username':
+                return 'user-' . substr($hash, 0, 12);
+            case 'name':
+                return $first_name . ' ' . $last_name;
+            case 'first_name':
+                return $first_name;
+            case 'last_name':
+                return $last_name;
+            case 'company':
+                return $last_name . ' ' . strtoupper(substr($hash, 0, 4)) . ' Ltd';
+            case 'address':
+                return ($number % 900 + 100) . ' ' . self::$streets[$number % count(self::$streets)];
+            case 'city':
+                return self::$cities[$number % count(self::$cities)];
+            case 'postcode':
+                return sprintf('%05d', $number % 100000);
+            case 'phone':
+                // 555-0100 to 555-0199 are reserved for fiction
+                return sprintf('555-01%02d', $number % 100);
+            case 'ip':
+                // TEST-NET-1 documentation range
+                return '192.0.2.' . ($number % 254 + 1);
+            case 'url':
+                return 'https://example.invalid/' . substr($hash, 0, 8);
+            default:
+                return 'Anonymized ' . substr($hash, 0, 8);
+        }
+    }
+
+    /**
+     * Hash a value with the site secret.
+     *
+     * @param string $value Value.
+     * @return string Hex HMAC.
+     */
+    private function hmac($value) {
+        static $secret = null;
+
+        if ($secret === null) {
+            $stored = get_option(self::OPTION_NAME, array());
+            $secret = is_array($stored) && !empty($stored['secret']) ? $stored['secret'] : wp_salt('auth');
+        }
+
+        return hash_hmac('sha256', (string) $value, $secret);
+    }
+
+    /**
+     * Check whether a column accepts NULL.
+     *
+     * @param string $column  Column name.
+     * @param array  $columns Column definitions from SHOW COLUMNS.
+     * @return bool Whether the column is nullable.
+     */
+    private function is_nullable($column, $columns) {
+        foreach ($columns as $definition) {
+            if ($definition['Field'] === $column) {
+                return $definition['Null'] === 'YES';
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Get the compiled rules of a table.
+     *
+     * @param string $table Table name.
+     * @return array Rules with columns (by column), meta (by meta key), truncate and user_column.
+     */
+    private function get_table_rules($table) {
+        if (isset($this->table_rules[$table])) {
+            return $this->table_rules[$table];
+        }
+
+        $settings = $this->get_settings();
+        $compiled = array('columns' => array(), 'meta' => array(), 'truncate' => false, 'user_column' => null);
+
+        if ($settings['enabled']) {
+            if ($settings['builtin']) {
+                $builtin = $this->get_builtin_rules();
+                $name = $this->get_unprefixed_name($table);
+
+                if ($name !== null && isset($builtin[$name])) {
+                    $compiled = array_merge($compiled, $builtin[$name]);
+                }
+
+                if ($settings['keep_administrators'] && in_array($name, array('users', 'usermeta'), true)) {
+                    $compiled['user_column'] = $name === 'users' ? 'ID' : 'user_id';
+                }
+            }
+
+            // Custom rules override the built-in ones for the same column
+            foreach ($settings['rules'] as $rule) {
+                if ($rule['table'] !== $table) {
+                    continue;
+                }
+                if ($rule['action'] === 'truncate') {
+                    $compiled['truncate'] = true;
+                } else {
+                    $compiled['columns'][$rule['column']] = array('action' => $rule['action'], 'type' => $rule['type']);
+                }
+            }
+        }
+
+        $this->table_rules[$table] = $compiled;
+        return $compiled;
+    }
+
+    /**
+     * Get a table name without the WordPress table prefix.
+     *
+     * Users and user meta are only matched with the base prefix; the other
+     * tables also with the prefix of each site of a network.
+     *
+     * @param string $table Table name.
+     * @return string|null Name without prefix, null for tables outside WordPress.
+     */
+    private function get_unprefixed_name($table) {
+        global $wpdb;
+
+        if (strpos($table, $wpdb->base_prefix) !== 0) {
+            return null;
+        }
+
+        $name = substr($table, strlen($wpdb->base_prefix));
+        if (is_multisite() && preg_match('/^\d+_(.+)$/', $name, $matches) && !in_array($matches[1], array('users', 'usermeta'), true)) {
+            $name = $matches[1];
+        }
+
+        return $name;
+    }
+
+    /**
+     * Get the built-in rules by table name without prefix.
+     *
+     * @return array Rules with columns, meta and truncate.
+     */
+    private function get_builtin_rules() {
+        $fake = function($type) {
+            return array('action' => 'fake', 'type' => $type);
+        };
+        $null = array('action' => 'null', 'type' => '');
+
+        // Billing and shipping fields shared by user meta, legacy order meta and HPOS addresses
+        $address_fields = array(
+            'first_name' => $fake('first_name'),
+            'last_name' => $fake('last_name'),
+            'company' => $fake('company'),
+            'address_1' => $fake('address'),
+            'address_2' => $null,
+            'city' => $fake('city'),
+            'postcode' => $fake('postcode'),
+            'phone' => $fake('phone'),
+            'email' => $fake('email'),
+        );
+
+        $customer_meta = array();
+        $order_meta = array();
+        foreach (array('billing', 'shipping') as $address_type) {
+            foreach ($address_fields as $field => $rule) {
+                $customer_meta[$address_type . '_' . $field] = $rule;
+                $order_meta['_' . $address_type . '_' . $field] = $rule;
+            }
+        }
+
+        return array(
+            'users' => array(
+                'columns' => array(
+                    'user_login' => $fake('username'),
+                    'user_nicename' => $fake('username'),
+                    'user_email' => $fake('email'),
+                    'user_url' => $fake('url'),
+                    'display_name' => $fake('name'),
+                    'user_activation_key' => $null,
+                ),
+            ),
+            'usermeta' => array(
+                'meta' => array_merge(array(
+                    'first_name' => $fake('first_name'),
+                    'last_name' => $fake('last_name'),
+                    'nickname' => $fake('username'),
+                    'description' => $null,
+                    'session_tokens' => $null,
+                ), $customer_meta),
+            ),
+            'comments' => array(
+                'columns' => array(
+                    'comment_author' => $fake('name'),
+                    'comment_author_email' => $fake('email'),
+                    'comment_author_url' => $fake('url'),
+                    'comment_author_IP' => $fake('ip'),
+                    'comment_agent' => $null,
+                ),
+            ),
+            'postmeta' => array(
+                'meta' => array_merge(array(
+                    '_customer_ip_address' => $fake('ip'),
+                    '_customer_user_agent' => $null,
+                ), $order_meta),
+            ),
+            'wc_customer_lookup' => array(
+                'columns' => array(
+                    'username' => $fake('username'),
+                    'first_name' => $fake('first_name'),
+                    'last_name' => $fake('last_name'),
+                    'email' => $fake('email'),
+                    'postcode' => $fake('postcode'),
+                    'city' => $fake('city'),
+                ),
+            ),
+            'wc_orders' => array(
+                'columns' => array(
+                    'billing_email' => $fake('email'),
+                    'ip_address' => $fake('ip'),
+                    'user_agent' => $null,
+                    'customer_note' => $null,
+                ),
+            ),
+            'wc_order_addresses' => array(
+                'columns' => $address_fields,
+            ),
+            'woocommerce_sessions' => array(
+                'truncate' => true,
+            ),
+        );
+    }
+
+    /**
+     * Get the IDs of users whose rows are kept as they are.
+     *
+     * @return array User IDs.
+     */
+    private function get_kept_user_ids() {
+        if ($this->kept_user_ids === null) {
+            $ids = get_users(array('role' => 'administrator', 'fields' => 'ID', 'blog_id' => get_current_blog_id()));
+            if (is_multisite()) {
+                foreach (get_super_admins() as $login) {
+                    $user = get_user_by('login', $login);
+                    if ($user) {
+                        $ids[] = $user->ID;
+                    }
+                }
+            }
+            $this->kept_user_ids = array_values(array_unique(array_map('intval', $ids)));
+        }
+
+        return $this->kept_user_ids;
+    }
+
+    /**
+     * Load the report file.
+     *
+     * @return array Report with values, tables and truncated_tables.
+     */
+    private function load_report() {
+        $report_file = $this->get_report_path();
+        $report = file_exists($report_file) ? json_decode(file_get_contents($report_file), true) : null;
+
+        return array_merge(array(
+            'values' => 0,
+            'tables' => array(),
+            'truncated_tables' => array(),
+        ), is_array($report) ? $report : array());
+    }
+}
@@ -0,0 +1,487 @@
+<?php
+/**
+ * The class responsible for browsing the contents of an export archive.
+ *
+ * @package CustomMigrator
+ */
+
+/**
+ * Archive browser class.
+ *
+ * Walks the .hstgr binary blocks with parse_binary_block in time-boxed slices
+ * and writes a flat index (one JSON line per file) plus a directory tree with
+ * per-folder file counts and sizes. Listing, search and single-file downloads
+ * are served from the index so the archive itself is only read once. A split
+ * archive is indexed volume by volume and each entry records its volume.
+ */
+class Custom_Migrator_Archive_Browser {
+
+    /**
+     * Maximum number of search results counted before giving up.
+     */
+    const MAX_SEARCH_MATCHES = 1000;
+
+    /**
+     * Read chunk size when streaming a file out of the archive.
+     */
+    const READ_CHUNK_SIZE = 262144;
+
+    /**
+     * The filesystem handler.
+     *
+     * @var Custom_Migrator_Filesystem
+     */
+    private $filesystem;
+
+    /**
+     * Constructor.
+     *
+     * @param Custom_Migrator_Filesystem|null $filesystem Optional filesystem instance.
+     */
+    public function __construct($filesystem = null) {
+        $this->filesystem = $filesystem ? $filesystem : new Custom_Migrator_Filesystem();
+    }
+
+    /**
+     * Get the path to the file index.
+     *
+     * @return string Index file path.
+     */
+    public function get_index_path() {
+        return $this->filesystem->get_archive_sidecar_path('index', 'jsonl');
+    }
+
+    /**
+     * Get the path to the directory tree and indexing state.
+     *
+     * @return string Tree file path.
+     */
+    public function get_tree_path() {
+        return $this->filesystem->get_archive_sidecar_path('tree', 'json');
+    }
+
+    /**
+     * Remove the index of the current archive.
+     *
+     * @return void
+     */
+    public function reset() {
+        foreach (array($this->get_index_path(), $this->get_tree_path()) as $path) {
+            if (file_exists($path)) {
+                @unlink($path);
+            }
+        }
+    }
+
+    /**
+     * Load the tree, starting over when it belongs to a different archive file.
+     *
+     * @return array Tree data.
+     */
+    public function load_tree() {
+        $file_paths = $this->filesystem->get_export_file_paths();
+        $archive_path = $file_paths['hstgr'];
+
+        clearstatcache();
+        $archive_size = file_exists($archive_path) ? filesize($archive_path) : 0;
+        $volume_sizes = array($archive_size);
+        foreach (Custom_Migrator_Volumes::find_volume_paths($archive_path) as $volume_path) {
+            $volume_sizes[] = filesize($volume_path);
+        }
+
+        $tree_path = $this->get_tree_path();
+        $tree = file_exists($tree_path) ? json_decode(file_get_contents($tree_path), true) : null;
+
+        if (!is_array($tree) || $tree['archive_size'] !== $archive_size || !isset($tree['volume_sizes']) || $tree['volume_sizes'] !== $volume_sizes) {
+            $archive_format = Custom_Migrator_Helper::get_archive_format($archive_path);
+            $tree = array(
+                'archive_size' => $archive_size,
+                'volume_sizes' => $volume_sizes,
+                'volume' => 0,
+                'archive_version' => $archive_format['version'],
+                'archive_offset' => $archive_format['data_offset'],
+                'index_offset' => 0,
+                'file_count' => 0,
+                'complete' => false,
+                'error' => null,
+                'dirs' => array('' => $this->new_dir_node()),
+            );
+        }
+
+        return $tree;
+    }
+
+    /**
+     * Continue indexing the archive for up to the given number of seconds.
+     *
+     * @param int $time_budget Seconds to spend in this request.
+     * @return array Tree data.
+     * @throws Exception If the archive cannot be read.
+     */
+    public function build_index($time_budget = 10) {
+        $tree = $this->load_tree();
+        if ($tree['complete']) {
+            return $tree;
+        }
+
+        $file_paths = $this->filesystem->get_export_file_paths();
+        $block_size = Custom_Migrator_Helper::get_binary_block_size(isset($tree['archive_version']) ? $tree['archive_version'] : 1);
+        $start_time = microtime(true);
+
+        if (Custom_Migrator_Encryption::is_encrypted_file($file_paths['hstgr'])) {
+            throw new Exception('The archive is encrypted, its contents cannot be browsed on the server.');
+        }
+
+        $archive_handle = @fopen(Custom_Migrator_Volumes::get_volume_path($file_paths['hstgr'], $tree['volume']), 'rb');
+        if (!$archive_handle) {
+            throw new Exception('Cannot open archive file');
+        }
+
+        $index_handle = @fopen($this->get_index_path(), $tree['index_offset'] > 0 ? 'c+b' : 'w+b');
+        if (!$index_handle) {
+            fclose($archive_handle);
+            throw new Exception('Cannot write archive index');
+        }
+
+        // Drop lines written by a request that died before saving the tree
+        ftruncate($index_handle, $tree['index_offset']);
+        fseek($index_handle, $tree['index_offset']);
+        fseek($archive_handle, $tree['archive_offset']);
+
+        while ((microtime(true) - $start_time) < $time_budget) {
+            $volume_size = $tree['volume_sizes'][$tree['volume']];
+
+            if ($tree['archive_offset'] >= $volume_size) {
+                if ($tree['volume'] + 1 >= count($tree['volume_sizes'])) {
+                    $tree['complete'] = true;
+                    break;
+                }
+
+                // Continue with the first entry of the next volume
+                fclose($archive_handle);
+                $tree['volume']++;
+                $archive_handle = @fopen(Custom_Migrator_Volumes::get_volume_path($file_paths['hstgr'], $tree['volume']), 'rb');
+                if (!$archive_handle) {
+                    fclose($index_handle);
+                    throw new Exception('Cannot open archive volume ' . $tree['volume']);
+                }
+
+                $archive_format = Custom_Migrator_Helper::get_archive_format($archive_handle);
+                $block_size = $archive_format['block_size'];
+                $tree['archive_version'] = $archive_format['version'];
+                $tree['archive_offset'] = $archive_format['data_offset'];
+                fseek($archive_handle, $tree['archive_offset']);
+                continue;
+            }
+
+            $block = fread($archive_handle, $block_size);
+            $header = $block !== false ? Custom_Migrator_Helper::parse_binary_block($block) : false;
+            $content_end = $tree['archive_offset'] + $block_size + ($header ? $header['size'] : 0);
+
+            if ($header === false || $content_end > $volume_size) {
+                // Everything before the damaged entry stays browsable
+                $tree['complete'] = true;
+                $tree['error'] = sprintf('Unreadable archive entry at byte %d, only the files before it are listed', $tree['archive_offset']);
+                if ($tree['volume'] > 0) {
+                    $tree['error'] = sprintf('Unreadable archive entry at byte %d of volume %d, only the files before it are listed', $tree['archive_offset'], $tree['volume']);
+                }
+                $this->filesystem->log('Archive index: ' . $tree['error']);
+                break;
+            }
+
+            $path = str_replace('\\', '/', $header['filename']);
+            fwrite($index_handle, json_encode(array(
+                'path' => $path,
+                'volume' => $tree['volume'],
+                'offset' => $tree['archive_offset'],
+                'size' => (int) $header['size'],
+                'mtime' => (int) $header['date'],
+            ), JSON_UNESCAPED_SLASHES) . "\n");
+
+            $this->add_to_tree($tree, $path, (int) $header['size']);
+
+            fseek($archive_handle, $content_end);
+            $tree['archive_offset'] = $content_end;
+            $tree['file_count']++;
+        }
+
+        fflush($index_handle);
+        $tree['index_offset'] = ftell($index_handle);
+
+        fclose($archive_handle);
+        fclose($index_handle);
+
+        $this->save_tree($tree);
+
+        return $tree;
+    }
+
+    /**
+     * Get the indexing progress.
+     *
+     * @param array $tree Tree data.
+     * @return array Progress report.
+     */
+    public function get_index_status($tree) {
+        $total_size = array_sum($tree['volume_sizes']);
+        $bytes_done = array_sum(array_slice($tree['volume_sizes'], 0, $tree['volume'])) + $tree['archive_offset'];
+
+        return array(
+            'complete' => $tree['complete'],
+            'percent' => $total_size > 0 ? round(($bytes_done / $total_size) * 100, 1) : 100,
+            'file_count' => $tree['file_count'],
+            'error' => $tree['error'],
+        );
+    }
+
+    /**
+     * List the subdirectories and a page of files of a directory.
+     *
+     * @param array  $tree   Complete tree data.
+     * @param string $dir    Directory path relative to the archive root, empty for the root.
+     * @param int    $offset Number of files to skip.
+     * @param int    $limit  Maximum number of files to return.
+     * @return array|false Listing or false when the directory does not exist.
+     */
+    public function list_directory($tree, $dir, $offset = 0, $limit = 100) {
+        $dir = trim(str_replace('\\', '/', $dir), '/');
+
+        if (!isset($tree['dirs'][$dir])) {
+            return false;
+        }
+
+        $node = $tree['dirs'][$dir];
+        $dirs = array();
+
+        foreach (array_keys($node['children']) as $name) {
+            $name = (string) $name; // Numeric folder names come back as integer keys
+            $child_path = $dir === '' ? $name : $dir . '/' . $name;
+            $child = $tree['dirs'][$child_path];
+
+            $dirs[] = array(
+                'name' => $name,
+                'path' => $child_path,
+                'file_count' => $child['total_files'],
+                'size' => $child['total_size'],
+            );
+        }
+
+        usort($dirs, function ($a, $b) {
+            return strcasecmp($a['name'], $b['name']);
+        });
+
+        $files = array();
+        $matched = 0;
+
+        if ($node['files'] > 0) {
+            $this->scan_index(function ($entry) use ($dir, $offset, $limit, &$files, &$matched) {
+                $entry_dir = dirname($entry['path']);
+                if (($entry_dir === '.' ? '' : $entry_dir) !== $dir) {
+                    return true;
+                }
+
+                if ($matched >= $offset && count($files) < $limit) {
+                    $entry['name'] = basename($entry['path']);
+                    $files[] = $entry;
+                }
+                $matched++;
+
+                // Stop reading once the page is full
+                return count($files) < $limit;
+            });
+        }
+
+        return array(
+            'path' => $dir,
+            'file_count' => $node['total_files'],
+            'size' => $node['total_size'],
+            'dirs' => $dirs,
+            'files' => $files,
+            'files_total' => $node['files'],
+            'has_more' => $offset + count($files) < $node['files'],
+        );
+    }
+
+    /**
+     * Search archived file paths.
+     *
+     * @param string $query  Case-insensitive path fragment.
+     * @param int    $offset Number of matches to skip.
+     * @param int    $limit  Maximum number of matches to return.
+     * @return array Search results.
+     */
+    public function search($query, $offset = 0, $limit = 100) {
+        $results = array();
+        $matched = 0;
+
+        $this->scan_index(function ($entry) use ($query, $offset, $limit, &$results, &$matched) {
+            if (stripos($entry['path'], $query) === false) {
+                return true;
+            }
+
+            if ($matched >= $offset && count($results) < $limit) {
+                $entry['name'] = basename($entry['path']);
+                $results[] = $entry;
+            }
+            $matched++;
+
+            return $matched < self::MAX_SEARCH_MATCHES;
+        });
+
+        return array(
+            'query' => $query,
+            'files' => $results,
+            'total' => $matched,
+            'total_capped' => $matched >= self::MAX_SEARCH_MATCHES,
+            'has_more' => $offset + count($results) < $matched,
+        );
+    }
+
+    /**
+     * Stream a single file out of the archive to the browser.
+     *
+     * The header at the given offset is re-read and must match the requested
+     * path, so only real archive entries can be downloaded.
+     *
+     * @param int    $offset Header offset of the entry.
+     * @param string $path   Expected path of the entry.
+     * @param int    $volume Archive volume holding the entry, 0 for the first.
+     * @return void
+     * @throws Exception If the entry cannot be read.
+     */
+    public function stream_file($offset, $path, $volume = 0) {
+        $file_paths = $this->filesystem->get_export_file_paths();
+        $volume_path = Custom_Migrator_Volumes::get_volume_path($file_paths['hstgr'], $volume);
+
+        if ($volume > 0 && !file_exists($volume_path)) {
+            throw new Exception('Archive volume not found');
+        }
+
+        $archive_handle = @fopen($volume_path, 'rb');
+        if (!$archive_handle) {
+            throw new Exception('Cannot open archive file');
+        }
+
+        try {
+            $archive_format = Custom_Migrator_Helper::get_archive_format($archive_handle);
+        } catch (Exception $e) {
+            fclose($archive_handle);
+            throw $e;
+        }
+        $block_size = $archive_format['block_size'];
+
+        if (fseek($archive_handle, $offset) !== 0) {
+            fclose($archive_handle);
+            throw new Exception('Invalid archive offset');
+        }
+
+        $header = Custom_Migrator_Helper::parse_binary_block(fread($archive_handle, $block_size));
+        if ($header === false || str_replace('\\', '/', $header['filename']) !== $path) {
+            fclose($archive_handle);
+            throw new Exception('File not found in archive');
+        }
+
+        nocache_headers();
+        header('Content-Type: application/octet-stream');
+        header('Content-Disposition: attachment; filename="' . str_replace('"', '', basename($path)) . '"');
+        header('Content-Length: ' . $header['size']);
+
+        $remaining = (int) $header['size'];
+        while ($remaining > 0) {
+            $chunk = fread($archive_handle, min(self::READ_CHUNK_SIZE, $remaining));
+            if ($chunk === false || $chunk === '') {
+                break;
+            }
+            echo $chunk;
+            flush();
+            $remaining -= strlen($chunk);
+        }
+
+        fclose($archive_handle);
+    }
+
+    /**
+     * Call a function for every index entry until it returns false.
+     *
+     * @param callable $callback Receives the decoded entry.
+     * @return void
+     */
+    private function scan_index($callback) {
+        $index_handle = @fopen($this->get_index_path(), 'rb');
+        if (!$index_handle) {
+            return;
+        }
+
+        while (($line = fgets($index_handle)) !== false) {
+            $entry = json_decode($line, true);
+            if (is_array($entry) && call_user_func($callback, $entry) === false) {
+                break;
+            }
+        }
+
+        fclose($index_handle);
+    }
+
+    /**
+     * Add a file to the directory tree, updating the totals of every parent.
+     *
+     * @param array  $tree Tree data, updated in place.
+     * @param string $path File path.
+     * @param int    $size File size.
+     * @return void
+     */
+    private function add_to_tree(&$tree, $path, $size) {
+        $parts = explode('/', $path);
+        array_pop($parts);
+
+        $tree['dirs']['']['total_files']++;
+        $tree['dirs']['']['total_size'] += $size;
+
+        $current = '';
+        foreach ($parts as $part) {
+            $parent = $current;
+            $current = $current === '' ? $part : $current . '/' . $part;
+
+            if (!isset($tree['dirs'][$current])) {
+                $tree['dirs'][$current] = $this->new_dir_node();
+                $tree['dirs'][$parent]['children'][$part] = true;
+            }
+
+            $tree['dirs'][$current]['total_files']++;
+            $tree['dirs'][$current]['total_size'] += $size;
+        }
+
+        $tree['dirs'][$current]['files']++;
+    }
+
+    /**
+     * Create an empty directory node.
+     *
+     * @return array Directory node.
+     */
+    private function new_dir_node() {
+        return array(
+            'files' => 0,
+            'total_files' => 0,
+            'total_size' => 0,
+            'children' => array(),
+        );
+    }
+
+    /**
+     * Save the tree atomically.
+     *
+     * @param array $tree Tree data.
+     * @return void
+     */
+    private function save_tree($tree) {
+        $tree_path = $this->get_tree_path();
+
+        // Empty children must stay JSON objects so numeric folder names survive
+        foreach ($tree['dirs'] as $dir => $node) {
+            $tree['dirs'][$dir]['children'] = (object) $node['children'];
+        }
+
+        $this->filesystem->write_json_atomic($tree_path, $tree, JSON_UNESCAPED_SLASHES);
+    }
+}
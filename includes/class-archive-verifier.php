@@ -0,0 +1,541 @@
+<?php
+/**
+ * The class responsible for verifying export archives against their manifest.
+ *
+ * @package CustomMigrator
+ */
+
+/**
+ * Archive verifier class.
+ *
+ * Streams the .hstgr archive back through parse_binary_block in time-boxed
+ * slices, comparing every file entry with the checksum manifest, then checks
+ * the whole-file SHA-256 of the archive, its extra volumes and the database
+ * dump. A split archive is walked volume by volume in order. Progress is kept
+ * in a state file so each AJAX request continues where the previous one stopped.
+ */
+class Custom_Migrator_Archive_Verifier {
+
+    /**
+     * Maximum number of mismatches kept in the state file.
+     */
+    const MAX_REPORTED_MISMATCHES = 200;
+
+    /**
+     * Read chunk size when hashing file content.
+     */
+    const READ_CHUNK_SIZE = 262144;
+
+    /**
+     * The filesystem handler.
+     *
+     * @var Custom_Migrator_Filesystem
+     */
+    private $filesystem;
+
+    /**
+     * The manifest handler.
+     *
+     * @var Custom_Migrator_Manifest
+     */
+    private $manifest;
+
+    /**
+     * Constructor.
+     *
+     * @param Custom_Migrator_Filesystem|null $filesystem Optional filesystem instance.
+     */
+    public function __construct($filesystem = null) {
+        $this->filesystem = $filesystem ? $filesystem : new Custom_Migrator_Filesystem();
+        $this->manifest = new Custom_Migrator_Manifest($this->filesystem);
+    }
+
+    /**
+     * Get the path to the verification state file.
+     *
+     * @return string State file path.
+     */
+    public function get_state_file_path() {
+        return $this->filesystem->get_export_dir() . '/export-verify-state.json';
+    }
+
+    /**
+     * Load the verification state.
+     *
+     * @return array|null State or null when the current archive has not been verified.
+     */
+    public function load_state() {
+        $state_file = $this->get_state_file_path();
+        if (!file_exists($state_file)) {
+            return null;
+        }
+
+        $state = json_decode(file_get_contents($state_file), true);
+        if (!is_array($state)) {
+            return null;
+        }
+
+        // Ignore state left over from a previous export
+        $file_paths = $this->filesystem->get_export_file_paths();
+        if (!isset($state['archive']) || $state['archive'] !== basename($file_paths['hstgr'])) {
+            return null;
+        }
+
+        return $state;
+    }
+
+    /**
+     * Remove the verification state.
+     *
+     * @return void
+     */
+    public function reset_state() {
+        $state_file = $this->get_state_file_path();
+        if (file_exists($state_file)) {
+            @unlink($state_file);
+        }
+    }
+
+    /**
+     * Start a new verification of the current export files.
+     *
+     * @return array Fresh state.
+     * @throws Exception If the archive is missing or encrypted.
+     */
+    public function start() {
+        Custom_Migrator_Filesystem::set_log_phase('verify');
+        $file_paths = $this->filesystem->get_export_file_paths();
+
+        if (!file_exists($file_paths['hstgr'])) {
+            throw new Exception('Archive file not found');
+        }
+        if (Custom_Migrator_Encryption::is_encrypted_file($file_paths['hstgr'])) {
+            throw new Exception('The archive is encrypted. Decrypt it with wp migrator decrypt to verify its contents.');
+        }
+
+        clearstatcache();
+        $summary = $this->manifest->read_summary();
+        $has_manifest = isset($summary['header']);
+        $archive_format = Custom_Migrator_Helper::get_archive_format($file_paths['hstgr']);
+
+        $volume_sizes = array(filesize($file_paths['hstgr']));
+        foreach (Custom_Migrator_Volumes::find_volume_paths($file_paths['hstgr']) as $volume_path) {
+            $volume_sizes[] = filesize($volume_path);
+        }
+
+        $state = array(
+            'archive' => basename($file_paths['hstgr']),
+            'phase' => 'files',
+            'has_manifest' => $has_manifest,
+            'finalized' => isset($summary['archive']),
+            'archive_size' => filesize($file_paths['hstgr']),
+            'archive_version' => $archive_format['version'],
+            'archive_offset' => $archive_format['data_offset'],
+            'volume' => 0,
+            'volume_sizes' => $volume_sizes,
+            'manifest_offset' => 0,
+            'files_checked' => 0,
+            'files_total' => isset($summary['archive']['file_count']) ? (int) $summary['archive']['file_count'] : 0,
+            'mismatch_count' => 0,
+            'mismatches' => array(),
+            'archive_hash' => null,
+            'volume_hash' => null,
+            'next_hash_volume' => 1,
+            'database_hash' => null,
+            'started_at' => time(),
+        );
+
+        $this->filesystem->log('Starting export verification' . ($has_manifest ? '' : ' (no checksum manifest, checking archive structure only)'));
+        $this->save_state($state);
+
+        return $state;
+    }
+
+    /**
+     * Continue the verification for up to the given number of seconds.
+     *
+     * @param int $time_budget Seconds to spend in this request.
+     * @return array Updated state.
+     * @throws Exception If no verification was started.
+     */
+    public function run_slice($time_budget = 10) {
+        Custom_Migrator_Filesystem::set_log_phase('verify');
+        $state = $this->load_state();
+        if (!$state) {
+            throw new Exception('No verification in progress');
+        }
+
+        $start_time = microtime(true);
+
+        if ($state['phase'] === 'files') {
+            $this->verify_files($state, $start_time, $time_budget);
+        } elseif ($state['phase'] === 'archive_hash') {
+            // Hash contexts cannot be carried across requests, so each whole-file hash gets its own request
+            $this->verify_whole_file_hash($state, 'archive', 'hstgr');
+            $state['phase'] = $this->count_volumes($state) > 1 ? 'volume_hash' : 'database_hash';
+        } elseif ($state['phase'] === 'volume_hash') {
+            $this->verify_volume_hash($state);
+            $state['next_hash_volume']++;
+            if ($state['next_hash_volume'] >= $this->count_volumes($state)) {
+                $state['phase'] = 'database_hash';
+            }
+        } elseif ($state['phase'] === 'database_hash') {
+            $this->verify_whole_file_hash($state, 'database', 'sql');
+            $state['phase'] = 'done';
+            $state['completed_at'] = time();
+
+            $this->filesystem->log(sprintf(
+                'Export verification finished: %d files checked, %d mismatches',
+                $state['files_checked'],
+                $state['mismatch_count']
+            ));
+        }
+
+        $this->save_state($state);
+        return $state;
+    }
+
+    /**
+     * Build the report returned to the browser.
+     *
+     * @param array|null $state Verification state.
+     * @return array Report.
+     */
+    public function get_report($state = null) {
+        if ($state === null) {
+            $state = $this->load_state();
+        }
+
+        if (!$state) {
+            return array('phase' => 'not_started');
+        }
+
+        $percent = 0;
+        if ($state['phase'] === 'done') {
+            $percent = 100;
+        } elseif ($state['archive_size'] > 0) {
+            // Walking the entries is roughly half the work, hashing the whole files the rest
+            $volume_sizes = isset($state['volume_sizes']) ? $state['volume_sizes'] : array($state['archive_size']);
+            $volume = isset($state['volume']) ? (int) $state['volume'] : 0;
+            $bytes_done = array_sum(array_slice($volume_sizes, 0, $volume)) + $state['archive_offset'];
+            $percent = min(50, ($bytes_done / max(1, array_sum($volume_sizes))) * 50);
+            if ($state['phase'] === 'archive_hash') {
+                $percent = 50;
+            } elseif ($state['phase'] === 'volume_hash') {
+                $percent = 50 + 40 * ($state['next_hash_volume'] / count($volume_sizes));
+            } elseif ($state['phase'] === 'database_hash') {
+                $percent = 90;
+            }
+        }
+
+        return array(
+            'phase' => $state['phase'],
+            'percent' => round($percent, 1),
+            'has_manifest' => $state['has_manifest'],
+            'files_checked' => $state['files_checked'],
+            'files_total' => $state['files_total'],
+            'mismatch_count' => $state['mismatch_count'],
+            'mismatches' => $state['mismatches'],
+            'archive_hash' => $state['archive_hash'],
+            'volume_hash' => isset($state['volume_hash']) ? $state['volume_hash'] : null,
+            'database_hash' => $state['database_hash'],
+            'passed' => $state['phase'] === 'done' && $state['mismatch_count'] === 0,
+        );
+    }
+
+    /**
+     * Walk archive entries and compare them with the manifest.
+     *
+     * @param array $state       Verification state, updated in place.
+     * @param float $start_time  Slice start time.
+     * @param int   $time_budget Seconds available.
+     * @return void
+     */
+    private function verify_files(&$state, $start_time, $time_budget) {
+        $file_paths = $this->filesystem->get_export_file_paths();
+        // State saved before versioned archives existed always describes a version 1 archive
+        $archive_version = isset($state['archive_version']) ? (int) $state['archive_version'] : 1;
+        $block_size = Custom_Migrator_Helper::get_binary_block_size($archive_version);
+        $volume = isset($state['volume']) ? (int) $state['volume'] : 0;
+
+        $archive_handle = fopen(Custom_Migrator_Volumes::get_volume_path($file_paths['hstgr'], $volume), 'rb');
+        if (!$archive_handle) {
+            throw new Exception('Cannot open archive file');
+        }
+        fseek($archive_handle, $state['archive_offset']);
+
+        $manifest_handle = null;
+        if ($state['has_manifest']) {
+            $manifest_handle = fopen($this->manifest->get_manifest_path(), 'rb');
+            if ($manifest_handle) {
+                fseek($manifest_handle, $state['manifest_offset']);
+            }
+        }
+
+        $files_done = false;
+
+        while ((microtime(true) - $start_time) < $time_budget) {
+            // The end of a volume continues with the first entry of the next one
+            if ($state['archive_offset'] >= $state['archive_size'] && $volume + 1 < $this->count_volumes($state)) {
+                fclose($archive_handle);
+                $volume++;
+                $volume_path = Custom_Migrator_Volumes::get_volume_path($file_paths['hstgr'], $volume);
+                $archive_handle = @fopen($volume_path, 'rb');
+                if (!$archive_handle) {
+                    if ($manifest_handle) {
+                        fclose($manifest_handle);
+                    }
+                    throw new Exception('Cannot open archive volume ' . basename($volume_path));
+                }
+
+                $archive_format = Custom_Migrator_Helper::get_archive_format($archive_handle);
+                $archive_version = $archive_format['version'];
+                $block_size = $archive_format['block_size'];
+                fseek($archive_handle, $archive_format['data_offset']);
+
+                $state['volume'] = $volume;
+                $state['archive_version'] = $archive_version;
+                $state['archive_size'] = (int) $state['volume_sizes'][$volume];
+                $state['archive_offset'] = $archive_format['data_offset'];
+            }
+
+            $entry_offset = $state['archive_offset'];
+            $expected = $manifest_handle ? Custom_Migrator_Manifest::read_next_file_entry($manifest_handle) : false;
+
+            if ($entry_offset >= $state['archive_size']) {
+                // End of archive: anything left in the manifest never made it into the archive
+                while ($expected) {
+                    $this->add_mismatch($state, $expected['path'], 'Listed in the manifest but missing from the archive');
+                    $expected = Custom_Migrator_Manifest::read_next_file_entry($manifest_handle);
+                }
+                $files_done = true;
+                break;
+            }
+
+            $block = fread($archive_handle, $block_size);
+            $header = $block !== false ? Custom_Migrator_Helper::parse_binary_block($block) : false;
+
+            if ($header === false) {
+                $this->add_mismatch($state, $expected ? $expected['path'] : '', sprintf('Unreadable file header at byte %d, the rest of the archive cannot be checked', $entry_offset));
+                $files_done = true;
+                break;
+            }
+
+            $path = str_replace('\\', '/', $header['filename']);
+            $content_end = $entry_offset + $block_size + $header['size'];
+
+            if ($content_end > $state['archive_size']) {
+                $this->add_mismatch($state, $path, sprintf('Truncated: archive ends %d bytes before the end of this file', $content_end - $state['archive_size']));
+                $files_done = true;
+                break;
+            }
+
+            if ($expected) {
+                $expected['path'] = str_replace('\\', '/', $expected['path']);
+                $issues = $this->compare_entry($expected, $header, $path, $entry_offset, $volume);
+
+                if ($expected['path'] === $path && (int) $expected['size'] === (int) $header['size']) {
+                    $hash = $this->hash_content($archive_handle, $header['size']);
+                    if ($hash !== $expected['hash']) {
+                        $issues[] = 'content checksum mismatch';
+                    }
+                }
+
+                if (!empty($issues)) {
+                    $this->add_mismatch($state, $path, ucfirst(implode(', ', $issues)));
+                }
+            } elseif ($state['has_manifest']) {
+                $this->add_mismatch($state, $path, 'Found in the archive but not listed in the manifest');
+            }
+
+            fseek($archive_handle, $content_end);
+            $state['archive_offset'] = $content_end;
+            $state['manifest_offset'] = $manifest_handle ? ftell($manifest_handle) : 0;
+            $state['files_checked']++;
+        }
+
+        fclose($archive_handle);
+        if ($manifest_handle) {
+            fclose($manifest_handle);
+        }
+
+        if ($files_done) {
+            $state['phase'] = $state['finalized'] ? 'archive_hash' : 'done';
+            if (!$state['finalized']) {
+                $state['completed_at'] = time();
+                $this->filesystem->log('Export verification finished without whole-archive checksums (manifest not finalized)');
+            }
+        }
+    }
+
+    /**
+     * Compare an archive header with its manifest entry.
+     *
+     * @param array  $expected     Manifest entry.
+     * @param array  $header       Parsed archive header.
+     * @param string $path         Normalized archive path.
+     * @param int    $entry_offset Offset of the header in its volume.
+     * @param int    $volume       Volume holding the entry.
+     * @return array List of issues.
+     */
+    private function compare_entry($expected, $header, $path, $entry_offset, $volume) {
+        $issues = array();
+        $expected_volume = isset($expected['volume']) ? (int) $expected['volume'] : 0;
+
+        if ($expected['path'] !== $path) {
+            $issues[] = sprintf('expected "%s" at this position', $expected['path']);
+        }
+        if ($expected_volume !== $volume) {
+            $issues[] = sprintf('found in volume %d, manifest says %d', $volume, $expected_volume);
+        }
+        if ((int) $expected['offset'] !== (int) $entry_offset) {
+            $issues[] = sprintf('header offset %d, manifest says %d', $entry_offset, $expected['offset']);
+        }
+        if ((int) $expected['size'] !== (int) $header['size']) {
+            $issues[] = sprintf('size %d, manifest says %d', $header['size'], $expected['size']);
+        }
+        if ((int) $expected['mtime'] !== (int) $header['date']) {
+            $issues[] = 'modification time differs';
+        }
+
+        return $issues;
+    }
+
+    /**
+     * Hash the content of the current archive entry.
+     *
+     * @param resource $archive_handle Archive handle positioned after the header.
+     * @param int      $size           Content size.
+     * @return string|false Hash or false on read error.
+     */
+    private function hash_content($archive_handle, $size) {
+        $hash_context = hash_init(Custom_Migrator_Manifest::FILE_HASH);
+        $remaining = $size;
+
+        while ($remaining > 0) {
+            $chunk = fread($archive_handle, min(self::READ_CHUNK_SIZE, $remaining));
+            if ($chunk === false || $chunk === '') {
+                return false;
+            }
+            hash_update($hash_context, $chunk);
+            $remaining -= strlen($chunk);
+        }
+
+        return hash_final($hash_context);
+    }
+
+    /**
+     * Compare the whole-file checksum of an export file with the manifest.
+     *
+     * @param array  $state     Verification state, updated in place.
+     * @param string $type      Manifest line type (archive or database).
+     * @param string $file_type Export file key.
+     * @return void
+     */
+    private function verify_whole_file_hash(&$state, $type, $file_type) {
+        @set_time_limit(0);
+
+        $summary = $this->manifest->read_summary();
+        $file_paths = $this->filesystem->get_export_file_paths();
+        $path = $file_paths[$file_type];
+
+        if (!isset($summary[$type])) {
+            return;
+        }
+
+        if (!file_exists($path) && file_exists($path . '.gz')) {
+            $path .= '.gz';
+        }
+
+        if (!file_exists($path)) {
+            $this->add_mismatch($state, basename($path), 'File is missing');
+            $state[$type . '_hash'] = false;
+            return;
+        }
+
+        $matches = filesize($path) === (int) $summary[$type]['size']
+            && hash_file(Custom_Migrator_Manifest::ARCHIVE_HASH, $path) === $summary[$type]['hash'];
+
+        if (!$matches) {
+            $this->add_mismatch($state, basename($path), 'Whole-file SHA-256 checksum does not match the manifest');
+        }
+
+        $state[$type . '_hash'] = $matches;
+    }
+
+    /**
+     * Compare the whole-file checksum of the next extra volume with the manifest.
+     *
+     * @param array $state Verification state, updated in place.
+     * @return void
+     */
+    private function verify_volume_hash(&$state) {
+        @set_time_limit(0);
+
+        $summary = $this->manifest->read_summary();
+        $file_paths = $this->filesystem->get_export_file_paths();
+        $number = (int) $state['next_hash_volume'];
+        $path = Custom_Migrator_Volumes::get_volume_path($file_paths['hstgr'], $number);
+
+        if (!isset($summary['volumes'][$number])) {
+            $this->add_mismatch($state, basename($path), 'Volume is not listed in the manifest');
+            $state['volume_hash'] = false;
+            return;
+        }
+
+        $expected = $summary['volumes'][$number];
+        $matches = file_exists($path)
+            && filesize($path) === (int) $expected['size']
+            && hash_file(Custom_Migrator_Manifest::ARCHIVE_HASH, $path) === $expected['hash'];
+
+        if (!$matches) {
+            $this->add_mismatch($state, basename($path), file_exists($path) ? 'Whole-file SHA-256 checksum does not match the manifest' : 'File is missing');
+        }
+
+        // One bad volume fails the whole check
+        $state['volume_hash'] = $matches && $state['volume_hash'] !== false;
+    }
+
+    /**
+     * Count the volumes of the archive being verified.
+     *
+     * @param array $state Verification state.
+     * @return int Number of volumes, 1 for an archive that is not split.
+     */
+    private function count_volumes($state) {
+        return isset($state['volume_sizes']) ? count($state['volume_sizes']) : 1;
+    }
+
+    /**
+     * Record a mismatch, keeping only the first MAX_REPORTED_MISMATCHES.
+     *
+     * @param array  $state Verification state, updated in place.
+     * @param string $path  File path.
+     * @param string $issue Description.
+     * @return void
+     */
+    private function add_mismatch(&$state, $path, $issue) {
+        $state['mismatch_count']++;
+
+        if (count($state['mismatches']) < self::MAX_REPORTED_MISMATCHES) {
+            $state['mismatches'][] = array(
+                'path' => $path,
+                'issue' => $issue,
+            );
+        }
+    }
+
+    /**
+     * Save the verification state atomically.
+     *
+     * @param array $state Verification state.
+     * @return void
+     */
+    private function save_state($state) {
+        $state_file = $this->get_state_file_path();
+
+        $state['updated_at'] = time();
+
+        $this->filesystem->write_json_atomic($state_file, $state);
+    }
+}
@@ -0,0 +1,943 @@
+<?php
+/**
+ * The class responsible for the WP-CLI commands.
+ *
+ * @package CustomMigrator
+ */
+
+/**
+ * Export, upload, verify and import a site from the command line.
+ *
+ * `wp migrator export` runs the same steps as the background export (init,
+ * content, database, metadata and finalize), but all of them in the WP-CLI
+ * process: no loopback requests, cron events or time limits are involved.
+ * Every command exits with one of the EXIT_* codes so scripts can tell a busy
+ * site from a failed export.
+ */
+class Custom_Migrator_CLI_Command {
+
+    /**
+     * The command finished successfully.
+     */
+    const EXIT_SUCCESS = 0;
+
+    /**
+     * The export, upload or cleanup failed.
+     */
+    const EXIT_FAILURE = 1;
+
+    /**
+     * Invalid arguments.
+     */
+    const EXIT_USAGE = 2;
+
+    /**
+     * Another export or upload is running.
+     */
+    const EXIT_BUSY = 3;
+
+    /**
+     * There is no finished export, or nothing to resume.
+     */
+    const EXIT_NOT_READY = 4;
+
+    /**
+     * The archive does not match its checksum manifest.
+     */
+    const EXIT_VERIFY_FAILED = 5;
+
+    /**
+     * The export was cancelled.
+     */
+    const EXIT_CANCELLED = 6;
+
+    /**
+     * The export was paused and can be continued with --resume.
+     */
+    const EXIT_PAUSED = 7;
+
+    /**
+     * The plugin core, which runs the export and upload.
+     *
+     * @var Custom_Migrator_Core
+     */
+    private $core;
+
+    /**
+     * The filesystem handler.
+     *
+     * @var Custom_Migrator_Filesystem
+     */
+    private $filesystem;
+
+    /**
+     * The export history handler.
+     *
+     * @var Custom_Migrator_Export_History
+     */
+    private $export_history;
+
+    /**
+     * Constructor.
+     *
+     * @param Custom_Migrator_Core                $core           Plugin core.
+     * @param Custom_Migrator_Filesystem|null     $filesystem     Optional filesystem instance.
+     * @param Custom_Migrator_Export_History|null $export_history Optional export history instance.
+     */
+    public function __construct($core, $filesystem = null, $export_history = null) {
+        $this->core = $core;
+        $this->filesystem = $filesystem ? $filesystem : new Custom_Migrator_Filesystem();
+        $this->export_history = $export_history ? $export_history : new Custom_Migrator_Export_History($this->filesystem);
+    }
+
+    /**
+     * Export the site in the foreground.
+     *
+     * Without exclusion options the active exclusion profile applies. The
+     * options below add to the rules of that profile, or of --profile.
+     *
+     * ## OPTIONS
+     *
+     * [--resume]
+     * : Continue an interrupted or paused WP-CLI export with its original options.
+     *
+     * [--skip-db]
+     * : Do not export the database. The metadata records the skipped part.
+     *
+     * [--skip-content]
+     * : Do not export wp-content. The metadata records the skipped part.
+     *
+     * [--profile=<name>]
+     * : Use the rules of this saved exclusion profile instead of the active one.
+     *
+     * [--exclude=<patterns>]
+     * : Comma-separated glob patterns of files to leave out, relative to wp-content.
+     *
+     * [--exclude-dir=<directories>]
+     * : Comma-separated directories to leave out, relative to wp-content.
+     *
+     * [--exclude-tables=<tables>]
+     * : Comma-separated tables to leave out completely.
+     *
+     * [--exclude-table-data=<tables>]
+     * : Comma-separated tables to export without their rows.
+     *
+     * [--max-file-size=<mb>]
+     * : Leave out files larger than this many megabytes.
+     *
+     * [--base-run=<run_id>]
+     * : Export only what changed since this finished run.
+     *
+     * [--force]
+     * : Start even if another export seems to be running.
+     *
+     * ## EXAMPLES
+     *
+     *     wp migrator export
+     *     wp migrator export --skip-db --exclude-dir=uploads/cache,backups
+     *     wp migrator export --exclude="*.log,*.zip" --exclude-table-data=wp_actionscheduler_logs
+     *     wp migrator export --resume
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Options.
+     * @return void
+     */
+    public function export($args, $assoc_args) {
+        $resume = WP_CLI\Utils\get_flag_value($assoc_args, 'resume', false);
+        $force = WP_CLI\Utils\get_flag_value($assoc_args, 'force', false);
+
+        $export_state = $this->core->get_export_state();
+        if (!$force && $export_state['state'] === 'paused' && !$resume) {
+            WP_CLI::error('An export is paused. Continue it with --resume, cancel it, or use --force.', self::EXIT_BUSY);
+        }
+        if (!$force && $export_state['state'] === 'running' && !$export_state['stuck']) {
+            WP_CLI::error('An export is already running (' . $export_state['status'] . '). Wait for it to finish, cancel it, or use --force.', self::EXIT_BUSY);
+        }
+
+        // The background export must not pick up the steps this process runs
+        wp_clear_scheduled_hook('cm_run_export');
+        wp_clear_scheduled_hook('cm_run_export_direct');
+
+        if ($resume) {
+            $state = $this->load_state();
+            if (!$state || in_array($export_state['state'], array('idle', 'done', 'cancelled'), true)) {
+                WP_CLI::error('There is no interrupted WP-CLI export to resume.', self::EXIT_NOT_READY);
+            }
+
+            $pause_flag = $this->filesystem->get_pause_flag_path();
+            if (file_exists($pause_flag)) {
+                @unlink($pause_flag);
+            }
+
+            $this->filesystem->write_status('resuming');
+            $this->filesystem->log('Resuming WP-CLI export at step: ' . $state['params']['step']);
+            WP_CLI::log('Resuming the export at the ' . $state['params']['step'] . ' step.');
+        } else {
+            $state = $this->build_state($assoc_args);
+
+            try {
+                $this->filesystem->create_export_dir();
+                $state['run_id'] = $this->core->prepare_new_export($state['base_run']);
+            } catch (Exception $e) {
+                WP_CLI::error('Could not prepare the export: ' . $e->getMessage(), self::EXIT_FAILURE);
+            }
+
+            $this->filesystem->write_status('starting');
+            $this->filesystem->log('Export started from WP-CLI');
+            $this->save_state($state);
+        }
+
+        $exclusion_profiles = new Custom_Migrator_Exclusion_Profiles($this->filesystem);
+        $exclusion_profiles->use_rules($state['rules'], $state['profile']);
+
+        $this->run_export($state);
+    }
+
+    /**
+     * Show the status of the current export.
+     *
+     * Exits with 0 when the export is done, 1 after an error, 3 while it runs,
+     * 4 when no export was started, 6 when it was cancelled and 7 while it is
+     * paused.
+     *
+     * ## OPTIONS
+     *
+     * [--format=<format>]
+     * : Output format.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - json
+     *   - yaml
+     * ---
+     *
+     * ## EXAMPLES
+     *
+     *     wp migrator status
+     *     wp migrator status --format=json
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Options.
+     * @return void
+     */
+    public function status($args, $assoc_args) {
+        $format = WP_CLI\Utils\get_flag_value($assoc_args, 'format', 'table');
+        $state = $this->core->get_export_state();
+
+        if ($format === 'table') {
+            $rows = array(
+                array('Field' => 'status', 'Value' => $state['status']),
+                array('Field' => 'state', 'Value' => $state['state']),
+                array('Field' => 'message', 'Value' => $state['message']),
+                array('Field' => 'run_id', 'Value' => (string) $state['run_id']),
+                array('Field' => 'updated_at', 'Value' => (string) $state['updated_at']),
+                array('Field' => 'stuck', 'Value' => $state['stuck'] ? 'yes' : 'no'),
+            );
+            if ($state['progress']) {
+                $rows[] = array('Field' => 'percent', 'Value' => $state['progress']['percent']);
+                $rows[] = array('Field' => 'phase', 'Value' => (string) $state['progress']['phase']);
+            }
+            WP_CLI\Utils\format_items('table', $rows, array('Field', 'Value'));
+        } else {
+            WP_CLI::print_value($state, array('format' => $format));
+        }
+
+        switch ($state['state']) {
+            case 'done':
+                WP_CLI::halt(self::EXIT_SUCCESS);
+                break;
+            case 'error':
+                WP_CLI::halt(self::EXIT_FAILURE);
+                break;
+            case 'cancelled':
+                WP_CLI::halt(self::EXIT_CANCELLED);
+                break;
+            case 'idle':
+                WP_CLI::halt(self::EXIT_NOT_READY);
+                break;
+            case 'paused':
+                WP_CLI::halt(self::EXIT_PAUSED);
+                break;
+            default:
+                WP_CLI::halt(self::EXIT_BUSY);
+        }
+    }
+
+    /**
+     * Upload the export files to pre-signed S3 URLs or to a saved destination.
+     *
+     * ## OPTIONS
+     *
+     * [--destination=<name>]
+     * : Upload every file to this destination saved on the admin page (SFTP, FTP, WebDAV or S3-compatible).
+     *
+     * [--hstgr-url=<url>]
+     * : Pre-signed PUT URL for the archive.
+     *
+     * [--sql-url=<url>]
+     * : Pre-signed PUT URL for the database dump.
+     *
+     * [--metadata-url=<url>]
+     * : Pre-signed PUT URL for the metadata file.
+     *
+     * [--volume-urls=<urls>]
+     * : Comma-separated pre-signed PUT URLs for the extra archive volumes, in order (.hstgr.001, .hstgr.002...).
+     *
+     * [--run-id=<run_id>]
+     * : Upload the files of this history run instead of the current export.
+     *
+     * [--resume]
+     * : Continue the interrupted upload with its saved URLs.
+     *
+     * ## EXAMPLES
+     *
+     *     wp migrator upload --hstgr-url="https://..." --sql-url="https://..." --metadata-url="https://..."
+     *     wp migrator upload --destination="Backup SFTP"
+     *     wp migrator upload --resume
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Options.
+     * @return void
+     */
+    public function upload($args, $assoc_args) {
+        $run_id = WP_CLI\Utils\get_flag_value($assoc_args, 'run-id', '');
+
+        if ($run_id !== '') {
+            $run_files = $this->export_history->get_run_file_paths($run_id);
+            if (!isset($run_files['hstgr'])) {
+                WP_CLI::error('The archive of this export run is no longer kept.', self::EXIT_NOT_READY);
+            }
+        } elseif ($this->core->get_export_state()['state'] !== 'done') {
+            WP_CLI::error('The export has not finished. Wait for it to finish before uploading.', self::EXIT_NOT_READY);
+        }
+
+        $jobs = null;
+        $destination = WP_CLI\Utils\get_flag_value($assoc_args, 'destination', '');
+        if (WP_CLI\Utils\get_flag_value($assoc_args, 'resume', false)) {
+            if (!get_option('custom_migrator_s3_upload_job')) {
+                WP_CLI::error('There is no saved upload to resume.', self::EXIT_NOT_READY);
+            }
+        } elseif ($destination !== '') {
+            $file_paths = $run_id !== '' ? $run_files : $this->filesystem->get_export_file_paths();
+            $file_types = array_merge(array('hstgr'), array_keys(Custom_Migrator_Volumes::find_volume_paths($file_paths['hstgr'])), array('sql', 'metadata'));
+
+            try {
+                $destinations = new Custom_Migrator_Destinations($this->filesystem);
+                $jobs = $destinations->build_jobs($destination, $file_types);
+            } catch (Exception $e) {
+                WP_CLI::error($e->getMessage(), self::EXIT_USAGE);
+            }
+        } else {
+            $jobs = array();
+            foreach (array('hstgr', 'sql', 'metadata') as $file_type) {
+                $url = WP_CLI\Utils\get_flag_value($assoc_args, $file_type . '-url', '');
+                if ($url !== '') {
+                    $jobs[$file_type] = array('mode' => 'single', 'url' => $url);
+                }
+            }
+            $volume_urls = WP_CLI\Utils\get_flag_value($assoc_args, 'volume-urls', '');
+            foreach (array_values(array_filter(array_map('trim', explode(',', $volume_urls)))) as $index => $url) {
+                $jobs[Custom_Migrator_Volumes::get_volume_type($index + 1)] = array('mode' => 'single', 'url' => $url);
+            }
+            if (empty($jobs)) {
+                WP_CLI::error('Please provide --destination or at least one of --hstgr-url, --sql-url or --metadata-url, or use --resume.', self::EXIT_USAGE);
+            }
+        }
+
+        $progress_bar = WP_CLI\Utils\make_progress_bar('Uploading', 100);
+        $shown = 0;
+
+        do {
+            $result = $this->core->run_s3_upload($jobs, $run_id);
+            $jobs = null;
+
+            if ($result['busy']) {
+                WP_CLI::error('Another request is uploading these files. Try again when it has finished.', self::EXIT_BUSY);
+            }
+            if ($result['rejected']) {
+                WP_CLI::error(implode(' ', $result['messages']), self::EXIT_FAILURE);
+            }
+            if (!$result['success']) {
+                WP_CLI::error('Error uploading files' . ($destination !== '' ? " to $destination: " : ' to S3: ') . implode(' ', $result['messages']) . ($result['resumable'] ? ' Run the command again with --resume to continue.' : ''), self::EXIT_FAILURE);
+            }
+
+            $shown = $this->advance($progress_bar, $shown, $this->get_upload_percent($result['progress']));
+        } while (!$result['completed']);
+
+        $progress_bar->finish();
+        WP_CLI::success($destination !== '' ? "Files uploaded successfully to $destination." : 'Files uploaded successfully to S3.');
+    }
+
+    /**
+     * Check the export files against their checksum manifest.
+     *
+     * Exits with 5 when any file does not match.
+     *
+     * ## OPTIONS
+     *
+     * [--format=<format>]
+     * : Output format of the mismatches.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - json
+     * ---
+     *
+     * ## EXAMPLES
+     *
+     *     wp migrator verify
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Options.
+     * @return void
+     */
+    public function verify($args, $assoc_args) {
+        $format = WP_CLI\Utils\get_flag_value($assoc_args, 'format', 'table');
+
+        if ($this->core->get_export_state()['state'] !== 'done') {
+            WP_CLI::error('Export is not complete. Please wait for export to finish before verifying it.', self::EXIT_NOT_READY);
+        }
+
+        $verifier = new Custom_Migrator_Archive_Verifier($this->filesystem);
+        $progress_bar = $format === 'table' ? WP_CLI\Utils\make_progress_bar('Verifying', 100) : null;
+        $shown = 0;
+
+        try {
+            $verifier->start();
+            do {
+                $report = $verifier->get_report($verifier->run_slice(10));
+                if ($progress_bar) {
+                    $shown = $this->advance($progress_bar, $shown, $report['percent']);
+                }
+            } while ($report['phase'] !== 'done');
+        } catch (Exception $e) {
+            WP_CLI::error('Verification failed: ' . $e->getMessage(), self::EXIT_FAILURE);
+        }
+
+        if ($format === 'json') {
+            WP_CLI::line(wp_json_encode($report));
+        } else {
+            $progress_bar->finish();
+            if (!$report['has_manifest']) {
+                WP_CLI::warning('No checksum manifest was found, only the archive structure was checked.');
+            }
+            if (!empty($report['mismatches'])) {
+                WP_CLI\Utils\format_items('table', $report['mismatches'], array('path', 'issue'));
+            }
+        }
+
+        if (!$report['passed']) {
+            WP_CLI::error(sprintf('%d of %d files do not match the manifest.', $report['mismatch_count'], $report['files_checked']), self::EXIT_VERIFY_FAILED);
+        }
+
+        WP_CLI::success(sprintf('All %d files match the manifest.', $report['files_checked']));
+    }
+
+    /**
+     * Remove the files of the current export.
+     *
+     * Runs kept in the export history are not touched.
+     *
+     * ## OPTIONS
+     *
+     * [--yes]
+     * : Do not ask for confirmation.
+     *
+     * [--force]
+     * : Cancel a running export first.
+     *
+     * ## EXAMPLES
+     *
+     *     wp migrator clean --yes
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Options.
+     * @return void
+     */
+    public function clean($args, $assoc_args) {
+        $export_state = $this->core->get_export_state();
+        $busy = $this->is_busy($export_state);
+
+        if ($busy && !WP_CLI\Utils\get_flag_value($assoc_args, 'force', false)) {
+            WP_CLI::error('An export is running (' . $export_state['status'] . '). Use --force to cancel it and remove its files.', self::EXIT_BUSY);
+        }
+
+        WP_CLI::confirm('Remove the files of the current export?', $assoc_args);
+
+        if ($busy) {
+            // Leaves the cancel flag behind so the running batch stops instead of resuming
+            $this->core->cancel_export();
+        }
+        $this->core->cleanup_existing_export();
+
+        WP_CLI::success('Removed the export files.');
+    }
+
+    /**
+     * Decrypt an encrypted archive or database dump.
+     *
+     * Without --passphrase or --secret-key the passphrase is read from the
+     * MIGRATOR_PASSPHRASE environment variable, or asked for.
+     *
+     * ## OPTIONS
+     *
+     * <file>
+     * : Encrypted file, e.g. content_abc123.hstgr.enc.
+     *
+     * [--output=<file>]
+     * : Where to write the plaintext. Defaults to the file name without .enc.
+     *
+     * [--passphrase=<passphrase>]
+     * : Passphrase the export was encrypted with.
+     *
+     * [--secret-key=<key>]
+     * : Base64 secret key printed by wp migrator keygen, for exports encrypted to a public key.
+     *
+     * ## EXAMPLES
+     *
+     *     wp migrator decrypt content_abc123.hstgr.enc
+     *     wp migrator decrypt db_abc123.sql.gz.enc --secret-key="$(cat migrator.key)"
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Options.
+     * @return void
+     */
+    public function decrypt($args, $assoc_args) {
+        $source = $args[0];
+        if (!is_file($source)) {
+            WP_CLI::error('File not found: ' . $source, self::EXIT_USAGE);
+        }
+
+        $output = (string) WP_CLI\Utils\get_flag_value($assoc_args, 'output', '');
+        if ($output === '') {
+            if (substr($source, -strlen(Custom_Migrator_Encryption::FILE_SUFFIX)) !== Custom_Migrator_Encryption::FILE_SUFFIX) {
+                WP_CLI::error('The file name does not end in ' . Custom_Migrator_Encryption::FILE_SUFFIX . ', pass --output.', self::EXIT_USAGE);
+            }
+            $output = substr($source, 0, -strlen(Custom_Migrator_Encryption::FILE_SUFFIX));
+        }
+        if (file_exists($output)) {
+            WP_CLI::error('The output file already exists: ' . $output, self::EXIT_USAGE);
+        }
+
+        list($key, $key_type) = $this->read_key($assoc_args);
+
+        $encryption = new Custom_Migrator_Encryption($this->filesystem);
+
+        try {
+            $written = $encryption->decrypt_file($source, $output, $key, $key_type);
+        } catch (Exception $e) {
+            WP_CLI::error('Decryption failed: ' . $e->getMessage(), self::EXIT_FAILURE);
+        }
+
+        WP_CLI::success(sprintf('Decrypted to %s (%s).', $output, $this->filesystem->format_file_size($written)));
+    }
+
+    /**
+     * Create a key pair for encrypting exports to a public key.
+     *
+     * Paste the public key in the Encryption settings and keep the secret key
+     * off this server; it is needed to decrypt the exports.
+     *
+     * ## OPTIONS
+     *
+     * [--format=<format>]
+     * : Output format.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - json
+     * ---
+     *
+     * ## EXAMPLES
+     *
+     *     wp migrator keygen
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Options.
+     * @return void
+     */
+    public function keygen($args, $assoc_args) {
+        $encryption = new Custom_Migrator_Encryption($this->filesystem);
+
+        try {
+            $keypair = $encryption->generate_keypair();
+        } catch (Exception $e) {
+            WP_CLI::error($e->getMessage(), self::EXIT_FAILURE);
+        }
+
+        if (WP_CLI\Utils\get_flag_value($assoc_args, 'format', 'table') === 'json') {
+            WP_CLI::line(wp_json_encode($keypair));
+            return;
+        }
+
+        WP_CLI::log('Public key:  ' . $keypair['public_key']);
+        WP_CLI::log('Secret key:  ' . $keypair['secret_key']);
+        WP_CLI::log('Fingerprint: ' . $keypair['fingerprint']);
+        WP_CLI::warning('Store the secret key somewhere safe. Exports encrypted to this public key cannot be decrypted without it.');
+    }
+
+    /**
+     * Import an export into this site.
+     *
+     * Checks the metadata against this site, then replaces the wp-content
+     * files and the database with those of the export. The files and tables it
+     * replaces are kept as a safety snapshot until the next import;
+     * --rollback puts them back. Encrypted exports take the same key options
+     * as wp migrator decrypt.
+     *
+     * ## OPTIONS
+     *
+     * [<folder>]
+     * : Folder holding the .hstgr archive with its volumes, the database dump and the metadata .json file.
+     *
+     * [--received]
+     * : Import the files last pushed to this site instead of a folder.
+     *
+     * [--passphrase=<passphrase>]
+     * : Passphrase of an encrypted export.
+     *
+     * [--secret-key=<key>]
+     * : Base64 secret key of an export encrypted to a public key.
+     *
+     * [--resume]
+     * : Continue an interrupted import or rollback.
+     *
+     * [--rollback]
+     * : Undo the last import from its safety snapshot.
+     *
+     * [--yes]
+     * : Do not ask for confirmation.
+     *
+     * ## EXAMPLES
+     *
+     *     wp migrator import /home/user/exports/staging
+     *     wp migrator import --received --yes
+     *     wp migrator import --rollback
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Options.
+     * @return void
+     */
+    public function import($args, $assoc_args) {
+        $importer = new Custom_Migrator_Importer($this->filesystem);
+        $key = '';
+        $key_type = 'passphrase';
+
+        try {
+            if (WP_CLI\Utils\get_flag_value($assoc_args, 'rollback', false)) {
+                // A rollback that was interrupted just continues
+                if ($importer->get_report()['phase'] !== 'rollback') {
+                    WP_CLI::confirm($importer->is_running() ? 'The import has not finished. Stop it and roll back what it changed?' : 'Put back the files and tables the last import replaced?', $assoc_args);
+                    $importer->start_rollback();
+                }
+            } elseif (WP_CLI\Utils\get_flag_value($assoc_args, 'resume', false)) {
+                if (!$importer->is_running()) {
+                    WP_CLI::error('There is no import to resume.', self::EXIT_NOT_READY);
+                }
+                if ($importer->get_report()['encrypted']) {
+                    list($key, $key_type) = $this->read_key($assoc_args);
+                }
+            } else {
+                if ($this->is_busy($this->core->get_export_state())) {
+                    WP_CLI::error('An export is running. Wait for it to finish before importing.', self::EXIT_BUSY);
+                }
+                if ($importer->is_running()) {
+                    WP_CLI::error('An import is running. Use --resume to continue it or --rollback to undo it.', self::EXIT_BUSY);
+                }
+
+                $received = WP_CLI\Utils\get_flag_value($assoc_args, 'received', false);
+                if (!$received && empty($args[0])) {
+                    WP_CLI::error('Pass the folder holding the export files, or --received.', self::EXIT_USAGE);
+                }
+
+                $report = $importer->check($received ? 'received' : 'path', $received ? '' : (realpath($args[0]) ?: $args[0]));
+                WP_CLI\Utils\format_items('table', $report['checks'], array('status', 'check', 'message'));
+                if (!$report['can_start']) {
+                    WP_CLI::error('The compatibility check found problems.', self::EXIT_FAILURE);
+                }
+
+                if ($report['encrypted']) {
+                    list($key, $key_type) = $this->read_key($assoc_args);
+                }
+                WP_CLI::confirm(sprintf('Replace the files and database of this site with the export of %s?', $report['metadata']['site_url']), $assoc_args);
+                $importer->start();
+            }
+
+            $progress_bar = WP_CLI\Utils\make_progress_bar('Importing', 100);
+            $shown = 0;
+            do {
+                $report = $importer->run_slice(10, $key, $key_type);
+                $shown = $this->advance($progress_bar, $shown, $report['percent']);
+            } while (!in_array($report['phase'], array('done', 'rolled_back'), true));
+            $progress_bar->finish();
+        } catch (Exception $e) {
+            $hint = $importer->is_running() ? ' Run wp migrator import --resume to continue or --rollback to undo it.' : '';
+            WP_CLI::error('Import failed: ' . $e->getMessage() . $hint, self::EXIT_FAILURE);
+        }
+
+        if ($report['phase'] === 'rolled_back') {
+            WP_CLI::success('Rolled back, the previous files and tables are restored.');
+            return;
+        }
+
+        WP_CLI::success(sprintf('Imported %d files and %d database statements from %s. Log in with an account of the imported site.', $report['files_written'], $report['statements'], $report['metadata']['site_url']));
+    }
+
+    /**
+     * Read the decryption key from the options, the environment or a prompt.
+     *
+     * @param array $assoc_args Options.
+     * @return array Key and key type ("passphrase" or "secret_key").
+     */
+    private function read_key($assoc_args) {
+        $secret_key = (string) WP_CLI\Utils\get_flag_value($assoc_args, 'secret-key', '');
+        if ($secret_key !== '') {
+            return array($secret_key, 'secret_key');
+        }
+
+        $key = (string) WP_CLI\Utils\get_flag_value($assoc_args, 'passphrase', (string) getenv('MIGRATOR_PASSPHRASE'));
+        if ($key === '') {
+            $key = \cli\prompt('Passphrase', false, ': ', true);
+        }
+
+        return array($key, 'passphrase');
+    }
+
+    /**
+     * Run the remaining export steps.
+     *
+     * @param array $state WP-CLI export state.
+     * @return void
+     */
+    private function run_export($state) {
+        $params = $state['params'];
+        $params['foreground'] = true;
+        $phase = '';
+
+        $progress_bar = WP_CLI\Utils\make_progress_bar('Exporting', 100);
+        $shown = 0;
+
+        do {
+            if ($params['step'] !== $phase) {
+                $phase = $params['step'];
+                $this->filesystem->log('WP-CLI export step: ' . $phase);
+            }
+
+            try {
+                $params = $this->core->run_export_step($params);
+            } catch (Exception $e) {
+                $progress_bar->finish();
+                $this->filesystem->write_status('error: ' . $e->getMessage());
+                $this->filesystem->log('Export step failed: ' . $e->getMessage());
+                WP_CLI::error('Export failed at the ' . $phase . ' step: ' . $e->getMessage() . ' Run the command again with --resume to retry it.', self::EXIT_FAILURE);
+            }
+
+            if (!empty($params['cancelled'])) {
+                $progress_bar->finish();
+                WP_CLI::error('The export was cancelled.', self::EXIT_CANCELLED);
+            }
+
+            if (!empty($params['paused'])) {
+                unset($params['paused']);
+                $state['params'] = $params;
+                $this->save_state($state);
+                $progress_bar->finish();
+                WP_CLI::warning('The export was paused. Run the command again with --resume to continue it.');
+                WP_CLI::halt(self::EXIT_PAUSED);
+            }
+
+            $done = $params['step'] === 'finalize' && !empty($params['completed']);
+            if (!$done) {
+                $state['params'] = $params;
+                $this->save_state($state);
+            }
+
+            $report = $this->core->get_export_state()['progress'];
+            $shown = $this->advance($progress_bar, $shown, $report ? $report['percent'] : 0);
+
+            // Batches pause when memory runs short; release what the last one left behind
+            gc_collect_cycles();
+        } while (!$done);
+
+        $progress_bar->finish();
+        $this->delete_state();
+
+        $file_paths = $this->filesystem->get_export_file_paths();
+        $file_paths = array_merge(
+            array('hstgr' => $file_paths['hstgr']),
+            Custom_Migrator_Volumes::find_volume_paths($file_paths['hstgr']),
+            array('sql' => $file_paths['sql'], 'metadata' => $file_paths['metadata'])
+        );
+        foreach ($file_paths as $type => $path) {
+            if (file_exists($path)) {
+                WP_CLI::log(sprintf('%-9s %s (%s)', $type, $path, $this->filesystem->format_file_size(filesize($path))));
+            }
+        }
+        WP_CLI::success('Export completed successfully.');
+    }
+
+    /**
+     * Build the state of a new export from the command options.
+     *
+     * @param array $assoc_args Options.
+     * @return array WP-CLI export state.
+     */
+    private function build_state($assoc_args) {
+        $skip_database = WP_CLI\Utils\get_flag_value($assoc_args, 'skip-db', false);
+        $skip_content = WP_CLI\Utils\get_flag_value($assoc_args, 'skip-content', false);
+        if ($skip_database && $skip_content) {
+            WP_CLI::error('--skip-db and --skip-content cannot be combined, nothing would be exported.', self::EXIT_USAGE);
+        }
+
+        $base_run = (string) WP_CLI\Utils\get_flag_value($assoc_args, 'base-run', '');
+        if ($base_run !== '' && !$this->core->is_valid_base_run($base_run)) {
+            WP_CLI::error('The base run does not exist, did not finish, or its manifest is no longer kept.', self::EXIT_USAGE);
+        }
+
+        $exclusion_profiles = new Custom_Migrator_Exclusion_Profiles($this->filesystem);
+        $stored = $exclusion_profiles->get_profiles();
+        $profile = (string) WP_CLI\Utils\get_flag_value($assoc_args, 'profile', '');
+
+        if ($profile !== '') {
+            if (!isset($stored['profiles'][$profile])) {
+                WP_CLI::error(sprintf('There is no exclusion profile named "%s".', $profile), self::EXIT_USAGE);
+            }
+            $rules = $stored['profiles'][$profile];
+        } else {
+            $profile = $stored['active'];
+            $rules = $exclusion_profiles->get_active_rules();
+        }
+
+        $rules['directories'] = array_merge($rules['directories'], $this->get_list($assoc_args, 'exclude-dir'));
+        $rules['patterns'] = array_merge($rules['patterns'], $this->get_list($assoc_args, 'exclude'));
+        $rules['tables'] = array_merge($rules['tables'], $this->get_list($assoc_args, 'exclude-tables'));
+        $rules['table_data'] = array_merge($rules['table_data'], $this->get_list($assoc_args, 'exclude-table-data'));
+
+        if (isset($assoc_args['max-file-size'])) {
+            if (!is_numeric($assoc_args['max-file-size']) || $assoc_args['max-file-size'] < 1) {
+                WP_CLI::error('--max-file-size must be a number of megabytes.', self::EXIT_USAGE);
+            }
+            $rules['max_file_size_mb'] = (int) $assoc_args['max-file-size'];
+        }
+
+        return array(
+            'params' => array(
+                'step' => 'init',
+                'completed' => false,
+                'skip_content' => $skip_content,
+                'skip_database' => $skip_database,
+            ),
+            'rules' => Custom_Migrator_Exclusion_Profiles::sanitize_rules($rules),
+            'profile' => $profile !== '' ? $profile : null,
+            'base_run' => $base_run,
+            'run_id' => null,
+            'started_at' => time(),
+        );
+    }
+
+    /**
+     * Read a comma-separated option.
+     *
+     * @param array  $assoc_args Options.
+     * @param string $name       Option name.
+     * @return array Trimmed, non-empty values.
+     */
+    private function get_list($assoc_args, $name) {
+        if (empty($assoc_args[$name])) {
+            return array();
+        }
+
+        return array_values(array_filter(array_map('trim', explode(',', (string) $assoc_args[$name])), 'strlen'));
+    }
+
+    /**
+     * Check whether another process is still working on the export.
+     *
+     * @param array $export_state Export state from Custom_Migrator_Core::get_export_state().
+     * @return bool Whether the export runs and is not stuck.
+     */
+    private function is_busy($export_state) {
+        return in_array($export_state['state'], array('running', 'paused'), true) && !$export_state['stuck'];
+    }
+
+    /**
+     * Move a progress bar forward to a percentage.
+     *
+     * @param object $progress_bar Progress bar from WP_CLI\Utils\make_progress_bar().
+     * @param int    $shown        Percentage shown so far.
+     * @param float  $percent      New percentage.
+     * @return int Percentage shown now.
+     */
+    private function advance($progress_bar, $shown, $percent) {
+        $percent = (int) floor(min(100, $percent));
+        if ($percent > $shown) {
+            $progress_bar->tick($percent - $shown);
+            return $percent;
+        }
+
+        return $shown;
+    }
+
+    /**
+     * Get the share of bytes uploaded so far.
+     *
+     * @param array $progress Upload progress keyed by file type.
+     * @return float Percentage.
+     */
+    private function get_upload_percent($progress) {
+        $size = 0;
+        $sent = 0;
+        foreach ($progress as $file) {
+            $size += $file['size'];
+            $sent += $file['bytes_sent'];
+        }
+
+        return $size > 0 ? $sent / $size * 100 : 0;
+    }
+
+    /**
+     * Load the state of the interrupted WP-CLI export.
+     *
+     * @return array|null State or null if there is none.
+     */
+    private function load_state() {
+        $state_file = $this->filesystem->get_cli_state_path();
+        if (!file_exists($state_file)) {
+            return null;
+        }
+
+        $state = json_decode(file_get_contents($state_file), true);
+        return is_array($state) && isset($state['params']['step'], $state['rules']) ? $state : null;
+    }
+
+    /**
+     * Save the WP-CLI export state atomically.
+     *
+     * Saving also refreshes the file time, which keeps the export monitor from
+     * restarting the export while this process runs it.
+     *
+     * @param array $state State.
+     * @return void
+     */
+    private function save_state($state) {
+        $state_file = $this->filesystem->get_cli_state_path();
+        $state['updated_at'] = time();
+
+        $this->filesystem->write_json_atomic($state_file, $state);
+    }
+
+    /**
+     * Delete the WP-CLI export state.
+     *
+     * @return void
+     */
+    private function delete_state() {
+        $state_file = $this->filesystem->get_cli_state_path();
+        if (file_exists($state_file)) {
+            @unlink($state_file);
+        }
+    }
+}
@@ -41,6 +41,48 @@ class Custom_Migrator_Core {
      */
     private $fallback_exporter;
 
+    /**
+     * The exclusion profiles handler.
+     *
+     * @var Custom_Migrator_Exclusion_Profiles
+     */
+    private $exclusion_profiles;
+
+    /**
+     * The export history handler.
+     *
+     * @var Custom_Migrator_Export_History
+     */
+    private $export_history;
+
+    /**
+     * The incremental export handler.
+     *
+     * @var Custom_Migrator_Incremental_Export
+     */
+    private $incremental_export;
+
+    /**
+     * The export file download handler.
+     *
+     * @var Custom_Migrator_Download_Handler
+     */
+    private $download_handler;
+
+    /**
+     * The REST API controller.
+     *
+     * @var Custom_Migrator_Rest_Controller
+     */
+    private $rest_controller;
+
+    /**
+     * The receiver of files pushed by another site.
+     *
+     * @var Custom_Migrator_Push_Receiver
+     */
+    private $push_receiver;
+
     /**
      * Initialize the plugin.
      *
@@ -51,6 +93,11 @@ class Custom_Migrator_Core {
         $this->define_admin_hooks();
         $this->define_ajax_hooks();
         $this->define_cron_hooks();
+        $this->define_exclusion_hooks();
+        $this->define_history_hooks();
+        $this->define_incremental_hooks();
+        $this->define_rest_hooks();
+        $this->define_cli_hooks();
     }
 
     /**
@@ -69,13 +116,47 @@ class Custom_Migrator_Core {
         require_once CUSTOM_MIGRATOR_PLUGIN_DIR . 'includes/class-database-exporter.php';
         require_once CUSTOM_MIGRATOR_PLUGIN_DIR . 'includes/class-filesystem.php';
         require_once CUSTOM_MIGRATOR_PLUGIN_DIR . 'includes/class-metadata.php';
+        require_once CUSTOM_MIGRATOR_PLUGIN_DIR . 'includes/class-progress.php';
+        require_once CUSTOM_MIGRATOR_PLUGIN_DIR . 'includes/class-manifest.php';
+        require_once CUSTOM_MIGRATOR_PLUGIN_DIR . 'includes/class-archive-verifier.php';
+        require_once CUSTOM_MIGRATOR_PLUGIN_DIR . 'includes/class-archive-browser.php';
+        require_once CUSTOM_MIGRATOR_PLUGIN_DIR . 'includes/class-site-analyzer.php';
+        require_once CUSTOM_MIGRATOR_PLUGIN_DIR . 'includes/class-exclusion-profiles.php';
+        require_once CUSTOM_MIGRATOR_PLUGIN_DIR . 'includes/class-export-history.php';
+        require_once CUSTOM_MIGRATOR_PLUGIN_DIR . 'includes/class-incremental-export.php';
+        require_once CUSTOM_MIGRATOR_PLUGIN_DIR . 'includes/class-search-replace.php';
+        require_once CUSTOM_MIGRATOR_PLUGIN_DIR . 'includes/class-anonymizer.php';
+        require_once CUSTOM_MIGRATOR_PLUGIN_DIR . 'includes/class-encryption.php';
+        require_once CUSTOM_MIGRATOR_PLUGIN_DIR . 'includes/class-volumes.php';
+        require_once CUSTOM_MIGRATOR_PLUGIN_DIR . 'includes/class-download-handler.php';
         require_once CUSTOM_MIGRATOR_PLUGIN_DIR . 'includes/class-s3-uploader.php';
+        require_once CUSTOM_MIGRATOR_PLUGIN_DIR . 'includes/class-destination.php';
+        require_once CUSTOM_MIGRATOR_PLUGIN_DIR . 'includes/class-destination-sftp.php';
+        require_once CUSTOM_MIGRATOR_PLUGIN_DIR . 'includes/class-destination-ftp.php';
+        require_once CUSTOM_MIGRATOR_PLUGIN_DIR . 'includes/class-destination-webdav.php';
+        require_once CUSTOM_MIGRATOR_PLUGIN_DIR . 'includes/class-destination-s3.php';
+        require_once CUSTOM_MIGRATOR_PLUGIN_DIR . 'includes/class-destination-site.php';
+        require_once CUSTOM_MIGRATOR_PLUGIN_DIR . 'includes/class-destinations.php';
+        require_once CUSTOM_MIGRATOR_PLUGIN_DIR . 'includes/class-fallback-session.php';
         require_once CUSTOM_MIGRATOR_PLUGIN_DIR . 'includes/class-fallback-exporter.php';
+        require_once CUSTOM_MIGRATOR_PLUGIN_DIR . 'includes/class-rest-controller.php';
+        require_once CUSTOM_MIGRATOR_PLUGIN_DIR . 'includes/class-push-receiver.php';
+        require_once CUSTOM_MIGRATOR_PLUGIN_DIR . 'includes/class-importer.php';
+        
+        if ( defined( 'WP_CLI' ) && WP_CLI ) {
+            require_once CUSTOM_MIGRATOR_PLUGIN_DIR . 'includes/class-cli-command.php';
+        }
         
         // Initialize the filesystem class for use throughout the plugin
         $this->filesystem = new Custom_Migrator_Filesystem();
         $this->admin = new Custom_Migrator_Admin();
         $this->fallback_exporter = new Custom_Migrator_Fallback_Exporter();
+        $this->exclusion_profiles = new Custom_Migrator_Exclusion_Profiles( $this->filesystem );
+        $this->export_history = new Custom_Migrator_Export_History( $this->filesystem );
+        $this->incremental_export = new Custom_Migrator_Incremental_Export( $this->filesystem );
+        $this->download_handler = new Custom_Migrator_Download_Handler( $this->filesystem );
+        $this->rest_controller = new Custom_Migrator_Rest_Controller( $this, $this->filesystem, $this->export_history );
+        $this->push_receiver = new Custom_Migrator_Push_Receiver( $this->filesystem );
     }
 
     /**
@@ -108,10 +189,29 @@ class Custom_Migrator_Core {
         add_action( 'wp_ajax_cm_check_status', array( $this, 'handle_check_status' ) );
         add_action( 'wp_ajax_cm_process_export_step', array( $this, 'process_export_step' ) );
         add_action( 'wp_ajax_cm_force_continue', array( $this, 'handle_force_continue' ) );
+        add_action( 'wp_ajax_cm_cancel_export', array( $this, 'handle_cancel_export' ) );
+        add_action( 'wp_ajax_cm_pause_export', array( $this, 'handle_pause_export' ) );
+        add_action( 'wp_ajax_cm_resume_export', array( $this, 'handle_resume_export' ) );
         add_action( 'wp_ajax_cm_run_export_now', array( $this, 'handle_run_export_now' ) );
         add_action( 'wp_ajax_cm_upload_to_s3', array( $this, 'handle_upload_to_s3' ) );
         add_action( 'wp_ajax_cm_check_s3_status', array( $this, 'handle_check_s3_status' ) );
         add_action( 'wp_ajax_cm_debug_status', array( $this, 'handle_debug_status' ) );
+        add_action( 'wp_ajax_cm_analyze_site', array( $this, 'handle_analyze_site' ) );
+        add_action( 'wp_ajax_cm_verify_export', array( $this, 'handle_verify_export' ) );
+        add_action( 'wp_ajax_cm_browse_archive', array( $this, 'handle_browse_archive' ) );
+        add_action( 'wp_ajax_cm_download_archive_file', array( $this, 'handle_download_archive_file' ) );
+        add_action( 'wp_ajax_cm_exclusion_profiles', array( $this, 'handle_exclusion_profiles' ) );
+        add_action( 'wp_ajax_cm_search_replace', array( $this, 'handle_search_replace' ) );
+        add_action( 'wp_ajax_cm_anonymization', array( $this, 'handle_anonymization' ) );
+        add_action( 'wp_ajax_cm_encryption', array( $this, 'handle_encryption' ) );
+        add_action( 'wp_ajax_cm_volumes', array( $this, 'handle_volumes' ) );
+        add_action( 'wp_ajax_cm_destinations', array( $this, 'handle_destinations' ) );
+        add_action( 'wp_ajax_cm_push_receiver', array( $this, 'handle_push_receiver' ) );
+        add_action( 'wp_ajax_cm_import', array( $this, 'handle_import' ) );
+        add_action( 'wp_ajax_cm_exclusion_directories', array( $this, 'handle_exclusion_directories' ) );
+        add_action( 'wp_ajax_cm_preview_exclusions', array( $this, 'handle_preview_exclusions' ) );
+        add_action( 'wp_ajax_cm_export_history', array( $this, 'handle_export_history' ) );
+        add_action( 'wp_ajax_cm_get_log', array( $this, 'handle_get_log' ) );
         
         // Status display handlers (no privilege required for UI display)
         add_action( 'wp_ajax_cm_get_export_status_display', array( $this, 'handle_get_export_status_display' ) );
@@ -120,8 +220,13 @@ class Custom_Migrator_Core {
         // Plugin management handlers
         add_action( 'wp_ajax_cm_delete_plugin', array( $this, 'handle_delete_plugin' ) );
         
+        // Export file downloads: administrators or holders of a signed, expiring link
+        add_action( 'wp_ajax_cm_download', array( $this->download_handler, 'handle_download' ) );
+        add_action( 'wp_ajax_nopriv_cm_download', array( $this->download_handler, 'handle_download' ) );
+        
         // FALLBACK AJAX EXPORT SYSTEM - Following All-in-One WP Migration approach
-        // Register both privileged and non-privileged actions for maximum compatibility
+        // Register both privileged and non-privileged actions so an export survives an expired login;
+        // an administrator starts it and later steps are authorized by its signed session token
         add_action( 'wp_ajax_cm_fallback_export', array( $this->fallback_exporter, 'handle_fallback_export' ) );
         add_action( 'wp_ajax_nopriv_cm_fallback_export', array( $this->fallback_exporter, 'handle_fallback_export' ) );
         add_action( 'wp_ajax_cm_fallback_status', array( $this->fallback_exporter, 'handle_fallback_status' ) );
@@ -147,6 +252,55 @@ class Custom_Migrator_Core {
         }
     }
 
+    /**
+     * Apply the active exclusion profile to every export path.
+     *
+     * @return void
+     */
+    private function define_exclusion_hooks() {
+        $this->exclusion_profiles->register_hooks();
+    }
+
+    /**
+     * Record final export and S3 upload statuses in the export history.
+     *
+     * @return void
+     */
+    private function define_history_hooks() {
+        add_action( 'custom_migrator_export_status', array( $this->export_history, 'handle_status_change' ) );
+        add_action( 'custom_migrator_s3_upload_status', array( $this->export_history, 'handle_s3_status_change' ), 10, 2 );
+    }
+
+    /**
+     * Leave tables that did not change out of an incremental export.
+     *
+     * @return void
+     */
+    private function define_incremental_hooks() {
+        $this->incremental_export->register_hooks();
+    }
+
+    /**
+     * Register the custom-migrator/v1 REST routes, including the routes that receive pushed files.
+     *
+     * @return void
+     */
+    private function define_rest_hooks() {
+        add_action( 'rest_api_init', array( $this->rest_controller, 'register_routes' ) );
+        add_action( 'rest_api_init', array( $this->push_receiver, 'register_routes' ) );
+    }
+
+    /**
+     * Register the wp migrator commands when running under WP-CLI.
+     *
+     * @return void
+     */
+    private function define_cli_hooks() {
+        if ( defined( 'WP_CLI' ) && WP_CLI ) {
+            WP_CLI::add_command( 'migrator', new Custom_Migrator_CLI_Command( $this, $this->filesystem, $this->export_history ) );
+        }
+    }
+
     /**
      * Monitor export progress and detect stuck processes.
      * Enhanced to detect failed resume attempts on paused exports.
@@ -174,6 +328,17 @@ class Custom_Migrator_Core {
             return;
         }
         
+        // A paused export waits for the Resume button
+        if ($status === 'paused_by_user' || $this->filesystem->is_pause_requested()) {
+            return;
+        }
+        
+        // A WP-CLI export runs every step itself; restarting it here would start a second export
+        $cli_state_file = $this->filesystem->get_cli_state_path();
+        if (file_exists($cli_state_file) && time() - filemtime($cli_state_file) < 300) {
+            return;
+        }
+        
         $modified_time = filemtime($status_file);
         $current_time = time();
         $time_diff = $current_time - $modified_time;
@@ -214,7 +379,7 @@ class Custom_Migrator_Core {
         }
         
         // Clean up old monitoring if export is done
-        if ($status === 'done' || strpos($status, 'error:') === 0) {
+        if ($status === 'done' || $status === 'cancelled' || strpos($status, 'error:') === 0) {
             wp_clear_scheduled_hook('cm_monitor_export');
         }
     }
@@ -296,24 +461,29 @@ class Custom_Migrator_Core {
             wp_send_json_error( array( 'message' => 'Security check failed' ) );
         }
 
-        $s3_status_file = WP_CONTENT_DIR . '/hostinger-migration-archives/s3-upload-status.txt';
+        $s3_status_file = $this->filesystem->get_export_dir() . '/s3-upload-status.txt';
 
         if ( ! file_exists( $s3_status_file ) ) {
             wp_send_json_error( array( 'status' => 'not_started' ) );
         }
 
         $status = trim( file_get_contents( $s3_status_file ) );
+        $s3_uploader = new Custom_Migrator_S3_Uploader();
+        $progress = $s3_uploader->get_upload_progress();
         
         if ( $status === 'done' ) {
             wp_send_json_success( array(
                 'status' => 'done',
-                'message' => 'S3 upload completed successfully'
+                'message' => 'S3 upload completed successfully',
+                'progress' => $progress
             ) );
         } elseif (strpos($status, 'error:') === 0) {
             // Return error status
             wp_send_json_error(array(
                 'status' => 'error',
-                'message' => substr($status, 6) // Remove 'error:' prefix
+                'message' => substr($status, 6), // Remove 'error:' prefix
+                'resumable' => (bool) get_option('custom_migrator_s3_upload_job'),
+                'progress' => $progress
             ));
         } else {
             // Get current file being uploaded if it's in the format "uploading_filetype"
@@ -325,7 +495,10 @@ class Custom_Migrator_Core {
             wp_send_json_success( array( 
                 'status' => $status,
                 'current_file' => $current_file,
-                'message' => 'Upload in progress' . ($current_file ? ': ' . $current_file : '')
+                'message' => 'Upload in progress' . ($current_file ? ': ' . $current_file : ''),
+                'resumable' => (bool) get_option('custom_migrator_s3_upload_job'),
+                'running' => $s3_uploader->is_upload_running(),
+                'progress' => $progress
             ));
         }
     }
@@ -333,175 +506,1167 @@ class Custom_Migrator_Core {
     /**
      * Handle S3 upload request.
      *
+     * Uploads run in time-boxed slices: the first request saves the job and the
+     * browser keeps calling with resume=1 until the response reports completed.
+     * Multipart files keep their finished parts across slices, timeouts and reloads.
+     * With destination set, every file goes to that saved destination profile
+     * instead of pre-signed URLs.
+     *
      * @return void
      */
     public function handle_upload_to_s3() {
-        // Try to increase PHP execution time limit
-        @set_time_limit(0);  // Try to remove the time limit
-        @ini_set('max_execution_time', 3600); // Try to set to 1 hour
-    
         // Security check
         if ( ! current_user_can( 'manage_options' ) || ! check_ajax_referer( 'custom_migrator_nonce', 'nonce', false ) ) {
             wp_send_json_error( array( 'message' => 'Security check failed' ) );
         }
         
-        // Check if export is done
-        $status_file = $this->filesystem->get_status_file_path();
-        if ( ! file_exists( $status_file ) || trim( file_get_contents( $status_file ) ) !== 'done' ) {
-            wp_send_json_error( array( 'message' => 'Export is not complete. Please wait for export to finish before uploading to S3.' ) );
-            return;
+        // A run kept in the export history can be uploaded again; otherwise the current export must be done
+        $run_id = isset( $_POST['run_id'] ) ? sanitize_text_field( wp_unslash( $_POST['run_id'] ) ) : '';
+        if ( $run_id !== '' ) {
+            $run_files = $this->export_history->get_run_file_paths( $run_id );
+            if ( ! isset( $run_files['hstgr'] ) ) {
+                wp_send_json_error( array( 'message' => 'The archive of this export run is no longer kept.' ) );
+                return;
+            }
+        } else {
+            // Check if export is done
+            $status_file = $this->filesystem->get_status_file_path();
+            if ( ! file_exists( $status_file ) || trim( file_get_contents( $status_file ) ) !== 'done' ) {
+                wp_send_json_error( array( 'message' => 'Export is not complete. Please wait for export to finish before uploading to S3.' ) );
+                return;
+            }
         }
         
-        // Get pre-signed URLs
-        $s3_urls = array(
-            'hstgr'    => isset( $_POST['s3_url_hstgr'] ) ? sanitize_text_field( $_POST['s3_url_hstgr'] ) : '',
-            'sql'      => isset( $_POST['s3_url_sql'] ) ? sanitize_text_field( $_POST['s3_url_sql'] ) : '',
-            'metadata' => isset( $_POST['s3_url_metadata'] ) ? sanitize_text_field( $_POST['s3_url_metadata'] ) : '',
-        );
-        
-        // Check if at least one URL is provided
-        if ( empty( $s3_urls['hstgr'] ) && empty( $s3_urls['sql'] ) && empty( $s3_urls['metadata'] ) ) {
-            wp_send_json_error( array( 'message' => 'Please provide at least one pre-signed URL for upload.' ) );
-            return;
+        $jobs = null;
+        $destination = isset( $_POST['destination'] ) ? sanitize_text_field( wp_unslash( $_POST['destination'] ) ) : '';
+        if ( empty( $_POST['resume'] ) && $destination !== '' ) {
+            $source_files = $run_id !== '' ? $run_files : $this->filesystem->get_export_file_paths();
+            $volume_types = array_keys( Custom_Migrator_Volumes::find_volume_paths( $source_files['hstgr'] ) );
+            
+            try {
+                $destinations = new Custom_Migrator_Destinations( $this->filesystem );
+                $jobs = $destinations->build_jobs( $destination, array_merge( array( 'hstgr' ), $volume_types, array( 'sql', 'metadata' ) ) );
+            } catch ( Exception $e ) {
+                wp_send_json_error( array( 'message' => $e->getMessage() ) );
+                return;
+            }
+        } elseif ( empty( $_POST['resume'] ) ) {
+            $jobs = array();
+            
+            // Every extra archive volume gets its own pre-signed URL
+            $source_files = $run_id !== '' ? $run_files : $this->filesystem->get_export_file_paths();
+            $volume_types = array_keys( Custom_Migrator_Volumes::find_volume_paths( $source_files['hstgr'] ) );
+            
+            foreach ( array_merge( array( 'hstgr' ), $volume_types, array( 'sql', 'metadata' ) ) as $file_type ) {
+                $part_urls = isset( $_POST['s3_parts_' . $file_type] ) ? preg_split( '/\s+/', trim( wp_unslash( $_POST['s3_parts_' . $file_type] ) ), -1, PREG_SPLIT_NO_EMPTY ) : array();
+                $complete_url = isset( $_POST['s3_complete_' . $file_type] ) ? sanitize_text_field( $_POST['s3_complete_' . $file_type] ) : '';
+                $single_url = isset( $_POST['s3_url_' . $file_type] ) ? sanitize_text_field( $_POST['s3_url_' . $file_type] ) : '';
+                
+                if ( ! empty( $part_urls ) ) {
+                    if ( empty( $complete_url ) ) {
+                        wp_send_json_error( array( 'message' => "Please provide the pre-signed CompleteMultipartUpload URL for the $file_type file." ) );
+                        return;
+                    }
+                    $jobs[ $file_type ] = array(
+                        'mode'         => 'multipart',
+                        'part_urls'    => array_map( 'sanitize_text_field', $part_urls ),
+                        'complete_url' => $complete_url,
+                    );
+                } elseif ( ! empty( $single_url ) ) {
+                    $jobs[ $file_type ] = array(
+                        'mode' => 'single',
+                        'url'  => $single_url,
+                    );
+                }
+            }
+            
+            // Check if at least one URL is provided
+            if ( empty( $jobs ) ) {
+                wp_send_json_error( array( 'message' => 'Please provide at least one pre-signed URL for upload.' ) );
+                return;
+            }
         }
         
-        // Initialize S3 uploader
-        $s3_uploader = new Custom_Migrator_S3_Uploader();
-        
-        // Upload files to S3
-        $result = $s3_uploader->upload_to_s3( $s3_urls );
+        $result = $this->run_s3_upload( $jobs, $run_id );
         
-        if ( $result['success'] ) {
+        if ( $result['busy'] ) {
+            wp_send_json_success( array(
+                'message'   => 'Upload in progress.',
+                'completed' => false,
+                'busy'      => true,
+                'progress'  => $result['progress'],
+            ) );
+        } elseif ( $result['success'] ) {
             wp_send_json_success( array( 
-                'message' => 'Files uploaded successfully to S3.',
-                'details' => $result['messages'],
-                'uploaded_files' => $result['uploaded']
+                'message'   => $result['completed'] ? 'Files uploaded successfully to S3.' : 'Upload in progress.',
+                'completed' => $result['completed'],
+                'details'   => $result['messages'],
+                'progress'  => $result['progress'],
+            ) );
+        } elseif ( $result['rejected'] ) {
+            wp_send_json_error( array(
+                'message' => implode( ' ', $result['messages'] ),
+                'details' => $result['messages']
             ) );
         } else {
             wp_send_json_error( array( 
-                'message' => 'Error uploading files to S3. Please check the export log for details.',
-                'details' => $result['messages']
+                'message'   => 'Error uploading files to S3: ' . implode( ' ', $result['messages'] ),
+                'details'   => $result['messages'],
+                'resumable' => $result['resumable'],
+                'progress'  => $result['progress'],
             ) );
         }
     }
 
     /**
-     * Handle direct run export request (simple automation support).
+     * Handle the AJAX request for the pre-export site analysis.
+     *
+     * The analysis runs in time-boxed slices: restart=1 starts over, every other
+     * call continues from the saved state until the report phase is "done".
      *
      * @return void
      */
-    public function handle_run_export_now() {
-        // Check if this is a background request
-        $is_background = isset($_REQUEST['background_mode']) && $_REQUEST['background_mode'] === '1';
+    public function handle_analyze_site() {
+        // Security check
+        if ( ! current_user_can( 'manage_options' ) || ! check_ajax_referer( 'custom_migrator_nonce', 'nonce', false ) ) {
+            wp_send_json_error( array( 'message' => 'Security check failed' ) );
+        }
         
-        if (!$is_background) {
-            // For foreground requests, use standard WordPress security
-            if ( ! current_user_can( 'manage_options' ) || ! check_ajax_referer( 'custom_migrator_nonce', 'nonce', false ) ) {
-                wp_send_json_error( array( 'message' => 'Security check failed' ) );
+        $analyzer = new Custom_Migrator_Site_Analyzer( $this->filesystem );
+        
+        try {
+            $state = $analyzer->load_state();
+            if ( ! empty( $_POST['restart'] ) || ! $state ) {
+                $analyzer->start();
+            } elseif ( $state['phase'] === 'done' ) {
+                wp_send_json_success( $analyzer->get_report( $state ) );
+                return;
             }
+            
+            $state = $analyzer->run_slice( 10 );
+            wp_send_json_success( $analyzer->get_report( $state ) );
+        } catch ( Exception $e ) {
+            $this->filesystem->log( 'Site analysis failed: ' . $e->getMessage() );
+            wp_send_json_error( array( 'message' => 'Site analysis failed: ' . $e->getMessage() ) );
+        }
+    }
+
+    /**
+     * Handle the AJAX request to read and change the exclusion profiles.
+     *
+     * op=get returns the profiles with every database table; save, delete and
+     * activate change the stored profiles and are refused while an export runs
+     * so one export never mixes two sets of rules.
+     *
+     * @return void
+     */
+    public function handle_exclusion_profiles() {
+        // Security check
+        if ( ! current_user_can( 'manage_options' ) || ! check_ajax_referer( 'custom_migrator_nonce', 'nonce', false ) ) {
+            wp_send_json_error( array( 'message' => 'Security check failed' ) );
         }
-        // Background requests are triggered by authenticated requests, so they don't need additional auth
         
-        $this->filesystem->log('Processing export request (background: ' . ($is_background ? 'yes' : 'no') . ')');
+        $op = isset( $_POST['op'] ) ? sanitize_key( $_POST['op'] ) : 'get';
+        $name = isset( $_POST['name'] ) ? wp_unslash( $_POST['name'] ) : '';
         
-        // Set proper execution environment for background processing
-        if ($is_background) {
-            if (function_exists('ignore_user_abort')) {
-                ignore_user_abort(true);
+        try {
+            if ( $op === 'get' ) {
+                $tables = array();
+                $database_error = null;
+                try {
+                    $database_exporter = new Custom_Migrator_Database_Exporter();
+                    $tables = $database_exporter->get_table_report( true );
+                } catch ( Exception $e ) {
+                    $database_error = $e->getMessage();
+                }
+                
+                $result = $this->exclusion_profiles->get_profiles();
+                $result['tables'] = $tables;
+                $result['database_error'] = $database_error;
+                $result['default_max_file_size'] = Custom_Migrator_File_Enumerator::MAX_FILE_SIZE;
+                $result['max_file_size_limit'] = Custom_Migrator_Exclusion_Profiles::MAX_FILE_SIZE_LIMIT_MB * 1048576;
+                wp_send_json_success( $result );
+                return;
             }
             
-            if (function_exists('set_time_limit')) {
-                set_time_limit(0);
+            if ( ! in_array( $op, array( 'save', 'delete', 'activate' ), true ) ) {
+                wp_send_json_error( array( 'message' => 'Unknown operation.' ) );
+                return;
+            }
+            
+            // Check if an export is running
+            $status_file = $this->filesystem->get_status_file_path();
+            if ( file_exists( $status_file ) ) {
+                $status = trim( file_get_contents( $status_file ) );
+                if ( $status !== 'done' && strpos( $status, 'error' ) !== 0 ) {
+                    wp_send_json_error( array( 'message' => 'An export is in progress. Please wait for it to finish before changing exclusions.' ) );
+                    return;
+                }
+            }
+            
+            if ( $op === 'save' ) {
+                $rules = isset( $_POST['rules'] ) ? json_decode( wp_unslash( $_POST['rules'] ), true ) : array();
+                $result = $this->exclusion_profiles->save_profile( $name, $rules );
+                if ( ! empty( $_POST['activate'] ) ) {
+                    $result = $this->exclusion_profiles->activate_profile( $name );
+                }
+            } elseif ( $op === 'delete' ) {
+                $result = $this->exclusion_profiles->delete_profile( $name );
+            } else {
+                $result = $this->exclusion_profiles->activate_profile( $name );
             }
+            
+            wp_send_json_success( $result );
+        } catch ( Exception $e ) {
+            wp_send_json_error( array( 'message' => $e->getMessage() ) );
+        }
+    }
+
+    /**
+     * Handle the AJAX request to load or save the search/replace settings.
+     *
+     * op=get returns the settings with the pairs resolved against this site,
+     * op=save validates and stores them.
+     *
+     * @return void
+     */
+    public function handle_search_replace() {
+        // Security check
+        if ( ! current_user_can( 'manage_options' ) || ! check_ajax_referer( 'custom_migrator_nonce', 'nonce', false ) ) {
+            wp_send_json_error( array( 'message' => 'Security check failed' ) );
         }
         
-        // Start the export process directly
-        $this->run_export();
+        $op = isset( $_POST['op'] ) ? sanitize_key( $_POST['op'] ) : 'get';
+        $search_replace = new Custom_Migrator_Search_Replace( $this->filesystem );
         
-        if ($is_background) {
-            // For background requests, don't send JSON response
-            exit();
-        } else {
-            wp_send_json_success( array( 'message' => 'Export completed' ) );
+        try {
+            if ( $op === 'save' ) {
+                // Check if an export is running
+                $status_file = $this->filesystem->get_status_file_path();
+                if ( file_exists( $status_file ) ) {
+                    $status = trim( file_get_contents( $status_file ) );
+                    if ( $status !== 'done' && $status !== 'cancelled' && strpos( $status, 'error' ) !== 0 ) {
+                        wp_send_json_error( array( 'message' => 'An export is in progress. Please wait for it to finish before changing search and replace.' ) );
+                        return;
+                    }
+                }
+                
+                $settings = isset( $_POST['settings'] ) ? json_decode( wp_unslash( $_POST['settings'] ), true ) : array();
+                $search_replace->save_settings( is_array( $settings ) ? $settings : array() );
+            } elseif ( $op !== 'get' ) {
+                wp_send_json_error( array( 'message' => 'Unknown operation.' ) );
+                return;
+            }
+            
+            wp_send_json_success( array(
+                'settings' => $search_replace->get_settings(),
+                'pairs' => $search_replace->get_pairs(),
+                'enabled' => $search_replace->is_enabled(),
+                'home_url' => untrailingslashit( home_url() ),
+                'abspath' => untrailingslashit( str_replace( '\\', '/', ABSPATH ) ),
+            ) );
+        } catch ( Exception $e ) {
+            wp_send_json_error( array( 'message' => $e->getMessage() ) );
+        }
+    }
+
+    /**
+     * Handle the AJAX request to load or save the anonymization settings.
+     *
+     * op=get returns the settings and the fake value kinds, op=save validates
+     * and stores them.
+     *
+     * @return void
+     */
+    public function handle_anonymization() {
+        // Security check
+        if ( ! current_user_can( 'manage_options' ) || ! check_ajax_referer( 'custom_migrator_nonce', 'nonce', false ) ) {
+            wp_send_json_error( array( 'message' => 'Security check failed' ) );
+        }
+        
+        $op = isset( $_POST['op'] ) ? sanitize_key( $_POST['op'] ) : 'get';
+        $anonymizer = new Custom_Migrator_Anonymizer( $this->filesystem );
+        
+        try {
+            if ( $op === 'save' ) {
+                // Check if an export is running
+                $status_file = $this->filesystem->get_status_file_path();
+                if ( file_exists( $status_file ) ) {
+                    $status = trim( file_get_contents( $status_file ) );
+                    if ( $status !== 'done' && $status !== 'cancelled' && strpos( $status, 'error' ) !== 0 ) {
+                        wp_send_json_error( array( 'message' => 'An export is in progress. Please wait for it to finish before changing anonymization.' ) );
+                        return;
+                    }
+                }
+                
+                $settings = isset( $_POST['settings'] ) ? json_decode( wp_unslash( $_POST['settings'] ), true ) : array();
+                $anonymizer->save_settings( is_array( $settings ) ? $settings : array() );
+            } elseif ( $op !== 'get' ) {
+                wp_send_json_error( array( 'message' => 'Unknown operation.' ) );
+                return;
+            }
+            
+            wp_send_json_success( array(
+                'settings' => $anonymizer->get_settings(),
+                'enabled' => $anonymizer->is_enabled(),
+                'fake_types' => $anonymizer->get_fake_types(),
+            ) );
+        } catch ( Exception $e ) {
+            wp_send_json_error( array( 'message' => $e->getMessage() ) );
+        }
+    }
+
+    /**
+     * Handle the AJAX request to load or save the encryption settings.
+     *
+     * op=get returns the settings and whether libsodium is available, op=save
+     * validates them and turns a passphrase into a public key. The passphrase
+     * itself is never stored.
+     *
+     * @return void
+     */
+    public function handle_encryption() {
+        // Security check
+        if ( ! current_user_can( 'manage_options' ) || ! check_ajax_referer( 'custom_migrator_nonce', 'nonce', false ) ) {
+            wp_send_json_error( array( 'message' => 'Security check failed' ) );
+        }
+        
+        $op = isset( $_POST['op'] ) ? sanitize_key( $_POST['op'] ) : 'get';
+        $encryption = new Custom_Migrator_Encryption( $this->filesystem );
+        
+        try {
+            if ( $op === 'save' ) {
+                // Check if an export is running
+                $status_file = $this->filesystem->get_status_file_path();
+                if ( file_exists( $status_file ) ) {
+                    $status = trim( file_get_contents( $status_file ) );
+                    if ( $status !== 'done' && $status !== 'cancelled' && strpos( $status, 'error' ) !== 0 ) {
+                        wp_send_json_error( array( 'message' => 'An export is in progress. Please wait for it to finish before changing encryption.' ) );
+                        return;
+                    }
+                }
+                
+                $settings = isset( $_POST['settings'] ) ? json_decode( wp_unslash( $_POST['settings'] ), true ) : array();
+                $encryption->save_settings( is_array( $settings ) ? $settings : array() );
+            } elseif ( $op !== 'get' ) {
+                wp_send_json_error( array( 'message' => 'Unknown operation.' ) );
+                return;
+            }
+            
+            wp_send_json_success( array(
+                'settings' => $encryption->get_settings(),
+                'enabled' => $encryption->is_enabled(),
+                'available' => $encryption->is_available(),
+                'min_passphrase_length' => Custom_Migrator_Encryption::MIN_PASSPHRASE_LENGTH,
+            ) );
+        } catch ( Exception $e ) {
+            wp_send_json_error( array( 'message' => $e->getMessage() ) );
+        }
+    }
+
+    /**
+     * Handle the AJAX request to load or save the archive volume settings.
+     *
+     * @return void
+     */
+    public function handle_volumes() {
+        // Security check
+        if ( ! current_user_can( 'manage_options' ) || ! check_ajax_referer( 'custom_migrator_nonce', 'nonce', false ) ) {
+            wp_send_json_error( array( 'message' => 'Security check failed' ) );
+        }
+        
+        $op = isset( $_POST['op'] ) ? sanitize_key( $_POST['op'] ) : 'get';
+        $volumes = new Custom_Migrator_Volumes( $this->filesystem );
+        
+        try {
+            if ( $op === 'save' ) {
+                // Check if an export is running
+                $status_file = $this->filesystem->get_status_file_path();
+                if ( file_exists( $status_file ) ) {
+                    $status = trim( file_get_contents( $status_file ) );
+                    if ( $status !== 'done' && $status !== 'cancelled' && strpos( $status, 'error' ) !== 0 ) {
+                        wp_send_json_error( array( 'message' => 'An export is in progress. Please wait for it to finish before changing the volume settings.' ) );
+                        return;
+                    }
+                }
+                
+                $settings = isset( $_POST['settings'] ) ? json_decode( wp_unslash( $_POST['settings'] ), true ) : array();
+                $volumes->save_settings( is_array( $settings ) ? $settings : array() );
+            } elseif ( $op !== 'get' ) {
+                wp_send_json_error( array( 'message' => 'Unknown operation.' ) );
+                return;
+            }
+            
+            wp_send_json_success( array(
+                'settings' => $volumes->get_settings(),
+                'enabled' => $volumes->is_enabled(),
+                'min_volume_size_mb' => Custom_Migrator_Volumes::MIN_VOLUME_SIZE_MB,
+                'max_volume_size_mb' => Custom_Migrator_Volumes::MAX_VOLUME_SIZE_MB,
+            ) );
+        } catch ( Exception $e ) {
+            wp_send_json_error( array( 'message' => $e->getMessage() ) );
         }
     }
 
     /**
-     * Handle the AJAX request to start export process.
+     * Handle the AJAX request to read, change and test the destination profiles.
+     *
+     * op=get returns the profiles without their secrets and which destination
+     * types this server supports; save and delete are refused while an upload
+     * runs; test checks the settings being edited, filling in saved secrets.
+     *
+     * @return void
+     */
+    public function handle_destinations() {
+        // Security check
+        if ( ! current_user_can( 'manage_options' ) || ! check_ajax_referer( 'custom_migrator_nonce', 'nonce', false ) ) {
+            wp_send_json_error( array( 'message' => 'Security check failed' ) );
+        }
+        
+        $op = isset( $_POST['op'] ) ? sanitize_key( $_POST['op'] ) : 'get';
+        $name = isset( $_POST['name'] ) ? wp_unslash( $_POST['name'] ) : '';
+        $settings = isset( $_POST['settings'] ) ? json_decode( wp_unslash( $_POST['settings'] ), true ) : null;
+        $destinations = new Custom_Migrator_Destinations( $this->filesystem );
+        
+        try {
+            if ( $op === 'test' ) {
+                wp_send_json_success( array( 'message' => $destinations->test( $name, is_array( $settings ) ? $settings : null ) ) );
+                return;
+            }
+            
+            if ( $op === 'save' || $op === 'delete' ) {
+                $s3_uploader = new Custom_Migrator_S3_Uploader();
+                if ( $s3_uploader->is_upload_running() ) {
+                    wp_send_json_error( array( 'message' => 'An upload is in progress. Please wait for it to finish before changing destinations.' ) );
+                    return;
+                }
+                
+                if ( $op === 'save' ) {
+                    $destinations->save_profile( $name, is_array( $settings ) ? $settings : array() );
+                } else {
+                    $destinations->delete_profile( $name );
+                }
+            } elseif ( $op !== 'get' ) {
+                wp_send_json_error( array( 'message' => 'Unknown operation.' ) );
+                return;
+            }
+            
+            wp_send_json_success( array(
+                'profiles' => $destinations->get_profiles(),
+                'supported' => array(
+                    'sftp'   => function_exists( 'ssh2_connect' ),
+                    'ftp'    => function_exists( 'ftp_connect' ),
+                    'ftps'   => function_exists( 'ftp_ssl_connect' ),
+                    'webdav' => function_exists( 'curl_init' ),
+                    's3'     => function_exists( 'curl_init' ),
+                    'site'   => function_exists( 'curl_init' ),
+                ),
+            ) );
+        } catch ( Exception $e ) {
+            wp_send_json_error( array( 'message' => $e->getMessage() ) );
+        }
+    }
+
+    /**
+     * Handle the AJAX request for receiving pushes from another site.
+     *
+     * op=generate replaces the pairing key and returns it once, op=revoke turns
+     * receiving off, op=get returns the state and the last transfer.
+     *
+     * @return void
+     */
+    public function handle_push_receiver() {
+        // Security check
+        if ( ! current_user_can( 'manage_options' ) || ! check_ajax_referer( 'custom_migrator_nonce', 'nonce', false ) ) {
+            wp_send_json_error( array( 'message' => 'Security check failed' ) );
+        }
+        
+        $op = isset( $_POST['op'] ) ? sanitize_key( $_POST['op'] ) : 'get';
+        $key = null;
+        
+        if ( $op === 'generate' ) {
+            $key = $this->push_receiver->generate_key();
+        } elseif ( $op === 'revoke' ) {
+            $this->push_receiver->revoke_key();
+        } elseif ( $op !== 'get' ) {
+            wp_send_json_error( array( 'message' => 'Unknown operation.' ) );
+            return;
+        }
+        
+        wp_send_json_success( array_merge( $this->push_receiver->get_settings(), array( 'key' => $key ) ) );
+    }
+
+    /**
+     * Handle the AJAX request for importing an export into this site.
+     *
+     * op=upload appends one chunk of a file picked in the browser, op=clear
+     * removes the uploaded files, op=check finds the files of a source and
+     * checks their metadata, op=start begins the checked import and op=run
+     * continues it or its rollback in time-boxed slices until the report phase
+     * is "done" or "rolled_back". op=rollback undoes the import from its safety
+     * snapshot, op=discard removes the snapshot and op=get returns the report.
+     *
+     * @return void
+     */
+    public function handle_import() {
+        // Security check
+        if ( ! current_user_can( 'manage_options' ) || ! check_ajax_referer( 'custom_migrator_nonce', 'nonce', false ) ) {
+            wp_send_json_error( array( 'message' => 'Security check failed' ) );
+        }
+        
+        $op = isset( $_POST['op'] ) ? sanitize_key( $_POST['op'] ) : 'get';
+        $importer = new Custom_Migrator_Importer( $this->filesystem );
+        
+        // The archive must not change under a running export
+        if ( in_array( $op, array( 'check', 'start' ), true ) && $this->get_export_state()['state'] === 'running' ) {
+            wp_send_json_error( array( 'message' => 'An export is running. Wait for it to finish before importing.' ) );
+            return;
+        }
+        
+        try {
+            if ( $op === 'upload' ) {
+                if ( empty( $_FILES['chunk']['tmp_name'] ) || ! is_uploaded_file( $_FILES['chunk']['tmp_name'] ) ) {
+                    wp_send_json_error( array( 'message' => 'The upload chunk did not arrive. The server may limit the upload size.' ) );
+                    return;
+                }
+                $name = isset( $_POST['name'] ) ? sanitize_file_name( wp_unslash( $_POST['name'] ) ) : '';
+                $offset = isset( $_POST['offset'] ) ? (int) $_POST['offset'] : 0;
+                wp_send_json_success( $importer->receive_upload( $name, $offset, $_FILES['chunk']['tmp_name'] ) );
+            } elseif ( $op === 'clear' ) {
+                $importer->clear_uploads();
+                wp_send_json_success( $importer->get_report() );
+            } elseif ( $op === 'check' ) {
+                $source = isset( $_POST['source'] ) ? sanitize_key( $_POST['source'] ) : 'upload';
+                $path = isset( $_POST['path'] ) ? wp_unslash( $_POST['path'] ) : '';
+                wp_send_json_success( $importer->check( $source, $path ) );
+            } elseif ( $op === 'start' ) {
+                wp_send_json_success( $importer->start() );
+            } elseif ( $op === 'run' ) {
+                // The key is sent with every request and never stored
+                $key = isset( $_POST['key'] ) ? trim( wp_unslash( $_POST['key'] ) ) : '';
+                $key_type = isset( $_POST['key_type'] ) && $_POST['key_type'] === 'secret_key' ? 'secret_key' : 'passphrase';
+                wp_send_json_success( $importer->run_slice( 10, $key, $key_type ) );
+            } elseif ( $op === 'rollback' ) {
+                wp_send_json_success( $importer->start_rollback() );
+            } elseif ( $op === 'discard' ) {
+                wp_send_json_success( $importer->discard() );
+            } elseif ( $op === 'get' ) {
+                wp_send_json_success( $importer->get_report() );
+            } else {
+                wp_send_json_error( array( 'message' => 'Unknown operation.' ) );
+            }
+        } catch ( Exception $e ) {
+            wp_send_json_error( array( 'message' => $e->getMessage() ) );
+        }
+    }
+
+    /**
+     * Handle the AJAX request for one level of the wp-content directory tree.
+     *
+     * @return void
+     */
+    public function handle_exclusion_directories() {
+        // Security check
+        if ( ! current_user_can( 'manage_options' ) || ! check_ajax_referer( 'custom_migrator_nonce', 'nonce', false ) ) {
+            wp_send_json_error( array( 'message' => 'Security check failed' ) );
+        }
+        
+        $path = isset( $_POST['path'] ) ? wp_unslash( $_POST['path'] ) : '';
+        
+        try {
+            wp_send_json_success( array(
+                'path'        => $path,
+                'directories' => $this->exclusion_profiles->list_directories( $path ),
+            ) );
+        } catch ( Exception $e ) {
+            wp_send_json_error( array( 'message' => $e->getMessage() ) );
+        }
+    }
+
+    /**
+     * Handle the AJAX request for the live exclusion size preview.
+     *
+     * restart=1 with the rules being edited starts a new scan, every other call
+     * continues it in time-boxed slices until the report phase is "done".
+     *
+     * @return void
+     */
+    public function handle_preview_exclusions() {
+        // Security check
+        if ( ! current_user_can( 'manage_options' ) || ! check_ajax_referer( 'custom_migrator_nonce', 'nonce', false ) ) {
+            wp_send_json_error( array( 'message' => 'Security check failed' ) );
+        }
+        
+        try {
+            $state = $this->exclusion_profiles->load_preview();
+            if ( ! empty( $_POST['restart'] ) || ! $state ) {
+                $rules = isset( $_POST['rules'] ) ? json_decode( wp_unslash( $_POST['rules'] ), true ) : array();
+                $this->exclusion_profiles->start_preview( $rules );
+            } elseif ( $state['phase'] === 'done' ) {
+                wp_send_json_success( $this->exclusion_profiles->get_preview_report( $state ) );
+                return;
+            }
+            
+            $state = $this->exclusion_profiles->run_preview_slice( 5 );
+            wp_send_json_success( $this->exclusion_profiles->get_preview_report( $state ) );
+        } catch ( Exception $e ) {
+            $this->filesystem->log( 'Exclusion preview failed: ' . $e->getMessage() );
+            wp_send_json_error( array( 'message' => 'Preview failed: ' . $e->getMessage() ) );
+        }
+    }
+
+    /**
+     * Handle the AJAX request for the export history.
+     *
+     * op=list returns every run with its download links, op=delete removes a
+     * kept run and op=retention changes how many archives are kept.
+     *
+     * @return void
+     */
+    public function handle_export_history() {
+        // Security check
+        if ( ! current_user_can( 'manage_options' ) || ! check_ajax_referer( 'custom_migrator_nonce', 'nonce', false ) ) {
+            wp_send_json_error( array( 'message' => 'Security check failed' ) );
+        }
+        
+        $op = isset( $_POST['op'] ) ? sanitize_key( $_POST['op'] ) : 'list';
+        
+        try {
+            if ( $op === 'delete' ) {
+                $run_id = isset( $_POST['run_id'] ) ? sanitize_text_field( wp_unslash( $_POST['run_id'] ) ) : '';
+                $this->export_history->delete_run( $run_id );
+            } elseif ( $op === 'retention' ) {
+                $this->export_history->set_retention( isset( $_POST['retention'] ) ? (int) $_POST['retention'] : 0 );
+            } elseif ( $op !== 'list' ) {
+                wp_send_json_error( array( 'message' => 'Unknown operation.' ) );
+                return;
+            }
+            
+            wp_send_json_success( array(
+                'runs'          => $this->export_history->get_runs(),
+                'retention'     => $this->export_history->get_retention(),
+                'max_retention' => Custom_Migrator_Export_History::MAX_RETENTION,
+            ) );
+        } catch ( Exception $e ) {
+            wp_send_json_error( array( 'message' => $e->getMessage() ) );
+        }
+    }
+
+    /**
+     * Handle the AJAX request for new structured log entries.
+     *
+     * The client passes back the offset of the previous response, or -1 to
+     * start near the end of the log, so each poll only reads what was added.
+     *
+     * @return void
+     */
+    public function handle_get_log() {
+        // Security check
+        if ( ! current_user_can( 'manage_options' ) || ! check_ajax_referer( 'custom_migrator_nonce', 'nonce', false ) ) {
+            wp_send_json_error( array( 'message' => 'Security check failed' ) );
+        }
+        
+        $offset = isset( $_POST['offset'] ) ? (int) $_POST['offset'] : -1;
+        
+        wp_send_json_success( $this->filesystem->read_structured_log( $offset ) );
+    }
+
+    /**
+     * Handle the AJAX request to verify the export files against their manifest.
+     *
+     * Verification runs in time-boxed slices: restart=1 starts over, every other
+     * call continues from the saved state until the report phase is "done".
+     *
+     * @return void
+     */
+    public function handle_verify_export() {
+        // Security check
+        if ( ! current_user_can( 'manage_options' ) || ! check_ajax_referer( 'custom_migrator_nonce', 'nonce', false ) ) {
+            wp_send_json_error( array( 'message' => 'Security check failed' ) );
+        }
+        
+        // Check if export is done
+        $status_file = $this->filesystem->get_status_file_path();
+        if ( ! file_exists( $status_file ) || trim( file_get_contents( $status_file ) ) !== 'done' ) {
+            wp_send_json_error( array( 'message' => 'Export is not complete. Please wait for export to finish before verifying it.' ) );
+            return;
+        }
+        
+        $verifier = new Custom_Migrator_Archive_Verifier( $this->filesystem );
+        
+        try {
+            $state = $verifier->load_state();
+            if ( ! empty( $_POST['restart'] ) || ! $state ) {
+                $verifier->start();
+            } elseif ( $state['phase'] === 'done' ) {
+                wp_send_json_success( $verifier->get_report( $state ) );
+                return;
+            }
+            
+            $state = $verifier->run_slice( 10 );
+            wp_send_json_success( $verifier->get_report( $state ) );
+        } catch ( Exception $e ) {
+            $this->filesystem->log( 'Export verification failed: ' . $e->getMessage() );
+            wp_send_json_error( array( 'message' => 'Verification failed: ' . $e->getMessage() ) );
+        }
+    }
+
+    /**
+     * Handle the AJAX request to browse the archive contents.
+     *
+     * The first calls index the archive in time-boxed slices and answer with
+     * indexing progress; once the index is complete the request is answered with
+     * a directory listing (op=list) or path search results (op=search).
+     *
+     * @return void
+     */
+    public function handle_browse_archive() {
+        // Security check
+        if ( ! current_user_can( 'manage_options' ) || ! check_ajax_referer( 'custom_migrator_nonce', 'nonce', false ) ) {
+            wp_send_json_error( array( 'message' => 'Security check failed' ) );
+        }
+        
+        // Check if export is done
+        $status_file = $this->filesystem->get_status_file_path();
+        if ( ! file_exists( $status_file ) || trim( file_get_contents( $status_file ) ) !== 'done' ) {
+            wp_send_json_error( array( 'message' => 'Export is not complete. Please wait for export to finish before browsing the archive.' ) );
+            return;
+        }
+        
+        $browser = new Custom_Migrator_Archive_Browser( $this->filesystem );
+        $op = isset( $_POST['op'] ) ? sanitize_key( $_POST['op'] ) : 'list';
+        $offset = isset( $_POST['offset'] ) ? max( 0, (int) $_POST['offset'] ) : 0;
+        $limit = isset( $_POST['limit'] ) ? min( 500, max( 1, (int) $_POST['limit'] ) ) : 100;
+        
+        try {
+            $tree = $browser->build_index( 10 );
+            
+            if ( ! $tree['complete'] ) {
+                wp_send_json_success( array(
+                    'indexing' => true,
+                    'index'    => $browser->get_index_status( $tree ),
+                ) );
+                return;
+            }
+            
+            if ( $op === 'search' ) {
+                $query = isset( $_POST['query'] ) ? trim( wp_unslash( $_POST['query'] ) ) : '';
+                if ( $query === '' ) {
+                    wp_send_json_error( array( 'message' => 'Please enter part of a path to search for.' ) );
+                    return;
+                }
+                $result = $browser->search( $query, $offset, $limit );
+            } else {
+                $dir = isset( $_POST['path'] ) ? wp_unslash( $_POST['path'] ) : '';
+                $result = $browser->list_directory( $tree, $dir, $offset, $limit );
+                if ( $result === false ) {
+                    wp_send_json_error( array( 'message' => 'Directory not found in archive.' ) );
+                    return;
+                }
+            }
+            
+            $result['indexing'] = false;
+            $result['index'] = $browser->get_index_status( $tree );
+            wp_send_json_success( $result );
+        } catch ( Exception $e ) {
+            $this->filesystem->log( 'Archive browsing failed: ' . $e->getMessage() );
+            wp_send_json_error( array( 'message' => 'Cannot read archive: ' . $e->getMessage() ) );
+        }
+    }
+
+    /**
+     * Handle the request to download a single file from the archive.
+     *
+     * @return void
+     */
+    public function handle_download_archive_file() {
+        // Security check
+        if ( ! current_user_can( 'manage_options' ) || ! check_ajax_referer( 'custom_migrator_nonce', 'nonce', false ) ) {
+            wp_die( 'Security check failed', 403 );
+        }
+        
+        $offset = isset( $_GET['offset'] ) ? (int) $_GET['offset'] : -1;
+        $path = isset( $_GET['path'] ) ? wp_unslash( $_GET['path'] ) : '';
+        $volume = isset( $_GET['volume'] ) ? (int) $_GET['volume'] : 0;
+        
+        if ( $offset < 0 || $path === '' || $volume < 0 || $volume > Custom_Migrator_Volumes::MAX_VOLUMES ) {
+            wp_die( 'Missing file reference', 400 );
+        }
+        
+        $browser = new Custom_Migrator_Archive_Browser( $this->filesystem );
+        
+        try {
+            $browser->stream_file( $offset, $path, $volume );
+        } catch ( Exception $e ) {
+            wp_die( esc_html( $e->getMessage() ), 404 );
+        }
+        
+        exit;
+    }
+
+    /**
+     * Handle direct run export request (simple automation support).
+     *
+     * @return void
+     */
+    public function handle_run_export_now() {
+        // Check if this is a background request
+        $is_background = isset($_REQUEST['background_mode']) && $_REQUEST['background_mode'] === '1';
+        
+        if (!$is_background) {
+            // For foreground requests, use standard WordPress security
+            if ( ! current_user_can( 'manage_options' ) || ! check_ajax_referer( 'custom_migrator_nonce', 'nonce', false ) ) {
+                wp_send_json_error( array( 'message' => 'Security check failed' ) );
+            }
+        }
+        // Background requests are triggered by authenticated requests, so they don't need additional auth
+        
+        $this->filesystem->log('Processing export request (background: ' . ($is_background ? 'yes' : 'no') . ')');
+        
+        // Set proper execution environment for background processing
+        if ($is_background) {
+            if (function_exists('ignore_user_abort')) {
+                ignore_user_abort(true);
+            }
+            
+            if (function_exists('set_time_limit')) {
+                set_time_limit(0);
+            }
+        }
+        
+        // Start the export process directly
+        $this->run_export();
+        
+        if ($is_background) {
+            // For background requests, don't send JSON response
+            exit();
+        } else {
+            wp_send_json_success( array( 'message' => 'Export completed' ) );
+        }
+    }
+
+    /**
+     * Handle the AJAX request to start export process.
+     *
+     * @return void
+     */
+    public function handle_start_export() {
+        // Security check - more lenient for automation
+        if ( ! current_user_can( 'manage_options' ) || ! check_ajax_referer( 'custom_migrator_nonce', 'nonce', false ) ) {
+            wp_send_json_error( array( 'message' => 'Security check failed' ) );
+        }
+
+        // An incremental export needs a finished run whose manifest is still kept
+        $base_run = isset( $_POST['base_run'] ) ? sanitize_text_field( wp_unslash( $_POST['base_run'] ) ) : '';
+        if ( $base_run !== '' && ! $this->is_valid_base_run( $base_run ) ) {
+            wp_send_json_error( array( 'message' => 'The selected export cannot be used as the base of an incremental export.' ) );
+            return;
+        }
+
+        try {
+            $result = $this->start_export( $base_run );
+        } catch ( Exception $e ) {
+            wp_send_json_error( array( 'message' => $e->getMessage() ) );
+            return;
+        }
+
+        wp_send_json_success( array_merge( $result, array(
+            'automation_ready' => true,
+            'background_processing' => true,
+            'processing_method' => 'immediate_http_request',
+            'monitor_endpoint' => admin_url('admin-ajax.php?action=cm_check_status')
+        ) ) );
+    }
+
+    /**
+     * Check whether a history run can be the base of an incremental export.
+     *
+     * @param string $base_run Run ID.
+     * @return bool Whether the run finished and its manifest is still kept.
+     */
+    public function is_valid_base_run( $base_run ) {
+        $base = $this->export_history->get_run( $base_run );
+        $base_files = $this->export_history->get_run_file_paths( $base_run );
+
+        return $base && $base['status'] === 'done' && isset( $base_files['manifest'] );
+    }
+
+    /**
+     * Start a new export, or resume a paused or incomplete one, in the background.
+     *
+     * Shared by the AJAX and REST endpoints. The base run must have been checked
+     * with is_valid_base_run().
+     *
+     * @param string $base_run Run ID to export incrementally against, empty for a full export.
+     * @return array Whether the export was resumed, its previous status and the estimated size.
+     * @throws Exception If the export directory or the incremental base cannot be prepared.
+     */
+    public function start_export( $base_run = '' ) {
+        // CRITICAL: Immediately clear status file to prevent "done" status from showing
+        $status_file = $this->filesystem->get_status_file_path();
+        if (file_exists($status_file)) {
+            @unlink($status_file);
+        }
+        $this->filesystem->write_status('starting');
+
+        $base_dir = $this->filesystem->get_export_dir();
+        
+        // Create export directory if it doesn't exist
+        if ( ! file_exists( $base_dir ) ) {
+            $this->filesystem->create_export_dir();
+        }
+
+        // Check current export status
+        $status_file = $this->filesystem->get_status_file_path();
+        $current_status = '';
+        if (file_exists($status_file)) {
+            $current_status = trim(file_get_contents($status_file));
+        }
+        
+        // Files left behind by a cancelled export are never resumed
+        $was_cancelled = $this->filesystem->is_cancel_requested();
+        
+        // Starting again also resumes an export the user paused
+        $pause_flag = $this->filesystem->get_pause_flag_path();
+        if ( file_exists( $pause_flag ) ) {
+            @unlink( $pause_flag );
+        }
+        
+        // Check if there are existing files and we should resume instead of restart
+        $file_paths = $this->filesystem->get_export_file_paths();
+        $should_resume = false;
+        
+        // Resume if export is paused or there are incomplete files
+        if (!$was_cancelled && ($current_status === 'paused' || $current_status === 'paused_by_user' || (file_exists($file_paths['hstgr']) && filesize($file_paths['hstgr']) > 0 && $current_status !== 'done'))) {
+            $should_resume = true;
+            $this->filesystem->log('Export needs to be resumed - status: ' . $current_status);
+        }
+        
+        if ($should_resume) {
+            // Resume via immediate HTTP request - no cron dependency
+            $this->filesystem->log('Initiating immediate background resume for paused/incomplete export');
+            $this->schedule_immediate_background_resume();
+        } else {
+            $this->prepare_new_export( $base_run );
+
+            // Update export status and immediately start background processing
+            $this->filesystem->write_status( 'starting' );
+            $this->filesystem->log('Export started, initiating immediate background processing');
+            
+            // Use immediate HTTP request instead of cron scheduling
+            $this->schedule_immediate_background_start();
+        }
+
+        $wp_content_size = $this->filesystem->get_directory_size( WP_CONTENT_DIR );
+        return array(
+            'message' => $should_resume ? 'Resuming paused export immediately' : 'Export started and processing immediately in background',
+            'resumed' => $should_resume,
+            'estimated_size' => $this->filesystem->format_file_size($wp_content_size),
+            'estimated_bytes' => $wp_content_size,
+            'current_status' => $current_status,
+        );
+    }
+
+    /**
+     * Record a new run and clear the export directory for it.
+     *
+     * @param string $base_run Run ID to export incrementally against, empty for a full export.
+     * @return string Run ID.
+     * @throws Exception If the incremental base cannot be prepared.
+     */
+    public function prepare_new_export( $base_run = '' ) {
+        // Move the previous run into the history before its files are cleaned up
+        $run_id = $this->export_history->begin_run( $base_run !== '' ? 'incremental' : 'regular', $base_run !== '' ? $base_run : null );
+        
+        // Clean up any existing export and start fresh
+        $this->cleanup_existing_export();
+        
+        $cancel_flag = $this->filesystem->get_cancel_flag_path();
+        if ( file_exists( $cancel_flag ) ) {
+            @unlink( $cancel_flag );
+        }
+        
+        // Important: Delete old filenames to force regeneration with new secure names
+        delete_option('custom_migrator_filenames');
+        
+        if ( $base_run !== '' ) {
+            try {
+                $this->incremental_export->prepare( $base_run, $this->export_history );
+            } catch ( Exception $e ) {
+                $this->filesystem->write_status( 'error: ' . $e->getMessage() );
+                throw $e;
+            }
+        }
+
+        return $run_id;
+    }
+
+    /**
+     * Cancel the running, pausing or paused export and remove its partial files.
+     *
+     * Scheduled continuations are dropped at once. A batch that is already
+     * running stops at the next file or table when it sees the cancel flag,
+     * and the next continuation stops instead of resuming.
+     *
+     * @return bool Whether an export was running.
+     */
+    public function cancel_export() {
+        $status = $this->read_status();
+
+        if ( $status === '' || $status === 'done' || $status === 'cancelled' || strpos( $status, 'error:' ) === 0 ) {
+            return false;
+        }
+
+        file_put_contents( $this->filesystem->get_cancel_flag_path(), (string) time() );
+        $pause_flag = $this->filesystem->get_pause_flag_path();
+        if ( file_exists( $pause_flag ) ) {
+            @unlink( $pause_flag );
+        }
+        wp_clear_scheduled_hook( 'cm_run_export_direct' );
+        wp_clear_scheduled_hook( 'cm_process_export_step_fallback' );
+
+        if ( strpos( $status, 'fallback_' ) === 0 ) {
+            $this->fallback_exporter->cancel();
+        }
+
+        $this->cleanup_existing_export();
+        $this->filesystem->log( 'Export cancelled (status was: ' . $status . ')' );
+        $this->filesystem->write_status( 'cancelled' );
+
+        return true;
+    }
+
+    /**
+     * Pause the running export at the next safe boundary.
+     *
+     * The running batch stops after the file or step it is working on and keeps
+     * its resume state; until then the status is pausing. An export waiting
+     * between batches is paused at once. Fallback exports are paused in the
+     * browser, which simply stops sending steps.
+     *
+     * @return bool Whether an export could be paused.
+     */
+    public function pause_export() {
+        $status = $this->read_status();
+        $processing_statuses = array( 'starting', 'initializing', 'exporting', 'exporting_database', 'generating_metadata', 'finalizing', 'encrypting', 'resuming', 'restarting' );
+
+        if ( $status !== 'paused' && ! in_array( $status, $processing_statuses, true ) ) {
+            return false;
+        }
+
+        file_put_contents( $this->filesystem->get_pause_flag_path(), (string) time() );
+        wp_clear_scheduled_hook( 'cm_run_export' );
+        wp_clear_scheduled_hook( 'cm_run_export_direct' );
+        wp_clear_scheduled_hook( 'cm_monitor_export' );
+
+        $this->filesystem->log( 'Export pause requested (status was: ' . $status . ')' );
+        $this->filesystem->write_status( $status === 'paused' ? 'paused_by_user' : 'pausing' );
+
+        return true;
+    }
+
+    /**
+     * Resume an export the user paused.
      *
-     * @return void
+     * @return bool Whether a paused export was resumed.
      */
-    public function handle_start_export() {
-        // Security check - more lenient for automation
-        if ( ! current_user_can( 'manage_options' ) || ! check_ajax_referer( 'custom_migrator_nonce', 'nonce', false ) ) {
-            wp_send_json_error( array( 'message' => 'Security check failed' ) );
+    public function resume_export() {
+        if ( $this->read_status() !== 'paused_by_user' ) {
+            return false;
         }
 
-        // CRITICAL: Immediately clear status file to prevent "done" status from showing
-        $status_file = $this->filesystem->get_status_file_path();
-        if (file_exists($status_file)) {
-            @unlink($status_file);
+        $pause_flag = $this->filesystem->get_pause_flag_path();
+        if ( file_exists( $pause_flag ) ) {
+            @unlink( $pause_flag );
         }
-        $this->filesystem->write_status('starting');
 
-        $base_dir = $this->filesystem->get_export_dir();
-        
-        // Create export directory if it doesn't exist
-        if ( ! file_exists( $base_dir ) ) {
-            try {
-                $this->filesystem->create_export_dir();
-            } catch ( Exception $e ) {
-                wp_send_json_error( array( 'message' => $e->getMessage() ) );
-                return;
-            }
-        }
+        $this->filesystem->log( 'Export resumed by user' );
+        $this->filesystem->write_status( 'resuming' );
+        $this->schedule_immediate_background_resume();
 
-        // Check current export status
+        return true;
+    }
+
+    /**
+     * Read the current export status.
+     *
+     * @return string Status, empty if no export was started.
+     */
+    private function read_status() {
         $status_file = $this->filesystem->get_status_file_path();
-        $current_status = '';
-        if (file_exists($status_file)) {
-            $current_status = trim(file_get_contents($status_file));
-        }
+        return file_exists( $status_file ) ? trim( file_get_contents( $status_file ) ) : '';
+    }
+
+    /**
+     * Remove the files of a batch that stopped because the export was cancelled.
+     *
+     * @return void
+     */
+    private function discard_cancelled_export() {
+        $this->filesystem->log( 'Export was cancelled, discarding the files of the last batch' );
+        $this->cleanup_existing_export();
+        $this->filesystem->write_status( 'cancelled' );
+    }
+
+    /**
+     * Upload the export files to S3 for one time-boxed slice.
+     *
+     * Shared by the AJAX and REST endpoints. Passing jobs starts a new upload,
+     * null continues the saved one. The caller checks that the files exist.
+     *
+     * @param array|null $jobs   Upload jobs keyed by file type, see Custom_Migrator_S3_Uploader::prepare_upload().
+     * @param string     $run_id History run to upload instead of the current export.
+     * @return array Result with success, completed, busy, rejected (the job was refused
+     *               before anything was sent), messages, resumable and progress.
+     */
+    public function run_s3_upload( $jobs, $run_id = '' ) {
+        // Try to increase PHP execution time limit
+        @set_time_limit(0);  // Try to remove the time limit
+        @ini_set('max_execution_time', 3600); // Try to set to 1 hour
         
-        // Check if there are existing files and we should resume instead of restart
-        $file_paths = $this->filesystem->get_export_file_paths();
-        $should_resume = false;
+        $s3_uploader = new Custom_Migrator_S3_Uploader();
         
-        // Resume if export is paused or there are incomplete files
-        if ($current_status === 'paused' || (file_exists($file_paths['hstgr']) && filesize($file_paths['hstgr']) > 0 && $current_status !== 'done')) {
-            $should_resume = true;
-            $this->filesystem->log('Export needs to be resumed - status: ' . $current_status);
+        // Another request is still working on this upload, let the client wait for it
+        if ( $s3_uploader->is_upload_running() ) {
+            return array(
+                'success'   => true,
+                'completed' => false,
+                'busy'      => true,
+                'rejected'  => false,
+                'messages'  => array( 'Upload in progress.' ),
+                'resumable' => true,
+                'progress'  => $s3_uploader->get_upload_progress(),
+            );
         }
         
-        if ($should_resume) {
-            // Resume via immediate HTTP request - no cron dependency
-            $this->filesystem->log('Initiating immediate background resume for paused/incomplete export');
-            $this->schedule_immediate_background_resume();
-        } else {
-            // Clean up any existing export and start fresh
-            $this->cleanup_existing_export();
-            
-            // Important: Delete old filenames to force regeneration with new secure names
-            delete_option('custom_migrator_filenames');
-
-            // Update export status and immediately start background processing
-            $this->filesystem->write_status( 'starting' );
-            $this->filesystem->log('Export started, initiating immediate background processing');
-            
-            // Use immediate HTTP request instead of cron scheduling
-            $this->schedule_immediate_background_start();
+        if ( $jobs !== null ) {
+            $this->filesystem->log( 'Starting S3 upload process' );
+            $prepared = $s3_uploader->prepare_upload( $jobs, $run_id );
+            if ( ! $prepared['success'] ) {
+                return array(
+                    'success'   => false,
+                    'completed' => false,
+                    'busy'      => false,
+                    'rejected'  => true,
+                    'messages'  => $prepared['messages'],
+                    'resumable' => false,
+                    'progress'  => array(),
+                );
+            }
         }
-
-        $wp_content_size = $this->filesystem->get_directory_size( WP_CONTENT_DIR );
-        wp_send_json_success(array(
-            'message' => $should_resume ? 'Resuming paused export immediately' : 'Export started and processing immediately in background',
-            'estimated_size' => $this->filesystem->format_file_size($wp_content_size),
-            'automation_ready' => true,
-            'background_processing' => true,
-            'processing_method' => 'immediate_http_request',
-            'current_status' => $current_status,
-            'monitor_endpoint' => admin_url('admin-ajax.php?action=cm_check_status')
-        ));
+        
+        // Upload files to S3 for up to 20 seconds, then hand control back to the client
+        $result = $s3_uploader->run_upload_slice( 20 );
+        
+        return array(
+            'success'   => $result['success'],
+            'completed' => $result['completed'],
+            'busy'      => false,
+            'rejected'  => false,
+            'messages'  => $result['messages'],
+            'resumable' => (bool) get_option( 'custom_migrator_s3_upload_job' ),
+            'progress'  => isset( $result['progress'] ) ? $result['progress'] : array(),
+        );
     }
 
     /**
@@ -678,35 +1843,13 @@ class Custom_Migrator_Core {
             return $params;
         }
 
-        $current_step = isset($params['step']) ? $params['step'] : 'unknown';
-        $this->filesystem->log('Processing export step: ' . $current_step . ' (background: ' . ($is_background ? 'yes' : 'no') . ')');
-        
-        // Save current step for tracking
-        $step_file = $this->filesystem->get_export_dir() . '/export-step.txt';
-        file_put_contents($step_file, $current_step);
-        
-        $this->setup_execution_environment();
+        $this->filesystem->log('Processing export step: ' . (isset($params['step']) ? $params['step'] : 'unknown') . ' (background: ' . ($is_background ? 'yes' : 'no') . ')');
 
         try {
-            switch ($params['step']) {
-                case 'init':
-                    $params = $this->export_init($params);
-                    break;
-                case 'content':
-                    $params = $this->export_content($params);
-                    break;
-                case 'database':
-                    $params = $this->export_database($params);
-                    break;
-                case 'metadata':
-                    $params = $this->export_metadata($params);
-                    break;
-                case 'finalize':
-                    $params = $this->export_finalize($params);
-                    break;
-                default:
-                    $params['completed'] = true;
-                    break;
+            $params = $this->run_export_step($params);
+
+            if (!empty($params['cancelled']) || !empty($params['paused'])) {
+                return $params;
             }
 
             // Continue to next step if not completed
@@ -729,6 +1872,69 @@ class Custom_Migrator_Core {
         return $params;
     }
 
+    /**
+     * Run one export step in the current request.
+     *
+     * Steps are init, content, database, metadata and finalize. Each step sets
+     * params['step'] to the step that runs next; content stays on content while
+     * its batches are paused, finalize stays on finalize while the files are
+     * encrypted and then sets params['completed']. Besides the
+     * step, params may hold foreground (do not schedule resume requests),
+     * skip_content and skip_database.
+     *
+     * @param array $params Export parameters.
+     * @return array Updated parameters, with cancelled set if the export was cancelled
+     *               and paused set if the user paused it before this step.
+     * @throws Exception If the step fails.
+     */
+    public function run_export_step($params) {
+        // A cancelled export takes no further steps
+        if ($this->filesystem->is_cancel_requested()) {
+            $this->filesystem->log('Export was cancelled, skipping export step');
+            $params['cancelled'] = true;
+            return $params;
+        }
+        
+        // A paused export keeps its params and continues from this step on resume
+        if ($this->filesystem->is_pause_requested()) {
+            $this->filesystem->log('Export was paused, stopping before step ' . (isset($params['step']) ? $params['step'] : 'unknown'));
+            $this->filesystem->write_status('paused_by_user');
+            $params['paused'] = true;
+            return $params;
+        }
+
+        $current_step = isset($params['step']) ? $params['step'] : 'unknown';
+        
+        // Save current step for tracking
+        $step_file = $this->filesystem->get_export_dir() . '/export-step.txt';
+        file_put_contents($step_file, $current_step);
+        
+        $this->setup_execution_environment();
+
+        switch ($current_step) {
+            case 'init':
+                $params = $this->export_init($params);
+                break;
+            case 'content':
+                $params = $this->export_content($params);
+                break;
+            case 'database':
+                $params = $this->export_database($params);
+                break;
+            case 'metadata':
+                $params = $this->export_metadata($params);
+                break;
+            case 'finalize':
+                $params = $this->export_finalize($params);
+                break;
+            default:
+                $params['completed'] = true;
+                break;
+        }
+
+        return $params;
+    }
+
     /**
      * Continue export process with true background processing (no cron dependency).
      *
@@ -788,7 +1994,14 @@ class Custom_Migrator_Core {
         $this->filesystem->write_status('exporting');
 
         $exporter = new Custom_Migrator_Exporter();
-        $result = $exporter->export_content_only();
+        $exporter->set_foreground(!empty($params['foreground']));
+        $result = !empty($params['skip_content']) ? $exporter->write_empty_archive() : $exporter->export_content_only();
+
+        if ($result === 'cancelled') {
+            $this->discard_cancelled_export();
+            $params['cancelled'] = true;
+            return $params;
+        }
 
         if ($result === 'paused') {
             // Content export is paused, stay on content step and let resume logic handle it
@@ -820,7 +2033,13 @@ class Custom_Migrator_Core {
         $this->filesystem->write_status('exporting_database');
 
         $exporter = new Custom_Migrator_Exporter();
-        $result = $exporter->export_database_only();
+        $result = !empty($params['skip_database']) ? $exporter->write_empty_database_dump() : $exporter->export_database_only();
+
+        if ($result === 'cancelled') {
+            $this->discard_cancelled_export();
+            $params['cancelled'] = true;
+            return $params;
+        }
 
         if (!$result) {
             throw new Exception('Database export failed');
@@ -843,8 +2062,22 @@ class Custom_Migrator_Core {
         $this->filesystem->log('Starting metadata generation');
         $this->filesystem->write_status('generating_metadata');
 
+        // Skipped parts are recorded so an importer does not mistake them for an empty site
+        $skipped = array();
+        if (!empty($params['skip_content'])) {
+            $skipped[] = 'content';
+        }
+        if (!empty($params['skip_database'])) {
+            $skipped[] = 'database';
+        }
+
+        $metadata_options = array('export_method' => !empty($params['foreground']) ? 'wp_cli' : 'step_by_step');
+        if (!empty($skipped)) {
+            $metadata_options['custom_fields'] = array('skipped' => $skipped);
+        }
+
         $exporter = new Custom_Migrator_Exporter();
-        $result = $exporter->generate_metadata_only();
+        $result = $exporter->generate_metadata_only($metadata_options);
 
         if (!$result) {
             throw new Exception('Metadata generation failed');
@@ -860,21 +2093,58 @@ class Custom_Migrator_Core {
     /**
      * Finalize export process.
      *
+     * With encryption enabled the step stays on finalize until both files are
+     * encrypted, one time budget per call.
+     *
      * @param array $params Export parameters.
      * @return array Updated parameters.
      */
     private function export_finalize($params) {
-        $this->filesystem->log('Finalizing export');
-        $this->filesystem->write_status('finalizing');
+        $progress = new Custom_Migrator_Progress($this->filesystem);
+        $encryption = new Custom_Migrator_Encryption($this->filesystem);
 
-        // Verify all files exist
-        $file_paths = $this->filesystem->get_export_file_paths();
-        foreach ($file_paths as $type => $path) {
-            if (!file_exists($path)) {
-                throw new Exception("Missing export file: $type");
+        // The manifest holds the plaintext checksums, so it is finalized before encryption starts
+        if (!$encryption->is_in_progress()) {
+            $this->filesystem->log('Finalizing export');
+            $this->filesystem->write_status('finalizing');
+            $progress->start_phase('finalize');
+
+            // Verify all files exist
+            $file_paths = $this->filesystem->get_export_file_paths();
+            foreach ($file_paths as $type => $path) {
+                if (!file_exists($path)) {
+                    throw new Exception("Missing export file: $type");
+                }
+            }
+
+            // Append whole-archive checksums to the manifest
+            $manifest = new Custom_Migrator_Manifest($this->filesystem);
+            $manifest->finalize($file_paths['hstgr'], $file_paths['sql']);
+
+            $volumes = new Custom_Migrator_Volumes($this->filesystem);
+            $volumes->update_metadata();
+
+            if (!$encryption->is_enabled()) {
+                $encryption = null;
+            }
+        }
+
+        if ($encryption) {
+            $this->filesystem->write_status('encrypting');
+            $result = $encryption->encrypt_export_files(!empty($params['foreground']) ? 0 : 20);
+
+            if ($result === 'cancelled') {
+                $this->discard_cancelled_export();
+                $params['cancelled'] = true;
+                return $params;
+            }
+            if ($result !== 'done') {
+                $params['completed'] = false;
+                return $params;
             }
         }
 
+        $progress->complete_phase('finalize');
         $this->filesystem->write_status('done');
         $this->filesystem->log('Export completed successfully');
 
@@ -887,7 +2157,7 @@ class Custom_Migrator_Core {
      *
      * @return void
      */
-    private function cleanup_existing_export() {
+    public function cleanup_existing_export() {
         // Clear any pending scheduled events
         wp_clear_scheduled_hook('cm_run_export');
         wp_clear_scheduled_hook('cm_monitor_export');
@@ -912,8 +2182,71 @@ class Custom_Migrator_Core {
             @unlink($resume_info_file);
         }
         
+        // A WP-CLI export of the previous files can no longer be resumed
+        $cli_state_file = $this->filesystem->get_cli_state_path();
+        if (file_exists($cli_state_file)) {
+            @unlink($cli_state_file);
+        }
+        
+        // Work files of the batches and of the database dump
+        $work_files = array('content-list.csv', 'export-step.txt', 'database-export.lock', 'database-export-status.json', Custom_Migrator_Database_Exporter::REPORT_FILE);
+        foreach ($work_files as $work_file) {
+            if (file_exists($export_dir . '/' . $work_file)) {
+                @unlink($export_dir . '/' . $work_file);
+            }
+        }
+        foreach ((array) glob($export_dir . '/db_export_temp_*') as $temp_file) {
+            @unlink($temp_file);
+        }
+        
+        $pause_flag = $this->filesystem->get_pause_flag_path();
+        if (file_exists($pause_flag)) {
+            @unlink($pause_flag);
+        }
+        
+        // Start progress tracking from zero
+        $progress = new Custom_Migrator_Progress($this->filesystem);
+        $progress->reset();
+        
+        // Forget any S3 upload of the previous export files
+        $s3_uploader = new Custom_Migrator_S3_Uploader();
+        $s3_uploader->reset_state();
+        
+        // Drop the checksum manifest and any verification of the previous archive
+        $manifest = new Custom_Migrator_Manifest($this->filesystem);
+        if (file_exists($manifest->get_manifest_path())) {
+            @unlink($manifest->get_manifest_path());
+        }
+        $verifier = new Custom_Migrator_Archive_Verifier($this->filesystem);
+        $verifier->reset_state();
+        $browser = new Custom_Migrator_Archive_Browser($this->filesystem);
+        $browser->reset();
+        
+        // Replacement and anonymization counts belong to the previous dump
+        $search_replace = new Custom_Migrator_Search_Replace($this->filesystem);
+        $search_replace->reset_report();
+        $anonymizer = new Custom_Migrator_Anonymizer($this->filesystem);
+        $anonymizer->reset_report();
+        
+        // Drop the encryption state, and a file left half encrypted by a cancelled export
+        $encryption = new Custom_Migrator_Encryption($this->filesystem);
+        $encryption->reset();
+        
+        // Forget the base of a previous incremental export and its list of deleted paths
+        $this->incremental_export->reset();
+        $deleted_paths_file = $this->incremental_export->get_deleted_paths_file();
+        if (file_exists($deleted_paths_file)) {
+            @unlink($deleted_paths_file);
+        }
+        
         // Clean up export files if they exist
         $file_paths = $this->filesystem->get_export_file_paths();
+        $file_paths['structured_log'] = $this->filesystem->get_structured_log_file_path();
+        
+        // Extra archive volumes, including plaintext ones a cancelled encryption did not get to
+        $volumes = new Custom_Migrator_Volumes($this->filesystem);
+        $volumes->delete_volumes($file_paths['hstgr']);
+        $volumes->delete_volumes(preg_replace('/\.enc$/', '', $file_paths['hstgr']));
         foreach ($file_paths as $path) {
             if (file_exists($path)) {
                 @unlink($path);
@@ -944,11 +2277,13 @@ class Custom_Migrator_Core {
 
         $status = trim( file_get_contents( $status_file ) );
         $modified_time = filemtime($status_file);
+        $progress_tracker = new Custom_Migrator_Progress($this->filesystem);
+        $progress_report = $progress_tracker->get_report($status);
         $current_time = time();
         $time_diff = $current_time - $modified_time;
         
         // PRODUCTION-SAFE: Very conservative stuck detection for high-volume production (3000 sites/week)
-        $processing_statuses = ['starting', 'initializing', 'exporting', 'exporting_database', 'generating_metadata', 'finalizing', 'resuming'];
+        $processing_statuses = ['starting', 'initializing', 'exporting', 'exporting_database', 'generating_metadata', 'finalizing', 'encrypting', 'resuming'];
         if (in_array($status, $processing_statuses)) {
             // Very conservative timeouts to prevent premature restarts on large databases
             if ($time_diff > 600) { // 10 minutes warning (was 3 minutes)
@@ -963,15 +2298,17 @@ class Custom_Migrator_Core {
                 wp_send_json_success(array(
                     'status' => $status . '_stuck',
                     'message' => "Export may be stuck (no activity for " . round($time_diff/60, 1) . " minutes). Monitoring for recovery...",
-                    'time_since_update' => $time_diff
+                    'time_since_update' => $time_diff,
+                    'progress' => $progress_report
                 ));
                 return;
             }
         }
         
         if ( $status === 'done' ) {
-            // Get file information
+            // Get file information, extra archive volumes included
             $file_paths = $this->filesystem->get_export_file_paths();
+            $file_paths = array_merge( $file_paths, Custom_Migrator_Volumes::find_volume_paths( $file_paths['hstgr'] ) );
             $file_info = array();
             
             foreach ( $file_paths as $type => $path ) {
@@ -994,6 +2331,7 @@ class Custom_Migrator_Core {
                 'metadata'        => $file_urls['metadata'],
                 'log'             => $file_urls['log'],
                 'file_info'       => $file_info,
+                'progress'        => $progress_report,
             ) );
         } elseif ($status === 'paused') {
             // Get resume information 
@@ -1027,11 +2365,23 @@ class Custom_Migrator_Core {
                     $bytes_processed / (1024 * 1024)
                 ),
                 'recent_log' => $recent_log,
-                'progress' => array(
+                'progress' => array_merge($progress_report, array(
                     'files_processed' => $files_processed,
                     'bytes_processed' => $this->filesystem->format_file_size($bytes_processed),
                     'last_update' => isset($resume_info['last_update']) ? date('Y-m-d H:i:s', $resume_info['last_update']) : ''
-                )
+                ))
+            ));
+        } elseif ($status === 'paused_by_user') {
+            wp_send_json_success(array(
+                'status' => 'paused_by_user',
+                'message' => 'Export is paused. Click Resume to continue where it stopped.',
+                'progress' => $progress_report
+            ));
+        } elseif ($status === 'cancelled') {
+            wp_send_json_success(array(
+                'status' => 'cancelled',
+                'message' => 'Export was cancelled',
+                'progress' => $progress_report
             ));
         } elseif (strpos($status, 'error:') === 0) {
             // Return error status
@@ -1052,27 +2402,111 @@ class Custom_Migrator_Core {
             }
             
             // Provide user-friendly status messages
-            $status_messages = array(
-                'starting' => 'Starting export process...',
-                'initializing' => 'Initializing export environment...',
-                'exporting' => 'Exporting wp-content files...',
-                'exporting_database' => 'Exporting database...',
-                'generating_metadata' => 'Generating metadata files...',
-                'finalizing' => 'Finalizing export...',
-                'resuming' => 'Resuming export process...'
-            );
-            
-            $message = isset($status_messages[$status]) ? $status_messages[$status] : 'Processing: ' . $status;
+            $message = $this->get_status_message($status);
             
             wp_send_json_success(array( 
                 'status' => $status,
                 'message' => $message,
                 'recent_log' => $recent_log,
-                'time_since_update' => $time_diff
+                'time_since_update' => $time_diff,
+                'progress' => $progress_report
             ));
         }
     }
 
+    /**
+     * Get the structured status of the current export.
+     *
+     * Unlike handle_check_status() this only reads: it never restarts or
+     * resumes the export, so automation can poll it freely.
+     *
+     * @return array Raw status, state (idle, running, paused, done, error or cancelled),
+     *               message, error, update time, stuck flag, run ID and progress report.
+     */
+    public function get_export_state() {
+        $status_file = $this->filesystem->get_status_file_path();
+        $status = file_exists($status_file) ? trim(file_get_contents($status_file)) : '';
+
+        if ($status === '') {
+            return array(
+                'status' => 'not_started',
+                'state' => 'idle',
+                'message' => 'No export has been started.',
+                'error' => null,
+                'updated_at' => null,
+                'seconds_since_update' => null,
+                'stuck' => false,
+                'run_id' => null,
+                'progress' => null,
+            );
+        }
+
+        $updated_at = filemtime($status_file);
+        $since_update = max(0, time() - $updated_at);
+        $progress_tracker = new Custom_Migrator_Progress($this->filesystem);
+        $processing_statuses = ['starting', 'initializing', 'exporting', 'exporting_database', 'generating_metadata', 'finalizing', 'encrypting', 'resuming'];
+        $error = null;
+        $stuck = false;
+
+        if ($status === 'done') {
+            $state = 'done';
+            $message = 'Export completed successfully.';
+        } elseif ($status === 'cancelled') {
+            $state = 'cancelled';
+            $message = 'Export was cancelled.';
+        } elseif (strpos($status, 'error:') === 0) {
+            $state = 'error';
+            $error = trim(substr($status, strlen('error:')));
+            $message = $error;
+        } elseif ($status === 'paused_by_user') {
+            $state = 'paused';
+            $message = 'Export is paused. Resume it to continue where it stopped.';
+        } elseif ($status === 'paused') {
+            // Batches pause on their own between requests, the export is still running
+            $state = 'running';
+            $message = $this->filesystem->is_pause_requested() ? $this->get_status_message('pausing') : 'Export is paused between batches and will resume automatically.';
+        } else {
+            $state = 'running';
+            $message = $this->get_status_message($this->filesystem->is_pause_requested() ? 'pausing' : $status);
+            // Same 10 minute threshold as the stuck warning of handle_check_status()
+            $stuck = in_array($status, $processing_statuses) && $since_update > 600;
+        }
+
+        return array(
+            'status' => $status,
+            'state' => $state,
+            'message' => $message,
+            'error' => $error,
+            'updated_at' => gmdate('c', $updated_at),
+            'seconds_since_update' => $since_update,
+            'stuck' => $stuck,
+            'run_id' => $this->export_history->get_current_run_id(),
+            'progress' => $progress_tracker->get_report($status),
+        );
+    }
+
+    /**
+     * Get a user-friendly message for an export status that is still processing.
+     *
+     * @param string $status Export status.
+     * @return string Message.
+     */
+    public function get_status_message($status) {
+        $status_messages = array(
+            'starting' => 'Starting export process...',
+            'initializing' => 'Initializing export environment...',
+            'exporting' => 'Exporting wp-content files...',
+            'exporting_database' => 'Exporting database...',
+            'generating_metadata' => 'Generating metadata files...',
+            'finalizing' => 'Finalizing export...',
+            'encrypting' => 'Encrypting export files...',
+            'resuming' => 'Resuming export process...',
+            'pausing' => 'Pausing after the current batch...'
+        );
+        
+        return isset($status_messages[$status]) ? $status_messages[$status] : 'Processing: ' . $status;
+    }
+
     /**
      * Make a non-blocking HTTP request with multiple attempts for reliability.
      *
@@ -1119,6 +2553,19 @@ class Custom_Migrator_Core {
             return;
         }
         
+        // A cancelled export is not continued, whatever was scheduled before the cancel
+        if ($this->filesystem->is_cancel_requested()) {
+            $this->discard_cancelled_export();
+            return;
+        }
+        
+        // A paused export waits for the Resume button, its resume info stays in place
+        if ($this->filesystem->is_pause_requested()) {
+            $this->filesystem->log('Run export: Export was paused, not continuing');
+            $this->filesystem->write_status('paused_by_user');
+            return;
+        }
+        
         // Detect execution environment
         $is_background = $this->is_background_execution();
         $this->filesystem->log('Export execution started (background: ' . ($is_background ? 'yes' : 'no') . ')');
@@ -1147,7 +2594,9 @@ class Custom_Migrator_Core {
             $exporter = new Custom_Migrator_Exporter();
             $result = $exporter->export();
             
-            if (!$result) {
+            if ($result === 'cancelled') {
+                $this->discard_cancelled_export();
+            } elseif (!$result) {
                 $this->filesystem->write_status('error: Export failed to complete successfully');
                 $this->filesystem->log('Export failed to complete successfully');
             }
@@ -1179,7 +2628,7 @@ class Custom_Migrator_Core {
         $status_file = $this->filesystem->get_status_file_path();
         if (file_exists($status_file)) {
             $status = trim(file_get_contents($status_file));
-            if (in_array($status, ['exporting', 'resuming'])) {
+            if (in_array($status, ['exporting', 'encrypting', 'resuming'])) {
                 // Touch the file to update modification time
                 touch($status_file);
             }
@@ -1401,7 +2850,7 @@ class Custom_Migrator_Core {
                 
             case 'init':
                 // Only skip init if we're past initialization
-                if (in_array($current_status, ['exporting', 'exporting_database', 'generating_metadata', 'finalizing', 'done'])) {
+                if (in_array($current_status, ['exporting', 'exporting_database', 'generating_metadata', 'finalizing', 'encrypting', 'done'])) {
                     $step_needed = false;
                     $this->filesystem->log('Already past initialization, skipping init fallback');
                 }
@@ -1500,6 +2949,70 @@ class Custom_Migrator_Core {
         ));
     }
 
+    /**
+     * Handle the AJAX request to cancel the export.
+     *
+     * @return void
+     */
+    public function handle_cancel_export() {
+        // Security check
+        if ( ! current_user_can( 'manage_options' ) || ! check_ajax_referer( 'custom_migrator_nonce', 'nonce', false ) ) {
+            wp_send_json_error( array( 'message' => 'Security check failed' ) );
+        }
+
+        if ( ! $this->cancel_export() ) {
+            wp_send_json_error( array( 'message' => 'No export is running' ) );
+        }
+
+        wp_send_json_success( array(
+            'status' => 'cancelled',
+            'message' => 'Export cancelled and its partial files removed',
+        ) );
+    }
+
+    /**
+     * Handle the AJAX request to pause the export.
+     *
+     * @return void
+     */
+    public function handle_pause_export() {
+        // Security check
+        if ( ! current_user_can( 'manage_options' ) || ! check_ajax_referer( 'custom_migrator_nonce', 'nonce', false ) ) {
+            wp_send_json_error( array( 'message' => 'Security check failed' ) );
+        }
+
+        if ( ! $this->pause_export() ) {
+            wp_send_json_error( array( 'message' => 'No running export can be paused' ) );
+        }
+
+        $status = $this->read_status();
+        wp_send_json_success( array(
+            'status' => $status,
+            'message' => $status === 'paused_by_user' ? 'Export paused' : $this->get_status_message( 'pausing' ),
+        ) );
+    }
+
+    /**
+     * Handle the AJAX request to resume a paused export.
+     *
+     * @return void
+     */
+    public function handle_resume_export() {
+        // Security check
+        if ( ! current_user_can( 'manage_options' ) || ! check_ajax_referer( 'custom_migrator_nonce', 'nonce', false ) ) {
+            wp_send_json_error( array( 'message' => 'Security check failed' ) );
+        }
+
+        if ( ! $this->resume_export() ) {
+            wp_send_json_error( array( 'message' => 'The export is not paused' ) );
+        }
+
+        wp_send_json_success( array(
+            'status' => 'resuming',
+            'message' => $this->get_status_message( 'resuming' ),
+        ) );
+    }
+
     /**
      * Resume export from where it left off via background processing.
      *
@@ -1578,7 +3091,7 @@ class Custom_Migrator_Core {
         $time_diff = $current_time - $modified_time;
         
         // Enhanced stuck detection for all processing statuses with conservative timeouts  
-        $processing_statuses = ['starting', 'initializing', 'exporting', 'exporting_database', 'generating_metadata', 'finalizing', 'resuming'];
+        $processing_statuses = ['starting', 'initializing', 'exporting', 'exporting_database', 'generating_metadata', 'finalizing', 'encrypting', 'resuming'];
         if (in_array($status, $processing_statuses)) {
             // More conservative timeouts to prevent premature restarts
             if ($time_diff > 180) { // 3 minutes warning (was 1 minute)
@@ -1599,8 +3112,9 @@ class Custom_Migrator_Core {
         }
         
         if ( $status === 'done' ) {
-            // Get file information
+            // Get file information, extra archive volumes included
             $file_paths = $this->filesystem->get_export_file_paths();
+            $file_paths = array_merge( $file_paths, Custom_Migrator_Volumes::find_volume_paths( $file_paths['hstgr'] ) );
             $file_info = array();
             
             foreach ( $file_paths as $type => $path ) {
@@ -1662,6 +3176,12 @@ class Custom_Migrator_Core {
                     'last_update' => isset($resume_info['last_update']) ? date('Y-m-d H:i:s', $resume_info['last_update']) : ''
                 )
             ));
+        } elseif ($status === 'cancelled') {
+            wp_send_json_success(array(
+                'status' => 'cancelled',
+                'message' => 'Export was cancelled',
+                'progress' => $progress_report
+            ));
         } elseif (strpos($status, 'error:') === 0) {
             // Return error status
             wp_clear_scheduled_hook('cm_monitor_export');
@@ -1681,17 +3201,7 @@ class Custom_Migrator_Core {
             }
             
             // Provide user-friendly status messages
-            $status_messages = array(
-                'starting' => 'Starting export process...',
-                'initializing' => 'Initializing export environment...',
-                'exporting' => 'Exporting wp-content files...',
-                'exporting_database' => 'Exporting database...',
-                'generating_metadata' => 'Generating metadata files...',
-                'finalizing' => 'Finalizing export...',
-                'resuming' => 'Resuming export process...'
-            );
-            
-            $message = isset($status_messages[$status]) ? $status_messages[$status] : 'Processing: ' . $status;
+            $message = $this->get_status_message($status);
             
             wp_send_json_success(array( 
                 'status' => $status,
@@ -10,10 +10,22 @@
 
 /**
  * Unified Database Exporter class.
+ *
+ * Rows are read in primary-key order, one page after the other, so rows
+ * written while a table is being read are neither skipped nor duplicated.
+ * When every exported table is InnoDB, each request reads from a REPEATABLE
+ * READ snapshot; a dump finished in one request is therefore a consistent
+ * point-in-time copy. Views, triggers, routines and events follow the table
+ * data with their DEFINER clauses stripped, and the rows written per table
+ * are checked against the source at the end. The outcome is kept in a report
+ * file for the metadata.
  */
 class Custom_Migrator_Database_Exporter {
 
-
+    /**
+     * Name of the report file in the export directory.
+     */
+    const REPORT_FILE = 'database-report.json';
 
     /**
      * The filesystem handler.
@@ -50,6 +62,48 @@ class Custom_Migrator_Database_Exporter {
      */
     private $temp_file_path;
 
+    /**
+     * The progress tracker.
+     *
+     * @var Custom_Migrator_Progress
+     */
+    private $progress;
+
+    /**
+     * Tables exported without their rows.
+     *
+     * @var array|null
+     */
+    private $data_excluded_tables = null;
+
+    /**
+     * Whether the current request reads from a consistent snapshot.
+     *
+     * @var bool
+     */
+    private $snapshot_active = false;
+
+    /**
+     * Report of the dump, kept across requests in the report file.
+     *
+     * @var array|null
+     */
+    private $report = null;
+
+    /**
+     * Rewrites URLs and paths in string values, null when search/replace is off.
+     *
+     * @var Custom_Migrator_Search_Replace|null
+     */
+    private $search_replace = null;
+
+    /**
+     * Replaces personal data in rows, null when anonymization is off.
+     *
+     * @var Custom_Migrator_Anonymizer|null
+     */
+    private $anonymizer = null;
+
     /**
      * Initialize the class.
      *
@@ -57,6 +111,17 @@ class Custom_Migrator_Database_Exporter {
      */
     public function __construct($config = array()) {
         $this->filesystem = new Custom_Migrator_Filesystem();
+        $this->progress = new Custom_Migrator_Progress($this->filesystem);
+        
+        $search_replace = new Custom_Migrator_Search_Replace($this->filesystem);
+        if ($search_replace->is_enabled()) {
+            $this->search_replace = $search_replace;
+        }
+        
+        $anonymizer = new Custom_Migrator_Anonymizer($this->filesystem);
+        if ($anonymizer->is_enabled()) {
+            $this->anonymizer = $anonymizer;
+        }
         
         // Default configuration with best practices
         $this->config = array_merge(array(
@@ -68,6 +133,7 @@ class Custom_Migrator_Database_Exporter {
             'resume' => true,          // Enable resume capability
             'charset' => 'utf8mb4',    // Database charset
             'chunk_tables' => 5,       // Max tables per chunk
+            'consistency' => 'auto',   // auto (snapshot when possible) or paging
         ), $config);
 
         $this->state = array(
@@ -112,12 +178,38 @@ class Custom_Migrator_Database_Exporter {
             // Setup output file
             $output_file = $this->setup_output_file($sql_file);
             
+            // A fresh dump starts a fresh report
+            $this->load_report($this->state['tables_processed'] === 0);
+            
             // Process tables in chunks
             $result = $this->process_tables_chunked($output_file);
             
+            // Replacement and anonymization counts add up across chunks for the metadata
+            if ($this->search_replace) {
+                $this->search_replace->save_report();
+            }
+            if ($this->anonymizer) {
+                $this->anonymizer->save_report($this->anonymizer->get_truncated_tables($this->get_all_tables()));
+            }
+            
             // Finalize export
             if ($result['completed']) {
+                // Still inside the snapshot, so the counts match what was read
+                $this->export_database_objects($output_file);
+                $this->verify_row_counts();
+                $this->end_snapshot();
+                $this->save_report();
+                
                 $this->finalize_export($output_file, $sql_file);
+            } elseif (!empty($result['cancelled'])) {
+                // A cancelled dump is never resumed
+                fclose($output_file);
+                if ($this->temp_file_path && file_exists($this->temp_file_path)) {
+                    @unlink($this->temp_file_path);
+                }
+            } else {
+                $this->end_snapshot();
+                $this->save_report();
             }
             
             return $result;
@@ -277,22 +369,44 @@ class Custom_Migrator_Database_Exporter {
             $tables = $this->get_all_tables();
         }
 
+        $this->progress->start_phase('database', array(
+            'items_total' => $this->state['total_tables'],
+        ));
+
         $chunk_start_time = microtime(true);
         $tables_processed_in_chunk = 0;
+        $cancelled = false;
+
+        $this->start_snapshot($tables);
 
         // Process tables starting from where we left off
         for ($i = $this->state['tables_processed']; $i < $this->state['total_tables']; $i++) {
+            // Tables are never cut in half, a cancel takes effect before the next one
+            if ($this->filesystem->is_cancel_requested()) {
+                $this->filesystem->log("Database export cancelled after {$this->state['tables_processed']} tables");
+                $cancelled = true;
+                break;
+            }
+
             $table = $tables[$i];
             $this->state['current_table'] = $table;
 
             // Export table structure and data
             $table_result = $this->export_table_complete($output_handle, $table);
+            $this->report['tables'][$table] = $table_result['rows'];
             
             $this->state['tables_processed']++;
             $this->state['rows_exported'] += $table_result['rows'];
             $this->state['bytes_written'] += $table_result['bytes'];
             $tables_processed_in_chunk++;
 
+            $this->progress->update_phase('database', array(
+                'items_done' => $this->state['tables_processed'],
+                'bytes_done' => $this->state['bytes_written'],
+                'rows_done' => $this->state['rows_exported'],
+                'current_item' => $table,
+            ), false);
+
             // Check timeout (leave buffer for cleanup)
             $elapsed = microtime(true) - $chunk_start_time;
             if ($elapsed > ($this->config['timeout'] - 2)) {
@@ -327,7 +441,20 @@ class Custom_Migrator_Database_Exporter {
             'state' => $this->state,
         );
 
+        if ($cancelled) {
+            $result['cancelled'] = true;
+            $result['message'] = 'Database export cancelled';
+            return $result;
+        }
+
+        $this->progress->update_phase('database', array(
+            'items_done' => $this->state['tables_processed'],
+            'bytes_done' => $this->state['bytes_written'],
+            'rows_done' => $this->state['rows_exported'],
+        ));
+
         if ($completed) {
+            $this->progress->complete_phase('database');
             $this->filesystem->log("Database export completed: {$this->state['total_tables']} tables, {$this->state['rows_exported']} rows in {$total_elapsed}s");
             $result['message'] = "Database export completed successfully";
         } else {
@@ -354,10 +481,14 @@ class Custom_Migrator_Database_Exporter {
         // Export table structure
         $bytes_written += $this->export_table_structure($output_handle, $table);
 
-        // Export table data with optimization
-        $data_result = $this->export_table_data_optimized($output_handle, $table);
-        $bytes_written += $data_result['bytes'];
-        $rows_exported += $data_result['rows'];
+        // Export table data with optimization, unless only the structure is wanted
+        if (in_array($table, $this->get_data_excluded_tables(), true)) {
+            $this->filesystem->log("Table `{$table}`: data excluded, structure only");
+        } else {
+            $data_result = $this->export_table_data_optimized($output_handle, $table);
+            $bytes_written += $data_result['bytes'];
+            $rows_exported += $data_result['rows'];
+        }
 
         $table_time = microtime(true) - $table_start_time;
         
@@ -508,6 +639,7 @@ class Custom_Migrator_Database_Exporter {
         $bytes_written = 0;
         $rows_exported = 0;
         $offset = 0;
+        $last_key = null;
 
         // Write data header
         $data_header = array(
@@ -524,14 +656,15 @@ class Custom_Migrator_Database_Exporter {
         // Process in batches with transaction grouping
         $transaction_counter = 0;
         
-        while ($offset < $total_rows) {
+        // Read until a page comes back short, rows added meanwhile are included
+        while (true) {
             // Start transaction
             if ($transaction_counter % $this->config['transaction_size'] === 0) {
                 $bytes_written += fwrite($output_handle, "START TRANSACTION;\n");
             }
 
             // Build optimized query
-            $query = $this->build_optimized_query($table, $primary_keys, $offset, $this->config['batch_size']);
+            $query = $this->build_optimized_query($table, $primary_keys, $offset, $this->config['batch_size'], $last_key);
             
             $result = $this->mysqli->query($query);
             if (!$result) {
@@ -540,7 +673,12 @@ class Custom_Migrator_Database_Exporter {
             }
 
             $batch_rows = 0;
+            $last_row = null;
             while ($row = $result->fetch_assoc()) {
+                $last_row = $row;
+                if ($this->anonymizer) {
+                    $row = $this->anonymizer->anonymize_row($table, $row, $columns);
+                }
                 $insert_sql = $this->build_insert_statement($table, $columns, $row);
                 $bytes_written += fwrite($output_handle, $insert_sql . "\n");
                 
@@ -557,10 +695,20 @@ class Custom_Migrator_Database_Exporter {
             $result->free();
             $offset += $this->config['batch_size'];
 
-            // Small pause between batches
-            if ($batch_rows > 0) {
-                usleep(1000); // 0.001 seconds
+            if ($batch_rows < $this->config['batch_size']) {
+                break;
             }
+
+            // The next page starts after the last key read
+            if (!empty($primary_keys)) {
+                $last_key = array();
+                foreach ($primary_keys as $key) {
+                    $last_key[$key] = $last_row[$key];
+                }
+            }
+
+            // Small pause between batches
+            usleep(1000); // 0.001 seconds
         }
 
         // Final commit if needed
@@ -612,22 +760,34 @@ class Custom_Migrator_Database_Exporter {
     /**
      * Build optimized SELECT query based on table characteristics.
      *
-     * @param string $table Table name.
-     * @param array  $primary_keys Primary key columns.
-     * @param int    $offset Row offset.
-     * @param int    $limit Row limit.
+     * Tables with a primary key are paged by key rather than by offset, which
+     * stays fast on large tables and is not shifted by concurrent writes.
+     *
+     * @param string     $table Table name.
+     * @param array      $primary_keys Primary key columns.
+     * @param int        $offset Row offset, used for tables without a primary key.
+     * @param int        $limit Row limit.
+     * @param array|null $last_key Primary key values of the last row read, null for the first page.
      * @return string Optimized SQL query.
      */
-    private function build_optimized_query($table, $primary_keys, $offset, $limit) {
+    private function build_optimized_query($table, $primary_keys, $offset, $limit, $last_key = null) {
         if (!empty($primary_keys)) {
-            // Use JOIN optimization for tables with primary keys (like regular export)
             $key_columns = implode(', ', array_map(function($key) { return "`{$key}`"; }, $primary_keys));
-            $using_columns = implode(', ', array_map(function($key) { return "`{$key}`"; }, $primary_keys));
-            
-            return sprintf(
-                'SELECT t1.* FROM `%s` AS t1 JOIN (SELECT %s FROM `%s` ORDER BY %s LIMIT %d, %d) AS t2 USING (%s)',
-                $table, $key_columns, $table, $key_columns, $offset, $limit, $using_columns
-            );
+
+            // (a > x) OR (a = x AND b > y) for a composite key (a, b)
+            $where = '';
+            if ($last_key !== null) {
+                $conditions = array();
+                $equal = array();
+                foreach ($primary_keys as $key) {
+                    $value = "'" . $this->mysqli->real_escape_string($last_key[$key]) . "'";
+                    $conditions[] = '(' . implode(' AND ', array_merge($equal, array("`{$key}` > {$value}"))) . ')';
+                    $equal[] = "`{$key}` = {$value}";
+                }
+                $where = ' WHERE ' . implode(' OR ', $conditions);
+            }
+
+            return sprintf('SELECT * FROM `%s`%s ORDER BY %s LIMIT %d', $table, $where, $key_columns, $limit);
         } else {
             // Fallback for tables without primary keys
             return "SELECT * FROM `{$table}` LIMIT {$offset}, {$limit}";
@@ -637,6 +797,9 @@ class Custom_Migrator_Database_Exporter {
     /**
      * Build optimized INSERT statement.
      *
+     * Text values are rewritten by search/replace when it is enabled; binary
+     * columns are written as they are.
+     *
      * @param string $table Table name.
      * @param array  $columns Column definitions.
      * @param array  $row Row data.
@@ -655,6 +818,9 @@ class Custom_Migrator_Database_Exporter {
             } elseif ($this->is_numeric_type($column_type)) {
                 $values[] = $value;
             } else {
+                if ($this->search_replace && strpos($column_type, 'blob') === false && strpos($column_type, 'binary') === false) {
+                    $value = $this->search_replace->replace($value, $table);
+                }
                 $values[] = "'" . $this->mysqli->real_escape_string($value) . "'";
             }
         }
@@ -692,14 +858,12 @@ class Custom_Migrator_Database_Exporter {
             return $this->state['all_tables'];
         }
         
-        $tables = array();
-        $result = $this->mysqli->query("SHOW TABLES");
-        
-        if ($result) {
-            while ($row = $result->fetch_array()) {
-                $tables[] = $row[0];
-            }
-            $result->free();
+        $tables = $this->list_tables();
+
+        // Leave out tables excluded by the active exclusion profile
+        $excluded_tables = apply_filters('custom_migrator_export_excluded_tables', array());
+        if (!empty($excluded_tables)) {
+            $tables = array_values(array_diff($tables, $excluded_tables));
         }
         
         // Cache tables to avoid repeated queries
@@ -713,6 +877,371 @@ class Custom_Migrator_Database_Exporter {
         return $tables;
     }
 
+    /**
+     * List every base table in the database.
+     *
+     * Views are written after the table data by export_database_objects().
+     *
+     * @return array Table names.
+     */
+    private function list_tables() {
+        $tables = array();
+        $result = $this->mysqli->query("SHOW FULL TABLES WHERE Table_type = 'BASE TABLE'");
+        
+        if ($result) {
+            while ($row = $result->fetch_array()) {
+                $tables[] = $row[0];
+            }
+            $result->free();
+        }
+
+        return $tables;
+    }
+
+    /**
+     * Get tables whose rows are left out of the dump.
+     *
+     * Tables truncated by the anonymization rules are included.
+     *
+     * @return array Table names.
+     */
+    private function get_data_excluded_tables() {
+        if ($this->data_excluded_tables === null) {
+            $this->data_excluded_tables = (array) apply_filters('custom_migrator_export_data_excluded_tables', array());
+            if ($this->anonymizer) {
+                $this->data_excluded_tables = array_values(array_unique(array_merge($this->data_excluded_tables, $this->anonymizer->get_truncated_tables($this->get_all_tables()))));
+            }
+        }
+
+        return $this->data_excluded_tables;
+    }
+
+    /**
+     * Start a consistent snapshot for the reads of this request.
+     *
+     * Only InnoDB honors the snapshot, so it is used when every exported table
+     * is InnoDB. A dump that needs more than one request gets a new snapshot
+     * per request and is reported as paged.
+     *
+     * @param array $tables Tables being exported.
+     * @return void
+     */
+    private function start_snapshot($tables) {
+        $mode = apply_filters('custom_migrator_database_consistency', $this->config['consistency']);
+        $reason = null;
+
+        if ($mode === 'paging') {
+            $reason = 'Snapshot disabled';
+        } else {
+            $other_engines = $this->get_non_innodb_tables($tables);
+            if (!empty($other_engines)) {
+                $reason = 'Not InnoDB: ' . implode(', ', array_slice($other_engines, 0, 10)) . (count($other_engines) > 10 ? ', ...' : '');
+            } elseif (!$this->mysqli->query('SET SESSION TRANSACTION ISOLATION LEVEL REPEATABLE READ') || !$this->mysqli->query('START TRANSACTION WITH CONSISTENT SNAPSHOT')) {
+                $reason = 'The server refused a consistent snapshot: ' . $this->mysqli->error;
+            } else {
+                $this->snapshot_active = true;
+            }
+        }
+
+        if ($this->state['tables_processed'] === 0) {
+            $this->report['consistency'] = $this->snapshot_active ? 'snapshot' : 'paging';
+            $this->report['consistency_note'] = $reason;
+        } elseif ($this->report['consistency'] === 'snapshot') {
+            $this->report['consistency'] = 'paging';
+            $this->report['consistency_note'] = 'The dump took several requests, each read from its own snapshot';
+        }
+        $this->report['requests']++;
+
+        $this->filesystem->log($this->snapshot_active ? 'Reading tables from a consistent snapshot' : 'Reading tables by primary-key paging without a snapshot (' . $reason . ')');
+    }
+
+    /**
+     * End the snapshot of this request.
+     *
+     * @return void
+     */
+    private function end_snapshot() {
+        if ($this->snapshot_active) {
+            $this->mysqli->query('COMMIT');
+            $this->snapshot_active = false;
+        }
+    }
+
+    /**
+     * Get the exported tables that do not use InnoDB.
+     *
+     * @param array $tables Tables being exported.
+     * @return array Table names.
+     */
+    private function get_non_innodb_tables($tables) {
+        $other_engines = array();
+        $result = $this->mysqli->query("SHOW TABLE STATUS");
+
+        if ($result) {
+            while ($row = $result->fetch_assoc()) {
+                if (in_array($row['Name'], $tables, true) && strtolower((string) $row['Engine']) !== 'innodb') {
+                    $other_engines[] = $row['Name'];
+                }
+            }
+            $result->free();
+        }
+
+        return $other_engines;
+    }
+
+    /**
+     * Write views, triggers, routines and events after the table data.
+     *
+     * Triggers come last so they do not fire while the rows are imported.
+     * DEFINER clauses are stripped, so the objects belong to the importing
+     * user instead of a user that may not exist on the destination server.
+     *
+     * @param resource $output_handle Output file handle.
+     * @return void
+     */
+    private function export_database_objects($output_handle) {
+        $objects = array();
+
+        // Views select from tables qualified with the source database name
+        $views = array();
+        foreach ($this->query_rows("SHOW FULL TABLES WHERE Table_type = 'VIEW'", 'view') as $row) {
+            $view = reset($row);
+            $definition = $this->get_create_statement('view', $view, "SHOW CREATE VIEW `{$view}`", 'Create View');
+            if ($definition !== null) {
+                $views[$view] = str_replace('`' . DB_NAME . '`.', '', $definition);
+            }
+        }
+        foreach ($this->sort_views($views) as $view => $definition) {
+            $objects[] = array('view', $view, "DROP VIEW IF EXISTS `{$view}`;", $definition . ';');
+        }
+
+        foreach (array('procedure' => 'PROCEDURE', 'function' => 'FUNCTION') as $type => $keyword) {
+            foreach ($this->query_rows("SHOW {$keyword} STATUS WHERE Db = DATABASE()", $type) as $row) {
+                $definition = $this->get_create_statement($type, $row['Name'], "SHOW CREATE {$keyword} `{$row['Name']}`", 'Create ' . ucfirst($type));
+                if ($definition !== null) {
+                    $objects[] = array($type, $row['Name'], "DROP {$keyword} IF EXISTS `{$row['Name']}`;", $definition);
+                }
+            }
+        }
+
+        foreach ($this->query_rows("SHOW EVENTS", 'event') as $row) {
+            $definition = $this->get_create_statement('event', $row['Name'], "SHOW CREATE EVENT `{$row['Name']}`", 'Create Event');
+            if ($definition !== null) {
+                $objects[] = array('event', $row['Name'], "DROP EVENT IF EXISTS `{$row['Name']}`;", $definition);
+            }
+        }
+
+        // Triggers of excluded tables would fail to import
+        $tables = $this->get_all_tables();
+        foreach ($this->query_rows("SHOW TRIGGERS", 'trigger') as $row) {
+            if (!in_array($row['Table'], $tables, true)) {
+                continue;
+            }
+            $definition = $this->get_create_statement('trigger', $row['Trigger'], "SHOW CREATE TRIGGER `{$row['Trigger']}`", 'SQL Original Statement');
+            if ($definition !== null) {
+                $objects[] = array('trigger', $row['Trigger'], "DROP TRIGGER IF EXISTS `{$row['Trigger']}`;", $definition);
+            }
+        }
+
+        $counts = array('views' => 0, 'routines' => 0, 'events' => 0, 'triggers' => 0);
+        foreach ($objects as $object) {
+            list($type, $name, $drop, $create) = $object;
+
+            $lines = array(
+                "",
+                "-- --------------------------------------------------------",
+                "-- Structure for {$type} `{$name}`",
+                "-- --------------------------------------------------------",
+                "",
+                $drop,
+            );
+
+            // Bodies of routines, events and triggers contain semicolons
+            if ($type === 'view') {
+                $lines[] = $create;
+            } else {
+                $lines[] = "DELIMITER ;;";
+                $lines[] = $create . ";;";
+                $lines[] = "DELIMITER ;";
+            }
+
+            foreach ($lines as $line) {
+                $this->state['bytes_written'] += fwrite($output_handle, $line . "\n");
+            }
+
+            $counts[$type === 'procedure' || $type === 'function' ? 'routines' : $type . 's']++;
+        }
+
+        $this->report['objects'] = $counts;
+        $this->filesystem->log("Database objects exported: {$counts['views']} views, {$counts['routines']} routines, {$counts['events']} events, {$counts['triggers']} triggers");
+    }
+
+    /**
+     * Run a listing query for database objects.
+     *
+     * @param string $query SHOW query.
+     * @param string $type  Object type, for the report if the query fails.
+     * @return array Rows, empty if the query failed.
+     */
+    private function query_rows($query, $type) {
+        $result = $this->mysqli->query($query);
+        if (!$result) {
+            // Listing events or routines needs privileges a shared host may not grant
+            $this->report['objects_skipped'][] = array('type' => $type, 'name' => '*', 'reason' => $this->mysqli->error);
+            $this->filesystem->log("Warning: Could not list {$type} definitions: " . $this->mysqli->error);
+            return array();
+        }
+
+        $rows = array();
+        while ($row = $result->fetch_assoc()) {
+            $rows[] = $row;
+        }
+        $result->free();
+
+        return $rows;
+    }
+
+    /**
+     * Get the CREATE statement of a database object without its DEFINER clause.
+     *
+     * @param string $type   Object type.
+     * @param string $name   Object name.
+     * @param string $query  SHOW CREATE query.
+     * @param string $column Column holding the statement.
+     * @return string|null CREATE statement, null if it cannot be read.
+     */
+    private function get_create_statement($type, $name, $query, $column) {
+        $result = $this->mysqli->query($query);
+        $row = $result ? $result->fetch_assoc() : null;
+        if ($result) {
+            $result->free();
+        }
+
+        // The statement column is NULL when the user may not see the body
+        if (!$row || empty($row[$column])) {
+            $reason = $result ? 'Definition not visible to the database user' : $this->mysqli->error;
+            $this->report['objects_skipped'][] = array('type' => $type, 'name' => $name, 'reason' => $reason);
+            $this->filesystem->log("Warning: Could not export {$type} `{$name}`: {$reason}");
+            return null;
+        }
+
+        return preg_replace('/\sDEFINER\s*=\s*(?:CURRENT_USER(?:\(\))?|(?:`[^`]*`|\'[^\']*\'|[^\s@]+)@(?:`[^`]*`|\'[^\']*\'|\S+))/i', '', $row[$column], 1);
+    }
+
+    /**
+     * Order views so that views used by other views are created first.
+     *
+     * @param array $views CREATE statements keyed by view name.
+     * @return array CREATE statements in creation order.
+     */
+    private function sort_views($views) {
+        $sorted = array();
+
+        while (!empty($views)) {
+            $added = false;
+            foreach ($views as $view => $definition) {
+                foreach (array_keys($views) as $other) {
+                    if ($other !== $view && strpos($definition, "`{$other}`") !== false) {
+                        continue 2;
+                    }
+                }
+                $sorted[$view] = $definition;
+                unset($views[$view]);
+                $added = true;
+            }
+
+            // A cycle cannot be resolved, keep the remaining order
+            if (!$added) {
+                $sorted += $views;
+                break;
+            }
+        }
+
+        return $sorted;
+    }
+
+    /**
+     * Compare the rows written per table with the rows in the source table.
+     *
+     * Inside a snapshot the counts must match exactly. Without one, a
+     * difference means rows were written while the table was being read.
+     *
+     * @return void
+     */
+    private function verify_row_counts() {
+        $checked = 0;
+        $mismatches = array();
+
+        foreach ($this->get_all_tables() as $table) {
+            if (!isset($this->report['tables'][$table]) || in_array($table, $this->get_data_excluded_tables(), true)) {
+                continue;
+            }
+
+            $result = $this->mysqli->query("SELECT COUNT(*) FROM `{$table}`");
+            if (!$result) {
+                continue;
+            }
+            $row = $result->fetch_array();
+            $result->free();
+            $checked++;
+
+            if ((int) $row[0] !== (int) $this->report['tables'][$table]) {
+                $mismatches[] = array(
+                    'table' => $table,
+                    'exported' => (int) $this->report['tables'][$table],
+                    'source' => (int) $row[0],
+                );
+                $this->filesystem->log("Warning: Table `{$table}` has {$row[0]} rows in the source but {$this->report['tables'][$table]} in the dump");
+            }
+        }
+
+        $this->report['row_counts'] = array(
+            'tables_checked' => $checked,
+            'mismatches' => $mismatches,
+        );
+        $this->filesystem->log("Row count check: {$checked} tables checked, " . count($mismatches) . " mismatches");
+    }
+
+    /**
+     * Get the path to the report file.
+     *
+     * @return string Report file path.
+     */
+    public function get_report_path() {
+        return $this->filesystem->get_export_dir() . '/' . self::REPORT_FILE;
+    }
+
+    /**
+     * Load the report of the dump.
+     *
+     * @param bool $reset Start an empty report instead of continuing the saved one.
+     * @return void
+     */
+    private function load_report($reset) {
+        $report_file = $this->get_report_path();
+        $report = !$reset && file_exists($report_file) ? json_decode(file_get_contents($report_file), true) : null;
+
+        $this->report = array_merge(array(
+            'consistency' => 'paging',
+            'consistency_note' => null,
+            'requests' => 0,
+            'tables' => array(),
+            'objects' => array('views' => 0, 'routines' => 0, 'events' => 0, 'triggers' => 0),
+            'objects_skipped' => array(),
+            'row_counts' => null,
+        ), is_array($report) ? $report : array());
+    }
+
+    /**
+     * Save the report of the dump atomically.
+     *
+     * @return void
+     */
+    private function save_report() {
+        $report_file = $this->get_report_path();
+        $this->filesystem->write_json_atomic($report_file, $this->report);
+    }
+
     /**
      * Finalize export with compression and cleanup.
      *
@@ -1049,6 +1578,79 @@ class Custom_Migrator_Database_Exporter {
         // This would be enhanced based on actual temp file management
     }
 
+    /**
+     * Get row counts and sizes of every table that would be exported.
+     *
+     * Tables whose data is excluded are reported with their data size left out.
+     *
+     * @param bool $include_excluded Report every table with its full size, ignoring exclusions.
+     * @return array Tables with name, rows, size (data + index bytes) and data_excluded.
+     * @throws Exception If the database connection fails.
+     */
+    public function get_table_report($include_excluded = false) {
+        $this->initialize_connection();
+
+        try {
+            $data_excluded = $include_excluded ? array() : $this->get_data_excluded_tables();
+
+            $tables = array();
+            foreach ($include_excluded ? $this->list_tables() : $this->get_all_tables() as $table) {
+                $tables[$table] = array(
+                    'name' => $table,
+                    'rows' => 0,
+                    'size' => 0,
+                    'data_excluded' => in_array($table, $data_excluded, true),
+                );
+            }
+
+            // Row counts from TABLE STATUS are estimates for InnoDB, good enough for planning
+            $result = $this->mysqli->query("SHOW TABLE STATUS");
+            if ($result) {
+                while ($row = $result->fetch_assoc()) {
+                    if (isset($tables[$row['Name']])) {
+                        if ($tables[$row['Name']]['data_excluded']) {
+                            continue;
+                        }
+                        $tables[$row['Name']]['rows'] = (int) $row['Rows'];
+                        $tables[$row['Name']]['size'] = (int) $row['Data_length'] + (int) $row['Index_length'];
+                    }
+                }
+                $result->free();
+            }
+        } finally {
+            $this->cleanup_connection();
+        }
+
+        return array_values($tables);
+    }
+
+    /**
+     * Get the consistency, database objects and row count check of the last finished dump.
+     *
+     * @return array|null Report for the metadata, null if no dump finished.
+     */
+    public function get_summary() {
+        $report_file = $this->get_report_path();
+        $report = file_exists($report_file) ? json_decode(file_get_contents($report_file), true) : null;
+
+        if (!is_array($report) || empty($report['row_counts'])) {
+            return null;
+        }
+
+        return array(
+            'consistency' => $report['consistency'],
+            'consistency_note' => $report['consistency_note'],
+            'requests' => $report['requests'],
+            'objects' => $report['objects'],
+            'objects_skipped' => $report['objects_skipped'],
+            'row_count_check' => array(
+                'tables_checked' => $report['row_counts']['tables_checked'],
+                'passed' => empty($report['row_counts']['mismatches']),
+                'mismatches' => $report['row_counts']['mismatches'],
+            ),
+        );
+    }
+
     /**
      * Get current export state for resume.
      *
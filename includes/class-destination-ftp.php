@@ -0,0 +1,216 @@
+<?php
+/**
+ * The class responsible for uploading to FTP and FTPS servers.
+ *
+ * @package CustomMigrator
+ */
+
+/**
+ * FTP destination class.
+ *
+ * Uses the PHP ftp extension, in plain FTP or FTPS with explicit TLS (AUTH
+ * TLS). Files are sent with non-blocking transfers so a slice can stop on
+ * time; an interrupted file is continued from the size of the remote copy
+ * with REST.
+ */
+class Custom_Migrator_Destination_Ftp extends Custom_Migrator_Destination {
+
+    /**
+     * Settings that hold credentials.
+     */
+    const SECRET_FIELDS = array('password');
+
+    /**
+     * Validate the settings.
+     *
+     * @param array $settings Raw settings, with saved secrets filled in.
+     * @return array Sanitized settings.
+     * @throws Exception If a setting is missing or invalid.
+     */
+    public static function sanitize_settings($settings) {
+        $sanitized = array(
+            'host' => self::check_host(self::read_text($settings, 'host')),
+            'port' => self::read_port($settings, 21),
+            'username' => self::read_text($settings, 'username'),
+            'password' => self::read_secret($settings, 'password'),
+            'encryption' => self::read_text($settings, 'encryption') === 'none' ? 'none' : 'explicit',
+            'passive' => !isset($settings['passive']) || !empty($settings['passive']),
+            'directory' => self::read_directory($settings),
+        );
+
+        if ($sanitized['username'] === '') {
+            throw new Exception('Please enter the FTP user name.');
+        }
+
+        return $sanitized;
+    }
+
+    /**
+     * Check that the destination accepts files by writing and removing a small test file.
+     *
+     * @return string Description of what was checked.
+     * @throws Exception If the connection, login or write fails.
+     */
+    public function test_connection() {
+        $connection = $this->connect();
+
+        try {
+            $this->ensure_directory($connection);
+            $probe_path = $this->get_remote_path(self::PROBE_FILE);
+
+            $probe = fopen('php://temp', 'w+b');
+            fwrite($probe, 'Custom Migrator connection test');
+            rewind($probe);
+            $written = @ftp_fput($connection, $probe_path, $probe, FTP_BINARY);
+            fclose($probe);
+
+            if (!$written) {
+                throw new Exception('Logged in, but cannot write to ' . ($this->settings['directory'] !== '' ? $this->settings['directory'] : 'the login directory') . '. Check the directory and its permissions' . ($this->settings['passive'] ? '.' : ', or use passive mode.'));
+            }
+            @ftp_delete($connection, $probe_path);
+
+            return 'Connected' . ($this->settings['encryption'] === 'explicit' ? ' over TLS' : '') . ' and wrote a test file to ' . ($this->settings['directory'] !== '' ? $this->settings['directory'] : 'the login directory') . '.';
+        } finally {
+            @ftp_close($connection);
+        }
+    }
+
+    /**
+     * Send as much of a file as fits before the deadline.
+     *
+     * @param string   $file_path  Local file path.
+     * @param array    $entry      File entry of the upload state, updated in place.
+     * @param float    $deadline   Time after which the transfer is left for the next slice.
+     * @param callable $checkpoint Saves the upload state.
+     * @return bool True if the file is fully uploaded, false if out of time.
+     * @throws Exception If the upload fails.
+     */
+    public function upload_file($file_path, &$entry, $deadline, $checkpoint) {
+        $connection = $this->connect();
+        $local = null;
+
+        try {
+            $this->ensure_directory($connection);
+            $remote_path = $this->get_remote_path($entry['file']);
+            $remote_size = @ftp_size($connection, $remote_path);
+            $offset = $this->get_resume_offset($remote_size >= 0 ? $remote_size : false, $entry);
+
+            $local = fopen($file_path, 'rb');
+            if (!$local || fseek($local, $offset) !== 0) {
+                throw new Exception('Cannot read ' . basename($file_path) . ' at offset ' . $offset);
+            }
+
+            if ($offset > 0) {
+                $this->filesystem->log(sprintf('Continuing FTP upload of %s at %s', $entry['file'], $this->filesystem->format_file_size($offset)));
+            }
+            $entry['bytes_sent'] = $offset;
+
+            $status = @ftp_nb_fput($connection, $remote_path, $local, FTP_BINARY, $offset);
+            while ($status === FTP_MOREDATA) {
+                $entry['bytes_sent'] = ftell($local);
+                call_user_func($checkpoint, false);
+
+                if (microtime(true) > $deadline) {
+                    // Closing the connection ends the transfer; the next slice continues from the remote size
+                    call_user_func($checkpoint, true);
+                    return false;
+                }
+
+                $status = ftp_nb_continue($connection);
+            }
+
+            if ($status !== FTP_FINISHED) {
+                throw new Exception(sprintf('The FTP server did not accept %s. Check the free space and permissions of %s.', $entry['file'], $remote_path));
+            }
+
+            // Servers without the SIZE command answer -1, which is not an error
+            $remote_size = @ftp_size($connection, $remote_path);
+            if ($remote_size >= 0 && (int) $remote_size !== (int) $entry['size']) {
+                throw new Exception(sprintf('The FTP copy of %s has %d bytes instead of %d.', $entry['file'], $remote_size, $entry['size']));
+            }
+
+            return true;
+        } finally {
+            if ($local) {
+                fclose($local);
+            }
+            @ftp_close($connection);
+        }
+    }
+
+    /**
+     * Describe where files go.
+     *
+     * @return string Location without credentials.
+     */
+    public function get_location() {
+        return sprintf('%s://%s@%s:%d%s', $this->settings['encryption'] === 'explicit' ? 'ftpes' : 'ftp', $this->settings['username'], $this->settings['host'], $this->settings['port'], $this->settings['directory'] !== '' ? $this->settings['directory'] : '/~');
+    }
+
+    /**
+     * Connect and log in.
+     *
+     * @return resource|FTP\Connection FTP connection.
+     * @throws Exception If the extension is missing or the connection or login fails.
+     */
+    private function connect() {
+        if (!function_exists('ftp_connect')) {
+            throw new Exception('FTP destinations need the PHP ftp extension, which is not installed on this server.');
+        }
+
+        if ($this->settings['encryption'] === 'explicit') {
+            if (!function_exists('ftp_ssl_connect')) {
+                throw new Exception('FTPS needs the PHP ftp extension built with OpenSSL support. Choose plain FTP only if the connection does not leave a trusted network.');
+            }
+            $connection = @ftp_ssl_connect($this->settings['host'], $this->settings['port'], 30);
+        } else {
+            $connection = @ftp_connect($this->settings['host'], $this->settings['port'], 30);
+        }
+
+        if (!$connection) {
+            throw new Exception(sprintf('Cannot connect to %s on port %d.', $this->settings['host'], $this->settings['port']));
+        }
+
+        if (!@ftp_login($connection, $this->settings['username'], $this->settings['password'])) {
+            @ftp_close($connection);
+            throw new Exception(sprintf('The FTP server refused the login of %s%s.', $this->settings['username'], $this->settings['encryption'] === 'explicit' ? ', or does not support TLS' : ''));
+        }
+
+        @ftp_pasv($connection, $this->settings['passive']);
+
+        return $connection;
+    }
+
+    /**
+     * Create the destination directory if it does not exist.
+     *
+     * @param resource|FTP\Connection $connection FTP connection.
+     * @return void
+     * @throws Exception If the directory cannot be created.
+     */
+    private function ensure_directory($connection) {
+        $directory = $this->settings['directory'];
+        if ($directory === '') {
+            return;
+        }
+
+        $home = @ftp_pwd($connection);
+        if (@ftp_chdir($connection, $directory)) {
+            @ftp_chdir($connection, $home);
+            return;
+        }
+
+        $path = '';
+        foreach (explode('/', trim($directory, '/')) as $segment) {
+            $path .= '/' . $segment;
+            if (!@ftp_chdir($connection, $path)) {
+                @ftp_mkdir($connection, $path);
+            }
+        }
+
+        if (!@ftp_chdir($connection, $directory)) {
+            throw new Exception('Cannot create the remote directory ' . $directory . '.');
+        }
+        @ftp_chdir($connection, $home);
+    }
+}
@@ -0,0 +1,463 @@
+<?php
+/**
+ * The class responsible for uploading to S3-compatible storage with access keys.
+ *
+ * @package CustomMigrator
+ */
+
+/**
+ * S3-compatible destination class.
+ *
+ * Signs requests with AWS Signature Version 4, so it works with Amazon S3 and
+ * compatible services such as MinIO, Wasabi and Cloudflare R2 without
+ * pre-signed URLs. Files larger than one part are sent as a multipart upload
+ * whose upload ID and part ETags are kept in the upload state, so an
+ * interrupted upload continues with the next missing part.
+ */
+class Custom_Migrator_Destination_S3 extends Custom_Migrator_Destination {
+
+    /**
+     * Settings that hold credentials.
+     */
+    const SECRET_FIELDS = array('secret_key');
+
+    /**
+     * Smallest part size, files up to this size are sent with one PUT.
+     */
+    const PART_SIZE = 16777216; // 16MB
+
+    /**
+     * Most parts S3 accepts in one multipart upload.
+     */
+    const MAX_PARTS = 10000;
+
+    /**
+     * Validate the settings.
+     *
+     * @param array $settings Raw settings, with saved secrets filled in.
+     * @return array Sanitized settings.
+     * @throws Exception If a setting is missing or invalid.
+     */
+    public static function sanitize_settings($settings) {
+        $endpoint = esc_url_raw(self::read_text($settings, 'endpoint'), array('http', 'https'));
+        $region = strtolower(self::read_text($settings, 'region'));
+        $sanitized = array(
+            'endpoint' => rtrim($endpoint, '/'),
+            'region' => $region !== '' ? $region : 'us-east-1',
+            'bucket' => self::read_text($settings, 'bucket'),
+            'access_key' => self::read_text($settings, 'access_key'),
+            'secret_key' => self::read_secret($settings, 'secret_key'),
+            'directory' => ltrim(self::read_directory($settings), '/'),
+            'path_style' => !isset($settings['path_style']) || !empty($settings['path_style']),
+        );
+
+        if ($sanitized['endpoint'] === '' || !parse_url($sanitized['endpoint'], PHP_URL_HOST) || (string) parse_url($sanitized['endpoint'], PHP_URL_PATH) !== '') {
+            throw new Exception('Please enter the S3 endpoint without a path, e.g. https://s3.eu-central-1.wasabisys.com or http://localhost:9000.');
+        }
+        if (!preg_match('/^[a-z0-9-]+$/', $sanitized['region'])) {
+            throw new Exception('The region may only contain letters, digits and dashes, e.g. us-east-1 or auto.');
+        }
+        if (!preg_match('/^[a-z0-9][a-z0-9.\-]{1,61}[a-z0-9]$/', $sanitized['bucket'])) {
+            throw new Exception('Please enter a valid bucket name: 3 to 63 lowercase letters, digits, dots and dashes.');
+        }
+        if ($sanitized['access_key'] === '' || $sanitized['secret_key'] === '') {
+            throw new Exception('Please enter the access key and the secret key.');
+        }
+
+        return $sanitized;
+    }
+
+    /**
+     * Check that the destination accepts files by writing and removing a small test object.
+     *
+     * @return string Description of what was checked.
+     * @throws Exception If the request is refused.
+     */
+    public function test_connection() {
+        $body = 'Custom Migrator connection test';
+        $key = $this->get_remote_path(self::PROBE_FILE);
+
+        $response = $this->send('PUT', $key, array(), array(CURLOPT_POSTFIELDS => $body), hash('sha256', $body), array('content-type' => 'text/plain'));
+        if ($response['code'] < 200 || $response['code'] >= 300) {
+            throw new Exception('Cannot write to the bucket: ' . $this->describe_error($response));
+        }
+        $this->send('DELETE', $key, array(), array(), hash('sha256', ''));
+
+        return 'Connected and wrote a test object to ' . $this->get_location() . '.';
+    }
+
+    /**
+     * Send as much of a file as fits before the deadline.
+     *
+     * @param string   $file_path  Local file path.
+     * @param array    $entry      File entry of the upload state, updated in place.
+     * @param float    $deadline   Time after which no new part is started.
+     * @param callable $checkpoint Saves the upload state.
+     * @return bool True if the file is fully uploaded, false if out of time.
+     * @throws Exception If the upload fails.
+     */
+    public function upload_file($file_path, &$entry, $deadline, $checkpoint) {
+        $key = $this->get_remote_path($entry['file']);
+        $part_size = max(self::PART_SIZE, (int) ceil($entry['size'] / self::MAX_PARTS / 1048576) * 1048576);
+
+        if ($entry['size'] <= $part_size) {
+            $entry['bytes_sent'] = 0;
+            $response = $this->put_range($key, array(), $file_path, 0, $entry['size'], function ($sent) use (&$entry, $checkpoint) {
+                $entry['bytes_sent'] = $sent;
+                call_user_func($checkpoint, false);
+            });
+            if ($response['code'] < 200 || $response['code'] >= 300) {
+                throw new Exception('The bucket did not accept ' . $entry['file'] . ': ' . $this->describe_error($response));
+            }
+            return true;
+        }
+
+        if (empty($entry['upload_id'])) {
+            $entry['upload_id'] = $this->create_multipart_upload($key);
+            $entry['part_size'] = $part_size;
+            $entry['parts_total'] = (int) ceil($entry['size'] / $part_size);
+            $entry['etags'] = array();
+            $entry['bytes_sent'] = 0;
+            call_user_func($checkpoint, true);
+        }
+
+        for ($part_number = 1; $part_number <= $entry['parts_total']; $part_number++) {
+            if (isset($entry['etags'][$part_number])) {
+                continue;
+            }
+
+            if (microtime(true) > $deadline) {
+                return false;
+            }
+
+            $offset = ($part_number - 1) * $entry['part_size'];
+            $length = min($entry['part_size'], $entry['size'] - $offset);
+            $base_bytes = $this->count_uploaded_bytes($entry);
+            $query = array('partNumber' => $part_number, 'uploadId' => $entry['upload_id']);
+
+            $etag = null;
+            $last_error = '';
+            for ($attempt = 1; $attempt <= Custom_Migrator_S3_Uploader::PART_MAX_ATTEMPTS; $attempt++) {
+                $response = $this->put_range($key, $query, $file_path, $offset, $length, function ($sent) use (&$entry, $checkpoint, $base_bytes) {
+                    $entry['bytes_sent'] = $base_bytes + $sent;
+                    call_user_func($checkpoint, false);
+                });
+                if ($response['code'] >= 200 && $response['code'] < 300 && $response['etag']) {
+                    $etag = $response['etag'];
+                    break;
+                }
+                if ($this->get_error_code($response) === 'NoSuchUpload') {
+                    // The bucket dropped the unfinished upload, start the file over in the next slice
+                    unset($entry['upload_id'], $entry['etags']);
+                    call_user_func($checkpoint, true);
+                    throw new Exception('The multipart upload of ' . $entry['file'] . ' expired on the bucket. Resume the upload to send the file again.');
+                }
+                $last_error = $this->describe_error($response);
+                $this->filesystem->log("Part $part_number of {$entry['file']} failed (attempt $attempt): $last_error");
+                sleep($attempt);
+            }
+
+            if ($etag === null) {
+                throw new Exception("Failed to upload part $part_number of {$entry['file']}: $last_error");
+            }
+
+            $entry['etags'][$part_number] = $etag;
+            $entry['bytes_sent'] = $this->count_uploaded_bytes($entry);
+            call_user_func($checkpoint, true);
+        }
+
+        $this->complete_multipart_upload($key, $entry['upload_id'], $entry['etags']);
+        $this->filesystem->log("Completed multipart upload of {$entry['file']} with {$entry['parts_total']} parts");
+
+        return true;
+    }
+
+    /**
+     * Describe where files go.
+     *
+     * @return string s3:// location of the key prefix.
+     */
+    public function get_location() {
+        return sprintf('s3://%s/%s (%s)', $this->settings['bucket'], $this->settings['directory'], $this->settings['endpoint']);
+    }
+
+    /**
+     * Start a multipart upload.
+     *
+     * @param string $key Object key.
+     * @return string Upload ID.
+     * @throws Exception If the bucket refuses.
+     */
+    private function create_multipart_upload($key) {
+        $response = $this->send('POST', $key, array('uploads' => ''), array(CURLOPT_POSTFIELDS => ''), hash('sha256', ''), array('content-type' => 'application/octet-stream'));
+
+        if ($response['code'] < 200 || $response['code'] >= 300 || !preg_match('#<UploadId>([^<]+)</UploadId>#', $response['body'], $matches)) {
+            throw new Exception('Cannot start the multipart upload of ' . basename($key) . ': ' . $this->describe_error($response));
+        }
+
+        return html_entity_decode($matches[1], ENT_XML1);
+    }
+
+    /**
+     * Complete a multipart upload with the collected part ETags.
+     *
+     * @param string $key       Object key.
+     * @param string $upload_id Upload ID.
+     * @param array  $etags     ETags keyed by part number.
+     * @return void
+     * @throws Exception If the bucket rejects the completion.
+     */
+    private function complete_multipart_upload($key, $upload_id, $etags) {
+        ksort($etags, SORT_NUMERIC);
+
+        $body = '<CompleteMultipartUpload>';
+        foreach ($etags as $part_number => $etag) {
+            $body .= '<Part><PartNumber>' . (int) $part_number . '</PartNumber><ETag>' . htmlspecialchars($etag, ENT_XML1) . '</ETag></Part>';
+        }
+        $body .= '</CompleteMultipartUpload>';
+
+        $response = $this->send('POST', $key, array('uploadId' => $upload_id), array(CURLOPT_POSTFIELDS => $body), hash('sha256', $body), array('content-type' => 'application/xml'));
+
+        // S3 may answer 200 and still report an error in the body
+        if ($response['code'] < 200 || $response['code'] >= 300 || strpos($response['body'], '<Error>') !== false) {
+            throw new Exception('Failed to complete the multipart upload of ' . basename($key) . ': ' . $this->describe_error($response));
+        }
+    }
+
+    /**
+     * PUT one byte range of a file as an object or a part.
+     *
+     * @param string   $key         Object key.
+     * @param array    $query       Query parameters (partNumber and uploadId for a part).
+     * @param string   $file_path   Local file path.
+     * @param int      $offset      Byte offset.
+     * @param int      $length      Length in bytes.
+     * @param callable $on_progress Called with the bytes sent so far.
+     * @return array Response with code, body, etag and error.
+     * @throws Exception If the file cannot be read.
+     */
+    private function put_range($key, $query, $file_path, $offset, $length, $on_progress) {
+        $handle = fopen($file_path, 'rb');
+        if (!$handle || fseek($handle, $offset) !== 0) {
+            throw new Exception('Cannot read ' . basename($file_path) . ' at offset ' . $offset);
+        }
+
+        $remaining = $length;
+
+        try {
+            return $this->send('PUT', $key, $query, array(
+                CURLOPT_UPLOAD => true,
+                CURLOPT_INFILE => $handle,
+                CURLOPT_INFILESIZE => $length,
+                // Only send this byte range, not the rest of the file
+                CURLOPT_READFUNCTION => function ($ch, $handle, $max_length) use (&$remaining) {
+                    if ($remaining <= 0) {
+                        return '';
+                    }
+                    $data = fread($handle, min($max_length, $remaining));
+                    $remaining -= strlen($data);
+                    return $data;
+                },
+                CURLOPT_NOPROGRESS => false,
+                CURLOPT_PROGRESSFUNCTION => function ($ch, $download_total, $downloaded, $upload_total, $uploaded) use ($on_progress) {
+                    call_user_func($on_progress, $uploaded);
+                    return 0;
+                },
+            ), 'UNSIGNED-PAYLOAD', array('content-length' => (string) $length, 'content-type' => 'application/octet-stream'));
+        } finally {
+            fclose($handle);
+        }
+    }
+
+    /**
+     * Send a request signed with Signature Version 4.
+     *
+     * @param string $method       HTTP method.
+     * @param string $key          Object key.
+     * @param array  $query        Query parameters.
+     * @param array  $curl_options Extra cURL options, e.g. the body.
+     * @param string $payload_hash SHA-256 of the body in hex, or UNSIGNED-PAYLOAD for streamed bodies.
+     * @param array  $headers      Extra headers to sign, with lowercase names.
+     * @return array Response with code, body, etag and error.
+     */
+    private function send($method, $key, $query, $curl_options, $payload_hash, $headers = array()) {
+        $target = $this->get_request_target($key, $query);
+        $headers = array_merge($headers, array(
+            'host' => $target['host'],
+            'x-amz-content-sha256' => $payload_hash,
+            'x-amz-date' => gmdate('Ymd\THis\Z'),
+        ));
+
+        $header_lines = array();
+        foreach ($headers as $name => $value) {
+            $header_lines[] = $name . ': ' . $value;
+        }
+        $signature = self::sign($method, $target['path'], $target['query'], $headers, $payload_hash, array(
+            'access_key' => $this->settings['access_key'],
+            'secret_key' => $this->settings['secret_key'],
+            'region' => $this->settings['region'],
+            'service' => 's3',
+        ));
+        $header_lines[] = 'Authorization: ' . $signature['authorization'];
+        // cURL adds "Expect: 100-continue" to large bodies, which not every S3-compatible service handles
+        $header_lines[] = 'Expect:';
+
+        $etag = null;
+        $ch = curl_init();
+        curl_setopt($ch, CURLOPT_URL, $target['url']);
+        curl_setopt($ch, CURLOPT_CUSTOMREQUEST, $method);
+        curl_setopt($ch, CURLOPT_RETURNTRANSFER, true);
+        curl_setopt($ch, CURLOPT_HTTPHEADER, $header_lines);
+        curl_setopt($ch, CURLOPT_SSL_VERIFYPEER, true);
+        curl_setopt($ch, CURLOPT_CONNECTTIMEOUT, 30);
+        curl_setopt($ch, CURLOPT_TIMEOUT, 900); // 15 minutes per part
+        curl_setopt($ch, CURLOPT_HEADERFUNCTION, function ($ch, $header) use (&$etag) {
+            if (stripos($header, 'ETag:') === 0) {
+                $etag = trim(substr($header, 5));
+            }
+            return strlen($header);
+        });
+        curl_setopt_array($ch, $curl_options);
+
+        $body = curl_exec($ch);
+        $response = array(
+            'code' => (int) curl_getinfo($ch, CURLINFO_HTTP_CODE),
+            'body' => is_string($body) ? $body : '',
+            'etag' => $etag,
+            'error' => curl_error($ch),
+        );
+        curl_close($ch);
+
+        return $response;
+    }
+
+    /**
+     * Get the host, path and query of a request for an object.
+     *
+     * Path-style requests put the bucket in the path, the others in the host
+     * name. Each key segment is URI-encoded and the query is sorted by name,
+     * as Signature Version 4 expects.
+     *
+     * @param string $key   Object key.
+     * @param array  $query Query parameters.
+     * @return array Target with url, host, path and query (canonical query string).
+     */
+    private function get_request_target($key, $query) {
+        $endpoint = parse_url($this->settings['endpoint']);
+        $host = $endpoint['host'] . (isset($endpoint['port']) ? ':' . $endpoint['port'] : '');
+        $path = '/' . implode('/', array_map('rawurlencode', explode('/', $key)));
+
+        if ($this->settings['path_style']) {
+            $path = '/' . $this->settings['bucket'] . $path;
+        } else {
+            $host = $this->settings['bucket'] . '.' . $host;
+        }
+
+        ksort($query);
+        $canonical_query = array();
+        foreach ($query as $name => $value) {
+            $canonical_query[] = rawurlencode($name) . '=' . rawurlencode($value);
+        }
+        $canonical_query = implode('&', $canonical_query);
+
+        return array(
+            'url' => $endpoint['scheme'] . '://' . $host . $path . ($canonical_query !== '' ? '?' . $canonical_query : ''),
+            'host' => $host,
+            'path' => $path,
+            'query' => $canonical_query,
+        );
+    }
+
+    /**
+     * Sign a request with Signature Version 4.
+     *
+     * @param string $method       HTTP method.
+     * @param string $path         URI-encoded path.
+     * @param string $query        Canonical query string.
+     * @param array  $headers      Headers to sign, with lowercase names, including host and x-amz-date.
+     * @param string $payload_hash SHA-256 of the body in hex, or UNSIGNED-PAYLOAD for streamed bodies.
+     * @param array  $credentials  access_key, secret_key, region and service.
+     * @return array Signature with canonical_request, string_to_sign and authorization (the header value).
+     */
+    private static function sign($method, $path, $query, $headers, $payload_hash, $credentials) {
+        ksort($headers);
+
+        $canonical_headers = '';
+        foreach ($headers as $name => $value) {
+            $canonical_headers .= $name . ':' . trim($value) . "\n";
+        }
+        $signed_headers = implode(';', array_keys($headers));
+
+        $amz_date = $headers['x-amz-date'];
+        $date = substr($amz_date, 0, 8);
+        $canonical_request = implode("\n", array($method, $path, $query, $canonical_headers, $signed_headers, $payload_hash));
+        $scope = $date . '/' . $credentials['region'] . '/' . $credentials['service'] . '/aws4_request';
+        $string_to_sign = "AWS4-HMAC-SHA256\n" . $amz_date . "\n" . $scope . "\n" . hash('sha256', $canonical_request);
+
+        $signing_key = hash_hmac('sha256', $date, 'AWS4' . $credentials['secret_key'], true);
+        foreach (array($credentials['region'], $credentials['service'], 'aws4_request') as $part) {
+            $signing_key = hash_hmac('sha256', $part, $signing_key, true);
+        }
+
+        return array(
+            'canonical_request' => $canonical_request,
+            'string_to_sign' => $string_to_sign,
+            'authorization' => sprintf(
+                'AWS4-HMAC-SHA256 Credential=%s/%s, SignedHeaders=%s, Signature=%s',
+                $credentials['access_key'],
+                $scope,
+                $signed_headers,
+                hash_hmac('sha256', $string_to_sign, $signing_key)
+            ),
+        );
+    }
+
+    /**
+     * Sum the bytes of all parts that already have an ETag.
+     *
+     * @param array $entry File entry of the upload state.
+     * @return int Bytes uploaded.
+     */
+    private function count_uploaded_bytes($entry) {
+        $bytes = 0;
+        foreach (array_keys($entry['etags']) as $part_number) {
+            $offset = ($part_number - 1) * $entry['part_size'];
+            $bytes += min($entry['part_size'], $entry['size'] - $offset);
+        }
+        return $bytes;
+    }
+
+    /**
+     * Read the S3 error code of a response.
+     *
+     * @param array $response Response from send().
+     * @return string Error code, empty if there is none.
+     */
+    private function get_error_code($response) {
+        return preg_match('#<Code>([^<]+)</Code>#', $response['body'], $matches) ? $matches[1] : '';
+    }
+
+    /**
+     * Turn a failed response into a message.
+     *
+     * @param array $response Response from send().
+     * @return string Message.
+     */
+    private function describe_error($response) {
+        if ($response['code'] === 0) {
+            return 'no response' . ($response['error'] !== '' ? ' (' . $response['error'] . ')' : '') . '.';
+        }
+
+        $code = $this->get_error_code($response);
+        $message = preg_match('#<Message>([^<]+)</Message>#', $response['body'], $matches) ? html_entity_decode($matches[1], ENT_XML1) : '';
+        $hints = array(
+            'SignatureDoesNotMatch' => ' Check the secret key and the region.',
+            'InvalidAccessKeyId' => ' Check the access key.',
+            'NoSuchBucket' => ' Check the bucket name, and the path-style setting.',
+            'AuthorizationHeaderMalformed' => ' Check the region.',
+            'AccessDenied' => ' The key needs permission to write objects in this bucket.',
+        );
+
+        return 'HTTP ' . $response['code'] . ($code !== '' ? ' ' . $code : '') . ($message !== '' ? ': ' . $message : '') . (isset($hints[$code]) ? $hints[$code] : '');
+    }
+}
@@ -0,0 +1,319 @@
+<?php
+/**
+ * The class responsible for uploading to SFTP servers.
+ *
+ * @package CustomMigrator
+ */
+
+/**
+ * SFTP destination class.
+ *
+ * Uses the PHP ssh2 extension. Logs in with a password or a key pair, and
+ * checks the host key against a saved fingerprint when one is set. An
+ * interrupted file is continued by appending to the remote copy.
+ */
+class Custom_Migrator_Destination_Sftp extends Custom_Migrator_Destination {
+
+    /**
+     * Settings that hold credentials.
+     */
+    const SECRET_FIELDS = array('password', 'private_key', 'key_passphrase');
+
+    /**
+     * Validate the settings.
+     *
+     * @param array $settings Raw settings, with saved secrets filled in.
+     * @return array Sanitized settings.
+     * @throws Exception If a setting is missing or invalid.
+     */
+    public static function sanitize_settings($settings) {
+        $auth = self::read_text($settings, 'auth') === 'key' ? 'key' : 'password';
+        $fingerprint = strtoupper(str_replace(array(':', ' '), '', self::read_text($settings, 'fingerprint')));
+        $sanitized = array(
+            'host' => self::check_host(self::read_text($settings, 'host')),
+            'port' => self::read_port($settings, 22),
+            'username' => self::read_text($settings, 'username'),
+            'auth' => $auth,
+            'password' => $auth === 'password' ? self::read_secret($settings, 'password') : '',
+            'public_key' => $auth === 'key' ? trim(self::read_secret($settings, 'public_key')) : '',
+            'private_key' => $auth === 'key' ? trim(self::read_secret($settings, 'private_key')) : '',
+            'key_passphrase' => $auth === 'key' ? self::read_secret($settings, 'key_passphrase') : '',
+            'fingerprint' => $fingerprint,
+            'directory' => self::read_directory($settings),
+        );
+
+        if ($sanitized['username'] === '') {
+            throw new Exception('Please enter the SFTP user name.');
+        }
+        if ($auth === 'password' && $sanitized['password'] === '') {
+            throw new Exception('Please enter the SFTP password.');
+        }
+        if ($auth === 'key' && ($sanitized['public_key'] === '' || strpos($sanitized['private_key'], 'PRIVATE KEY') === false)) {
+            throw new Exception('Please paste the public key and the private key (PEM or OpenSSH format) of the SFTP login.');
+        }
+        if ($fingerprint !== '' && !preg_match('/^([0-9A-F]{32}|[0-9A-F]{40})$/', $fingerprint)) {
+            throw new Exception('The host key fingerprint must be an MD5 or SHA-1 hash in hex, e.g. 1F:2E:...');
+        }
+
+        return $sanitized;
+    }
+
+    /**
+     * Check that the destination accepts files by writing and removing a small test file.
+     *
+     * @return string Description of what was checked.
+     * @throws Exception If the connection, login or write fails.
+     */
+    public function test_connection() {
+        list($session, $sftp) = $this->connect();
+
+        try {
+            $this->ensure_directory($sftp);
+            $probe_path = $this->resolve_path($sftp, self::PROBE_FILE);
+
+            if (@file_put_contents($this->get_url($sftp, $probe_path), 'Custom Migrator connection test') === false) {
+                throw new Exception('Logged in, but cannot write to ' . dirname($probe_path) . '. Check the directory and its permissions.');
+            }
+            @ssh2_sftp_unlink($sftp, $probe_path);
+
+            return 'Connected and wrote a test file to ' . dirname($probe_path) . '.';
+        } finally {
+            $this->disconnect($session);
+        }
+    }
+
+    /**
+     * Send as much of a file as fits before the deadline.
+     *
+     * @param string   $file_path  Local file path.
+     * @param array    $entry      File entry of the upload state, updated in place.
+     * @param float    $deadline   Time after which no new chunk is started.
+     * @param callable $checkpoint Saves the upload state.
+     * @return bool True if the file is fully uploaded, false if out of time.
+     * @throws Exception If the upload fails.
+     */
+    public function upload_file($file_path, &$entry, $deadline, $checkpoint) {
+        list($session, $sftp) = $this->connect();
+        $local = null;
+        $remote = null;
+
+        try {
+            $this->ensure_directory($sftp);
+            $remote_path = $this->resolve_path($sftp, $entry['file']);
+            $stat = @ssh2_sftp_stat($sftp, $remote_path);
+            $offset = $this->get_resume_offset($stat ? (int) $stat['size'] : false, $entry);
+
+            $local = fopen($file_path, 'rb');
+            if (!$local || fseek($local, $offset) !== 0) {
+                throw new Exception('Cannot read ' . basename($file_path) . ' at offset ' . $offset);
+            }
+
+            $remote = @fopen($this->get_url($sftp, $remote_path), $offset > 0 ? 'a' : 'w');
+            if (!$remote) {
+                throw new Exception('Cannot open ' . $remote_path . ' for writing on the SFTP server.');
+            }
+
+            if ($offset > 0) {
+                $this->filesystem->log(sprintf('Continuing SFTP upload of %s at %s', $entry['file'], $this->filesystem->format_file_size($offset)));
+            }
+            $entry['bytes_sent'] = $offset;
+
+            while (($data = fread($local, self::CHUNK_SIZE)) !== false && $data !== '') {
+                $this->write_all($remote, $data, $remote_path);
+                $entry['bytes_sent'] += strlen($data);
+                call_user_func($checkpoint, false);
+
+                if ($entry['bytes_sent'] < $entry['size'] && microtime(true) > $deadline) {
+                    call_user_func($checkpoint, true);
+                    return false;
+                }
+            }
+
+            fclose($remote);
+            $remote = null;
+
+            clearstatcache();
+            $stat = @ssh2_sftp_stat($sftp, $remote_path);
+            if (!$stat || (int) $stat['size'] !== (int) $entry['size']) {
+                throw new Exception(sprintf('The SFTP copy of %s has %s bytes instead of %d.', $entry['file'], $stat ? (int) $stat['size'] : 'no', $entry['size']));
+            }
+
+            return true;
+        } finally {
+            if ($local) {
+                fclose($local);
+            }
+            if ($remote) {
+                fclose($remote);
+            }
+            $this->disconnect($session);
+        }
+    }
+
+    /**
+     * Describe where files go.
+     *
+     * @return string Location without credentials.
+     */
+    public function get_location() {
+        return sprintf('sftp://%s@%s:%d%s', $this->settings['username'], $this->settings['host'], $this->settings['port'], $this->settings['directory'] !== '' ? $this->settings['directory'] : '/~');
+    }
+
+    /**
+     * Connect, check the host key and log in.
+     *
+     * @return array The SSH session and the SFTP subsystem.
+     * @throws Exception If the extension is missing or the connection or login fails.
+     */
+    private function connect() {
+        if (!function_exists('ssh2_connect')) {
+            throw new Exception('SFTP destinations need the PHP ssh2 extension, which is not installed on this server.');
+        }
+
+        $session = @ssh2_connect($this->settings['host'], $this->settings['port']);
+        if (!$session) {
+            throw new Exception(sprintf('Cannot connect to %s on port %d.', $this->settings['host'], $this->settings['port']));
+        }
+
+        if ($this->settings['fingerprint'] !== '') {
+            $hash = strlen($this->settings['fingerprint']) === 32 ? SSH2_FINGERPRINT_MD5 : SSH2_FINGERPRINT_SHA1;
+            $fingerprint = strtoupper(ssh2_fingerprint($session, $hash | SSH2_FINGERPRINT_HEX));
+            if (!hash_equals($this->settings['fingerprint'], $fingerprint)) {
+                $this->disconnect($session);
+                throw new Exception(sprintf('The host key of %s has fingerprint %s, not the saved %s. Check the server before you update the profile.', $this->settings['host'], $fingerprint, $this->settings['fingerprint']));
+            }
+        }
+
+        if ($this->settings['auth'] === 'key') {
+            $logged_in = $this->login_with_key($session);
+        } else {
+            $logged_in = @ssh2_auth_password($session, $this->settings['username'], $this->settings['password']);
+        }
+
+        if (!$logged_in) {
+            $this->disconnect($session);
+            throw new Exception(sprintf('The SFTP server refused the login of %s.', $this->settings['username']));
+        }
+
+        $sftp = @ssh2_sftp($session);
+        if (!$sftp) {
+            $this->disconnect($session);
+            throw new Exception('Logged in, but the server does not offer SFTP.');
+        }
+
+        return array($session, $sftp);
+    }
+
+    /**
+     * Log in with the saved key pair.
+     *
+     * ssh2 only reads keys from files, so they are written to temporary
+     * files readable by the owner only and removed right after the login.
+     *
+     * @param resource $session SSH session.
+     * @return bool Whether the login succeeded.
+     * @throws Exception If the temporary key files cannot be written.
+     */
+    private function login_with_key($session) {
+        $public_file = tempnam(get_temp_dir(), 'cm-pub');
+        $private_file = tempnam(get_temp_dir(), 'cm-key');
+
+        try {
+            if (!$public_file || !$private_file) {
+                throw new Exception('Cannot create the temporary key files for the SFTP login.');
+            }
+            @chmod($public_file, 0600);
+            @chmod($private_file, 0600);
+
+            if (file_put_contents($public_file, $this->settings['public_key'] . "\n") === false || file_put_contents($private_file, $this->settings['private_key'] . "\n") === false) {
+                throw new Exception('Cannot write the temporary key files for the SFTP login.');
+            }
+
+            return @ssh2_auth_pubkey_file($session, $this->settings['username'], $public_file, $private_file, $this->settings['key_passphrase']);
+        } finally {
+            if ($public_file) {
+                @unlink($public_file);
+            }
+            if ($private_file) {
+                @unlink($private_file);
+            }
+        }
+    }
+
+    /**
+     * Create the destination directory if it does not exist.
+     *
+     * @param resource $sftp SFTP subsystem.
+     * @return void
+     * @throws Exception If the directory cannot be created.
+     */
+    private function ensure_directory($sftp) {
+        $directory = $this->settings['directory'];
+        if ($directory === '' || @is_dir($this->get_url($sftp, $directory))) {
+            return;
+        }
+
+        if (!@ssh2_sftp_mkdir($sftp, $directory, 0755, true)) {
+            throw new Exception('Cannot create the remote directory ' . $directory . '.');
+        }
+    }
+
+    /**
+     * Turn a path relative to the login directory into an absolute one.
+     *
+     * @param resource $sftp      SFTP subsystem.
+     * @param string   $file_name File name.
+     * @return string Absolute remote path.
+     */
+    private function resolve_path($sftp, $file_name) {
+        $path = $this->get_remote_path($file_name);
+        if ($path[0] === '/') {
+            return $path;
+        }
+
+        $home = @ssh2_sftp_realpath($sftp, '.');
+        return rtrim($home ? $home : '', '/') . '/' . $path;
+    }
+
+    /**
+     * Build the stream URL of a remote path.
+     *
+     * @param resource $sftp SFTP subsystem.
+     * @param string   $path Absolute remote path.
+     * @return string ssh2.sftp:// URL.
+     */
+    private function get_url($sftp, $path) {
+        return 'ssh2.sftp://' . intval($sftp) . $path;
+    }
+
+    /**
+     * Write a whole buffer to a remote file.
+     *
+     * @param resource $handle Remote file handle.
+     * @param string   $data   Data to write.
+     * @param string   $path   Remote path, for the error message.
+     * @return void
+     * @throws Exception If the server stops accepting data.
+     */
+    private function write_all($handle, $data, $path) {
+        while ($data !== '') {
+            $written = fwrite($handle, $data);
+            if ($written === false || $written === 0) {
+                throw new Exception('Writing to ' . $path . ' on the SFTP server failed. The disk may be full.');
+            }
+            $data = substr($data, $written);
+        }
+    }
+
+    /**
+     * Close the SSH session.
+     *
+     * @param resource $session SSH session.
+     * @return void
+     */
+    private function disconnect($session) {
+        if (function_exists('ssh2_disconnect')) {
+            @ssh2_disconnect($session);
+        }
+    }
+}
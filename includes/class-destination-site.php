@@ -0,0 +1,310 @@
+<?php
+/**
+ * The class responsible for pushing export files to another WordPress site.
+ *
+ * @package CustomMigrator
+ */
+
+/**
+ * Site destination class.
+ *
+ * Pushes the export files straight to another site running this plugin,
+ * through the receiving routes of Custom_Migrator_Push_Receiver, so no
+ * intermediate storage is needed. Requests are signed with the pairing key
+ * generated on the receiving site. Files go in chunks that each carry their
+ * checksum; an interrupted file continues from the size the receiving site
+ * reports, which checks every finished file against its SHA-256 checksum.
+ * Once every file is sent, a completion request confirms the push as a whole.
+ */
+class Custom_Migrator_Destination_Site extends Custom_Migrator_Destination {
+
+    /**
+     * Settings that hold credentials.
+     */
+    const SECRET_FIELDS = array('pairing_key');
+
+    /**
+     * Validate the settings.
+     *
+     * @param array $settings Raw settings, with saved secrets filled in.
+     * @return array Sanitized settings.
+     * @throws Exception If a setting is missing or invalid.
+     */
+    public static function sanitize_settings($settings) {
+        $site_url = esc_url_raw(self::read_text($settings, 'site_url'), array('http', 'https'));
+        if ($site_url === '' || !parse_url($site_url, PHP_URL_HOST)) {
+            throw new Exception('Please enter the URL of the receiving site, e.g. https://new.example.com.');
+        }
+
+        $pairing_key = trim(self::read_secret($settings, 'pairing_key'));
+        if ($pairing_key === '') {
+            throw new Exception('Please paste the pairing key shown under Receive Pushes on the receiving site.');
+        }
+
+        return array(
+            'site_url' => untrailingslashit($site_url),
+            'pairing_key' => $pairing_key,
+        );
+    }
+
+    /**
+     * Check that the receiving site accepts the pairing key.
+     *
+     * @return string Description of what was checked.
+     * @throws Exception If the site cannot be reached or refuses the key.
+     */
+    public function test_connection() {
+        $response = $this->request('ping', array(), json_encode(array('source' => home_url())));
+        if ($response['code'] !== 200) {
+            throw new Exception($this->describe_error($response));
+        }
+
+        $data = $response['data'];
+        $message = sprintf('Paired with %s (%s)', isset($data['name']) && $data['name'] !== '' ? $data['name'] : $this->settings['site_url'], isset($data['site']) ? $data['site'] : $this->settings['site_url']);
+        if (isset($data['free_space'])) {
+            $message .= ', ' . $this->filesystem->format_file_size($data['free_space']) . ' free';
+        }
+
+        return $message . '.';
+    }
+
+    /**
+     * Send as much of a file as fits before the deadline.
+     *
+     * @param string   $file_path  Local file path.
+     * @param array    $entry      File entry of the upload state, updated in place.
+     * @param float    $deadline   Time after which no new chunk is started.
+     * @param callable $checkpoint Saves the upload state.
+     * @return bool True if the file is fully uploaded and verified, false if out of time.
+     * @throws Exception If the receiving site refuses the file or a chunk keeps failing.
+     */
+    public function upload_file($file_path, &$entry, $deadline, $checkpoint) {
+        if (empty($entry['checksum'])) {
+            // Only files without a checksum in the manifest or metadata are hashed here
+            @set_time_limit(0);
+            $entry['checksum'] = hash_file(Custom_Migrator_Manifest::ARCHIVE_HASH, $file_path);
+            call_user_func($checkpoint, true);
+        }
+
+        $response = $this->request('file', array(), json_encode($this->describe_file($entry)));
+        if ($response['code'] !== 200) {
+            throw new Exception('The receiving site did not accept ' . $entry['file'] . ': ' . $this->describe_error($response));
+        }
+
+        $received = (int) $response['data']['received'];
+        if (!empty($response['data']['verified'])) {
+            return true;
+        }
+        if (empty($entry['chunk_size'])) {
+            $entry['chunk_size'] = max(Custom_Migrator_Push_Receiver::MIN_CHUNK_SIZE, min(Custom_Migrator_Push_Receiver::MAX_CHUNK_SIZE, (int) $response['data']['chunk_size']));
+        }
+
+        $local = fopen($file_path, 'rb');
+        if (!$local) {
+            throw new Exception('Cannot read ' . basename($file_path));
+        }
+
+        if ($received > 0) {
+            $this->filesystem->log(sprintf('Continuing push of %s at %s', $entry['file'], $this->filesystem->format_file_size($received)));
+        }
+        $entry['bytes_sent'] = $received;
+
+        try {
+            // An empty file still needs one chunk to be checked
+            while ($received < $entry['size'] || ($entry['size'] === 0 && empty($verified))) {
+                if (microtime(true) > $deadline) {
+                    call_user_func($checkpoint, true);
+                    return false;
+                }
+
+                if (fseek($local, $received) !== 0) {
+                    throw new Exception('Cannot read ' . basename($file_path) . ' at offset ' . $received);
+                }
+                $data = (string) fread($local, (int) min($entry['chunk_size'], $entry['size'] - $received));
+
+                $result = $this->send_chunk($entry, $received, $data);
+                $received = (int) $result['received'];
+                $verified = !empty($result['verified']);
+
+                $entry['bytes_sent'] = $received;
+                call_user_func($checkpoint, false);
+            }
+        } finally {
+            fclose($local);
+        }
+
+        if (empty($verified)) {
+            throw new Exception('The receiving site did not confirm the checksum of ' . $entry['file'] . '.');
+        }
+
+        return true;
+    }
+
+    /**
+     * Confirm the push once every file is sent.
+     *
+     * @param array $entries File entries of the upload state keyed by file type.
+     * @return bool Always true once the receiving site confirmed every file.
+     * @throws Exception If the receiving site is missing a file.
+     */
+    public function finish_upload($entries) {
+        $files = array();
+        foreach ($entries as $entry) {
+            $files[] = $this->describe_file($entry);
+        }
+
+        $response = $this->request('complete', array(), json_encode(array(
+            'files' => $files,
+            'source' => home_url(),
+        )));
+        if ($response['code'] !== 200 || empty($response['data']['completed'])) {
+            throw new Exception('The receiving site did not confirm the push: ' . $this->describe_error($response));
+        }
+
+        $this->filesystem->log(sprintf('Push to %s confirmed: %d files', $this->settings['site_url'], count($files)));
+        return true;
+    }
+
+    /**
+     * Describe where files go.
+     *
+     * @return string Receiving site URL.
+     */
+    public function get_location() {
+        return $this->settings['site_url'];
+    }
+
+    /**
+     * Send one chunk, retrying failures and halving chunks the receiving server finds too large.
+     *
+     * @param array  $entry  File entry of the upload state, its chunk_size may be lowered.
+     * @param int    $offset Byte offset of the chunk.
+     * @param string $data   Chunk data.
+     * @return array Received bytes and whether the file is verified.
+     * @throws Exception If the chunk keeps failing or the receiving site rejects the file.
+     */
+    private function send_chunk(&$entry, $offset, $data) {
+        $last_error = '';
+
+        for ($attempt = 1; $attempt <= Custom_Migrator_S3_Uploader::PART_MAX_ATTEMPTS; $attempt++) {
+            $response = $this->request('chunk', array('file' => $entry['file'], 'offset' => (string) $offset), $data, 'application/octet-stream');
+
+            if ($response['code'] === 200) {
+                return $response['data'];
+            }
+
+            if ($response['code'] === 413 && strlen($data) > Custom_Migrator_Push_Receiver::MIN_CHUNK_SIZE) {
+                // The web server in front of the receiving site caps the request size
+                $entry['chunk_size'] = max(Custom_Migrator_Push_Receiver::MIN_CHUNK_SIZE, (int) floor(strlen($data) / 2));
+                $this->filesystem->log('Receiving site refused a chunk as too large, sending ' . $this->filesystem->format_file_size($entry['chunk_size']) . ' chunks');
+                return array('received' => $offset, 'verified' => false);
+            }
+
+            $code = isset($response['data']['code']) ? $response['data']['code'] : '';
+            if ($code === 'offset_mismatch' && isset($response['data']['data']['received'])) {
+                return array('received' => (int) $response['data']['data']['received'], 'verified' => false);
+            }
+            if ($code === 'checksum_mismatch') {
+                $entry['bytes_sent'] = 0;
+                throw new Exception($this->describe_error($response) . ' Resume the upload to send it again.');
+            }
+            if ($response['code'] >= 400 && $response['code'] < 500 && $response['code'] !== 408 && $response['code'] !== 429) {
+                throw new Exception('The receiving site did not accept ' . $entry['file'] . ': ' . $this->describe_error($response));
+            }
+
+            $last_error = $this->describe_error($response);
+            $this->filesystem->log("Chunk of {$entry['file']} at $offset failed (attempt $attempt): $last_error");
+            sleep($attempt);
+        }
+
+        throw new Exception("Failed to push {$entry['file']} at offset $offset: $last_error");
+    }
+
+    /**
+     * Describe a file for the receiving site.
+     *
+     * @param array $entry File entry of the upload state.
+     * @return array Name, size, checksum and source site.
+     */
+    private function describe_file($entry) {
+        return array(
+            'file' => $entry['file'],
+            'size' => (int) $entry['size'],
+            'checksum' => $entry['checksum'],
+            'source' => home_url(),
+        );
+    }
+
+    /**
+     * Send a signed request to a receiving route.
+     *
+     * The rest_route query parameter works whether or not the receiving site
+     * uses pretty permalinks.
+     *
+     * @param string $endpoint     Route below /receive/.
+     * @param array  $query        Query parameters.
+     * @param string $body         Request body.
+     * @param string $content_type Body content type.
+     * @return array Response with code, decoded data and error.
+     */
+    private function request($endpoint, $query, $body, $content_type = 'application/json') {
+        $route = '/' . Custom_Migrator_Rest_Controller::REST_NAMESPACE . '/receive/' . $endpoint;
+        $timestamp = (string) time();
+        $nonce = bin2hex(random_bytes(16));
+        $content_hash = hash('sha256', $body);
+        $url = $this->settings['site_url'] . '/?' . http_build_query(array_merge(array('rest_route' => $route), $query));
+
+        $ch = curl_init();
+        curl_setopt($ch, CURLOPT_URL, $url);
+        curl_setopt($ch, CURLOPT_POST, true);
+        curl_setopt($ch, CURLOPT_POSTFIELDS, $body);
+        curl_setopt($ch, CURLOPT_RETURNTRANSFER, true);
+        curl_setopt($ch, CURLOPT_SSL_VERIFYPEER, true);
+        curl_setopt($ch, CURLOPT_CONNECTTIMEOUT, 30);
+        curl_setopt($ch, CURLOPT_TIMEOUT, 300); // The last chunk waits for the checksum of the whole file
+        curl_setopt($ch, CURLOPT_HTTPHEADER, array(
+            'Content-Type: ' . $content_type,
+            'Expect:',
+            Custom_Migrator_Push_Receiver::TIMESTAMP_HEADER . ': ' . $timestamp,
+            Custom_Migrator_Push_Receiver::NONCE_HEADER . ': ' . $nonce,
+            Custom_Migrator_Push_Receiver::CONTENT_HASH_HEADER . ': ' . $content_hash,
+            Custom_Migrator_Push_Receiver::SIGNATURE_HEADER . ': ' . Custom_Migrator_Push_Receiver::sign($this->settings['pairing_key'], $route, $timestamp, $nonce, $query, $content_hash),
+        ));
+
+        $response_body = curl_exec($ch);
+        $response = array(
+            'code' => (int) curl_getinfo($ch, CURLINFO_HTTP_CODE),
+            'data' => is_string($response_body) ? json_decode($response_body, true) : null,
+            'error' => curl_error($ch),
+        );
+        curl_close($ch);
+
+        if (!is_array($response['data'])) {
+            $response['data'] = array();
+        }
+
+        return $response;
+    }
+
+    /**
+     * Turn a failed response into a message.
+     *
+     * @param array $response Response from request().
+     * @return string Message.
+     */
+    private function describe_error($response) {
+        if ($response['code'] === 0) {
+            return 'no response from ' . $this->settings['site_url'] . ($response['error'] !== '' ? ' (' . $response['error'] . ')' : '') . '.';
+        }
+
+        $code = isset($response['data']['code']) ? $response['data']['code'] : '';
+        if ($code === 'rest_no_route') {
+            return 'the migrator plugin is not active on ' . $this->settings['site_url'] . ' or is too old to receive pushes.';
+        }
+        if (isset($response['data']['message'])) {
+            return $response['data']['message'];
+        }
+
+        return 'HTTP ' . $response['code'] . '.';
+    }
+}
@@ -0,0 +1,207 @@
+<?php
+/**
+ * The class responsible for uploading to WebDAV servers.
+ *
+ * @package CustomMigrator
+ */
+
+/**
+ * WebDAV destination class.
+ *
+ * Sends each file with one streamed PUT to a folder URL, e.g. a Nextcloud
+ * files URL, with basic authentication. WebDAV has no standard way to
+ * append to a file, so a file that was cut off is sent again from the start.
+ */
+class Custom_Migrator_Destination_Webdav extends Custom_Migrator_Destination {
+
+    /**
+     * Settings that hold credentials.
+     */
+    const SECRET_FIELDS = array('password');
+
+    /**
+     * Validate the settings.
+     *
+     * @param array $settings Raw settings, with saved secrets filled in.
+     * @return array Sanitized settings.
+     * @throws Exception If a setting is missing or invalid.
+     */
+    public static function sanitize_settings($settings) {
+        $url = esc_url_raw(self::read_text($settings, 'url'), array('http', 'https'));
+        if ($url === '' || !parse_url($url, PHP_URL_HOST)) {
+            throw new Exception('Please enter the WebDAV folder URL, e.g. https://cloud.example.com/remote.php/dav/files/user/backups.');
+        }
+
+        return array(
+            'url' => rtrim($url, '/'),
+            'username' => self::read_text($settings, 'username'),
+            'password' => self::read_secret($settings, 'password'),
+        );
+    }
+
+    /**
+     * Check that the destination accepts files by writing and removing a small test file.
+     *
+     * @return string Description of what was checked.
+     * @throws Exception If the connection, login or write fails.
+     */
+    public function test_connection() {
+        $this->ensure_collection();
+
+        $probe_url = $this->get_file_url(self::PROBE_FILE);
+        $response = $this->send('PUT', $probe_url, array(CURLOPT_POSTFIELDS => 'Custom Migrator connection test'));
+        if ($response['code'] < 200 || $response['code'] >= 300) {
+            throw new Exception('Cannot write to the WebDAV folder: ' . $this->describe_error($response));
+        }
+        $this->send('DELETE', $probe_url);
+
+        return 'Connected and wrote a test file to ' . $this->get_location() . '.';
+    }
+
+    /**
+     * Send a file with one PUT.
+     *
+     * @param string   $file_path  Local file path.
+     * @param array    $entry      File entry of the upload state, updated in place.
+     * @param float    $deadline   Unused, a PUT cannot be split over slices.
+     * @param callable $checkpoint Saves the upload state.
+     * @return bool Always true once the file is uploaded.
+     * @throws Exception If the upload fails.
+     */
+    public function upload_file($file_path, &$entry, $deadline, $checkpoint) {
+        $this->ensure_collection();
+
+        $local = fopen($file_path, 'rb');
+        if (!$local) {
+            throw new Exception('Cannot read ' . basename($file_path));
+        }
+
+        $entry['bytes_sent'] = 0;
+
+        try {
+            $response = $this->send('PUT', $this->get_file_url($entry['file']), array(
+                CURLOPT_UPLOAD => true,
+                CURLOPT_INFILE => $local,
+                CURLOPT_INFILESIZE => $entry['size'],
+                CURLOPT_HTTPHEADER => array('Content-Type: application/octet-stream'),
+                CURLOPT_NOPROGRESS => false,
+                CURLOPT_PROGRESSFUNCTION => function ($ch, $download_total, $downloaded, $upload_total, $uploaded) use (&$entry, $checkpoint) {
+                    $entry['bytes_sent'] = $uploaded;
+                    call_user_func($checkpoint, false);
+                    return 0;
+                },
+            ));
+        } finally {
+            fclose($local);
+        }
+
+        if ($response['code'] < 200 || $response['code'] >= 300) {
+            throw new Exception('The WebDAV server did not accept ' . $entry['file'] . ': ' . $this->describe_error($response));
+        }
+
+        return true;
+    }
+
+    /**
+     * Describe where files go.
+     *
+     * @return string Folder URL.
+     */
+    public function get_location() {
+        return $this->settings['url'];
+    }
+
+    /**
+     * Create the folder if it does not exist yet.
+     *
+     * Only the last folder of the URL is created; its parent has to exist.
+     *
+     * @return void
+     * @throws Exception If the folder cannot be reached or created.
+     */
+    private function ensure_collection() {
+        $response = $this->send('PROPFIND', $this->settings['url'] . '/', array(
+            CURLOPT_HTTPHEADER => array('Depth: 0', 'Content-Type: application/xml'),
+            CURLOPT_POSTFIELDS => '<?xml version="1.0"?><d:propfind xmlns:d="DAV:"><d:prop><d:resourcetype/></d:prop></d:propfind>',
+        ));
+
+        if ($response['code'] === 207) {
+            return;
+        }
+
+        if ($response['code'] === 404) {
+            $created = $this->send('MKCOL', $this->settings['url'] . '/');
+            if ($created['code'] === 201) {
+                $this->filesystem->log('Created WebDAV folder ' . $this->settings['url']);
+                return;
+            }
+            throw new Exception('The WebDAV folder does not exist and cannot be created: ' . $this->describe_error($created));
+        }
+
+        throw new Exception('Cannot open the WebDAV folder: ' . $this->describe_error($response));
+    }
+
+    /**
+     * Get the URL of a file in the folder.
+     *
+     * @param string $file_name File name.
+     * @return string File URL.
+     */
+    private function get_file_url($file_name) {
+        return $this->settings['url'] . '/' . rawurlencode($file_name);
+    }
+
+    /**
+     * Send a WebDAV request.
+     *
+     * @param string $method       HTTP method.
+     * @param string $url          Request URL.
+     * @param array  $curl_options Extra cURL options.
+     * @return array Response with code, body and error.
+     */
+    private function send($method, $url, $curl_options = array()) {
+        $ch = curl_init();
+        curl_setopt($ch, CURLOPT_URL, $url);
+        curl_setopt($ch, CURLOPT_CUSTOMREQUEST, $method);
+        curl_setopt($ch, CURLOPT_RETURNTRANSFER, true);
+        curl_setopt($ch, CURLOPT_SSL_VERIFYPEER, true);
+        curl_setopt($ch, CURLOPT_CONNECTTIMEOUT, 30);
+        // No total timeout for large files, but give up on a stalled transfer
+        curl_setopt($ch, CURLOPT_LOW_SPEED_LIMIT, 1);
+        curl_setopt($ch, CURLOPT_LOW_SPEED_TIME, 300);
+
+        if ($this->settings['username'] !== '') {
+            curl_setopt($ch, CURLOPT_HTTPAUTH, CURLAUTH_BASIC);
+            curl_setopt($ch, CURLOPT_USERPWD, $this->settings['username'] . ':' . $this->settings['password']);
+        }
+
+        curl_setopt_array($ch, $curl_options);
+
+        $body = curl_exec($ch);
+        $response = array(
+            'code' => (int) curl_getinfo($ch, CURLINFO_HTTP_CODE),
+            'body' => is_string($body) ? $body : '',
+            'error' => curl_error($ch),
+        );
+        curl_close($ch);
+
+        return $response;
+    }
+
+    /**
+     * Turn a failed response into a message.
+     *
+     * @param array $response Response from send().
+     * @return string Message.
+     */
+    private function describe_error($response) {
+        if ($response['code'] === 0) {
+            return 'no response' . ($response['error'] !== '' ? ' (' . $response['error'] . ')' : '') . '.';
+        }
+        if ($response['code'] === 401 || $response['code'] === 403) {
+            return 'HTTP ' . $response['code'] . ', check the user name, password and folder permissions.';
+        }
+
+        return 'HTTP ' . $response['code'] . ($response['body'] !== '' ? ' - ' . substr(strip_tags($response['body']), 0, 200) : '');
+    }
+}
@@ -0,0 +1,279 @@
+<?php
+/**
+ * The base class of the storage destination adapters.
+ *
+ * @package CustomMigrator
+ */
+
+/**
+ * Destination class.
+ *
+ * A destination adapter sends export files to one kind of remote storage
+ * (SFTP, FTP/FTPS, WebDAV, an S3-compatible bucket or another WordPress site
+ * running this plugin) with the settings of a saved destination profile. The S3 uploader drives the adapters in the same
+ * time-boxed slices as pre-signed uploads: an adapter sends as much of a file
+ * as fits in the slice, keeping what it needs to continue in the file entry
+ * of the upload state.
+ */
+abstract class Custom_Migrator_Destination {
+
+    /**
+     * Bytes read from the local file per write.
+     */
+    const CHUNK_SIZE = 1048576;
+
+    /**
+     * Name of the file written and removed by a connection test.
+     */
+    const PROBE_FILE = '.custom-migrator-test';
+
+    /**
+     * Adapter classes keyed by destination type.
+     *
+     * @var array
+     */
+    private static $types = array(
+        'sftp' => 'Custom_Migrator_Destination_Sftp',
+        'ftp' => 'Custom_Migrator_Destination_Ftp',
+        'webdav' => 'Custom_Migrator_Destination_Webdav',
+        's3' => 'Custom_Migrator_Destination_S3',
+        'site' => 'Custom_Migrator_Destination_Site',
+    );
+
+    /**
+     * Profile settings, with secrets in plain text.
+     *
+     * @var array
+     */
+    protected $settings;
+
+    /**
+     * The filesystem handler.
+     *
+     * @var Custom_Migrator_Filesystem
+     */
+    protected $filesystem;
+
+    /**
+     * Constructor.
+     *
+     * @param array                           $settings   Sanitized profile settings.
+     * @param Custom_Migrator_Filesystem|null $filesystem Optional filesystem instance.
+     */
+    public function __construct($settings, $filesystem = null) {
+        $this->settings = $settings;
+        $this->filesystem = $filesystem ? $filesystem : new Custom_Migrator_Filesystem();
+    }
+
+    /**
+     * Create the adapter for a profile.
+     *
+     * @param array                           $settings   Sanitized profile settings with type.
+     * @param Custom_Migrator_Filesystem|null $filesystem Optional filesystem instance.
+     * @return Custom_Migrator_Destination Adapter.
+     * @throws Exception If the type is unknown.
+     */
+    public static function create($settings, $filesystem = null) {
+        $type = isset($settings['type']) ? $settings['type'] : '';
+        if (!isset(self::$types[$type])) {
+            throw new Exception('Unknown destination type.');
+        }
+
+        return new self::$types[$type]($settings, $filesystem);
+    }
+
+    /**
+     * Get the destination types.
+     *
+     * @return array Type keys.
+     */
+    public static function get_types() {
+        return array_keys(self::$types);
+    }
+
+    /**
+     * Validate the settings of a destination type.
+     *
+     * @param array $settings Raw settings with type.
+     * @return array Sanitized settings.
+     * @throws Exception If the type is unknown or a setting is invalid.
+     */
+    public static function sanitize($settings) {
+        $type = isset($settings['type']) ? (string) $settings['type'] : '';
+        if (!isset(self::$types[$type])) {
+            throw new Exception('Please choose a destination type.');
+        }
+
+        $class = self::$types[$type];
+        return array_merge(array('type' => $type), $class::sanitize_settings($settings));
+    }
+
+    /**
+     * Get the settings of a destination type that hold credentials.
+     *
+     * @param string $type Destination type.
+     * @return array Setting names.
+     */
+    public static function get_secret_fields($type) {
+        if (!isset(self::$types[$type])) {
+            return array();
+        }
+
+        $class = self::$types[$type];
+        return $class::SECRET_FIELDS;
+    }
+
+    /**
+     * Check that the destination accepts files by writing and removing a small test file.
+     *
+     * @return string Description of what was checked.
+     * @throws Exception If the connection, login or write fails.
+     */
+    abstract public function test_connection();
+
+    /**
+     * Send as much of a file as fits before the deadline.
+     *
+     * The adapter keeps bytes_sent and anything it needs to continue in the
+     * entry, and calls $checkpoint to persist the entry; pass true to save
+     * right away instead of at most once a second.
+     *
+     * @param string   $file_path  Local file path.
+     * @param array    $entry      File entry of the upload state, updated in place.
+     * @param float    $deadline   Time after which no new chunk or part is started.
+     * @param callable $checkpoint Saves the upload state.
+     * @return bool True if the file is fully uploaded, false if out of time.
+     * @throws Exception If the upload fails.
+     */
+    abstract public function upload_file($file_path, &$entry, $deadline, $checkpoint);
+
+    /**
+     * Confirm the upload as a whole once every file is sent.
+     *
+     * Storage destinations have nothing left to do; a receiving site checks
+     * that it has every file.
+     *
+     * @param array $entries File entries of the upload state keyed by file type.
+     * @return bool True when the upload is confirmed, false to try again in the next slice.
+     * @throws Exception If the destination rejects the upload.
+     */
+    public function finish_upload($entries) {
+        return true;
+    }
+
+    /**
+     * Describe where files go, for the log and the admin page.
+     *
+     * @return string Location without credentials.
+     */
+    abstract public function get_location();
+
+    /**
+     * Get the remote path of a file in the destination directory.
+     *
+     * @param string $file_name File name.
+     * @return string Remote path, relative to the login directory when no directory is set.
+     */
+    protected function get_remote_path($file_name) {
+        $directory = isset($this->settings['directory']) ? $this->settings['directory'] : '';
+        return $directory !== '' ? $directory . '/' . $file_name : $file_name;
+    }
+
+    /**
+     * Get the offset to continue a file from after an interruption.
+     *
+     * Only a file this upload started is continued, and only when the remote
+     * copy is not larger than the local file; otherwise it is sent again.
+     *
+     * @param int|false $remote_size Size of the remote file, false if it does not exist.
+     * @param array     $entry       File entry of the upload state.
+     * @return int Byte offset.
+     */
+    protected function get_resume_offset($remote_size, $entry) {
+        if ($remote_size === false || empty($entry['bytes_sent']) || $remote_size > $entry['size']) {
+            return 0;
+        }
+
+        return (int) $remote_size;
+    }
+
+    /**
+     * Read a string setting.
+     *
+     * @param array  $settings Raw settings.
+     * @param string $key      Setting name.
+     * @return string Trimmed value.
+     */
+    protected static function read_text($settings, $key) {
+        return isset($settings[$key]) && is_scalar($settings[$key]) ? trim(sanitize_text_field((string) $settings[$key])) : '';
+    }
+
+    /**
+     * Read a secret setting as sent, without stripping characters.
+     *
+     * @param array  $settings Raw settings.
+     * @param string $key      Setting name.
+     * @return string Value.
+     */
+    protected static function read_secret($settings, $key) {
+        return isset($settings[$key]) && is_scalar($settings[$key]) ? (string) $settings[$key] : '';
+    }
+
+    /**
+     * Read and check a port setting.
+     *
+     * @param array $settings     Raw settings.
+     * @param int   $default_port Port used when none is set.
+     * @return int Port.
+     * @throws Exception If the port is out of range.
+     */
+    protected static function read_port($settings, $default_port) {
+        $port = self::read_text($settings, 'port');
+        if ($port === '') {
+            return $default_port;
+        }
+
+        if (!ctype_digit($port) || (int) $port < 1 || (int) $port > 65535) {
+            throw new Exception('The port must be a number between 1 and 65535.');
+        }
+
+        return (int) $port;
+    }
+
+    /**
+     * Read a remote directory setting.
+     *
+     * @param array $settings Raw settings.
+     * @return string Directory with a leading slash and no trailing slash, empty for the login directory.
+     * @throws Exception If the directory leaves its parent.
+     */
+    protected static function read_directory($settings) {
+        $directory = trim(str_replace('\\', '/', self::read_text($settings, 'directory')), '/');
+        if ($directory === '') {
+            return '';
+        }
+
+        foreach (explode('/', $directory) as $segment) {
+            if ($segment === '..') {
+                throw new Exception('The remote directory cannot contain "..".');
+            }
+        }
+
+        return '/' . $directory;
+    }
+
+    /**
+     * Check a host name setting.
+     *
+     * @param string $host Host name or IP address.
+     * @return string Host.
+     * @throws Exception If the host is empty or contains a scheme or path.
+     */
+    protected static function check_host($host) {
+        if ($host === '' || preg_match('#[/\s@]#', $host)) {
+            throw new Exception('Please enter the host name without a scheme, user or path, e.g. sftp.example.com.');
+        }
+
+        return $host;
+    }
+}
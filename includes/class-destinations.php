@@ -0,0 +1,315 @@
+<?php
+/**
+ * The class responsible for saved storage destination profiles.
+ *
+ * @package CustomMigrator
+ */
+
+/**
+ * Destinations class.
+ *
+ * Stores named destination profiles (SFTP, FTP/FTPS, WebDAV, an
+ * S3-compatible bucket or a receiving WordPress site) and creates their
+ * adapters. Passwords and keys are
+ * sealed with a key derived from the WordPress salts before they are saved
+ * and are never sent back to the browser; a profile saved without a new
+ * secret keeps the previous one. Uploads to a profile run through the S3
+ * uploader, so they share its status file, state file and progress.
+ */
+class Custom_Migrator_Destinations {
+
+    /**
+     * Option holding the saved profiles.
+     */
+    const OPTION_NAME = 'custom_migrator_destinations';
+
+    /**
+     * Maximum number of saved profiles.
+     */
+    const MAX_PROFILES = 20;
+
+    /**
+     * The filesystem handler.
+     *
+     * @var Custom_Migrator_Filesystem
+     */
+    private $filesystem;
+
+    /**
+     * Constructor.
+     *
+     * @param Custom_Migrator_Filesystem|null $filesystem Optional filesystem instance.
+     */
+    public function __construct($filesystem = null) {
+        $this->filesystem = $filesystem ? $filesystem : new Custom_Migrator_Filesystem();
+    }
+
+    /**
+     * Get the saved profiles without their secrets.
+     *
+     * @return array Profiles keyed by name; each lists the secrets it has in saved_secrets.
+     */
+    public function get_profiles() {
+        $profiles = array();
+
+        foreach ($this->load() as $name => $settings) {
+            $saved_secrets = array();
+            foreach (Custom_Migrator_Destination::get_secret_fields($settings['type']) as $field) {
+                if (isset($settings[$field]) && $settings[$field] !== '') {
+                    $saved_secrets[] = $field;
+                }
+                $settings[$field] = '';
+            }
+            $settings['saved_secrets'] = $saved_secrets;
+            $profiles[$name] = $settings;
+        }
+
+        return $profiles;
+    }
+
+    /**
+     * Save a profile, replacing one with the same name.
+     *
+     * @param string $name     Profile name.
+     * @param array  $settings Raw settings with type; empty secrets keep the saved ones.
+     * @return array Updated profiles without secrets.
+     * @throws Exception If the name or a setting is invalid, or too many profiles exist.
+     */
+    public function save_profile($name, $settings) {
+        $name = self::sanitize_name($name);
+        if ($name === '') {
+            throw new Exception('Please enter a destination name.');
+        }
+
+        $stored = $this->load();
+        if (!isset($stored[$name]) && count($stored) >= self::MAX_PROFILES) {
+            throw new Exception('You can save up to ' . self::MAX_PROFILES . ' destinations. Delete one first.');
+        }
+
+        $settings = Custom_Migrator_Destination::sanitize($this->fill_secrets($name, $settings));
+
+        foreach (Custom_Migrator_Destination::get_secret_fields($settings['type']) as $field) {
+            $settings[$field] = $this->seal($settings[$field]);
+        }
+        $stored[$name] = $settings;
+        $this->store($stored);
+
+        $this->filesystem->log('Destination saved: ' . $name . ' (' . $settings['type'] . ')');
+        return $this->get_profiles();
+    }
+
+    /**
+     * Delete a profile.
+     *
+     * @param string $name Profile name.
+     * @return array Updated profiles without secrets.
+     * @throws Exception If the profile does not exist.
+     */
+    public function delete_profile($name) {
+        $name = self::sanitize_name($name);
+        $stored = $this->load();
+
+        if (!isset($stored[$name])) {
+            throw new Exception('Destination not found.');
+        }
+
+        unset($stored[$name]);
+        $this->store($stored);
+
+        $this->filesystem->log('Destination deleted: ' . $name);
+        return $this->get_profiles();
+    }
+
+    /**
+     * Test the connection of a saved profile, or of settings being edited.
+     *
+     * @param string     $name     Profile name; its saved secrets fill in empty ones.
+     * @param array|null $settings Raw settings being edited, null to test the saved profile.
+     * @return string Description of what was checked.
+     * @throws Exception If the settings are invalid or the test fails.
+     */
+    public function test($name, $settings = null) {
+        if ($settings === null) {
+            $destination = $this->get_destination($name);
+        } else {
+            $settings = Custom_Migrator_Destination::sanitize($this->fill_secrets(self::sanitize_name($name), $settings));
+            $destination = Custom_Migrator_Destination::create($settings, $this->filesystem);
+        }
+
+        $message = $destination->test_connection();
+        $this->filesystem->log('Destination test passed for ' . $destination->get_location());
+
+        return $message;
+    }
+
+    /**
+     * Create the adapter of a saved profile.
+     *
+     * @param string $name Profile name.
+     * @return Custom_Migrator_Destination Adapter.
+     * @throws Exception If the profile does not exist or its secrets cannot be read.
+     */
+    public function get_destination($name) {
+        $name = self::sanitize_name($name);
+        $stored = $this->load();
+
+        if (!isset($stored[$name])) {
+            throw new Exception(sprintf('Destination "%s" not found.', $name));
+        }
+
+        $settings = $stored[$name];
+        foreach (Custom_Migrator_Destination::get_secret_fields($settings['type']) as $field) {
+            $settings[$field] = $this->open(isset($settings[$field]) ? $settings[$field] : '');
+        }
+
+        return Custom_Migrator_Destination::create($settings, $this->filesystem);
+    }
+
+    /**
+     * Build upload jobs that send files to a saved profile.
+     *
+     * @param string $name       Profile name.
+     * @param array  $file_types File types to upload.
+     * @return array Jobs keyed by file type, see Custom_Migrator_S3_Uploader::prepare_upload().
+     * @throws Exception If the profile does not exist.
+     */
+    public function build_jobs($name, $file_types) {
+        $name = self::sanitize_name($name);
+        if (!array_key_exists($name, $this->load())) {
+            throw new Exception(sprintf('Destination "%s" not found.', $name));
+        }
+
+        $jobs = array();
+        foreach ($file_types as $file_type) {
+            $jobs[$file_type] = array(
+                'mode' => 'destination',
+                'profile' => $name,
+            );
+        }
+
+        return $jobs;
+    }
+
+    /**
+     * Fill empty secrets from the saved profile of the same name and type.
+     *
+     * @param string $name     Profile name.
+     * @param array  $settings Raw settings.
+     * @return array Settings with secrets.
+     * @throws Exception If the saved secrets cannot be read.
+     */
+    private function fill_secrets($name, $settings) {
+        $settings = is_array($settings) ? $settings : array();
+        $stored = $this->load();
+
+        if (!isset($stored[$name]) || !isset($settings['type']) || $stored[$name]['type'] !== $settings['type']) {
+            return $settings;
+        }
+
+        foreach (Custom_Migrator_Destination::get_secret_fields($settings['type']) as $field) {
+            if ((!isset($settings[$field]) || $settings[$field] === '') && !empty($stored[$name][$field])) {
+                $settings[$field] = $this->open($stored[$name][$field]);
+            }
+        }
+
+        return $settings;
+    }
+
+    /**
+     * Encrypt a secret for storage.
+     *
+     * @param string $value Secret.
+     * @return string Nonce and ciphertext in base64, empty for an empty secret.
+     * @throws Exception If libsodium is not available.
+     */
+    private function seal($value) {
+        if ($value === '') {
+            return '';
+        }
+
+        $key = $this->get_key();
+        $nonce = random_bytes(SODIUM_CRYPTO_SECRETBOX_NONCEBYTES);
+        return base64_encode($nonce . sodium_crypto_secretbox($value, $nonce, $key));
+    }
+
+    /**
+     * Decrypt a stored secret.
+     *
+     * @param string $sealed Value from seal().
+     * @return string Secret.
+     * @throws Exception If the secret cannot be decrypted.
+     */
+    private function open($sealed) {
+        if ($sealed === '') {
+            return '';
+        }
+
+        $key = $this->get_key();
+        $raw = base64_decode($sealed, true);
+        $value = $raw !== false && strlen($raw) > SODIUM_CRYPTO_SECRETBOX_NONCEBYTES
+            ? sodium_crypto_secretbox_open(substr($raw, SODIUM_CRYPTO_SECRETBOX_NONCEBYTES), substr($raw, 0, SODIUM_CRYPTO_SECRETBOX_NONCEBYTES), $key)
+            : false;
+
+        if ($value === false) {
+            throw new Exception('The saved password or key of this destination cannot be read, for example because the salts in wp-config.php changed. Enter it again and save the destination.');
+        }
+
+        return $value;
+    }
+
+    /**
+     * Derive the key that seals the secrets from the WordPress salts.
+     *
+     * @return string Secretbox key.
+     * @throws Exception If libsodium is not available.
+     */
+    private function get_key() {
+        $encryption = new Custom_Migrator_Encryption($this->filesystem);
+        if (!$encryption->is_available()) {
+            throw new Exception('Saving destination credentials needs the PHP sodium extension or the sodium_compat library of WordPress 5.2 and later.');
+        }
+
+        return sodium_crypto_generichash('custom_migrator_destinations' . wp_salt('auth'), '', SODIUM_CRYPTO_SECRETBOX_KEYBYTES);
+    }
+
+    /**
+     * Load the stored profiles with sealed secrets.
+     *
+     * @return array Profiles keyed by name.
+     */
+    private function load() {
+        $stored = get_option(self::OPTION_NAME, array());
+        $profiles = array();
+
+        if (!empty($stored['profiles']) && is_array($stored['profiles'])) {
+            foreach ($stored['profiles'] as $name => $settings) {
+                if (is_array($settings) && isset($settings['type']) && in_array($settings['type'], Custom_Migrator_Destination::get_types(), true)) {
+                    $profiles[(string) $name] = $settings;
+                }
+            }
+        }
+
+        return $profiles;
+    }
+
+    /**
+     * Save the profiles option.
+     *
+     * @param array $profiles Profiles keyed by name, with sealed secrets.
+     * @return void
+     */
+    private function store($profiles) {
+        ksort($profiles);
+        update_option(self::OPTION_NAME, array('profiles' => $profiles), false);
+    }
+
+    /**
+     * Clean up a profile name.
+     *
+     * @param string $name Raw name.
+     * @return string Name, empty when invalid.
+     */
+    private static function sanitize_name($name) {
+        return substr(trim(sanitize_text_field((string) $name)), 0, 60);
+    }
+}
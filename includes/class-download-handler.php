@@ -0,0 +1,427 @@
+<?php
+/**
+ * The class responsible for downloading export files.
+ *
+ * @package CustomMigrator
+ */
+
+/**
+ * Download handler class.
+ *
+ * Export files are not served from the export directory directly. Links point
+ * to admin-ajax.php?action=cm_download and carry an HMAC token bound to the
+ * file and an expiry time, so they can be handed to a migration service
+ * without a WordPress session. Administrators can download without a token.
+ * The file is named by an opaque ID, a keyed hash of its path, so a link does
+ * not reveal where the file is stored; issuing a link records the ID in an
+ * index that the download looks it up in. Single byte ranges are supported so
+ * large archives can be resumed.
+ */
+class Custom_Migrator_Download_Handler {
+
+    /**
+     * AJAX action of the download endpoint.
+     */
+    const ACTION = 'cm_download';
+
+    /**
+     * Option holding the secret the tokens are signed with.
+     */
+    const SECRET_OPTION = 'custom_migrator_download_secret';
+
+    /**
+     * Default lifetime of a download link in seconds.
+     */
+    const TOKEN_TTL = 86400;
+
+    /**
+     * Bytes sent per read.
+     */
+    const READ_CHUNK_SIZE = 1048576;
+
+    /**
+     * Index of the issued file IDs in the export directory.
+     */
+    const INDEX_FILE = 'download-ids.json';
+
+    /**
+     * File extensions that can be downloaded.
+     *
+     * @var array
+     */
+    private static $allowed_extensions = array('hstgr', 'sql', 'gz', 'enc', 'json', 'jsonl', 'txt', 'log');
+
+    /**
+     * The filesystem handler.
+     *
+     * @var Custom_Migrator_Filesystem
+     */
+    private $filesystem;
+
+    /**
+     * Constructor.
+     *
+     * @param Custom_Migrator_Filesystem|null $filesystem Optional filesystem instance.
+     */
+    public function __construct($filesystem = null) {
+        $this->filesystem = $filesystem ? $filesystem : new Custom_Migrator_Filesystem();
+    }
+
+    /**
+     * Get a signed download link for a file in the export directory.
+     *
+     * @param string   $file_path Absolute path of the file.
+     * @param int|null $ttl       Link lifetime in seconds, null for the default.
+     * @return string Download URL.
+     */
+    public function get_url($file_path, $ttl = null) {
+        if ($ttl === null) {
+            $ttl = (int) apply_filters('custom_migrator_download_token_ttl', self::TOKEN_TTL);
+        }
+
+        $file = $this->get_relative_path($file_path);
+        $file_id = $this->get_file_id($file);
+        $this->remember_file_id($file_id, $file);
+        $expires = time() + max(60, (int) $ttl);
+
+        return add_query_arg(array(
+            'action' => self::ACTION,
+            'file' => $file_id,
+            'expires' => $expires,
+            'token' => $this->sign($file_id, $expires),
+        ), admin_url('admin-ajax.php'));
+    }
+
+    /**
+     * Check a download token.
+     *
+     * @param string $file_id File ID from the link.
+     * @param int    $expires Expiry timestamp.
+     * @param string $token   Token from the link.
+     * @return bool Whether the token is valid and not expired.
+     */
+    public function is_valid_token($file_id, $expires, $token) {
+        return $expires >= time() && is_string($token) && hash_equals($this->sign($file_id, $expires), $token);
+    }
+
+    /**
+     * Handle the download request.
+     *
+     * @return void
+     */
+    public function handle_download() {
+        $file_id = isset($_GET['file']) ? strtolower(wp_unslash($_GET['file'])) : '';
+        $expires = isset($_GET['expires']) ? (int) $_GET['expires'] : 0;
+        $token = isset($_GET['token']) ? wp_unslash($_GET['token']) : '';
+
+        if (!preg_match('/^[a-f0-9]{32}$/', $file_id)) {
+            wp_die('Missing file reference', 400);
+        }
+
+        if (!current_user_can('manage_options')) {
+            if ($token === '') {
+                wp_die('This download requires a download link from the Hostinger Migrator page', 403);
+            }
+            if (!$this->is_valid_token($file_id, $expires, $token)) {
+                wp_die($expires > 0 && $expires < time() ? 'This download link has expired' : 'Invalid download link', 403);
+            }
+        }
+
+        $path = $this->find_file($file_id);
+        if ($path === null) {
+            wp_die('File not found', 404);
+        }
+
+        $this->send_file($path);
+        exit;
+    }
+
+    /**
+     * Get the path of a file relative to the export directory.
+     *
+     * @param string $file_path Absolute file path.
+     * @return string Relative path with forward slashes.
+     */
+    private function get_relative_path($file_path) {
+        $export_dir = str_replace('\\', '/', $this->filesystem->get_export_dir()) . '/';
+        $file_path = str_replace('\\', '/', $file_path);
+
+        return strpos($file_path, $export_dir) === 0 ? substr($file_path, strlen($export_dir)) : basename($file_path);
+    }
+
+    /**
+     * Get the opaque ID of a file.
+     *
+     * @param string $file File path relative to the export directory.
+     * @return string ID.
+     */
+    private function get_file_id($file) {
+        return substr(hash_hmac('sha256', 'file|' . $file, $this->get_secret()), 0, 32);
+    }
+
+    /**
+     * Find the file an ID stands for.
+     *
+     * @param string $file_id File ID.
+     * @return string|null Absolute path or null if no downloadable file has the ID.
+     */
+    private function find_file($file_id) {
+        $index = $this->load_index();
+        if (!isset($index[$file_id])) {
+            return null;
+        }
+
+        return $this->resolve_file($index[$file_id]);
+    }
+
+    /**
+     * Record the file an issued ID stands for.
+     *
+     * Entries of files that no longer exist are dropped at the same time.
+     *
+     * @param string $file_id File ID.
+     * @param string $file    File path relative to the export directory.
+     * @return void
+     */
+    private function remember_file_id($file_id, $file) {
+        $index = $this->load_index();
+        if (isset($index[$file_id]) && $index[$file_id] === $file) {
+            return;
+        }
+
+        $index_path = $this->get_index_path();
+        if (!is_dir(dirname($index_path))) {
+            return;
+        }
+
+        // Links issued by concurrent requests must not drop each other's entries
+        $lock = @fopen($index_path . '.lock', 'c');
+        if ($lock) {
+            flock($lock, LOCK_EX);
+        }
+
+        $index = $this->load_index();
+        foreach ($index as $id => $path) {
+            if (!file_exists($this->filesystem->get_export_dir() . '/' . $path)) {
+                unset($index[$id]);
+            }
+        }
+        $index[$file_id] = $file;
+        $this->filesystem->write_json_atomic($index_path, $index, JSON_UNESCAPED_SLASHES);
+
+        if ($lock) {
+            flock($lock, LOCK_UN);
+            fclose($lock);
+        }
+    }
+
+    /**
+     * Load the index of issued file IDs.
+     *
+     * @return array Relative paths keyed by file ID.
+     */
+    private function load_index() {
+        $index_path = $this->get_index_path();
+        $index = file_exists($index_path) ? json_decode(file_get_contents($index_path), true) : null;
+
+        return is_array($index) ? $index : array();
+    }
+
+    /**
+     * Get the path of the index of issued file IDs.
+     *
+     * @return string Index file path.
+     */
+    private function get_index_path() {
+        return $this->filesystem->get_export_dir() . '/' . self::INDEX_FILE;
+    }
+
+    /**
+     * Sign a file reference.
+     *
+     * @param string $file_id File ID.
+     * @param int    $expires Expiry timestamp.
+     * @return string Token.
+     */
+    private function sign($file_id, $expires) {
+        return hash_hmac('sha256', $file_id . '|' . (int) $expires, $this->get_secret());
+    }
+
+    /**
+     * Get the signing secret, creating it on first use.
+     *
+     * Deleting the option revokes every link handed out so far.
+     *
+     * @return string Secret.
+     */
+    private function get_secret() {
+        $secret = get_option(self::SECRET_OPTION);
+
+        if (!$secret) {
+            $secret = wp_generate_password(64, true, true);
+            update_option(self::SECRET_OPTION, $secret, false);
+        }
+
+        return $secret . wp_salt('auth');
+    }
+
+    /**
+     * Resolve a requested file inside the export directory.
+     *
+     * @param string $file File path relative to the export directory.
+     * @return string|null Absolute path or null if the file cannot be downloaded.
+     */
+    private function resolve_file($file) {
+        $file = str_replace('\\', '/', $file);
+        $extension = strtolower(pathinfo($file, PATHINFO_EXTENSION));
+
+        // Extra archive volumes end in their number (.hstgr.001)
+        if (preg_match('/\.hstgr\.\d{3}$/i', $file)) {
+            $extension = 'hstgr';
+        }
+
+        if (strpos($file, "\0") !== false || in_array('..', explode('/', $file), true) || !in_array($extension, self::$allowed_extensions, true)) {
+            return null;
+        }
+
+        $export_dir = realpath($this->filesystem->get_export_dir());
+        $path = realpath($this->filesystem->get_export_dir() . '/' . ltrim($file, '/'));
+
+        if (!$export_dir || !$path || strpos($path, $export_dir . DIRECTORY_SEPARATOR) !== 0 || !is_file($path) || !is_readable($path)) {
+            return null;
+        }
+
+        return $path;
+    }
+
+    /**
+     * Parse a Range header against a file size.
+     *
+     * Only a single byte range is honored; anything else gets the whole file.
+     *
+     * @param string $header Range header.
+     * @param int    $size   File size.
+     * @return array|false|null Array with start and end, false if unsatisfiable, null for the whole file.
+     */
+    private function parse_range($header, $size) {
+        if (!preg_match('/^bytes=\s*(\d*)\s*-\s*(\d*)\s*$/', $header, $matches) || ($matches[1] === '' && $matches[2] === '')) {
+            return null;
+        }
+
+        if ($matches[1] === '') {
+            // Suffix range: the last N bytes
+            $length = (int) $matches[2];
+            if ($length === 0 || $size === 0) {
+                return false;
+            }
+            return array('start' => max(0, $size - $length), 'end' => $size - 1);
+        }
+
+        $start = (int) $matches[1];
+        $end = $matches[2] === '' ? $size - 1 : min((int) $matches[2], $size - 1);
+
+        if ($start >= $size || $start > $end) {
+            return false;
+        }
+
+        return array('start' => $start, 'end' => $end);
+    }
+
+    /**
+     * Get the content type of an export file.
+     *
+     * @param string $path File path.
+     * @return string Content type.
+     */
+    private function get_content_type($path) {
+        switch (strtolower(pathinfo($path, PATHINFO_EXTENSION))) {
+            case 'gz':
+                return 'application/gzip';
+            case 'json':
+                return 'application/json';
+            case 'jsonl':
+            case 'txt':
+            case 'log':
+            case 'sql':
+                return 'text/plain; charset=utf-8';
+            default:
+                return 'application/octet-stream';
+        }
+    }
+
+    /**
+     * Send a file, or the requested range of it, to the client.
+     *
+     * @param string $path Absolute file path.
+     * @return void
+     */
+    private function send_file($path) {
+        @set_time_limit(0);
+        @ini_set('zlib.output_compression', 'Off');
+        while (ob_get_level() > 0) {
+            ob_end_clean();
+        }
+
+        clearstatcache();
+        $size = filesize($path);
+        $mtime = filemtime($path);
+        $etag = '"' . md5(basename($path) . '-' . $size . '-' . $mtime) . '"';
+
+        $range = null;
+        if (isset($_SERVER['HTTP_RANGE'])) {
+            // A resumed download must not mix bytes of two different files
+            $if_range = isset($_SERVER['HTTP_IF_RANGE']) ? trim(wp_unslash($_SERVER['HTTP_IF_RANGE'])) : '';
+            if ($if_range === '' || $if_range === $etag || strtotime($if_range) === $mtime) {
+                $range = $this->parse_range(wp_unslash($_SERVER['HTTP_RANGE']), $size);
+            }
+        }
+
+        nocache_headers();
+        header('Accept-Ranges: bytes');
+        header('ETag: ' . $etag);
+        header('Last-Modified: ' . gmdate('D, d M Y H:i:s', $mtime) . ' GMT');
+        header('X-Content-Type-Options: nosniff');
+
+        if ($range === false) {
+            status_header(416);
+            header('Content-Range: bytes */' . $size);
+            return;
+        }
+
+        $start = $range ? $range['start'] : 0;
+        $length = $range ? $range['end'] - $range['start'] + 1 : $size;
+
+        if ($range) {
+            status_header(206);
+            header('Content-Range: bytes ' . $start . '-' . $range['end'] . '/' . $size);
+        } else {
+            status_header(200);
+        }
+        header('Content-Type: ' . $this->get_content_type($path));
+        header('Content-Disposition: attachment; filename="' . str_replace('"', '', basename($path)) . '"');
+        header('Content-Length: ' . $length);
+
+        if (isset($_SERVER['REQUEST_METHOD']) && $_SERVER['REQUEST_METHOD'] === 'HEAD') {
+            return;
+        }
+
+        $handle = @fopen($path, 'rb');
+        if (!$handle) {
+            return;
+        }
+
+        fseek($handle, $start);
+        $remaining = $length;
+        while ($remaining > 0 && !connection_aborted()) {
+            $chunk = fread($handle, min(self::READ_CHUNK_SIZE, $remaining));
+            if ($chunk === false || $chunk === '') {
+                break;
+            }
+            echo $chunk;
+            flush();
+            $remaining -= strlen($chunk);
+        }
+
+        fclose($handle);
+    }
+}
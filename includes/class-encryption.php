@@ -0,0 +1,860 @@
+<?php
+/**
+ * The class responsible for encrypting the export files at rest.
+ *
+ * @package CustomMigrator
+ */
+
+/**
+ * Encryption class.
+ *
+ * When enabled, the archive and the database dump are encrypted once the
+ * export has finished, before they can be downloaded or uploaded. Every file
+ * gets its own random key for a libsodium secretstream (XChaCha20-Poly1305),
+ * and that key is sealed to an X25519 public key. The public key is either
+ * derived from a passphrase (Argon2id, or PBKDF2-SHA256 where only the
+ * sodium_compat library of WordPress is available) or pasted by the user.
+ * Neither the passphrase nor a secret key is ever stored.
+ *
+ * Files are encrypted in chunks of CHUNK_SIZE bytes. The position in each
+ * file and the stream state are kept in a state file, so the work spreads
+ * over as many requests as it needs, like the content batches. The last
+ * chunk carries the final tag, so a truncated file is detected on decryption.
+ *
+ * File layout, all integers big-endian:
+ *   magic "HSTGRENC" (8), format version (1), key mode (1), chunk size (4),
+ *   KDF id (1), KDF salt (16), KDF parameters (2 x 8), key fingerprint (16),
+ *   sealed file key (80), secretstream header (24), then the chunks, each
+ *   holding up to chunk size bytes of plaintext plus a 17 byte tag.
+ */
+class Custom_Migrator_Encryption {
+
+    /**
+     * Option holding the settings and the public key.
+     */
+    const OPTION_NAME = 'custom_migrator_encryption';
+
+    /**
+     * Name of the state file in the export directory.
+     */
+    const STATE_FILE = 'encryption-state.json';
+
+    /**
+     * Suffix added to the name of an encrypted file.
+     */
+    const FILE_SUFFIX = '.enc';
+
+    /**
+     * First bytes of an encrypted file.
+     */
+    const MAGIC = 'HSTGRENC';
+
+    /**
+     * Version of the encrypted file layout.
+     */
+    const FORMAT_VERSION = 1;
+
+    /**
+     * Size of the file header in bytes.
+     */
+    const HEADER_SIZE = 167;
+
+    /**
+     * Plaintext bytes per chunk.
+     */
+    const CHUNK_SIZE = 1048576;
+
+    /**
+     * Shortest passphrase accepted.
+     */
+    const MIN_PASSPHRASE_LENGTH = 12;
+
+    /**
+     * PBKDF2-SHA256 iterations when Argon2id is not available.
+     */
+    const PBKDF2_ITERATIONS = 600000;
+
+    /**
+     * Key mode and KDF identifiers of the file header.
+     */
+    const MODE_PASSPHRASE = 1;
+    const MODE_PUBLIC_KEY = 2;
+    const KDF_NONE = 0;
+    const KDF_ARGON2ID = 1;
+    const KDF_PBKDF2 = 2;
+
+    /**
+     * The filesystem handler.
+     *
+     * @var Custom_Migrator_Filesystem
+     */
+    private $filesystem;
+
+    /**
+     * Constructor.
+     *
+     * @param Custom_Migrator_Filesystem|null $filesystem Optional filesystem instance.
+     */
+    public function __construct($filesystem = null) {
+        $this->filesystem = $filesystem ? $filesystem : new Custom_Migrator_Filesystem();
+    }
+
+    /**
+     * Check whether libsodium is available, natively or through sodium_compat.
+     *
+     * @return bool Whether files can be encrypted on this server.
+     */
+    public function is_available() {
+        if (!function_exists('sodium_crypto_secretstream_xchacha20poly1305_init_push') && defined('WPINC') && file_exists(ABSPATH . WPINC . '/sodium_compat/autoload.php')) {
+            require_once ABSPATH . WPINC . '/sodium_compat/autoload.php';
+        }
+
+        return function_exists('sodium_crypto_secretstream_xchacha20poly1305_init_push')
+            && function_exists('sodium_crypto_box_seal')
+            && function_exists('sodium_crypto_box_seed_keypair');
+    }
+
+    /**
+     * Get the settings.
+     *
+     * @return array Settings with enabled, mode (passphrase or public_key), public_key, fingerprint and kdf.
+     */
+    public function get_settings() {
+        $settings = get_option(self::OPTION_NAME, array());
+
+        return array_merge(array(
+            'enabled' => false,
+            'mode' => 'passphrase',
+            'public_key' => '',
+            'fingerprint' => '',
+            'kdf' => null,
+        ), is_array($settings) ? $settings : array());
+    }
+
+    /**
+     * Validate and save the settings.
+     *
+     * A passphrase is turned into a public key right away and then forgotten.
+     * Without a new passphrase the key derived from the previous one is kept.
+     *
+     * @param array $settings Settings as sent by the admin page, with passphrase or public_key.
+     * @return array Saved settings.
+     * @throws Exception If a value is invalid.
+     */
+    public function save_settings($settings) {
+        $enabled = !empty($settings['enabled']);
+        $mode = isset($settings['mode']) && $settings['mode'] === 'public_key' ? 'public_key' : 'passphrase';
+        $passphrase = isset($settings['passphrase']) ? (string) $settings['passphrase'] : '';
+        $stored = $this->get_settings();
+
+        if (($enabled || $passphrase !== '') && !$this->is_available()) {
+            throw new Exception('Encryption needs the PHP sodium extension or the sodium_compat library of WordPress 5.2 and later.');
+        }
+
+        $saved = array(
+            'enabled' => $enabled,
+            'mode' => $mode,
+            'public_key' => '',
+            'fingerprint' => '',
+            'kdf' => null,
+        );
+
+        if ($mode === 'passphrase') {
+            if ($passphrase !== '') {
+                if (strlen($passphrase) < self::MIN_PASSPHRASE_LENGTH) {
+                    throw new Exception(sprintf('The passphrase must be at least %d characters long.', self::MIN_PASSPHRASE_LENGTH));
+                }
+                $saved['kdf'] = $this->create_kdf();
+                $keypair = $this->derive_keypair($passphrase, $saved['kdf']);
+                $saved['public_key'] = base64_encode(sodium_crypto_box_publickey($keypair));
+            } elseif ($stored['mode'] === 'passphrase' && $stored['public_key'] !== '') {
+                $saved['public_key'] = $stored['public_key'];
+                $saved['kdf'] = $stored['kdf'];
+            }
+        } else {
+            $public_key = isset($settings['public_key']) ? trim((string) $settings['public_key']) : '';
+            if ($public_key !== '') {
+                $raw_key = base64_decode($public_key, true);
+                if ($raw_key === false || strlen($raw_key) !== 32) {
+                    throw new Exception('The public key must be 32 bytes encoded as base64, as printed by wp migrator keygen.');
+                }
+                $saved['public_key'] = base64_encode($raw_key);
+            }
+        }
+
+        if ($enabled && $saved['public_key'] === '') {
+            throw new Exception($mode === 'passphrase' ? 'Enter a passphrase to enable encryption.' : 'Paste a public key to enable encryption.');
+        }
+
+        if ($saved['public_key'] !== '') {
+            $saved['fingerprint'] = $this->get_fingerprint(base64_decode($saved['public_key']));
+        }
+
+        update_option(self::OPTION_NAME, $saved, false);
+
+        return $this->get_settings();
+    }
+
+    /**
+     * Check whether exports are encrypted.
+     *
+     * @return bool Whether encryption is enabled with a key and libsodium is available.
+     */
+    public function is_enabled() {
+        $settings = $this->get_settings();
+        return $settings['enabled'] && $settings['public_key'] !== '' && $this->is_available();
+    }
+
+    /**
+     * Create a key pair for the public key mode.
+     *
+     * @return array Base64 public_key and secret_key, and the fingerprint.
+     * @throws Exception If libsodium is not available.
+     */
+    public function generate_keypair() {
+        if (!$this->is_available()) {
+            throw new Exception('Key generation needs the PHP sodium extension or the sodium_compat library of WordPress 5.2 and later.');
+        }
+
+        $keypair = sodium_crypto_box_keypair();
+        $public_key = sodium_crypto_box_publickey($keypair);
+
+        return array(
+            'public_key' => base64_encode($public_key),
+            'secret_key' => base64_encode(sodium_crypto_box_secretkey($keypair)),
+            'fingerprint' => $this->get_fingerprint($public_key),
+        );
+    }
+
+    /**
+     * Get the path to the state file.
+     *
+     * @return string State file path.
+     */
+    public function get_state_path() {
+        return $this->filesystem->get_export_dir() . '/' . self::STATE_FILE;
+    }
+
+    /**
+     * Check whether the files of the current export are being encrypted.
+     *
+     * @return bool Whether encryption started and has not finished.
+     */
+    public function is_in_progress() {
+        $state = $this->load_state();
+        return $state !== null && !$state['complete'];
+    }
+
+    /**
+     * Encrypt the archive and the database dump of the current export.
+     *
+     * Call again until the result is "done". Each finished file replaces its
+     * plaintext, takes its place in the stored filenames and has its checksum
+     * recorded; metadata.json gets the encryption details at the end.
+     *
+     * @param int $time_budget Seconds to spend in this request, 0 for no limit.
+     * @return string "done", "continue" if the time budget ran out, "paused" or "cancelled".
+     * @throws Exception If a file cannot be read or written.
+     */
+    public function encrypt_export_files($time_budget = 20) {
+        if (!$this->is_available()) {
+            throw new Exception('Encryption is enabled but libsodium is not available.');
+        }
+
+        $state = $this->load_state();
+        if ($state === null) {
+            $state = $this->create_state();
+            $this->save_state($state);
+            $this->filesystem->log('Encrypting export files for key ' . $state['fingerprint']);
+        }
+
+        $deadline = $time_budget > 0 ? microtime(true) + $time_budget : null;
+
+        foreach (array_keys($state['files']) as $type) {
+            if (!$state['files'][$type]['done']) {
+                if (!$this->encrypt_file($state['files'][$type], $state, $deadline)) {
+                    // A cancelled export is being removed, the stream state must not be written back
+                    if ($this->filesystem->is_cancel_requested()) {
+                        return 'cancelled';
+                    }
+                    $this->save_state($state);
+                    break;
+                }
+
+                $target_path = $this->filesystem->get_export_dir() . '/' . $state['files'][$type]['target'];
+                $state['files'][$type]['done'] = true;
+                // The stream state can decrypt the file, it only lives as long as the plaintext
+                $state['files'][$type]['stream'] = null;
+                $state['files'][$type]['encrypted_size'] = filesize($target_path);
+                $state['files'][$type]['checksum'] = hash_file(Custom_Migrator_Manifest::ARCHIVE_HASH, $target_path);
+                $this->save_state($state);
+                $this->filesystem->log('Encrypted ' . $state['files'][$type]['source'] . ' (' . $this->filesystem->format_file_size($state['files'][$type]['encrypted_size']) . ')');
+            }
+
+            // Idempotent, so a request that died in between finishes the swap on the next one
+            $this->replace_plaintext($type, $state['files'][$type]);
+        }
+
+        foreach ($state['files'] as $file) {
+            if (!$file['done']) {
+                if ($this->filesystem->is_cancel_requested()) {
+                    return 'cancelled';
+                }
+                return $this->filesystem->is_pause_requested() ? 'paused' : 'continue';
+            }
+        }
+
+        $state['complete'] = true;
+        $this->save_state($state);
+        $this->update_metadata();
+        $this->filesystem->log('Export files encrypted');
+
+        return 'done';
+    }
+
+    /**
+     * Decrypt a file encrypted by encrypt_export_files().
+     *
+     * @param string $source_path Encrypted file.
+     * @param string $target_path Where to write the plaintext; removed again if decryption fails.
+     * @param string $key         Passphrase, or the base64 secret key of the public key mode.
+     * @param string $key_type    "passphrase" or "secret_key".
+     * @return int Plaintext bytes written.
+     * @throws Exception If the key is wrong or the file is damaged or truncated.
+     */
+    public function decrypt_file($source_path, $target_path, $key, $key_type = 'passphrase') {
+        if (!$this->is_available()) {
+            throw new Exception('Decryption needs the PHP sodium extension or the sodium_compat library of WordPress 5.2 and later.');
+        }
+
+        $source = @fopen($source_path, 'rb');
+        if (!$source) {
+            throw new Exception('Cannot open ' . basename($source_path) . '.');
+        }
+
+        $target = null;
+        try {
+            $header = $this->read_header($source);
+            $keypair = $this->get_decryption_keypair($header, $key, $key_type);
+
+            $file_key = sodium_crypto_box_seal_open($header['sealed_key'], $keypair);
+            if ($file_key === false) {
+                throw new Exception('The file key cannot be unsealed, the header of the file is damaged.');
+            }
+            $stream = sodium_crypto_secretstream_xchacha20poly1305_init_pull($header['stream_header'], $file_key);
+
+            $target = @fopen($target_path, 'wb');
+            if (!$target) {
+                throw new Exception('Cannot write ' . basename($target_path) . '.');
+            }
+
+            $written = 0;
+            $chunk_number = 0;
+            do {
+                $chunk = $this->read_bytes($source, $header['chunk_size'] + SODIUM_CRYPTO_SECRETSTREAM_XCHACHA20POLY1305_ABYTES);
+                if ($chunk === '') {
+                    throw new Exception('The file is truncated, its final chunk is missing.');
+                }
+
+                $chunk_number++;
+                $result = sodium_crypto_secretstream_xchacha20poly1305_pull($stream, $chunk);
+                if ($result === false) {
+                    throw new Exception(sprintf('Chunk %d failed authentication, the file is damaged or was modified.', $chunk_number));
+                }
+
+                list($plaintext, $tag) = $result;
+                $this->write_bytes($target, $plaintext);
+                $written += strlen($plaintext);
+            } while ($tag !== SODIUM_CRYPTO_SECRETSTREAM_XCHACHA20POLY1305_TAG_FINAL);
+
+            if ($this->read_bytes($source, 1) !== '') {
+                throw new Exception('The file has data after its final chunk.');
+            }
+        } catch (Exception $e) {
+            fclose($source);
+            if ($target) {
+                fclose($target);
+                @unlink($target_path);
+            }
+            throw $e;
+        }
+
+        fclose($source);
+        fclose($target);
+
+        return $written;
+    }
+
+    /**
+     * Check whether a file starts with the header of an encrypted file.
+     *
+     * @param string $path File path.
+     * @return bool Whether the file is encrypted.
+     */
+    public static function is_encrypted_file($path) {
+        $handle = @fopen($path, 'rb');
+        if (!$handle) {
+            return false;
+        }
+        $magic = fread($handle, strlen(self::MAGIC));
+        fclose($handle);
+
+        return $magic === self::MAGIC;
+    }
+
+    /**
+     * Read the encrypted files recorded in a metadata file.
+     *
+     * @param string $metadata_path Path to metadata.json.
+     * @return array Entries with name, size and checksum keyed by hstgr, hstgr_001... and sql, empty if not encrypted.
+     */
+    public function get_encrypted_files($metadata_path) {
+        if (!file_exists($metadata_path)) {
+            return array();
+        }
+
+        $metadata = json_decode(file_get_contents($metadata_path), true);
+        return isset($metadata['encryption']['files']) && is_array($metadata['encryption']['files']) ? $metadata['encryption']['files'] : array();
+    }
+
+    /**
+     * Get the encryption details for the metadata.
+     *
+     * @return array|null Algorithm, key fingerprint, KDF and files, null if the export is not encrypted.
+     */
+    public function get_summary() {
+        $state = $this->load_state();
+        if ($state === null && !$this->is_enabled()) {
+            return null;
+        }
+
+        $source = $state !== null ? $state : $this->get_settings();
+        $files = array();
+        foreach ($state !== null ? $state['files'] : array() as $type => $file) {
+            $files[$type] = array(
+                'name' => $file['target'],
+                'size' => $file['encrypted_size'],
+                'checksum' => $file['checksum'],
+                'plaintext_name' => $file['source'],
+                'plaintext_size' => $file['size'],
+            );
+        }
+
+        return array(
+            'format' => self::MAGIC,
+            'format_version' => self::FORMAT_VERSION,
+            'algorithm' => 'xchacha20poly1305-secretstream',
+            'key_wrapping' => 'x25519-sealed-box',
+            'chunk_size' => self::CHUNK_SIZE,
+            'mode' => $source['mode'],
+            'kdf' => $source['kdf'],
+            'public_key' => $source['public_key'],
+            'fingerprint' => $source['fingerprint'],
+            'checksum_algorithm' => Custom_Migrator_Manifest::ARCHIVE_HASH,
+            'files' => $files,
+        );
+    }
+
+    /**
+     * Remove the state of a previous export and any file it left half encrypted.
+     *
+     * @return void
+     */
+    public function reset() {
+        $state = $this->load_state();
+        if ($state !== null) {
+            foreach ($state['files'] as $file) {
+                $target_path = $this->filesystem->get_export_dir() . '/' . $file['target'];
+                if (!$file['done'] && file_exists($target_path)) {
+                    @unlink($target_path);
+                }
+            }
+        }
+
+        $state_path = $this->get_state_path();
+        if (file_exists($state_path)) {
+            @unlink($state_path);
+        }
+    }
+
+    /**
+     * Encrypt the next chunks of one file.
+     *
+     * @param array      $file     File entry of the state, updated in place.
+     * @param array      $state    Encryption state, for the header.
+     * @param float|null $deadline Time to stop at, null for no limit.
+     * @return bool Whether the file is complete.
+     * @throws Exception If the file cannot be read or written.
+     */
+    private function encrypt_file(&$file, $state, $deadline) {
+        $export_dir = $this->filesystem->get_export_dir();
+
+        $source = @fopen($export_dir . '/' . $file['source'], 'rb');
+        if (!$source) {
+            throw new Exception('Cannot open ' . $file['source'] . ' for encryption.');
+        }
+        $target = @fopen($export_dir . '/' . $file['target'], 'c+b');
+        if (!$target) {
+            fclose($source);
+            throw new Exception('Cannot write ' . $file['target'] . '.');
+        }
+
+        // A request that died mid-chunk leaves bytes past the last saved position
+        ftruncate($target, $file['target_offset']);
+        fseek($target, $file['target_offset']);
+
+        if ($file['stream'] === null) {
+            $file_key = sodium_crypto_secretstream_xchacha20poly1305_keygen();
+            list($stream, $stream_header) = sodium_crypto_secretstream_xchacha20poly1305_init_push($file_key);
+            $this->write_bytes($target, $this->build_header($state, sodium_crypto_box_seal($file_key, base64_decode($state['public_key'])), $stream_header));
+        } else {
+            $stream = base64_decode($file['stream']);
+        }
+
+        fseek($source, $file['offset']);
+
+        do {
+            $chunk = $this->read_bytes($source, self::CHUNK_SIZE);
+            $offset = $file['offset'] + strlen($chunk);
+            $final = $offset >= $file['size'];
+
+            if (!$final && strlen($chunk) < self::CHUNK_SIZE) {
+                fclose($source);
+                fclose($target);
+                throw new Exception($file['source'] . ' changed while it was being encrypted.');
+            }
+
+            $tag = $final ? SODIUM_CRYPTO_SECRETSTREAM_XCHACHA20POLY1305_TAG_FINAL : SODIUM_CRYPTO_SECRETSTREAM_XCHACHA20POLY1305_TAG_MESSAGE;
+            $this->write_bytes($target, sodium_crypto_secretstream_xchacha20poly1305_push($stream, $chunk, '', $tag));
+            $file['offset'] = $offset;
+        } while (!$final
+            && ($deadline === null || microtime(true) < $deadline)
+            && !$this->filesystem->is_cancel_requested()
+            && !$this->filesystem->is_pause_requested());
+
+        fflush($target);
+        $file['target_offset'] = ftell($target);
+        $file['stream'] = base64_encode($stream);
+
+        fclose($source);
+        fclose($target);
+
+        return $final;
+    }
+
+    /**
+     * Remove the plaintext of an encrypted file and store its new name.
+     *
+     * @param string $type Export file type, hstgr, a volume (hstgr_001...) or sql.
+     * @param array  $file File entry of the state.
+     * @return void
+     */
+    private function replace_plaintext($type, $file) {
+        $filenames = get_option('custom_migrator_filenames');
+        if (is_array($filenames) && isset($filenames[$type]) && $filenames[$type] !== $file['target']) {
+            $filenames[$type] = $file['target'];
+            update_option('custom_migrator_filenames', $filenames);
+        }
+
+        $source_path = $this->filesystem->get_export_dir() . '/' . $file['source'];
+        if (file_exists($source_path)) {
+            @unlink($source_path);
+        }
+    }
+
+    /**
+     * Start the state of a new encryption from the current settings and export files.
+     *
+     * @return array Encryption state.
+     */
+    private function create_state() {
+        $settings = $this->get_settings();
+        $file_paths = $this->filesystem->get_export_file_paths();
+        $files = array();
+
+        // Extra archive volumes are encrypted one by one after the first
+        $file_paths = array_merge(
+            array('hstgr' => $file_paths['hstgr']),
+            Custom_Migrator_Volumes::find_volume_paths($file_paths['hstgr']),
+            array('sql' => $file_paths['sql'])
+        );
+
+        foreach ($file_paths as $type => $path) {
+            if (!file_exists($path)) {
+                continue;
+            }
+            $files[$type] = array(
+                'source' => basename($path),
+                'target' => basename($path) . self::FILE_SUFFIX,
+                'size' => filesize($path),
+                'offset' => 0,
+                'target_offset' => 0,
+                'stream' => null,
+                'done' => false,
+                'encrypted_size' => null,
+                'checksum' => null,
+            );
+        }
+
+        return array(
+            'mode' => $settings['mode'],
+            'kdf' => $settings['kdf'],
+            'public_key' => $settings['public_key'],
+            'fingerprint' => $settings['fingerprint'],
+            'started_at' => time(),
+            'complete' => false,
+            'files' => $files,
+        );
+    }
+
+    /**
+     * Add the encryption details to metadata.json.
+     *
+     * @return void
+     * @throws Exception If the metadata file cannot be read or written.
+     */
+    private function update_metadata() {
+        $file_paths = $this->filesystem->get_export_file_paths();
+        $metadata = file_exists($file_paths['metadata']) ? json_decode(file_get_contents($file_paths['metadata']), true) : null;
+        if (!is_array($metadata)) {
+            throw new Exception('Cannot read the metadata file to record the encryption.');
+        }
+
+        $metadata['encryption'] = $this->get_summary();
+
+        // Volumes listed before the encryption now point at their encrypted files
+        if (isset($metadata['volumes']['files'])) {
+            foreach ($metadata['volumes']['files'] as $index => $volume) {
+                $type = Custom_Migrator_Volumes::get_volume_type((int) $volume['volume']);
+                if (isset($metadata['encryption']['files'][$type])) {
+                    $metadata['volumes']['files'][$index]['name'] = $metadata['encryption']['files'][$type]['name'];
+                    $metadata['volumes']['files'][$index]['size'] = $metadata['encryption']['files'][$type]['size'];
+                    $metadata['volumes']['files'][$index]['checksum'] = $metadata['encryption']['files'][$type]['checksum'];
+                }
+            }
+        }
+
+        if (file_put_contents($file_paths['metadata'], wp_json_encode($metadata, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES)) === false) {
+            throw new Exception('Failed to write metadata file');
+        }
+    }
+
+    /**
+     * Build the header of an encrypted file.
+     *
+     * @param array  $state         Encryption state with mode, kdf and fingerprint.
+     * @param string $sealed_key    File key sealed to the public key.
+     * @param string $stream_header Secretstream header.
+     * @return string Header of HEADER_SIZE bytes.
+     */
+    private function build_header($state, $sealed_key, $stream_header) {
+        $kdf_id = self::KDF_NONE;
+        $salt = str_repeat("\0", 16);
+        $params = array(0, 0);
+
+        if (!empty($state['kdf'])) {
+            $salt = base64_decode($state['kdf']['salt']);
+            if ($state['kdf']['algorithm'] === 'argon2id') {
+                $kdf_id = self::KDF_ARGON2ID;
+                $params = array($state['kdf']['opslimit'], $state['kdf']['memlimit']);
+            } else {
+                $kdf_id = self::KDF_PBKDF2;
+                $params = array($state['kdf']['iterations'], 0);
+            }
+        }
+
+        return self::MAGIC
+            . pack('CCNC', self::FORMAT_VERSION, $state['mode'] === 'public_key' ? self::MODE_PUBLIC_KEY : self::MODE_PASSPHRASE, self::CHUNK_SIZE, $kdf_id)
+            . $salt
+            . pack('JJ', $params[0], $params[1])
+            . hex2bin($state['fingerprint'])
+            . $sealed_key
+            . $stream_header;
+    }
+
+    /**
+     * Read and check the header of an encrypted file.
+     *
+     * @param resource $handle File handle at the start of the file.
+     * @return array Header with mode, chunk_size, kdf, fingerprint, sealed_key and stream_header.
+     * @throws Exception If the file is not encrypted or uses an unknown format version.
+     */
+    private function read_header($handle) {
+        $data = $this->read_bytes($handle, self::HEADER_SIZE);
+        if (strlen($data) < self::HEADER_SIZE || substr($data, 0, strlen(self::MAGIC)) !== self::MAGIC) {
+            throw new Exception('This is not an encrypted export file.');
+        }
+
+        $fields = unpack('Cversion/Cmode/Nchunk_size/Ckdf_id', substr($data, 8, 7));
+        if ($fields['version'] !== self::FORMAT_VERSION) {
+            throw new Exception(sprintf('Encryption format version %d is not supported by this version of the plugin.', $fields['version']));
+        }
+        if ($fields['chunk_size'] < 1 || $fields['chunk_size'] > 64 * self::CHUNK_SIZE) {
+            throw new Exception('The header of the file is damaged.');
+        }
+
+        $params = unpack('Jfirst/Jsecond', substr($data, 31, 16));
+        $salt = base64_encode(substr($data, 15, 16));
+        $kdf = null;
+        if ($fields['kdf_id'] === self::KDF_ARGON2ID) {
+            $kdf = array('algorithm' => 'argon2id', 'salt' => $salt, 'opslimit' => $params['first'], 'memlimit' => $params['second']);
+        } elseif ($fields['kdf_id'] === self::KDF_PBKDF2) {
+            $kdf = array('algorithm' => 'pbkdf2-sha256', 'salt' => $salt, 'iterations' => $params['first']);
+        }
+
+        return array(
+            'mode' => $fields['mode'] === self::MODE_PUBLIC_KEY ? 'public_key' : 'passphrase',
+            'chunk_size' => $fields['chunk_size'],
+            'kdf' => $kdf,
+            'fingerprint' => substr($data, 47, 16),
+            'sealed_key' => substr($data, 63, 80),
+            'stream_header' => substr($data, 143, 24),
+        );
+    }
+
+    /**
+     * Get the key pair that opens a file, and check it against the fingerprint of the file.
+     *
+     * @param array  $header   File header.
+     * @param string $key      Passphrase or base64 secret key.
+     * @param string $key_type "passphrase" or "secret_key".
+     * @return string Key pair.
+     * @throws Exception If the key does not belong to the file.
+     */
+    private function get_decryption_keypair($header, $key, $key_type) {
+        if ($key_type === 'passphrase') {
+            if ($header['kdf'] === null) {
+                throw new Exception('This file was encrypted to a public key, decrypt it with the matching secret key.');
+            }
+            $keypair = $this->derive_keypair((string) $key, $header['kdf']);
+        } else {
+            $secret_key = base64_decode(trim((string) $key), true);
+            if ($secret_key === false || strlen($secret_key) !== 32) {
+                throw new Exception('The secret key must be 32 bytes encoded as base64, as printed by wp migrator keygen.');
+            }
+            $keypair = sodium_crypto_box_keypair_from_secretkey_and_publickey($secret_key, sodium_crypto_box_publickey_from_secretkey($secret_key));
+        }
+
+        $fingerprint = sodium_crypto_generichash(sodium_crypto_box_publickey($keypair), '', 16);
+        if (!hash_equals($header['fingerprint'], $fingerprint)) {
+            throw new Exception(sprintf('Wrong %s: its key fingerprint %s does not match the file (%s).', $key_type === 'passphrase' ? 'passphrase' : 'secret key', bin2hex($fingerprint), bin2hex($header['fingerprint'])));
+        }
+
+        return $keypair;
+    }
+
+    /**
+     * Create the KDF parameters for a new passphrase.
+     *
+     * @return array KDF with algorithm, base64 salt and its cost parameters.
+     */
+    private function create_kdf() {
+        $salt = base64_encode(random_bytes(16));
+
+        // sodium_compat has no Argon2id, only the native extension does
+        if (extension_loaded('sodium') && defined('SODIUM_CRYPTO_PWHASH_ALG_ARGON2ID13')) {
+            return array(
+                'algorithm' => 'argon2id',
+                'salt' => $salt,
+                'opslimit' => SODIUM_CRYPTO_PWHASH_OPSLIMIT_INTERACTIVE,
+                'memlimit' => SODIUM_CRYPTO_PWHASH_MEMLIMIT_INTERACTIVE,
+            );
+        }
+
+        return array(
+            'algorithm' => 'pbkdf2-sha256',
+            'salt' => $salt,
+            'iterations' => self::PBKDF2_ITERATIONS,
+        );
+    }
+
+    /**
+     * Derive the key pair of a passphrase.
+     *
+     * @param string $passphrase Passphrase.
+     * @param array  $kdf        KDF parameters.
+     * @return string Key pair.
+     * @throws Exception If the KDF is not available on this server.
+     */
+    private function derive_keypair($passphrase, $kdf) {
+        $salt = base64_decode($kdf['salt']);
+
+        if ($kdf['algorithm'] === 'argon2id') {
+            if (!extension_loaded('sodium')) {
+                throw new Exception('This passphrase key uses Argon2id, which needs the PHP sodium extension.');
+            }
+            $seed = sodium_crypto_pwhash(32, $passphrase, $salt, (int) $kdf['opslimit'], (int) $kdf['memlimit'], SODIUM_CRYPTO_PWHASH_ALG_ARGON2ID13);
+        } else {
+            $seed = hash_pbkdf2('sha256', $passphrase, $salt, (int) $kdf['iterations'], 32, true);
+        }
+
+        return sodium_crypto_box_seed_keypair($seed);
+    }
+
+    /**
+     * Get the fingerprint of a public key.
+     *
+     * @param string $public_key Raw public key.
+     * @return string 32 hex characters.
+     */
+    private function get_fingerprint($public_key) {
+        return bin2hex(sodium_crypto_generichash($public_key, '', 16));
+    }
+
+    /**
+     * Read up to a number of bytes, across short reads.
+     *
+     * @param resource $handle File handle.
+     * @param int      $length Bytes to read.
+     * @return string Data, shorter only at the end of the file.
+     */
+    private function read_bytes($handle, $length) {
+        $data = '';
+        while (strlen($data) < $length && !feof($handle)) {
+            $read = fread($handle, $length - strlen($data));
+            if ($read === false || $read === '') {
+                break;
+            }
+            $data .= $read;
+        }
+
+        return $data;
+    }
+
+    /**
+     * Write all bytes or fail.
+     *
+     * @param resource $handle File handle.
+     * @param string   $data   Data.
+     * @return void
+     * @throws Exception If the data cannot be written, e.g. when the disk is full.
+     */
+    private function write_bytes($handle, $data) {
+        if (fwrite($handle, $data) !== strlen($data)) {
+            throw new Exception('Failed to write the encrypted file, the disk may be full.');
+        }
+    }
+
+    /**
+     * Load the state file.
+     *
+     * @return array|null Encryption state, null if no encryption started.
+     */
+    private function load_state() {
+        $state_path = $this->get_state_path();
+        $state = file_exists($state_path) ? json_decode(file_get_contents($state_path), true) : null;
+
+        return is_array($state) && isset($state['files']) ? $state : null;
+    }
+
+    /**
+     * Save the state file.
+     *
+     * @param array $state Encryption state.
+     * @return void
+     */
+    private function save_state($state) {
+        $state_path = $this->get_state_path();
+        $this->filesystem->write_json_atomic($state_path, $state);
+    }
+}
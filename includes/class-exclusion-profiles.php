@@ -0,0 +1,690 @@
+<?php
+/**
+ * The class responsible for user-configured export exclusions.
+ *
+ * @package CustomMigrator
+ */
+
+/**
+ * Exclusion profiles class.
+ *
+ * Stores named sets of exclusion rules (wp-content directories, glob patterns,
+ * a maximum file size, skipped tables and structure-only tables) and feeds the
+ * active set into the exclusion filters used by the file enumerator and the
+ * database exporter, so regular and fallback exports apply the same rules.
+ * Also runs the resumable scan behind the live size preview.
+ */
+class Custom_Migrator_Exclusion_Profiles {
+
+    /**
+     * Option holding the saved profiles.
+     */
+    const OPTION_NAME = 'custom_migrator_exclusion_profiles';
+
+    /**
+     * Largest per-file limit a profile can set (100 GB); version 2 archive headers store sizes in 64 bits.
+     */
+    const MAX_FILE_SIZE_LIMIT_MB = 102400;
+
+    /**
+     * Maximum number of saved profiles.
+     */
+    const MAX_PROFILES = 20;
+
+    /**
+     * Rules used instead of the active profile while a preview scan or a WP-CLI export runs.
+     *
+     * @var array|null
+     */
+    private static $override_rules = null;
+
+    /**
+     * Profile name reported for the override rules.
+     *
+     * @var string|null
+     */
+    private static $override_profile = null;
+
+    /**
+     * The filesystem handler.
+     *
+     * @var Custom_Migrator_Filesystem
+     */
+    private $filesystem;
+
+    /**
+     * Constructor.
+     *
+     * @param Custom_Migrator_Filesystem|null $filesystem Optional filesystem instance.
+     */
+    public function __construct($filesystem = null) {
+        $this->filesystem = $filesystem ? $filesystem : new Custom_Migrator_Filesystem();
+    }
+
+    /**
+     * Hook the active rules into the export exclusion filters.
+     *
+     * @return void
+     */
+    public function register_hooks() {
+        add_filter('custom_migrator_export_exclusion_paths', array($this, 'filter_exclusion_paths'));
+        add_filter('custom_migrator_export_exclusion_globs', array($this, 'filter_exclusion_globs'));
+        add_filter('custom_migrator_max_file_size', array($this, 'filter_max_file_size'));
+        add_filter('custom_migrator_export_excluded_tables', array($this, 'filter_excluded_tables'));
+        add_filter('custom_migrator_export_data_excluded_tables', array($this, 'filter_data_excluded_tables'));
+    }
+
+    /**
+     * Get all saved profiles.
+     *
+     * @return array Array with the active profile name and the profiles keyed by name.
+     */
+    public function get_profiles() {
+        $stored = get_option(self::OPTION_NAME, array());
+
+        $profiles = array();
+        if (!empty($stored['profiles']) && is_array($stored['profiles'])) {
+            foreach ($stored['profiles'] as $name => $rules) {
+                $profiles[(string) $name] = self::sanitize_rules($rules);
+            }
+        }
+
+        $active = isset($stored['active']) ? (string) $stored['active'] : '';
+        if (!isset($profiles[$active])) {
+            $active = '';
+        }
+
+        return array(
+            'active' => $active,
+            'profiles' => $profiles,
+        );
+    }
+
+    /**
+     * Get the rules that apply to the next export.
+     *
+     * @return array Sanitized rules, empty when no profile is active.
+     */
+    public function get_active_rules() {
+        if (self::$override_rules !== null) {
+            return self::$override_rules;
+        }
+
+        $stored = $this->get_profiles();
+        if ($stored['active'] === '') {
+            return self::sanitize_rules(array());
+        }
+
+        return $stored['profiles'][$stored['active']];
+    }
+
+    /**
+     * Use the given rules instead of the active profile for the rest of this request.
+     *
+     * @param array       $rules        Raw rules.
+     * @param string|null $profile_name Profile name to report in the metadata.
+     * @return array Sanitized rules.
+     */
+    public function use_rules($rules, $profile_name = null) {
+        self::$override_rules = self::sanitize_rules($rules);
+        self::$override_profile = $profile_name !== null && $profile_name !== '' ? (string) $profile_name : null;
+
+        return self::$override_rules;
+    }
+
+    /**
+     * Save a profile, replacing one with the same name.
+     *
+     * @param string $name  Profile name.
+     * @param array  $rules Raw rules.
+     * @return array Updated profiles.
+     * @throws Exception If the name is empty or too many profiles exist.
+     */
+    public function save_profile($name, $rules) {
+        $name = self::sanitize_name($name);
+        if ($name === '') {
+            throw new Exception('Please enter a profile name.');
+        }
+
+        $stored = $this->get_profiles();
+        if (!isset($stored['profiles'][$name]) && count($stored['profiles']) >= self::MAX_PROFILES) {
+            throw new Exception('You can save up to ' . self::MAX_PROFILES . ' profiles. Delete one first.');
+        }
+
+        $stored['profiles'][$name] = self::sanitize_rules($rules);
+        $this->store($stored);
+
+        $this->filesystem->log('Exclusion profile saved: ' . $name);
+        return $stored;
+    }
+
+    /**
+     * Delete a profile. Deleting the active profile leaves no profile active.
+     *
+     * @param string $name Profile name.
+     * @return array Updated profiles.
+     * @throws Exception If the profile does not exist.
+     */
+    public function delete_profile($name) {
+        $name = self::sanitize_name($name);
+        $stored = $this->get_profiles();
+
+        if (!isset($stored['profiles'][$name])) {
+            throw new Exception('Profile not found.');
+        }
+
+        unset($stored['profiles'][$name]);
+        if ($stored['active'] === $name) {
+            $stored['active'] = '';
+        }
+        $this->store($stored);
+
+        $this->filesystem->log('Exclusion profile deleted: ' . $name);
+        return $stored;
+    }
+
+    /**
+     * Choose the profile used by exports. An empty name uses the default exclusions only.
+     *
+     * @param string $name Profile name.
+     * @return array Updated profiles.
+     * @throws Exception If the profile does not exist.
+     */
+    public function activate_profile($name) {
+        $name = self::sanitize_name($name);
+        $stored = $this->get_profiles();
+
+        if ($name !== '' && !isset($stored['profiles'][$name])) {
+            throw new Exception('Profile not found.');
+        }
+
+        $stored['active'] = $name;
+        $this->store($stored);
+
+        $this->filesystem->log('Exclusion profile activated: ' . ($name !== '' ? $name : '(defaults only)'));
+        return $stored;
+    }
+
+    /**
+     * Describe the active rules for the export metadata.
+     *
+     * @return array Profile name and rules.
+     */
+    public function get_summary() {
+        $rules = $this->get_active_rules();
+
+        if (self::$override_rules !== null) {
+            $profile = self::$override_profile;
+        } else {
+            $stored = $this->get_profiles();
+            $profile = $stored['active'] !== '' ? $stored['active'] : null;
+        }
+
+        return array(
+            'profile' => $profile,
+            'directories' => $rules['directories'],
+            'patterns' => $rules['patterns'],
+            'max_file_size' => Custom_Migrator_File_Enumerator::get_max_file_size(),
+            'tables' => $rules['tables'],
+            'table_data' => $rules['table_data'],
+        );
+    }
+
+    /**
+     * List the sub-directories of a wp-content directory for the checkbox tree.
+     *
+     * @param string $relative_dir Directory relative to wp-content, empty for the root.
+     * @return array Directories with name, path, has_children and default_excluded.
+     * @throws Exception If the directory is outside wp-content or cannot be read.
+     */
+    public function list_directories($relative_dir) {
+        $relative_dir = self::sanitize_relative_path($relative_dir);
+        if ($relative_dir === false) {
+            throw new Exception('Invalid directory.');
+        }
+
+        $base = WP_CONTENT_DIR . ($relative_dir !== '' ? '/' . $relative_dir : '');
+        $entries = @scandir($base);
+        if ($entries === false) {
+            throw new Exception('Cannot read directory: ' . ($relative_dir !== '' ? $relative_dir : 'wp-content'));
+        }
+
+        // Compare against the defaults only, the profile being edited is shown by the checkboxes
+        $default_prefixes = array();
+        foreach ($this->get_default_exclusion_paths() as $path) {
+            $default_prefixes[] = rtrim($path, '/') . '/';
+        }
+
+        $directories = array();
+        foreach ($entries as $entry) {
+            if ($entry === '.' || $entry === '..') {
+                continue;
+            }
+
+            $path = $base . '/' . $entry;
+            if (!is_dir($path) || is_link($path)) {
+                continue;
+            }
+
+            $default_excluded = false;
+            foreach ($default_prefixes as $prefix) {
+                if (strpos($path . '/', $prefix) === 0) {
+                    $default_excluded = true;
+                    break;
+                }
+            }
+
+            $directories[] = array(
+                'name' => $entry,
+                'path' => ($relative_dir !== '' ? $relative_dir . '/' : '') . $entry,
+                'has_children' => $this->has_subdirectories($path),
+                'default_excluded' => $default_excluded,
+            );
+        }
+
+        usort($directories, function ($a, $b) {
+            return strcasecmp($a['name'], $b['name']);
+        });
+
+        return $directories;
+    }
+
+    /**
+     * Get the path to the preview state file.
+     *
+     * @return string State file path.
+     */
+    public function get_preview_file_path() {
+        return $this->filesystem->get_export_dir() . '/exclusion-preview.json';
+    }
+
+    /**
+     * Load the preview state.
+     *
+     * @return array|null State or null when no preview has run.
+     */
+    public function load_preview() {
+        $state_file = $this->get_preview_file_path();
+        if (!file_exists($state_file)) {
+            return null;
+        }
+
+        $state = json_decode(file_get_contents($state_file), true);
+        return is_array($state) ? $state : null;
+    }
+
+    /**
+     * Start a preview scan for a set of rules.
+     *
+     * @param array $rules Raw rules being edited.
+     * @return array Fresh state.
+     */
+    public function start_preview($rules) {
+        $this->filesystem->create_export_dir();
+
+        $enumerator = new Custom_Migrator_File_Enumerator($this->filesystem);
+
+        $state = array(
+            'phase' => 'files',
+            'rules' => self::sanitize_rules($rules),
+            'queue' => array($enumerator->get_source_dir()),
+            'included' => array('count' => 0, 'size' => 0),
+            'excluded' => array('count' => 0, 'size' => 0),
+            'oversized' => array('count' => 0, 'size' => 0),
+            'excluded_dirs' => array(),
+            'excluded_dirs_measured' => 0,
+        );
+
+        $this->save_preview($state);
+        return $state;
+    }
+
+    /**
+     * Continue the preview scan for up to the given number of seconds.
+     *
+     * The rules being edited temporarily replace the active profile, so the scan
+     * goes through exactly the same exclusion code as an export.
+     *
+     * @param int $time_budget Seconds to spend in this request.
+     * @return array Updated state.
+     * @throws Exception If no preview was started.
+     */
+    public function run_preview_slice($time_budget = 5) {
+        $state = $this->load_preview();
+        if (!$state) {
+            throw new Exception('No preview in progress');
+        }
+
+        $start_time = microtime(true);
+
+        self::$override_rules = $state['rules'];
+        Custom_Migrator_Helper::reset_exclusion_paths();
+        Custom_Migrator_Helper::reset_compiled_exclusions();
+
+        try {
+            if ($state['phase'] === 'files') {
+                $enumerator = new Custom_Migrator_File_Enumerator($this->filesystem);
+                $finished = $enumerator->scan_resumable($state['queue'], $time_budget, function ($type, $path, $size) use (&$state) {
+                    if ($type === 'file') {
+                        $state['included']['count']++;
+                        $state['included']['size'] += $size;
+                    } elseif ($type === 'too_large') {
+                        $state['oversized']['count']++;
+                        $state['oversized']['size'] += $size;
+                    } elseif ($type === 'excluded') {
+                        $state['excluded']['count']++;
+                        $state['excluded']['size'] += $size;
+                    } elseif ($type === 'excluded_dir') {
+                        $state['excluded_dirs'][] = array('path' => $path, 'size' => null);
+                    }
+                }, array('log_errors' => false));
+
+                if ($finished) {
+                    $state['phase'] = 'exclusions';
+                }
+            } elseif ($state['phase'] === 'exclusions') {
+                while ($state['excluded_dirs_measured'] < count($state['excluded_dirs'])) {
+                    $index = $state['excluded_dirs_measured'];
+                    $state['excluded_dirs'][$index]['size'] = $this->filesystem->get_directory_size($state['excluded_dirs'][$index]['path']);
+                    $state['excluded_dirs_measured']++;
+
+                    if ((microtime(true) - $start_time) > $time_budget) {
+                        break;
+                    }
+                }
+
+                if ($state['excluded_dirs_measured'] >= count($state['excluded_dirs'])) {
+                    $state['phase'] = 'done';
+                }
+            }
+        } finally {
+            self::$override_rules = null;
+            Custom_Migrator_Helper::reset_exclusion_paths();
+            Custom_Migrator_Helper::reset_compiled_exclusions();
+        }
+
+        $this->save_preview($state);
+        return $state;
+    }
+
+    /**
+     * Build the preview report shown next to the editor.
+     *
+     * @param array $state Preview state.
+     * @return array Report.
+     */
+    public function get_preview_report($state) {
+        $excluded_dirs_size = 0;
+        foreach ($state['excluded_dirs'] as $dir) {
+            $excluded_dirs_size += (int) $dir['size'];
+        }
+
+        return array(
+            'phase' => $state['phase'],
+            'included' => $state['included'],
+            'excluded' => array(
+                'count' => $state['excluded']['count'] + $state['oversized']['count'],
+                'size' => $state['excluded']['size'] + $state['oversized']['size'] + $excluded_dirs_size,
+                'directories' => count($state['excluded_dirs']),
+            ),
+            'oversized' => $state['oversized'],
+            'max_file_size' => $state['rules']['max_file_size_mb'] > 0
+                ? $state['rules']['max_file_size_mb'] * 1048576
+                : Custom_Migrator_File_Enumerator::MAX_FILE_SIZE,
+            'directories_left' => count($state['queue']),
+        );
+    }
+
+    /**
+     * Delete the preview state.
+     *
+     * @return void
+     */
+    public function reset_preview() {
+        $state_file = $this->get_preview_file_path();
+        if (file_exists($state_file)) {
+            @unlink($state_file);
+        }
+    }
+
+    /**
+     * Add the profile directories to the exclusion paths.
+     *
+     * @param array $paths Exclusion paths.
+     * @return array Exclusion paths.
+     */
+    public function filter_exclusion_paths($paths) {
+        foreach ($this->get_active_rules()['directories'] as $directory) {
+            // Trailing slash keeps directories with a dot in their name from being read as files
+            $paths[] = WP_CONTENT_DIR . '/' . $directory . '/';
+        }
+
+        return $paths;
+    }
+
+    /**
+     * Add the profile glob patterns.
+     *
+     * @param array $patterns Glob patterns.
+     * @return array Glob patterns.
+     */
+    public function filter_exclusion_globs($patterns) {
+        return array_merge((array) $patterns, $this->get_active_rules()['patterns']);
+    }
+
+    /**
+     * Apply the profile file size limit.
+     *
+     * @param int $max_file_size Maximum file size in bytes.
+     * @return int Maximum file size in bytes.
+     */
+    public function filter_max_file_size($max_file_size) {
+        $limit_mb = $this->get_active_rules()['max_file_size_mb'];
+
+        return $limit_mb > 0 ? $limit_mb * 1048576 : $max_file_size;
+    }
+
+    /**
+     * Add the tables skipped entirely.
+     *
+     * @param array $tables Table names.
+     * @return array Table names.
+     */
+    public function filter_excluded_tables($tables) {
+        return array_merge((array) $tables, $this->get_active_rules()['tables']);
+    }
+
+    /**
+     * Add the tables exported without rows.
+     *
+     * @param array $tables Table names.
+     * @return array Table names.
+     */
+    public function filter_data_excluded_tables($tables) {
+        return array_merge((array) $tables, $this->get_active_rules()['table_data']);
+    }
+
+    /**
+     * Clean up a set of rules from user input.
+     *
+     * @param mixed $rules Raw rules.
+     * @return array Rules with directories, patterns, max_file_size_mb, tables and table_data.
+     */
+    public static function sanitize_rules($rules) {
+        $rules = is_array($rules) ? $rules : array();
+
+        $directories = array();
+        foreach (self::to_list($rules, 'directories') as $directory) {
+            $directory = self::sanitize_relative_path($directory);
+            if ($directory !== false && $directory !== '') {
+                $directories[] = $directory;
+            }
+        }
+
+        // A directory inside another excluded directory adds nothing
+        sort($directories);
+        $directories = array_values(array_filter($directories, function ($directory) use ($directories) {
+            foreach ($directories as $other) {
+                if ($other !== $directory && strpos($directory . '/', $other . '/') === 0) {
+                    return false;
+                }
+            }
+            return true;
+        }));
+
+        $patterns = array();
+        foreach (self::to_list($rules, 'patterns') as $pattern) {
+            $pattern = trim(str_replace('\\', '/', $pattern), '/ ');
+            if ($pattern === '' || strlen($pattern) > 255 || strpos($pattern, '..') !== false) {
+                continue;
+            }
+
+            // Drop patterns that do not compile, e.g. a reversed [z-a] range
+            if (@preg_match(Custom_Migrator_Helper::compile_glob_patterns(array($pattern)), '') !== false) {
+                $patterns[] = $pattern;
+            }
+        }
+
+        $max_file_size_mb = isset($rules['max_file_size_mb']) ? (int) $rules['max_file_size_mb'] : 0;
+        $max_file_size_mb = max(0, min(self::MAX_FILE_SIZE_LIMIT_MB, $max_file_size_mb));
+
+        $tables = array();
+        foreach (self::to_list($rules, 'tables') as $table) {
+            if (preg_match('/^[0-9A-Za-z_$\-]{1,64}$/', $table)) {
+                $tables[] = $table;
+            }
+        }
+
+        $table_data = array();
+        foreach (self::to_list($rules, 'table_data') as $table) {
+            if (preg_match('/^[0-9A-Za-z_$\-]{1,64}$/', $table) && !in_array($table, $tables, true)) {
+                $table_data[] = $table;
+            }
+        }
+
+        return array(
+            'directories' => $directories,
+            'patterns' => array_values(array_unique($patterns)),
+            'max_file_size_mb' => $max_file_size_mb,
+            'tables' => array_values(array_unique($tables)),
+            'table_data' => array_values(array_unique($table_data)),
+        );
+    }
+
+    /**
+     * Read one list from raw rules.
+     *
+     * @param array  $rules Raw rules.
+     * @param string $key   List key.
+     * @return array List of trimmed strings.
+     */
+    private static function to_list($rules, $key) {
+        if (empty($rules[$key])) {
+            return array();
+        }
+
+        $values = is_array($rules[$key]) ? $rules[$key] : preg_split('/\r\n|\r|\n/', (string) $rules[$key]);
+
+        return array_values(array_filter(array_map(function ($value) {
+            return is_scalar($value) ? trim((string) $value) : '';
+        }, $values), 'strlen'));
+    }
+
+    /**
+     * Clean up a profile name.
+     *
+     * @param string $name Raw name.
+     * @return string Name, empty when invalid.
+     */
+    private static function sanitize_name($name) {
+        return substr(trim(sanitize_text_field((string) $name)), 0, 60);
+    }
+
+    /**
+     * Normalize a path relative to wp-content.
+     *
+     * @param string $path Raw path.
+     * @return string|false Path without leading/trailing slashes, or false if it leaves wp-content.
+     */
+    private static function sanitize_relative_path($path) {
+        $path = trim(str_replace('\\', '/', (string) $path), '/ ');
+        if ($path === '') {
+            return '';
+        }
+
+        foreach (explode('/', $path) as $segment) {
+            if ($segment === '' || $segment === '.' || $segment === '..') {
+                return false;
+            }
+        }
+
+        return $path;
+    }
+
+    /**
+     * Get the built-in exclusion paths without the profile directories.
+     *
+     * @return array Exclusion paths.
+     */
+    private function get_default_exclusion_paths() {
+        self::$override_rules = self::sanitize_rules(array());
+        Custom_Migrator_Helper::reset_exclusion_paths();
+
+        try {
+            return Custom_Migrator_Helper::get_exclusion_paths();
+        } finally {
+            self::$override_rules = null;
+            Custom_Migrator_Helper::reset_exclusion_paths();
+        }
+    }
+
+    /**
+     * Check whether a directory has sub-directories.
+     *
+     * @param string $path Directory path.
+     * @return bool True if at least one sub-directory exists.
+     */
+    private function has_subdirectories($path) {
+        $handle = @opendir($path);
+        if (!$handle) {
+            return false;
+        }
+
+        while (($entry = readdir($handle)) !== false) {
+            if ($entry !== '.' && $entry !== '..' && is_dir($path . '/' . $entry) && !is_link($path . '/' . $entry)) {
+                closedir($handle);
+                return true;
+            }
+        }
+
+        closedir($handle);
+        return false;
+    }
+
+    /**
+     * Save the profiles option.
+     *
+     * @param array $stored Active profile name and profiles.
+     * @return void
+     */
+    private function store($stored) {
+        update_option(self::OPTION_NAME, array(
+            'active' => $stored['active'],
+            'profiles' => $stored['profiles'],
+        ), false);
+    }
+
+    /**
+     * Save the preview state atomically.
+     *
+     * @param array $state Preview state.
+     * @return void
+     */
+    private function save_preview($state) {
+        $state_file = $this->get_preview_file_path();
+
+        $state['updated_at'] = time();
+
+        $this->filesystem->write_json_atomic($state_file, $state);
+    }
+}
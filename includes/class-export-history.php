@@ -0,0 +1,537 @@
+<?php
+/**
+ * The class responsible for the export history.
+ *
+ * @package CustomMigrator
+ */
+
+/**
+ * Export history class.
+ *
+ * Keeps one record per export run (times, mode, counts, sizes, errors and S3
+ * outcome). Before a new run wipes the export directory, the previous run's
+ * log and checksum manifest are moved to history/<run id>/ together with its
+ * archive files when the run finished and the retention policy allows keeping
+ * it. The manifest is always kept so the run can serve as the base of an
+ * incremental export.
+ */
+class Custom_Migrator_Export_History {
+
+    /**
+     * Option holding the run records.
+     */
+    const OPTION_NAME = 'custom_migrator_export_history';
+
+    /**
+     * Option holding the number of finished runs whose archives are kept.
+     */
+    const RETENTION_OPTION = 'custom_migrator_history_retention';
+
+    /**
+     * Archives kept when the user has not chosen a number.
+     */
+    const DEFAULT_RETENTION = 1;
+
+    /**
+     * Largest number of archives that can be kept.
+     */
+    const MAX_RETENTION = 20;
+
+    /**
+     * Number of run records (with their logs) kept in the list.
+     */
+    const MAX_RUNS = 50;
+
+    /**
+     * Export files moved to the history when a run is kept, along with any extra archive volumes.
+     */
+    const ARCHIVE_TYPES = array('hstgr', 'sql', 'metadata', 'deleted');
+
+    /**
+     * Export files moved to the history for every run.
+     */
+    const RECORD_TYPES = array('log', 'structured_log', 'manifest');
+
+    /**
+     * The filesystem handler.
+     *
+     * @var Custom_Migrator_Filesystem
+     */
+    private $filesystem;
+
+    /**
+     * Constructor.
+     *
+     * @param Custom_Migrator_Filesystem|null $filesystem Optional filesystem instance.
+     */
+    public function __construct($filesystem = null) {
+        $this->filesystem = $filesystem ? $filesystem : new Custom_Migrator_Filesystem();
+    }
+
+    /**
+     * Record the end of the current run when the export status becomes final.
+     *
+     * @param string $status New export status.
+     * @return void
+     */
+    public function handle_status_change($status) {
+        if ($status !== 'done' && $status !== 'cancelled' && strpos($status, 'error') !== 0) {
+            return;
+        }
+
+        $history = $this->load();
+        $index = $this->find_run($history, $history['current']);
+        if ($index === false) {
+            return;
+        }
+
+        $run = &$history['runs'][$index];
+
+        // "done" and "cancelled" are written more than once by some paths; only the first one counts
+        if ($run['status'] === 'done' || $run['status'] === 'cancelled') {
+            return;
+        }
+
+        $file_paths = $this->get_current_file_paths();
+        $progress = new Custom_Migrator_Progress($this->filesystem);
+        $report = $progress->get_report($status);
+        $manifest = new Custom_Migrator_Manifest($this->filesystem);
+        $summary = $manifest->read_summary();
+
+        if ($status === 'done' || $status === 'cancelled') {
+            $run['status'] = $status;
+            $run['error'] = null;
+        } else {
+            $run['status'] = 'error';
+            $run['error'] = trim(substr($status, strlen('error:')));
+        }
+        $run['finished_at'] = time();
+        $run['duration'] = $run['finished_at'] - $run['started_at'];
+        $run['file_count'] = isset($summary['archive']['file_count'])
+            ? (int) $summary['archive']['file_count']
+            : $report['phases']['content']['items_done'];
+        $run['table_count'] = $report['phases']['database']['items_total'];
+        $run['files'] = array();
+
+        foreach ($file_paths as $type => $path) {
+            if (file_exists($path)) {
+                $run['files'][$type] = array('name' => basename($path), 'size' => filesize($path));
+            }
+        }
+
+        $this->save($history);
+    }
+
+    /**
+     * Record the outcome of an S3 upload.
+     *
+     * @param string $status S3 upload status.
+     * @param string $run_id Run whose files were uploaded, empty for the current export.
+     * @return void
+     */
+    public function handle_s3_status_change($status, $run_id = '') {
+        if ($status !== 'done' && strpos($status, 'error') !== 0) {
+            return;
+        }
+
+        $history = $this->load();
+        $index = $this->find_run($history, $run_id !== '' ? $run_id : $history['current']);
+        if ($index === false) {
+            return;
+        }
+
+        $history['runs'][$index]['s3'] = array(
+            'status' => $status === 'done' ? 'done' : 'error',
+            'message' => $status === 'done' ? null : trim(substr($status, strlen('error:'))),
+            'at' => time(),
+        );
+
+        $this->save($history);
+    }
+
+    /**
+     * Start recording a new run, moving the previous run's files into the history first.
+     *
+     * Must be called before the export directory is cleaned and before the
+     * export filenames are regenerated.
+     *
+     * @param string      $mode     Export mode (regular, incremental or fallback).
+     * @param string|null $base_run Run an incremental export is compared against.
+     * @return string New run ID.
+     */
+    public function begin_run($mode, $base_run = null) {
+        $history = $this->load();
+
+        if ($history['current'] !== null) {
+            $this->retire_run($history, $history['current']);
+        }
+
+        $run_id = gmdate('Ymd-His') . '-' . substr(md5(uniqid('', true)), 0, 6);
+
+        array_unshift($history['runs'], array(
+            'id' => $run_id,
+            'mode' => $mode,
+            'base_run' => $base_run,
+            'status' => 'running',
+            'error' => null,
+            'started_at' => time(),
+            'finished_at' => null,
+            'duration' => null,
+            'file_count' => null,
+            'table_count' => null,
+            'files' => array(),
+            's3' => null,
+            'location' => 'current',
+            'kept' => false,
+        ));
+        $history['current'] = $run_id;
+
+        $this->apply_retention($history);
+        $this->save($history);
+
+        return $run_id;
+    }
+
+    /**
+     * Get all runs, newest first, with download URLs for files that still exist.
+     *
+     * @return array Runs.
+     */
+    public function get_runs() {
+        $history = $this->load();
+        $runs = array();
+
+        foreach ($history['runs'] as $run) {
+            $paths = $this->get_run_file_paths($run['id']);
+            $run['current'] = $run['id'] === $history['current'];
+            $run['incremental_base'] = $run['status'] === 'done' && isset($paths['manifest']);
+            $run['urls'] = array();
+
+            foreach ($paths as $type => $path) {
+                $run['urls'][$type] = $this->filesystem->get_download_url($path);
+            }
+
+            $runs[] = $run;
+        }
+
+        return $runs;
+    }
+
+    /**
+     * Get the ID of the run the files in the export directory belong to.
+     *
+     * @return string|null Run ID, null if no run was recorded.
+     */
+    public function get_current_run_id() {
+        $history = $this->load();
+        return $history['current'];
+    }
+
+    /**
+     * Get one run record.
+     *
+     * @param string $run_id Run ID.
+     * @return array|null Run record or null if it does not exist.
+     */
+    public function get_run($run_id) {
+        $history = $this->load();
+        $index = $this->find_run($history, $run_id);
+
+        return $index === false ? null : $history['runs'][$index];
+    }
+
+    /**
+     * Get the existing files of a run keyed by type.
+     *
+     * @param string $run_id Run ID.
+     * @return array File paths; empty if the run or its files are gone.
+     */
+    public function get_run_file_paths($run_id) {
+        $history = $this->load();
+        $index = $this->find_run($history, $run_id);
+        if ($index === false) {
+            return array();
+        }
+
+        $run = $history['runs'][$index];
+        $paths = array();
+
+        if ($run['location'] === 'current') {
+            // Files of the current run are still in the export directory under the option filenames
+            foreach ($this->get_current_file_paths() as $type => $path) {
+                if (file_exists($path)) {
+                    $paths[$type] = $path;
+                }
+            }
+            return $paths;
+        }
+
+        foreach ($run['files'] as $type => $file) {
+            $path = $this->get_run_dir($run_id) . '/' . $file['name'];
+            if (file_exists($path)) {
+                $paths[$type] = $path;
+            }
+        }
+
+        return $paths;
+    }
+
+    /**
+     * Delete a retained run with its files.
+     *
+     * @param string $run_id Run ID.
+     * @return void
+     * @throws Exception If the run does not exist or is the current export.
+     */
+    public function delete_run($run_id) {
+        $history = $this->load();
+        $index = $this->find_run($history, $run_id);
+
+        if ($index === false) {
+            throw new Exception('Export run not found.');
+        }
+        if ($history['runs'][$index]['location'] === 'current') {
+            throw new Exception('The current export cannot be deleted from the history.');
+        }
+
+        $this->delete_directory($this->get_run_dir($run_id));
+        array_splice($history['runs'], $index, 1);
+        $this->save($history);
+
+        $this->filesystem->log('Deleted export run from history: ' . $run_id);
+    }
+
+    /**
+     * Get the number of finished runs whose archives are kept.
+     *
+     * @return int Retention count.
+     */
+    public function get_retention() {
+        return (int) get_option(self::RETENTION_OPTION, self::DEFAULT_RETENTION);
+    }
+
+    /**
+     * Change the retention count and drop archives beyond it right away.
+     *
+     * @param int $retention Number of archives to keep.
+     * @return int Saved retention count.
+     */
+    public function set_retention($retention) {
+        $retention = max(0, min(self::MAX_RETENTION, (int) $retention));
+        update_option(self::RETENTION_OPTION, $retention, false);
+
+        $history = $this->load();
+        $this->apply_retention($history);
+        $this->save($history);
+
+        return $retention;
+    }
+
+    /**
+     * Get the directory holding all retained runs.
+     *
+     * @return string Directory path.
+     */
+    public function get_history_dir() {
+        return $this->filesystem->get_export_dir() . '/history';
+    }
+
+    /**
+     * Get the directory of one run.
+     *
+     * @param string $run_id Run ID.
+     * @return string Directory path.
+     */
+    public function get_run_dir($run_id) {
+        return $this->get_history_dir() . '/' . $run_id;
+    }
+
+    /**
+     * Move the files of a run out of the export directory before it is cleaned.
+     *
+     * The log and manifest are always kept; archive files only for finished runs while retention allows.
+     *
+     * @param array  $history History data, updated in place.
+     * @param string $run_id  Run ID.
+     * @return void
+     */
+    private function retire_run(&$history, $run_id) {
+        $index = $this->find_run($history, $run_id);
+        $history['current'] = null;
+        if ($index === false) {
+            return;
+        }
+
+        $run = &$history['runs'][$index];
+        if ($run['status'] === 'running') {
+            $run['status'] = 'interrupted';
+            $run['finished_at'] = time();
+            $run['duration'] = $run['finished_at'] - $run['started_at'];
+        }
+
+        $file_paths = $this->get_current_file_paths();
+
+        $types = self::RECORD_TYPES;
+        if ($run['status'] === 'done' && $this->get_retention() > 0) {
+            $types = array_merge($types, array_filter(array_keys($file_paths), array($this, 'is_archive_type')));
+        }
+
+        $run_dir = $this->get_run_dir($run_id);
+        if (!file_exists($run_dir) && !wp_mkdir_p($run_dir)) {
+            $this->filesystem->log('Cannot create history directory: ' . $run_dir);
+            $run['location'] = 'deleted';
+            return;
+        }
+        $this->protect_directory($this->get_history_dir());
+
+        $run['files'] = array();
+        foreach ($types as $type) {
+            $path = $file_paths[$type];
+            if (file_exists($path) && @rename($path, $run_dir . '/' . basename($path))) {
+                $run['files'][$type] = array('name' => basename($path), 'size' => filesize($run_dir . '/' . basename($path)));
+            }
+        }
+
+        $run['location'] = 'history';
+        $run['kept'] = isset($run['files']['hstgr']);
+    }
+
+    /**
+     * Drop archive files beyond the retention count and records beyond MAX_RUNS.
+     *
+     * @param array $history History data, updated in place.
+     * @return void
+     */
+    private function apply_retention(&$history) {
+        $retention = $this->get_retention();
+        $kept = 0;
+
+        foreach ($history['runs'] as &$run) {
+            if (empty($run['kept']) || $run['location'] !== 'history') {
+                continue;
+            }
+
+            $kept++;
+            if ($kept <= $retention) {
+                continue;
+            }
+
+            foreach (array_keys($run['files']) as $type) {
+                if ($this->is_archive_type($type)) {
+                    @unlink($this->get_run_dir($run['id']) . '/' . $run['files'][$type]['name']);
+                    unset($run['files'][$type]);
+                }
+            }
+            $run['kept'] = false;
+            $this->filesystem->log('Retention: removed archive files of export run ' . $run['id']);
+        }
+        unset($run);
+
+        while (count($history['runs']) > self::MAX_RUNS) {
+            $oldest = array_pop($history['runs']);
+            $this->delete_directory($this->get_run_dir($oldest['id']));
+        }
+    }
+
+    /**
+     * Get the paths of the current export files, including the sidecars kept in the history.
+     *
+     * @return array File paths keyed by type, extra archive volumes as hstgr_001...
+     */
+    private function get_current_file_paths() {
+        $file_paths = $this->filesystem->get_export_file_paths();
+        $file_paths = array_merge($file_paths, Custom_Migrator_Volumes::find_volume_paths($file_paths['hstgr']));
+        $file_paths['structured_log'] = $this->filesystem->get_structured_log_file_path();
+        $file_paths['manifest'] = $this->filesystem->get_manifest_file_path();
+        $file_paths['deleted'] = $this->filesystem->get_archive_sidecar_path('deleted', 'txt');
+
+        return $file_paths;
+    }
+
+    /**
+     * Check whether a file type is only kept while retention allows.
+     *
+     * @param string $type File type.
+     * @return bool Whether it is one of ARCHIVE_TYPES or an extra archive volume.
+     */
+    private function is_archive_type($type) {
+        return in_array($type, self::ARCHIVE_TYPES, true) || Custom_Migrator_Volumes::is_volume_type($type);
+    }
+
+    /**
+     * Find a run by ID.
+     *
+     * @param array       $history History data.
+     * @param string|null $run_id  Run ID.
+     * @return int|false Index in the runs list or false.
+     */
+    private function find_run($history, $run_id) {
+        if ($run_id === null || $run_id === '') {
+            return false;
+        }
+
+        foreach ($history['runs'] as $index => $run) {
+            if ($run['id'] === $run_id) {
+                return $index;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Add an index.php to a directory so it cannot be listed.
+     *
+     * @param string $dir Directory path.
+     * @return void
+     */
+    private function protect_directory($dir) {
+        if (!file_exists($dir . '/index.php')) {
+            file_put_contents($dir . '/index.php', "<?php\n// Silence is golden.");
+        }
+    }
+
+    /**
+     * Delete a run directory with its files.
+     *
+     * @param string $dir Directory path.
+     * @return void
+     */
+    private function delete_directory($dir) {
+        if (!is_dir($dir)) {
+            return;
+        }
+
+        foreach (scandir($dir) as $item) {
+            if ($item !== '.' && $item !== '..') {
+                @unlink($dir . '/' . $item);
+            }
+        }
+
+        @rmdir($dir);
+    }
+
+    /**
+     * Load the history option.
+     *
+     * @return array History with current run ID and runs.
+     */
+    private function load() {
+        $history = get_option(self::OPTION_NAME, array());
+
+        return array(
+            'current' => isset($history['current']) ? $history['current'] : null,
+            'runs' => isset($history['runs']) && is_array($history['runs']) ? $history['runs'] : array(),
+        );
+    }
+
+    /**
+     * Save the history option.
+     *
+     * @param array $history History data.
+     * @return void
+     */
+    private function save($history) {
+        update_option(self::OPTION_NAME, $history, false);
+    }
+}
@@ -26,6 +26,41 @@ class Custom_Migrator_Exporter {
      */
     private $metadata;
 
+    /**
+     * The progress tracker.
+     *
+     * @var Custom_Migrator_Progress
+     */
+    private $progress;
+
+    /**
+     * The checksum manifest writer.
+     *
+     * @var Custom_Migrator_Manifest
+     */
+    private $manifest;
+
+    /**
+     * The incremental export handler.
+     *
+     * @var Custom_Migrator_Incremental_Export
+     */
+    private $incremental;
+
+    /**
+     * The encryption handler.
+     *
+     * @var Custom_Migrator_Encryption
+     */
+    private $encryption;
+
+    /**
+     * The archive volume handler.
+     *
+     * @var Custom_Migrator_Volumes
+     */
+    private $volumes;
+
     /**
      * The file extension for exported content.
      * 
@@ -40,6 +75,20 @@ class Custom_Migrator_Exporter {
      */
     private $exclusion_paths = [];
 
+    /**
+     * Whether batches run back to back in this process, e.g. under WP-CLI.
+     *
+     * @var bool
+     */
+    private $foreground = false;
+
+    /**
+     * Format version of the archive being written, 1 when resuming an archive started by an older version.
+     *
+     * @var int
+     */
+    private $archive_version = Custom_Migrator_Helper::ARCHIVE_VERSION;
+
 
 
     /**
@@ -57,11 +106,29 @@ class Custom_Migrator_Exporter {
         $this->filesystem = new Custom_Migrator_Filesystem();
         // Note: Database export now uses unified Custom_Migrator_Database_Exporter
         $this->metadata = new Custom_Migrator_Metadata();
+        $this->progress = new Custom_Migrator_Progress($this->filesystem);
+        $this->manifest = new Custom_Migrator_Manifest($this->filesystem);
+        $this->incremental = new Custom_Migrator_Incremental_Export($this->filesystem);
+        $this->encryption = new Custom_Migrator_Encryption($this->filesystem);
+        $this->volumes = new Custom_Migrator_Volumes($this->filesystem);
 
         // Define exclusion paths
         $this->set_exclusion_paths();
     }
 
+    /**
+     * Run content batches in the foreground.
+     *
+     * A paused batch then returns 'paused' to the caller instead of scheduling
+     * a resume request and ending the PHP process.
+     *
+     * @param bool $foreground Whether the caller runs the next batch itself.
+     * @return void
+     */
+    public function set_foreground($foreground) {
+        $this->foreground = (bool) $foreground;
+    }
+
     /**
      * Set paths to be excluded from export.
      */
@@ -72,6 +139,8 @@ class Custom_Migrator_Exporter {
 
     /**
      * Run the export process with database export protection.
+     *
+     * @return mixed True when done or paused, 'cancelled' if the export was cancelled, false on error.
      */
     public function export() {
         $this->setup_execution_environment();
@@ -93,8 +162,21 @@ class Custom_Migrator_Exporter {
         }
 
         try {
+            // Only the encryption of the finished files is left
+            if ($this->encryption->is_in_progress()) {
+                return $this->encrypt_export_files();
+            }
+
             if (!$is_resuming) {
+                // Table checksums go into the manifest so a later incremental export can skip unchanged tables
+                $table_checksums = $this->incremental->get_table_checksums();
+                $this->manifest->save_table_checksums($table_checksums);
+                if ($this->incremental->is_active()) {
+                    $this->incremental->compare_tables($table_checksums);
+                }
+
                 $this->filesystem->log('Generating metadata...');
+                $this->progress->start_phase('metadata');
                 
                 // Use unified metadata generation with regular export configuration
                 $metadata_options = array(
@@ -108,13 +190,16 @@ class Custom_Migrator_Exporter {
                 if (!$result) {
                     throw new Exception('Metadata generation failed');
                 }
+                $this->progress->complete_phase('metadata');
             }
 
             // CRITICAL FIX: Only run database export on fresh start, never when resuming file export
             if (!$is_resuming) {
                 // Fresh start: check if database export is needed
                 if (!$this->is_database_export_complete($sql_file)) {
-                    $this->safe_database_export($sql_file);
+                    if ($this->safe_database_export($sql_file) === 'cancelled') {
+                        return 'cancelled';
+                    }
                 } else {
                     $this->filesystem->log('Database export already complete, skipping');
                 }
@@ -129,8 +214,12 @@ class Custom_Migrator_Exporter {
             if ($content_export_result === 'paused') {
                 return true;
             }
+            if ($content_export_result === 'cancelled') {
+                return 'cancelled';
+            }
             
             $this->filesystem->log('wp-content files exported successfully');
+            $this->progress->start_phase('finalize');
 
             // CRITICAL: Validate all required files exist before marking export as done
             $missing_files = Custom_Migrator_Helper::validate_export_files($file_paths);
@@ -145,6 +234,14 @@ class Custom_Migrator_Exporter {
                 @unlink($resume_info_file);
             }
 
+            $this->manifest->finalize($hstgr_file, $sql_file);
+            $this->volumes->update_metadata();
+
+            if ($this->encryption->is_enabled()) {
+                return $this->encrypt_export_files();
+            }
+
+            $this->progress->complete_phase('finalize');
             $this->filesystem->write_status('done');
             $this->filesystem->log('Export completed successfully');
             
@@ -162,6 +259,37 @@ class Custom_Migrator_Exporter {
         }
     }
 
+    /**
+     * Encrypt the finished export files, one time budget per request.
+     *
+     * @return mixed True when done or paused, 'cancelled' if the export was cancelled.
+     * @throws Exception If a file cannot be encrypted.
+     */
+    private function encrypt_export_files() {
+        $this->filesystem->write_status('encrypting');
+        $result = $this->encryption->encrypt_export_files($this->foreground ? 0 : 20);
+
+        if ($result === 'cancelled') {
+            return 'cancelled';
+        }
+        if ($result === 'paused') {
+            $this->filesystem->write_status('paused_by_user');
+            return true;
+        }
+        if ($result === 'continue') {
+            if (!$this->foreground) {
+                $this->schedule_immediate_resume();
+            }
+            return true;
+        }
+
+        $this->progress->complete_phase('finalize');
+        $this->filesystem->write_status('done');
+        $this->filesystem->log('Export completed successfully');
+
+        return true;
+    }
+
     /**
      * Setup execution environment.
      */
@@ -203,6 +331,10 @@ class Custom_Migrator_Exporter {
         $archive_offset = isset($resume_data['archive_offset']) ? $resume_data['archive_offset'] : 0;
         $files_processed = isset($resume_data['files_processed']) ? $resume_data['files_processed'] : 0;
         $bytes_processed = isset($resume_data['bytes_processed']) ? $resume_data['bytes_processed'] : 0;
+        $manifest_offset = isset($resume_data['manifest_offset']) ? $resume_data['manifest_offset'] : 0;
+        $files_unchanged = isset($resume_data['files_unchanged']) ? $resume_data['files_unchanged'] : 0;
+        $volume = isset($resume_data['volume']) ? (int) $resume_data['volume'] : 0;
+        $is_incremental = $this->incremental->is_active();
         
         $is_resuming = $csv_offset > 0 || $archive_offset > 0;
         
@@ -219,7 +351,19 @@ class Custom_Migrator_Exporter {
         // Step 1: Enumerate files into CSV for efficient processing
         if (!$is_resuming && !file_exists($content_list_file)) {
             $this->filesystem->log('Phase 1: Enumerating files into CSV for optimized processing');
-            $this->enumerate_content_files($content_list_file);
+            $stats = $this->enumerate_content_files($content_list_file);
+            
+            if ($this->incremental->is_active()) {
+                $this->incremental->write_deleted_paths($content_list_file);
+            }
+            
+            $this->progress->start_phase('content', array(
+                'items_total' => (int) $stats['files_found'],
+                'bytes_total' => (int) $stats['total_size'],
+            ));
+        } else {
+            // Totals recorded at enumeration time are kept on resume
+            $this->progress->start_phase('content');
         }
         
         // Step 2: Process files from CSV (ONE FILE AT A TIME)
@@ -236,14 +380,34 @@ class Custom_Migrator_Exporter {
             fseek($csv_handle, $csv_offset);
         }
         
-        // Open archive file
+        // Open archive file, or the volume a resumed export was writing
         $archive_mode = $archive_offset > 0 ? 'ab' : 'wb';
-        $archive_handle = fopen($hstgr_file, $archive_mode);
+        if ($archive_mode === 'wb') {
+            $volume = 0;
+            $this->volumes->delete_volumes($hstgr_file);
+        }
+        $volume_file = Custom_Migrator_Volumes::get_volume_path($hstgr_file, $volume);
+        $archive_handle = fopen($volume_file, $archive_mode);
         if (!$archive_handle) {
             fclose($csv_handle);
             throw new Exception('Cannot create or open archive file');
         }
         
+        // A new archive starts with the format preamble, a resumed one keeps the format it was started in
+        if ($archive_mode === 'wb') {
+            $this->archive_version = Custom_Migrator_Helper::ARCHIVE_VERSION;
+            $data_offset = Custom_Migrator_Helper::ARCHIVE_PREAMBLE_SIZE;
+            if (fwrite($archive_handle, Custom_Migrator_Helper::create_archive_preamble()) !== Custom_Migrator_Helper::ARCHIVE_PREAMBLE_SIZE) {
+                fclose($csv_handle);
+                fclose($archive_handle);
+                throw new Exception('Cannot write archive file');
+            }
+        } else {
+            $archive_format = Custom_Migrator_Helper::get_archive_format($volume_file);
+            $this->archive_version = $archive_format['version'];
+            $data_offset = $archive_format['data_offset'];
+        }
+        
         // CRITICAL FIX: Don't seek when using append mode!
         // Append mode ('ab') automatically positions at end of file
         // The fseek() was causing corruption by seeking to wrong position
@@ -251,9 +415,14 @@ class Custom_Migrator_Exporter {
         //     fseek($archive_handle, $archive_offset);
         // }
         
+        // Checksum manifest is truncated back to the last saved batch on resume
+        $this->manifest->open($archive_offset > 0 ? $manifest_offset : 0);
+        
         // Start precise timing for optimal resource management
         $start = microtime(true);
         $completed = true;
+        $cancelled = false;
+        $pause_requested = false;
         
         // Track files processed in this batch for accurate rate calculation
         $files_processed_this_batch = 0;
@@ -288,12 +457,52 @@ class Custom_Migrator_Exporter {
                 ];
                 
                 $total_files_attempted++;
-                $result = $this->add_file_to_archive($archive_handle, $file_info);
+                
+                $unchanged = $is_incremental ? $this->incremental->find_unchanged_file($relative_path, $file_path, $file_size, $file_mtime) : null;
+                
+                // ftell() is unreliable in append mode, the archive size is the header offset
+                $archive_stat = fstat($archive_handle);
+                
+                // Volumes are only split between entries
+                if ($unchanged === null && $this->volumes->needs_new_volume($archive_stat['size'], $data_offset, Custom_Migrator_Helper::get_binary_block_size($this->archive_version) + $file_size)) {
+                    $volume_file = $this->volumes->start_volume($hstgr_file, $volume + 1);
+                    $volume_handle = fopen($volume_file, 'ab');
+                    if (!$volume_handle) {
+                        throw new Exception('Cannot open archive volume ' . basename($volume_file));
+                    }
+                    fclose($archive_handle);
+                    $archive_handle = $volume_handle;
+                    $volume++;
+                    $this->archive_version = Custom_Migrator_Helper::ARCHIVE_VERSION;
+                    $data_offset = Custom_Migrator_Helper::ARCHIVE_PREAMBLE_SIZE;
+                    $archive_stat = fstat($archive_handle);
+                }
+                $header_offset = $archive_stat['size'];
+                
+                if ($unchanged !== null) {
+                    // Unchanged since the base export: listed in the manifest but left out of the delta archive
+                    $this->manifest->add_base_file($relative_path, $unchanged);
+                    $files_unchanged++;
+                    $result = array('success' => true, 'bytes' => $unchanged['size'], 'unchanged' => true);
+                } else {
+                    $result = $this->add_file_to_archive($archive_handle, $file_info);
+                }
                 
                 if ($result['success']) {
+                    if (empty($result['unchanged'])) {
+                        $this->manifest->add_file($relative_path, $header_offset, $result['bytes'], $result['mtime'], $result['hash'], $volume);
+                    }
+                    
                     $files_processed++;
                     $files_processed_this_batch++;
                     $bytes_processed += $result['bytes'];
+                    
+                    // Throttled internally, so this is cheap to call per file
+                    $this->progress->update_phase('content', array(
+                        'items_done' => $files_processed,
+                        'bytes_done' => $bytes_processed,
+                        'current_item' => $relative_path,
+                    ), false);
                 } else {
                     // CRITICAL: Track failed files and their impact
                     $files_failed++;
@@ -364,30 +573,47 @@ class Custom_Migrator_Exporter {
                     $last_lve_files = $files_processed;
                 }
                 
+                // Cancel and pause requests take effect between files, never inside one
+                if ($this->filesystem->is_cancel_requested()) {
+                    $cancelled = true;
+                    $completed = false;
+                    break;
+                }
+                $pause_requested = $this->filesystem->is_pause_requested();
+                
                 // Check adaptive timeout after each file
-                if ((microtime(true) - $start) > $adaptive_timeout) {
+                if ($pause_requested || (microtime(true) - $start) > $adaptive_timeout) {
                     $elapsed = microtime(true) - $start;
                     
-                    $this->filesystem->log(sprintf(
-                        "⏰ Batch complete: Processed %d files in %.1fs using %s (timeout=%ds)",
-                        $files_processed_this_batch,
-                        $elapsed,
-                        $timeout_info['mode_name'],
-                        $adaptive_timeout
-                    ));
+                    if ($pause_requested) {
+                        $this->filesystem->log(sprintf("⏸ Export paused on request after %d files in this batch", $files_processed_this_batch));
+                    } else {
+                        $this->filesystem->log(sprintf(
+                            "⏰ Batch complete: Processed %d files in %.1fs using %s (timeout=%ds)",
+                            $files_processed_this_batch,
+                            $elapsed,
+                            $timeout_info['mode_name'],
+                            $adaptive_timeout
+                        ));
+                    }
                     
                     // Save CSV and archive positions for precise resume
                     $current_csv_offset = ftell($csv_handle);
                     
                     // Archive offset is saved for logging but NOT used for seeking
                     // We use append mode ('ab') which automatically positions at end of file
-                    $current_archive_offset = ftell($archive_handle);
+                    // fstat() rather than ftell(), which reads 0 on a volume just opened for appending
+                    $volume_stat = fstat($archive_handle);
+                    $current_archive_offset = $volume_stat['size'];
                     
                     $this->save_resume_data($resume_info_file, [
                         'csv_offset' => $current_csv_offset,
                         'archive_offset' => $current_archive_offset,
                         'files_processed' => $files_processed,
                         'bytes_processed' => $bytes_processed,
+                        'manifest_offset' => $this->manifest->get_offset(),
+                        'files_unchanged' => $files_unchanged,
+                        'volume' => $volume,
                         'last_update' => time(),
                         'last_restart_time' => time(),
                         'restart_count' => (isset($resume_data['restart_count']) ? $resume_data['restart_count'] : 0) + 1,
@@ -402,16 +628,35 @@ class Custom_Migrator_Exporter {
         } catch (Exception $e) {
             fclose($csv_handle);
             fclose($archive_handle);
+            $this->manifest->close();
             throw new Exception('Single-file processing failed: ' . $e->getMessage());
         }
         
         fclose($csv_handle);
         fclose($archive_handle);
+        $this->manifest->close();
+        
+        // The caller removes the partial archive, nothing is saved for a resume
+        if ($cancelled) {
+            $this->filesystem->log('wp-content export cancelled');
+            return 'cancelled';
+        }
         
         // If not completed, schedule immediate resume and exit
         if (!$completed) {
-            $this->filesystem->write_status('paused');
-            $this->schedule_immediate_resume();
+            $this->progress->update_phase('content', array(
+                'items_done' => $files_processed,
+                'bytes_done' => $bytes_processed,
+            ));
+            if ($pause_requested) {
+                // Resume info is kept; the export waits for the Resume button instead of scheduling itself
+                $this->filesystem->write_status('paused_by_user');
+            } else {
+                $this->filesystem->write_status('paused');
+                if (!$this->foreground) {
+                    $this->schedule_immediate_resume();
+                }
+            }
         } else {
             // Clean up files when completed
             if (file_exists($content_list_file)) {
@@ -443,6 +688,12 @@ class Custom_Migrator_Exporter {
                 $this->filesystem->log('❌ EXPORT VALIDATION FAILED: ' . $error_msg);
                 throw new Exception($error_msg);
             } else {
+                $this->progress->update_phase('content', array(
+                    'items_done' => $files_processed,
+                    'bytes_done' => $bytes_processed,
+                ));
+                $this->progress->complete_phase('content');
+                
                 $total_time = microtime(true) - $start;
                 $failed_info = '';
                 if (isset($files_failed) && $files_failed > 0) {
@@ -457,8 +708,20 @@ class Custom_Migrator_Exporter {
                     $total_time,
                     $failed_info
                 ));
-                $this->filesystem->write_status('done');
-                $this->filesystem->log('Export completed successfully');
+                
+                if ($is_incremental) {
+                    $this->incremental->complete($files_unchanged);
+                    $this->filesystem->log(sprintf(
+                        'Incremental export: %d changed files archived, %d unchanged files skipped',
+                        $files_processed - $files_unchanged,
+                        $files_unchanged
+                    ));
+                }
+                // Foreground exports still have their remaining steps to run
+                if (!$this->foreground) {
+                    $this->filesystem->write_status('done');
+                    $this->filesystem->log('Export completed successfully');
+                }
             }
         }
         
@@ -555,14 +818,14 @@ class Custom_Migrator_Exporter {
         
         // Write full header with real file size immediately (All-in-One's approach)
         try {
-            $block = Custom_Migrator_Helper::create_binary_block($file_name, $file_size, $file_date, $file_dir);
+            $block = Custom_Migrator_Helper::create_binary_block($file_name, $file_size, $file_date, $file_dir, $this->archive_version);
         } catch (Exception $e) {
             $this->filesystem->log("ERROR: " . $e->getMessage());
             fclose($file_handle);
             return ['success' => false, 'bytes' => 0];
         }
         
-        $expected_size = Custom_Migrator_Helper::get_binary_block_size();
+        $expected_size = Custom_Migrator_Helper::get_binary_block_size($this->archive_version);
         
         // Write the full header block
         $header_written = fwrite($archive_handle, $block);
@@ -575,6 +838,7 @@ class Custom_Migrator_Exporter {
         // Copy file content
         $bytes_copied = 0;
         $chunk_size = 256 * 1024; // 256KB chunks
+        $hash_context = hash_init(Custom_Migrator_Manifest::FILE_HASH);
         
         while (!feof($file_handle)) {
             $chunk = fread($file_handle, $chunk_size);
@@ -596,6 +860,7 @@ class Custom_Migrator_Exporter {
                 return ['success' => false, 'bytes' => $bytes_copied];
             }
             
+            hash_update($hash_context, $chunk);
             $bytes_copied += $written;
         }
         
@@ -608,7 +873,12 @@ class Custom_Migrator_Exporter {
             $this->filesystem->log("WARNING: Bytes copied ($bytes_copied) doesn't match file size ($file_size) for: " . basename($file_path));
         }
         
-        return ['success' => true, 'bytes' => $bytes_copied];
+        return [
+            'success' => true,
+            'bytes' => $bytes_copied,
+            'mtime' => $file_date,
+            'hash' => hash_final($hash_context)
+        ];
     }
 
     /**
@@ -788,6 +1058,12 @@ class Custom_Migrator_Exporter {
             @unlink($resume_info_file);
         }
         
+        $table_checksums = $this->incremental->get_table_checksums();
+        $this->manifest->save_table_checksums($table_checksums);
+        if ($this->incremental->is_active()) {
+            $this->incremental->compare_tables($table_checksums);
+        }
+        
         $this->filesystem->log('Export environment prepared');
         return true;
     }
@@ -795,7 +1071,7 @@ class Custom_Migrator_Exporter {
     /**
      * Export only wp-content files (step 2 of step-by-step export).
      * 
-     * @return mixed Success status (true), paused status ('paused'), or false on error.
+     * @return mixed Success status (true), paused status ('paused'), 'cancelled', or false on error.
      */
     public function export_content_only() {
         $this->filesystem->log('Starting wp-content export step');
@@ -803,8 +1079,9 @@ class Custom_Migrator_Exporter {
         $file_paths = $this->filesystem->get_export_file_paths();
         $hstgr_file = $file_paths['hstgr'];
         
-        // Check if .hstgr file already exists and has content
-        if (file_exists($hstgr_file) && filesize($hstgr_file) > 0) {
+        // Check if .hstgr file already exists and has content; a paused archive still has resume info
+        $resume_info_file = $this->filesystem->get_export_dir() . '/export-resume-info.json';
+        if (file_exists($hstgr_file) && filesize($hstgr_file) > 0 && !file_exists($resume_info_file)) {
             $file_size = $this->format_bytes(filesize($hstgr_file));
             $this->filesystem->log("wp-content file already exists ($file_size), skipping content export");
             return true;
@@ -812,9 +1089,9 @@ class Custom_Migrator_Exporter {
         
         $content_export_result = $this->export_wp_content_archive($hstgr_file);
         
-        if ($content_export_result === 'paused') {
-            $this->filesystem->log('wp-content export paused, will continue in next step');
-            return 'paused'; // Return paused status instead of false
+        if ($content_export_result === 'paused' || $content_export_result === 'cancelled') {
+            $this->filesystem->log('wp-content export ' . $content_export_result . ', will continue in next step');
+            return $content_export_result; // Return paused status instead of false
         }
         
         $this->filesystem->log('wp-content export completed');
@@ -824,7 +1101,7 @@ class Custom_Migrator_Exporter {
     /**
      * Export only database (step 3 of step-by-step export) with protection.
      * 
-     * @return bool Success status.
+     * @return mixed Success status (true), or 'cancelled'.
      */
     public function export_database_only() {
         $this->filesystem->log('Starting database export step');
@@ -834,7 +1111,9 @@ class Custom_Migrator_Exporter {
         
         // Use the same safe database export mechanism
         if (!$this->is_database_export_complete($sql_file)) {
-            $this->safe_database_export($sql_file);
+            if ($this->safe_database_export($sql_file) === 'cancelled') {
+                return 'cancelled';
+            }
         } else {
             $this->filesystem->log('Database export already complete, skipping');
         }
@@ -842,12 +1121,62 @@ class Custom_Migrator_Exporter {
         return true;
     }
 
+    /**
+     * Write an archive without entries in place of the wp-content export.
+     *
+     * @return bool Success status.
+     */
+    public function write_empty_archive() {
+        $file_paths = $this->filesystem->get_export_file_paths();
+        $this->filesystem->log('Skipping wp-content export, writing an empty archive');
+
+        if (file_put_contents($file_paths['hstgr'], Custom_Migrator_Helper::create_archive_preamble()) === false) {
+            return false;
+        }
+
+        // Header-only manifest, so finalizing still records the archive checksum
+        if ($this->manifest->open(0)) {
+            $this->manifest->close();
+        }
+
+        $this->progress->start_phase('content', array('items_total' => 0, 'bytes_total' => 0));
+        $this->progress->complete_phase('content');
+
+        return true;
+    }
+
+    /**
+     * Write a database dump without tables in place of the database export.
+     *
+     * @return bool Success status.
+     */
+    public function write_empty_database_dump() {
+        $file_paths = $this->filesystem->get_export_file_paths();
+        $sql_file = $file_paths['sql'];
+        $this->filesystem->log('Skipping database export, writing an empty dump');
+
+        $dump = "-- Hostinger Migrator database export skipped\n-- " . gmdate('c') . "\n";
+        if (substr($sql_file, -3) === '.gz') {
+            $dump = gzencode($dump);
+        }
+
+        if (file_put_contents($sql_file, $dump) === false) {
+            return false;
+        }
+
+        $this->progress->start_phase('database', array('items_total' => 0));
+        $this->progress->complete_phase('database');
+
+        return true;
+    }
+
     /**
      * Generate only metadata (step 4 of step-by-step export).
      * 
+     * @param array $options Metadata options overriding the step-by-step defaults.
      * @return bool Success status.
      */
-    public function generate_metadata_only() {
+    public function generate_metadata_only($options = array()) {
         $this->filesystem->log('Starting metadata generation step');
         
         $file_paths = $this->filesystem->get_export_file_paths();
@@ -860,8 +1189,15 @@ class Custom_Migrator_Exporter {
             'export_type' => 'regular',
             'export_method' => 'step_by_step',
         );
+        $metadata_options = array_merge($metadata_options, $options);
         
-        return $this->metadata->generate_and_save($meta_file, $metadata_options);
+        $this->progress->start_phase('metadata');
+        $result = $this->metadata->generate_and_save($meta_file, $metadata_options);
+        if ($result) {
+            $this->progress->complete_phase('metadata');
+        }
+        
+        return $result;
     }
 
     /**
@@ -977,6 +1313,9 @@ class Custom_Migrator_Exporter {
 
     /**
      * Safely export database with lock mechanism to prevent parallel exports.
+     *
+     * @param string $sql_file Output file path.
+     * @return string|null 'cancelled' if the export was cancelled between tables.
      */
     private function safe_database_export($sql_file) {
         $export_dir = $this->filesystem->get_export_dir();
@@ -1075,6 +1414,11 @@ class Custom_Migrator_Exporter {
             // Execute database export (no resume state for regular export)
             $result = $db_exporter->export($sql_file);
             
+            if (!empty($result['cancelled'])) {
+                $this->filesystem->log('Database export cancelled');
+                return 'cancelled';
+            }
+            
             if (!$result['completed']) {
                 throw new Exception('Database export failed to complete: ' . $result['message']);
             }
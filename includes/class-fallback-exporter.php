@@ -27,13 +27,42 @@ class Custom_Migrator_Fallback_Exporter {
      */
     private $fallback_exclusion_paths;
 
+    /**
+     * The checksum manifest writer.
+     *
+     * @var Custom_Migrator_Manifest
+     */
+    private $manifest;
+
+    /**
+     * The session guarding the unauthenticated fallback requests.
+     *
+     * @var Custom_Migrator_Fallback_Session
+     */
+    private $session;
 
+    /**
+     * Splits the archive into volumes when volume mode is on.
+     *
+     * @var Custom_Migrator_Volumes
+     */
+    private $volumes;
+
+    /**
+     * Format version of the archive being written, 1 when resuming an archive started by an older version.
+     *
+     * @var int
+     */
+    private $archive_version = Custom_Migrator_Helper::ARCHIVE_VERSION;
 
     /**
      * Constructor
      */
     public function __construct() {
         $this->filesystem = new Custom_Migrator_Filesystem();
+        $this->manifest = new Custom_Migrator_Manifest($this->filesystem);
+        $this->session = new Custom_Migrator_Fallback_Session($this->filesystem);
+        $this->volumes = new Custom_Migrator_Volumes($this->filesystem);
         
         // Load the unified database exporter
         require_once dirname(__FILE__) . '/class-database-exporter.php';
@@ -47,13 +76,35 @@ class Custom_Migrator_Fallback_Exporter {
             // Get parameters from AJAX request first
             $step = isset($_POST['step']) ? sanitize_text_field($_POST['step']) : 'init';
             $params = isset($_POST['params']) ? (array) $_POST['params'] : array();
+            $token = isset($_POST['token']) ? sanitize_text_field(wp_unslash($_POST['token'])) : '';
+            Custom_Migrator_Filesystem::set_log_phase('fallback');
+            
+            // Only an administrator can start a fallback export; every later step must carry the token issued by init
+            if ($step === 'init') {
+                if (!current_user_can('manage_options') || !check_ajax_referer('custom_migrator_nonce', 'nonce', false)) {
+                    wp_send_json_error(array(
+                        'code' => 'forbidden',
+                        'message' => 'Only an administrator can start a fallback export. Reload the page and try again.',
+                    ), 403);
+                }
+                // A retried init keeps its session ID so it passes its own lock
+                $session_id = !empty($params['session_id']) ? sanitize_text_field($params['session_id']) : $this->session->generate_session_id();
+            } else {
+                $session_id = isset($params['session_id']) ? sanitize_text_field($params['session_id']) : '';
+                $token_error = $this->session->validate($session_id, $token);
+                
+                if ($token_error) {
+                    $this->filesystem->log("FALLBACK EXPORT: Rejected step $step: " . $token_error['message']);
+                    wp_send_json_error(array(
+                        'code' => $token_error['code'],
+                        'message' => $token_error['message'],
+                    ), $token_error['status']);
+                }
+            }
             
             // CRITICAL: Session-based lock system to prevent duplicate exports while allowing same session to continue
             $lock_file = $this->filesystem->get_export_dir() . '/fallback_export.lock';
             
-            // Generate or get session ID for this export
-            $session_id = isset($params['session_id']) ? $params['session_id'] : uniqid('fallback_', true);
-            
             // Check if another fallback export is already running
             if (file_exists($lock_file)) {
                 $lock_content = file_get_contents($lock_file);
@@ -105,6 +156,11 @@ class Custom_Migrator_Fallback_Exporter {
                 file_put_contents($lock_file, json_encode($lock_data));
             }
             
+            // The lock is ours now, so the new session replaces the token of any earlier export
+            if ($step === 'init') {
+                $credentials = $this->session->start($session_id);
+            }
+            
             // CRITICAL: Clear all regular export scheduling to prevent conflicts
             wp_clear_scheduled_hook('cm_run_export');
             wp_clear_scheduled_hook('cm_monitor_export');
@@ -132,6 +188,11 @@ class Custom_Migrator_Fallback_Exporter {
             
             $this->filesystem->log("Fallback export step: $step");
             
+            // Steps still queued by the browser after a cancel must not recreate files
+            if ($step !== 'init' && $this->filesystem->is_cancel_requested()) {
+                throw new Exception('Export was cancelled');
+            }
+            
             // Process based on step (following All-in-One WP Migration priority sequence)
             switch ($step) {
                 case 'init':
@@ -158,6 +219,10 @@ class Custom_Migrator_Fallback_Exporter {
                     $result = $this->fallback_finalize($params);
                     break;
                     
+                case 'encrypt':
+                    $result = $this->fallback_encrypt($params);
+                    break;
+                    
                 default:
                     wp_send_json_error(array('message' => 'Invalid step: ' . $step));
                     return;
@@ -170,6 +235,11 @@ class Custom_Migrator_Fallback_Exporter {
                     unlink($lock_file);
                     $this->filesystem->log("FALLBACK EXPORT: Removed lock file on completion");
                 }
+                $this->session->end();
+            }
+            
+            if (isset($credentials)) {
+                $result = array_merge($result, $credentials);
             }
             
             wp_send_json_success($result);
@@ -181,6 +251,7 @@ class Custom_Migrator_Fallback_Exporter {
                 unlink($lock_file);
                 $this->filesystem->log("FALLBACK EXPORT: Removed lock file on error");
             }
+            $this->session->end();
             
             $this->filesystem->log("Fallback export error: " . $e->getMessage());
             wp_send_json_error(array('message' => $e->getMessage()));
@@ -191,6 +262,20 @@ class Custom_Migrator_Fallback_Exporter {
      * Handle fallback export status check
      */
     public function handle_fallback_status() {
+        // Administrators, or the page running the fallback export with its token
+        if (!current_user_can('manage_options') || !check_ajax_referer('custom_migrator_nonce', 'nonce', false)) {
+            $session_id = isset($_REQUEST['session_id']) ? sanitize_text_field(wp_unslash($_REQUEST['session_id'])) : '';
+            $token = isset($_REQUEST['token']) ? sanitize_text_field(wp_unslash($_REQUEST['token'])) : '';
+            $token_error = $this->session->validate($session_id, $token);
+            
+            if ($token_error) {
+                wp_send_json_error(array(
+                    'code' => $token_error['code'],
+                    'message' => $token_error['message'],
+                ), $token_error['status']);
+            }
+        }
+        
         $status_file = $this->filesystem->get_status_file_path();
         
         if (file_exists($status_file)) {
@@ -207,6 +292,27 @@ class Custom_Migrator_Fallback_Exporter {
         }
     }
 
+    /**
+     * Stop the fallback export so its session can no longer continue.
+     *
+     * The caller writes the cancel flag and removes the partial files; a step
+     * that is still running sees the flag and stops at the next file or table.
+     */
+    public function cancel() {
+        $lock_file = $this->filesystem->get_export_dir() . '/fallback_export.lock';
+        if (file_exists($lock_file)) {
+            @unlink($lock_file);
+        }
+        $this->session->end();
+        
+        delete_option('cm_fallback_archive_offset');
+        delete_option('cm_fallback_archive_volume');
+        delete_option('cm_fallback_content_offset');
+        delete_option('cm_fallback_manifest_offset');
+        
+        $this->filesystem->log("FALLBACK EXPORT: Cancelled, lock and session removed");
+    }
+
     /**
      * Check if fallback export is currently running
      */
@@ -246,6 +352,10 @@ class Custom_Migrator_Fallback_Exporter {
         wp_clear_scheduled_hook('cm_force_continue');
         wp_clear_scheduled_hook('cm_resume_export');
         
+        // Move the previous run into the history before its files are removed
+        $export_history = new Custom_Migrator_Export_History($this->filesystem);
+        $export_history->begin_run('fallback');
+        
         // 2. Force remove ALL database export locks and status files
         $export_dir = $this->filesystem->get_export_dir();
         $db_lock_file = $export_dir . '/database-export.lock';
@@ -273,9 +383,12 @@ class Custom_Migrator_Fallback_Exporter {
             }
         }
         
-        // 4. Remove all export data files EXCEPT current fallback lock
+        // 4. Remove all export data files EXCEPT current fallback lock, session and directory protection
         $files_to_preserve = [
             'fallback_export.lock',
+            Custom_Migrator_Fallback_Session::SESSION_FILE,
+            '.htaccess',
+            'index.php',
         ];
         
         if (is_dir($export_dir)) {
@@ -294,7 +407,9 @@ class Custom_Migrator_Fallback_Exporter {
         
         // Reset fallback export state (simplified - no partial files)
         delete_option('cm_fallback_archive_offset');
+        delete_option('cm_fallback_archive_volume');
         delete_option('cm_fallback_content_offset');
+        delete_option('cm_fallback_manifest_offset');
         
         $this->filesystem->log("Reset fallback export state: archive_offset=0, content_offset=0");
         
@@ -447,19 +562,19 @@ class Custom_Migrator_Fallback_Exporter {
         $timeout_seconds = apply_filters('custom_migrator_timeout', 10);
         $this->filesystem->log("10-second batch processing: timeout={$timeout_seconds}s, resuming from file {$files_processed}");
         
-        // Initialize archive file if starting fresh
+        // Initialize archive file with the format preamble if starting fresh
         if ($csv_offset === 0) {
-            $archive_handle = fopen($archive_path, 'wb');
-            if (!$archive_handle) {
+            if (file_put_contents($archive_path, Custom_Migrator_Helper::create_archive_preamble()) === false) {
                 throw new Exception('Cannot create archive file');
             }
-            fclose($archive_handle);
+            $this->volumes->delete_volumes($archive_path);
         }
         
         // Set up resume state (simplified - only 2 offsets)
         $current_archive_offset = (int)get_option('cm_fallback_archive_offset', 0);
         if ($csv_offset === 0) {
-            $current_archive_offset = 0;
+            $current_archive_offset = Custom_Migrator_Helper::ARCHIVE_PREAMBLE_SIZE;
+            update_option('cm_fallback_archive_volume', 0);
         }
         update_option('cm_fallback_archive_offset', $current_archive_offset);
         update_option('cm_fallback_content_offset', $csv_offset);
@@ -474,6 +589,10 @@ class Custom_Migrator_Fallback_Exporter {
             throw new Exception($result['error']);
         }
         
+        if (!empty($result['cancelled'])) {
+            throw new Exception('Export was cancelled');
+        }
+        
         $files_processed += $result['files_processed'];
         $bytes_processed += $result['bytes_written'];
         $completed = $result['is_complete'];
@@ -487,7 +606,9 @@ class Custom_Migrator_Fallback_Exporter {
         if ($completed) {
             // Clean up resume options on successful completion
             delete_option('cm_fallback_archive_offset');
+            delete_option('cm_fallback_archive_volume');
             delete_option('cm_fallback_content_offset');
+            delete_option('cm_fallback_manifest_offset');
             
             $this->filesystem->log("Archive completed: $files_processed files (" . 
                                  $this->format_bytes($bytes_processed) . ") in " . 
@@ -619,6 +740,10 @@ class Custom_Migrator_Fallback_Exporter {
                 );
             }
             
+            if (!empty($result['cancelled'])) {
+                throw new Exception('Export was cancelled');
+            }
+            
             $elapsed = round(microtime(true) - $start_time, 2);
             
             if ($result['completed']) {
@@ -763,6 +888,17 @@ class Custom_Migrator_Fallback_Exporter {
             }
         }
         
+        // A repeated finalize request must not checksum files that are already being encrypted
+        $encryption = new Custom_Migrator_Encryption($this->filesystem);
+        if ($encryption->is_in_progress()) {
+            return array(
+                'completed' => true,
+                'next_step' => 'encrypt',
+                'message' => 'Encrypting export files...',
+                'params' => $params
+            );
+        }
+        
         // Update status
         $this->filesystem->write_status('fallback_finalizing');
         
@@ -821,6 +957,19 @@ class Custom_Migrator_Fallback_Exporter {
             throw new Exception($error_msg);
         }
         
+        // Append whole-archive checksums to the manifest
+        $this->manifest->finalize($file_paths['hstgr'], $file_paths['sql']);
+        $this->volumes->update_metadata();
+        
+        if ($encryption->is_enabled()) {
+            return array(
+                'completed' => true,
+                'next_step' => 'encrypt',
+                'message' => 'Encrypting export files...',
+                'params' => $params
+            );
+        }
+        
         // Update final status
         $this->filesystem->write_status('done');
         
@@ -838,6 +987,46 @@ class Custom_Migrator_Fallback_Exporter {
         );
     }
 
+    /**
+     * Encrypt the export files (Step 7, only with encryption enabled)
+     */
+    private function fallback_encrypt($params) {
+        $this->filesystem->write_status('fallback_encrypting');
+        
+        $encryption = new Custom_Migrator_Encryption($this->filesystem);
+        $result = $encryption->encrypt_export_files(15);
+        
+        if ($result === 'cancelled') {
+            throw new Exception('Export was cancelled');
+        }
+        
+        if ($result !== 'done') {
+            return array(
+                'completed' => false,
+                'next_step' => 'encrypt',
+                'message' => 'Encrypting export files...',
+                'pause_requested' => $result === 'paused',
+                'params' => $params
+            );
+        }
+        
+        // Update final status
+        $this->filesystem->write_status('done');
+        
+        // Clear performance data on successful export to prevent sticking in "slow" mode
+        $this->clear_performance_data_on_success();
+        
+        $this->filesystem->log("Fallback export completed successfully with encryption!");
+        
+        return array(
+            'completed' => true,
+            'next_step' => null,
+            'message' => 'Export completed successfully!',
+            'final' => true,
+            'params' => $params
+        );
+    }
+
     /**
      * Check if database export is already completed
      */
@@ -893,6 +1082,7 @@ class Custom_Migrator_Fallback_Exporter {
     private function process_files_lve_safe($csv_file, $archive_file, $start_time, $timeout_seconds) {
         // Simplified state management - only 2 offsets needed (no partial files)
         $archive_bytes_offset = (int)get_option('cm_fallback_archive_offset', 0);
+        $archive_volume = (int)get_option('cm_fallback_archive_volume', 0);
         $content_bytes_offset = (int)get_option('cm_fallback_content_offset', 0);
         
         $files_processed = 0;
@@ -910,8 +1100,9 @@ class Custom_Migrator_Fallback_Exporter {
             return array('error' => 'Cannot seek to CSV position');
         }
         
-        // Open archive file (create if doesn't exist)
-        $archive_handle = fopen($archive_file, file_exists($archive_file) ? 'r+b' : 'w+b');
+        // Open the current archive volume (create if doesn't exist)
+        $volume_file = Custom_Migrator_Volumes::get_volume_path($archive_file, $archive_volume);
+        $archive_handle = fopen($volume_file, file_exists($volume_file) ? 'r+b' : 'w+b');
         if (!$archive_handle) {
             fclose($content_list);
             return array('error' => 'Cannot open archive file');
@@ -923,7 +1114,22 @@ class Custom_Migrator_Fallback_Exporter {
             return array('error' => 'Cannot seek to archive position');
         }
         
-        $this->filesystem->log("Starting batch: archive_offset=$archive_bytes_offset, content_offset=$content_bytes_offset");
+        // An archive started by an older version is continued in its own format
+        try {
+            $archive_format = Custom_Migrator_Helper::get_archive_format($archive_handle);
+            $this->archive_version = $archive_format['version'];
+        } catch (Exception $e) {
+            fclose($content_list);
+            fclose($archive_handle);
+            return array('error' => $e->getMessage());
+        }
+        
+        // Checksum manifest is truncated back to the last completed batch
+        $has_entries = $archive_volume > 0 || $archive_bytes_offset > $archive_format['data_offset'];
+        $manifest_bytes_offset = $has_entries ? (int)get_option('cm_fallback_manifest_offset', 0) : 0;
+        $this->manifest->open($manifest_bytes_offset);
+        
+        $this->filesystem->log("Starting batch: archive_volume=$archive_volume, archive_offset=$archive_bytes_offset, content_offset=$content_bytes_offset");
         
         // Process files with 10-second timeout (complete files only)
         while (($csv_data = fgetcsv($content_list)) !== false) {
@@ -946,6 +1152,15 @@ class Custom_Migrator_Fallback_Exporter {
                 continue;
             }
             
+            // A cancelled export stops before the next file
+            if ($this->filesystem->is_cancel_requested()) {
+                fclose($content_list);
+                fclose($archive_handle);
+                $this->manifest->close();
+                $this->filesystem->log("Cancel requested after $files_processed files, stopping archive batch");
+                return array('cancelled' => true);
+            }
+            
             // Check timeout before starting next file (but let current file complete)
             if ((microtime(true) - $start_time) > $timeout_seconds && $files_processed > 0) {
                 $completed = false;
@@ -953,19 +1168,62 @@ class Custom_Migrator_Fallback_Exporter {
                 break;
             }
             
+            // In volume mode a file that would overflow the volume starts the next one
+            $entry_size = Custom_Migrator_Helper::get_binary_block_size($this->archive_version) + $file_size;
+            if ($this->volumes->needs_new_volume($archive_bytes_offset, $archive_format['data_offset'], $entry_size)) {
+                try {
+                    $next_volume_file = $this->volumes->start_volume($archive_file, $archive_volume + 1);
+                } catch (Exception $e) {
+                    fclose($content_list);
+                    fclose($archive_handle);
+                    $this->manifest->close();
+                    return array('error' => $e->getMessage());
+                }
+                
+                $next_handle = fopen($next_volume_file, 'r+b');
+                if (!$next_handle || fseek($next_handle, 0, SEEK_END) !== 0) {
+                    if ($next_handle) {
+                        fclose($next_handle);
+                    }
+                    fclose($content_list);
+                    fclose($archive_handle);
+                    $this->manifest->close();
+                    return array('error' => 'Cannot open archive volume ' . basename($next_volume_file));
+                }
+                
+                // Drop anything a failed write left behind the last complete entry
+                ftruncate($archive_handle, $archive_bytes_offset);
+                fclose($archive_handle);
+                $archive_handle = $next_handle;
+                $archive_volume++;
+                $this->archive_version = Custom_Migrator_Helper::ARCHIVE_VERSION;
+                $archive_format = array(
+                    'version' => Custom_Migrator_Helper::ARCHIVE_VERSION,
+                    'data_offset' => Custom_Migrator_Helper::ARCHIVE_PREAMBLE_SIZE,
+                    'block_size' => Custom_Migrator_Helper::get_binary_block_size(),
+                );
+                $archive_bytes_offset = ftell($archive_handle);
+            }
+            
             // Process complete file only (no partial processing)
             $file_bytes_written = 0;
+            $file_hash = null;
+            $header_offset = ftell($archive_handle);
             $file_completed = $this->add_complete_file_to_archive(
                 $archive_handle, 
                 $file_abspath, 
                 $file_relpath, 
                 $file_size, 
                 $file_mtime, 
-                $file_bytes_written
+                $file_bytes_written,
+                $file_hash
             );
             
             if ($file_completed) {
                 // File completed successfully
+                $this->manifest->add_file($file_relpath, $header_offset, $file_bytes_written, $file_mtime, $file_hash, $archive_volume);
+                $manifest_bytes_offset = $this->manifest->get_offset();
+                
                 $files_processed++;
                 $processed_files_size += $file_bytes_written;
                 $content_bytes_offset = ftell($content_list);
@@ -987,10 +1245,13 @@ class Custom_Migrator_Fallback_Exporter {
         
         fclose($content_list);
         fclose($archive_handle);
+        $this->manifest->close();
         
-        // Save state for next batch (simplified - only 2 offsets)
+        // Save state for next batch
         update_option('cm_fallback_archive_offset', $archive_bytes_offset);
+        update_option('cm_fallback_archive_volume', $archive_volume);
         update_option('cm_fallback_content_offset', $content_bytes_offset);
+        update_option('cm_fallback_manifest_offset', $manifest_bytes_offset);
         
         // Check if we've processed all files
         if ($completed) {
@@ -1017,8 +1278,9 @@ class Custom_Migrator_Fallback_Exporter {
     /**
      * Add complete file to archive (no partial processing) - LVE optimized
      */
-    private function add_complete_file_to_archive($archive_handle, $file_path, $file_relpath, $file_size, $file_mtime, &$bytes_written) {
+    private function add_complete_file_to_archive($archive_handle, $file_path, $file_relpath, $file_size, $file_mtime, &$bytes_written, &$file_hash = null) {
         $bytes_written = 0;
+        $file_hash = null;
         
         try {
             // Create binary header using CSV data for consistency
@@ -1047,7 +1309,7 @@ class Custom_Migrator_Fallback_Exporter {
                 return false;
             }
             
-            $block = Custom_Migrator_Helper::create_binary_block($filename, $file_size, $file_mtime, $file_dir);
+            $block = Custom_Migrator_Helper::create_binary_block($filename, $file_size, $file_mtime, $file_dir, $this->archive_version);
             
             // Write header
             if (fwrite($archive_handle, $block) === false) {
@@ -1057,16 +1319,19 @@ class Custom_Migrator_Fallback_Exporter {
             
             // Copy file content in 256KB chunks (LVE-friendly I/O)
             $chunk_size = 256 * 1024; // 256KB chunks for optimal LVE performance
+            $hash_context = hash_init(Custom_Migrator_Manifest::FILE_HASH);
             while (!feof($file_handle)) {
                 $chunk = fread($file_handle, $chunk_size);
                 if ($chunk === false || fwrite($archive_handle, $chunk) === false) {
                     fclose($file_handle);
                     return false;
                 }
+                hash_update($hash_context, $chunk);
                 $bytes_written += strlen($chunk);
             }
             
             fclose($file_handle);
+            $file_hash = hash_final($hash_context);
             return true;
             
         } catch (Exception $e) {
@@ -0,0 +1,242 @@
+<?php
+/**
+ * The class responsible for authorizing fallback export requests.
+ *
+ * @package CustomMigrator
+ */
+
+/**
+ * Fallback session class.
+ *
+ * The fallback export is driven step by step from the browser and stays
+ * reachable without a login, so an export whose admin session expires can
+ * still finish. Only an administrator can start it: the init step issues a
+ * session ID and a signed, expiring token, and every later step must present
+ * both. Requests are rate-limited per session, and clients that keep sending
+ * invalid tokens are locked out for a while.
+ */
+class Custom_Migrator_Fallback_Session {
+
+    /**
+     * Name of the session file in the export directory.
+     */
+    const SESSION_FILE = 'fallback-session.json';
+
+    /**
+     * Default token lifetime in seconds.
+     */
+    const TOKEN_TTL = 43200;
+
+    /**
+     * Length of the rate limit window in seconds.
+     */
+    const RATE_WINDOW = 60;
+
+    /**
+     * Default number of requests allowed per window.
+     */
+    const RATE_LIMIT = 150;
+
+    /**
+     * Invalid requests from one client before it is locked out.
+     */
+    const MAX_FAILURES = 20;
+
+    /**
+     * Seconds invalid requests are remembered.
+     */
+    const FAILURE_WINDOW = 900;
+
+    /**
+     * The filesystem handler.
+     *
+     * @var Custom_Migrator_Filesystem
+     */
+    private $filesystem;
+
+    /**
+     * Constructor.
+     *
+     * @param Custom_Migrator_Filesystem|null $filesystem Optional filesystem instance.
+     */
+    public function __construct($filesystem = null) {
+        $this->filesystem = $filesystem ? $filesystem : new Custom_Migrator_Filesystem();
+    }
+
+    /**
+     * Get the path to the session file.
+     *
+     * @return string Session file path.
+     */
+    public function get_session_file_path() {
+        return $this->filesystem->get_export_dir() . '/' . self::SESSION_FILE;
+    }
+
+    /**
+     * Generate a session ID for a new fallback export.
+     *
+     * @return string Session ID.
+     */
+    public function generate_session_id() {
+        return 'fallback_' . wp_generate_password(24, false);
+    }
+
+    /**
+     * Start a session, replacing any previous one.
+     *
+     * @param string $session_id Session ID of the new export.
+     * @return array Session ID, token and expiry timestamp for the browser.
+     */
+    public function start($session_id) {
+        $ttl = (int) apply_filters('custom_migrator_fallback_token_ttl', self::TOKEN_TTL);
+        $expires = time() + max(300, $ttl);
+
+        $this->save(array(
+            'session_id' => $session_id,
+            'expires' => $expires,
+            'user_id' => get_current_user_id(),
+            'window_start' => time(),
+            'window_requests' => 0,
+        ));
+
+        return array(
+            'session_id' => $session_id,
+            'token' => $this->sign($session_id, $expires),
+            'token_expires' => $expires,
+        );
+    }
+
+    /**
+     * Check the session ID and token of a request and count it against the rate limit.
+     *
+     * @param string $session_id Session ID sent by the client.
+     * @param string $token      Token sent by the client.
+     * @return array|null Error with code, message and HTTP status, or null if the request may proceed.
+     */
+    public function validate($session_id, $token) {
+        if ($this->get_failure_count() >= self::MAX_FAILURES) {
+            return $this->error('too_many_attempts', 'Too many invalid fallback export requests. Wait a few minutes, then start the export again.', 429);
+        }
+
+        if ($token === '' || $session_id === '') {
+            $this->record_failure();
+            return $this->error('missing_token', 'Missing fallback export token. Start the export from the Hostinger Migrator page.', 403);
+        }
+
+        $session = $this->load();
+        if (!$session || !hash_equals($session['session_id'], $session_id) || !hash_equals($this->sign($session['session_id'], $session['expires']), $token)) {
+            $this->record_failure();
+            return $this->error('invalid_token', 'Invalid fallback export token. Only the page that started this export can continue it.', 403);
+        }
+
+        if ($session['expires'] < time()) {
+            return $this->error('token_expired', 'The fallback export token has expired. Start the export again.', 403);
+        }
+
+        if (time() - $session['window_start'] >= self::RATE_WINDOW) {
+            $session['window_start'] = time();
+            $session['window_requests'] = 0;
+        }
+        $session['window_requests']++;
+        $this->save($session);
+
+        if ($session['window_requests'] > (int) apply_filters('custom_migrator_fallback_rate_limit', self::RATE_LIMIT)) {
+            return $this->error('rate_limited', 'Too many fallback export requests. Retry in a minute.', 429);
+        }
+
+        return null;
+    }
+
+    /**
+     * End the session so its token can no longer be used.
+     *
+     * @return void
+     */
+    public function end() {
+        $session_file = $this->get_session_file_path();
+        if (file_exists($session_file)) {
+            @unlink($session_file);
+        }
+    }
+
+    /**
+     * Sign a session.
+     *
+     * @param string $session_id Session ID.
+     * @param int    $expires    Expiry timestamp.
+     * @return string Token.
+     */
+    private function sign($session_id, $expires) {
+        return hash_hmac('sha256', $session_id . '|' . (int) $expires, wp_salt('auth'));
+    }
+
+    /**
+     * Build a validation error.
+     *
+     * @param string $code    Error code.
+     * @param string $message Error message.
+     * @param int    $status  HTTP status.
+     * @return array Error.
+     */
+    private function error($code, $message, $status) {
+        return array(
+            'code' => $code,
+            'message' => $message,
+            'status' => $status,
+        );
+    }
+
+    /**
+     * Get the transient key counting invalid requests of the current client.
+     *
+     * @return string Transient key.
+     */
+    private function get_failure_key() {
+        $address = isset($_SERVER['REMOTE_ADDR']) ? $_SERVER['REMOTE_ADDR'] : '';
+        return 'cm_fallback_failures_' . md5($address);
+    }
+
+    /**
+     * Get the number of recent invalid requests of the current client.
+     *
+     * @return int Failure count.
+     */
+    private function get_failure_count() {
+        return (int) get_transient($this->get_failure_key());
+    }
+
+    /**
+     * Count an invalid request of the current client.
+     *
+     * @return void
+     */
+    private function record_failure() {
+        set_transient($this->get_failure_key(), $this->get_failure_count() + 1, self::FAILURE_WINDOW);
+    }
+
+    /**
+     * Load the session.
+     *
+     * @return array|null Session or null if none was started.
+     */
+    private function load() {
+        $session_file = $this->get_session_file_path();
+        if (!file_exists($session_file)) {
+            return null;
+        }
+
+        $session = json_decode(file_get_contents($session_file), true);
+        return is_array($session) && isset($session['session_id'], $session['expires']) ? $session : null;
+    }
+
+    /**
+     * Save the session atomically.
+     *
+     * @param array $session Session.
+     * @return void
+     */
+    private function save($session) {
+        $session_file = $this->get_session_file_path();
+        $this->filesystem->write_json_atomic($session_file, $session);
+    }
+}
@@ -17,6 +17,11 @@ class Custom_Migrator_File_Enumerator {
      */
     private $filesystem;
 
+    /**
+     * Files larger than this are left out of the archive.
+     */
+    const MAX_FILE_SIZE = 524288000; // 500MB
+
     /**
      * Constructor.
      *
@@ -26,6 +31,15 @@ class Custom_Migrator_File_Enumerator {
         $this->filesystem = $filesystem;
     }
 
+    /**
+     * Get the file size limit, including the one set by the active exclusion profile.
+     *
+     * @return int Maximum file size in bytes.
+     */
+    public static function get_max_file_size() {
+        return (int) apply_filters('custom_migrator_max_file_size', self::MAX_FILE_SIZE);
+    }
+
     /**
      * Enumerate WordPress content files into a CSV file.
      *
@@ -85,6 +99,107 @@ class Custom_Migrator_File_Enumerator {
         return $stats;
     }
 
+    /**
+     * Scan content files in time-boxed slices without writing a CSV.
+     *
+     * Directories are walked from a queue that the caller keeps between requests,
+     * so the scan can resume where the previous slice stopped. Every file goes
+     * through the same exclusion and size rules as enumerate_to_csv().
+     *
+     * @param array    $queue       Directories still to scan, updated in place. Seed it with
+     *                              get_source_dir() before the first slice.
+     * @param int      $time_budget Seconds to spend in this slice.
+     * @param callable $callback    Receives ($type, $path, $size, $relative_path) where type is
+     *                              file, too_large, excluded, excluded_dir or error.
+     * @param array    $options     Optional configuration options.
+     * @return bool True when the whole tree has been scanned.
+     */
+    public function scan_resumable(&$queue, $time_budget, $callback, $options = array()) {
+        $config = $this->parse_options($options);
+        $compiled = Custom_Migrator_Helper::get_compiled_exclusions();
+        $start_time = microtime(true);
+
+        while (!empty($queue)) {
+            if ((microtime(true) - $start_time) > $time_budget) {
+                return false;
+            }
+
+            $dir = array_pop($queue);
+            $entries = @scandir($dir);
+            if ($entries === false) {
+                call_user_func($callback, 'error', $dir, 0, null);
+                continue;
+            }
+
+            foreach ($entries as $entry) {
+                if ($entry === '.' || $entry === '..') {
+                    continue;
+                }
+
+                $path = $dir . DIRECTORY_SEPARATOR . $entry;
+
+                // Symlinked directories are not followed, same as the recursive iterator
+                if (is_dir($path)) {
+                    if (is_link($path)) {
+                        continue;
+                    }
+
+                    if ($config['use_exclusions'] && $this->matches_directory_prefix($path, $compiled)) {
+                        call_user_func($callback, 'excluded_dir', $path, 0, null);
+                        continue;
+                    }
+
+                    $queue[] = $path;
+                    continue;
+                }
+
+                $result = $this->process_file(new SplFileInfo($path), $config);
+
+                if ($result['excluded_by_size']) {
+                    call_user_func($callback, 'too_large', $path, (int) @filesize($path), null);
+                } elseif ($result['excluded']) {
+                    call_user_func($callback, 'excluded', $path, (int) @filesize($path), null);
+                } elseif ($result['error']) {
+                    call_user_func($callback, 'error', $path, 0, null);
+                } else {
+                    call_user_func($callback, 'file', $path, $result['size'], $result['csv_data'][1]);
+                }
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Get the directory that is scanned by default.
+     *
+     * @param array $options Optional configuration options.
+     * @return string Source directory.
+     */
+    public function get_source_dir($options = array()) {
+        $config = $this->parse_options($options);
+        return rtrim($config['source_dir'], DIRECTORY_SEPARATOR);
+    }
+
+    /**
+     * Check whether a directory lies inside one of the excluded directories.
+     *
+     * @param string $dir_path Directory path.
+     * @param array  $compiled Compiled exclusions.
+     * @return bool True if the directory is excluded as a whole.
+     */
+    private function matches_directory_prefix($dir_path, $compiled) {
+        $normalized_path = rtrim($dir_path, '/') . '/';
+
+        foreach ($compiled['directory_prefixes'] as $prefix) {
+            if (strpos($normalized_path, $prefix) === 0) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
     /**
      * Parse and validate enumeration options.
      *
@@ -101,7 +216,7 @@ class Custom_Migrator_File_Enumerator {
             'skip_unreadable' => true,
             'log_errors' => true,
             'use_unlimited_execution' => false,  // Enable unlimited execution time for enumeration
-            'max_file_size' => 500 * 1024 * 1024  // 500MB file size limit for production safety
+            'max_file_size' => self::get_max_file_size()  // 500MB by default for production safety, unless a profile or filter changes it
         );
         
         return array_merge($defaults, $options);
@@ -357,7 +472,7 @@ class Custom_Migrator_File_Enumerator {
         // Enhanced final logging with large file exclusion details
         $size_exclusion_details = '';
         if ($stats['files_excluded_by_size'] > 0) {
-            $size_limit_mb = round(500, 0); // Default 500MB limit for logging
+            $size_limit_mb = round(self::get_max_file_size() / 1048576, 0);
             $size_exclusion_details = sprintf(' (including %d files >%dMB)', 
                 $stats['files_excluded_by_size'], $size_limit_mb);
         }
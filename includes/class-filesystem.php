@@ -24,13 +24,42 @@ class Custom_Migrator_Filesystem {
      */
     private $max_log_size = 10485760; // 10MB max log size
 
+    /**
+     * Log levels in increasing severity.
+     */
+    const LOG_LEVELS = array('info', 'warning', 'error');
+
+    /**
+     * Phase recorded with structured log entries written by this request.
+     *
+     * @var string|null
+     */
+    private static $log_phase = null;
+
+    /**
+     * Option holding the random name of the folder the export files are kept in.
+     */
+    const EXPORT_SUBDIR_OPTION = 'custom_migrator_export_subdir';
+
     /**
      * Get the export directory path.
      *
+     * Export files live in a folder with a random name below the archives
+     * folder, so their URLs cannot be guessed on web servers that ignore the
+     * .htaccess (nginx, some LiteSpeed setups).
+     *
      * @return string The export directory path.
      */
     public function get_export_dir() {
-        // Use a dedicated directory in wp-content for better organization and security
+        return $this->get_export_root_dir() . '/' . $this->get_export_subdir();
+    }
+
+    /**
+     * Get the archives folder in wp-content that holds the export directory.
+     *
+     * @return string The archives folder path.
+     */
+    public function get_export_root_dir() {
         return WP_CONTENT_DIR . '/hostinger-migration-archives';
     }
 
@@ -40,9 +69,26 @@ class Custom_Migrator_Filesystem {
      * @return string The export directory URL.
      */
     public function get_export_url() {
-        // Create URL from content directory URL
-        $wp_content_url = content_url();
-        return $wp_content_url . '/hostinger-migration-archives';
+        return content_url() . '/hostinger-migration-archives/' . $this->get_export_subdir();
+    }
+
+    /**
+     * Get the random name of the export directory, creating it on first use.
+     *
+     * @return string Folder name.
+     */
+    private function get_export_subdir() {
+        $subdir = get_option(self::EXPORT_SUBDIR_OPTION);
+
+        if (!is_string($subdir) || !preg_match('/^[a-z0-9]{32}$/', $subdir)) {
+            $subdir = strtolower(wp_generate_password(32, false));
+            // A request that created it first wins
+            if (!add_option(self::EXPORT_SUBDIR_OPTION, $subdir, '', 'no')) {
+                update_option(self::EXPORT_SUBDIR_OPTION, $subdir, false);
+            }
+        }
+
+        return $subdir;
     }
 
     /**
@@ -54,6 +100,58 @@ class Custom_Migrator_Filesystem {
         return $this->get_export_dir() . '/export-status.txt';
     }
 
+    /**
+     * Get the path to the flag file that marks the export as cancelled.
+     *
+     * @return string The path to the cancel flag file.
+     */
+    public function get_cancel_flag_path() {
+        return $this->get_export_dir() . '/export-cancel.flag';
+    }
+
+    /**
+     * Get the path to the flag file that asks the export to pause.
+     *
+     * @return string The path to the pause flag file.
+     */
+    public function get_pause_flag_path() {
+        return $this->get_export_dir() . '/export-pause.flag';
+    }
+
+    /**
+     * Check whether the export was cancelled.
+     *
+     * Batch loops call this between files, so the stat cache is cleared to
+     * see a flag written by another request.
+     *
+     * @return bool Whether the cancel flag exists.
+     */
+    public function is_cancel_requested() {
+        $flag = $this->get_cancel_flag_path();
+        clearstatcache(true, $flag);
+        return file_exists($flag);
+    }
+
+    /**
+     * Check whether the export was asked to pause.
+     *
+     * @return bool Whether the pause flag exists.
+     */
+    public function is_pause_requested() {
+        $flag = $this->get_pause_flag_path();
+        clearstatcache(true, $flag);
+        return file_exists($flag);
+    }
+
+    /**
+     * Get the path to the state file of an export run from WP-CLI.
+     *
+     * @return string The path to the WP-CLI export state file.
+     */
+    public function get_cli_state_path() {
+        return $this->get_export_dir() . '/cli-export-state.json';
+    }
+
     /**
      * Get the path to the log file.
      *
@@ -68,6 +166,26 @@ class Custom_Migrator_Filesystem {
         return $this->get_export_dir() . '/export-log.txt';
     }
 
+    /**
+     * Get the path to the structured (JSON Lines) log written next to the text log.
+     *
+     * @return string The path to the structured log file.
+     */
+    public function get_structured_log_file_path() {
+        $log_file = $this->get_log_file_path();
+        return preg_replace('/\.txt$/', '', $log_file) . '.jsonl';
+    }
+
+    /**
+     * Set the phase recorded with the following log entries of this request.
+     *
+     * @param string|null $phase Phase name, null to clear.
+     * @return void
+     */
+    public static function set_log_phase($phase) {
+        self::$log_phase = $phase;
+    }
+
     /**
      * Create the export directory.
      *
@@ -76,20 +194,47 @@ class Custom_Migrator_Filesystem {
     public function create_export_dir() {
         $dir = $this->get_export_dir();
         
-        if (!file_exists($dir)) {
-            if (!wp_mkdir_p($dir)) {
-                throw new Exception('Cannot create export directory: ' . $dir);
+        if (!file_exists($dir) && !wp_mkdir_p($dir)) {
+            throw new Exception('Cannot create export directory: ' . $dir);
+        }
+        
+        $this->protect_export_dir();
+    }
+
+    /**
+     * Keep export files from being served directly by the web server.
+     *
+     * Files are downloaded through the cm_download endpoint, so the .htaccess
+     * of the archives folder denies everything unless the
+     * custom_migrator_allow_direct_downloads filter opts back in. The file is
+     * rewritten when it is outdated, which also upgrades directories created
+     * by older versions. Where the .htaccess is ignored, the random name of
+     * the export directory keeps the files out of reach; an index.php in both
+     * folders stops listings.
+     *
+     * @return void
+     */
+    public function protect_export_dir() {
+        $root_dir = $this->get_export_root_dir();
+        $dir = $this->get_export_dir();
+        if (!is_dir($dir)) {
+            return;
+        }
+        
+        // Create an index.php file to prevent directory listing
+        foreach (array($root_dir, $dir) as $protected_dir) {
+            if (!file_exists($protected_dir . '/index.php')) {
+                file_put_contents($protected_dir . '/index.php', "<?php\n// Silence is golden.");
             }
-            
-            // Create an index.php file to prevent directory listing
-            file_put_contents($dir . '/index.php', "<?php\n// Silence is golden.");
-            
-            // Create an .htaccess file with necessary access for hosting providers
-            // but still blocking public access
+        }
+        
+        $this->move_legacy_files($root_dir, $dir);
+        
+        if (apply_filters('custom_migrator_allow_direct_downloads', false)) {
             $htaccess = "# Disable directory browsing\n" .
                        "Options -Indexes\n\n" .
                        "# Allow specific file types to be downloaded directly\n" .
-                       "<FilesMatch \"\\.(hstgr|sql|sql\\.gz|json|log|txt)$\">\n" .
+                       "<FilesMatch \"\\.(hstgr|hstgr\\.[0-9]{3}|sql|sql\\.gz|json|log|txt)$\">\n" .
                        "  Order Allow,Deny\n" .
                        "  Allow from all\n" .
                        "</FilesMatch>\n\n" .
@@ -103,11 +248,80 @@ class Custom_Migrator_Filesystem {
                        "  Order Allow,Deny\n" .
                        "  Deny from all\n" .
                        "</Files>\n";
-            
-            file_put_contents($dir . '/.htaccess', $htaccess);
+        } else {
+            $htaccess = "# Export files are downloaded through admin-ajax.php?action=cm_download\n" .
+                       "Options -Indexes\n\n" .
+                       "<IfModule mod_authz_core.c>\n" .
+                       "  Require all denied\n" .
+                       "</IfModule>\n" .
+                       "<IfModule !mod_authz_core.c>\n" .
+                       "  Order Allow,Deny\n" .
+                       "  Deny from all\n" .
+                       "</IfModule>\n";
+        }
+        
+        $htaccess_file = $root_dir . '/.htaccess';
+        if (!file_exists($htaccess_file) || file_get_contents($htaccess_file) !== $htaccess) {
+            file_put_contents($htaccess_file, $htaccess);
         }
     }
 
+    /**
+     * Move files that older versions kept in the archives folder itself into the export directory.
+     *
+     * @param string $root_dir Archives folder.
+     * @param string $dir      Export directory.
+     * @return void
+     */
+    private function move_legacy_files($root_dir, $dir) {
+        foreach ((array) scandir($root_dir) as $name) {
+            if (in_array($name, array('.', '..', 'index.php', '.htaccess'), true) || $root_dir . '/' . $name === $dir) {
+                continue;
+            }
+            // Another random folder belongs to a reset export directory and is left alone
+            if (preg_match('/^[a-z0-9]{32}$/', $name) && is_dir($root_dir . '/' . $name)) {
+                continue;
+            }
+
+            if (!file_exists($dir . '/' . $name)) {
+                @rename($root_dir . '/' . $name, $dir . '/' . $name);
+            }
+        }
+    }
+
+    /**
+     * Write data as JSON through a temporary file and a rename.
+     *
+     * Readers see either the previous or the new content, never a half-written
+     * file. Each write uses a temporary file of its own, so concurrent writers
+     * cannot mix their content; if the rename fails the target is left as it was.
+     *
+     * @param string $file  Target file path.
+     * @param mixed  $data  Data to encode.
+     * @param int    $flags json_encode() flags.
+     * @return bool Whether the file was replaced.
+     */
+    public function write_json_atomic($file, $data, $flags = 0) {
+        $json = json_encode($data, $flags);
+        if ($json === false) {
+            return false;
+        }
+
+        $temp_file = $file . '.' . uniqid('', true) . '.tmp';
+        if (file_put_contents($temp_file, $json) === false) {
+            @unlink($temp_file);
+            return false;
+        }
+
+        if (!@rename($temp_file, $file)) {
+            @unlink($temp_file);
+            $this->log('Failed to replace ' . basename($file), 'error');
+            return false;
+        }
+
+        return true;
+    }
+
     /**
      * Write the export status to the status file with enhanced atomic operations.
      *
@@ -131,6 +345,7 @@ class Custom_Migrator_Filesystem {
         if (file_put_contents($temp_file, $status) !== false) {
             if (@rename($temp_file, $status_file)) {
                 $this->log("Export status: $status (Memory: " . $this->format_file_size($status_data['memory_usage']) . ")");
+                do_action('custom_migrator_export_status', $status);
                 return true;
             }
         }
@@ -138,6 +353,7 @@ class Custom_Migrator_Filesystem {
         // Fallback to direct write if atomic operation fails
         if (file_put_contents($status_file, $status) !== false) {
             $this->log("Export status: $status");
+            do_action('custom_migrator_export_status', $status);
             return true;
         }
         
@@ -148,10 +364,14 @@ class Custom_Migrator_Filesystem {
     /**
      * Write a message to the log file with enhanced formatting and rotation.
      *
-     * @param string $message The message to log.
+     * The message is also written as a structured entry to the JSON Lines log.
+     *
+     * @param string      $message The message to log.
+     * @param string|null $level   Log level (info, warning, error); detected from the message when null.
+     * @param string|null $phase   Export phase; defaults to the phase set for this request.
      * @return void
      */
-    public function log($message) {
+    public function log($message, $level = null, $phase = null) {
         $log_file = $this->get_log_file_path();
         
         // Rotate log if it gets too large
@@ -180,6 +400,133 @@ class Custom_Migrator_Filesystem {
             // Fallback without locking if file handle fails
             file_put_contents($log_file, $log_entry, FILE_APPEND | LOCK_EX);
         }
+        
+        $this->write_structured_log_entry($message, $level, $phase);
+    }
+
+    /**
+     * Append one entry to the structured log.
+     *
+     * @param string      $message Log message.
+     * @param string|null $level   Log level or null to detect it.
+     * @param string|null $phase   Phase or null for the current one.
+     * @return void
+     */
+    private function write_structured_log_entry($message, $level, $phase) {
+        $log_file = $this->get_structured_log_file_path();
+        
+        if (file_exists($log_file) && filesize($log_file) > $this->max_log_size) {
+            $backup_file = $log_file . '.old';
+            if (file_exists($backup_file)) {
+                @unlink($backup_file);
+            }
+            @rename($log_file, $backup_file);
+        }
+        
+        if ($level === null || !in_array($level, self::LOG_LEVELS, true)) {
+            $level = $this->detect_log_level($message);
+        }
+        if ($phase === null) {
+            $phase = self::$log_phase !== null ? self::$log_phase : 'general';
+        }
+        
+        $entry = json_encode(array(
+            'timestamp' => gmdate('c'),
+            'level' => $level,
+            'phase' => $phase,
+            'pid' => function_exists('getmypid') ? getmypid() : null,
+            'memory' => memory_get_usage(true),
+            'message' => wp_check_invalid_utf8($message, true),
+        ), JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE) . "\n";
+        
+        file_put_contents($log_file, $entry, FILE_APPEND | LOCK_EX);
+    }
+
+    /**
+     * Guess the level of a free-text log message.
+     *
+     * @param string $message Log message.
+     * @return string Log level.
+     */
+    private function detect_log_level($message) {
+        if (preg_match('/^(WARNING\b|⚠️)/u', $message)) {
+            return 'warning';
+        }
+        if (preg_match('/❌|\b(error|errors|failed|failure|fatal|exception)\b/iu', $message)) {
+            return 'error';
+        }
+        if (preg_match('/⚠️|\b(warning|stuck|stale|throttling)\b/iu', $message)) {
+            return 'warning';
+        }
+        
+        return 'info';
+    }
+
+    /**
+     * Read complete structured log entries starting at a byte offset.
+     *
+     * A negative offset starts near the end of the log. When the offset is past
+     * the end the log was rotated or replaced, so reading restarts at 0.
+     *
+     * @param int $offset    Byte offset returned by the previous call, -1 for the tail.
+     * @param int $max_bytes Maximum number of bytes to read.
+     * @return array Entries, next offset, log size and whether the reader was reset.
+     */
+    public function read_structured_log($offset, $max_bytes = 262144) {
+        $log_file = $this->get_structured_log_file_path();
+        $result = array(
+            'entries' => array(),
+            'offset' => 0,
+            'size' => 0,
+            'reset' => false,
+            'log' => basename($log_file),
+        );
+        
+        clearstatcache(true, $log_file);
+        if (!file_exists($log_file)) {
+            return $result;
+        }
+        
+        $size = filesize($log_file);
+        $skip_partial_line = false;
+        if ($offset < 0) {
+            $offset = max(0, $size - $max_bytes);
+            $skip_partial_line = $offset > 0;
+        } elseif ($offset > $size) {
+            $offset = 0;
+            $result['reset'] = true;
+        }
+        
+        $handle = @fopen($log_file, 'rb');
+        if (!$handle) {
+            return $result;
+        }
+        
+        fseek($handle, $offset);
+        if ($skip_partial_line) {
+            fgets($handle);
+            $offset = ftell($handle);
+        }
+        
+        $limit = $offset + $max_bytes;
+        while ($offset < $limit && ($line = fgets($handle)) !== false) {
+            // A line without its newline is still being written; pick it up next time
+            if (substr($line, -1) !== "\n") {
+                break;
+            }
+            
+            $offset += strlen($line);
+            $entry = json_decode($line, true);
+            if (is_array($entry)) {
+                $result['entries'][] = $entry;
+            }
+        }
+        fclose($handle);
+        
+        $result['offset'] = $offset;
+        $result['size'] = $size;
+        
+        return $result;
     }
 
     /**
@@ -355,26 +702,57 @@ class Custom_Migrator_Filesystem {
     }
 
     /**
-     * Get the URLs for export files.
+     * Get the download URLs for export files.
      *
      * @return array Array of file URLs.
      */
     public function get_export_file_urls() {
-        $base_url = $this->get_export_url();
-        $filenames = get_option('custom_migrator_filenames');
-        
-        if (!$filenames) {
-            // If filenames aren't saved, get the paths which will generate them
-            $this->get_export_file_paths();
-            $filenames = get_option('custom_migrator_filenames');
+        $urls = array();
+        foreach ($this->get_export_file_paths() as $type => $path) {
+            $urls[$type] = $this->get_download_url($path);
         }
         
-        return array(
-            'hstgr'    => $base_url . '/' . $filenames['hstgr'],
-            'sql'      => $base_url . '/' . $filenames['sql'],
-            'metadata' => $base_url . '/' . $filenames['metadata'],
-            'log'      => $base_url . '/' . $filenames['log'],
-        );
+        return $urls;
+    }
+
+    /**
+     * Get a signed, expiring download link for a file in the export directory.
+     *
+     * @param string $file_path Absolute file path.
+     * @return string Download URL.
+     */
+    public function get_download_url($file_path) {
+        $download_handler = new Custom_Migrator_Download_Handler($this);
+        return $download_handler->get_url($file_path);
+    }
+
+    /**
+     * Get the path to the checksum manifest of the current archive.
+     *
+     * @return string The manifest file path.
+     */
+    public function get_manifest_file_path() {
+        return $this->get_archive_sidecar_path('manifest', 'jsonl');
+    }
+
+    /**
+     * Get the path to a file that belongs to the current archive.
+     *
+     * Sidecar files share the random part of the archive name so they cannot be guessed.
+     *
+     * @param string $prefix    Filename prefix replacing "content".
+     * @param string $extension File extension.
+     * @return string The sidecar file path.
+     */
+    public function get_archive_sidecar_path($prefix, $extension) {
+        $file_paths = $this->get_export_file_paths();
+        $archive_name = basename($file_paths['hstgr']);
+
+        $sidecar_name = preg_replace('/^content_/', $prefix . '_', $archive_name);
+        // An encrypted archive keeps the sidecars of its plaintext
+        $sidecar_name = preg_replace('/\.' . preg_quote($this->file_extension, '/') . '(\.enc)?$/', '', $sidecar_name) . '.' . $extension;
+
+        return $this->get_export_dir() . '/' . $sidecar_name;
     }
 
     /**
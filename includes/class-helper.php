@@ -10,6 +10,22 @@
  */
 class Custom_Migrator_Helper {
 
+    /**
+     * First bytes of an archive with a format preamble. Version 1 archives have
+     * none and start with a file name, which urlencode() never makes start with 0x89.
+     */
+    const ARCHIVE_MAGIC = "\x89HSTGR\r\n";
+
+    /**
+     * Archive format written by the exporters.
+     */
+    const ARCHIVE_VERSION = 2;
+
+    /**
+     * Size of the preamble: magic (8), format version (4) and header block size (4).
+     */
+    const ARCHIVE_PREAMBLE_SIZE = 16;
+
     /**
      * Default exclusion paths.
      *
@@ -148,6 +164,11 @@ class Custom_Migrator_Helper {
             return true;
         }
 
+        // User glob patterns from the active exclusion profile
+        if ($compiled['glob_regex'] !== null && self::matches_glob_patterns($file_path, $compiled)) {
+            return true;
+        }
+
         return false;
     }
 
@@ -199,8 +220,8 @@ class Custom_Migrator_Helper {
         $specific_files = array();
         
         foreach ($exclusion_paths as $path) {
-            // Check if this looks like a specific file (has extension)
-            if (pathinfo($path, PATHINFO_EXTENSION)) {
+            // Check if this looks like a specific file (has extension); a trailing slash always marks a directory
+            if (substr($path, -1) !== '/' && pathinfo($path, PATHINFO_EXTENSION)) {
                 $specific_files[] = $path;
             } else {
                 // Treat as directory - add trailing slash
@@ -260,14 +281,100 @@ class Custom_Migrator_Helper {
         $extension_regex = '/\.(' . implode('|', array_map('preg_quote', array_merge($backup_extensions, $log_extensions))) . ')$/i';
         $cache_regex = '/(' . implode('|', $all_cache_patterns) . ')/i';
         
+        // User glob patterns are matched against the path relative to wp-content
+        $glob_patterns = apply_filters('custom_migrator_export_exclusion_globs', array());
+        $glob_regex = self::compile_glob_patterns($glob_patterns);
+        
         return array(
             'directory_prefixes' => $directory_prefixes,
             'specific_files' => $specific_files,
             'extension_regex' => $extension_regex,
-            'cache_regex' => $cache_regex
+            'cache_regex' => $cache_regex,
+            'glob_regex' => $glob_regex,
+            'content_dirs' => array_unique(array_filter(array(
+                rtrim(str_replace(DIRECTORY_SEPARATOR, '/', WP_CONTENT_DIR), '/') . '/',
+                realpath(WP_CONTENT_DIR) ? rtrim(str_replace(DIRECTORY_SEPARATOR, '/', realpath(WP_CONTENT_DIR)), '/') . '/' : null,
+            )))
         );
         }
 
+    /**
+     * Compile glob patterns into a single regex.
+     *
+     * "*" and "?" stay within one path segment, "**" crosses directories and
+     * [...] is a character class. A pattern without a slash matches the file
+     * name in any directory, e.g. "*.mp4" or "uploads/2023/*.mov".
+     *
+     * @param array $patterns Glob patterns relative to wp-content.
+     * @return string|null Regex or null when there are no patterns.
+     */
+    public static function compile_glob_patterns($patterns) {
+        $expressions = array();
+        
+        foreach ((array) $patterns as $pattern) {
+            $pattern = trim(str_replace('\\', '/', (string) $pattern), '/ ');
+            if ($pattern === '') {
+                continue;
+            }
+            
+            $expression = '';
+            $length = strlen($pattern);
+            for ($i = 0; $i < $length; $i++) {
+                $char = $pattern[$i];
+                if ($char === '*' && $i + 1 < $length && $pattern[$i + 1] === '*') {
+                    // "**/" also matches zero directories
+                    if ($i + 2 < $length && $pattern[$i + 2] === '/') {
+                        $expression .= '(?:.*/)?';
+                        $i += 2;
+                    } else {
+                        $expression .= '.*';
+                        $i++;
+                    }
+                } elseif ($char === '*') {
+                    $expression .= '[^/]*';
+                } elseif ($char === '?') {
+                    $expression .= '[^/]';
+                } elseif ($char === '[' && ($end = strpos($pattern, ']', $i + 1)) !== false) {
+                    $class = substr($pattern, $i + 1, $end - $i - 1);
+                    if ($class !== '' && $class[0] === '!') {
+                        $class = '^' . substr($class, 1);
+                    }
+                    $expression .= '[' . str_replace(array('\\', '#'), array('\\\\', '\\#'), $class) . ']';
+                    $i = $end;
+                } else {
+                    $expression .= preg_quote($char, '#');
+                }
+            }
+            
+            $expressions[] = strpos($pattern, '/') === false ? '(?:^|/)' . $expression . '$' : '^' . $expression . '$';
+        }
+        
+        if (empty($expressions)) {
+            return null;
+        }
+        
+        return '#' . implode('|', $expressions) . '#i';
+    }
+
+    /**
+     * Check a file against the user glob patterns.
+     *
+     * @param string $file_path Absolute file path.
+     * @param array  $compiled  Compiled exclusions.
+     * @return bool True if a glob pattern matches.
+     */
+    private static function matches_glob_patterns($file_path, $compiled) {
+        $normalized_path = str_replace(DIRECTORY_SEPARATOR, '/', $file_path);
+        
+        foreach ($compiled['content_dirs'] as $content_dir) {
+            if (strpos($normalized_path, $content_dir) === 0) {
+                return (bool) preg_match($compiled['glob_regex'], substr($normalized_path, strlen($content_dir)));
+            }
+        }
+        
+        return false;
+    }
+
     /**
      * Reset compiled exclusions cache.
      */
@@ -392,23 +499,85 @@ class Custom_Migrator_Helper {
      * Get unified binary block format for archive files.
      * 
      * This ensures all exporters use the same binary format for compatibility.
+     * Version 1 stores size and modification time in 32 bits, so a file of 4 GB
+     * or more corrupts every entry after it; version 2 stores both in 64 bits.
      *
+     * @param int $version Archive format version.
      * @return array Binary block format configuration.
      */
-    public static function get_binary_block_format() {
+    public static function get_binary_block_format($version = self::ARCHIVE_VERSION) {
+        if ($version === 1) {
+            return array(
+                'pack' => 'a255VVa4112',  // filename(255), size(4), date(4), path(4112) = 4375 bytes total
+                'unpack' => 'a255filename/Vsize/Vdate/a4112path',  // For unpack: named fields
+                'size' => 4375,  // Total block size in bytes
+                'fields' => array(
+                    'filename' => 255,  // Maximum filename length
+                    'size' => 4,        // File size (32-bit unsigned)
+                    'date' => 4,        // Modification time (32-bit unsigned)
+                    'path' => 4112      // Maximum path length
+                )
+            );
+        }
+
         return array(
-            'pack' => 'a255VVa4112',  // filename(255), size(4), date(4), path(4112) = 4375 bytes total
-            'unpack' => 'a255filename/Vsize/Vdate/a4112path',  // For unpack: named fields
-            'size' => 4375,  // Total block size in bytes
+            'pack' => 'a255PPa4112',  // filename(255), size(8), date(8), path(4112) = 4383 bytes total
+            'unpack' => 'a255filename/Psize/Pdate/a4112path',  // For unpack: named fields
+            'size' => 4383,  // Total block size in bytes
             'fields' => array(
                 'filename' => 255,  // Maximum filename length
-                'size' => 4,        // File size (32-bit unsigned)
-                'date' => 4,        // Modification time (32-bit unsigned)
+                'size' => 8,        // File size (64-bit unsigned, little-endian)
+                'date' => 8,        // Modification time (64-bit unsigned, little-endian)
                 'path' => 4112      // Maximum path length
             )
         );
     }
 
+    /**
+     * Create the preamble that starts a new archive.
+     *
+     * @return string Preamble of ARCHIVE_PREAMBLE_SIZE bytes.
+     */
+    public static function create_archive_preamble() {
+        return self::ARCHIVE_MAGIC . pack('VV', self::ARCHIVE_VERSION, self::get_binary_block_size());
+    }
+
+    /**
+     * Detect the format of an archive from its first bytes.
+     *
+     * An empty or missing archive gets the current format, since the next
+     * block written to it will be in that format.
+     *
+     * @param string|resource $archive Archive path, or an open handle (its position is kept).
+     * @return array Format with version, data_offset (where the first block starts) and block_size.
+     * @throws Exception If the preamble names a format this version cannot read.
+     */
+    public static function get_archive_format($archive) {
+        if (is_resource($archive)) {
+            $position = ftell($archive);
+            fseek($archive, 0);
+            $preamble = fread($archive, self::ARCHIVE_PREAMBLE_SIZE);
+            fseek($archive, $position);
+        } else {
+            $preamble = file_exists($archive) ? (string) file_get_contents($archive, false, null, 0, self::ARCHIVE_PREAMBLE_SIZE) : '';
+        }
+
+        if ($preamble === '' || $preamble === false) {
+            return array('version' => self::ARCHIVE_VERSION, 'data_offset' => 0, 'block_size' => self::get_binary_block_size());
+        }
+
+        if (strpos($preamble, self::ARCHIVE_MAGIC) !== 0) {
+            return array('version' => 1, 'data_offset' => 0, 'block_size' => self::get_binary_block_size(1));
+        }
+
+        $fields = strlen($preamble) === self::ARCHIVE_PREAMBLE_SIZE ? unpack('Vversion/Vblock_size', substr($preamble, strlen(self::ARCHIVE_MAGIC))) : false;
+        if (!$fields || $fields['version'] !== self::ARCHIVE_VERSION || $fields['block_size'] !== self::get_binary_block_size()) {
+            throw new Exception('The archive uses a format this version of the plugin cannot read.');
+        }
+
+        return array('version' => $fields['version'], 'data_offset' => self::ARCHIVE_PREAMBLE_SIZE, 'block_size' => $fields['block_size']);
+    }
+
     /**
      * Encode a string for safe binary storage (handles international characters)
      *
@@ -457,11 +626,12 @@ class Custom_Migrator_Helper {
      * @param int    $file_size    File size in bytes.
      * @param int    $file_date    File modification time (Unix timestamp).
      * @param string $file_path    Directory path.
+     * @param int    $version      Archive format version, 1 only to append to an old archive.
      * @return string Binary block data.
      * @throws Exception If block creation fails.
      */
-    public static function create_binary_block($filename, $file_size, $file_date, $file_path) {
-        $format = self::get_binary_block_format();
+    public static function create_binary_block($filename, $file_size, $file_date, $file_path, $version = self::ARCHIVE_VERSION) {
+        $format = self::get_binary_block_format($version);
         
         // Apply safe character handling to both filename and path using centralized methods
         // Note: filename is already just the filename, file_path is already the directory path
@@ -488,6 +658,10 @@ class Custom_Migrator_Helper {
             throw new Exception("Invalid file date: $file_date");
         }
         
+        if ($version === 1 && ($file_size > 0xFFFFFFFF || $file_date > 0xFFFFFFFF)) {
+            throw new Exception("File size or date does not fit a version 1 archive: $file_size");
+        }
+        
         // Create binary block with safe character encoding
         $block = pack($format['pack'], $name, $file_size, $file_date, $path);
         
@@ -502,11 +676,14 @@ class Custom_Migrator_Helper {
     /**
      * Parse a binary block from archive files with safe character handling.
      *
+     * The format version follows from the block length, so blocks of old
+     * archives are read too.
+     *
      * @param string $block Binary block data.
      * @return array|false Parsed data array or false on failure.
      */
     public static function parse_binary_block($block) {
-        $format = self::get_binary_block_format();
+        $format = self::get_binary_block_format(strlen($block) === self::get_binary_block_size(1) ? 1 : self::ARCHIVE_VERSION);
         
         if (strlen($block) !== $format['size']) {
             return false;
@@ -534,10 +711,11 @@ class Custom_Migrator_Helper {
     /**
      * Get the size of a binary block.
      *
+     * @param int $version Archive format version.
      * @return int Block size in bytes.
      */
-    public static function get_binary_block_size() {
-        $format = self::get_binary_block_format();
+    public static function get_binary_block_size($version = self::ARCHIVE_VERSION) {
+        $format = self::get_binary_block_format($version);
         return $format['size'];
     }
 
@@ -0,0 +1,1824 @@
+<?php
+/**
+ * The class responsible for importing export archives into this site.
+ *
+ * @package CustomMigrator
+ */
+
+/**
+ * Importer class.
+ *
+ * Restores an export (the .hstgr archive with its volumes, the database dump
+ * and metadata.json) into this site, the opposite direction of the exporter.
+ * The files come from the browser in chunks, from a push received from
+ * another site, or from a folder on the server. The metadata is checked for
+ * compatibility first; the import itself runs in time-boxed slices like the
+ * verifier, with its position in a state file:
+ *
+ * - prepare: drop the previous safety snapshot, decrypt encrypted files and
+ *   unpack the gzipped dump into the work folder;
+ * - files: walk the archive with parse_binary_block and write each entry
+ *   below wp-content, continuing a large file where the last slice stopped;
+ * - database: run the dump statement by statement into tables with a
+ *   temporary prefix, so the live site keeps working during the import;
+ * - finalize: switch the imported tables in with one RENAME TABLE, then
+ *   flush caches and permalinks.
+ *
+ * The safety snapshot is taken along the way: a file about to be overwritten
+ * is first moved into the snapshot folder, and the tables it replaces are
+ * renamed to a backup prefix instead of being dropped. A rollback moves both
+ * back until the next import discards the snapshot.
+ */
+class Custom_Migrator_Importer {
+
+    /**
+     * Import state file name.
+     */
+    const STATE_FILE = 'import-state.json';
+
+    /**
+     * Snapshot file list name, one JSON line per archived path.
+     */
+    const SNAPSHOT_LIST = 'files.jsonl';
+
+    /**
+     * Read chunk size when copying file content.
+     */
+    const READ_CHUNK_SIZE = 1048576;
+
+    /**
+     * Largest upload chunk accepted from the browser.
+     */
+    const MAX_UPLOAD_CHUNK_SIZE = 8388608;
+
+    /**
+     * Smallest upload chunk, below which the server cannot take uploads at all.
+     */
+    const MIN_UPLOAD_CHUNK_SIZE = 262144;
+
+    /**
+     * Longest table name MySQL accepts.
+     */
+    const MAX_TABLE_NAME_LENGTH = 64;
+
+    /**
+     * Where the import files can come from.
+     */
+    const SOURCES = array('upload', 'received', 'path');
+
+    /**
+     * The filesystem handler.
+     *
+     * @var Custom_Migrator_Filesystem
+     */
+    private $filesystem;
+
+    /**
+     * Database connection of the database phase.
+     *
+     * @var mysqli|null
+     */
+    private $mysqli = null;
+
+    /**
+     * Constructor.
+     *
+     * @param Custom_Migrator_Filesystem|null $filesystem Optional filesystem instance.
+     */
+    public function __construct($filesystem = null) {
+        $this->filesystem = $filesystem ? $filesystem : new Custom_Migrator_Filesystem();
+    }
+
+    /**
+     * Get the import folder in the export directory.
+     *
+     * @return string Directory path.
+     */
+    public function get_import_dir() {
+        return $this->filesystem->get_export_dir() . '/import';
+    }
+
+    /**
+     * Get the size of the upload chunks the browser sends.
+     *
+     * @return int Bytes, below the upload limits of PHP.
+     */
+    public function get_upload_chunk_size() {
+        // Leave room for the other form fields of the request
+        return (int) max(self::MIN_UPLOAD_CHUNK_SIZE, min(self::MAX_UPLOAD_CHUNK_SIZE, wp_max_upload_size() - 65536));
+    }
+
+    /**
+     * Append an uploaded chunk to a file in the upload folder.
+     *
+     * A chunk for offset 0 starts the file over. A chunk at any other offset
+     * than the current size is ignored, and the answer tells the browser where
+     * to continue.
+     *
+     * @param string $name     File name.
+     * @param int    $offset   Byte offset of the chunk.
+     * @param string $tmp_path Uploaded chunk.
+     * @return array File name and bytes received.
+     * @throws Exception If the name is not an export file name or the chunk cannot be stored.
+     */
+    public function receive_upload($name, $offset, $tmp_path) {
+        if (!self::is_import_file_name($name)) {
+            throw new Exception('Only export files can be uploaded: the .hstgr archive and its volumes, the .sql or .sql.gz dump and the metadata .json file, optionally encrypted.');
+        }
+        if ($this->is_running()) {
+            throw new Exception('An import is running. Wait for it to finish before uploading new files.');
+        }
+
+        $dir = $this->prepare_dir('upload');
+        $path = $dir . '/' . $name;
+
+        clearstatcache();
+        $received = file_exists($path) ? filesize($path) : 0;
+        if ($offset !== 0 && $offset !== $received) {
+            return array('name' => $name, 'received' => $received);
+        }
+
+        $chunk = @fopen($tmp_path, 'rb');
+        $target = $chunk ? @fopen($path, $offset === 0 ? 'wb' : 'ab') : false;
+        if (!$target) {
+            if ($chunk) {
+                fclose($chunk);
+            }
+            throw new Exception('Cannot store the uploaded chunk of ' . $name . '.');
+        }
+
+        stream_copy_to_stream($chunk, $target);
+        fclose($chunk);
+        fclose($target);
+
+        clearstatcache();
+        return array('name' => $name, 'received' => filesize($path));
+    }
+
+    /**
+     * Remove the uploaded files.
+     *
+     * @return void
+     * @throws Exception If an import is running.
+     */
+    public function clear_uploads() {
+        if ($this->is_running()) {
+            throw new Exception('An import is running. Wait for it to finish before removing the uploaded files.');
+        }
+
+        $this->delete_tree($this->get_import_dir() . '/upload');
+    }
+
+    /**
+     * Find the export files and check the metadata against this site.
+     *
+     * @param string $source "upload", "received" or "path".
+     * @param string $path   Folder on the server for the "path" source.
+     * @return array Report, see get_report().
+     * @throws Exception If the files cannot be found or an import is running.
+     */
+    public function check($source, $path = '') {
+        Custom_Migrator_Filesystem::set_log_phase('import');
+
+        if (!in_array($source, self::SOURCES, true)) {
+            throw new Exception('Unknown import source.');
+        }
+        if ($this->is_running()) {
+            throw new Exception('An import is running. Finish or roll it back before checking new files.');
+        }
+
+        $files = $this->find_import_files($this->get_source_dir($source, $path));
+        $metadata = json_decode(file_get_contents($files['metadata']), true);
+        if (!is_array($metadata) || !isset($metadata['site_info'])) {
+            throw new Exception('The metadata file cannot be read.');
+        }
+
+        $state = array(
+            'id' => strtolower(wp_generate_password(6, false)),
+            'phase' => 'checked',
+            'source' => $source,
+            'files' => $files,
+            'metadata' => $this->summarize_metadata($metadata),
+            'checks' => $this->run_checks($metadata, $files),
+            'snapshot' => null,
+            // The previous import can still be rolled back until this one starts
+            'previous' => $this->get_snapshot_owner($this->load_state()),
+            'checked_at' => time(),
+        );
+
+        $this->filesystem->log(sprintf('Import check of %s from %s: %d problems, %d warnings', basename($files['metadata']), $source, $this->count_checks($state, 'error'), $this->count_checks($state, 'warning')));
+        $this->save_state($state);
+
+        return $this->get_report($state);
+    }
+
+    /**
+     * Start the import that was checked last.
+     *
+     * @return array Report, see get_report().
+     * @throws Exception If nothing was checked or the check found problems.
+     */
+    public function start() {
+        Custom_Migrator_Filesystem::set_log_phase('import');
+        global $wpdb;
+
+        $state = $this->load_state();
+        if (!$state || $state['phase'] !== 'checked') {
+            throw new Exception('Check the import files first.');
+        }
+        if ($this->count_checks($state, 'error') > 0) {
+            throw new Exception('The compatibility check found problems. Fix them and check again.');
+        }
+
+        // Plaintext dumps and the moved files sit in folders whose names cannot be guessed
+        $state['work_dir'] = 'work/' . strtolower(wp_generate_password(32, false));
+        $snapshot_dir = 'snapshot/' . $state['id'] . '-' . strtolower(wp_generate_password(32, false));
+
+        $tasks = array();
+        if (!empty($state['previous'])) {
+            $tasks[] = array('type' => 'discard_snapshot', 'id' => $state['previous']['snapshot']['id'], 'dir' => $state['previous']['snapshot']['dir']);
+        }
+
+        $archive_paths = array();
+        if ($state['files']['hstgr']) {
+            foreach (array_merge(array($state['files']['hstgr']), $state['files']['volumes']) as $volume_path) {
+                $archive_paths[] = $this->queue_decryption($tasks, $state, $volume_path);
+            }
+        }
+
+        $sql_path = null;
+        if ($state['files']['sql']) {
+            $sql_path = $this->queue_decryption($tasks, $state, $state['files']['sql']);
+            if (substr($sql_path, -3) === '.gz') {
+                $tasks[] = array('type' => 'unpack', 'source' => $sql_path, 'target' => $this->get_work_dir($state) . '/database.sql', 'offset' => 0);
+                $sql_path = $this->get_work_dir($state) . '/database.sql';
+            }
+        }
+
+        $state = array_merge($state, array(
+            'phase' => 'prepare',
+            'tasks' => $tasks,
+            'archive_paths' => $archive_paths,
+            'volume_sizes' => array(),
+            'volume' => 0,
+            'archive_offset' => 0,
+            'entry_written' => 0,
+            'files_written' => 0,
+            'files_skipped' => 0,
+            'bytes_written' => 0,
+            'sql_path' => $sql_path,
+            'sql_size' => 0,
+            'sql_offset' => 0,
+            'delimiter' => ';',
+            'statements' => 0,
+            'tables' => array(),
+            'source_prefix' => $state['metadata']['table_prefix'],
+            'target_prefix' => $wpdb->prefix,
+            'temp_prefix' => 'imp' . $state['id'] . '_',
+            'snapshot' => array(
+                'id' => $state['id'],
+                'dir' => $snapshot_dir,
+                'backup_prefix' => 'bak' . $state['id'] . '_',
+                'created_at' => time(),
+                'files' => 0,
+                'tables' => array(),
+            ),
+            'started_at' => time(),
+            'error' => null,
+        ));
+        unset($state['previous']);
+
+        $this->prepare_dir($state['work_dir']);
+        $this->prepare_dir($snapshot_dir);
+        $this->filesystem->log(sprintf('Starting import of %s into %s', $state['metadata']['site_url'], home_url()));
+        $this->save_state($state);
+
+        return $this->get_report($state);
+    }
+
+    /**
+     * Continue the import or rollback for up to the given number of seconds.
+     *
+     * @param int    $time_budget Seconds to spend in this request.
+     * @param string $key         Passphrase or secret key, needed while encrypted files are decrypted.
+     * @param string $key_type    "passphrase" or "secret_key".
+     * @return array Report, see get_report().
+     * @throws Exception If a step fails; the import stays at its last saved position.
+     */
+    public function run_slice($time_budget = 10, $key = '', $key_type = 'passphrase') {
+        Custom_Migrator_Filesystem::set_log_phase('import');
+
+        // Two browser tabs must never write the same files or tables
+        $lock = $this->acquire_lock(false);
+        if (!$lock) {
+            return $this->get_report();
+        }
+
+        $state = $this->load_state();
+        $deadline = microtime(true) + $time_budget;
+
+        try {
+            if (!$state || !$this->is_running($state)) {
+                throw new Exception('No import in progress');
+            }
+
+            if ($state['phase'] === 'prepare') {
+                $this->run_task($state, $deadline, $key, $key_type);
+            } elseif ($state['phase'] === 'files') {
+                $this->extract_files($state, $deadline);
+            } elseif ($state['phase'] === 'database') {
+                $this->import_database($state, $deadline);
+            } elseif ($state['phase'] === 'finalize') {
+                $this->finalize($state);
+            } elseif ($state['phase'] === 'rollback') {
+                $this->run_rollback($state, $deadline);
+            }
+
+            $state['error'] = null;
+            $this->save_state($state);
+        } catch (Exception $e) {
+            if ($state) {
+                // Every phase saves its position before anything it cannot repeat
+                $saved = $this->load_state();
+                $saved['error'] = $e->getMessage();
+                $this->save_state($saved);
+            }
+            $this->filesystem->log('Import failed: ' . $e->getMessage());
+            throw $e;
+        } finally {
+            if ($this->mysqli) {
+                $this->mysqli->close();
+                $this->mysqli = null;
+            }
+            $this->release_lock($lock);
+        }
+
+        return $this->get_report($state);
+    }
+
+    /**
+     * Undo the running or finished import from its safety snapshot.
+     *
+     * Restores the overwritten files, removes the files the import added and
+     * puts the previous tables back; the rollback itself runs in run_slice().
+     *
+     * @return array Report, see get_report().
+     * @throws Exception If there is nothing to roll back.
+     */
+    public function start_rollback() {
+        Custom_Migrator_Filesystem::set_log_phase('import');
+
+        // Waits for a running slice, which would otherwise save over the rollback
+        $lock = $this->acquire_lock(true);
+        $state = $this->get_snapshot_owner($this->load_state());
+        if (!$state || $state['phase'] === 'rollback') {
+            $this->release_lock($lock);
+            throw new Exception('There is no import to roll back.');
+        }
+
+        $state['rollback_from'] = $state['phase'];
+        $state['phase'] = 'rollback';
+        $state['rollback_offset'] = 0;
+        $state['error'] = null;
+
+        $this->filesystem->log('Rolling back the import of ' . $state['metadata']['site_url']);
+        $this->save_state($state);
+        $this->release_lock($lock);
+
+        return $this->get_report($state);
+    }
+
+    /**
+     * Remove the safety snapshot of a finished import and forget the import.
+     *
+     * @return array Report, see get_report().
+     * @throws Exception If an import is running.
+     */
+    public function discard() {
+        $state = $this->load_state();
+        if ($state && $this->is_running($state)) {
+            throw new Exception('An import is running. Finish or roll it back first.');
+        }
+
+        $owner = $this->get_snapshot_owner($state);
+        if ($owner) {
+            $this->drop_tables($owner['snapshot']['backup_prefix']);
+        }
+        $this->delete_tree($this->get_import_dir() . '/snapshot');
+        $this->delete_tree($this->get_import_dir() . '/work');
+        @unlink($this->get_state_path());
+
+        $this->filesystem->log('Import state and safety snapshot removed');
+        return $this->get_report(null);
+    }
+
+    /**
+     * Build the report returned to the browser.
+     *
+     * @param array|null|false $state Import state, false to load it.
+     * @return array Report.
+     */
+    public function get_report($state = false) {
+        if ($state === false) {
+            $state = $this->load_state();
+        }
+
+        if (!$state) {
+            return array(
+                'phase' => 'not_started',
+                'upload_chunk_size' => $this->get_upload_chunk_size(),
+                'uploads' => $this->list_uploads(),
+            );
+        }
+
+        $report = array(
+            'phase' => $state['phase'],
+            'percent' => $this->get_percent($state),
+            'source' => $state['source'],
+            'files' => array(),
+            'metadata' => $state['metadata'],
+            'checks' => $state['checks'],
+            'can_start' => $state['phase'] === 'checked' && $this->count_checks($state, 'error') === 0,
+            'encrypted' => !empty($state['files']['encrypted']),
+            'error' => isset($state['error']) ? $state['error'] : null,
+            'upload_chunk_size' => $this->get_upload_chunk_size(),
+            'uploads' => $this->list_uploads(),
+        );
+
+        foreach (array('hstgr', 'sql', 'metadata') as $type) {
+            if (!empty($state['files'][$type])) {
+                $report['files'][] = basename($state['files'][$type]);
+            }
+        }
+        foreach ($state['files']['volumes'] as $volume_path) {
+            $report['files'][] = basename($volume_path);
+        }
+
+        if (!empty($state['started_at'])) {
+            $report['files_written'] = $state['files_written'];
+            $report['files_skipped'] = $state['files_skipped'];
+            $report['bytes_written'] = $state['bytes_written'];
+            $report['statements'] = $state['statements'];
+            $report['tables'] = count($state['tables']);
+            $report['started_at'] = $state['started_at'];
+            $report['completed_at'] = isset($state['completed_at']) ? $state['completed_at'] : null;
+        }
+
+        $owner = $this->get_snapshot_owner($state);
+        if ($owner) {
+            $report['snapshot'] = array(
+                'site_url' => $owner['metadata']['site_url'],
+                'created_at' => $owner['snapshot']['created_at'],
+                'files' => $owner['snapshot']['files'],
+                'tables' => count($owner['snapshot']['tables']),
+            );
+        }
+
+        return $report;
+    }
+
+    /**
+     * Check whether an import or rollback is in progress.
+     *
+     * @param array|null $state Import state, null to load it.
+     * @return bool Whether it is running.
+     */
+    public function is_running($state = null) {
+        if ($state === null) {
+            $state = $this->load_state();
+        }
+
+        return $state && in_array($state['phase'], array('prepare', 'files', 'database', 'finalize', 'rollback'), true);
+    }
+
+    /**
+     * Check whether a name is one of the export file names.
+     *
+     * @param string $name File name.
+     * @return bool Whether it may be imported.
+     */
+    public static function is_import_file_name($name) {
+        return (bool) preg_match('/^[A-Za-z0-9][A-Za-z0-9._-]*\.(hstgr(\.\d{3})?|sql|sql\.gz|json)(\.enc)?$/', (string) $name);
+    }
+
+    /**
+     * Resolve the folder the files come from.
+     *
+     * @param string $source "upload", "received" or "path".
+     * @param string $path   Folder on the server for the "path" source, absolute or relative to ABSPATH.
+     * @return string Directory path.
+     * @throws Exception If the folder does not exist.
+     */
+    private function get_source_dir($source, $path) {
+        if ($source === 'upload') {
+            $dir = $this->get_import_dir() . '/upload';
+        } elseif ($source === 'received') {
+            $receiver = new Custom_Migrator_Push_Receiver($this->filesystem);
+            $dir = $receiver->get_received_dir();
+        } else {
+            $path = trim((string) $path);
+            if ($path === '') {
+                throw new Exception('Please enter the folder on this server that holds the export files.');
+            }
+            $dir = path_is_absolute($path) ? $path : ABSPATH . ltrim($path, '/');
+        }
+
+        if (!is_dir($dir)) {
+            throw new Exception($source === 'path' ? 'Folder not found: ' . $path : 'No files were ' . ($source === 'upload' ? 'uploaded' : 'pushed to this site') . ' yet.');
+        }
+
+        return rtrim($dir, '/');
+    }
+
+    /**
+     * Find the archive, its volumes, the dump and the metadata in a folder.
+     *
+     * @param string $dir Directory path.
+     * @return array Paths of hstgr, volumes, sql and metadata, and whether any is encrypted.
+     * @throws Exception If the metadata is missing or a folder holds more than one export.
+     */
+    private function find_import_files($dir) {
+        $found = array('hstgr' => array(), 'sql' => array(), 'metadata' => array());
+
+        foreach ((array) scandir($dir) as $name) {
+            $path = $dir . '/' . $name;
+            if (!is_file($path)) {
+                continue;
+            }
+
+            if (preg_match('/\.hstgr(\.enc)?$/', $name)) {
+                $found['hstgr'][] = $path;
+            } elseif (preg_match('/\.sql(\.gz)?(\.enc)?$/', $name)) {
+                $found['sql'][] = $path;
+            } elseif (preg_match('/\.json$/', $name) && filesize($path) < 5242880) {
+                $metadata = json_decode(file_get_contents($path), true);
+                if (is_array($metadata) && isset($metadata['site_info'])) {
+                    $found['metadata'][] = $path;
+                }
+            }
+        }
+
+        foreach ($found as $type => $paths) {
+            if (count($paths) > 1) {
+                throw new Exception(sprintf('%s holds more than one export (%s). Keep the files of one export only.', $dir, implode(', ', array_map('basename', $paths))));
+            }
+        }
+        if (empty($found['metadata'])) {
+            throw new Exception('No metadata .json file of an export was found in ' . $dir . '.');
+        }
+
+        $files = array(
+            'hstgr' => $found['hstgr'] ? $found['hstgr'][0] : null,
+            'volumes' => $found['hstgr'] ? array_values(Custom_Migrator_Volumes::find_volume_paths($found['hstgr'][0])) : array(),
+            'sql' => $found['sql'] ? $found['sql'][0] : null,
+            'metadata' => $found['metadata'][0],
+            'encrypted' => false,
+        );
+
+        foreach (array_merge(array($files['hstgr'], $files['sql']), $files['volumes']) as $path) {
+            if ($path && Custom_Migrator_Encryption::is_encrypted_file($path)) {
+                $files['encrypted'] = true;
+            }
+        }
+
+        return $files;
+    }
+
+    /**
+     * Pick the metadata fields the check and the report show.
+     *
+     * @param array $metadata Decoded metadata.json.
+     * @return array Summary.
+     */
+    private function summarize_metadata($metadata) {
+        $site_info = $metadata['site_info'];
+
+        return array(
+            'site_url' => isset($site_info['site_url']) ? $site_info['site_url'] : '',
+            'wp_version' => isset($site_info['wp_version']) ? $site_info['wp_version'] : '',
+            'php_version' => isset($site_info['php_version']) ? $site_info['php_version'] : '',
+            'table_prefix' => isset($site_info['table_prefix']) ? $site_info['table_prefix'] : '',
+            'charset' => isset($site_info['charset']) ? $site_info['charset'] : '',
+            'db_charset' => isset($metadata['database']['charset']) ? $metadata['database']['charset'] : '',
+            'created_at' => isset($metadata['export_info']['created_at']) ? $metadata['export_info']['created_at'] : '',
+            'skipped' => isset($metadata['export_info']['skipped']) ? (array) $metadata['export_info']['skipped'] : array(),
+        );
+    }
+
+    /**
+     * Compare the metadata with this site.
+     *
+     * @param array $metadata Decoded metadata.json.
+     * @param array $files    Files from find_import_files().
+     * @return array Checks with check, status (ok, warning or error) and message.
+     */
+    private function run_checks($metadata, $files) {
+        global $wp_version, $wpdb;
+
+        $summary = $this->summarize_metadata($metadata);
+        $checks = array();
+
+        // WordPress runs the database upgrade for an older schema, never a downgrade
+        if ($summary['wp_version'] === '') {
+            $checks[] = $this->check_result('wordpress', 'warning', 'The metadata does not name the WordPress version of the archive.');
+        } elseif (version_compare($summary['wp_version'], $wp_version, '>')) {
+            $checks[] = $this->check_result('wordpress', 'warning', sprintf('The archive comes from WordPress %s, newer than %s on this site. Update WordPress here first so its code matches the imported database.', $summary['wp_version'], $wp_version));
+        } else {
+            $checks[] = $this->check_result('wordpress', 'ok', sprintf('WordPress %s, this site runs %s.', $summary['wp_version'], $wp_version));
+        }
+
+        $source_php = implode('.', array_slice(explode('.', $summary['php_version']), 0, 2));
+        $target_php = PHP_MAJOR_VERSION . '.' . PHP_MINOR_VERSION;
+        if ($source_php !== '' && version_compare($source_php, $target_php, '>')) {
+            $checks[] = $this->check_result('php', 'warning', sprintf('The archive comes from PHP %s, this site runs PHP %s. Plugins and themes that need the newer PHP will fail here.', $summary['php_version'], phpversion()));
+        } else {
+            $checks[] = $this->check_result('php', 'ok', sprintf('PHP %s, this site runs %s.', $summary['php_version'] !== '' ? $summary['php_version'] : 'unknown', phpversion()));
+        }
+
+        if (!preg_match('/^[A-Za-z0-9_]*$/', $summary['table_prefix'])) {
+            $checks[] = $this->check_result('table_prefix', 'error', sprintf('The table prefix "%s" of the archive is not valid.', $summary['table_prefix']));
+        } elseif ($summary['table_prefix'] !== $wpdb->prefix) {
+            $checks[] = $this->check_result('table_prefix', 'ok', sprintf('Tables are renamed from the prefix %s to %s.', $summary['table_prefix'], $wpdb->prefix));
+        } else {
+            $checks[] = $this->check_result('table_prefix', 'ok', sprintf('Table prefix %s matches this site.', $wpdb->prefix));
+        }
+
+        if (strpos(strtolower($summary['db_charset']), 'utf8mb4') === 0 && !$wpdb->has_cap('utf8mb4')) {
+            $checks[] = $this->check_result('charset', 'error', 'The database uses utf8mb4, which the database server of this site does not support.');
+        } elseif ($summary['charset'] !== '' && strcasecmp($summary['charset'], get_option('blog_charset', 'UTF-8')) !== 0) {
+            $checks[] = $this->check_result('charset', 'warning', sprintf('The site charset %s differs from %s on this site.', $summary['charset'], get_option('blog_charset', 'UTF-8')));
+        } else {
+            $checks[] = $this->check_result('charset', 'ok', sprintf('Site charset %s, database charset %s.', $summary['charset'], $summary['db_charset'] !== '' ? $summary['db_charset'] : 'default'));
+        }
+
+        if (!empty($metadata['site_info']['is_multisite']) || is_multisite()) {
+            $checks[] = $this->check_result('multisite', 'error', 'Multisite networks cannot be imported.');
+        }
+
+        if (!$files['hstgr'] && !in_array('content', $summary['skipped'], true)) {
+            $checks[] = $this->check_result('archive', 'error', 'The .hstgr archive is missing.');
+        }
+        if (!$files['sql'] && !in_array('database', $summary['skipped'], true)) {
+            $checks[] = $this->check_result('database', 'error', 'The database dump is missing.');
+        }
+        foreach ($summary['skipped'] as $part) {
+            $checks[] = $this->check_result('skipped', 'ok', sprintf('The export left out the %s, so it stays as it is on this site.', $part === 'content' ? 'wp-content files' : 'database'));
+        }
+
+        if ($files['encrypted']) {
+            $encryption = new Custom_Migrator_Encryption($this->filesystem);
+            if (!$encryption->is_available()) {
+                $checks[] = $this->check_result('encryption', 'error', 'The files are encrypted, and decrypting them needs the PHP sodium extension or the sodium_compat library of WordPress 5.2 and later.');
+            } else {
+                $checks[] = $this->check_result('encryption', 'ok', 'The files are encrypted. The import asks for the passphrase or secret key.');
+            }
+        }
+
+        if (!empty($metadata['incremental'])) {
+            $checks[] = $this->check_result('incremental', 'warning', 'This is an incremental export, it holds only the files changed since its base export. Import the base export first.');
+        }
+        if (!empty($metadata['anonymization'])) {
+            $checks[] = $this->check_result('anonymization', 'warning', 'The database holds anonymized personal data, user logins and emails differ from the original site.');
+        }
+
+        $required = $this->estimate_required_space($metadata, $files);
+        $disk = $this->filesystem->get_disk_space_info(WP_CONTENT_DIR);
+        if ($disk['free'] > 0 && $disk['free'] < $required) {
+            $checks[] = $this->check_result('disk_space', 'error', sprintf('The import needs about %s of free disk space, %s is free.', $this->filesystem->format_file_size($required), $disk['free_formatted']));
+        }
+
+        $previous = $this->load_state();
+        if (!empty($previous['snapshot'])) {
+            $checks[] = $this->check_result('snapshot', 'warning', 'The safety snapshot of the previous import is removed when this import starts.');
+        }
+
+        return $checks;
+    }
+
+    /**
+     * Build one check result.
+     *
+     * @param string $check   Check name.
+     * @param string $status  "ok", "warning" or "error".
+     * @param string $message Message.
+     * @return array Check result.
+     */
+    private function check_result($check, $status, $message) {
+        return array('check' => $check, 'status' => $status, 'message' => $message);
+    }
+
+    /**
+     * Count the checks with a status.
+     *
+     * @param array  $state  Import state.
+     * @param string $status Status to count.
+     * @return int Count.
+     */
+    private function count_checks($state, $status) {
+        $count = 0;
+        foreach ($state['checks'] as $check) {
+            if ($check['status'] === $status) {
+                $count++;
+            }
+        }
+        return $count;
+    }
+
+    /**
+     * Estimate the disk space the import needs.
+     *
+     * Extracted files take about the size of the archive. Decrypted copies
+     * and the unpacked dump are written to the work folder on top of that.
+     *
+     * @param array $metadata Decoded metadata.json.
+     * @param array $files    Files from find_import_files().
+     * @return int Bytes.
+     */
+    private function estimate_required_space($metadata, $files) {
+        $archive_size = 0;
+        foreach (array_merge(array($files['hstgr']), $files['volumes']) as $path) {
+            $archive_size += $path ? filesize($path) : 0;
+        }
+        $sql_size = $files['sql'] ? filesize($files['sql']) : 0;
+
+        $required = $archive_size;
+        if ($files['encrypted']) {
+            $required += $archive_size + $sql_size;
+        }
+        if ($files['sql'] && preg_match('/\.gz(\.enc)?$/', $files['sql'])) {
+            $required += isset($metadata['database']['total_size_bytes']) ? (int) $metadata['database']['total_size_bytes'] : $sql_size * 5;
+        }
+
+        return $required;
+    }
+
+    /**
+     * Queue the decryption of a file into the work folder.
+     *
+     * @param array  $tasks Task queue, updated in place.
+     * @param array  $state Import state.
+     * @param string $path  File path.
+     * @return string Path of the plaintext once the queue has run.
+     */
+    private function queue_decryption(&$tasks, $state, $path) {
+        if (!Custom_Migrator_Encryption::is_encrypted_file($path)) {
+            return $path;
+        }
+
+        $name = basename($path);
+        if (substr($name, -strlen(Custom_Migrator_Encryption::FILE_SUFFIX)) === Custom_Migrator_Encryption::FILE_SUFFIX) {
+            $name = substr($name, 0, -strlen(Custom_Migrator_Encryption::FILE_SUFFIX));
+        }
+        $target = $this->get_work_dir($state) . '/' . $name;
+        $tasks[] = array('type' => 'decrypt', 'source' => $path, 'target' => $target);
+
+        return $target;
+    }
+
+    /**
+     * Run the first task of the prepare phase.
+     *
+     * Decryption cannot be split, so each encrypted file gets a request of its own.
+     *
+     * @param array  $state    Import state, updated in place.
+     * @param float  $deadline Time after which no new work is started.
+     * @param string $key      Passphrase or secret key.
+     * @param string $key_type "passphrase" or "secret_key".
+     * @return void
+     * @throws Exception If a file cannot be decrypted or unpacked.
+     */
+    private function run_task(&$state, $deadline, $key, $key_type) {
+        if (empty($state['tasks'])) {
+            $this->begin_files($state);
+            return;
+        }
+
+        $task = &$state['tasks'][0];
+
+        if ($task['type'] === 'discard_snapshot') {
+            $this->drop_tables('bak' . $task['id'] . '_');
+            $this->delete_tree($this->get_import_dir() . '/' . $task['dir']);
+            $this->filesystem->log('Previous safety snapshot removed');
+        } elseif ($task['type'] === 'decrypt') {
+            if ($key === '') {
+                throw new Exception('The files are encrypted. Enter the passphrase or secret key to continue.');
+            }
+            @set_time_limit(0);
+            $encryption = new Custom_Migrator_Encryption($this->filesystem);
+            $written = $encryption->decrypt_file($task['source'], $task['target'], $key, $key_type);
+            $this->filesystem->log(sprintf('Decrypted %s (%s)', basename($task['source']), $this->filesystem->format_file_size($written)));
+        } elseif ($task['type'] === 'unpack') {
+            if (!$this->unpack_dump($task, $deadline)) {
+                return;
+            }
+            if (strpos($task['source'], $this->get_work_dir($state) . '/') === 0) {
+                @unlink($task['source']);
+            }
+        }
+
+        unset($task);
+        array_shift($state['tasks']);
+    }
+
+    /**
+     * Unpack the gzipped dump into the work folder until the deadline.
+     *
+     * @param array $task     Unpack task, its offset is updated in place.
+     * @param float $deadline Time after which no new chunk is read.
+     * @return bool True once the dump is unpacked.
+     * @throws Exception If the dump cannot be read or written.
+     */
+    private function unpack_dump(&$task, $deadline) {
+        if (!function_exists('gzopen')) {
+            throw new Exception('Unpacking the .sql.gz dump needs the PHP zlib extension.');
+        }
+
+        $source = @gzopen($task['source'], 'rb');
+        $target = $source ? @fopen($task['target'], $task['offset'] > 0 ? 'cb' : 'wb') : false;
+        if (!$target) {
+            if ($source) {
+                gzclose($source);
+            }
+            throw new Exception('Cannot unpack ' . basename($task['source']) . '.');
+        }
+
+        // Bytes written by a request that died before saving its offset are written again
+        ftruncate($target, $task['offset']);
+        fseek($target, $task['offset']);
+        if ($task['offset'] > 0 && gzseek($source, $task['offset']) !== 0) {
+            gzclose($source);
+            fclose($target);
+            throw new Exception('Cannot continue unpacking ' . basename($task['source']) . '.');
+        }
+
+        $done = false;
+        while (microtime(true) < $deadline) {
+            $chunk = gzread($source, self::READ_CHUNK_SIZE);
+            if ($chunk === false) {
+                gzclose($source);
+                fclose($target);
+                throw new Exception(basename($task['source']) . ' is damaged and cannot be unpacked.');
+            }
+            if ($chunk === '') {
+                $done = true;
+                break;
+            }
+            fwrite($target, $chunk);
+            $task['offset'] += strlen($chunk);
+        }
+
+        gzclose($source);
+        fclose($target);
+
+        if ($done) {
+            $this->filesystem->log(sprintf('Unpacked %s (%s)', basename($task['source']), $this->filesystem->format_file_size($task['offset'])));
+        }
+
+        return $done;
+    }
+
+    /**
+     * Move on to the files phase, or straight to the database without an archive.
+     *
+     * @param array $state Import state, updated in place.
+     * @return void
+     * @throws Exception If the archive cannot be read.
+     */
+    private function begin_files(&$state) {
+        clearstatcache();
+
+        if (empty($state['archive_paths'])) {
+            $this->begin_database($state);
+            return;
+        }
+
+        foreach ($state['archive_paths'] as $volume_path) {
+            if (!file_exists($volume_path)) {
+                throw new Exception('Archive volume not found: ' . basename($volume_path));
+            }
+            $state['volume_sizes'][] = filesize($volume_path);
+        }
+
+        $archive_format = Custom_Migrator_Helper::get_archive_format($state['archive_paths'][0]);
+        $state['archive_version'] = $archive_format['version'];
+        $state['archive_offset'] = $archive_format['data_offset'];
+        $state['phase'] = 'files';
+
+        $this->filesystem->log(sprintf('Extracting %d archive volumes (%s)', count($state['archive_paths']), $this->filesystem->format_file_size(array_sum($state['volume_sizes']))));
+    }
+
+    /**
+     * Write archive entries below wp-content until the deadline.
+     *
+     * @param array $state    Import state, updated in place.
+     * @param float $deadline Time after which no new chunk is written.
+     * @return void
+     * @throws Exception If the archive is damaged or a file cannot be written.
+     */
+    private function extract_files(&$state, $deadline) {
+        $block_size = Custom_Migrator_Helper::get_binary_block_size($state['archive_version']);
+        $archive_handle = @fopen($state['archive_paths'][$state['volume']], 'rb');
+        if (!$archive_handle) {
+            throw new Exception('Cannot open archive volume ' . $state['volume']);
+        }
+
+        $list_handle = @fopen($this->get_snapshot_dir($state) . '/' . self::SNAPSHOT_LIST, 'ab');
+        if (!$list_handle) {
+            fclose($archive_handle);
+            throw new Exception('Cannot write the safety snapshot list.');
+        }
+
+        try {
+            while (microtime(true) < $deadline) {
+                $volume_size = $state['volume_sizes'][$state['volume']];
+
+                if ($state['archive_offset'] >= $volume_size) {
+                    if ($state['volume'] + 1 >= count($state['archive_paths'])) {
+                        $this->filesystem->log(sprintf('Files extracted: %d written, %d skipped', $state['files_written'], $state['files_skipped']));
+                        $this->begin_database($state);
+                        break;
+                    }
+
+                    // Continue with the first entry of the next volume
+                    fclose($archive_handle);
+                    $state['volume']++;
+                    $archive_handle = @fopen($state['archive_paths'][$state['volume']], 'rb');
+                    if (!$archive_handle) {
+                        $archive_handle = null;
+                        throw new Exception('Cannot open archive volume ' . $state['volume']);
+                    }
+                    $archive_format = Custom_Migrator_Helper::get_archive_format($archive_handle);
+                    $block_size = $archive_format['block_size'];
+                    $state['archive_version'] = $archive_format['version'];
+                    $state['archive_offset'] = $archive_format['data_offset'];
+                    continue;
+                }
+
+                fseek($archive_handle, $state['archive_offset']);
+                $block = fread($archive_handle, $block_size);
+                $header = $block !== false ? Custom_Migrator_Helper::parse_binary_block($block) : false;
+                $content_end = $state['archive_offset'] + $block_size + ($header ? $header['size'] : 0);
+
+                if ($header === false || $content_end > $volume_size) {
+                    throw new Exception(sprintf('Unreadable archive entry at byte %d of volume %d, the archive is damaged.', $state['archive_offset'], $state['volume']));
+                }
+
+                $path = str_replace('\\', '/', $header['filename']);
+                $target = $this->get_extract_target($path);
+
+                if ($target === null) {
+                    $state['files_skipped']++;
+                } elseif (!$this->extract_entry($state, $archive_handle, $header, $path, $target, $list_handle, $deadline)) {
+                    break;
+                } else {
+                    $state['files_written']++;
+                }
+
+                $state['archive_offset'] = $content_end;
+                $state['entry_written'] = 0;
+            }
+        } finally {
+            if ($archive_handle) {
+                fclose($archive_handle);
+            }
+            fclose($list_handle);
+        }
+    }
+
+    /**
+     * Write one archive entry, or as much of it as fits before the deadline.
+     *
+     * @param array    $state          Import state, updated in place.
+     * @param resource $archive_handle Archive volume, positioned anywhere.
+     * @param array    $header         Parsed entry header.
+     * @param string   $path           Archive path of the entry.
+     * @param string   $target         File to write.
+     * @param resource $list_handle    Snapshot list.
+     * @param float    $deadline       Time after which no new chunk is written.
+     * @return bool True once the entry is written, false if out of time.
+     * @throws Exception If the file cannot be written.
+     */
+    private function extract_entry(&$state, $archive_handle, $header, $path, $target, $list_handle, $deadline) {
+        if ($state['entry_written'] === 0) {
+            $this->snapshot_file($state, $path, $target, $list_handle);
+            if (!file_exists(dirname($target)) && !wp_mkdir_p(dirname($target))) {
+                throw new Exception('Cannot create the folder of ' . $path);
+            }
+        }
+
+        $file_handle = @fopen($target, $state['entry_written'] > 0 ? 'cb' : 'wb');
+        if (!$file_handle) {
+            throw new Exception('Cannot write ' . $path);
+        }
+
+        ftruncate($file_handle, $state['entry_written']);
+        fseek($file_handle, $state['entry_written']);
+        fseek($archive_handle, $state['archive_offset'] + Custom_Migrator_Helper::get_binary_block_size($state['archive_version']) + $state['entry_written']);
+
+        $size = (int) $header['size'];
+        while ($state['entry_written'] < $size) {
+            if (microtime(true) >= $deadline) {
+                fclose($file_handle);
+                return false;
+            }
+
+            $chunk = fread($archive_handle, (int) min(self::READ_CHUNK_SIZE, $size - $state['entry_written']));
+            if ($chunk === false || $chunk === '') {
+                fclose($file_handle);
+                throw new Exception('The archive ends inside ' . $path);
+            }
+            if (fwrite($file_handle, $chunk) !== strlen($chunk)) {
+                fclose($file_handle);
+                throw new Exception('Cannot write ' . $path . ', the disk may be full.');
+            }
+
+            $state['entry_written'] += strlen($chunk);
+            $state['bytes_written'] += strlen($chunk);
+        }
+
+        fclose($file_handle);
+        if ($header['date'] > 0) {
+            @touch($target, (int) $header['date']);
+        }
+
+        return true;
+    }
+
+    /**
+     * Map an archive path to the file it restores.
+     *
+     * Entries outside wp-content, the export directory and this plugin are
+     * skipped: the running import must not overwrite its own code or files.
+     *
+     * @param string $path Archive path, e.g. wp-content/uploads/logo.png.
+     * @return string|null Target path, null to skip the entry.
+     */
+    private function get_extract_target($path) {
+        if (strpos($path, 'wp-content/') !== 0 || strpos($path, "\0") !== false || preg_match('#(^|/)\.\.(/|$)#', $path)) {
+            $this->filesystem->log('Import skipped an entry outside wp-content: ' . $path);
+            return null;
+        }
+
+        $relative = substr($path, strlen('wp-content/'));
+        foreach ($this->get_protected_paths() as $protected) {
+            if ($relative === $protected || strpos($relative, $protected . '/') === 0) {
+                return null;
+            }
+        }
+
+        return WP_CONTENT_DIR . '/' . $relative;
+    }
+
+    /**
+     * Get the paths below wp-content the import never writes to.
+     *
+     * @return array Relative paths of the archives folder and this plugin.
+     */
+    private function get_protected_paths() {
+        $paths = array();
+        $content_dir = wp_normalize_path(WP_CONTENT_DIR) . '/';
+
+        foreach (array($this->filesystem->get_export_root_dir(), untrailingslashit(CUSTOM_MIGRATOR_PLUGIN_DIR)) as $dir) {
+            $dir = wp_normalize_path($dir);
+            if (strpos($dir, $content_dir) === 0) {
+                $paths[] = substr($dir, strlen($content_dir));
+            }
+        }
+
+        return $paths;
+    }
+
+    /**
+     * Move a file about to be overwritten into the snapshot and record it.
+     *
+     * A file already in the snapshot was moved by a request that died before
+     * saving its position, so it is not moved or recorded again.
+     *
+     * @param array    $state       Import state, updated in place.
+     * @param string   $path        Archive path of the entry.
+     * @param string   $target      File about to be written.
+     * @param resource $list_handle Snapshot list.
+     * @return void
+     * @throws Exception If the file cannot be moved.
+     */
+    private function snapshot_file(&$state, $path, $target, $list_handle) {
+        $snapshot_path = $this->get_snapshot_dir($state) . '/files/' . $path;
+        if (file_exists($snapshot_path)) {
+            return;
+        }
+
+        $existed = is_file($target) || is_link($target);
+        if ($existed) {
+            if (!file_exists(dirname($snapshot_path)) && !wp_mkdir_p(dirname($snapshot_path))) {
+                throw new Exception('Cannot create the safety snapshot folder for ' . $path);
+            }
+            if (!@rename($target, $snapshot_path) && !(@copy($target, $snapshot_path) && @unlink($target))) {
+                throw new Exception('Cannot move ' . $path . ' into the safety snapshot.');
+            }
+            $state['snapshot']['files']++;
+        } elseif (file_exists($target)) {
+            throw new Exception($path . ' is a folder on this site and cannot be replaced by a file.');
+        }
+
+        fwrite($list_handle, json_encode(array('path' => $path, 'existed' => $existed), JSON_UNESCAPED_SLASHES) . "\n");
+        fflush($list_handle);
+    }
+
+    /**
+     * Move on to the database phase, or straight to finalize without a dump.
+     *
+     * @param array $state Import state, updated in place.
+     * @return void
+     * @throws Exception If the dump is missing.
+     */
+    private function begin_database(&$state) {
+        if (empty($state['sql_path'])) {
+            $state['phase'] = 'finalize';
+            return;
+        }
+        if (!file_exists($state['sql_path'])) {
+            throw new Exception('Database dump not found: ' . basename($state['sql_path']));
+        }
+
+        clearstatcache();
+        $state['sql_size'] = filesize($state['sql_path']);
+        $state['sql_offset'] = 0;
+        $state['phase'] = 'database';
+
+        $this->filesystem->log(sprintf('Importing the database dump (%s) into tables prefixed %s', $this->filesystem->format_file_size($state['sql_size']), $state['temp_prefix']));
+    }
+
+    /**
+     * Run dump statements until the deadline.
+     *
+     * Rows are inserted in one transaction per request, committed before the
+     * offset is saved. Statements that define tables commit on their own, so
+     * the offset is saved right after each of them; a failed request starts
+     * again at the last saved statement.
+     *
+     * @param array $state    Import state, updated in place.
+     * @param float $deadline Time after which no new statement is started.
+     * @return void
+     * @throws Exception If a statement fails.
+     */
+    private function import_database(&$state, $deadline) {
+        $this->connect();
+
+        if ($state['sql_offset'] === 0) {
+            // Leftovers of an earlier attempt of this import
+            $this->drop_tables($state['temp_prefix']);
+        }
+
+        $handle = @fopen($state['sql_path'], 'rb');
+        if (!$handle) {
+            throw new Exception('Cannot open the database dump.');
+        }
+        fseek($handle, $state['sql_offset']);
+
+        $delimiter = $state['delimiter'];
+        $this->mysqli->begin_transaction();
+
+        try {
+            while (microtime(true) < $deadline) {
+                $statement = $this->read_statement($handle, $delimiter);
+                if ($statement === null) {
+                    $this->mysqli->commit();
+                    $state['sql_offset'] = ftell($handle);
+                    $this->filesystem->log(sprintf('Database imported: %d statements, %d tables', $state['statements'], count($state['tables'])));
+                    $state['phase'] = 'finalize';
+                    return;
+                }
+
+                $prepared = $this->prepare_statement($statement, $state);
+                if ($prepared === null) {
+                    continue;
+                }
+
+                if ($prepared['type'] === 'ddl') {
+                    $this->mysqli->commit();
+                }
+
+                if (!$this->mysqli->query($prepared['sql'])) {
+                    $error = $this->mysqli->error;
+                    $this->mysqli->rollback();
+                    throw new Exception(sprintf('Database import failed at byte %d of the dump: %s (%s)', $state['sql_offset'], $error, substr(preg_replace('/\s+/', ' ', $prepared['sql']), 0, 120)));
+                }
+                $state['statements']++;
+
+                if ($prepared['type'] === 'ddl') {
+                    $state['sql_offset'] = ftell($handle);
+                    $state['delimiter'] = $delimiter;
+                    $this->save_state($state);
+                    $this->mysqli->begin_transaction();
+                }
+            }
+
+            $this->mysqli->commit();
+            $state['sql_offset'] = ftell($handle);
+            $state['delimiter'] = $delimiter;
+        } finally {
+            fclose($handle);
+        }
+    }
+
+    /**
+     * Read the next statement of the dump.
+     *
+     * Comments and blank lines between statements are skipped and DELIMITER
+     * lines change the delimiter. The exporter escapes line breaks inside
+     * values, so a statement ends at the first line that ends with the delimiter.
+     *
+     * @param resource $handle    Dump file.
+     * @param string   $delimiter Current delimiter, updated in place.
+     * @return string|null Statement without its delimiter, null at the end of the dump.
+     */
+    private function read_statement($handle, &$delimiter) {
+        $statement = '';
+
+        while (($line = fgets($handle)) !== false) {
+            $trimmed = rtrim($line);
+
+            if ($statement === '') {
+                $trimmed = ltrim($trimmed);
+                if ($trimmed === '' || strpos($trimmed, '--') === 0 || strpos($trimmed, '#') === 0) {
+                    continue;
+                }
+                if (preg_match('/^DELIMITER\s+(\S+)$/i', $trimmed, $matches)) {
+                    $delimiter = $matches[1];
+                    continue;
+                }
+            }
+
+            $statement .= $line;
+            if (substr($trimmed, -strlen($delimiter)) === $delimiter) {
+                return substr(rtrim($statement), 0, -strlen($delimiter));
+            }
+        }
+
+        return trim($statement) === '' ? null : $statement;
+    }
+
+    /**
+     * Classify a statement and rewrite its table names.
+     *
+     * Tables, their rows and triggers go to the temporary prefix, so they move
+     * with the tables when they are switched in. Views and routines are
+     * created under their final names, which they keep referring to.
+     *
+     * @param string $sql   Statement.
+     * @param array  $state Import state, its table list is updated in place.
+     * @return array|null Type (insert or ddl) and rewritten statement, null to skip it.
+     * @throws Exception If a table name gets too long for MySQL.
+     */
+    private function prepare_statement($sql, &$state) {
+        $sql = trim($sql);
+
+        // Session settings and transactions of the dump are handled per request
+        if (preg_match('/^(\/\*!\d+\s*)?SET\s/i', $sql) || preg_match('/^(START\s+TRANSACTION|BEGIN|COMMIT|ROLLBACK|LOCK\s+TABLES|UNLOCK\s+TABLES)\b/i', $sql)) {
+            return null;
+        }
+
+        if (preg_match('/^(INSERT\s+(?:IGNORE\s+)?INTO\s+)`([^`]+)`/i', $sql, $matches)) {
+            return array(
+                'type' => 'insert',
+                'sql' => $matches[1] . '`' . $this->get_temp_name($matches[2], $state) . '`' . substr($sql, strlen($matches[0])),
+            );
+        }
+
+        if (preg_match('/^(DROP\s+TABLE\s+(?:IF\s+EXISTS\s+)?|CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?)`([^`]+)`/i', $sql, $matches)) {
+            $state['tables'][$matches[2]] = true;
+            $sql = $this->replace_table_names($sql, $state, 'temp');
+            if (stripos($sql, 'CREATE') === 0) {
+                $sql = $this->fix_collations($sql);
+            }
+            return array('type' => 'ddl', 'sql' => $sql);
+        }
+
+        // Definers are accounts of the source server
+        $sql = preg_replace('/\bDEFINER\s*=\s*(`[^`]*`|\S+)@(`[^`]*`|\S+)\s*/i', '', $sql);
+
+        if (preg_match('/^CREATE\b.*?\bTRIGGER\b/is', $sql) && preg_match('/\bFOR\s+EACH\s+ROW\b/i', $sql, $matches, PREG_OFFSET_CAPTURE)) {
+            $head = substr($sql, 0, $matches[0][1]);
+            $body = substr($sql, $matches[0][1]);
+            return array('type' => 'ddl', 'sql' => $this->replace_table_names($head, $state, 'temp') . $this->replace_table_names($body, $state, 'final'));
+        }
+
+        if (preg_match('/^(DROP\s+VIEW\s+(?:IF\s+EXISTS\s+)?|CREATE\s+(?:OR\s+REPLACE\s+)?(?:ALGORITHM\s*=\s*\w+\s+)?(?:SQL\s+SECURITY\s+\w+\s+)?VIEW\s+)`([^`]+)`/i', $sql, $matches)) {
+            $sql = $matches[1] . '`' . $this->get_final_name($matches[2], $state) . '`' . substr($sql, strlen($matches[0]));
+        }
+
+        return array('type' => 'ddl', 'sql' => $this->replace_table_names($sql, $state, 'final'));
+    }
+
+    /**
+     * Rewrite the quoted names of imported tables in a statement.
+     *
+     * @param string $sql   Statement.
+     * @param array  $state Import state.
+     * @param string $kind  "temp" or "final".
+     * @return string Statement.
+     * @throws Exception If a table name gets too long for MySQL.
+     */
+    private function replace_table_names($sql, $state, $kind) {
+        return preg_replace_callback('/`([^`]+)`/', function ($matches) use ($state, $kind) {
+            if (!isset($state['tables'][$matches[1]])) {
+                return $matches[0];
+            }
+            return '`' . ($kind === 'temp' ? $this->get_temp_name($matches[1], $state) : $this->get_final_name($matches[1], $state)) . '`';
+        }, $sql);
+    }
+
+    /**
+     * Get the name a source table gets on this site.
+     *
+     * @param string $name  Source table name.
+     * @param array  $state Import state.
+     * @return string Table name with the prefix of this site.
+     */
+    private function get_final_name($name, $state) {
+        if ($state['source_prefix'] !== '' && strpos($name, $state['source_prefix']) === 0) {
+            return $state['target_prefix'] . substr($name, strlen($state['source_prefix']));
+        }
+        return $name;
+    }
+
+    /**
+     * Get the name a source table is imported under until it is switched in.
+     *
+     * @param string $name  Source table name.
+     * @param array  $state Import state.
+     * @return string Temporary table name.
+     * @throws Exception If the name gets too long for MySQL.
+     */
+    private function get_temp_name($name, $state) {
+        $temp_name = $state['temp_prefix'] . $this->get_final_name($name, $state);
+        if (strlen($temp_name) > self::MAX_TABLE_NAME_LENGTH) {
+            throw new Exception(sprintf('The table %s has a name too long to import it under a temporary name.', $name));
+        }
+        return $temp_name;
+    }
+
+    /**
+     * Replace collations this database server does not know.
+     *
+     * @param string $sql CREATE TABLE statement.
+     * @return string Statement.
+     */
+    private function fix_collations($sql) {
+        global $wpdb;
+
+        if (!$wpdb->has_cap('utf8mb4')) {
+            return str_replace(array('utf8mb4_0900_ai_ci', 'utf8mb4_unicode_520_ci', 'utf8mb4'), array('utf8_unicode_ci', 'utf8_unicode_ci', 'utf8'), $sql);
+        }
+        if (!$wpdb->has_cap('utf8mb4_520')) {
+            return str_replace(array('utf8mb4_0900_ai_ci', 'utf8mb4_unicode_520_ci'), 'utf8mb4_unicode_ci', $sql);
+        }
+
+        return str_replace('utf8mb4_0900_ai_ci', 'utf8mb4_unicode_520_ci', $sql);
+    }
+
+    /**
+     * Switch the imported tables in and flush caches and permalinks.
+     *
+     * The tables they replace are renamed to the backup prefix of the
+     * snapshot. Logins, sessions and options now come from the imported
+     * site, except its URLs, which stay those of this site.
+     *
+     * @param array $state Import state, updated in place.
+     * @return void
+     * @throws Exception If the tables cannot be switched.
+     */
+    private function finalize(&$state) {
+        global $wpdb;
+
+        $temp_tables = $this->list_tables($state['temp_prefix']);
+        if (!empty($temp_tables)) {
+            $this->prepare_imported_options($state);
+
+            $live_tables = array_flip($this->list_tables(''));
+            $renames = array();
+            $swapped = array();
+
+            foreach ($temp_tables as $temp_table) {
+                $final = substr($temp_table, strlen($state['temp_prefix']));
+                $backup = null;
+                if (isset($live_tables[$final])) {
+                    $backup = $state['snapshot']['backup_prefix'] . $final;
+                    if (strlen($backup) > self::MAX_TABLE_NAME_LENGTH) {
+                        throw new Exception(sprintf('The table %s has a name too long to keep it in the safety snapshot.', $final));
+                    }
+                    $renames[] = "`{$final}` TO `{$backup}`";
+                }
+                $renames[] = "`{$temp_table}` TO `{$final}`";
+                $swapped[] = array('table' => $final, 'backup' => $backup);
+            }
+
+            // Recorded first: a request that dies right after the switch must still be able to roll it back
+            $state['snapshot']['tables'] = $swapped;
+            $this->save_state($state);
+
+            // One statement, so the site never sees a mix of old and new tables
+            if ($wpdb->query('RENAME TABLE ' . implode(', ', $renames)) === false) {
+                $state['snapshot']['tables'] = array();
+                $this->save_state($state);
+                throw new Exception('Cannot switch the imported tables in: ' . $wpdb->last_error);
+            }
+
+            $this->filesystem->log(sprintf('Switched %d imported tables in, the previous tables are kept with the prefix %s', count($swapped), $state['snapshot']['backup_prefix']));
+        }
+
+        $this->flush_caches();
+
+        $state['phase'] = 'done';
+        $state['completed_at'] = time();
+        $this->delete_tree($this->get_import_dir() . '/work');
+        $this->filesystem->log(sprintf('Import of %s finished: %d files, %d statements', $state['metadata']['site_url'], $state['files_written'], $state['statements']));
+
+        /**
+         * Fires when an import has switched in its files and tables.
+         *
+         * @param array $report Import report.
+         */
+        do_action('custom_migrator_import_completed', $this->get_report($state));
+    }
+
+    /**
+     * Adjust the imported options and user meta before they go live.
+     *
+     * Keeps the URLs of this site, its export directory and this plugin
+     * active, and renames the option and user meta keys WordPress names
+     * after the table prefix.
+     *
+     * @param array $state Import state.
+     * @return void
+     */
+    private function prepare_imported_options($state) {
+        global $wpdb;
+
+        $options = $state['temp_prefix'] . $state['target_prefix'] . 'options';
+        $usermeta = $state['temp_prefix'] . $state['target_prefix'] . 'usermeta';
+        $temp_tables = $this->list_tables($state['temp_prefix']);
+
+        if (in_array($usermeta, $temp_tables, true) && $state['source_prefix'] !== '' && $state['source_prefix'] !== $state['target_prefix']) {
+            $wpdb->query($wpdb->prepare("UPDATE `{$usermeta}` SET meta_key = CONCAT(%s, SUBSTRING(meta_key, %d)) WHERE meta_key LIKE %s", $state['target_prefix'], strlen($state['source_prefix']) + 1, $wpdb->esc_like($state['source_prefix']) . '%'));
+        }
+
+        if (!in_array($options, $temp_tables, true)) {
+            return;
+        }
+
+        if ($state['source_prefix'] !== '' && $state['source_prefix'] !== $state['target_prefix']) {
+            $wpdb->query($wpdb->prepare("UPDATE `{$options}` SET option_name = %s WHERE option_name = %s", $state['target_prefix'] . 'user_roles', $state['source_prefix'] . 'user_roles'));
+        }
+
+        foreach (array('siteurl', 'home') as $option) {
+            $wpdb->query($wpdb->prepare("UPDATE `{$options}` SET option_value = %s WHERE option_name = %s", get_option($option), $option));
+        }
+
+        // The import state and snapshot live in the export directory, whose random name is an option
+        $wpdb->query($wpdb->prepare("DELETE FROM `{$options}` WHERE option_name = %s", Custom_Migrator_Filesystem::EXPORT_SUBDIR_OPTION));
+        $wpdb->query($wpdb->prepare("INSERT INTO `{$options}` (option_name, option_value, autoload) VALUES (%s, %s, 'no')", Custom_Migrator_Filesystem::EXPORT_SUBDIR_OPTION, get_option(Custom_Migrator_Filesystem::EXPORT_SUBDIR_OPTION)));
+
+        // Without the plugin the rollback could not be reached after the switch
+        $plugin = plugin_basename(CUSTOM_MIGRATOR_PLUGIN_DIR . 'custom-migrator.php');
+        $active_plugins = maybe_unserialize($wpdb->get_var($wpdb->prepare("SELECT option_value FROM `{$options}` WHERE option_name = %s", 'active_plugins')));
+        if (is_array($active_plugins) && !in_array($plugin, $active_plugins, true)) {
+            $active_plugins[] = $plugin;
+            $wpdb->query($wpdb->prepare("UPDATE `{$options}` SET option_value = %s WHERE option_name = %s", serialize(array_values($active_plugins)), 'active_plugins'));
+        }
+    }
+
+    /**
+     * Undo the import until the deadline.
+     *
+     * @param array $state    Import state, updated in place.
+     * @param float $deadline Time after which no new file is restored.
+     * @return void
+     * @throws Exception If a file or table cannot be restored.
+     */
+    private function run_rollback(&$state, $deadline) {
+        global $wpdb;
+
+        $list_path = $this->get_snapshot_dir($state) . '/' . self::SNAPSHOT_LIST;
+        $list_handle = file_exists($list_path) ? @fopen($list_path, 'rb') : null;
+
+        if ($list_handle) {
+            fseek($list_handle, $state['rollback_offset']);
+            while (microtime(true) < $deadline && ($line = fgets($list_handle)) !== false) {
+                $entry = json_decode($line, true);
+                if (is_array($entry) && ($target = $this->get_extract_target($entry['path'])) !== null) {
+                    $snapshot_path = $this->get_snapshot_dir($state) . '/files/' . $entry['path'];
+                    if ($entry['existed'] && file_exists($snapshot_path)) {
+                        @unlink($target);
+                        if (!@rename($snapshot_path, $target)) {
+                            fclose($list_handle);
+                            throw new Exception('Cannot restore ' . $entry['path'] . ' from the safety snapshot.');
+                        }
+                    } elseif (!$entry['existed'] && file_exists($target)) {
+                        @unlink($target);
+                    }
+                }
+                $state['rollback_offset'] = ftell($list_handle);
+            }
+
+            $finished = feof($list_handle) || fgets($list_handle) === false;
+            fclose($list_handle);
+            if (!$finished) {
+                return;
+            }
+        }
+
+        // Switched tables go back to their temporary names and the backups take their place.
+        // Leftover temporary tables mean the switch never ran, as RENAME TABLE is all or nothing.
+        $renames = array();
+        $switched = empty($this->list_tables($state['temp_prefix'])) ? $state['snapshot']['tables'] : array();
+        foreach ($switched as $swapped) {
+            $renames[] = "`{$swapped['table']}` TO `{$state['temp_prefix']}{$swapped['table']}`";
+            if ($swapped['backup']) {
+                $renames[] = "`{$swapped['backup']}` TO `{$swapped['table']}`";
+            }
+        }
+        if (!empty($renames) && $wpdb->query('RENAME TABLE ' . implode(', ', $renames)) === false) {
+            throw new Exception('Cannot put the previous tables back: ' . $wpdb->last_error);
+        }
+        $this->drop_tables($state['temp_prefix']);
+
+        $this->flush_caches();
+        $this->delete_tree($this->get_snapshot_dir($state));
+        $this->delete_tree($this->get_import_dir() . '/work');
+
+        $state['phase'] = 'rolled_back';
+        $state['snapshot'] = null;
+        $state['completed_at'] = time();
+        $this->filesystem->log('Import rolled back, the previous files and tables are restored');
+    }
+
+    /**
+     * Flush the object cache, the compiled PHP files and the permalinks.
+     *
+     * The rewrite rules are removed rather than rebuilt: this request still
+     * has the post types of the previous plugins, so WordPress rebuilds them
+     * on the next page load instead.
+     *
+     * @return void
+     */
+    private function flush_caches() {
+        wp_cache_flush();
+        delete_option('rewrite_rules');
+        if (function_exists('opcache_reset')) {
+            @opcache_reset();
+        }
+        wp_cache_flush();
+    }
+
+    /**
+     * Open the database connection of the database phase.
+     *
+     * @return void
+     * @throws Exception If the connection fails.
+     */
+    private function connect() {
+        global $wpdb;
+
+        $this->mysqli = new mysqli(DB_HOST, DB_USER, DB_PASSWORD, DB_NAME);
+        if ($this->mysqli->connect_error) {
+            throw new Exception('Database connection failed: ' . $this->mysqli->connect_error);
+        }
+
+        $this->mysqli->set_charset($wpdb->has_cap('utf8mb4') ? 'utf8mb4' : 'utf8');
+        foreach (array("SET SESSION sql_mode = 'NO_AUTO_VALUE_ON_ZERO'", 'SET FOREIGN_KEY_CHECKS = 0', 'SET UNIQUE_CHECKS = 0', "SET TIME_ZONE = '+00:00'", 'SET SESSION wait_timeout = 300') as $query) {
+            $this->mysqli->query($query);
+        }
+    }
+
+    /**
+     * List the tables that start with a prefix.
+     *
+     * @param string $prefix Table prefix.
+     * @return array Table names.
+     */
+    private function list_tables($prefix) {
+        global $wpdb;
+        return (array) $wpdb->get_col($wpdb->prepare('SHOW TABLES LIKE %s', $wpdb->esc_like($prefix) . '%'));
+    }
+
+    /**
+     * Drop every table that starts with a prefix.
+     *
+     * @param string $prefix Temporary or backup prefix of an import.
+     * @return void
+     */
+    private function drop_tables($prefix) {
+        global $wpdb;
+
+        // Never the tables of the site itself
+        if (!preg_match('/^(imp|bak)[a-z0-9]{6}_$/', $prefix)) {
+            return;
+        }
+
+        foreach ($this->list_tables($prefix) as $table) {
+            $wpdb->query("DROP TABLE IF EXISTS `{$table}`");
+        }
+    }
+
+    /**
+     * Get the snapshot folder of an import.
+     *
+     * @param array $state Import state.
+     * @return string Directory path.
+     */
+    private function get_snapshot_dir($state) {
+        return $this->get_import_dir() . '/' . $state['snapshot']['dir'];
+    }
+
+    /**
+     * Get the folder an import decrypts and unpacks its files into.
+     *
+     * @param array $state Import state.
+     * @return string Directory path.
+     */
+    private function get_work_dir($state) {
+        return $this->get_import_dir() . '/' . $state['work_dir'];
+    }
+
+    /**
+     * Get the import whose safety snapshot is kept.
+     *
+     * @param array|null $state Import state.
+     * @return array|null The state itself, the previous import of a checked state, or null without a snapshot.
+     */
+    private function get_snapshot_owner($state) {
+        if (!$state) {
+            return null;
+        }
+        if (!empty($state['snapshot'])) {
+            return $state;
+        }
+
+        return !empty($state['previous']['snapshot']) ? $state['previous'] : null;
+    }
+
+    /**
+     * Take the import lock.
+     *
+     * @param bool $wait Whether to wait for the running slice.
+     * @return resource|false Lock handle, false if another request holds it.
+     */
+    private function acquire_lock($wait) {
+        $this->prepare_dir('');
+
+        $lock = @fopen($this->get_import_dir() . '/import.lock', 'c');
+        if ($lock && flock($lock, $wait ? LOCK_EX : LOCK_EX | LOCK_NB)) {
+            return $lock;
+        }
+        if ($lock) {
+            fclose($lock);
+        }
+
+        return false;
+    }
+
+    /**
+     * Release the import lock.
+     *
+     * @param resource|false $lock Lock handle.
+     * @return void
+     */
+    private function release_lock($lock) {
+        if ($lock) {
+            flock($lock, LOCK_UN);
+            fclose($lock);
+        }
+    }
+
+    /**
+     * Estimate the progress of the import.
+     *
+     * @param array $state Import state.
+     * @return float Percent.
+     */
+    private function get_percent($state) {
+        if (in_array($state['phase'], array('done', 'rolled_back'), true)) {
+            return 100;
+        }
+        if (empty($state['started_at']) || $state['phase'] === 'prepare' || $state['phase'] === 'rollback') {
+            return 0;
+        }
+
+        // Files and database share 90% by bytes, switching the tables in is the rest
+        $parts = (empty($state['archive_paths']) ? 0 : 1) + (empty($state['sql_path']) ? 0 : 1);
+        $share = 90 / max(1, $parts);
+        $percent = 5;
+
+        if (!empty($state['archive_paths'])) {
+            $archive_done = $state['phase'] === 'files'
+                ? array_sum(array_slice($state['volume_sizes'], 0, $state['volume'])) + $state['archive_offset']
+                : array_sum($state['volume_sizes']);
+            $percent += $share * $archive_done / max(1, array_sum($state['volume_sizes']));
+        }
+        if ($state['phase'] === 'database') {
+            $percent += $share * $state['sql_offset'] / max(1, $state['sql_size']);
+        } elseif ($state['phase'] === 'finalize') {
+            $percent = 95;
+        }
+
+        return round(min(95, $percent), 1);
+    }
+
+    /**
+     * List the files uploaded so far.
+     *
+     * @return array Names and sizes.
+     */
+    private function list_uploads() {
+        $uploads = array();
+
+        foreach ((array) glob($this->get_import_dir() . '/upload/*') as $path) {
+            if (is_file($path) && self::is_import_file_name(basename($path))) {
+                $uploads[] = array('name' => basename($path), 'size' => filesize($path));
+            }
+        }
+
+        return $uploads;
+    }
+
+    /**
+     * Create a folder below the import folder.
+     *
+     * @param string $name Folder name, empty for the import folder itself.
+     * @return string Directory path.
+     * @throws Exception If the folder cannot be created.
+     */
+    private function prepare_dir($name) {
+        $this->filesystem->create_export_dir();
+
+        $dir = rtrim($this->get_import_dir() . '/' . $name, '/');
+        if (!file_exists($dir) && !wp_mkdir_p($dir)) {
+            throw new Exception('Cannot create the import folder ' . $name . '.');
+        }
+        foreach (array($this->get_import_dir(), dirname($dir), $dir) as $protected_dir) {
+            if (!file_exists($protected_dir . '/index.php')) {
+                file_put_contents($protected_dir . '/index.php', "<?php\n// Silence is golden.");
+            }
+        }
+
+        return $dir;
+    }
+
+    /**
+     * Remove a folder below the import folder with everything in it.
+     *
+     * @param string $dir Directory path.
+     * @return void
+     */
+    private function delete_tree($dir) {
+        if (!is_dir($dir) || strpos($dir, $this->get_import_dir() . '/') !== 0) {
+            return;
+        }
+
+        $items = new RecursiveIteratorIterator(new RecursiveDirectoryIterator($dir, FilesystemIterator::SKIP_DOTS), RecursiveIteratorIterator::CHILD_FIRST);
+        foreach ($items as $item) {
+            if ($item->isDir() && !$item->isLink()) {
+                @rmdir($item->getPathname());
+            } else {
+                @unlink($item->getPathname());
+            }
+        }
+        @rmdir($dir);
+    }
+
+    /**
+     * Get the path of the import state file.
+     *
+     * @return string File path.
+     */
+    private function get_state_path() {
+        return $this->get_import_dir() . '/' . self::STATE_FILE;
+    }
+
+    /**
+     * Load the import state.
+     *
+     * @return array|null State, null if nothing was checked yet.
+     */
+    private function load_state() {
+        $path = $this->get_state_path();
+        if (!file_exists($path)) {
+            return null;
+        }
+
+        $state = json_decode(file_get_contents($path), true);
+        return is_array($state) ? $state : null;
+    }
+
+    /**
+     * Save the import state.
+     *
+     * @param array $state Import state.
+     * @return void
+     */
+    private function save_state($state) {
+        $this->prepare_dir('');
+        file_put_contents($this->get_state_path(), json_encode($state, JSON_UNESCAPED_SLASHES), LOCK_EX);
+    }
+}
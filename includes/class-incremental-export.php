@@ -0,0 +1,413 @@
+<?php
+/**
+ * The class responsible for incremental exports.
+ *
+ * @package CustomMigrator
+ */
+
+/**
+ * Incremental export class.
+ *
+ * An incremental export is compared against the checksum manifest of an earlier
+ * run from the export history. Files whose size and mtime (or, failing that,
+ * hash) match the base are written to the new manifest as "base" lines but not
+ * copied into the delta archive, paths that disappeared are listed in a
+ * "deleted" sidecar, and tables whose checksum and row count did not change are
+ * left out of the dump. Because unchanged files stay in the manifest, a delta
+ * can itself serve as the base of the next one.
+ */
+class Custom_Migrator_Incremental_Export {
+
+    /**
+     * Name of the state file in the export directory.
+     */
+    const STATE_FILE = 'incremental-export.json';
+
+    /**
+     * Name of the copy of the base manifest in the export directory.
+     */
+    const BASE_MANIFEST_FILE = 'incremental-base.jsonl';
+
+    /**
+     * The filesystem handler.
+     *
+     * @var Custom_Migrator_Filesystem
+     */
+    private $filesystem;
+
+    /**
+     * Base files keyed by path, loaded once per request.
+     *
+     * @var array|null
+     */
+    private $base_files = null;
+
+    /**
+     * Constructor.
+     *
+     * @param Custom_Migrator_Filesystem|null $filesystem Optional filesystem instance.
+     */
+    public function __construct($filesystem = null) {
+        $this->filesystem = $filesystem ? $filesystem : new Custom_Migrator_Filesystem();
+    }
+
+    /**
+     * Leave unchanged tables out of the dump while an incremental export runs.
+     *
+     * @return void
+     */
+    public function register_hooks() {
+        add_filter('custom_migrator_export_excluded_tables', array($this, 'filter_excluded_tables'));
+    }
+
+    /**
+     * Get the path to the state file.
+     *
+     * @return string State file path.
+     */
+    public function get_state_file_path() {
+        return $this->filesystem->get_export_dir() . '/' . self::STATE_FILE;
+    }
+
+    /**
+     * Get the path to the copy of the base manifest.
+     *
+     * @return string Manifest path.
+     */
+    public function get_base_manifest_path() {
+        return $this->filesystem->get_export_dir() . '/' . self::BASE_MANIFEST_FILE;
+    }
+
+    /**
+     * Get the path to the list of paths deleted since the base export.
+     *
+     * @return string Sidecar file path.
+     */
+    public function get_deleted_paths_file() {
+        return $this->filesystem->get_archive_sidecar_path('deleted', 'txt');
+    }
+
+    /**
+     * Check whether the current export is incremental.
+     *
+     * @return bool Whether an incremental state exists.
+     */
+    public function is_active() {
+        return $this->load_state() !== null;
+    }
+
+    /**
+     * Set up an incremental export against a run of the export history.
+     *
+     * Must be called after the export directory was cleaned and the export
+     * filenames were reset, because the base manifest is copied next to them.
+     *
+     * @param string                         $base_run_id Run ID of the base export.
+     * @param Custom_Migrator_Export_History $history     Export history.
+     * @return void
+     * @throws Exception If the base run has no manifest.
+     */
+    public function prepare($base_run_id, $history) {
+        $base_run = $history->get_run($base_run_id);
+        $base_files = $history->get_run_file_paths($base_run_id);
+
+        if (!$base_run || $base_run['status'] !== 'done' || !isset($base_files['manifest'])) {
+            throw new Exception('The selected export has no checksum manifest to compare against.');
+        }
+
+        $this->filesystem->create_export_dir();
+        if (!@copy($base_files['manifest'], $this->get_base_manifest_path())) {
+            throw new Exception('Cannot copy the manifest of the selected export.');
+        }
+
+        $this->save_state(array(
+            'status' => 'running',
+            'base_run' => $base_run_id,
+            'base_started_at' => $base_run['started_at'],
+            'base_archive' => isset($base_run['files']['hstgr']) ? $base_run['files']['hstgr']['name'] : null,
+            'created_at' => time(),
+            'changed_tables' => null,
+            'unchanged_tables' => array(),
+            'deleted_tables' => array(),
+            'deleted_paths' => null,
+            'files_unchanged' => null,
+        ));
+
+        $this->filesystem->log('Incremental export prepared against export run ' . $base_run_id);
+    }
+
+    /**
+     * Remove the incremental state and base manifest of a previous export.
+     *
+     * @return void
+     */
+    public function reset() {
+        foreach (array($this->get_state_file_path(), $this->get_base_manifest_path()) as $path) {
+            if (file_exists($path)) {
+                @unlink($path);
+            }
+        }
+    }
+
+    /**
+     * Checksum and count the rows of every table.
+     *
+     * @return array Table entries with name, rows and checksum (null when the engine cannot checksum).
+     */
+    public function get_table_checksums() {
+        global $wpdb;
+
+        $start_time = microtime(true);
+        $checksums = array();
+
+        foreach ((array) $wpdb->get_col('SHOW TABLES') as $table) {
+            $quoted = '`' . str_replace('`', '``', $table) . '`';
+            $checksum = $wpdb->get_row("CHECKSUM TABLE {$quoted}", ARRAY_N);
+
+            $checksums[] = array(
+                'name' => $table,
+                'rows' => (int) $wpdb->get_var("SELECT COUNT(*) FROM {$quoted}"),
+                'checksum' => isset($checksum[1]) ? (string) $checksum[1] : null,
+            );
+        }
+
+        $this->filesystem->log(sprintf('Calculated checksums of %d tables in %.1fs', count($checksums), microtime(true) - $start_time));
+
+        return $checksums;
+    }
+
+    /**
+     * Decide which tables must be dumped again.
+     *
+     * A table is unchanged when both its checksum and row count match the base;
+     * a table the engine cannot checksum is always dumped.
+     *
+     * @param array $checksums Current table checksums.
+     * @return void
+     */
+    public function compare_tables($checksums) {
+        $state = $this->load_state();
+        if (!$state) {
+            return;
+        }
+
+        $base_tables = $this->read_base_manifest()['tables'];
+        $changed = array();
+        $unchanged = array();
+
+        foreach ($checksums as $table) {
+            $base = isset($base_tables[$table['name']]) ? $base_tables[$table['name']] : null;
+
+            if ($base && $table['checksum'] !== null && $base['checksum'] === $table['checksum'] && (int) $base['rows'] === $table['rows']) {
+                $unchanged[] = $table['name'];
+            } else {
+                $changed[] = $table['name'];
+            }
+            unset($base_tables[$table['name']]);
+        }
+
+        $state['changed_tables'] = $changed;
+        $state['unchanged_tables'] = $unchanged;
+        $state['deleted_tables'] = array_keys($base_tables);
+        $this->save_state($state);
+
+        $this->filesystem->log(sprintf(
+            'Incremental export: %d tables changed, %d unchanged, %d deleted since the base export',
+            count($changed),
+            count($unchanged),
+            count($state['deleted_tables'])
+        ));
+    }
+
+    /**
+     * Write the paths of the base export that are no longer on the site.
+     *
+     * @param string $content_list_file Enumerated files CSV of this export.
+     * @return int Number of deleted paths.
+     * @throws Exception If the sidecar cannot be written.
+     */
+    public function write_deleted_paths($content_list_file) {
+        $remaining = $this->get_base_files();
+
+        $handle = fopen($content_list_file, 'r');
+        if ($handle) {
+            while (($file_data = fgetcsv($handle, 0, ',', '"', '\\')) !== false) {
+                if (count($file_data) >= 4) {
+                    unset($remaining[$file_data[1]]);
+                }
+            }
+            fclose($handle);
+        }
+
+        $deleted = array_keys($remaining);
+        sort($deleted);
+
+        if (file_put_contents($this->get_deleted_paths_file(), implode("\n", $deleted) . (empty($deleted) ? '' : "\n")) === false) {
+            throw new Exception('Cannot write the list of deleted paths');
+        }
+
+        $state = $this->load_state();
+        $state['deleted_paths'] = count($deleted);
+        $this->save_state($state);
+
+        $this->filesystem->log('Incremental export: ' . count($deleted) . ' paths deleted since the base export');
+
+        return count($deleted);
+    }
+
+    /**
+     * Find the base entry of a file that has not changed since the base export.
+     *
+     * Size and mtime are compared first; when only the mtime differs the file
+     * is hashed so a touched but identical file is not archived again.
+     *
+     * @param string $relative_path Path inside the archive.
+     * @param string $file_path     Absolute file path.
+     * @param int    $size          Current size.
+     * @param int    $mtime         Current modification time.
+     * @return array|null Base entry with size, mtime and hash, or null if the file must be archived.
+     */
+    public function find_unchanged_file($relative_path, $file_path, $size, $mtime) {
+        $base_files = $this->get_base_files();
+        if (!isset($base_files[$relative_path])) {
+            return null;
+        }
+
+        list($base_size, $base_mtime, $base_hash) = explode('|', $base_files[$relative_path], 3);
+        if ((int) $base_size !== (int) $size) {
+            return null;
+        }
+
+        if ((int) $base_mtime !== (int) $mtime && @hash_file(Custom_Migrator_Manifest::FILE_HASH, $file_path) !== $base_hash) {
+            return null;
+        }
+
+        return array('size' => (int) $size, 'mtime' => (int) $mtime, 'hash' => $base_hash);
+    }
+
+    /**
+     * Record the content results once the delta archive is complete.
+     *
+     * @param int $files_unchanged Files left out because they did not change.
+     * @return void
+     */
+    public function complete($files_unchanged) {
+        $state = $this->load_state();
+        if (!$state) {
+            return;
+        }
+
+        $state['status'] = 'complete';
+        $state['files_unchanged'] = (int) $files_unchanged;
+        $this->save_state($state);
+    }
+
+    /**
+     * Describe the incremental export for the metadata file.
+     *
+     * @return array|null Base run and table changes, null for a full export.
+     */
+    public function get_summary() {
+        $state = $this->load_state();
+        if (!$state) {
+            return null;
+        }
+
+        return array(
+            'base_run' => $state['base_run'],
+            'base_created_at' => gmdate('c', $state['base_started_at']),
+            'base_archive' => $state['base_archive'],
+            'changed_tables' => $state['changed_tables'],
+            'deleted_tables' => $state['deleted_tables'],
+            'deleted_paths_file' => basename($this->get_deleted_paths_file()),
+        );
+    }
+
+    /**
+     * Filter callback: skip tables that did not change since the base export.
+     *
+     * @param array $tables Already excluded tables.
+     * @return array Excluded tables.
+     */
+    public function filter_excluded_tables($tables) {
+        $state = $this->load_state();
+        if (!$state || $state['status'] !== 'running' || empty($state['unchanged_tables'])) {
+            return $tables;
+        }
+
+        return array_values(array_unique(array_merge((array) $tables, $state['unchanged_tables'])));
+    }
+
+    /**
+     * Get the files of the base export keyed by path.
+     *
+     * Values are packed as "size|mtime|hash" to keep large sites within memory.
+     *
+     * @return array Base files.
+     */
+    private function get_base_files() {
+        if ($this->base_files === null) {
+            $this->base_files = $this->read_base_manifest()['files'];
+        }
+
+        return $this->base_files;
+    }
+
+    /**
+     * Read the file and table lines of the base manifest.
+     *
+     * Unchanged files of an incremental base are stored as "base" lines and count as files.
+     *
+     * @return array Files keyed by path and tables keyed by name.
+     */
+    private function read_base_manifest() {
+        $result = array('files' => array(), 'tables' => array());
+
+        $handle = @fopen($this->get_base_manifest_path(), 'rb');
+        if (!$handle) {
+            return $result;
+        }
+
+        while (($line = fgets($handle)) !== false) {
+            $data = json_decode($line, true);
+            if (!is_array($data) || !isset($data['type'])) {
+                continue;
+            }
+
+            if ($data['type'] === 'file' || $data['type'] === 'base') {
+                $result['files'][$data['path']] = $data['size'] . '|' . $data['mtime'] . '|' . $data['hash'];
+            } elseif ($data['type'] === 'table') {
+                $result['tables'][$data['name']] = $data;
+            }
+        }
+        fclose($handle);
+
+        return $result;
+    }
+
+    /**
+     * Load the incremental state.
+     *
+     * @return array|null State or null for a full export.
+     */
+    private function load_state() {
+        $state_file = $this->get_state_file_path();
+        if (!file_exists($state_file)) {
+            return null;
+        }
+
+        $state = json_decode(file_get_contents($state_file), true);
+        return is_array($state) ? $state : null;
+    }
+
+    /**
+     * Save the incremental state atomically.
+     *
+     * @param array $state Incremental state.
+     * @return void
+     */
+    private function save_state($state) {
+        $state_file = $this->get_state_file_path();
+        $this->filesystem->write_json_atomic($state_file, $state);
+    }
+}
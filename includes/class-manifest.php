@@ -0,0 +1,359 @@
+<?php
+/**
+ * The class responsible for the archive checksum manifest.
+ *
+ * @package CustomMigrator
+ */
+
+/**
+ * Manifest class.
+ *
+ * The manifest is a JSON Lines file written next to the .hstgr archive while it
+ * is built. The first line is a header, then one "file" line per archived file
+ * (path, header offset, size, mtime, hash), one "base" line per file an
+ * incremental export left out because it did not change, one "table" line per
+ * database table (rows and checksum) and finally one "volume" line per extra
+ * archive volume, one "archive" and one "database" line with the whole-file
+ * SHA-256 checksums. File lines of entries in an extra volume carry its number. JSON Lines keeps
+ * appends cheap and lets resumed batches truncate back to a known offset.
+ */
+class Custom_Migrator_Manifest {
+
+    /**
+     * Manifest format version.
+     */
+    const VERSION = 1;
+
+    /**
+     * Hash algorithm used for individual files.
+     */
+    const FILE_HASH = 'md5';
+
+    /**
+     * Hash algorithm used for whole archives.
+     */
+    const ARCHIVE_HASH = 'sha256';
+
+    /**
+     * The filesystem handler.
+     *
+     * @var Custom_Migrator_Filesystem
+     */
+    private $filesystem;
+
+    /**
+     * Open manifest handle while an archive batch is running.
+     *
+     * @var resource|null
+     */
+    private $handle = null;
+
+    /**
+     * Constructor.
+     *
+     * @param Custom_Migrator_Filesystem|null $filesystem Optional filesystem instance.
+     */
+    public function __construct($filesystem = null) {
+        $this->filesystem = $filesystem ? $filesystem : new Custom_Migrator_Filesystem();
+    }
+
+    /**
+     * Get the manifest path for the current export.
+     *
+     * @return string Manifest file path.
+     */
+    public function get_manifest_path() {
+        return $this->filesystem->get_manifest_file_path();
+    }
+
+    /**
+     * Open the manifest for appending file entries.
+     *
+     * @param int $resume_offset Byte offset saved with the last completed batch, 0 to start fresh.
+     * @return bool Whether the manifest could be opened.
+     */
+    public function open($resume_offset = 0) {
+        $manifest_path = $this->get_manifest_path();
+
+        $this->handle = @fopen($manifest_path, $resume_offset > 0 ? 'c+b' : 'w+b');
+        if (!$this->handle) {
+            $this->filesystem->log('WARNING: Cannot open checksum manifest: ' . basename($manifest_path));
+            $this->handle = null;
+            return false;
+        }
+
+        if ($resume_offset > 0) {
+            // Drop entries written by a batch that died before saving its offsets
+            ftruncate($this->handle, $resume_offset);
+            fseek($this->handle, $resume_offset);
+        } else {
+            $this->write_line(array(
+                'type' => 'header',
+                'version' => self::VERSION,
+                'created_at' => gmdate('c'),
+                'file_hash' => self::FILE_HASH,
+                'archive_hash' => self::ARCHIVE_HASH,
+                'format_version' => Custom_Migrator_Helper::ARCHIVE_VERSION,
+                'block_size' => Custom_Migrator_Helper::get_binary_block_size(),
+            ));
+        }
+
+        return true;
+    }
+
+    /**
+     * Record one archived file.
+     *
+     * @param string $path   Relative path inside the archive.
+     * @param int    $offset Byte offset of the file header in the archive.
+     * @param int    $size   File size in bytes.
+     * @param int    $mtime  Modification time.
+     * @param string $hash   Hash of the file content.
+     * @param int    $volume Archive volume holding the entry, 0 for the first.
+     * @return void
+     */
+    public function add_file($path, $offset, $size, $mtime, $hash, $volume = 0) {
+        if (!$this->handle) {
+            return;
+        }
+
+        $entry = array(
+            'type' => 'file',
+            'path' => $path,
+            'offset' => (int) $offset,
+            'size' => (int) $size,
+            'mtime' => (int) $mtime,
+            'hash' => $hash,
+        );
+        if ($volume > 0) {
+            $entry['volume'] = (int) $volume;
+        }
+
+        $this->write_line($entry);
+    }
+
+    /**
+     * Record a file that is unchanged since the base of an incremental export.
+     *
+     * @param string $path  Relative path inside the base archive.
+     * @param array  $entry Base entry with size, mtime and hash.
+     * @return void
+     */
+    public function add_base_file($path, $entry) {
+        if (!$this->handle) {
+            return;
+        }
+
+        $this->write_line(array(
+            'type' => 'base',
+            'path' => $path,
+            'size' => (int) $entry['size'],
+            'mtime' => (int) $entry['mtime'],
+            'hash' => $entry['hash'],
+        ));
+    }
+
+    /**
+     * Keep the table checksums taken before the dump until the manifest is finalized.
+     *
+     * @param array $tables Table entries with name, rows and checksum.
+     * @return void
+     */
+    public function save_table_checksums($tables) {
+        file_put_contents($this->get_table_checksums_path(), json_encode($tables));
+    }
+
+    /**
+     * Get the current manifest offset to store with the resume data.
+     *
+     * @return int Byte offset.
+     */
+    public function get_offset() {
+        if (!$this->handle) {
+            return 0;
+        }
+
+        fflush($this->handle);
+        return ftell($this->handle);
+    }
+
+    /**
+     * Close the manifest handle.
+     *
+     * @return void
+     */
+    public function close() {
+        if ($this->handle) {
+            fclose($this->handle);
+            $this->handle = null;
+        }
+    }
+
+    /**
+     * Append the whole-archive checksums once both export files are complete.
+     *
+     * @param string $archive_path Path to the .hstgr archive (its first volume).
+     * @param string $sql_path     Path to the .sql or .sql.gz file.
+     * @return bool Whether the manifest was finalized.
+     */
+    public function finalize($archive_path, $sql_path) {
+        $manifest_path = $this->get_manifest_path();
+
+        if (!file_exists($manifest_path)) {
+            $this->filesystem->log('WARNING: No checksum manifest to finalize');
+            return false;
+        }
+
+        $summary = $this->read_summary();
+        if (isset($summary['archive'])) {
+            return true; // Already finalized by an earlier step
+        }
+
+        $file_count = 0;
+        $handle = fopen($manifest_path, 'rb');
+        while (($line = fgets($handle)) !== false) {
+            if (strpos($line, '"type":"file"') !== false) {
+                $file_count++;
+            }
+        }
+        fclose($handle);
+
+        $this->filesystem->log('Calculating archive checksums for the manifest');
+
+        $this->handle = fopen($manifest_path, 'ab');
+        if (!$this->handle) {
+            return false;
+        }
+
+        // Table lines go before the summary lines, which read_summary() expects at the end
+        $tables_path = $this->get_table_checksums_path();
+        if (file_exists($tables_path)) {
+            foreach ((array) json_decode(file_get_contents($tables_path), true) as $table) {
+                $this->write_line(array_merge(array('type' => 'table'), $table));
+            }
+            @unlink($tables_path);
+        }
+
+        $volume_paths = Custom_Migrator_Volumes::find_volume_paths($archive_path);
+        foreach (array_values($volume_paths) as $index => $volume_path) {
+            $this->write_line(array(
+                'type' => 'volume',
+                'volume' => $index + 1,
+                'file' => basename($volume_path),
+                'size' => filesize($volume_path),
+                'hash' => hash_file(self::ARCHIVE_HASH, $volume_path),
+            ));
+        }
+
+        if (file_exists($archive_path)) {
+            $archive = array(
+                'type' => 'archive',
+                'file' => basename($archive_path),
+                'size' => filesize($archive_path),
+                'file_count' => $file_count,
+                'hash' => hash_file(self::ARCHIVE_HASH, $archive_path),
+            );
+            if (!empty($volume_paths)) {
+                $archive['volume_count'] = count($volume_paths) + 1;
+            }
+            $this->write_line($archive);
+        }
+
+        if (!file_exists($sql_path) && file_exists($sql_path . '.gz')) {
+            $sql_path .= '.gz';
+        }
+
+        if (file_exists($sql_path)) {
+            $this->write_line(array(
+                'type' => 'database',
+                'file' => basename($sql_path),
+                'size' => filesize($sql_path),
+                'hash' => hash_file(self::ARCHIVE_HASH, $sql_path),
+            ));
+        }
+
+        $this->close();
+        $this->filesystem->log('Checksum manifest finalized: ' . $file_count . ' files');
+
+        return true;
+    }
+
+    /**
+     * Read the header and whole-file checksum lines of the manifest.
+     *
+     * @param string|null $manifest_path Manifest to read, null for the current export's.
+     * @return array Lines keyed by type (header, archive, database).
+     */
+    public function read_summary($manifest_path = null) {
+        if ($manifest_path === null) {
+            $manifest_path = $this->get_manifest_path();
+        }
+        $summary = array();
+
+        if (!file_exists($manifest_path)) {
+            return $summary;
+        }
+
+        $handle = fopen($manifest_path, 'rb');
+        $header = json_decode(fgets($handle), true);
+        if (is_array($header)) {
+            $summary['header'] = $header;
+        }
+
+        // Summary lines are at the end, only read the tail (large enough for the volume lines of a split archive)
+        $size = filesize($manifest_path);
+        fseek($handle, max(0, $size - 262144));
+        $tail = stream_get_contents($handle);
+        fclose($handle);
+
+        foreach (explode("\n", $tail) as $line) {
+            $data = json_decode($line, true);
+            if (!is_array($data) || !isset($data['type'])) {
+                continue;
+            }
+            if (in_array($data['type'], array('archive', 'database'), true)) {
+                $summary[$data['type']] = $data;
+            } elseif ($data['type'] === 'volume' && isset($data['volume'])) {
+                $summary['volumes'][(int) $data['volume']] = $data;
+            }
+        }
+
+        return $summary;
+    }
+
+    /**
+     * Read the next file entry from an open manifest handle.
+     *
+     * @param resource $handle Manifest handle.
+     * @return array|false File entry or false at the end of the file list.
+     */
+    public static function read_next_file_entry($handle) {
+        while (($line = fgets($handle)) !== false) {
+            $data = json_decode($line, true);
+            if (is_array($data) && isset($data['type']) && $data['type'] === 'file') {
+                return $data;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Get the path of the table checksums waiting for the manifest.
+     *
+     * @return string File path.
+     */
+    private function get_table_checksums_path() {
+        return $this->filesystem->get_export_dir() . '/manifest-tables.json';
+    }
+
+    /**
+     * Write one JSON line.
+     *
+     * @param array $data Line data.
+     * @return void
+     */
+    private function write_line($data) {
+        fwrite($this->handle, json_encode($data, JSON_UNESCAPED_SLASHES) . "\n");
+    }
+}
@@ -132,8 +132,39 @@ class Custom_Migrator_Metadata {
             'source_paths' => array(
                 'abspath' => rtrim( ABSPATH, '/' ),
             ),
+            'exclusions' => $this->get_exclusions(),
         );
 
+        // Incremental exports name their base so the importer can apply the delta on top of it
+        $incremental = $this->get_incremental();
+        if ($incremental !== null) {
+            $metadata['incremental'] = $incremental;
+        }
+
+        // Snapshot, database objects and row count check of the dump
+        $database_dump = $this->get_database_dump();
+        if ($database_dump !== null) {
+            $metadata['database']['dump'] = $database_dump;
+        }
+
+        // Replacements already applied to the dump must not be applied again by the importer
+        $search_replace = $this->get_search_replace();
+        if ($search_replace !== null) {
+            $metadata['search_replace'] = $search_replace;
+        }
+
+        // A copy with fake personal data must never be mistaken for the real site
+        $anonymization = $this->get_anonymization();
+        if ($anonymization !== null) {
+            $metadata['anonymization'] = $anonymization;
+        }
+
+        // The key fingerprint tells the importer which passphrase or key opens the files
+        $encryption = $this->get_encryption();
+        if ($encryption !== null) {
+            $metadata['encryption'] = $encryption;
+        }
+
         // Apply any provided options to override defaults
         if (!empty($options)) {
             $metadata = $this->apply_metadata_options($metadata, $options);
@@ -142,6 +173,68 @@ class Custom_Migrator_Metadata {
         return $metadata;
     }
 
+    /**
+     * Get the user exclusion rules applied to this export.
+     *
+     * @return array Profile name and rules.
+     */
+    private function get_exclusions() {
+        $profiles = new Custom_Migrator_Exclusion_Profiles( $this->filesystem );
+        return $profiles->get_summary();
+    }
+
+    /**
+     * Get the base export and table changes of an incremental export.
+     *
+     * @return array|null Incremental details, null for a full export.
+     */
+    private function get_incremental() {
+        $incremental = new Custom_Migrator_Incremental_Export( $this->filesystem );
+        return $incremental->get_summary();
+    }
+
+    /**
+     * Get the report of the database dump.
+     *
+     * @return array|null Consistency, objects and row count check, null if no dump finished.
+     */
+    private function get_database_dump() {
+        $database_exporter = new Custom_Migrator_Database_Exporter();
+        return $database_exporter->get_summary();
+    }
+
+    /**
+     * Get the search/replace pairs applied to the database dump.
+     *
+     * @return array|null Pairs and counts, null if the dump was not rewritten.
+     */
+    private function get_search_replace() {
+        $search_replace = new Custom_Migrator_Search_Replace( $this->filesystem );
+        return $search_replace->get_summary();
+    }
+
+    /**
+     * Get the anonymization rules applied to the database dump.
+     *
+     * @return array|null Rules and counts, null if the dump was not anonymized.
+     */
+    private function get_anonymization() {
+        $anonymizer = new Custom_Migrator_Anonymizer( $this->filesystem );
+        return $anonymizer->get_summary();
+    }
+
+    /**
+     * Get the encryption of the export files.
+     *
+     * The files and their checksums are added once they are encrypted.
+     *
+     * @return array|null Algorithm, key fingerprint and files, null if the export is not encrypted.
+     */
+    private function get_encryption() {
+        $encryption = new Custom_Migrator_Encryption( $this->filesystem );
+        return $encryption->get_summary();
+    }
+
     /**
      * Apply configuration options to metadata.
      *
@@ -0,0 +1,274 @@
+<?php
+/**
+ * The class responsible for tracking structured export progress.
+ *
+ * @package CustomMigrator
+ */
+
+/**
+ * Progress tracker class.
+ *
+ * Keeps per-phase counters (content, database, metadata, finalize) in a small
+ * JSON file next to the status file so cm_check_status can report a weighted
+ * percentage, throughput and an estimated time remaining.
+ */
+class Custom_Migrator_Progress {
+
+    /**
+     * Weight of each phase in the overall percentage.
+     *
+     * @var array
+     */
+    const PHASE_WEIGHTS = array(
+        'content'  => 70,
+        'database' => 25,
+        'metadata' => 2,
+        'finalize' => 3,
+    );
+
+    /**
+     * Minimum seconds between content progress writes.
+     *
+     * @var int
+     */
+    const WRITE_INTERVAL = 2;
+
+    /**
+     * The filesystem handler.
+     *
+     * @var Custom_Migrator_Filesystem
+     */
+    private $filesystem;
+
+    /**
+     * Time of the last throttled write.
+     *
+     * @var float
+     */
+    private $last_write = 0;
+
+    /**
+     * Constructor.
+     *
+     * @param Custom_Migrator_Filesystem|null $filesystem Optional filesystem instance.
+     */
+    public function __construct($filesystem = null) {
+        $this->filesystem = $filesystem ? $filesystem : new Custom_Migrator_Filesystem();
+    }
+
+    /**
+     * Get the path to the progress file.
+     *
+     * @return string The progress file path.
+     */
+    public function get_progress_file_path() {
+        return $this->filesystem->get_export_dir() . '/export-progress.json';
+    }
+
+    /**
+     * Read the stored progress data.
+     *
+     * @return array Progress data.
+     */
+    public function read() {
+        $progress_file = $this->get_progress_file_path();
+        $data = file_exists($progress_file) ? json_decode(file_get_contents($progress_file), true) : null;
+
+        if (!is_array($data)) {
+            $data = array(
+                'started_at' => time(),
+                'phases' => array(),
+            );
+        }
+
+        return $data;
+    }
+
+    /**
+     * Remove any stored progress so a fresh export starts from zero.
+     *
+     * @return void
+     */
+    public function reset() {
+        $progress_file = $this->get_progress_file_path();
+        if (file_exists($progress_file)) {
+            @unlink($progress_file);
+        }
+    }
+
+    /**
+     * Mark a phase as started and record its totals.
+     *
+     * Totals already recorded are kept, so resuming a phase does not reset it.
+     *
+     * @param string $phase  Phase name.
+     * @param array  $totals Optional totals (items_total, bytes_total).
+     * @return void
+     */
+    public function start_phase($phase, $totals = array()) {
+        Custom_Migrator_Filesystem::set_log_phase($phase);
+
+        $data = $this->read();
+        $current = isset($data['phases'][$phase]) ? $data['phases'][$phase] : array();
+
+        if (empty($current['started_at'])) {
+            $current['started_at'] = time();
+        }
+        $current['completed'] = false;
+
+        $data['phases'][$phase] = array_merge($current, $totals);
+        $this->write($data);
+    }
+
+    /**
+     * Update the counters of a phase.
+     *
+     * @param string $phase  Phase name.
+     * @param array  $values Counters to merge (items_done, bytes_done, current_item...).
+     * @param bool   $force  Write even if the last write was less than WRITE_INTERVAL ago.
+     * @return void
+     */
+    public function update_phase($phase, $values, $force = true) {
+        if (!$force && (microtime(true) - $this->last_write) < self::WRITE_INTERVAL) {
+            return;
+        }
+
+        $data = $this->read();
+        $current = isset($data['phases'][$phase]) ? $data['phases'][$phase] : array('started_at' => time());
+
+        $data['phases'][$phase] = array_merge($current, $values);
+        $this->write($data);
+    }
+
+    /**
+     * Mark a phase as completed.
+     *
+     * @param string $phase Phase name.
+     * @return void
+     */
+    public function complete_phase($phase) {
+        $data = $this->read();
+        $current = isset($data['phases'][$phase]) ? $data['phases'][$phase] : array('started_at' => time());
+
+        $current['completed'] = true;
+        $current['completed_at'] = time();
+        if (isset($current['items_total'])) {
+            $current['items_done'] = $current['items_total'];
+        }
+
+        $data['phases'][$phase] = $current;
+        $this->write($data);
+    }
+
+    /**
+     * Build the progress report returned by cm_check_status.
+     *
+     * @param string $status Current export status.
+     * @return array Structured progress report.
+     */
+    public function get_report($status = '') {
+        $data = $this->read();
+        $now = time();
+        $phases = array();
+        $overall = 0;
+        $current_phase = null;
+
+        foreach (self::PHASE_WEIGHTS as $phase => $weight) {
+            $info = isset($data['phases'][$phase]) ? $data['phases'][$phase] : array();
+            $percent = $this->get_phase_percent($info);
+
+            if ($status === 'done') {
+                $percent = 100;
+            }
+
+            if (!empty($info['started_at']) && empty($info['completed']) && $status !== 'done') {
+                $current_phase = $phase;
+            }
+
+            $elapsed = 0;
+            if (!empty($info['started_at'])) {
+                $end = !empty($info['completed_at']) ? $info['completed_at'] : $now;
+                $elapsed = max(0, $end - $info['started_at']);
+            }
+
+            $bytes_done = isset($info['bytes_done']) ? (int) $info['bytes_done'] : 0;
+
+            $phases[$phase] = array(
+                'weight'           => $weight,
+                'percent'          => round($percent, 1),
+                'completed'        => !empty($info['completed']) || $status === 'done',
+                'items_done'       => isset($info['items_done']) ? (int) $info['items_done'] : 0,
+                'items_total'      => isset($info['items_total']) ? (int) $info['items_total'] : 0,
+                'bytes_done'       => $bytes_done,
+                'bytes_total'      => isset($info['bytes_total']) ? (int) $info['bytes_total'] : 0,
+                'current_item'     => isset($info['current_item']) ? $info['current_item'] : '',
+                'bytes_per_second' => $elapsed > 0 ? round($bytes_done / $elapsed) : 0,
+            );
+
+            $overall += $weight * ($percent / 100);
+        }
+
+        $overall = min(100, $overall);
+        $elapsed_total = max(0, $now - (isset($data['started_at']) ? $data['started_at'] : $now));
+
+        // Estimate the remaining time from the overall rate so far; too early to tell below 1%
+        $eta = null;
+        if ($overall >= 1 && $overall < 100 && $elapsed_total > 0) {
+            $eta = (int) round($elapsed_total * (100 - $overall) / $overall);
+        } elseif ($overall >= 100) {
+            $eta = 0;
+        }
+
+        return array(
+            'percent'          => round($overall, 1),
+            'phase'            => $current_phase,
+            'phases'           => $phases,
+            'elapsed_seconds'  => $elapsed_total,
+            'eta_seconds'      => $eta,
+            'bytes_per_second' => $current_phase ? $phases[$current_phase]['bytes_per_second'] : 0,
+        );
+    }
+
+    /**
+     * Calculate how far a single phase has got.
+     *
+     * @param array $info Stored phase data.
+     * @return float Percentage between 0 and 100.
+     */
+    private function get_phase_percent($info) {
+        if (!empty($info['completed'])) {
+            return 100;
+        }
+
+        // Prefer bytes for accuracy, fall back to item counts
+        if (!empty($info['bytes_total'])) {
+            return min(99.9, ($info['bytes_done'] / $info['bytes_total']) * 100);
+        }
+
+        if (!empty($info['items_total'])) {
+            $items_done = isset($info['items_done']) ? $info['items_done'] : 0;
+            return min(99.9, ($items_done / $info['items_total']) * 100);
+        }
+
+        return 0;
+    }
+
+    /**
+     * Write progress data atomically.
+     *
+     * @param array $data Progress data.
+     * @return void
+     */
+    private function write($data) {
+        $progress_file = $this->get_progress_file_path();
+
+        if (!is_dir(dirname($progress_file))) {
+            return;
+        }
+
+        $data['updated_at'] = time();
+        $this->filesystem->write_json_atomic($progress_file, $data);
+
+        $this->last_write = microtime(true);
+    }
+}
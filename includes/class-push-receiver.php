@@ -0,0 +1,613 @@
+<?php
+/**
+ * The class responsible for receiving export files pushed by another site.
+ *
+ * @package CustomMigrator
+ */
+
+/**
+ * Push receiver class.
+ *
+ * Lets another site running this plugin push its export files straight to
+ * this one. The administrator generates a pairing key here once and saves it
+ * with this site's URL as a "WordPress site" destination on the sending site.
+ * Every request is signed with the key (HMAC-SHA256 over the route, a
+ * timestamp, a one-time nonce, the query and the body checksum), so no
+ * application password is needed. A nonce is accepted once, so a captured
+ * request cannot be replayed. Files arrive in chunks under received/ in the export directory,
+ * continue from their received size after an interruption and are checked
+ * against the SHA-256 checksum announced by the sender once complete. The
+ * sender then lists every file of the push in a completion request, which
+ * marks the transfer as complete.
+ */
+class Custom_Migrator_Push_Receiver {
+
+    /**
+     * Option holding the pairing key.
+     */
+    const OPTION_NAME = 'custom_migrator_push_receiver';
+
+    /**
+     * Seconds a signed request stays valid, allowing for clock differences between the sites.
+     */
+    const MAX_CLOCK_SKEW = 900;
+
+    /**
+     * Largest chunk the sender is told to send.
+     */
+    const MAX_CHUNK_SIZE = 8388608; // 8MB
+
+    /**
+     * Smallest chunk the sender is told to send.
+     */
+    const MIN_CHUNK_SIZE = 262144; // 256KB
+
+    /**
+     * Header carrying the request time.
+     */
+    const TIMESTAMP_HEADER = 'X-Migrator-Timestamp';
+
+    /**
+     * Header carrying the one-time nonce of the request.
+     */
+    const NONCE_HEADER = 'X-Migrator-Nonce';
+
+    /**
+     * Prefix of the transients that remember the nonces already used.
+     */
+    const NONCE_TRANSIENT_PREFIX = 'custom_migrator_push_nonce_';
+
+    /**
+     * Header carrying the SHA-256 checksum of the body.
+     */
+    const CONTENT_HASH_HEADER = 'X-Migrator-Content-SHA256';
+
+    /**
+     * Header carrying the request signature.
+     */
+    const SIGNATURE_HEADER = 'X-Migrator-Signature';
+
+    /**
+     * Export files that can be received: archives and volumes, database dumps and metadata, optionally encrypted.
+     *
+     * @var string
+     */
+    private static $file_pattern = '/^[A-Za-z0-9][A-Za-z0-9_-]*(\.[A-Za-z0-9_-]+)*\.(hstgr(\.[0-9]{3})?|sql(\.gz)?|json)(\.enc)?$/';
+
+    /**
+     * The filesystem handler.
+     *
+     * @var Custom_Migrator_Filesystem
+     */
+    private $filesystem;
+
+    /**
+     * Constructor.
+     *
+     * @param Custom_Migrator_Filesystem|null $filesystem Optional filesystem instance.
+     */
+    public function __construct($filesystem = null) {
+        $this->filesystem = $filesystem ? $filesystem : new Custom_Migrator_Filesystem();
+    }
+
+    /**
+     * Sign a push request.
+     *
+     * Shared by the receiver and the sending site's destination adapter.
+     *
+     * @param string $key          Pairing key.
+     * @param string $route        REST route, e.g. /custom-migrator/v1/receive/chunk.
+     * @param string $timestamp    Request time.
+     * @param string $nonce        One-time nonce, 32 hex characters.
+     * @param array  $query        Query parameters besides rest_route.
+     * @param string $content_hash SHA-256 checksum of the body in hex.
+     * @return string Signature in hex.
+     */
+    public static function sign($key, $route, $timestamp, $nonce, $query, $content_hash) {
+        ksort($query);
+        return hash_hmac('sha256', implode("\n", array($route, $timestamp, $nonce, http_build_query($query), $content_hash)), $key);
+    }
+
+    /**
+     * Get the receiving settings for the admin page.
+     *
+     * @return array Whether receiving is on, when the key was created, this site's URL and the last transfer.
+     */
+    public function get_settings() {
+        $stored = get_option(self::OPTION_NAME, array());
+
+        return array(
+            'enabled' => !empty($stored['key']),
+            'created_at' => isset($stored['created_at']) ? (int) $stored['created_at'] : null,
+            'site_url' => home_url(),
+            'transfer' => $this->get_transfer(),
+        );
+    }
+
+    /**
+     * Generate a new pairing key, replacing the previous one.
+     *
+     * @return string Pairing key, shown once.
+     */
+    public function generate_key() {
+        $key = wp_generate_password(48, false);
+        update_option(self::OPTION_NAME, array('key' => $key, 'created_at' => time()), false);
+
+        $this->filesystem->log('Push receiving turned on with a new pairing key');
+        return $key;
+    }
+
+    /**
+     * Remove the pairing key, which turns receiving off.
+     *
+     * @return void
+     */
+    public function revoke_key() {
+        delete_option(self::OPTION_NAME);
+        $this->filesystem->log('Push receiving turned off, the pairing key was revoked');
+    }
+
+    /**
+     * Register the receiving routes.
+     *
+     * They sit next to the custom-migrator/v1 routes of the REST controller but
+     * authenticate with the pairing key instead of an administrator login.
+     *
+     * @return void
+     */
+    public function register_routes() {
+        $routes = array(
+            '/receive/ping' => 'handle_ping',
+            '/receive/file' => 'handle_file',
+            '/receive/chunk' => 'handle_chunk',
+            '/receive/complete' => 'handle_complete',
+        );
+
+        foreach ($routes as $route => $callback) {
+            register_rest_route(Custom_Migrator_Rest_Controller::REST_NAMESPACE, $route, array(
+                'methods' => 'POST',
+                'callback' => array($this, $callback),
+                'permission_callback' => array($this, 'check_signature'),
+            ));
+        }
+    }
+
+    /**
+     * Check the signature of a push request.
+     *
+     * @param WP_REST_Request $request Request.
+     * @return true|WP_Error
+     */
+    public function check_signature($request) {
+        $stored = get_option(self::OPTION_NAME, array());
+        if (empty($stored['key'])) {
+            return $this->error('receiving_disabled', 'This site does not accept pushes. Generate a pairing key under Receive Pushes on its migrator page.', 403);
+        }
+
+        $timestamp = (string) $request->get_header(self::TIMESTAMP_HEADER);
+        $nonce = (string) $request->get_header(self::NONCE_HEADER);
+        $content_hash = (string) $request->get_header(self::CONTENT_HASH_HEADER);
+        $signature = (string) $request->get_header(self::SIGNATURE_HEADER);
+
+        if (!ctype_digit($timestamp) || abs(time() - (int) $timestamp) > self::MAX_CLOCK_SKEW) {
+            return $this->error('invalid_timestamp', 'The request time is missing or too far from the time of the receiving site. Check the clocks of both servers.', 401);
+        }
+
+        if (!preg_match('/^[a-f0-9]{32}$/', $nonce)) {
+            return $this->error('invalid_nonce', 'The request nonce is missing. Update the migrator plugin on the sending site.', 401);
+        }
+
+        if (!hash_equals(hash('sha256', $request->get_body()), $content_hash)) {
+            return $this->error('content_mismatch', 'The request body does not match its checksum.', 400);
+        }
+
+        $query = $request->get_query_params();
+        unset($query['rest_route']);
+        $expected = self::sign($stored['key'], $request->get_route(), $timestamp, $nonce, $query, $content_hash);
+
+        if ($signature === '' || !hash_equals($expected, $signature)) {
+            return $this->error('invalid_signature', 'The pairing key does not match. Copy the current key of the receiving site into the destination.', 401);
+        }
+
+        // A nonce outlives the time its request is accepted, so a captured request cannot be sent again
+        if (get_transient(self::NONCE_TRANSIENT_PREFIX . $nonce) !== false) {
+            return $this->error('replayed_request', 'This request was already received.', 409);
+        }
+        set_transient(self::NONCE_TRANSIENT_PREFIX . $nonce, 1, 2 * self::MAX_CLOCK_SKEW);
+
+        return true;
+    }
+
+    /**
+     * Answer a connection test.
+     *
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_ping() {
+        $received_dir = $this->get_received_dir();
+        if (!$this->prepare_received_dir()) {
+            return $this->error('not_writable', 'The receiving site cannot write to ' . $received_dir . '.', 500);
+        }
+
+        $disk = $this->filesystem->get_disk_space_info($received_dir);
+
+        return new WP_REST_Response(array(
+            'site' => home_url(),
+            'name' => get_bloginfo('name'),
+            'version' => CUSTOM_MIGRATOR_VERSION,
+            'free_space' => $disk['total'] > 0 ? (int) $disk['free'] : null,
+            'chunk_size' => $this->get_chunk_size(),
+        ), 200);
+    }
+
+    /**
+     * Announce a file, or ask how much of it has arrived.
+     *
+     * A file announced with the same size and checksum as one already in the
+     * transfer continues from its received size. The first file after a
+     * completed transfer starts a new one.
+     *
+     * @param WP_REST_Request $request Request with file, size, checksum and source.
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_file($request) {
+        $params = (array) $request->get_json_params();
+        $file = $this->read_file_description($params);
+        if (is_wp_error($file)) {
+            return $file;
+        }
+
+        if (!$this->prepare_received_dir()) {
+            return $this->error('not_writable', 'The receiving site cannot write to ' . $this->get_received_dir() . '.', 500);
+        }
+
+        $state = $this->load_state();
+        if (!empty($state['completed_at'])) {
+            $state = $this->create_state();
+        }
+        $state['source'] = isset($params['source']) ? esc_url_raw((string) $params['source']) : $state['source'];
+
+        $path = $this->get_received_dir() . '/' . $file['name'];
+        $previous = isset($state['files'][$file['name']]) ? $state['files'][$file['name']] : null;
+
+        if ($previous === null || (int) $previous['size'] !== $file['size'] || $previous['checksum'] !== $file['checksum']) {
+            // A different file under the same name starts over
+            if (file_exists($path)) {
+                @unlink($path);
+            }
+            $state['files'][$file['name']] = array(
+                'size' => $file['size'],
+                'checksum' => $file['checksum'],
+                'verified' => false,
+            );
+            $this->filesystem->log(sprintf('Receiving %s (%s) from %s', $file['name'], $this->filesystem->format_file_size($file['size']), $state['source']));
+        }
+
+        $received = $this->get_received_size($file['name']);
+        $disk = $this->filesystem->get_disk_space_info($this->get_received_dir());
+        if ($disk['total'] > 0 && $disk['free'] < $file['size'] - $received) {
+            return $this->error('insufficient_storage', sprintf('The receiving site has %s free, %s needs %s more.', $disk['free_formatted'], $file['name'], $this->filesystem->format_file_size($file['size'] - $received)), 507);
+        }
+
+        $this->save_state($state);
+
+        return new WP_REST_Response(array(
+            'received' => $received,
+            'verified' => !empty($state['files'][$file['name']]['verified']),
+            'chunk_size' => $this->get_chunk_size(),
+        ), 200);
+    }
+
+    /**
+     * Append one chunk to an announced file.
+     *
+     * A chunk at an offset below the received size replaces what follows it, so
+     * a chunk whose answer got lost can be sent again. The last chunk triggers
+     * the checksum check; a file that does not match is removed.
+     *
+     * @param WP_REST_Request $request Request with file and offset in the query and the chunk as body.
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_chunk($request) {
+        $name = (string) $request->get_param('file');
+        $offset = $request->get_param('offset');
+        $state = $this->load_state();
+
+        if (!isset($state['files'][$name]) || !empty($state['completed_at'])) {
+            return $this->error('unknown_file', sprintf('%s was not announced for the current transfer.', $name), 409);
+        }
+        if (!is_numeric($offset) || (int) $offset < 0) {
+            return $this->error('invalid_offset', 'The chunk offset is missing.', 400);
+        }
+
+        $entry = &$state['files'][$name];
+        $offset = (int) $offset;
+        $data = $request->get_body();
+        $received = $this->get_received_size($name);
+
+        if (!empty($entry['verified'])) {
+            return new WP_REST_Response(array('received' => $received, 'verified' => true), 200);
+        }
+        if ($offset > $received) {
+            return $this->error('offset_mismatch', sprintf('%s has %d bytes, the chunk starts at %d.', $name, $received, $offset), 409, array('received' => $received));
+        }
+        if ($offset + strlen($data) > $entry['size']) {
+            return $this->error('invalid_offset', sprintf('The chunk goes past the announced size of %s.', $name), 400);
+        }
+
+        $path = $this->get_received_dir() . '/' . $name;
+        $handle = @fopen($path, 'c+b');
+        if (!$handle) {
+            return $this->error('not_writable', 'The receiving site cannot write ' . $name . '.', 500);
+        }
+
+        $written = ftruncate($handle, $offset) && fseek($handle, $offset) === 0 && fwrite($handle, $data) === strlen($data);
+        fflush($handle);
+        fclose($handle);
+        clearstatcache(true, $path);
+
+        if (!$written) {
+            return $this->error('write_failed', 'Writing ' . $name . ' on the receiving site failed. The disk may be full.', 507);
+        }
+
+        $received = $offset + strlen($data);
+        if ($received === (int) $entry['size']) {
+            @set_time_limit(0);
+            if (!hash_equals($entry['checksum'], hash_file(Custom_Migrator_Manifest::ARCHIVE_HASH, $path))) {
+                @unlink($path);
+                $this->save_state($state);
+                $this->filesystem->log('Received ' . $name . ' does not match its checksum, removed it');
+                return $this->error('checksum_mismatch', sprintf('The received copy of %s does not match its SHA-256 checksum and was removed.', $name), 422);
+            }
+
+            $entry['verified'] = true;
+            $this->filesystem->log('Received ' . $name . ', checksum verified');
+        }
+
+        $this->save_state($state);
+
+        return new WP_REST_Response(array(
+            'received' => $received,
+            'verified' => !empty($entry['verified']),
+        ), 200);
+    }
+
+    /**
+     * Complete the transfer once the sender has sent every file.
+     *
+     * Every listed file has to be verified with the same size and checksum.
+     * Received files the sender did not list are removed. Fires
+     * custom_migrator_push_received with the file paths and the source URL.
+     *
+     * @param WP_REST_Request $request Request with files (name, size, checksum) and source.
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_complete($request) {
+        $params = (array) $request->get_json_params();
+        $files = isset($params['files']) && is_array($params['files']) ? $params['files'] : array();
+        $state = $this->load_state();
+
+        if (empty($files)) {
+            return $this->error('no_files', 'The completion request lists no files.', 400);
+        }
+
+        $paths = array();
+        $missing = array();
+        foreach ($files as $description) {
+            $file = $this->read_file_description((array) $description);
+            if (is_wp_error($file)) {
+                return $file;
+            }
+
+            $entry = isset($state['files'][$file['name']]) ? $state['files'][$file['name']] : null;
+            if (!$entry || empty($entry['verified']) || (int) $entry['size'] !== $file['size'] || $entry['checksum'] !== $file['checksum']) {
+                $missing[] = $file['name'];
+                continue;
+            }
+            $paths[$file['name']] = $this->get_received_dir() . '/' . $file['name'];
+        }
+
+        if (!empty($missing)) {
+            return $this->error('incomplete_transfer', 'The receiving site is missing ' . implode(', ', $missing) . '. Start the push again to send them.', 409, array('missing' => $missing));
+        }
+
+        if (empty($state['completed_at'])) {
+            // Leftovers of earlier pushes are not part of this one
+            $state['files'] = array_intersect_key($state['files'], $paths);
+            foreach ((array) scandir($this->get_received_dir()) as $item) {
+                if (preg_match(self::$file_pattern, $item) && !isset($paths[$item])) {
+                    @unlink($this->get_received_dir() . '/' . $item);
+                }
+            }
+
+            $state['completed_at'] = time();
+            $state['source'] = isset($params['source']) ? esc_url_raw((string) $params['source']) : $state['source'];
+            $this->save_state($state);
+
+            $this->filesystem->log(sprintf('Push from %s completed: %d files received and verified', $state['source'], count($paths)));
+            do_action('custom_migrator_push_received', array_values($paths), $state['source']);
+        }
+
+        return new WP_REST_Response(array(
+            'completed' => true,
+            'files' => count($paths),
+            'site' => home_url(),
+        ), 200);
+    }
+
+    /**
+     * Get the directory the pushed files are written to.
+     *
+     * @return string Directory path.
+     */
+    public function get_received_dir() {
+        return $this->filesystem->get_export_dir() . '/received';
+    }
+
+    /**
+     * Describe the last transfer for the admin page.
+     *
+     * @return array|null Source, start, completion time and files with received bytes, null if nothing was pushed yet.
+     */
+    public function get_transfer() {
+        $state = $this->load_state();
+        if (empty($state['files'])) {
+            return null;
+        }
+
+        $files = array();
+        foreach ($state['files'] as $name => $entry) {
+            $files[] = array(
+                'name' => $name,
+                'size' => (int) $entry['size'],
+                'received' => $this->get_received_size($name),
+                'verified' => !empty($entry['verified']),
+            );
+        }
+
+        return array(
+            'source' => $state['source'],
+            'started_at' => $state['started_at'],
+            'completed_at' => $state['completed_at'],
+            'files' => $files,
+        );
+    }
+
+    /**
+     * Validate the name, size and checksum of a file sent by the sender.
+     *
+     * @param array $params Request parameters.
+     * @return array|WP_Error Name, size and checksum.
+     */
+    private function read_file_description($params) {
+        $name = isset($params['file']) ? (string) $params['file'] : '';
+        $size = isset($params['size']) ? $params['size'] : null;
+        $checksum = isset($params['checksum']) ? strtolower((string) $params['checksum']) : '';
+
+        if (!preg_match(self::$file_pattern, $name)) {
+            return $this->error('invalid_file', sprintf('"%s" is not the name of an export file.', $name), 400);
+        }
+        if (!is_numeric($size) || (int) $size < 0) {
+            return $this->error('invalid_file', 'The size of ' . $name . ' is missing.', 400);
+        }
+        if (!preg_match('/^[0-9a-f]{64}$/', $checksum)) {
+            return $this->error('invalid_file', 'The SHA-256 checksum of ' . $name . ' is missing.', 400);
+        }
+
+        return array(
+            'name' => $name,
+            'size' => (int) $size,
+            'checksum' => $checksum,
+        );
+    }
+
+    /**
+     * Get the number of bytes of a file that arrived so far.
+     *
+     * @param string $name File name.
+     * @return int Bytes.
+     */
+    private function get_received_size($name) {
+        $path = $this->get_received_dir() . '/' . $name;
+        clearstatcache(true, $path);
+        return file_exists($path) ? (int) filesize($path) : 0;
+    }
+
+    /**
+     * Get the chunk size the sender should use, below the request size PHP accepts.
+     *
+     * @return int Bytes.
+     */
+    private function get_chunk_size() {
+        $limit = wp_convert_hr_to_bytes(ini_get('post_max_size'));
+        if ($limit <= 0) {
+            return self::MAX_CHUNK_SIZE;
+        }
+
+        // Leave room for the headers PHP counts against the limit
+        return max(self::MIN_CHUNK_SIZE, min(self::MAX_CHUNK_SIZE, $limit - 65536));
+    }
+
+    /**
+     * Create the received directory inside the protected export directory.
+     *
+     * @return bool Whether the directory exists and is writable.
+     */
+    private function prepare_received_dir() {
+        $dir = $this->get_received_dir();
+
+        try {
+            $this->filesystem->create_export_dir();
+        } catch (Exception $e) {
+            return false;
+        }
+
+        if (!file_exists($dir) && !wp_mkdir_p($dir)) {
+            return false;
+        }
+        if (!file_exists($dir . '/index.php')) {
+            file_put_contents($dir . '/index.php', "<?php\n// Silence is golden.");
+        }
+
+        return is_writable($dir);
+    }
+
+    /**
+     * Get the path of the transfer state file.
+     *
+     * @return string File path.
+     */
+    private function get_state_file_path() {
+        // The leading dot keeps it out of the names a sender can use
+        return $this->get_received_dir() . '/.push-state.json';
+    }
+
+    /**
+     * Start the state of a new transfer.
+     *
+     * @return array Transfer state.
+     */
+    private function create_state() {
+        return array(
+            'source' => '',
+            'started_at' => time(),
+            'completed_at' => null,
+            'files' => array(),
+        );
+    }
+
+    /**
+     * Load the transfer state.
+     *
+     * @return array Transfer state.
+     */
+    private function load_state() {
+        $state_file = $this->get_state_file_path();
+        $state = file_exists($state_file) ? json_decode(file_get_contents($state_file), true) : null;
+
+        return is_array($state) && isset($state['files']) ? $state : $this->create_state();
+    }
+
+    /**
+     * Save the transfer state atomically.
+     *
+     * @param array $state Transfer state.
+     * @return void
+     */
+    private function save_state($state) {
+        $this->filesystem->write_json_atomic($this->get_state_file_path(), $state);
+    }
+
+    /**
+     * Build an API error.
+     *
+     * @param string $code    Error code.
+     * @param string $message Error message.
+     * @param int    $status  HTTP status.
+     * @param array  $data    Additional error data.
+     * @return WP_Error Error.
+     */
+    private function error($code, $message, $status, $data = array()) {
+        return new WP_Error($code, $message, array_merge($data, array('status' => $status)));
+    }
+}
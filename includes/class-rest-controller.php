@@ -0,0 +1,526 @@
+<?php
+/**
+ * The class responsible for the REST API.
+ *
+ * @package CustomMigrator
+ */
+
+/**
+ * REST controller class.
+ *
+ * Exposes the export and S3 upload under the custom-migrator/v1 namespace so
+ * a migration orchestrator can drive them without the admin page. Requests
+ * authenticate with an application password of an administrator. The routes
+ * call the same Custom_Migrator_Core methods as the AJAX handlers, and every
+ * error is a WP_Error with a stable code and an HTTP status.
+ */
+class Custom_Migrator_Rest_Controller {
+
+    /**
+     * REST namespace.
+     */
+    const REST_NAMESPACE = 'custom-migrator/v1';
+
+    /**
+     * File types that can be uploaded to S3, besides the extra archive volumes (hstgr_001...).
+     *
+     * @var array
+     */
+    private static $upload_types = array('hstgr', 'sql', 'metadata');
+
+    /**
+     * The plugin core, which runs the export and upload.
+     *
+     * @var Custom_Migrator_Core
+     */
+    private $core;
+
+    /**
+     * The filesystem handler.
+     *
+     * @var Custom_Migrator_Filesystem
+     */
+    private $filesystem;
+
+    /**
+     * The export history handler.
+     *
+     * @var Custom_Migrator_Export_History
+     */
+    private $export_history;
+
+    /**
+     * Constructor.
+     *
+     * @param Custom_Migrator_Core                $core           Plugin core.
+     * @param Custom_Migrator_Filesystem|null     $filesystem     Optional filesystem instance.
+     * @param Custom_Migrator_Export_History|null $export_history Optional export history instance.
+     */
+    public function __construct($core, $filesystem = null, $export_history = null) {
+        $this->core = $core;
+        $this->filesystem = $filesystem ? $filesystem : new Custom_Migrator_Filesystem();
+        $this->export_history = $export_history ? $export_history : new Custom_Migrator_Export_History($this->filesystem);
+    }
+
+    /**
+     * Register the routes.
+     *
+     * @return void
+     */
+    public function register_routes() {
+        register_rest_route(self::REST_NAMESPACE, '/export', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'start_export'),
+            'permission_callback' => array($this, 'check_permission'),
+            'args' => array(
+                'base_run' => array(
+                    'description' => 'ID of a finished run to export incrementally against.',
+                    'type' => 'string',
+                    'default' => '',
+                    'sanitize_callback' => 'sanitize_text_field',
+                ),
+            ),
+        ));
+
+        register_rest_route(self::REST_NAMESPACE, '/export/cancel', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'cancel_export'),
+            'permission_callback' => array($this, 'check_permission'),
+        ));
+
+        register_rest_route(self::REST_NAMESPACE, '/export/pause', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'pause_export'),
+            'permission_callback' => array($this, 'check_permission'),
+        ));
+
+        register_rest_route(self::REST_NAMESPACE, '/export/resume', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'resume_export'),
+            'permission_callback' => array($this, 'check_permission'),
+        ));
+
+        register_rest_route(self::REST_NAMESPACE, '/export/status', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'get_export_status'),
+            'permission_callback' => array($this, 'check_permission'),
+        ));
+
+        register_rest_route(self::REST_NAMESPACE, '/export/artifacts', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'get_artifacts'),
+            'permission_callback' => array($this, 'check_permission'),
+            'args' => array(
+                'run_id' => array(
+                    'description' => 'ID of a run kept in the export history, empty for the current export.',
+                    'type' => 'string',
+                    'default' => '',
+                    'sanitize_callback' => 'sanitize_text_field',
+                ),
+            ),
+        ));
+
+        register_rest_route(self::REST_NAMESPACE, '/upload', array(
+            'methods' => 'POST',
+            'callback' => array($this, 'upload'),
+            'permission_callback' => array($this, 'check_permission'),
+            'args' => array(
+                'run_id' => array(
+                    'description' => 'ID of a run kept in the export history, empty for the current export.',
+                    'type' => 'string',
+                    'default' => '',
+                    'sanitize_callback' => 'sanitize_text_field',
+                ),
+                'files' => array(
+                    'description' => 'Pre-signed URLs keyed by file type: {"url": ...} or {"part_urls": [...], "complete_url": ...}.',
+                    'type' => 'object',
+                    'default' => array(),
+                ),
+                'destination' => array(
+                    'description' => 'Name of a saved destination to upload every file to, instead of pre-signed URLs.',
+                    'type' => 'string',
+                    'default' => '',
+                    'sanitize_callback' => 'sanitize_text_field',
+                ),
+                'resume' => array(
+                    'description' => 'Continue the saved upload instead of starting a new one.',
+                    'type' => 'boolean',
+                    'default' => false,
+                ),
+            ),
+        ));
+
+        register_rest_route(self::REST_NAMESPACE, '/upload/status', array(
+            'methods' => 'GET',
+            'callback' => array($this, 'get_upload_status'),
+            'permission_callback' => array($this, 'check_permission'),
+        ));
+    }
+
+    /**
+     * Allow administrators only.
+     *
+     * @return true|WP_Error
+     */
+    public function check_permission() {
+        if (current_user_can('manage_options')) {
+            return true;
+        }
+
+        return $this->error('forbidden', 'Only administrators can use the migrator API. Authenticate with an application password.', rest_authorization_required_code());
+    }
+
+    /**
+     * Start an export in the background.
+     *
+     * @param WP_REST_Request $request Request.
+     * @return WP_REST_Response|WP_Error
+     */
+    public function start_export($request) {
+        $state = $this->core->get_export_state();
+        if ($state['state'] === 'running' || $state['state'] === 'paused') {
+            return $this->error('export_in_progress', 'An export is already running. Cancel it or wait for it to finish.', 409, array('export_status' => $state['status']));
+        }
+
+        $base_run = $request['base_run'];
+        if ($base_run !== '' && !$this->core->is_valid_base_run($base_run)) {
+            return $this->error('invalid_base_run', 'The selected export cannot be used as the base of an incremental export.', 400);
+        }
+
+        try {
+            $result = $this->core->start_export($base_run);
+        } catch (Exception $e) {
+            return $this->error('export_start_failed', $e->getMessage(), 500);
+        }
+
+        return new WP_REST_Response(array(
+            'status' => 'starting',
+            'resumed' => $result['resumed'],
+            'message' => $result['message'],
+            'estimated_bytes' => $result['estimated_bytes'],
+            'status_url' => rest_url(self::REST_NAMESPACE . '/export/status'),
+        ), 202);
+    }
+
+    /**
+     * Cancel the running export.
+     *
+     * @return WP_REST_Response|WP_Error
+     */
+    public function cancel_export() {
+        $status = $this->read_export_status();
+        if (strpos($status, 'fallback_') === 0) {
+            return $this->error('export_not_cancellable', 'The browser-driven fallback export can only be stopped from the page that runs it.', 409);
+        }
+
+        if (!$this->core->cancel_export()) {
+            return $this->error('export_not_running', 'No export is running.', 409, array('export_status' => $status === '' ? 'not_started' : $status));
+        }
+
+        return new WP_REST_Response(array(
+            'status' => 'cancelled',
+            'message' => 'Export cancelled and its partial files removed.',
+        ), 200);
+    }
+
+    /**
+     * Pause the running export after its current batch.
+     *
+     * @return WP_REST_Response|WP_Error
+     */
+    public function pause_export() {
+        $status = $this->read_export_status();
+        if (strpos($status, 'fallback_') === 0) {
+            return $this->error('export_not_pausable', 'The browser-driven fallback export can only be paused from the page that runs it.', 409);
+        }
+
+        if (!$this->core->pause_export()) {
+            return $this->error('export_not_running', 'No running export can be paused.', 409, array('export_status' => $status === '' ? 'not_started' : $status));
+        }
+
+        $status = $this->read_export_status();
+        return new WP_REST_Response(array(
+            'status' => $status,
+            'message' => $status === 'paused_by_user' ? 'Export paused.' : 'Export will pause after the current batch.',
+        ), 202);
+    }
+
+    /**
+     * Resume an export paused with the pause route or the admin page.
+     *
+     * @return WP_REST_Response|WP_Error
+     */
+    public function resume_export() {
+        if (!$this->core->resume_export()) {
+            $status = $this->read_export_status();
+            return $this->error('export_not_paused', 'The export is not paused.', 409, array('export_status' => $status === '' ? 'not_started' : $status));
+        }
+
+        return new WP_REST_Response(array(
+            'status' => 'resuming',
+            'message' => 'Export resumed in the background.',
+            'status_url' => rest_url(self::REST_NAMESPACE . '/export/status'),
+        ), 202);
+    }
+
+    /**
+     * Get the structured status of the current export.
+     *
+     * @return WP_REST_Response
+     */
+    public function get_export_status() {
+        return new WP_REST_Response($this->core->get_export_state(), 200);
+    }
+
+    /**
+     * List the files of a finished export with sizes, checksums and download links.
+     *
+     * Archive, volume and database checksums come from the manifest written
+     * during the export; the small files are hashed on request.
+     *
+     * @param WP_REST_Request $request Request.
+     * @return WP_REST_Response|WP_Error
+     */
+    public function get_artifacts($request) {
+        $run_id = $request['run_id'];
+
+        if ($run_id !== '') {
+            if (!$this->export_history->get_run($run_id)) {
+                return $this->error('run_not_found', 'No export run with this ID is kept in the history.', 404);
+            }
+            $file_paths = $this->export_history->get_run_file_paths($run_id);
+        } else {
+            if ($this->read_export_status() !== 'done') {
+                return $this->error('export_not_complete', 'The export has not finished.', 409, array('export_status' => $this->read_export_status()));
+            }
+            $run_id = $this->export_history->get_current_run_id();
+            $file_paths = $this->filesystem->get_export_file_paths();
+            $file_paths = array_merge($file_paths, Custom_Migrator_Volumes::find_volume_paths($file_paths['hstgr']));
+            $file_paths['structured_log'] = $this->filesystem->get_structured_log_file_path();
+            $file_paths['manifest'] = $this->filesystem->get_manifest_file_path();
+            $file_paths['deleted'] = $this->filesystem->get_archive_sidecar_path('deleted', 'txt');
+        }
+
+        $manifest = new Custom_Migrator_Manifest($this->filesystem);
+        $summary = isset($file_paths['manifest']) && file_exists($file_paths['manifest']) ? $manifest->read_summary($file_paths['manifest']) : array();
+        $summary_types = array('hstgr' => 'archive', 'sql' => 'database');
+        $encryption = new Custom_Migrator_Encryption($this->filesystem);
+        $encrypted_files = isset($file_paths['metadata']) ? $encryption->get_encrypted_files($file_paths['metadata']) : array();
+        $artifacts = array();
+
+        foreach ($file_paths as $type => $path) {
+            if (!file_exists($path)) {
+                continue;
+            }
+
+            $size = filesize($path);
+            $checksum = null;
+            if (isset($summary_types[$type]) || Custom_Migrator_Volumes::is_volume_type($type)) {
+                // Too large to hash per request; only trust the manifest while the size still matches
+                if (isset($summary_types[$type])) {
+                    $line = isset($summary[$summary_types[$type]]) ? $summary[$summary_types[$type]] : null;
+                } else {
+                    $number = Custom_Migrator_Volumes::get_volume_number($type);
+                    $line = isset($summary['volumes'][$number]) ? $summary['volumes'][$number] : null;
+                }
+                if ($line && (int) $line['size'] === $size) {
+                    $checksum = $line['hash'];
+                } elseif (isset($encrypted_files[$type]) && (int) $encrypted_files[$type]['size'] === $size) {
+                    // The manifest describes the plaintext, metadata.json the encrypted file
+                    $checksum = $encrypted_files[$type]['checksum'];
+                }
+            } else {
+                $checksum = hash_file(Custom_Migrator_Manifest::ARCHIVE_HASH, $path);
+            }
+
+            $artifacts[] = array(
+                'type' => $type,
+                'name' => basename($path),
+                'size' => $size,
+                'modified' => gmdate('c', filemtime($path)),
+                'checksum' => $checksum,
+                'download_url' => $this->filesystem->get_download_url($path),
+            );
+        }
+
+        if (empty($artifacts)) {
+            return $this->error('artifacts_not_found', 'The files of this export are no longer kept.', 404);
+        }
+
+        return new WP_REST_Response(array(
+            'run_id' => $run_id !== '' ? $run_id : null,
+            'checksum_algorithm' => Custom_Migrator_Manifest::ARCHIVE_HASH,
+            'artifacts' => $artifacts,
+        ), 200);
+    }
+
+    /**
+     * Start an S3 upload with pre-signed URLs or to a saved destination, or continue the saved one.
+     *
+     * Each call uploads for up to 20 seconds. The client repeats the call with
+     * resume=true until the response reports completed.
+     *
+     * @param WP_REST_Request $request Request.
+     * @return WP_REST_Response|WP_Error
+     */
+    public function upload($request) {
+        $run_id = $request['run_id'];
+
+        if ($run_id !== '') {
+            $run_files = $this->export_history->get_run_file_paths($run_id);
+            if (!isset($run_files['hstgr'])) {
+                return $this->error('run_not_found', 'The archive of this export run is no longer kept.', 404);
+            }
+        } elseif ($this->read_export_status() !== 'done') {
+            return $this->error('export_not_complete', 'The export has not finished. Wait for it to finish before uploading.', 409, array('export_status' => $this->read_export_status()));
+        }
+
+        $jobs = null;
+        if ($request['resume']) {
+            if (!get_option('custom_migrator_s3_upload_job')) {
+                return $this->error('no_upload_in_progress', 'There is no saved upload to resume. Start one with pre-signed URLs.', 409);
+            }
+        } elseif ($request['destination'] !== '') {
+            $file_paths = $run_id !== '' ? $run_files : $this->filesystem->get_export_file_paths();
+            $file_types = array_merge(array('hstgr'), array_keys(Custom_Migrator_Volumes::find_volume_paths($file_paths['hstgr'])), array('sql', 'metadata'));
+
+            try {
+                $destinations = new Custom_Migrator_Destinations($this->filesystem);
+                $jobs = $destinations->build_jobs($request['destination'], $file_types);
+            } catch (Exception $e) {
+                return $this->error('destination_not_found', $e->getMessage(), 404);
+            }
+        } else {
+            $jobs = $this->build_upload_jobs($request['files']);
+            if (is_wp_error($jobs)) {
+                return $jobs;
+            }
+        }
+
+        $result = $this->core->run_s3_upload($jobs, $run_id);
+
+        if ($result['rejected']) {
+            return $this->error('upload_rejected', implode(' ', $result['messages']), 400, array('details' => $result['messages']));
+        }
+
+        if (!$result['success']) {
+            return $this->error('upload_failed', 'Error uploading files to S3: ' . implode(' ', $result['messages']), 502, array(
+                'details' => $result['messages'],
+                'resumable' => $result['resumable'],
+                'progress' => $result['progress'],
+            ));
+        }
+
+        return new WP_REST_Response(array(
+            'completed' => $result['completed'],
+            'busy' => $result['busy'],
+            'message' => $result['completed'] ? 'Files uploaded successfully to S3.' : 'Upload in progress. Call again with resume=true.',
+            'details' => $result['messages'],
+            'progress' => $result['progress'],
+        ), $result['completed'] ? 200 : 202);
+    }
+
+    /**
+     * Get the status of the S3 upload.
+     *
+     * state is one of idle, uploading, done or error.
+     *
+     * @return WP_REST_Response
+     */
+    public function get_upload_status() {
+        $s3_status_file = $this->filesystem->get_export_dir() . '/s3-upload-status.txt';
+        $s3_uploader = new Custom_Migrator_S3_Uploader();
+        $status = file_exists($s3_status_file) ? trim(file_get_contents($s3_status_file)) : '';
+        $error = null;
+        $current_file = null;
+
+        if ($status === '') {
+            $state = 'idle';
+            $status = 'not_started';
+        } elseif ($status === 'done') {
+            $state = 'done';
+        } elseif (strpos($status, 'error:') === 0) {
+            $state = 'error';
+            $error = trim(substr($status, strlen('error:')));
+        } else {
+            $state = 'uploading';
+            if (strpos($status, 'uploading_') === 0) {
+                $current_file = substr($status, strlen('uploading_'));
+            }
+        }
+
+        return new WP_REST_Response(array(
+            'status' => $status,
+            'state' => $state,
+            'error' => $error,
+            'current_file' => $current_file,
+            'running' => $s3_uploader->is_upload_running(),
+            'resumable' => (bool) get_option('custom_migrator_s3_upload_job'),
+            'progress' => $s3_uploader->get_upload_progress(),
+        ), 200);
+    }
+
+    /**
+     * Turn the files parameter into S3 upload jobs.
+     *
+     * @param array $files Pre-signed URLs keyed by file type.
+     * @return array|WP_Error Jobs keyed by file type.
+     */
+    private function build_upload_jobs($files) {
+        $jobs = array();
+
+        foreach ((array) $files as $file_type => $urls) {
+            if (!in_array($file_type, self::$upload_types, true) && !Custom_Migrator_Volumes::is_volume_type($file_type)) {
+                return $this->error('invalid_upload_urls', sprintf('Unknown file type "%s". Use %s or hstgr_001, hstgr_002... for archive volumes.', $file_type, implode(', ', self::$upload_types)), 400);
+            }
+
+            $urls = (array) $urls;
+            if (!empty($urls['part_urls'])) {
+                if (empty($urls['complete_url']) || !is_string($urls['complete_url'])) {
+                    return $this->error('invalid_upload_urls', "Please provide the pre-signed CompleteMultipartUpload URL for the $file_type file.", 400);
+                }
+                $jobs[$file_type] = array(
+                    'mode' => 'multipart',
+                    'part_urls' => array_values(array_map('sanitize_text_field', array_filter((array) $urls['part_urls'], 'is_string'))),
+                    'complete_url' => sanitize_text_field($urls['complete_url']),
+                );
+            } elseif (!empty($urls['url']) && is_string($urls['url'])) {
+                $jobs[$file_type] = array(
+                    'mode' => 'single',
+                    'url' => sanitize_text_field($urls['url']),
+                );
+            } else {
+                return $this->error('invalid_upload_urls', "Please provide a pre-signed URL for the $file_type file.", 400);
+            }
+        }
+
+        if (empty($jobs)) {
+            return $this->error('missing_upload_urls', 'Please provide at least one pre-signed URL for upload.', 400);
+        }
+
+        return $jobs;
+    }
+
+    /**
+     * Read the export status file.
+     *
+     * @return string Status, empty if no export was started.
+     */
+    private function read_export_status() {
+        $status_file = $this->filesystem->get_status_file_path();
+        return file_exists($status_file) ? trim(file_get_contents($status_file)) : '';
+    }
+
+    /**
+     * Build an API error.
+     *
+     * @param string $code    Error code.
+     * @param string $message Error message.
+     * @param int    $status  HTTP status.
+     * @param array  $data    Additional error data.
+     * @return WP_Error Error.
+     */
+    private function error($code, $message, $status, $data = array()) {
+        return new WP_Error($code, $message, array_merge($data, array('status' => $status)));
+    }
+}
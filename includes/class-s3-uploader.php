@@ -7,9 +7,29 @@
 
 /**
  * S3 Uploader class.
+ *
+ * Also sends files to saved destination profiles (SFTP, FTP, WebDAV, an
+ * S3-compatible bucket with access keys or a receiving WordPress site)
+ * through their adapters, so every upload shares the same status file,
+ * state file and progress reporting.
  */
 class Custom_Migrator_S3_Uploader {
 
+    /**
+     * Smallest part size S3 accepts for every part except the last one.
+     */
+    const MIN_PART_SIZE = 5242880; // 5MB
+
+    /**
+     * Attempts per part before the upload is reported as failed.
+     */
+    const PART_MAX_ATTEMPTS = 3;
+
+    /**
+     * Seconds without a state update after which a running upload is considered dead.
+     */
+    const LOCK_TIMEOUT = 90;
+
     /**
      * The filesystem handler.
      *
@@ -28,10 +48,695 @@ class Custom_Migrator_S3_Uploader {
      * Update S3 upload status.
      *
      * @param string $status The upload status to save.
+     * @param string $run_id History run being uploaded, empty for the current export.
      */
-    private function update_s3_status($status) {
-        $status_file = WP_CONTENT_DIR . '/hostinger-migration-archives/s3-upload-status.txt';
+    private function update_s3_status($status, $run_id = '') {
+        $status_file = $this->filesystem->get_export_dir() . '/s3-upload-status.txt';
         file_put_contents($status_file, $status);
+
+        do_action('custom_migrator_s3_upload_status', $status, $run_id);
+    }
+
+    /**
+     * Get the files to upload: the current export or a run kept in the export history.
+     *
+     * @param string $run_id History run ID, empty for the current export.
+     * @return array File paths keyed by type, extra archive volumes as hstgr_001...
+     */
+    private function get_source_file_paths($run_id) {
+        if ($run_id === '') {
+            $file_paths = $this->filesystem->get_export_file_paths();
+            return array_merge($file_paths, Custom_Migrator_Volumes::find_volume_paths($file_paths['hstgr']));
+        }
+
+        $export_history = new Custom_Migrator_Export_History($this->filesystem);
+        return $export_history->get_run_file_paths($run_id);
+    }
+
+    /**
+     * Get the path to the upload state file holding part ETags and progress.
+     *
+     * Pre-signed URLs are kept in the custom_migrator_s3_upload_job option
+     * instead, since the export directory allows direct .json downloads.
+     *
+     * @return string The state file path.
+     */
+    public function get_state_file_path() {
+        return $this->filesystem->get_export_dir() . '/s3-upload-state.json';
+    }
+
+    /**
+     * Load the upload state.
+     *
+     * @return array Upload state.
+     */
+    public function load_state() {
+        $state_file = $this->get_state_file_path();
+        $state = file_exists($state_file) ? json_decode(file_get_contents($state_file), true) : null;
+
+        if (!is_array($state) || !isset($state['files'])) {
+            $state = array(
+                'started' => time(),
+                'updated' => time(),
+                'files' => array(),
+            );
+        }
+
+        return $state;
+    }
+
+    /**
+     * Save the upload state atomically.
+     *
+     * @param array $state Upload state.
+     * @return void
+     */
+    private function save_state($state) {
+        $state['updated'] = time();
+
+        $this->filesystem->write_json_atomic($this->get_state_file_path(), $state);
+    }
+
+    /**
+     * Remove the upload state and the saved job.
+     *
+     * @return void
+     */
+    public function reset_state() {
+        $state_file = $this->get_state_file_path();
+        if (file_exists($state_file)) {
+            @unlink($state_file);
+        }
+        delete_option('custom_migrator_s3_upload_job');
+    }
+
+    /**
+     * Check whether another request is currently uploading.
+     *
+     * @return bool True if an upload slice is running.
+     */
+    public function is_upload_running() {
+        $state_file = $this->get_state_file_path();
+        if (!file_exists($state_file)) {
+            return false;
+        }
+
+        $state = $this->load_state();
+        return !empty($state['running']) && (time() - $state['updated']) < self::LOCK_TIMEOUT;
+    }
+
+    /**
+     * Save an upload job and prepare its state, keeping finished parts of the same upload.
+     *
+     * Each job entry is array('mode' => 'single', 'url' => ...),
+     * array('mode' => 'multipart', 'part_urls' => array(...), 'complete_url' => ...)
+     * or array('mode' => 'destination', 'profile' => ...) for a saved destination.
+     *
+     * @param array  $jobs   Upload jobs keyed by file type.
+     * @param string $run_id History run to upload instead of the current export.
+     * @return array Result with success flag and messages.
+     */
+    public function prepare_upload($jobs, $run_id = '') {
+        Custom_Migrator_Filesystem::set_log_phase('upload');
+        $file_paths = $this->get_source_file_paths($run_id);
+        $state = $this->load_state();
+        $checksums = null;
+        $result = array(
+            'success' => true,
+            'messages' => array()
+        );
+
+        foreach ($jobs as $file_type => $job) {
+            if (!isset($file_paths[$file_type]) || !file_exists($file_paths[$file_type])) {
+                $result['success'] = false;
+                $result['messages'][] = "File not found for $file_type.";
+                continue;
+            }
+
+            $file_path = $file_paths[$file_type];
+            $file_size = filesize($file_path);
+            $entry = array(
+                'mode' => $job['mode'],
+                'file' => basename($file_path),
+                'size' => $file_size,
+                'bytes_sent' => 0,
+                'completed' => false,
+            );
+
+            if ($job['mode'] === 'multipart') {
+                $parts_total = count($job['part_urls']);
+                $part_size = (int) ceil($file_size / max($parts_total, 1));
+
+                if ($parts_total > 1 && $part_size < self::MIN_PART_SIZE) {
+                    $result['success'] = false;
+                    $result['messages'][] = sprintf(
+                        'Too many part URLs for %s: %d parts of %s are below the 5 MB S3 minimum.',
+                        $file_type,
+                        $parts_total,
+                        $this->filesystem->format_file_size($part_size)
+                    );
+                    continue;
+                }
+
+                $entry['parts_total'] = $parts_total;
+                $entry['part_size'] = $part_size;
+                $entry['upload_id'] = $this->get_upload_fingerprint($job['part_urls']);
+                $entry['etags'] = array();
+
+                // Same file and same multipart upload: keep the parts that already made it
+                if (isset($state['files'][$file_type]) && (isset($state['run_id']) ? $state['run_id'] : '') === $run_id) {
+                    $previous = $state['files'][$file_type];
+                    if (isset($previous['upload_id']) && $previous['upload_id'] === $entry['upload_id'] &&
+                        $previous['file'] === $entry['file'] && (int) $previous['size'] === $file_size &&
+                        (int) $previous['parts_total'] === $parts_total && empty($previous['completed'])) {
+                        $entry['etags'] = $previous['etags'];
+                        $entry['bytes_sent'] = $this->count_uploaded_bytes($entry);
+                        $this->filesystem->log(sprintf('Resuming multipart upload of %s: %d of %d parts already uploaded', $file_type, count($entry['etags']), $parts_total));
+                    }
+                }
+            }
+
+            if ($job['mode'] === 'destination') {
+                $entry['profile'] = $job['profile'];
+
+                // Destinations that verify what they receive get the checksums recorded by the export
+                if ($checksums === null) {
+                    $checksums = $this->get_recorded_checksums($file_paths);
+                }
+                if (isset($checksums[$entry['file']]) && (int) $checksums[$entry['file']]['size'] === $file_size) {
+                    $entry['checksum'] = $checksums[$entry['file']]['hash'];
+                }
+
+                // Same file to the same destination: keep what the adapter needs to continue
+                if (isset($state['files'][$file_type]) && (isset($state['run_id']) ? $state['run_id'] : '') === $run_id) {
+                    $previous = $state['files'][$file_type];
+                    if ($previous['mode'] === 'destination' && $previous['profile'] === $job['profile'] &&
+                        $previous['file'] === $entry['file'] && (int) $previous['size'] === $file_size && empty($previous['completed'])) {
+                        $entry = $previous;
+                        $this->filesystem->log(sprintf('Resuming upload of %s to %s at %s', $file_type, $job['profile'], $this->filesystem->format_file_size($entry['bytes_sent'])));
+                    }
+                }
+            }
+
+            $state['files'][$file_type] = $entry;
+        }
+
+        // Drop entries for files that are not part of this job
+        $state['files'] = array_intersect_key($state['files'], $jobs);
+        $state['running'] = false;
+        $state['run_id'] = $run_id;
+
+        if ($result['success']) {
+            update_option('custom_migrator_s3_upload_job', $jobs, false);
+            $this->save_state($state);
+            $this->update_s3_status('starting', $run_id);
+        }
+
+        return $result;
+    }
+
+    /**
+     * Upload as much of the saved job as fits in the time budget.
+     *
+     * Multipart files are uploaded part by part with each ETag persisted as soon as
+     * the part is accepted, so a timeout or page reload only loses the part in flight.
+     *
+     * @param int $time_budget Seconds after which no new part is started.
+     * @return array Result with success, completed, messages and progress.
+     */
+    public function run_upload_slice($time_budget = 20) {
+        Custom_Migrator_Filesystem::set_log_phase('upload');
+        @set_time_limit(0);
+        @ignore_user_abort(true);
+
+        $jobs = get_option('custom_migrator_s3_upload_job', array());
+        $state = $this->load_state();
+        $run_id = isset($state['run_id']) ? $state['run_id'] : '';
+        $file_paths = $this->get_source_file_paths($run_id);
+        $start = microtime(true);
+        $result = array(
+            'success' => true,
+            'completed' => false,
+            'messages' => array()
+        );
+
+        if (empty($jobs)) {
+            $result['success'] = false;
+            $result['messages'][] = 'No S3 upload in progress.';
+            return $result;
+        }
+
+        $state['running'] = true;
+        $this->save_state($state);
+
+        try {
+            foreach ($jobs as $file_type => $job) {
+                if (!isset($state['files'][$file_type]) || !empty($state['files'][$file_type]['completed'])) {
+                    continue;
+                }
+
+                if (!isset($file_paths[$file_type])) {
+                    throw new Exception("File not found for $file_type.");
+                }
+
+                $file_path = $file_paths[$file_type];
+                $this->update_s3_status("uploading_$file_type", $run_id);
+
+                if ($job['mode'] === 'multipart') {
+                    $finished = $this->upload_multipart_file($file_type, $job, $file_path, $state, $start, $time_budget);
+                    if (!$finished) {
+                        // Out of time, the browser will ask for the next slice
+                        break;
+                    }
+                } elseif ($job['mode'] === 'destination') {
+                    if (!$this->upload_destination_file($file_type, $job, $file_path, $state, $start, $time_budget)) {
+                        break;
+                    }
+                } else {
+                    $this->upload_single_file($file_type, $job, $file_path, $state);
+                }
+
+                $result['messages'][] = "Successfully uploaded $file_type file to " . ($job['mode'] === 'destination' ? $job['profile'] : 'S3') . '.';
+
+                if ((microtime(true) - $start) > $time_budget) {
+                    break;
+                }
+            }
+
+            $result['completed'] = $this->confirm_upload_complete($jobs, $state, $run_id);
+        } catch (Exception $e) {
+            $this->filesystem->log('S3 upload failed: ' . $e->getMessage());
+            $state['running'] = false;
+            $this->save_state($state);
+            $this->update_s3_status('error: ' . $e->getMessage(), $run_id);
+
+            $result['success'] = false;
+            $result['messages'][] = $e->getMessage();
+            $result['progress'] = $this->get_upload_progress();
+            return $result;
+        }
+
+        $state['running'] = false;
+        $this->save_state($state);
+
+        if ($result['completed']) {
+            $this->update_s3_status('done', $run_id);
+            $this->filesystem->log('S3 upload process completed successfully');
+            delete_option('custom_migrator_s3_upload_job');
+        }
+
+        $result['progress'] = $this->get_upload_progress();
+        return $result;
+    }
+
+    /**
+     * Get bytes sent per file for the browser progress bar.
+     *
+     * @return array Progress keyed by file type.
+     */
+    public function get_upload_progress() {
+        $state = $this->load_state();
+        $progress = array();
+
+        foreach ($state['files'] as $file_type => $entry) {
+            $progress[$file_type] = array(
+                'mode' => $entry['mode'],
+                'size' => (int) $entry['size'],
+                'bytes_sent' => min((int) $entry['bytes_sent'], (int) $entry['size']),
+                'parts_done' => isset($entry['etags']) ? count($entry['etags']) : 0,
+                'parts_total' => isset($entry['parts_total']) ? (int) $entry['parts_total'] : 0,
+                'completed' => !empty($entry['completed']),
+            );
+        }
+
+        return $progress;
+    }
+
+    /**
+     * Upload the remaining parts of one file and complete the multipart upload.
+     *
+     * @param string $file_type   File type key.
+     * @param array  $job         Multipart job (part_urls, complete_url).
+     * @param string $file_path   Local file path.
+     * @param array  $state       Upload state, updated in place.
+     * @param float  $start       Slice start time.
+     * @param int    $time_budget Slice time budget in seconds.
+     * @return bool True if the file is fully uploaded, false if out of time.
+     * @throws Exception If a part or the completion request fails.
+     */
+    private function upload_multipart_file($file_type, $job, $file_path, &$state, $start, $time_budget) {
+        $entry = &$state['files'][$file_type];
+
+        for ($part_number = 1; $part_number <= $entry['parts_total']; $part_number++) {
+            if (isset($entry['etags'][$part_number])) {
+                continue;
+            }
+
+            if ((microtime(true) - $start) > $time_budget) {
+                return false;
+            }
+
+            $offset = ($part_number - 1) * $entry['part_size'];
+            $length = min($entry['part_size'], $entry['size'] - $offset);
+            $part_url = $this->preserve_encoded_slashes($job['part_urls'][$part_number - 1]);
+            $base_bytes = $this->count_uploaded_bytes($entry);
+            $last_save = 0;
+
+            // Report bytes of the part in flight, throttled to one state write per second
+            $on_progress = function ($sent) use (&$state, &$entry, $base_bytes, &$last_save) {
+                if ((microtime(true) - $last_save) < 1) {
+                    return;
+                }
+                $last_save = microtime(true);
+                $entry['bytes_sent'] = $base_bytes + $sent;
+                $this->save_state($state);
+            };
+
+            $etag = null;
+            $last_error = '';
+            for ($attempt = 1; $attempt <= self::PART_MAX_ATTEMPTS; $attempt++) {
+                $part_result = $this->upload_part($part_url, $file_path, $offset, $length, $on_progress);
+                if ($part_result['success']) {
+                    $etag = $part_result['etag'];
+                    break;
+                }
+                $last_error = $part_result['message'];
+                $this->filesystem->log("Part $part_number of $file_type failed (attempt $attempt): $last_error");
+                sleep($attempt);
+            }
+
+            if ($etag === null) {
+                throw new Exception("Failed to upload part $part_number of $file_type: $last_error");
+            }
+
+            $entry['etags'][$part_number] = $etag;
+            $entry['bytes_sent'] = $this->count_uploaded_bytes($entry);
+            $this->save_state($state);
+        }
+
+        $this->complete_multipart_upload($file_type, $job['complete_url'], $entry['etags']);
+
+        $entry['completed'] = true;
+        $entry['bytes_sent'] = $entry['size'];
+        $this->save_state($state);
+
+        $this->filesystem->log("Successfully uploaded $file_type file to S3 in {$entry['parts_total']} parts");
+        return true;
+    }
+
+    /**
+     * Upload one file with a single pre-signed PUT, recording progress in the state.
+     *
+     * @param string $file_type File type key.
+     * @param array  $job       Single job (url).
+     * @param string $file_path Local file path.
+     * @param array  $state     Upload state, updated in place.
+     * @return void
+     * @throws Exception If the upload fails.
+     */
+    private function upload_single_file($file_type, $job, $file_path, &$state) {
+        $entry = &$state['files'][$file_type];
+        $last_save = 0;
+
+        $this->filesystem->log("Uploading $file_type file: " . basename($file_path) . " (" . $this->filesystem->format_file_size($entry['size']) . ")");
+
+        $on_progress = function ($sent) use (&$state, &$entry, &$last_save) {
+            if ((microtime(true) - $last_save) < 1) {
+                return;
+            }
+            $last_save = microtime(true);
+            $entry['bytes_sent'] = $sent;
+            $this->save_state($state);
+        };
+
+        $upload_result = $this->upload_file_to_s3($this->preserve_encoded_slashes($job['url']), $file_path, $on_progress);
+        if (!$upload_result['success']) {
+            throw new Exception("Failed to upload $file_type file: " . $upload_result['message']);
+        }
+
+        $entry['completed'] = true;
+        $entry['bytes_sent'] = $entry['size'];
+        $this->save_state($state);
+        $this->filesystem->log("Successfully uploaded $file_type file to S3");
+    }
+
+    /**
+     * Send one file to a saved destination for the rest of the slice.
+     *
+     * @param string $file_type   File type key.
+     * @param array  $job         Destination job (profile).
+     * @param string $file_path   Local file path.
+     * @param array  $state       Upload state, updated in place.
+     * @param float  $start       Slice start time.
+     * @param int    $time_budget Slice time budget in seconds.
+     * @return bool True if the file is fully uploaded, false if out of time.
+     * @throws Exception If the profile cannot be loaded or the upload fails.
+     */
+    private function upload_destination_file($file_type, $job, $file_path, &$state, $start, $time_budget) {
+        $entry = &$state['files'][$file_type];
+        $destinations = new Custom_Migrator_Destinations($this->filesystem);
+        $destination = $destinations->get_destination($job['profile']);
+        $last_save = 0;
+
+        $this->filesystem->log("Uploading $file_type file to " . $destination->get_location() . ': ' . basename($file_path) . ' (' . $this->filesystem->format_file_size($entry['size']) . ')');
+
+        // Progress is saved at most once a second, resume points right away
+        $checkpoint = function ($force) use (&$state, &$last_save) {
+            if (!$force && (microtime(true) - $last_save) < 1) {
+                return;
+            }
+            $last_save = microtime(true);
+            $this->save_state($state);
+        };
+
+        if (!$destination->upload_file($file_path, $entry, $start + $time_budget, $checkpoint)) {
+            $this->save_state($state);
+            return false;
+        }
+
+        $entry['completed'] = true;
+        $entry['bytes_sent'] = $entry['size'];
+        $this->save_state($state);
+        $this->filesystem->log("Successfully uploaded $file_type file to {$job['profile']}");
+        return true;
+    }
+
+    /**
+     * Check whether every file is uploaded, and let a destination confirm the upload as a whole.
+     *
+     * @param array  $jobs   Upload jobs keyed by file type.
+     * @param array  $state  Upload state.
+     * @param string $run_id History run being uploaded.
+     * @return bool Whether the upload is complete.
+     * @throws Exception If the destination rejects the upload.
+     */
+    private function confirm_upload_complete($jobs, $state, $run_id) {
+        foreach ($state['files'] as $entry) {
+            if (empty($entry['completed'])) {
+                return false;
+            }
+        }
+
+        $job = reset($jobs);
+        if ($job['mode'] !== 'destination') {
+            return true;
+        }
+
+        $this->update_s3_status('finishing', $run_id);
+        $destinations = new Custom_Migrator_Destinations($this->filesystem);
+        return $destinations->get_destination($job['profile'])->finish_upload($state['files']);
+    }
+
+    /**
+     * Get the whole-file checksums the export recorded for its files.
+     *
+     * The manifest holds the checksums of the plaintext archive, volumes and
+     * database dump; metadata.json those of encrypted files and volumes.
+     *
+     * @param array $file_paths Files being uploaded keyed by type; history runs include their manifest.
+     * @return array Size and hash keyed by file name.
+     */
+    private function get_recorded_checksums($file_paths) {
+        $checksums = array();
+
+        $manifest = new Custom_Migrator_Manifest($this->filesystem);
+        $summary = $manifest->read_summary(isset($file_paths['manifest']) ? $file_paths['manifest'] : null);
+        $lines = isset($summary['volumes']) ? $summary['volumes'] : array();
+        foreach (array('archive', 'database') as $type) {
+            if (isset($summary[$type])) {
+                $lines[] = $summary[$type];
+            }
+        }
+        foreach ($lines as $line) {
+            $checksums[$line['file']] = array('size' => $line['size'], 'hash' => $line['hash']);
+        }
+
+        $metadata = isset($file_paths['metadata']) && file_exists($file_paths['metadata']) ? json_decode(file_get_contents($file_paths['metadata']), true) : null;
+        $files = array_merge(
+            isset($metadata['volumes']['files']) ? (array) $metadata['volumes']['files'] : array(),
+            isset($metadata['encryption']['files']) ? (array) $metadata['encryption']['files'] : array()
+        );
+        foreach ($files as $file) {
+            if (!empty($file['name']) && !empty($file['checksum'])) {
+                $checksums[$file['name']] = array('size' => $file['size'], 'hash' => $file['checksum']);
+            }
+        }
+
+        return $checksums;
+    }
+
+    /**
+     * Upload one byte range of a file to a pre-signed UploadPart URL.
+     *
+     * @param string        $part_url    Pre-signed part URL.
+     * @param string        $file_path   Local file path.
+     * @param int           $offset      Byte offset of the part.
+     * @param int           $length      Part length in bytes.
+     * @param callable|null $on_progress Called with the bytes sent so far.
+     * @return array Result with success, etag and message.
+     */
+    private function upload_part($part_url, $file_path, $offset, $length, $on_progress = null) {
+        $file_handle = fopen($file_path, 'rb');
+        if (!$file_handle || fseek($file_handle, $offset) !== 0) {
+            return array('success' => false, 'etag' => null, 'message' => 'Cannot read file at offset ' . $offset);
+        }
+
+        $remaining = $length;
+        $etag = null;
+
+        $ch = curl_init();
+        curl_setopt($ch, CURLOPT_URL, $part_url);
+        curl_setopt($ch, CURLOPT_UPLOAD, true);
+        curl_setopt($ch, CURLOPT_RETURNTRANSFER, true);
+        curl_setopt($ch, CURLOPT_HTTPHEADER, array('Content-Length: ' . $length));
+        curl_setopt($ch, CURLOPT_SSL_VERIFYPEER, true);
+        curl_setopt($ch, CURLOPT_CONNECTTIMEOUT, 30);
+        curl_setopt($ch, CURLOPT_TIMEOUT, 900); // 15 minutes per part
+        curl_setopt($ch, CURLOPT_INFILE, $file_handle);
+        curl_setopt($ch, CURLOPT_INFILESIZE, $length);
+
+        // Only send this part's byte range, not the rest of the file
+        curl_setopt($ch, CURLOPT_READFUNCTION, function ($ch, $handle, $max_length) use (&$remaining) {
+            if ($remaining <= 0) {
+                return '';
+            }
+            $data = fread($handle, min($max_length, $remaining));
+            $remaining -= strlen($data);
+            return $data;
+        });
+
+        curl_setopt($ch, CURLOPT_HEADERFUNCTION, function ($ch, $header) use (&$etag) {
+            if (stripos($header, 'ETag:') === 0) {
+                $etag = trim(substr($header, 5));
+            }
+            return strlen($header);
+        });
+
+        if ($on_progress) {
+            curl_setopt($ch, CURLOPT_NOPROGRESS, false);
+            curl_setopt($ch, CURLOPT_PROGRESSFUNCTION, function ($ch, $download_total, $downloaded, $upload_total, $uploaded) use ($on_progress) {
+                call_user_func($on_progress, $uploaded);
+                return 0;
+            });
+        }
+
+        $response = curl_exec($ch);
+        $http_code = curl_getinfo($ch, CURLINFO_HTTP_CODE);
+        $curl_error = curl_error($ch);
+
+        curl_close($ch);
+        fclose($file_handle);
+
+        if ($http_code >= 200 && $http_code < 300 && $etag) {
+            return array('success' => true, 'etag' => $etag, 'message' => 'Part uploaded successfully');
+        }
+
+        if ($http_code >= 200 && $http_code < 300) {
+            // Without the ETag the part cannot be referenced when completing the upload
+            return array('success' => false, 'etag' => null, 'message' => 'No ETag returned. Make sure the bucket CORS/ExposeHeaders allow ETag.');
+        }
+
+        return array(
+            'success' => false,
+            'etag' => null,
+            'message' => "HTTP Error: " . $http_code . (!empty($curl_error) ? ", CURL Error: " . $curl_error : "") . ($response ? ' - ' . substr(strip_tags($response), 0, 200) : '')
+        );
+    }
+
+    /**
+     * Complete a multipart upload with the collected part ETags.
+     *
+     * @param string $file_type    File type key.
+     * @param string $complete_url Pre-signed CompleteMultipartUpload URL.
+     * @param array  $etags        ETags keyed by part number.
+     * @return void
+     * @throws Exception If S3 rejects the completion.
+     */
+    private function complete_multipart_upload($file_type, $complete_url, $etags) {
+        ksort($etags, SORT_NUMERIC);
+
+        $body = '<CompleteMultipartUpload>';
+        foreach ($etags as $part_number => $etag) {
+            $body .= '<Part><PartNumber>' . (int) $part_number . '</PartNumber><ETag>' . htmlspecialchars($etag, ENT_XML1) . '</ETag></Part>';
+        }
+        $body .= '</CompleteMultipartUpload>';
+
+        $ch = curl_init();
+        curl_setopt($ch, CURLOPT_URL, $this->preserve_encoded_slashes($complete_url));
+        curl_setopt($ch, CURLOPT_POST, true);
+        curl_setopt($ch, CURLOPT_POSTFIELDS, $body);
+        curl_setopt($ch, CURLOPT_RETURNTRANSFER, true);
+        curl_setopt($ch, CURLOPT_HTTPHEADER, array('Content-Type: application/xml'));
+        curl_setopt($ch, CURLOPT_SSL_VERIFYPEER, true);
+        curl_setopt($ch, CURLOPT_CONNECTTIMEOUT, 30);
+        curl_setopt($ch, CURLOPT_TIMEOUT, 300);
+
+        $response = curl_exec($ch);
+        $http_code = curl_getinfo($ch, CURLINFO_HTTP_CODE);
+        $curl_error = curl_error($ch);
+        curl_close($ch);
+
+        // S3 may answer 200 and still report an error in the body
+        if ($http_code < 200 || $http_code >= 300 || strpos((string) $response, '<Error>') !== false) {
+            $this->filesystem->log("CompleteMultipartUpload response for $file_type: " . $response);
+            throw new Exception("Failed to complete multipart upload of $file_type: HTTP Error: " . $http_code . (!empty($curl_error) ? ", CURL Error: " . $curl_error : ""));
+        }
+
+        $this->filesystem->log("Completed multipart upload of $file_type with " . count($etags) . " parts");
+    }
+
+    /**
+     * Sum the bytes of all parts that already have an ETag.
+     *
+     * @param array $entry File entry from the upload state.
+     * @return int Bytes uploaded.
+     */
+    private function count_uploaded_bytes($entry) {
+        $bytes = 0;
+        foreach (array_keys($entry['etags']) as $part_number) {
+            $offset = ($part_number - 1) * $entry['part_size'];
+            $bytes += min($entry['part_size'], $entry['size'] - $offset);
+        }
+        return $bytes;
+    }
+
+    /**
+     * Identify a multipart upload so parts are only reused for the same upload.
+     *
+     * @param array $part_urls Pre-signed part URLs.
+     * @return string The S3 uploadId, or a hash of the URL paths.
+     */
+    private function get_upload_fingerprint($part_urls) {
+        $query = parse_url($part_urls[0], PHP_URL_QUERY);
+        if ($query) {
+            parse_str($query, $params);
+            if (!empty($params['uploadId'])) {
+                return $params['uploadId'];
+            }
+        }
+        return md5(implode("\n", array_map(function ($url) {
+            return strtok($url, '?');
+        }, $part_urls)));
     }
 
     /**
@@ -53,7 +758,7 @@ class Custom_Migrator_S3_Uploader {
         );
 
         // Get file paths
-        $file_paths = $this->filesystem->get_export_file_paths();
+        $file_paths = $this->get_source_file_paths('');
         
         // Update status to starting
         $this->update_s3_status("starting");
@@ -198,11 +903,12 @@ class Custom_Migrator_S3_Uploader {
     /**
      * Upload a file to S3 using a pre-signed URL.
      *
-     * @param string $presigned_url The pre-signed URL for uploading.
-     * @param string $file_path The local path to the file.
+     * @param string        $presigned_url The pre-signed URL for uploading.
+     * @param string        $file_path The local path to the file.
+     * @param callable|null $on_progress Optional callback receiving the bytes sent so far.
      * @return array Result of the upload.
      */
-    private function upload_file_to_s3($presigned_url, $file_path) {
+    private function upload_file_to_s3($presigned_url, $file_path, $on_progress = null) {
         // Check if file exists and is readable
         if (!file_exists($file_path) || !is_readable($file_path)) {
             return array(
@@ -253,6 +959,14 @@ class Custom_Migrator_S3_Uploader {
         curl_setopt($ch, CURLOPT_INFILE, $file_handle);
         curl_setopt($ch, CURLOPT_INFILESIZE, $file_size);
         
+        if ($on_progress) {
+            curl_setopt($ch, CURLOPT_NOPROGRESS, false);
+            curl_setopt($ch, CURLOPT_PROGRESSFUNCTION, function ($ch, $download_total, $downloaded, $upload_total, $uploaded) use ($on_progress) {
+                call_user_func($on_progress, $uploaded);
+                return 0;
+            });
+        }
+        
         // Execute the request
         $response = curl_exec($ch);
         $http_code = curl_getinfo($ch, CURLINFO_HTTP_CODE);
@@ -300,9 +1014,15 @@ class Custom_Migrator_S3_Uploader {
     private function get_mime_type($file_path) {
         $file_extension = strtolower(pathinfo($file_path, PATHINFO_EXTENSION));
         
+        // Archive volumes end in their number (.hstgr.001)
+        if (preg_match('/^\d{3}$/', $file_extension)) {
+            return 'application/octet-stream';
+        }
+        
         // Define MIME types for known file extensions
         switch ($file_extension) {
             case 'hstgr':
+            case 'enc':
                 return 'application/octet-stream';
             case 'sql':
                 return 'text/plain';
@@ -0,0 +1,442 @@
+<?php
+/**
+ * The class responsible for rewriting URLs and paths in the database dump.
+ *
+ * @package CustomMigrator
+ */
+
+/**
+ * Search/replace class.
+ *
+ * When enabled, every string value written to the SQL dump goes through a
+ * single replacement pass with the configured pairs: the source home and site
+ * URL to the new URL, ABSPATH to the new path, plus custom pairs. URL pairs
+ * also match the other scheme, the protocol-relative form and the JSON-escaped
+ * form, and only where the host ends, so https://example.com leaves
+ * https://example.com.au alone. PHP-serialized values are walked string by string so every length
+ * prefix is rewritten, including values serialized twice; malformed ones are
+ * left untouched rather than corrupted. Counts per table are kept in a report
+ * file across database chunks and end up in metadata.json.
+ */
+class Custom_Migrator_Search_Replace {
+
+    /**
+     * Option holding the settings.
+     */
+    const OPTION_NAME = 'custom_migrator_search_replace';
+
+    /**
+     * Name of the report file in the export directory.
+     */
+    const REPORT_FILE = 'search-replace.json';
+
+    /**
+     * Maximum number of custom pairs.
+     */
+    const MAX_PAIRS = 20;
+
+    /**
+     * The filesystem handler.
+     *
+     * @var Custom_Migrator_Filesystem
+     */
+    private $filesystem;
+
+    /**
+     * Replacement map keyed by search string, built once per request.
+     *
+     * @var array|null
+     */
+    private $replacements = null;
+
+    /**
+     * Regular expression matching every search string, built with the map.
+     *
+     * @var string|null
+     */
+    private $pattern = null;
+
+    /**
+     * Counts of the current request, added to the report file by save_report().
+     *
+     * @var array
+     */
+    private $counts = array(
+        'values' => 0,
+        'serialized' => 0,
+        'malformed' => 0,
+        'tables' => array(),
+    );
+
+    /**
+     * Constructor.
+     *
+     * @param Custom_Migrator_Filesystem|null $filesystem Optional filesystem instance.
+     */
+    public function __construct($filesystem = null) {
+        $this->filesystem = $filesystem ? $filesystem : new Custom_Migrator_Filesystem();
+    }
+
+    /**
+     * Get the settings.
+     *
+     * @return array Settings with enabled, new_url, new_path and pairs (search and replace).
+     */
+    public function get_settings() {
+        $settings = get_option(self::OPTION_NAME, array());
+
+        return array_merge(array(
+            'enabled' => false,
+            'new_url' => '',
+            'new_path' => '',
+            'pairs' => array(),
+        ), is_array($settings) ? $settings : array());
+    }
+
+    /**
+     * Validate and save the settings.
+     *
+     * @param array $settings Settings as sent by the admin page.
+     * @return array Saved settings.
+     * @throws Exception If a value is invalid.
+     */
+    public function save_settings($settings) {
+        $new_url = isset($settings['new_url']) ? trim((string) $settings['new_url']) : '';
+        $new_path = isset($settings['new_path']) ? trim((string) $settings['new_path']) : '';
+
+        if ($new_url !== '') {
+            $new_url = untrailingslashit(esc_url_raw($new_url, array('http', 'https')));
+            if ($new_url === '' || !wp_parse_url($new_url, PHP_URL_HOST)) {
+                throw new Exception('The new URL must be a full http:// or https:// address.');
+            }
+        }
+
+        if ($new_path !== '') {
+            $new_path = untrailingslashit(str_replace('\\', '/', $new_path));
+            if (!preg_match('#^(/|[A-Za-z]:/)#', $new_path) || strpos($new_path, "\0") !== false) {
+                throw new Exception('The new path must be absolute, e.g. /home/user/public_html.');
+            }
+        }
+
+        $pairs = array();
+        foreach (isset($settings['pairs']) && is_array($settings['pairs']) ? $settings['pairs'] : array() as $pair) {
+            $search = isset($pair['search']) ? (string) $pair['search'] : '';
+            $replace = isset($pair['replace']) ? (string) $pair['replace'] : '';
+            if ($search === '' || $search === $replace) {
+                continue;
+            }
+            if (strlen($search) < 4) {
+                throw new Exception(sprintf('"%s" is too short to search for safely.', $search));
+            }
+            $pairs[] = array('search' => $search, 'replace' => $replace);
+        }
+
+        if (count($pairs) > self::MAX_PAIRS) {
+            throw new Exception(sprintf('At most %d custom pairs can be saved.', self::MAX_PAIRS));
+        }
+
+        $enabled = !empty($settings['enabled']);
+        if ($enabled && $new_url === '' && $new_path === '' && empty($pairs)) {
+            throw new Exception('Enter a new URL, a new path or at least one pair to enable search and replace.');
+        }
+
+        update_option(self::OPTION_NAME, array(
+            'enabled' => $enabled,
+            'new_url' => $new_url,
+            'new_path' => $new_path,
+            'pairs' => $pairs,
+        ), false);
+        $this->replacements = null;
+        $this->pattern = null;
+
+        return $this->get_settings();
+    }
+
+    /**
+     * Check whether exports rewrite the dump.
+     *
+     * @return bool Whether search/replace is enabled and has at least one pair.
+     */
+    public function is_enabled() {
+        $settings = $this->get_settings();
+        return $settings['enabled'] && !empty($this->get_pairs());
+    }
+
+    /**
+     * Get the configured pairs, with the URL and path pairs resolved against this site.
+     *
+     * @return array Pairs with search and replace.
+     */
+    public function get_pairs() {
+        $settings = $this->get_settings();
+        $pairs = array();
+
+        if ($settings['new_url'] !== '') {
+            $home_url = untrailingslashit(home_url());
+            $site_url = untrailingslashit(site_url());
+            $pairs[] = array('search' => $home_url, 'replace' => $settings['new_url']);
+
+            // WordPress in a subdirectory keeps that subdirectory under the new URL
+            if ($site_url !== $home_url) {
+                $relative = strpos($site_url, $home_url . '/') === 0 ? substr($site_url, strlen($home_url)) : '';
+                $pairs[] = array('search' => $site_url, 'replace' => $settings['new_url'] . $relative);
+            }
+        }
+
+        if ($settings['new_path'] !== '') {
+            $pairs[] = array('search' => untrailingslashit(str_replace('\\', '/', ABSPATH)), 'replace' => $settings['new_path']);
+        }
+
+        $pairs = array_merge($pairs, $settings['pairs']);
+
+        return array_values(array_filter($pairs, function($pair) {
+            return $pair['search'] !== $pair['replace'];
+        }));
+    }
+
+    /**
+     * Get every search string with its replacement, including the URL variants.
+     *
+     * @return array Replacements keyed by search string.
+     */
+    public function get_replacements() {
+        if ($this->replacements !== null) {
+            return $this->replacements;
+        }
+
+        $replacements = array();
+        $url_searches = array();
+        foreach ($this->get_pairs() as $pair) {
+            $variants = array($pair['search'] => $pair['replace']);
+
+            if (preg_match('#^https?://#i', $pair['search'])) {
+                // Links written with the other scheme or without one point to the same site
+                $search_relative = substr($pair['search'], strpos($pair['search'], '//'));
+                $replace_relative = preg_match('#^https?://#i', $pair['replace']) ? substr($pair['replace'], strpos($pair['replace'], '//')) : $pair['replace'];
+
+                $variants['http:' . $search_relative] = $pair['replace'];
+                $variants['https:' . $search_relative] = $pair['replace'];
+                $variants[$search_relative] = $replace_relative;
+            }
+
+            $is_url = count($variants) > 1;
+            foreach ($variants as $search => $replace) {
+                $replacements[$search] = $replace;
+                $url_searches[$search] = $is_url;
+
+                // json_encode() escapes slashes, e.g. in block attributes and REST caches
+                if (strpos($search, '/') !== false) {
+                    $escaped = str_replace('/', '\\/', $search);
+                    $replacements[$escaped] = str_replace('/', '\\/', $replace);
+                    $url_searches[$escaped] = $is_url;
+                }
+            }
+        }
+
+        // Longest first so a search string wins over its own prefix, as with strtr()
+        $searches = array_keys($replacements);
+        usort($searches, function($a, $b) {
+            return strlen($b) - strlen($a);
+        });
+
+        $alternatives = array();
+        foreach ($searches as $search) {
+            // A URL only matches where its host or path ends, not inside example.com.au
+            $alternatives[] = preg_quote($search, '#') . ($url_searches[$search] ? '(?=$|/|\\\\/|:|\?|#|"|\')' : '');
+        }
+
+        $this->replacements = $replacements;
+        $this->pattern = empty($alternatives) ? null : '#' . implode('|', $alternatives) . '#';
+        return $replacements;
+    }
+
+    /**
+     * Rewrite one database value.
+     *
+     * @param string $value Column value.
+     * @param string $table Table the value belongs to, for the report.
+     * @return string Rewritten value, or the original if nothing matched or it could not be rewritten safely.
+     */
+    public function replace($value, $table = '') {
+        $replacements = $this->get_replacements();
+        if (empty($replacements) || !is_string($value) || $value === '') {
+            return $value;
+        }
+
+        // Most values contain none of the search strings
+        $replaced = $this->replace_string($value);
+        if ($replaced === $value) {
+            return $value;
+        }
+
+        if (is_serialized($value)) {
+            $replaced = $this->replace_serialized($value);
+            if ($replaced === null) {
+                $this->counts['malformed']++;
+                return $value;
+            }
+            $this->counts['serialized']++;
+        }
+
+        $this->counts['values']++;
+        if ($table !== '') {
+            $this->counts['tables'][$table] = isset($this->counts['tables'][$table]) ? $this->counts['tables'][$table] + 1 : 1;
+        }
+
+        return $replaced;
+    }
+
+    /**
+     * Get the path to the report file.
+     *
+     * @return string Report file path.
+     */
+    public function get_report_path() {
+        return $this->filesystem->get_export_dir() . '/' . self::REPORT_FILE;
+    }
+
+    /**
+     * Add the counts of this request to the report file.
+     *
+     * @return void
+     */
+    public function save_report() {
+        $report = $this->load_report();
+
+        $report['values'] += $this->counts['values'];
+        $report['serialized'] += $this->counts['serialized'];
+        $report['malformed'] += $this->counts['malformed'];
+        foreach ($this->counts['tables'] as $table => $count) {
+            $report['tables'][$table] = (isset($report['tables'][$table]) ? $report['tables'][$table] : 0) + $count;
+        }
+
+        $report_file = $this->get_report_path();
+        $this->filesystem->write_json_atomic($report_file, $report);
+
+        $this->counts = array('values' => 0, 'serialized' => 0, 'malformed' => 0, 'tables' => array());
+    }
+
+    /**
+     * Remove the report of a previous export.
+     *
+     * @return void
+     */
+    public function reset_report() {
+        $report_file = $this->get_report_path();
+        if (file_exists($report_file)) {
+            @unlink($report_file);
+        }
+    }
+
+    /**
+     * Get the replacements applied to this export for the metadata.
+     *
+     * @return array|null Pairs, every search string used and the counts, null if search/replace is off.
+     */
+    public function get_summary() {
+        if (!$this->is_enabled()) {
+            return null;
+        }
+
+        $report = $this->load_report();
+        $replacements = array();
+        foreach ($this->get_replacements() as $search => $replace) {
+            $replacements[] = array('search' => $search, 'replace' => $replace);
+        }
+
+        return array(
+            'pairs' => $this->get_pairs(),
+            'replacements' => $replacements,
+            'values_changed' => $report['values'],
+            'serialized_values_changed' => $report['serialized'],
+            'malformed_serialized_skipped' => $report['malformed'],
+            'tables' => $report['tables'],
+        );
+    }
+
+    /**
+     * Rewrite the strings inside a PHP-serialized value and fix their length prefixes.
+     *
+     * Strings are skipped by their declared byte length, so quotes and
+     * semicolons inside them never confuse the walk. Nested serialized strings
+     * are rewritten recursively.
+     *
+     * @param string $data Serialized value.
+     * @return string|null Rewritten value, null if the lengths do not add up.
+     */
+    private function replace_serialized($data) {
+        // Objects with custom serialize() handlers carry their own length prefix
+        if (preg_match('/(^|[;{}])C:\d+:"/', $data)) {
+            return null;
+        }
+
+        $output = '';
+        $position = 0;
+        $length = strlen($data);
+
+        while (($start = strpos($data, 's:', $position)) !== false) {
+            if (!preg_match('/s:(\d+):"/A', $data, $matches, 0, $start)) {
+                return null;
+            }
+
+            $string_length = (int) $matches[1];
+            $string_start = $start + strlen($matches[0]);
+            if ($string_start + $string_length + 2 > $length || substr($data, $string_start + $string_length, 2) !== '";') {
+                return null;
+            }
+
+            $string = substr($data, $string_start, $string_length);
+            if (is_serialized($string)) {
+                $nested = $this->replace_serialized($string);
+                $string = $nested === null ? $string : $nested;
+            } else {
+                $string = $this->replace_string($string);
+            }
+
+            $output .= substr($data, $position, $start - $position) . 's:' . strlen($string) . ':"' . $string . '";';
+            $position = $string_start + $string_length + 2;
+        }
+
+        return $output . substr($data, $position);
+    }
+
+    /**
+     * Replace every search string in a plain string in one pass.
+     *
+     * Replaced text is never searched again, so one pair cannot rewrite the
+     * result of another.
+     *
+     * @param string $string String to rewrite.
+     * @return string Rewritten string.
+     */
+    private function replace_string($string) {
+        $replacements = $this->get_replacements();
+        if ($this->pattern === null) {
+            return $string;
+        }
+
+        $replaced = preg_replace_callback($this->pattern, function($matches) use ($replacements) {
+            return $replacements[$matches[0]];
+        }, $string);
+
+        // A backtracking limit error leaves the value as it was
+        return $replaced === null ? $string : $replaced;
+    }
+
+    /**
+     * Load the report file.
+     *
+     * @return array Report with values, serialized, malformed and tables.
+     */
+    private function load_report() {
+        $report_file = $this->get_report_path();
+        $report = file_exists($report_file) ? json_decode(file_get_contents($report_file), true) : null;
+
+        return array_merge(array(
+            'values' => 0,
+            'serialized' => 0,
+            'malformed' => 0,
+            'tables' => array(),
+        ), is_array($report) ? $report : array());
+    }
+}
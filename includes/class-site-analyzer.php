@@ -0,0 +1,360 @@
+<?php
+/**
+ * The class responsible for the pre-export site analysis.
+ *
+ * @package CustomMigrator
+ */
+
+/**
+ * Site analyzer class.
+ *
+ * Runs a resumable pre-flight scan before an export starts: wp-content is walked
+ * with the file enumerator's rules, excluded directories are measured, tables
+ * are listed through the database exporter, and the result is turned into a
+ * size, disk space and duration estimate for the user to confirm.
+ */
+class Custom_Migrator_Site_Analyzer {
+
+    /**
+     * Number of entries kept in each "largest" list.
+     */
+    const TOP_COUNT = 20;
+
+    /**
+     * Maximum number of oversized files listed.
+     */
+    const MAX_LISTED_OVERSIZED = 100;
+
+    /**
+     * Directory depth below wp-content used for the largest directories list.
+     */
+    const DIR_DEPTH = 3;
+
+    /**
+     * Default throughput used for the duration estimate.
+     */
+    const CONTENT_BYTES_PER_SECOND = 15728640; // 15MB/s archive copy
+    const SECONDS_PER_FILE = 0.002;            // Per-file header and open overhead
+    const DATABASE_BYTES_PER_SECOND = 4194304; // 4MB/s SQL dump
+
+    /**
+     * The filesystem handler.
+     *
+     * @var Custom_Migrator_Filesystem
+     */
+    private $filesystem;
+
+    /**
+     * The file enumerator.
+     *
+     * @var Custom_Migrator_File_Enumerator
+     */
+    private $enumerator;
+
+    /**
+     * Constructor.
+     *
+     * @param Custom_Migrator_Filesystem|null $filesystem Optional filesystem instance.
+     */
+    public function __construct($filesystem = null) {
+        $this->filesystem = $filesystem ? $filesystem : new Custom_Migrator_Filesystem();
+        $this->enumerator = new Custom_Migrator_File_Enumerator($this->filesystem);
+    }
+
+    /**
+     * Get the path to the analysis state file.
+     *
+     * @return string State file path.
+     */
+    public function get_state_file_path() {
+        return $this->filesystem->get_export_dir() . '/site-analysis.json';
+    }
+
+    /**
+     * Load the analysis state.
+     *
+     * @return array|null State or null when no analysis has run.
+     */
+    public function load_state() {
+        $state_file = $this->get_state_file_path();
+        if (!file_exists($state_file)) {
+            return null;
+        }
+
+        $state = json_decode(file_get_contents($state_file), true);
+        return is_array($state) ? $state : null;
+    }
+
+    /**
+     * Start a fresh analysis.
+     *
+     * @return array Fresh state.
+     */
+    public function start() {
+        Custom_Migrator_Filesystem::set_log_phase('analysis');
+        $this->filesystem->create_export_dir();
+
+        $state = array(
+            'phase' => 'files',
+            'started_at' => time(),
+            'queue' => array($this->enumerator->get_source_dir()),
+            'files' => array('count' => 0, 'size' => 0, 'errors' => 0),
+            'dir_sizes' => array(),
+            'largest_files' => array(),
+            'oversized' => array('count' => 0, 'size' => 0, 'files' => array()),
+            'excluded_files' => array('count' => 0, 'size' => 0, 'largest' => array()),
+            'excluded_dirs' => array(),
+            'excluded_dirs_measured' => 0,
+            'tables' => array(),
+            'database_error' => null,
+        );
+
+        $this->save_state($state);
+        return $state;
+    }
+
+    /**
+     * Continue the analysis for up to the given number of seconds.
+     *
+     * @param int $time_budget Seconds to spend in this request.
+     * @return array Updated state.
+     * @throws Exception If no analysis was started.
+     */
+    public function run_slice($time_budget = 10) {
+        Custom_Migrator_Filesystem::set_log_phase('analysis');
+        $state = $this->load_state();
+        if (!$state) {
+            throw new Exception('No analysis in progress');
+        }
+
+        $start_time = microtime(true);
+
+        if ($state['phase'] === 'files') {
+            $finished = $this->enumerator->scan_resumable($state['queue'], $time_budget, function ($type, $path, $size, $relative_path) use (&$state) {
+                $this->record_file($state, $type, $path, $size, $relative_path);
+            }, array('log_errors' => false));
+
+            if ($finished) {
+                $state['phase'] = 'exclusions';
+            }
+        } elseif ($state['phase'] === 'exclusions') {
+            // Measure excluded directories one at a time so a huge cache folder cannot stall the request
+            while ($state['excluded_dirs_measured'] < count($state['excluded_dirs'])) {
+                $index = $state['excluded_dirs_measured'];
+                $state['excluded_dirs'][$index]['size'] = $this->filesystem->get_directory_size($state['excluded_dirs'][$index]['abs_path']);
+                $state['excluded_dirs_measured']++;
+
+                if ((microtime(true) - $start_time) > $time_budget) {
+                    break;
+                }
+            }
+
+            if ($state['excluded_dirs_measured'] >= count($state['excluded_dirs'])) {
+                $state['phase'] = 'database';
+            }
+        } elseif ($state['phase'] === 'database') {
+            try {
+                $database_exporter = new Custom_Migrator_Database_Exporter();
+                $state['tables'] = $database_exporter->get_table_report();
+            } catch (Exception $e) {
+                $state['database_error'] = $e->getMessage();
+                $this->filesystem->log('Site analysis could not read the database: ' . $e->getMessage());
+            }
+
+            $state['phase'] = 'done';
+            $state['completed_at'] = time();
+        }
+
+        $this->save_state($state);
+        return $state;
+    }
+
+    /**
+     * Record one scanned path in the analysis state.
+     *
+     * @param array  $state         Analysis state, updated in place.
+     * @param string $type          Scan result type.
+     * @param string $path          Absolute path.
+     * @param int    $size          File size.
+     * @param string $relative_path Archive path for included files.
+     * @return void
+     */
+    private function record_file(&$state, $type, $path, $size, $relative_path) {
+        switch ($type) {
+            case 'file':
+                $state['files']['count']++;
+                $state['files']['size'] += $size;
+                $this->add_to_top($state['largest_files'], $relative_path, $size);
+
+                // Add the size to every parent folder down to DIR_DEPTH
+                $parts = explode('/', $relative_path);
+                array_pop($parts);
+                $dir = array_shift($parts);
+                foreach (array_slice($parts, 0, self::DIR_DEPTH) as $part) {
+                    $dir .= '/' . $part;
+                    if (!isset($state['dir_sizes'][$dir])) {
+                        $state['dir_sizes'][$dir] = 0;
+                    }
+                    $state['dir_sizes'][$dir] += $size;
+                }
+                break;
+
+            case 'too_large':
+                $state['oversized']['count']++;
+                $state['oversized']['size'] += $size;
+                if (count($state['oversized']['files']) < self::MAX_LISTED_OVERSIZED) {
+                    $state['oversized']['files'][] = array('path' => $this->get_display_path($path), 'size' => $size);
+                }
+                break;
+
+            case 'excluded':
+                $state['excluded_files']['count']++;
+                $state['excluded_files']['size'] += $size;
+                $this->add_to_top($state['excluded_files']['largest'], $this->get_display_path($path), $size);
+                break;
+
+            case 'excluded_dir':
+                $state['excluded_dirs'][] = array(
+                    'path' => $this->get_display_path($path),
+                    'abs_path' => $path,
+                    'size' => null,
+                );
+                break;
+
+            case 'error':
+                $state['files']['errors']++;
+                break;
+        }
+    }
+
+    /**
+     * Build the report shown to the user.
+     *
+     * @param array|null $state Analysis state.
+     * @return array Report.
+     */
+    public function get_report($state = null) {
+        if ($state === null) {
+            $state = $this->load_state();
+        }
+
+        if (!$state) {
+            return array('phase' => 'not_started');
+        }
+
+        $report = array(
+            'phase' => $state['phase'],
+            'files' => $state['files'],
+            'directories_left' => count($state['queue']),
+        );
+
+        if ($state['phase'] !== 'done') {
+            return $report;
+        }
+
+        arsort($state['dir_sizes']);
+        $largest_dirs = array();
+        foreach (array_slice($state['dir_sizes'], 0, self::TOP_COUNT, true) as $dir => $size) {
+            $largest_dirs[] = array('path' => (string) $dir, 'size' => $size);
+        }
+
+        $tables = $state['tables'];
+        usort($tables, function ($a, $b) {
+            return $b['size'] - $a['size'];
+        });
+
+        $database_size = 0;
+        foreach ($tables as $table) {
+            $database_size += $table['size'];
+        }
+
+        $excluded_dirs = array();
+        foreach ($state['excluded_dirs'] as $dir) {
+            $excluded_dirs[] = array('path' => $dir['path'], 'size' => (int) $dir['size']);
+        }
+
+        // The archive adds one header block per file; the dump is at most the table size before compression
+        $archive_size = $state['files']['size'] + $state['files']['count'] * Custom_Migrator_Helper::get_binary_block_size();
+        $estimated_size = $archive_size + $database_size;
+
+        $rates = apply_filters('custom_migrator_estimate_rates', array(
+            'content_bytes_per_second' => self::CONTENT_BYTES_PER_SECOND,
+            'seconds_per_file' => self::SECONDS_PER_FILE,
+            'database_bytes_per_second' => self::DATABASE_BYTES_PER_SECOND,
+        ));
+
+        $estimated_seconds = $state['files']['size'] / max(1, $rates['content_bytes_per_second'])
+            + $state['files']['count'] * $rates['seconds_per_file']
+            + $database_size / max(1, $rates['database_bytes_per_second']);
+
+        $report['largest_dirs'] = $largest_dirs;
+        $report['largest_files'] = $state['largest_files'];
+        $report['oversized'] = $state['oversized'];
+        $report['max_file_size'] = Custom_Migrator_File_Enumerator::get_max_file_size();
+        $report['excluded_dirs'] = $excluded_dirs;
+        $report['excluded_files'] = $state['excluded_files'];
+        $report['largest_tables'] = array_slice($tables, 0, self::TOP_COUNT);
+        $report['table_count'] = count($tables);
+        $report['database_size'] = $database_size;
+        $report['database_error'] = $state['database_error'];
+        $report['estimate'] = array(
+            'archive_size' => $archive_size,
+            'database_size' => $database_size,
+            'total_size' => $estimated_size,
+            'seconds' => (int) ceil($estimated_seconds),
+        );
+        $report['disk_space'] = $this->filesystem->check_disk_space($estimated_size);
+
+        return $report;
+    }
+
+    /**
+     * Keep the largest entries of a list, sorted by size.
+     *
+     * @param array  $list List of path/size entries, updated in place.
+     * @param string $path Entry path.
+     * @param int    $size Entry size.
+     * @return void
+     */
+    private function add_to_top(&$list, $path, $size) {
+        if (count($list) >= self::TOP_COUNT && $size <= $list[count($list) - 1]['size']) {
+            return;
+        }
+
+        $list[] = array('path' => $path, 'size' => $size);
+        usort($list, function ($a, $b) {
+            return $b['size'] - $a['size'];
+        });
+        $list = array_slice($list, 0, self::TOP_COUNT);
+    }
+
+    /**
+     * Show paths relative to the WordPress root instead of the server path.
+     *
+     * @param string $path Absolute path.
+     * @return string Display path.
+     */
+    private function get_display_path($path) {
+        $content_parent = dirname(WP_CONTENT_DIR);
+
+        if (strpos($path, $content_parent . DIRECTORY_SEPARATOR) === 0) {
+            return str_replace(DIRECTORY_SEPARATOR, '/', substr($path, strlen($content_parent) + 1));
+        }
+
+        return $path;
+    }
+
+    /**
+     * Save the analysis state atomically.
+     *
+     * @param array $state Analysis state.
+     * @return void
+     */
+    private function save_state($state) {
+        $state_file = $this->get_state_file_path();
+
+        $state['updated_at'] = time();
+
+        $this->filesystem->write_json_atomic($state_file, $state);
+    }
+}
@@ -0,0 +1,332 @@
+<?php
+/**
+ * The class responsible for splitting the archive into volumes.
+ *
+ * @package CustomMigrator
+ */
+
+/**
+ * Volumes class.
+ *
+ * In volume mode the exporters close the archive before an entry would push
+ * it past the configured size and continue in content_xxx.hstgr.001, .002 and
+ * so on. The first volume keeps the archive name, so everything that reads
+ * the archive finds it as before. Volumes are only split between entries and
+ * each one starts with its own preamble, so every volume is a complete
+ * archive that can be read on its own. An entry larger than the volume size
+ * gets a volume to itself.
+ *
+ * Extra volumes are keyed as hstgr_001, hstgr_002... wherever export files
+ * are keyed by type (history, S3 upload, REST artifacts).
+ */
+class Custom_Migrator_Volumes {
+
+    /**
+     * Option holding the settings.
+     */
+    const OPTION_NAME = 'custom_migrator_volumes';
+
+    /**
+     * Volume size used until one is saved, in MB.
+     */
+    const DEFAULT_VOLUME_SIZE_MB = 2048;
+
+    /**
+     * Smallest volume size, in MB.
+     */
+    const MIN_VOLUME_SIZE_MB = 10;
+
+    /**
+     * Largest volume size, in MB.
+     */
+    const MAX_VOLUME_SIZE_MB = 102400;
+
+    /**
+     * Highest volume number the three-digit suffix allows.
+     */
+    const MAX_VOLUMES = 999;
+
+    /**
+     * File type prefix of extra volumes.
+     */
+    const TYPE_PREFIX = 'hstgr_';
+
+    /**
+     * The filesystem handler.
+     *
+     * @var Custom_Migrator_Filesystem
+     */
+    private $filesystem;
+
+    /**
+     * Constructor.
+     *
+     * @param Custom_Migrator_Filesystem|null $filesystem Optional filesystem instance.
+     */
+    public function __construct($filesystem = null) {
+        $this->filesystem = $filesystem ? $filesystem : new Custom_Migrator_Filesystem();
+    }
+
+    /**
+     * Get the settings.
+     *
+     * @return array Settings with enabled and volume_size_mb.
+     */
+    public function get_settings() {
+        $settings = get_option(self::OPTION_NAME, array());
+
+        return array_merge(array(
+            'enabled' => false,
+            'volume_size_mb' => self::DEFAULT_VOLUME_SIZE_MB,
+        ), is_array($settings) ? $settings : array());
+    }
+
+    /**
+     * Validate and save the settings.
+     *
+     * @param array $settings Settings as sent by the admin page.
+     * @return array Saved settings.
+     * @throws Exception If the volume size is out of range.
+     */
+    public function save_settings($settings) {
+        $volume_size_mb = isset($settings['volume_size_mb']) ? $settings['volume_size_mb'] : self::DEFAULT_VOLUME_SIZE_MB;
+
+        if (!is_numeric($volume_size_mb) || (int) $volume_size_mb != $volume_size_mb
+            || $volume_size_mb < self::MIN_VOLUME_SIZE_MB || $volume_size_mb > self::MAX_VOLUME_SIZE_MB) {
+            throw new Exception(sprintf('The volume size must be a whole number of MB between %d and %d.', self::MIN_VOLUME_SIZE_MB, self::MAX_VOLUME_SIZE_MB));
+        }
+
+        update_option(self::OPTION_NAME, array(
+            'enabled' => !empty($settings['enabled']),
+            'volume_size_mb' => (int) $volume_size_mb,
+        ), false);
+
+        return $this->get_settings();
+    }
+
+    /**
+     * Check whether exports split the archive into volumes.
+     *
+     * @return bool Whether volume mode is enabled.
+     */
+    public function is_enabled() {
+        $settings = $this->get_settings();
+        return (bool) $settings['enabled'];
+    }
+
+    /**
+     * Get the volume size.
+     *
+     * @return int Maximum volume size in bytes.
+     */
+    public function get_volume_size() {
+        $settings = $this->get_settings();
+        return (int) $settings['volume_size_mb'] * 1048576;
+    }
+
+    /**
+     * Check whether the next entry has to go into a new volume.
+     *
+     * A volume holding no entry yet is never closed, so an entry larger than
+     * the volume size still ends up in the archive.
+     *
+     * @param int $volume_size Current size of the volume in bytes.
+     * @param int $data_offset Where the first entry of the volume starts.
+     * @param int $entry_size  Header and content size of the next entry.
+     * @return bool Whether to start a new volume first.
+     */
+    public function needs_new_volume($volume_size, $data_offset, $entry_size) {
+        if (!$this->is_enabled() || $volume_size <= $data_offset) {
+            return false;
+        }
+
+        return $volume_size + $entry_size > $this->get_volume_size();
+    }
+
+    /**
+     * Create the file of the next volume with the format preamble.
+     *
+     * @param string $archive_path Path of the first volume.
+     * @param int    $number       Volume number, 1 for .001.
+     * @return string Path of the new volume.
+     * @throws Exception If the volume number is too high or the file cannot be written.
+     */
+    public function start_volume($archive_path, $number) {
+        if ($number > self::MAX_VOLUMES) {
+            throw new Exception(sprintf('The archive needs more than %d volumes. Increase the volume size.', self::MAX_VOLUMES));
+        }
+
+        $path = self::get_volume_path($archive_path, $number);
+        if (file_put_contents($path, Custom_Migrator_Helper::create_archive_preamble()) === false) {
+            throw new Exception('Cannot create archive volume ' . basename($path));
+        }
+
+        $this->filesystem->log('Archive volume full, continuing in ' . basename($path));
+
+        return $path;
+    }
+
+    /**
+     * Remove the extra volumes of an archive.
+     *
+     * @param string $archive_path Path of the first volume.
+     * @return void
+     */
+    public function delete_volumes($archive_path) {
+        foreach (self::find_volume_paths($archive_path) as $path) {
+            @unlink($path);
+        }
+    }
+
+    /**
+     * Get the extra volumes of the current export.
+     *
+     * @return array Paths keyed by file type (hstgr_001...), in volume order.
+     */
+    public function get_volume_paths() {
+        $file_paths = $this->filesystem->get_export_file_paths();
+        return self::find_volume_paths($file_paths['hstgr']);
+    }
+
+    /**
+     * Get the volumes of the current export for the metadata.
+     *
+     * Checksums come from the finalized manifest when it has them, so the
+     * volumes are not hashed twice.
+     *
+     * @return array|null Volume size and the files with size and checksum, null if the archive is a single file.
+     */
+    public function get_summary() {
+        $volume_paths = $this->get_volume_paths();
+        if (empty($volume_paths)) {
+            return null;
+        }
+
+        $file_paths = $this->filesystem->get_export_file_paths();
+        $manifest = new Custom_Migrator_Manifest($this->filesystem);
+        $manifest_summary = $manifest->read_summary();
+        $recorded = isset($manifest_summary['volumes']) ? $manifest_summary['volumes'] : array();
+        if (isset($manifest_summary['archive'])) {
+            $recorded[0] = $manifest_summary['archive'];
+        }
+
+        $files = array();
+        foreach (array_merge(array($file_paths['hstgr']), array_values($volume_paths)) as $number => $path) {
+            $size = filesize($path);
+            $line = isset($recorded[$number]) ? $recorded[$number] : null;
+            $matches = $line && $line['file'] === basename($path) && (int) $line['size'] === $size;
+
+            $files[] = array(
+                'volume' => $number,
+                'name' => basename($path),
+                'size' => $size,
+                'checksum' => $matches ? $line['hash'] : hash_file(Custom_Migrator_Manifest::ARCHIVE_HASH, $path),
+            );
+        }
+
+        return array(
+            'count' => count($files),
+            'volume_size' => $this->get_volume_size(),
+            'checksum_algorithm' => Custom_Migrator_Manifest::ARCHIVE_HASH,
+            'files' => $files,
+        );
+    }
+
+    /**
+     * Add the volumes of the finished archive to metadata.json.
+     *
+     * The metadata is written before the archive, so this runs once the
+     * manifest is finalized. Nothing changes for an archive in one file.
+     *
+     * @return void
+     * @throws Exception If the metadata file cannot be read or written.
+     */
+    public function update_metadata() {
+        $summary = $this->get_summary();
+        if ($summary === null) {
+            return;
+        }
+
+        $file_paths = $this->filesystem->get_export_file_paths();
+        $metadata = file_exists($file_paths['metadata']) ? json_decode(file_get_contents($file_paths['metadata']), true) : null;
+        if (!is_array($metadata)) {
+            throw new Exception('Cannot read the metadata file to record the archive volumes.');
+        }
+
+        $metadata['volumes'] = $summary;
+
+        if (file_put_contents($file_paths['metadata'], wp_json_encode($metadata, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES)) === false) {
+            throw new Exception('Failed to write metadata file');
+        }
+
+        $this->filesystem->log(sprintf('Archive split into %d volumes', $summary['count']));
+    }
+
+    /**
+     * Get the path of a volume.
+     *
+     * An encrypted archive keeps the .enc suffix after the volume number.
+     *
+     * @param string $archive_path Path of the first volume.
+     * @param int    $number       Volume number, 0 for the first volume.
+     * @return string Volume path.
+     */
+    public static function get_volume_path($archive_path, $number) {
+        if ($number === 0) {
+            return $archive_path;
+        }
+
+        $suffix = preg_match('/\.enc$/', $archive_path) ? '.enc' : '';
+        return substr($archive_path, 0, strlen($archive_path) - strlen($suffix)) . sprintf('.%03d', $number) . $suffix;
+    }
+
+    /**
+     * Get the extra volumes next to an archive.
+     *
+     * @param string $archive_path Path of the first volume.
+     * @return array Paths keyed by file type (hstgr_001...), in volume order.
+     */
+    public static function find_volume_paths($archive_path) {
+        $paths = array();
+
+        for ($number = 1; $number <= self::MAX_VOLUMES; $number++) {
+            $path = self::get_volume_path($archive_path, $number);
+            if (!file_exists($path)) {
+                break;
+            }
+            $paths[self::get_volume_type($number)] = $path;
+        }
+
+        return $paths;
+    }
+
+    /**
+     * Get the file type key of a volume.
+     *
+     * @param int $number Volume number, 0 for the first volume.
+     * @return string File type.
+     */
+    public static function get_volume_type($number) {
+        return $number === 0 ? 'hstgr' : self::TYPE_PREFIX . sprintf('%03d', $number);
+    }
+
+    /**
+     * Get the volume number of a file type key.
+     *
+     * @param string $type File type, hstgr or hstgr_001...
+     * @return int Volume number, 0 for the first volume.
+     */
+    public static function get_volume_number($type) {
+        return self::is_volume_type($type) ? (int) substr($type, strlen(self::TYPE_PREFIX)) : 0;
+    }
+
+    /**
+     * Check whether a file type key names an extra volume.
+     *
+     * @param string $type File type.
+     * @return bool Whether it is hstgr_001 or a later volume.
+     */
+    public static function is_volume_type($type) {
+        return (bool) preg_match('/^' . self::TYPE_PREFIX . '\d{3}$/', $type);
+    }
+}
@@ -0,0 +1,122 @@
+<?php
+/**
+ * Minimal stand-in for WordPress so single plugin classes can be tested without a site.
+ *
+ * Only the functions the tested classes call are defined, with the behaviour
+ * of their WordPress counterparts. Options live in $GLOBALS['test_options'].
+ *
+ * @package CustomMigrator
+ */
+
+define('ABSPATH', '/var/www/html/');
+define('WP_CONTENT_DIR', ABSPATH . 'wp-content');
+define('CUSTOM_MIGRATOR_PLUGIN_DIR', dirname(__DIR__) . '/');
+
+$GLOBALS['test_options'] = array();
+$GLOBALS['test_tests'] = array();
+
+function get_option($name, $default = false) {
+    return array_key_exists($name, $GLOBALS['test_options']) ? $GLOBALS['test_options'][$name] : $default;
+}
+
+function update_option($name, $value, $autoload = null) {
+    $GLOBALS['test_options'][$name] = $value;
+    return true;
+}
+
+function home_url($path = '') {
+    return get_option('home') . $path;
+}
+
+function site_url($path = '') {
+    return get_option('siteurl') . $path;
+}
+
+function untrailingslashit($value) {
+    return rtrim($value, '/\\');
+}
+
+function trailingslashit($value) {
+    return untrailingslashit($value) . '/';
+}
+
+function esc_url_raw($url, $protocols = null) {
+    return $url;
+}
+
+function wp_parse_url($url, $component = -1) {
+    return parse_url($url, $component);
+}
+
+function sanitize_text_field($value) {
+    return trim(preg_replace('/\s+/', ' ', strip_tags($value)));
+}
+
+function is_serialized($data, $strict = true) {
+    if (!is_string($data)) {
+        return false;
+    }
+    $data = trim($data);
+    if ($data === 'N;') {
+        return true;
+    }
+    if (strlen($data) < 4 || $data[1] !== ':') {
+        return false;
+    }
+    $last = substr($data, -1);
+    if ($last !== ';' && $last !== '}') {
+        return false;
+    }
+    switch ($data[0]) {
+        case 's':
+            return (bool) preg_match('/^s:[0-9]+:".*";$/s', $data);
+        case 'a':
+        case 'O':
+        case 'E':
+            return (bool) preg_match('/^' . $data[0] . ':[0-9]+:/s', $data);
+        case 'b':
+        case 'i':
+        case 'd':
+            return (bool) preg_match('/^' . $data[0] . ':[0-9.E+-]+;$/', $data);
+    }
+    return false;
+}
+
+/**
+ * Register a test, run by tests/run.php.
+ *
+ * @param string   $name     Test name.
+ * @param callable $callback Test body, throws on failure.
+ * @return void
+ */
+function test($name, $callback) {
+    $GLOBALS['test_tests'][$name] = $callback;
+}
+
+/**
+ * Fail the current test unless both values are identical.
+ *
+ * @param mixed $expected Expected value.
+ * @param mixed $actual   Actual value.
+ * @return void
+ * @throws Exception If the values differ.
+ */
+function assert_same($expected, $actual) {
+    if ($expected !== $actual) {
+        throw new Exception(sprintf("Expected %s\n  got      %s", var_export($expected, true), var_export($actual, true)));
+    }
+}
+
+/**
+ * Call a private or protected method, for testing one step of a class on its own.
+ *
+ * @param object|string $object Instance, or class name for a static method.
+ * @param string        $method Method name.
+ * @param array         $args   Arguments.
+ * @return mixed Return value of the method.
+ */
+function invoke_private($object, $method, $args = array()) {
+    $reflection = new ReflectionMethod($object, $method);
+    $reflection->setAccessible(true);
+    return $reflection->invokeArgs(is_object($object) ? $object : null, $args);
+}
@@ -0,0 +1,28 @@
+<?php
+/**
+ * Run every tests/test-*.php file and exit non-zero if a test fails.
+ *
+ * Run from the repository root: php tests/run.php
+ *
+ * @package CustomMigrator
+ */
+
+require __DIR__ . '/bootstrap.php';
+
+foreach (glob(__DIR__ . '/test-*.php') as $file) {
+    require $file;
+}
+
+$failed = 0;
+foreach ($GLOBALS['test_tests'] as $name => $callback) {
+    try {
+        $callback();
+        echo "ok - {$name}\n";
+    } catch (Throwable $e) {
+        $failed++;
+        echo "not ok - {$name}\n  " . $e->getMessage() . "\n";
+    }
+}
+
+printf("%d tests, %d failed\n", count($GLOBALS['test_tests']), $failed);
+exit($failed ? 1 : 0);
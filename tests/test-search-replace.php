@@ -0,0 +1,74 @@
+<?php
+/**
+ * Tests for Custom_Migrator_Search_Replace.
+ *
+ * @package CustomMigrator
+ */
+
+require_once CUSTOM_MIGRATOR_PLUGIN_DIR . 'includes/class-search-replace.php';
+
+/**
+ * Build a search/replace instance moving https://example.com to https://new.example.org.
+ *
+ * @param array $pairs Custom pairs.
+ * @return Custom_Migrator_Search_Replace Instance with the settings saved.
+ */
+function search_replace_for_example($pairs = array()) {
+    $GLOBALS['test_options'] = array('home' => 'https://example.com', 'siteurl' => 'https://example.com');
+
+    $search_replace = new Custom_Migrator_Search_Replace(new stdClass());
+    $search_replace->save_settings(array('enabled' => true, 'new_url' => 'https://new.example.org', 'pairs' => $pairs));
+    return $search_replace;
+}
+
+test('rewrites the URL where the host ends', function() {
+    $search_replace = search_replace_for_example();
+
+    assert_same('https://new.example.org', $search_replace->replace('https://example.com'));
+    assert_same('https://new.example.org/about/', $search_replace->replace('https://example.com/about/'));
+    assert_same('https://new.example.org:8080/', $search_replace->replace('https://example.com:8080/'));
+    assert_same('https://new.example.org?p=1', $search_replace->replace('https://example.com?p=1'));
+    assert_same('https://new.example.org#top', $search_replace->replace('https://example.com#top'));
+    assert_same('<a href="https://new.example.org">', $search_replace->replace('<a href="https://example.com">'));
+    assert_same("<a href='https://new.example.org'>", $search_replace->replace("<a href='https://example.com'>"));
+});
+
+test('rewrites the other scheme, protocol-relative and JSON-escaped forms', function() {
+    $search_replace = search_replace_for_example();
+
+    assert_same('https://new.example.org/a', $search_replace->replace('http://example.com/a'));
+    assert_same('<img src="//new.example.org/a.png">', $search_replace->replace('<img src="//example.com/a.png">'));
+    assert_same('{"url":"https:\/\/new.example.org\/a"}', $search_replace->replace('{"url":"https:\/\/example.com\/a"}'));
+    assert_same('{"url":"https:\/\/new.example.org"}', $search_replace->replace('{"url":"https:\/\/example.com"}'));
+});
+
+test('leaves hosts that only start with the old host alone', function() {
+    $search_replace = search_replace_for_example();
+
+    foreach (array(
+        'https://example.com.au/shop',
+        'https://example.community/forum',
+        '<script src="//example.com-cdn.net/app.js"></script>',
+        '{"url":"https:\/\/example.com.au\/shop"}',
+        'a:1:{s:3:"url";s:27:"https://example.com.au/shop";}',
+    ) as $value) {
+        assert_same($value, $search_replace->replace($value));
+    }
+
+    assert_same('https://example.com.au and https://new.example.org/', $search_replace->replace('https://example.com.au and https://example.com/'));
+});
+
+test('fixes the length prefixes of serialized values', function() {
+    $search_replace = search_replace_for_example();
+
+    assert_same(
+        'a:2:{s:4:"home";s:23:"https://new.example.org";s:5:"other";s:22:"https://example.com.au";}',
+        $search_replace->replace('a:2:{s:4:"home";s:19:"https://example.com";s:5:"other";s:22:"https://example.com.au";}')
+    );
+});
+
+test('custom pairs match anywhere and are not rewritten again', function() {
+    $search_replace = search_replace_for_example(array(array('search' => 'new.example.org', 'replace' => 'other.example.net')));
+
+    assert_same('https://new.example.org/ other.example.nets', $search_replace->replace('https://example.com/ new.example.orgs'));
+});
@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { list, extract, verify, stat } = require('../lib/commands');
+
+/**
+ * Command line interface for .hstgr archives.
+ *
+ * Exit codes: 0 on success, 1 when the archive is damaged or fails
+ * verification, 2 on invalid usage.
+ */
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: hstgr <command> <archive> [options]
+
+Commands:
+  list <archive>                 List the files in the archive
+  extract <archive> [directory]  Extract files (default: current directory)
+  verify <archive>               Check the archive structure and, with a manifest, every checksum
+  stat <archive>                 Summarize sizes, dates, directories and file types
+
+Options:
+  -g, --glob <pattern>   Only list or extract matching paths (repeatable), e.g. "wp-content/uploads/**" or "*.php"
+  -m, --manifest <file>  Manifest to verify against (default: the manifest_*.jsonl next to the archive)
+      --structure-only   Verify the archive structure without a manifest
+      --overwrite        Replace existing files when extracting
+      --top <n>          Number of entries in each stat breakdown (default: 10)
+  -v, --verbose          Print every extracted file
+      --json             Print machine-readable JSON
+  -h, --help             Show this help`;
+
+/**
+ * Error for invalid command line usage.
+ */
+class UsageError extends Error {}
+
+/**
+ * Format a byte count, like Custom_Migrator_Helper::format_bytes().
+ *
+ * @param {number} bytes Byte count.
+ * @returns {string} Formatted size.
+ */
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let power = bytes > 0 ? Math.floor(Math.log(bytes) / Math.log(1024)) : 0;
+    power = Math.min(power, units.length - 1);
+
+    return `${Math.round((bytes / Math.pow(1024, power)) * 100) / 100} ${units[power]}`;
+}
+
+/**
+ * Format a Unix timestamp.
+ *
+ * @param {number|null} timestamp Unix timestamp.
+ * @returns {string} ISO 8601 date in UTC.
+ */
+function formatDate(timestamp) {
+    return timestamp === null ? '-' : new Date(timestamp * 1000).toISOString().replace('.000Z', 'Z');
+}
+
+/**
+ * Find the manifest written next to an archive or one of its volumes.
+ *
+ * @param {string} archive Archive path.
+ * @returns {string|null} Manifest path or null.
+ */
+function findManifest(archive) {
+    const name = path.basename(archive);
+    if (!name.startsWith('content_')) {
+        return null;
+    }
+
+    const manifest = path.join(path.dirname(archive), name.replace(/^content_/, 'manifest_').replace(/\.hstgr(\.\d{3})?$/, '') + '.jsonl');
+    return fs.existsSync(manifest) ? manifest : null;
+}
+
+/**
+ * Run the list command.
+ *
+ * @param {string} archive Archive path.
+ * @param {object} values  Parsed options.
+ * @param {object} out     Output stream.
+ * @returns {Promise<number>} Exit code.
+ */
+async function runList(archive, values, out) {
+    const entries = [];
+
+    for await (const entry of list(archive, { patterns: values.glob })) {
+        if (values.json) {
+            entries.push(entry);
+        } else {
+            out.write(`${String(entry.size).padStart(12)}  ${formatDate(entry.date)}  ${entry.filename}\n`);
+        }
+    }
+
+    if (values.json) {
+        out.write(JSON.stringify(entries, null, 2) + '\n');
+    }
+
+    return EXIT_OK;
+}
+
+/**
+ * Run the extract command.
+ *
+ * @param {string} archive     Archive path.
+ * @param {string} destination Destination directory.
+ * @param {object} values      Parsed options.
+ * @param {object} out         Output stream.
+ * @returns {Promise<number>} Exit code.
+ */
+async function runExtract(archive, destination, values, out) {
+    const result = await extract(archive, destination, {
+        patterns: values.glob,
+        overwrite: values.overwrite,
+        onEntry: values.verbose && !values.json ? (entry) => out.write(`${entry.filename}\n`) : null,
+    });
+
+    if (values.json) {
+        out.write(JSON.stringify(result, null, 2) + '\n');
+    } else {
+        for (const skipped of result.skipped) {
+            out.write(`Skipped ${skipped.filename}: ${skipped.reason}\n`);
+        }
+        out.write(`Extracted ${result.files} files (${formatBytes(result.bytes)}) to ${path.resolve(destination)}\n`);
+    }
+
+    return EXIT_OK;
+}
+
+/**
+ * Run the verify command.
+ *
+ * @param {string} archive Archive path.
+ * @param {object} values  Parsed options.
+ * @param {object} out     Output stream.
+ * @returns {Promise<number>} Exit code.
+ */
+async function runVerify(archive, values, out) {
+    const manifest = values['structure-only'] ? null : values.manifest || findManifest(archive);
+    const report = await verify(archive, { manifest });
+
+    if (values.json) {
+        out.write(JSON.stringify({ ...report, manifest }, null, 2) + '\n');
+    } else {
+        out.write(manifest ? `Manifest: ${manifest}\n` : 'No manifest, checking the archive structure only\n');
+        if (report.volume > 0) {
+            out.write(`Volume ${report.volume} of a split archive\n`);
+        }
+        for (const mismatch of report.mismatches) {
+            out.write(`${mismatch.path || '(archive)'}: ${mismatch.issue}\n`);
+        }
+        out.write(`${report.files_checked} files checked, ${report.mismatch_count} mismatches`);
+        if (report.archive_hash !== null) {
+            out.write(`, whole-archive checksum ${report.archive_hash ? 'matches' : 'does not match'}`);
+        }
+        out.write(report.passed ? '\nVerification passed\n' : '\nVerification failed\n');
+    }
+
+    return report.passed ? EXIT_OK : EXIT_FAILURE;
+}
+
+/**
+ * Run the stat command.
+ *
+ * @param {string} archive Archive path.
+ * @param {object} values  Parsed options.
+ * @param {object} out     Output stream.
+ * @returns {Promise<number>} Exit code.
+ */
+async function runStat(archive, values, out) {
+    const top = values.top === undefined ? 10 : Number(values.top);
+    if (!Number.isInteger(top) || top < 1) {
+        throw new UsageError('--top must be a positive number');
+    }
+
+    const result = await stat(archive, { top });
+
+    if (values.json) {
+        out.write(JSON.stringify(result, null, 2) + '\n');
+        return EXIT_OK;
+    }
+
+    out.write(`Archive:   ${result.archive} (${formatBytes(result.archive_size)}, format version ${result.format_version})\n`);
+    out.write(`Files:     ${result.files} (${result.empty_files} empty)\n`);
+    out.write(`Content:   ${formatBytes(result.content_bytes)}, headers ${formatBytes(result.header_bytes)}\n`);
+    out.write(`Modified:  ${formatDate(result.oldest)} to ${formatDate(result.newest)}\n`);
+
+    const sections = [
+        ['Largest files', result.largest_files.map((file) => [file.filename, file.size, null])],
+        ['Directories', result.directories.map((group) => [group.name, group.bytes, group.count])],
+        ['File types', result.extensions.map((group) => [group.name, group.bytes, group.count])],
+    ];
+    for (const [title, rows] of sections) {
+        out.write(`\n${title}:\n`);
+        for (const [name, bytes, count] of rows) {
+            out.write(`  ${formatBytes(bytes).padStart(10)}  ${count === null ? '' : `${String(count).padStart(7)} files  `}${name}\n`);
+        }
+    }
+
+    return EXIT_OK;
+}
+
+/**
+ * Run the CLI.
+ *
+ * @param {string[]} argv Arguments without the node binary and script.
+ * @param {object}   [io] Output and error streams.
+ * @returns {Promise<number>} Exit code.
+ */
+async function main(argv, io = { out: process.stdout, err: process.stderr }) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                glob: { type: 'string', short: 'g', multiple: true },
+                manifest: { type: 'string', short: 'm' },
+                'structure-only': { type: 'boolean' },
+                overwrite: { type: 'boolean' },
+                top: { type: 'string' },
+                verbose: { type: 'boolean', short: 'v' },
+                json: { type: 'boolean' },
+                help: { type: 'boolean', short: 'h' },
+            },
+        });
+    } catch (error) {
+        io.err.write(`${error.message}\n\n${USAGE}\n`);
+        return EXIT_USAGE;
+    }
+
+    const { values, positionals } = parsed;
+    const [command, archive, destination] = positionals;
+
+    if (values.help) {
+        io.out.write(`${USAGE}\n`);
+        return EXIT_OK;
+    }
+
+    const maxPositionals = command === 'extract' ? 3 : 2;
+    if (!['list', 'extract', 'verify', 'stat'].includes(command) || !archive || positionals.length > maxPositionals) {
+        io.err.write(`${USAGE}\n`);
+        return EXIT_USAGE;
+    }
+
+    try {
+        if (!fs.statSync(archive).isFile()) {
+            throw new UsageError(`Not a file: ${archive}`);
+        }
+
+        switch (command) {
+            case 'list':
+                return await runList(archive, values, io.out);
+            case 'extract':
+                return await runExtract(archive, destination || '.', values, io.out);
+            case 'verify':
+                return await runVerify(archive, values, io.out);
+            default:
+                return await runStat(archive, values, io.out);
+        }
+    } catch (error) {
+        if (error instanceof UsageError) {
+            io.err.write(`${error.message}\n`);
+            return EXIT_USAGE;
+        }
+
+        io.err.write(`Error: ${error.message}\n`);
+        return EXIT_FAILURE;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then((code) => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { main };
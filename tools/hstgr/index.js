@@ -0,0 +1,25 @@
+'use strict';
+
+/**
+ * Standalone reader and extractor for .hstgr export archives.
+ *
+ * @module hstgr
+ */
+
+const format = require('./lib/format');
+const { ArchiveReader } = require('./lib/reader');
+const { compileGlobPatterns, createMatcher } = require('./lib/glob');
+const manifest = require('./lib/manifest');
+const { list, extract, verify, stat } = require('./lib/commands');
+
+module.exports = {
+    ...format,
+    ArchiveReader,
+    compileGlobPatterns,
+    createMatcher,
+    manifest,
+    list,
+    extract,
+    verify,
+    stat,
+};
@@ -0,0 +1,415 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { ArchiveReader } = require('./reader');
+const { createMatcher } = require('./glob');
+const { readFileEntries, readSummary } = require('./manifest');
+
+/**
+ * The list, extract, verify and stat operations behind the CLI.
+ *
+ * @module hstgr/commands
+ */
+
+/**
+ * Reduce an entry to the fields of parse_binary_block() plus its offset.
+ *
+ * @param {object} entry Reader entry.
+ * @returns {{filename: string, size: number, date: number, path: string, offset: number}} Public entry.
+ */
+function toListEntry(entry) {
+    return {
+        filename: entry.filename,
+        size: entry.size,
+        date: entry.date,
+        path: entry.path,
+        offset: entry.offset,
+    };
+}
+
+/**
+ * Iterate over the entries of an archive.
+ *
+ * @param {string}   file               Archive path.
+ * @param {object}   [options]          Options.
+ * @param {string[]} [options.patterns] Only list paths matching these globs.
+ * @yields {object} Entry with filename, size, date, path and offset.
+ */
+async function* list(file, options = {}) {
+    const matches = createMatcher(options.patterns);
+    const reader = await ArchiveReader.open(file);
+
+    try {
+        for await (const entry of reader.entries()) {
+            if (matches(entry.filename)) {
+                yield toListEntry(entry);
+            }
+        }
+    } finally {
+        await reader.close();
+    }
+}
+
+/**
+ * Resolve the extraction target of an archive path, refusing paths that would escape the destination.
+ *
+ * @param {string} root     Absolute destination directory.
+ * @param {string} filename Path inside the archive.
+ * @returns {string|null} Absolute target path or null when the path is unsafe.
+ */
+function resolveTarget(root, filename) {
+    const segments = filename.replace(/\\/g, '/').split('/');
+
+    if (filename.includes('\0') || segments[0] === '' || /^[A-Za-z]:$/.test(segments[0]) || segments.includes('..')) {
+        return null;
+    }
+
+    const target = path.join(root, ...segments.filter((segment) => segment !== '' && segment !== '.'));
+    return target.startsWith(root.endsWith(path.sep) ? root : root + path.sep) ? target : null;
+}
+
+/**
+ * Extract files from an archive.
+ *
+ * Contents are streamed to disk and get the modification time stored in the
+ * archive. Existing files are kept unless overwrite is set.
+ *
+ * @param {string}   file                Archive path.
+ * @param {string}   destination         Directory to extract into.
+ * @param {object}   [options]           Options.
+ * @param {string[]} [options.patterns]  Only extract paths matching these globs.
+ * @param {boolean}  [options.overwrite] Replace existing files.
+ * @param {Function} [options.onEntry]   Called with each extracted entry.
+ * @returns {Promise<{files: number, bytes: number, skipped: Array<{filename: string, reason: string}>}>} Result.
+ */
+async function extract(file, destination, options = {}) {
+    const matches = createMatcher(options.patterns);
+    const root = path.resolve(destination);
+    const result = { files: 0, bytes: 0, skipped: [] };
+    const reader = await ArchiveReader.open(file);
+
+    try {
+        for await (const entry of reader.entries()) {
+            if (!matches(entry.filename)) {
+                continue;
+            }
+
+            const target = resolveTarget(root, entry.filename);
+            if (!target) {
+                result.skipped.push({ filename: entry.filename, reason: 'Path points outside the destination' });
+                continue;
+            }
+
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            try {
+                await pipeline(reader.createContentStream(entry), fs.createWriteStream(target, { flags: options.overwrite ? 'w' : 'wx' }));
+            } catch (error) {
+                if (error.code === 'EEXIST') {
+                    result.skipped.push({ filename: entry.filename, reason: 'File already exists' });
+                    continue;
+                }
+                throw error;
+            }
+            await fs.promises.utimes(target, entry.date, entry.date);
+
+            result.files++;
+            result.bytes += entry.size;
+            if (options.onEntry) {
+                options.onEntry(toListEntry(entry));
+            }
+        }
+    } finally {
+        await reader.close();
+    }
+
+    return result;
+}
+
+/**
+ * Hash a stream.
+ *
+ * @param {import('stream').Readable} stream    Content stream.
+ * @param {string}                    algorithm Hash algorithm.
+ * @returns {Promise<string>} Hex digest.
+ */
+async function hashStream(stream, algorithm) {
+    const hash = crypto.createHash(algorithm);
+    for await (const chunk of stream) {
+        hash.update(chunk);
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * Compare an archive header with its manifest entry, like Custom_Migrator_Archive_Verifier::compare_entry().
+ *
+ * @param {object} expected Manifest entry with a normalized path.
+ * @param {object} entry    Archive entry.
+ * @param {string} filename Normalized archive path.
+ * @returns {string[]} List of issues.
+ */
+function compareEntry(expected, entry, filename) {
+    const issues = [];
+
+    if (expected.path !== filename) {
+        issues.push(`expected "${expected.path}" at this position`);
+    }
+    if (Number(expected.offset) !== entry.offset) {
+        issues.push(`header offset ${entry.offset}, manifest says ${expected.offset}`);
+    }
+    if (Number(expected.size) !== entry.size) {
+        issues.push(`size ${entry.size}, manifest says ${expected.size}`);
+    }
+    if (Number(expected.mtime) !== entry.date) {
+        issues.push('modification time differs');
+    }
+
+    return issues;
+}
+
+/**
+ * Find which volume of a split archive a file is.
+ *
+ * The manifest names every extra volume; a renamed file falls back to the
+ * .hstgr.001 suffix, anything else is the first volume.
+ *
+ * @param {string} file    Archive path.
+ * @param {object} summary Manifest summary.
+ * @returns {number} Volume number, 0 for the first volume.
+ */
+function detectVolume(file, summary) {
+    const name = path.basename(file);
+    for (const line of Object.values(summary.volumes || {})) {
+        if (line.file === name) {
+            return Number(line.volume);
+        }
+    }
+
+    const match = /\.hstgr\.(\d{3})(\.enc)?$/.exec(name);
+    return match ? Number(match[1]) : 0;
+}
+
+/**
+ * Verify the structure of an archive and, given its manifest, every entry and checksum.
+ *
+ * Walks the archive the same way Custom_Migrator_Archive_Verifier does and
+ * reports mismatches with the same wording, so results can be compared with
+ * the report in the plugin. A volume of a split archive is checked against
+ * the manifest entries of that volume only.
+ *
+ * @param {string} file               Archive path.
+ * @param {object} [options]          Options.
+ * @param {string} [options.manifest] Path to the manifest_*.jsonl file.
+ * @returns {Promise<object>} Report with volume, files_checked, mismatch_count, mismatches, archive_hash and passed.
+ */
+async function verify(file, options = {}) {
+    const summary = options.manifest ? await readSummary(options.manifest) : {};
+    const hasManifest = summary.header !== undefined;
+    const volume = detectVolume(file, summary);
+    const split = volume > 0 || (summary.archive !== undefined && Number(summary.archive.volume_count) > 1);
+    const fileHash = hasManifest && summary.header.file_hash ? summary.header.file_hash : 'md5';
+    const archiveHash = hasManifest && summary.header.archive_hash ? summary.header.archive_hash : 'sha256';
+
+    const report = {
+        archive: path.basename(file),
+        volume,
+        has_manifest: hasManifest,
+        files_checked: 0,
+        // file_count covers all volumes
+        files_total: summary.archive && !split ? Number(summary.archive.file_count) : null,
+        mismatch_count: 0,
+        mismatches: [],
+        archive_hash: null,
+        passed: false,
+    };
+    const addMismatch = (filename, issue) => {
+        report.mismatch_count++;
+        report.mismatches.push({ path: filename, issue });
+    };
+
+    const manifestEntries = hasManifest ? readFileEntries(options.manifest) : null;
+    const nextExpected = async () => {
+        if (!manifestEntries) {
+            return null;
+        }
+        for (;;) {
+            const { value, done } = await manifestEntries.next();
+            if (done) {
+                return null;
+            }
+            if ((Number(value.volume) || 0) === volume) {
+                return value;
+            }
+        }
+    };
+
+    const reader = await ArchiveReader.open(file);
+    try {
+        let offset = reader.dataOffset;
+
+        for (;;) {
+            let expected = await nextExpected();
+
+            if (offset >= reader.size) {
+                // End of archive: anything left in the manifest never made it into the archive
+                while (expected) {
+                    addMismatch(expected.path, 'Listed in the manifest but missing from the archive');
+                    expected = await nextExpected();
+                }
+                break;
+            }
+
+            const entry = await reader.readEntryAt(offset);
+            if (!entry) {
+                addMismatch(expected ? expected.path : '', `Unreadable file header at byte ${offset}, the rest of the archive cannot be checked`);
+                break;
+            }
+
+            const filename = entry.filename.replace(/\\/g, '/');
+            if (entry.end > reader.size) {
+                addMismatch(filename, `Truncated: archive ends ${entry.end - reader.size} bytes before the end of this file`);
+                break;
+            }
+
+            if (expected) {
+                expected.path = String(expected.path).replace(/\\/g, '/');
+                const issues = compareEntry(expected, entry, filename);
+
+                if (expected.path === filename && Number(expected.size) === entry.size) {
+                    if ((await hashStream(reader.createContentStream(entry), fileHash)) !== expected.hash) {
+                        issues.push('content checksum mismatch');
+                    }
+                }
+
+                if (issues.length) {
+                    const issue = issues.join(', ');
+                    addMismatch(filename, issue.charAt(0).toUpperCase() + issue.slice(1));
+                }
+            } else if (hasManifest) {
+                addMismatch(filename, 'Found in the archive but not listed in the manifest');
+            }
+
+            offset = entry.end;
+            report.files_checked++;
+        }
+    } finally {
+        await reader.close();
+        if (manifestEntries) {
+            await manifestEntries.return();
+        }
+    }
+
+    // Volume lines are only written with the archive line, when the manifest is finalized
+    const wholeFile = volume === 0 ? summary.archive : (summary.volumes || {})[volume];
+    if (wholeFile) {
+        const stat = await fs.promises.stat(file);
+        report.archive_hash = stat.size === Number(wholeFile.size)
+            && (await hashStream(fs.createReadStream(file), archiveHash)) === wholeFile.hash;
+
+        if (!report.archive_hash) {
+            addMismatch(path.basename(file), 'Whole-file SHA-256 checksum does not match the manifest');
+        }
+    } else if (summary.archive) {
+        report.archive_hash = false;
+        addMismatch(path.basename(file), 'Volume is not listed in the manifest');
+    }
+
+    report.passed = report.mismatch_count === 0;
+    return report;
+}
+
+/**
+ * Add an entry to a group of a breakdown.
+ *
+ * @param {Map<string, {count: number, bytes: number}>} groups Breakdown.
+ * @param {string}                                      key    Group name.
+ * @param {number}                                      size   Entry size.
+ * @returns {void}
+ */
+function addToGroup(groups, key, size) {
+    const group = groups.get(key) || { count: 0, bytes: 0 };
+    group.count++;
+    group.bytes += size;
+    groups.set(key, group);
+}
+
+/**
+ * Turn a breakdown into a list sorted by size, largest first.
+ *
+ * @param {Map<string, {count: number, bytes: number}>} groups Breakdown.
+ * @param {number}                                      limit  Maximum number of groups.
+ * @returns {Array<{name: string, count: number, bytes: number}>} Groups.
+ */
+function sortGroups(groups, limit) {
+    return Array.from(groups, ([name, group]) => ({ name, ...group }))
+        .sort((a, b) => b.bytes - a.bytes || a.name.localeCompare(b.name))
+        .slice(0, limit);
+}
+
+/**
+ * Summarize the contents of an archive.
+ *
+ * @param {string} file           Archive path.
+ * @param {object} [options]      Options.
+ * @param {number} [options.top]  Number of largest files, directories and extensions to report.
+ * @returns {Promise<object>} Statistics.
+ */
+async function stat(file, options = {}) {
+    const top = options.top || 10;
+    const directories = new Map();
+    const extensions = new Map();
+    const largest = [];
+    const result = {
+        archive: path.basename(file),
+        archive_size: 0,
+        format_version: null,
+        files: 0,
+        empty_files: 0,
+        content_bytes: 0,
+        header_bytes: 0,
+        oldest: null,
+        newest: null,
+    };
+
+    const reader = await ArchiveReader.open(file);
+    try {
+        result.archive_size = reader.size;
+        result.format_version = reader.version;
+        result.header_bytes = reader.dataOffset;
+
+        for await (const entry of reader.entries()) {
+            result.files++;
+            result.content_bytes += entry.size;
+            result.header_bytes += reader.blockSize;
+            if (entry.size === 0) {
+                result.empty_files++;
+            }
+            result.oldest = result.oldest === null ? entry.date : Math.min(result.oldest, entry.date);
+            result.newest = result.newest === null ? entry.date : Math.max(result.newest, entry.date);
+
+            // Group by the first two levels, e.g. "wp-content/uploads"
+            addToGroup(directories, entry.path.replace(/\\/g, '/').split('/').slice(0, 2).join('/') || '.', entry.size);
+
+            const extension = path.extname(entry.filename).toLowerCase();
+            addToGroup(extensions, extension === '' ? '(none)' : extension, entry.size);
+
+            largest.push({ filename: entry.filename, size: entry.size });
+            if (largest.length > top * 2) {
+                largest.sort((a, b) => b.size - a.size).length = top;
+            }
+        }
+    } finally {
+        await reader.close();
+    }
+
+    result.largest_files = largest.sort((a, b) => b.size - a.size).slice(0, top);
+    result.directories = sortGroups(directories, top);
+    result.extensions = sortGroups(extensions, top);
+
+    return result;
+}
+
+module.exports = { list, extract, verify, stat, resolveTarget };
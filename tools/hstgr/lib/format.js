@@ -0,0 +1,341 @@
+'use strict';
+
+/**
+ * The .hstgr archive format.
+ *
+ * An archive is a sequence of entries without an end marker: a fixed size
+ * header followed by the file content. Name and directory are urlencoded and
+ * NUL padded. Mirrors Custom_Migrator_Helper::create_binary_block() and
+ * parse_binary_block().
+ *
+ * Version 2 archives start with a 16 byte preamble (magic, format version and
+ * header size as unsigned 32-bit little-endian integers) and have 4383 byte
+ * headers packed as "a255PPa4112", with 64-bit size and modification time.
+ * Version 1 archives have no preamble and 4375 byte "a255VVa4112" headers
+ * with 32-bit size and modification time.
+ *
+ * @module hstgr/format
+ */
+
+/**
+ * First bytes of an archive with a preamble. A version 1 archive starts with
+ * an urlencoded file name, which never starts with 0x89.
+ */
+const ARCHIVE_MAGIC = Buffer.from('\x89HSTGR\r\n', 'latin1');
+
+/**
+ * Format version written by createPreamble() and createHeader().
+ */
+const FORMAT_VERSION = 2;
+
+/**
+ * Size of the preamble of a version 2 archive in bytes.
+ */
+const PREAMBLE_SIZE = 16;
+
+/**
+ * Field sizes of a version 2 entry header in bytes.
+ */
+const FIELDS = Object.freeze({
+    filename: 255,
+    size: 8,
+    date: 8,
+    path: 4112,
+});
+
+/**
+ * Field sizes of a version 1 entry header in bytes.
+ */
+const FIELDS_V1 = Object.freeze({
+    filename: 255,
+    size: 4,
+    date: 4,
+    path: 4112,
+});
+
+/**
+ * Total size of a version 2 entry header in bytes.
+ */
+const BLOCK_SIZE = FIELDS.filename + FIELDS.size + FIELDS.date + FIELDS.path;
+
+/**
+ * Total size of a version 1 entry header in bytes.
+ */
+const BLOCK_SIZE_V1 = FIELDS_V1.filename + FIELDS_V1.size + FIELDS_V1.date + FIELDS_V1.path;
+
+const SIZE_OFFSET = FIELDS.filename;
+const DATE_OFFSET = SIZE_OFFSET + FIELDS.size;
+const PATH_OFFSET = DATE_OFFSET + FIELDS.date;
+
+const DATE_OFFSET_V1 = SIZE_OFFSET + FIELDS_V1.size;
+const PATH_OFFSET_V1 = DATE_OFFSET_V1 + FIELDS_V1.date;
+
+/**
+ * Error raised for data that cannot be an .hstgr archive entry.
+ */
+class HstgrFormatError extends Error {
+    /**
+     * @param {string} message Error message.
+     * @param {number} [offset] Archive offset the error refers to.
+     */
+    constructor(message, offset) {
+        super(message);
+        this.name = 'HstgrFormatError';
+        this.offset = offset;
+    }
+}
+
+/**
+ * Check whether a byte is an ASCII hex digit.
+ *
+ * @param {number} byte Byte value.
+ * @returns {boolean} Whether the byte is 0-9, a-f or A-F.
+ */
+function isHexDigit(byte) {
+    return (byte >= 0x30 && byte <= 0x39) || (byte >= 0x41 && byte <= 0x46) || (byte >= 0x61 && byte <= 0x66);
+}
+
+/**
+ * Port of PHP's urldecode() on raw bytes.
+ *
+ * "+" becomes a space and "%XX" the byte it encodes; a "%" that is not
+ * followed by two hex digits is kept as is.
+ *
+ * @param {Buffer} input Encoded bytes.
+ * @returns {Buffer} Decoded bytes.
+ */
+function urldecode(input) {
+    const output = Buffer.alloc(input.length);
+    let length = 0;
+
+    for (let i = 0; i < input.length; i++) {
+        const byte = input[i];
+        if (byte === 0x2b) {
+            output[length++] = 0x20;
+        } else if (byte === 0x25 && i + 2 < input.length && isHexDigit(input[i + 1]) && isHexDigit(input[i + 2])) {
+            output[length++] = parseInt(input.toString('latin1', i + 1, i + 3), 16);
+            i += 2;
+        } else {
+            output[length++] = byte;
+        }
+    }
+
+    return output.subarray(0, length);
+}
+
+/**
+ * Port of PHP's urlencode() on raw bytes.
+ *
+ * Everything but letters, digits, "-", "_" and "." is percent-encoded and a
+ * space becomes "+".
+ *
+ * @param {Buffer} input Raw bytes.
+ * @returns {Buffer} Encoded bytes.
+ */
+function urlencode(input) {
+    let encoded = '';
+
+    for (const byte of input) {
+        if ((byte >= 0x30 && byte <= 0x39) || (byte >= 0x41 && byte <= 0x5a) || (byte >= 0x61 && byte <= 0x7a) || byte === 0x2d || byte === 0x5f || byte === 0x2e) {
+            encoded += String.fromCharCode(byte);
+        } else if (byte === 0x20) {
+            encoded += '+';
+        } else {
+            encoded += '%' + byte.toString(16).toUpperCase().padStart(2, '0');
+        }
+    }
+
+    return Buffer.from(encoded, 'latin1');
+}
+
+/**
+ * Strip NUL bytes from both ends, like PHP's trim($value, "\0").
+ *
+ * @param {Buffer} input Raw field.
+ * @returns {Buffer} Trimmed field.
+ */
+function trimNul(input) {
+    let start = 0;
+    let end = input.length;
+
+    while (start < end && input[start] === 0) {
+        start++;
+    }
+    while (end > start && input[end - 1] === 0) {
+        end--;
+    }
+
+    return input.subarray(start, end);
+}
+
+/**
+ * Decode a header string field, like Custom_Migrator_Helper::decode_from_binary().
+ *
+ * @param {Buffer} field Raw NUL padded field.
+ * @returns {string} Decoded UTF-8 string.
+ */
+function decodeFromBinary(field) {
+    return urldecode(trimNul(field)).toString('utf8');
+}
+
+/**
+ * Encode a string for a header field, like Custom_Migrator_Helper::encode_for_binary().
+ *
+ * @param {string} value Value to encode.
+ * @returns {Buffer} Encoded bytes.
+ */
+function encodeForBinary(value) {
+    return urlencode(Buffer.from(value, 'utf8'));
+}
+
+/**
+ * Get the header size of a format version.
+ *
+ * @param {number} version Format version.
+ * @returns {number} Header size in bytes.
+ */
+function blockSize(version) {
+    return version === 1 ? BLOCK_SIZE_V1 : BLOCK_SIZE;
+}
+
+/**
+ * Create the preamble that starts a new archive.
+ *
+ * @returns {Buffer} Preamble bytes.
+ */
+function createPreamble() {
+    const preamble = Buffer.alloc(PREAMBLE_SIZE);
+    ARCHIVE_MAGIC.copy(preamble, 0);
+    preamble.writeUInt32LE(FORMAT_VERSION, ARCHIVE_MAGIC.length);
+    preamble.writeUInt32LE(BLOCK_SIZE, ARCHIVE_MAGIC.length + 4);
+
+    return preamble;
+}
+
+/**
+ * Detect the archive format from its first bytes, like
+ * Custom_Migrator_Helper::get_archive_format().
+ *
+ * Bytes that do not start with the magic are a version 1 archive, which
+ * includes an empty one.
+ *
+ * @param {Buffer} head Up to PREAMBLE_SIZE bytes from the start of the archive.
+ * @returns {{version: number, dataOffset: number, blockSize: number}} Format and where the first header starts.
+ * @throws {HstgrFormatError} If the preamble names an unknown format.
+ */
+function parsePreamble(head) {
+    const magicLength = Math.min(head.length, ARCHIVE_MAGIC.length);
+    if (magicLength === 0 || !head.subarray(0, magicLength).equals(ARCHIVE_MAGIC.subarray(0, magicLength))) {
+        return { version: 1, dataOffset: 0, blockSize: BLOCK_SIZE_V1 };
+    }
+    if (head.length < PREAMBLE_SIZE) {
+        throw new HstgrFormatError('Truncated archive preamble', 0);
+    }
+
+    const version = head.readUInt32LE(ARCHIVE_MAGIC.length);
+    const size = head.readUInt32LE(ARCHIVE_MAGIC.length + 4);
+    if (version !== FORMAT_VERSION || size !== BLOCK_SIZE) {
+        throw new HstgrFormatError(`Unsupported archive format version ${version}`, 0);
+    }
+
+    return { version, dataOffset: PREAMBLE_SIZE, blockSize: BLOCK_SIZE };
+}
+
+/**
+ * Read an unsigned 64-bit little-endian integer as a number.
+ *
+ * @param {Buffer} block  Header bytes.
+ * @param {number} offset Field offset.
+ * @returns {number} Value.
+ * @throws {HstgrFormatError} If the value is beyond Number.MAX_SAFE_INTEGER.
+ */
+function readUInt64(block, offset) {
+    const value = block.readBigUInt64LE(offset);
+    if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+        throw new HstgrFormatError(`Header value too large: ${value}`);
+    }
+
+    return Number(value);
+}
+
+/**
+ * Parse an entry header.
+ *
+ * Returns the same fields as parse_binary_block(): "filename" is the full
+ * path inside the archive, "path" its directory ('' for the archive root).
+ * The format version follows from the block length.
+ *
+ * @param {Buffer} block Header bytes.
+ * @returns {{filename: string, size: number, date: number, path: string}|null} Parsed header, null if the block has the wrong length.
+ */
+function parseHeader(block) {
+    if (!block || (block.length !== BLOCK_SIZE && block.length !== BLOCK_SIZE_V1)) {
+        return null;
+    }
+
+    const v1 = block.length === BLOCK_SIZE_V1;
+    const name = decodeFromBinary(block.subarray(0, SIZE_OFFSET));
+    const path = decodeFromBinary(block.subarray(v1 ? PATH_OFFSET_V1 : PATH_OFFSET, block.length));
+
+    return {
+        filename: path === '.' ? name : path + '/' + name,
+        size: v1 ? block.readUInt32LE(SIZE_OFFSET) : readUInt64(block, SIZE_OFFSET),
+        date: v1 ? block.readUInt32LE(DATE_OFFSET_V1) : readUInt64(block, DATE_OFFSET),
+        path: path === '.' ? '' : path,
+    };
+}
+
+/**
+ * Create an entry header, like create_binary_block().
+ *
+ * @param {string} filename  Base name of the file.
+ * @param {number} size      File size in bytes.
+ * @param {number} date      Modification time as a Unix timestamp.
+ * @param {string} path      Directory inside the archive, "." for the root.
+ * @param {number} [version] Format version, 1 for an archive without preamble.
+ * @returns {Buffer} Header bytes.
+ * @throws {HstgrFormatError} If size or date cannot be stored.
+ */
+function createHeader(filename, size, date, path, version = FORMAT_VERSION) {
+    const max = version === 1 ? 0xffffffff : Number.MAX_SAFE_INTEGER;
+    if (!Number.isInteger(size) || size < 0 || size > max) {
+        throw new HstgrFormatError(`Invalid file size: ${size}`);
+    }
+    if (!Number.isInteger(date) || date <= 0 || date > max) {
+        throw new HstgrFormatError(`Invalid file date: ${date}`);
+    }
+
+    const block = Buffer.alloc(blockSize(version));
+    encodeForBinary(filename).copy(block, 0, 0, FIELDS.filename);
+    if (version === 1) {
+        block.writeUInt32LE(size, SIZE_OFFSET);
+        block.writeUInt32LE(date, DATE_OFFSET_V1);
+        encodeForBinary(path).copy(block, PATH_OFFSET_V1, 0, FIELDS_V1.path);
+    } else {
+        block.writeBigUInt64LE(BigInt(size), SIZE_OFFSET);
+        block.writeBigUInt64LE(BigInt(date), DATE_OFFSET);
+        encodeForBinary(path).copy(block, PATH_OFFSET, 0, FIELDS.path);
+    }
+
+    return block;
+}
+
+module.exports = {
+    ARCHIVE_MAGIC,
+    FORMAT_VERSION,
+    PREAMBLE_SIZE,
+    BLOCK_SIZE,
+    BLOCK_SIZE_V1,
+    FIELDS,
+    FIELDS_V1,
+    HstgrFormatError,
+    urldecode,
+    urlencode,
+    decodeFromBinary,
+    encodeForBinary,
+    blockSize,
+    createPreamble,
+    parsePreamble,
+    parseHeader,
+    createHeader,
+};
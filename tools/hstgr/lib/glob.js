@@ -0,0 +1,85 @@
+'use strict';
+
+/**
+ * Path globs with the semantics of Custom_Migrator_Helper::compile_glob_patterns().
+ *
+ * "*" and "?" stay within one path segment, "**" crosses directories and
+ * [...] is a character class. A pattern without a slash matches the file
+ * name in any directory. Matching is case-insensitive.
+ *
+ * @module hstgr/glob
+ */
+
+/**
+ * Escape a character for use in a regular expression.
+ *
+ * @param {string} char Character.
+ * @returns {string} Escaped character.
+ */
+function escapeRegExp(char) {
+    return char.replace(/[\\^$.*+?()[\]{}|/-]/g, '\\$&');
+}
+
+/**
+ * Compile glob patterns into a single regular expression.
+ *
+ * @param {string[]} patterns Glob patterns relative to the archive root, e.g. "wp-content/uploads/**".
+ * @returns {RegExp|null} Regular expression or null when there are no patterns.
+ */
+function compileGlobPatterns(patterns) {
+    const expressions = [];
+
+    for (const raw of patterns) {
+        const pattern = String(raw).replace(/\\/g, '/').replace(/^[/ ]+|[/ ]+$/g, '');
+        if (pattern === '') {
+            continue;
+        }
+
+        let expression = '';
+        for (let i = 0; i < pattern.length; i++) {
+            const char = pattern[i];
+            let end;
+            if (char === '*' && pattern[i + 1] === '*') {
+                // "**/" also matches zero directories
+                if (pattern[i + 2] === '/') {
+                    expression += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    expression += '.*';
+                    i++;
+                }
+            } else if (char === '*') {
+                expression += '[^/]*';
+            } else if (char === '?') {
+                expression += '[^/]';
+            } else if (char === '[' && (end = pattern.indexOf(']', i + 1)) !== -1) {
+                let charClass = pattern.slice(i + 1, end);
+                if (charClass.startsWith('!')) {
+                    charClass = '^' + charClass.slice(1);
+                }
+                expression += '[' + charClass.replace(/\\/g, '\\\\') + ']';
+                i = end;
+            } else {
+                expression += escapeRegExp(char);
+            }
+        }
+
+        expressions.push(pattern.includes('/') ? '^' + expression + '$' : '(?:^|/)' + expression + '$');
+    }
+
+    return expressions.length ? new RegExp(expressions.join('|'), 'i') : null;
+}
+
+/**
+ * Build a path matcher from glob patterns.
+ *
+ * @param {string[]} patterns Glob patterns; an empty list matches everything.
+ * @returns {function(string): boolean} Matcher taking an archive path.
+ */
+function createMatcher(patterns) {
+    const regex = compileGlobPatterns(patterns || []);
+
+    return (path) => regex === null || regex.test(path.replace(/\\/g, '/'));
+}
+
+module.exports = { compileGlobPatterns, createMatcher };
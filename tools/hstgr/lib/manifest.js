@@ -0,0 +1,78 @@
+'use strict';
+
+const fs = require('fs');
+const readline = require('readline');
+
+/**
+ * Reader for the JSONL checksum manifest written next to an export.
+ *
+ * Mirrors Custom_Migrator_Manifest: the first line is the header, "file"
+ * lines follow in archive order, and "volume"/"archive"/"database" summary
+ * lines are appended once the export is finalized. File lines of entries in
+ * an extra volume of a split archive carry its number.
+ *
+ * @module hstgr/manifest
+ */
+
+/**
+ * Iterate over the decoded lines of a manifest, skipping lines that are not JSON objects with a type.
+ *
+ * @param {string} file Manifest path.
+ * @yields {object} Manifest line.
+ */
+async function* readLines(file) {
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+
+    for await (const line of lines) {
+        let data;
+        try {
+            data = JSON.parse(line);
+        } catch (error) {
+            continue;
+        }
+        if (data && typeof data === 'object' && typeof data.type === 'string') {
+            yield data;
+        }
+    }
+}
+
+/**
+ * Iterate over the "file" lines, like Custom_Migrator_Manifest::read_next_file_entry().
+ *
+ * @param {string} file Manifest path.
+ * @yields {object} File entry with path, offset, size, mtime and hash.
+ */
+async function* readFileEntries(file) {
+    for await (const data of readLines(file)) {
+        if (data.type === 'file') {
+            yield data;
+        }
+    }
+}
+
+/**
+ * Read the header and summary lines, like Custom_Migrator_Manifest::read_summary().
+ *
+ * @param {string} file Manifest path.
+ * @returns {Promise<{header?: object, archive?: object, database?: object, volumes?: object}>} Summary, volumes keyed by number.
+ */
+async function readSummary(file) {
+    const summary = {};
+    let first = true;
+
+    for await (const data of readLines(file)) {
+        if (first && data.type === 'header') {
+            summary.header = data;
+        } else if (data.type === 'archive' || data.type === 'database') {
+            summary[data.type] = data;
+        } else if (data.type === 'volume' && data.volume !== undefined) {
+            summary.volumes = summary.volumes || {};
+            summary.volumes[Number(data.volume)] = data;
+        }
+        first = false;
+    }
+
+    return summary;
+}
+
+module.exports = { readLines, readFileEntries, readSummary };
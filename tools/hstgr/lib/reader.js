@@ -0,0 +1,127 @@
+'use strict';
+
+const fs = require('fs');
+const { Readable } = require('stream');
+const { PREAMBLE_SIZE, HstgrFormatError, parseHeader, parsePreamble } = require('./format');
+
+/**
+ * Streaming reader for .hstgr archives.
+ *
+ * Only one header is held in memory at a time; file contents are read on
+ * demand with positional reads, so archives of any size can be walked.
+ *
+ * @module hstgr/reader
+ */
+class ArchiveReader {
+    /**
+     * Use ArchiveReader.open() instead.
+     *
+     * @param {import('fs/promises').FileHandle} handle Open archive handle.
+     * @param {number}                           size   Archive size in bytes.
+     * @param {string}                           file   Archive path.
+     * @param {object}                           format Format from parsePreamble().
+     */
+    constructor(handle, size, file, format) {
+        this.handle = handle;
+        this.size = size;
+        this.file = file;
+        this.version = format.version;
+        this.dataOffset = format.dataOffset;
+        this.blockSize = format.blockSize;
+    }
+
+    /**
+     * Open an archive for reading.
+     *
+     * @param {string} file Archive path.
+     * @returns {Promise<ArchiveReader>} Reader.
+     * @throws {HstgrFormatError} If the archive is in an unknown format.
+     */
+    static async open(file) {
+        const handle = await fs.promises.open(file, 'r');
+        try {
+            const stat = await handle.stat();
+            const head = Buffer.alloc(PREAMBLE_SIZE);
+            const { bytesRead } = await handle.read(head, 0, PREAMBLE_SIZE, 0);
+            return new ArchiveReader(handle, stat.size, file, parsePreamble(head.subarray(0, bytesRead)));
+        } catch (error) {
+            await handle.close();
+            throw error;
+        }
+    }
+
+    /**
+     * Read the entry header at an offset.
+     *
+     * @param {number} offset Header offset.
+     * @returns {Promise<object|null>} Entry, or null when less than a header is left.
+     */
+    async readEntryAt(offset) {
+        const block = Buffer.alloc(this.blockSize);
+        const { bytesRead } = await this.handle.read(block, 0, this.blockSize, offset);
+        const header = parseHeader(block.subarray(0, bytesRead));
+        if (!header) {
+            return null;
+        }
+
+        return {
+            filename: header.filename,
+            size: header.size,
+            date: header.date,
+            path: header.path,
+            offset,
+            dataOffset: offset + this.blockSize,
+            end: offset + this.blockSize + header.size,
+        };
+    }
+
+    /**
+     * Iterate over all entries in archive order.
+     *
+     * @yields {object} Entry with the parse_binary_block() fields plus offset, dataOffset and end.
+     * @throws {HstgrFormatError} On an unreadable header or an entry running past the end of the archive.
+     */
+    async *entries() {
+        let offset = this.dataOffset;
+
+        while (offset < this.size) {
+            const entry = await this.readEntryAt(offset);
+            if (!entry) {
+                throw new HstgrFormatError(`Unreadable file header at byte ${offset}, the rest of the archive cannot be checked`, offset);
+            }
+            if (entry.end > this.size) {
+                const error = new HstgrFormatError(`Truncated: archive ends ${entry.end - this.size} bytes before the end of this file`, offset);
+                error.entry = entry;
+                throw error;
+            }
+
+            yield entry;
+            offset = entry.end;
+        }
+    }
+
+    /**
+     * Stream the content of an entry.
+     *
+     * @param {object} entry Entry from entries().
+     * @returns {import('stream').Readable} Content stream.
+     */
+    createContentStream(entry) {
+        if (entry.size === 0) {
+            return Readable.from([]);
+        }
+
+        return fs.createReadStream(this.file, { start: entry.dataOffset, end: entry.end - 1 });
+    }
+
+    /**
+     * Close the archive.
+     *
+     * @returns {Promise<void>}
+     */
+    async close() {
+        await this.handle.close();
+    }
+}
+
+module.exports = { ArchiveReader };
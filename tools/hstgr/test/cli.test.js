@@ -0,0 +1,244 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { test, beforeEach, afterEach } = require('node:test');
+const { main } = require('../bin/hstgr');
+const { BLOCK_SIZE, createHeader, createPreamble } = require('../lib/format');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const FIXTURE = path.join(FIXTURES, 'content_fixture.hstgr');
+const MANIFEST = path.join(FIXTURES, 'manifest_fixture.jsonl');
+const EXPECTED = require('./fixtures/list.json');
+
+let dir;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hstgr-'));
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Run the CLI and capture its output.
+ */
+async function run(...args) {
+    const output = { out: '', err: '' };
+    const io = {
+        out: { write: (chunk) => (output.out += chunk) },
+        err: { write: (chunk) => (output.err += chunk) },
+    };
+    output.code = await main(args, io);
+    return output;
+}
+
+/**
+ * Copy the fixture and its manifest into the temp directory, optionally changing the archive.
+ */
+function copyFixture(modify) {
+    const archive = path.join(dir, 'content_fixture.hstgr');
+    fs.writeFileSync(archive, modify ? modify(fs.readFileSync(FIXTURE)) : fs.readFileSync(FIXTURE));
+    fs.copyFileSync(MANIFEST, path.join(dir, 'manifest_fixture.jsonl'));
+    return archive;
+}
+
+test('list prints the entries as JSON', async () => {
+    const result = await run('list', FIXTURE, '--json');
+    assert.equal(result.code, 0);
+    assert.deepEqual(JSON.parse(result.out), EXPECTED);
+});
+
+test('list prints size, date and path', async () => {
+    const result = await run('list', FIXTURE, '--glob', 'orphan.txt');
+    assert.equal(result.out, '          16  2023-11-14T22:18:20Z  orphan.txt\n');
+});
+
+test('extract writes contents and modification times', async () => {
+    const result = await run('extract', FIXTURE, dir, '--json');
+    assert.equal(result.code, 0);
+    assert.deepEqual(JSON.parse(result.out), { files: 7, bytes: 1117, skipped: [] });
+
+    for (const entry of EXPECTED) {
+        const target = path.join(dir, entry.filename);
+        assert.equal(fs.statSync(target).size, entry.size);
+        assert.equal(Math.floor(fs.statSync(target).mtimeMs / 1000), entry.date);
+    }
+    assert.equal(fs.readFileSync(path.join(dir, 'wp-content/themes/thème-ä/style.css'), 'utf8'), '/* Theme Name: Fixture */\n');
+});
+
+test('extract filters by glob and keeps existing files', async () => {
+    fs.mkdirSync(path.join(dir, 'wp-content'));
+    fs.writeFileSync(path.join(dir, 'wp-content/index.php'), 'local');
+
+    const result = await run('extract', FIXTURE, dir, '-g', '*.php', '-g', 'wp-content/themes/**', '--json');
+    assert.deepEqual(JSON.parse(result.out), {
+        files: 1,
+        bytes: 26,
+        skipped: [{ filename: 'wp-content/index.php', reason: 'File already exists' }],
+    });
+    assert.equal(fs.readFileSync(path.join(dir, 'wp-content/index.php'), 'utf8'), 'local');
+    assert.ok(!fs.existsSync(path.join(dir, 'wp-content/uploads')));
+
+    await run('extract', FIXTURE, dir, '-g', '*.php', '--overwrite');
+    assert.equal(fs.readFileSync(path.join(dir, 'wp-content/index.php'), 'utf8'), "<?php\n// Silence is golden.\n");
+});
+
+test('extract refuses paths outside the destination', async () => {
+    const archive = path.join(dir, 'evil.hstgr');
+    fs.writeFileSync(archive, Buffer.concat([
+        createPreamble(),
+        createHeader('evil.php', 4, 1700000000, 'wp-content/../..'), Buffer.from('evil'),
+        createHeader('passwd', 4, 1700000000, '/etc'), Buffer.from('evil'),
+    ]));
+
+    const destination = path.join(dir, 'out');
+    const result = await run('extract', archive, destination, '--json');
+    assert.deepEqual(JSON.parse(result.out).skipped.map((skipped) => skipped.filename), ['wp-content/../../evil.php', '/etc/passwd']);
+    assert.ok(!fs.existsSync(path.join(dir, 'evil.php')));
+});
+
+test('verify passes with the manifest next to the archive', async () => {
+    const result = await run('verify', copyFixture(), '--json');
+    const report = JSON.parse(result.out);
+
+    assert.equal(result.code, 0);
+    assert.equal(report.manifest, path.join(dir, 'manifest_fixture.jsonl'));
+    assert.equal(report.files_checked, 7);
+    assert.equal(report.files_total, 7);
+    assert.equal(report.archive_hash, true);
+    assert.equal(report.passed, true);
+});
+
+test('verify reports changed content with the plugin wording', async () => {
+    const pdf = EXPECTED[2];
+    const archive = copyFixture((data) => {
+        data[pdf.offset + BLOCK_SIZE] ^= 0xff;
+        return data;
+    });
+
+    const result = await run('verify', archive, '--json');
+    assert.equal(result.code, 1);
+    assert.deepEqual(JSON.parse(result.out).mismatches, [
+        { path: pdf.filename, issue: 'Content checksum mismatch' },
+        { path: 'content_fixture.hstgr', issue: 'Whole-file SHA-256 checksum does not match the manifest' },
+    ]);
+});
+
+test('verify stops at a truncated entry', async () => {
+    const archive = copyFixture((data) => data.subarray(0, EXPECTED[5].offset + BLOCK_SIZE + 10));
+
+    const report = JSON.parse((await run('verify', archive, '--json')).out);
+    assert.equal(report.files_checked, 5);
+    assert.deepEqual(report.mismatches, [
+        { path: EXPECTED[5].filename, issue: 'Truncated: archive ends 16 bytes before the end of this file' },
+        { path: 'content_fixture.hstgr', issue: 'Whole-file SHA-256 checksum does not match the manifest' },
+    ]);
+});
+
+test('verify reports entries that do not match the manifest', async () => {
+    // Drop the first entry: every later header sits at another offset than the manifest says
+    const archive = copyFixture((data) => Buffer.concat([data.subarray(0, EXPECTED[0].offset), data.subarray(EXPECTED[1].offset)]));
+
+    const report = JSON.parse((await run('verify', archive, '--json')).out);
+    assert.deepEqual(report.mismatches.slice(0, 2), [
+        {
+            path: EXPECTED[1].filename,
+            issue: `Expected "wp-content/index.php" at this position, size 1024, manifest says 28, modification time differs`,
+        },
+        {
+            path: EXPECTED[2].filename,
+            issue: `Expected "${EXPECTED[1].filename}" at this position, header offset ${EXPECTED[2].offset - EXPECTED[1].offset + EXPECTED[0].offset}, manifest says ${EXPECTED[1].offset}, size 18, manifest says 1024, modification time differs`,
+        },
+    ]);
+    assert.deepEqual(report.mismatches[6], { path: 'orphan.txt', issue: 'Listed in the manifest but missing from the archive' });
+});
+
+test('verify checks each volume of a split archive against its own entries', async () => {
+    // Split the fixture after the fourth entry the way the exporter rolls over to .hstgr.001
+    const data = fs.readFileSync(FIXTURE);
+    const split = EXPECTED[4].offset;
+    const volumes = [data.subarray(0, split), Buffer.concat([createPreamble(), data.subarray(split)])];
+    const names = ['content_fixture.hstgr', 'content_fixture.hstgr.001'];
+    names.forEach((name, index) => fs.writeFileSync(path.join(dir, name), volumes[index]));
+
+    const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+    const shift = split - createPreamble().length;
+    const lines = fs.readFileSync(MANIFEST, 'utf8').trim().split('\n').map((line) => JSON.parse(line)).map((line) => {
+        if (line.type === 'file' && line.offset >= split) {
+            return { ...line, offset: line.offset - shift, volume: 1 };
+        }
+        if (line.type === 'archive') {
+            return { ...line, size: volumes[0].length, hash: sha256(volumes[0]), volume_count: 2 };
+        }
+        return line;
+    });
+    lines.splice(lines.findIndex((line) => line.type === 'archive'), 0, {
+        type: 'volume', volume: 1, file: names[1], size: volumes[1].length, hash: sha256(volumes[1]),
+    });
+    fs.writeFileSync(path.join(dir, 'manifest_fixture.jsonl'), lines.map((line) => JSON.stringify(line)).join('\n') + '\n');
+
+    const first = JSON.parse((await run('verify', path.join(dir, names[0]), '--json')).out);
+    const second = JSON.parse((await run('verify', path.join(dir, names[1]), '--json')).out);
+
+    assert.equal(second.manifest, path.join(dir, 'manifest_fixture.jsonl'));
+    assert.deepEqual([first.volume, first.files_checked, first.archive_hash, first.passed], [0, 4, true, true]);
+    assert.deepEqual([second.volume, second.files_checked, second.archive_hash, second.passed], [1, 3, true, true]);
+    assert.equal(second.files_total, null);
+});
+
+test('verify without a manifest checks the structure only', async () => {
+    const extra = Buffer.concat([createHeader('extra.txt', 2, 1700000000, 'wp-content'), Buffer.from('hi')]);
+    const archive = copyFixture((data) => Buffer.concat([data, extra]));
+
+    let report = JSON.parse((await run('verify', archive, '--structure-only', '--json')).out);
+    assert.equal(report.has_manifest, false);
+    assert.equal(report.files_checked, 8);
+    assert.equal(report.passed, true);
+
+    report = JSON.parse((await run('verify', archive, '--manifest', MANIFEST, '--json')).out);
+    assert.deepEqual(report.mismatches[0], { path: 'wp-content/extra.txt', issue: 'Found in the archive but not listed in the manifest' });
+});
+
+test('the fixture manifest matches the archive', () => {
+    const archive = fs.readFileSync(FIXTURE);
+    const lines = fs.readFileSync(MANIFEST, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+    const summary = lines.find((line) => line.type === 'archive');
+
+    assert.equal(summary.size, archive.length);
+    assert.equal(summary.hash, crypto.createHash('sha256').update(archive).digest('hex'));
+});
+
+test('stat summarizes the archive', async () => {
+    const result = await run('stat', FIXTURE, '--json', '--top', '2');
+    const stats = JSON.parse(result.out);
+
+    assert.equal(stats.files, 7);
+    assert.equal(stats.empty_files, 1);
+    assert.equal(stats.content_bytes, 1117);
+    assert.equal(stats.format_version, 2);
+    assert.equal(stats.header_bytes, 16 + 7 * 4383);
+    assert.equal(stats.archive_size, 1117 + 16 + 7 * 4383);
+    assert.equal(stats.oldest, 1700000000);
+    assert.equal(stats.newest, 1714694400);
+    assert.deepEqual(stats.largest_files, [
+        { filename: 'wp-content/uploads/2024/05/photo one.jpg', size: 1024 },
+        { filename: 'wp-content/index.php', size: 28 },
+    ]);
+    assert.deepEqual(stats.directories, [
+        { name: 'wp-content/uploads', count: 3, bytes: 1047 },
+        { name: 'wp-content', count: 1, bytes: 28 },
+    ]);
+});
+
+test('usage errors exit with code 2', async () => {
+    assert.equal((await run()).code, 2);
+    assert.equal((await run('unpack', FIXTURE)).code, 2);
+    assert.equal((await run('list', FIXTURE, '--bogus')).code, 2);
+    assert.equal((await run('stat', FIXTURE, '--top', '0')).code, 2);
+    assert.equal((await run('list', path.join(dir, 'missing.hstgr'))).code, 1);
+});
@@ -0,0 +1,75 @@
+<?php
+/**
+ * Regenerate the .hstgr test fixtures with the plugin's own format code.
+ *
+ * Writes content_fixture.hstgr, its manifest and list.json, the entries as
+ * returned by Custom_Migrator_Helper::parse_binary_block() plus their offset,
+ * and content_fixture_v1.hstgr with the same files in the version 1 format.
+ * Run from the repository root: php tools/hstgr/test/fixtures/generate.php
+ *
+ * @package CustomMigrator
+ */
+
+require dirname(__DIR__, 4) . '/includes/class-helper.php';
+
+$files = array(
+    'wp-content/index.php' => array("<?php\n// Silence is golden.\n", 1700000000),
+    'wp-content/uploads/2024/05/photo one.jpg' => array(str_repeat(implode('', array_map('chr', range(0, 255))), 4), 1714521600),
+    'wp-content/uploads/2024/05/résumé+final~v2.pdf' => array("%PDF-1.4\n%fixture\n", 1714608000),
+    'wp-content/uploads/2024/05/100% done.txt' => array("done\n", 1714694400),
+    'wp-content/plugins/hello/readme.txt' => array('', 1700000100),
+    'wp-content/themes/thème-ä/style.css' => array("/* Theme Name: Fixture */\n", 1700000200),
+    'orphan.txt' => array("root level file\n", 1700000300),
+);
+
+$archive = Custom_Migrator_Helper::create_archive_preamble();
+$archive_v1 = '';
+$manifest = array(array(
+    'type' => 'header',
+    'version' => 1,
+    'created_at' => '2024-05-03T00:00:00+00:00',
+    'file_hash' => 'md5',
+    'archive_hash' => 'sha256',
+    'format_version' => Custom_Migrator_Helper::ARCHIVE_VERSION,
+    'block_size' => Custom_Migrator_Helper::get_binary_block_size(),
+));
+$list = array();
+
+foreach ($files as $relative_path => $file) {
+    list($content, $mtime) = $file;
+    $offset = strlen($archive);
+
+    $archive .= Custom_Migrator_Helper::create_binary_block(basename($relative_path), strlen($content), $mtime, dirname($relative_path)) . $content;
+    $archive_v1 .= Custom_Migrator_Helper::create_binary_block(basename($relative_path), strlen($content), $mtime, dirname($relative_path), 1) . $content;
+
+    $manifest[] = array(
+        'type' => 'file',
+        'path' => $relative_path,
+        'offset' => $offset,
+        'size' => strlen($content),
+        'mtime' => $mtime,
+        'hash' => md5($content),
+    );
+    $list[] = array_merge(
+        Custom_Migrator_Helper::parse_binary_block(substr($archive, $offset, Custom_Migrator_Helper::get_binary_block_size())),
+        array('offset' => $offset)
+    );
+}
+
+// Lines the verifier must skip
+$manifest[] = array('type' => 'base', 'path' => 'wp-content/uploads/2023/old.jpg', 'size' => 3, 'mtime' => 1690000000, 'hash' => md5('old'));
+$manifest[] = array('type' => 'table', 'name' => 'wp_options', 'rows' => 120, 'checksum' => '3141592653');
+$manifest[] = array(
+    'type' => 'archive',
+    'file' => 'content_fixture.hstgr',
+    'size' => strlen($archive),
+    'file_count' => count($files),
+    'hash' => hash('sha256', $archive),
+);
+
+file_put_contents(__DIR__ . '/content_fixture.hstgr', $archive);
+file_put_contents(__DIR__ . '/content_fixture_v1.hstgr', $archive_v1);
+file_put_contents(__DIR__ . '/manifest_fixture.jsonl', implode('', array_map(function ($line) {
+    return json_encode($line, JSON_UNESCAPED_SLASHES) . "\n";
+}, $manifest)));
+file_put_contents(__DIR__ . '/list.json', json_encode($list, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE) . "\n");
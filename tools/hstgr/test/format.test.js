@@ -0,0 +1,152 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { BLOCK_SIZE, BLOCK_SIZE_V1, PREAMBLE_SIZE, decodeFromBinary, encodeForBinary, parseHeader, parsePreamble, createHeader, createPreamble, urldecode } = require('../lib/format');
+
+/**
+ * Build a header by hand, like pack('a255PPa4112', ...).
+ */
+function packHeader(name, size, date, path) {
+    const block = Buffer.alloc(BLOCK_SIZE);
+    Buffer.from(name, 'latin1').copy(block, 0, 0, 255);
+    block.writeBigUInt64LE(BigInt(size), 255);
+    block.writeBigUInt64LE(BigInt(date), 263);
+    Buffer.from(path, 'latin1').copy(block, 271, 0, 4112);
+    return block;
+}
+
+/**
+ * Build a version 1 header by hand, like pack('a255VVa4112', ...).
+ */
+function packHeaderV1(name, size, date, path) {
+    const block = Buffer.alloc(BLOCK_SIZE_V1);
+    Buffer.from(name, 'latin1').copy(block, 0, 0, 255);
+    block.writeUInt32LE(size, 255);
+    block.writeUInt32LE(date, 259);
+    Buffer.from(path, 'latin1').copy(block, 263, 0, 4112);
+    return block;
+}
+
+test('header is 4383 bytes, 4375 in version 1', () => {
+    assert.equal(BLOCK_SIZE, 4383);
+    assert.equal(BLOCK_SIZE_V1, 4375);
+});
+
+test('preamble names the format version and header size', () => {
+    const preamble = createPreamble();
+
+    assert.equal(preamble.length, PREAMBLE_SIZE);
+    assert.equal(preamble.toString('latin1', 0, 8), '\x89HSTGR\r\n');
+    assert.deepEqual(parsePreamble(preamble), { version: 2, dataOffset: 16, blockSize: 4383 });
+});
+
+test('archives without a preamble are version 1', () => {
+    assert.deepEqual(parsePreamble(Buffer.alloc(0)), { version: 1, dataOffset: 0, blockSize: 4375 });
+    assert.deepEqual(parsePreamble(packHeaderV1('index.php', 28, 1700000000, 'wp-content').subarray(0, PREAMBLE_SIZE)), { version: 1, dataOffset: 0, blockSize: 4375 });
+});
+
+test('refuses unknown format versions', () => {
+    const preamble = createPreamble();
+    preamble.writeUInt32LE(3, 8);
+
+    assert.throws(() => parsePreamble(preamble), { name: 'HstgrFormatError', message: 'Unsupported archive format version 3' });
+    assert.throws(() => parsePreamble(createPreamble().subarray(0, 10)), /Truncated archive preamble/);
+});
+
+test('encodes like PHP urlencode', () => {
+    assert.equal(encodeForBinary('photo one.jpg').toString(), 'photo+one.jpg');
+    assert.equal(encodeForBinary('a~b+c-d_e.f').toString(), 'a%7Eb%2Bc-d_e.f');
+    assert.equal(encodeForBinary('wp-content/thème').toString(), 'wp-content%2Fth%C3%A8me');
+    assert.equal(encodeForBinary('100% done').toString(), '100%25+done');
+});
+
+test('decodes like PHP urldecode', () => {
+    assert.equal(urldecode(Buffer.from('a+b%20c')).toString(), 'a b c');
+    assert.equal(urldecode(Buffer.from('%e2%82%ac %E2%82%AC')).toString(), '€ €');
+    // Incomplete or invalid escapes are kept as is
+    assert.equal(urldecode(Buffer.from('100%zz%4')).toString(), '100%zz%4');
+    assert.equal(urldecode(Buffer.from('%%41')).toString(), '%A');
+});
+
+test('decode trims NUL bytes at both ends only', () => {
+    assert.equal(decodeFromBinary(Buffer.from('\0\0a%00b\0\0')), 'a\0b');
+});
+
+test('parses headers like parse_binary_block', () => {
+    assert.deepEqual(parseHeader(packHeader('index.php', 28, 1700000000, 'wp-content')), {
+        filename: 'wp-content/index.php',
+        size: 28,
+        date: 1700000000,
+        path: 'wp-content',
+    });
+
+    // Files in the archive root are stored with the directory "."
+    assert.deepEqual(parseHeader(packHeader('orphan.txt', 0, 1, '.')), {
+        filename: 'orphan.txt',
+        size: 0,
+        date: 1,
+        path: '',
+    });
+
+    // Raw "+" in a stored name is a space, sizes are unsigned
+    assert.deepEqual(parseHeader(packHeader('a+b.txt', 0xffffffff, 0x80000000, 'wp-content%2Fx')), {
+        filename: 'wp-content/x/a b.txt',
+        size: 4294967295,
+        date: 2147483648,
+        path: 'wp-content/x',
+    });
+
+    // Sizes beyond 32 bits, the reason for version 2
+    assert.equal(parseHeader(packHeader('backup.zip', 6 * 2 ** 30, 1700000000, 'wp-content')).size, 6442450944);
+});
+
+test('parses version 1 headers', () => {
+    assert.deepEqual(parseHeader(packHeaderV1('a+b.txt', 0xffffffff, 0x80000000, 'wp-content%2Fx')), {
+        filename: 'wp-content/x/a b.txt',
+        size: 4294967295,
+        date: 2147483648,
+        path: 'wp-content/x',
+    });
+});
+
+test('rejects blocks of the wrong length', () => {
+    assert.equal(parseHeader(Buffer.alloc(BLOCK_SIZE - 1)), null);
+    assert.equal(parseHeader(Buffer.alloc(BLOCK_SIZE + 1)), null);
+    assert.equal(parseHeader(Buffer.alloc(BLOCK_SIZE_V1 - 1)), null);
+});
+
+test('creates headers that round-trip', () => {
+    const block = createHeader('résumé+final~v2.pdf', 18, 1714608000, 'wp-content/uploads/2024/05');
+
+    assert.equal(block.length, BLOCK_SIZE);
+    assert.equal(block.subarray(0, 33).toString(), 'r%C3%A9sum%C3%A9%2Bfinal%7Ev2.pdf');
+    assert.deepEqual(parseHeader(block), {
+        filename: 'wp-content/uploads/2024/05/résumé+final~v2.pdf',
+        size: 18,
+        date: 1714608000,
+        path: 'wp-content/uploads/2024/05',
+    });
+});
+
+test('truncates encoded names to the field size', () => {
+    // 255 bytes hold 42 "%C3%A9" and a dangling "%C3", like substr() in create_binary_block()
+    const block = createHeader('é'.repeat(100), 0, 1, '.');
+    assert.equal(block.subarray(252, 256).toString('latin1'), '%C3\0');
+    assert.equal(parseHeader(block).filename, 'é'.repeat(42) + '�');
+});
+
+test('creates version 1 headers', () => {
+    const block = createHeader('index.php', 28, 1700000000, 'wp-content', 1);
+
+    assert.deepEqual(block, packHeaderV1('index.php', 28, 1700000000, 'wp-content'));
+    assert.equal(parseHeader(block).filename, 'wp-content/index.php');
+});
+
+test('refuses sizes and dates that do not fit the format', () => {
+    assert.equal(parseHeader(createHeader('a', 2 ** 32, 1, '.')).size, 2 ** 32);
+    assert.throws(() => createHeader('a', 2 ** 32, 1, '.', 1), /Invalid file size/);
+    assert.throws(() => createHeader('a', 0, 2 ** 32, '.', 1), /Invalid file date/);
+    assert.throws(() => createHeader('a', -1, 1, '.'), /Invalid file size/);
+    assert.throws(() => createHeader('a', 0, 0, '.'), /Invalid file date/);
+});
@@ -0,0 +1,120 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { test } = require('node:test');
+const { ArchiveReader } = require('../lib/reader');
+const { list } = require('../lib/commands');
+const { compileGlobPatterns, createMatcher } = require('../lib/glob');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'content_fixture.hstgr');
+const FIXTURE_V1 = path.join(__dirname, 'fixtures', 'content_fixture_v1.hstgr');
+const EXPECTED = require('./fixtures/list.json');
+
+async function collect(iterable) {
+    const items = [];
+    for await (const item of iterable) {
+        items.push(item);
+    }
+    return items;
+}
+
+test('lists the same entries as the PHP reader', async () => {
+    assert.deepEqual(await collect(list(FIXTURE)), EXPECTED);
+});
+
+test('reads version 1 archives without a preamble', async () => {
+    const reader = await ArchiveReader.open(FIXTURE_V1);
+    try {
+        assert.equal(reader.version, 1);
+        assert.equal(reader.dataOffset, 0);
+    } finally {
+        await reader.close();
+    }
+
+    // Same entries, each header 8 bytes shorter and no preamble in front
+    const entries = await collect(list(FIXTURE_V1));
+    assert.deepEqual(entries, EXPECTED.map((entry, index) => ({ ...entry, offset: entry.offset - 16 - index * 8 })));
+});
+
+test('streams entry contents', async () => {
+    const reader = await ArchiveReader.open(FIXTURE);
+    try {
+        const contents = {};
+        for await (const entry of reader.entries()) {
+            contents[entry.filename] = Buffer.concat(await collect(reader.createContentStream(entry)));
+        }
+
+        assert.equal(contents['wp-content/index.php'].toString(), "<?php\n// Silence is golden.\n");
+        assert.equal(contents['wp-content/plugins/hello/readme.txt'].length, 0);
+        assert.equal(contents['wp-content/uploads/2024/05/photo one.jpg'].length, 1024);
+        assert.equal(contents['wp-content/uploads/2024/05/photo one.jpg'][255], 255);
+        assert.equal(contents['orphan.txt'].toString(), 'root level file\n');
+    } finally {
+        await reader.close();
+    }
+});
+
+test('reports truncated archives and unreadable headers', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hstgr-'));
+    const archive = fs.readFileSync(FIXTURE);
+
+    try {
+        const truncated = path.join(dir, 'truncated.hstgr');
+        fs.writeFileSync(truncated, archive.subarray(0, EXPECTED[1].offset + 4383 + 100));
+        await assert.rejects(collect(list(truncated)), {
+            name: 'HstgrFormatError',
+            message: 'Truncated: archive ends 924 bytes before the end of this file',
+            offset: EXPECTED[1].offset,
+        });
+
+        const shortHeader = path.join(dir, 'short.hstgr');
+        fs.writeFileSync(shortHeader, archive.subarray(0, EXPECTED[1].offset + 10));
+        await assert.rejects(collect(list(shortHeader)), {
+            message: `Unreadable file header at byte ${EXPECTED[1].offset}, the rest of the archive cannot be checked`,
+        });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('an empty archive has no entries', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hstgr-'));
+    try {
+        const empty = path.join(dir, 'empty.hstgr');
+        fs.writeFileSync(empty, '');
+        assert.deepEqual(await collect(list(empty)), []);
+
+        // An export that skipped wp-content writes just the preamble
+        fs.writeFileSync(empty, fs.readFileSync(FIXTURE).subarray(0, EXPECTED[0].offset));
+        assert.deepEqual(await collect(list(empty)), []);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('globs follow the plugin exclusion semantics', async () => {
+    assert.equal(compileGlobPatterns([' ', '/']), null);
+
+    const matches = createMatcher(['*.PDF', 'wp-content/plugins/**', 'wp-content/uploads/*/0?/photo*']);
+    assert.ok(matches('wp-content/uploads/2024/05/résumé+final~v2.pdf'));
+    assert.ok(matches('wp-content/plugins/hello/readme.txt'));
+    assert.ok(matches('wp-content/uploads/2024/05/photo one.jpg'));
+    assert.ok(!matches('wp-content/index.php'));
+    assert.ok(!matches('wp-content/uploads/2024/12/photo.jpg'));
+
+    assert.ok(createMatcher(['**/style.css'])('wp-content/themes/thème-ä/style.css'));
+    assert.ok(createMatcher(['**/orphan.txt'])('orphan.txt'));
+    assert.ok(createMatcher(['[!a-n]*.txt'])('orphan.txt'));
+    assert.ok(!createMatcher(['[!a-z]*.txt'])('orphan.txt'));
+    assert.ok(createMatcher(['100% done.txt'])('wp-content/uploads/2024/05/100% done.txt'));
+
+    const filtered = await collect(list(FIXTURE, { patterns: ['wp-content/uploads/**'] }));
+    assert.deepEqual(filtered.map((entry) => entry.filename), [
+        'wp-content/uploads/2024/05/photo one.jpg',
+        'wp-content/uploads/2024/05/résumé+final~v2.pdf',
+        'wp-content/uploads/2024/05/100% done.txt',
+    ]);
+});
@@ -17,15 +17,34 @@ if (!defined('WP_UNINSTALL_PLUGIN')) {
  * Clean up all plugin data
  */
 function custom_migrator_cleanup() {
+    // The export files live in a randomly named folder below the archives folder
+    $export_subdir = (string) get_option('custom_migrator_export_subdir');
+    
     // Remove plugin options
     delete_option('custom_migrator_filenames');
     delete_option('custom_migrator_access_token');
     delete_option('custom_migrator_auth');
-    delete_option('custom_migrator_export_subdir'); // If you kept this option
+    delete_option('custom_migrator_export_subdir');
+    delete_option('custom_migrator_s3_upload_job');
+    delete_option('custom_migrator_exclusion_profiles');
+    delete_option('custom_migrator_export_history');
+    delete_option('custom_migrator_history_retention');
+    delete_option('custom_migrator_download_secret');
+    delete_option('custom_migrator_search_replace');
+    delete_option('custom_migrator_anonymization');
+    delete_option('custom_migrator_encryption');
+    delete_option('custom_migrator_volumes');
+    delete_option('custom_migrator_destinations');
+    delete_option('custom_migrator_push_receiver');
     
     // Get the path to clean up
     $export_dir = WP_CONTENT_DIR . '/hostinger-migration-archives'; // New location
     
+    // Drop the tables of an unfinished import and of its safety snapshot before their state file goes
+    if (preg_match('/^[a-z0-9]{32}$/', $export_subdir)) {
+        custom_migrator_drop_import_tables($export_dir . '/' . $export_subdir . '/import/import-state.json');
+    }
+    
     // Clean up export directory
     if (file_exists($export_dir) && is_dir($export_dir)) {
         custom_migrator_delete_directory($export_dir);
@@ -37,6 +56,44 @@ function custom_migrator_cleanup() {
     }
 }
 
+/**
+ * Drop the temporary and backup tables named in the import state
+ *
+ * @param string $state_file Path of the import state file
+ * @return void
+ */
+function custom_migrator_drop_import_tables($state_file) {
+    global $wpdb;
+    
+    $state = file_exists($state_file) ? json_decode(file_get_contents($state_file), true) : null;
+    if (!is_array($state)) {
+        return;
+    }
+    
+    $ids = array();
+    foreach (array($state, isset($state['previous']) ? $state['previous'] : null) as $import) {
+        if (!empty($import['id'])) {
+            $ids[] = $import['id'];
+        }
+        if (!empty($import['snapshot']['id'])) {
+            $ids[] = $import['snapshot']['id'];
+        }
+    }
+    
+    foreach (array_unique($ids) as $id) {
+        // Only the prefixes the importer generates, never the tables of the site itself
+        if (!preg_match('/^[a-z0-9]{6}$/', $id)) {
+            continue;
+        }
+        foreach (array('imp', 'bak') as $kind) {
+            $tables = $wpdb->get_col($wpdb->prepare('SHOW TABLES LIKE %s', $wpdb->esc_like($kind . $id . '_') . '%'));
+            foreach ($tables as $table) {
+                $wpdb->query("DROP TABLE IF EXISTS `{$table}`");
+            }
+        }
+    }
+}
+
 /**
  * Recursively delete a directory and all its contents
  *